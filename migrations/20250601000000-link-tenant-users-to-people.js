@@ -0,0 +1,50 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Link each TenantUser to the Salesperson and/or Technician it represents
+    await queryInterface.addColumn('TenantUser', 'salespersonId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'Salesperson',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('TenantUser', 'technicianId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'Technician',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    // Link existing users whose email matches a salesperson or technician of their tenant
+    await queryInterface.sequelize.query(`
+      UPDATE "TenantUser" tu
+      SET "salespersonId" = s.id
+      FROM "Salesperson" s
+      WHERE s."tenantId" = tu."tenantId"
+        AND LOWER(s.email) = LOWER(tu.email)
+    `);
+
+    await queryInterface.sequelize.query(`
+      UPDATE "TenantUser" tu
+      SET "technicianId" = t.id
+      FROM "Technician" t
+      WHERE t."tenantId" = tu."tenantId"
+        AND LOWER(t.email) = LOWER(tu.email)
+    `);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('TenantUser', 'technicianId');
+    await queryInterface.removeColumn('TenantUser', 'salespersonId');
+  }
+};
@@ -0,0 +1,59 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Invited users have no Auth0 account until they accept
+    await queryInterface.changeColumn('TenantUser', 'auth0UserId', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_TenantUser_status" ADD VALUE IF NOT EXISTS 'invited'`
+    );
+
+    await queryInterface.addColumn('TenantUser', 'invitedBy', {
+      type: Sequelize.UUID,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('TenantUser', 'invitationNonce', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('TenantUser', 'invitationSentAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('TenantUser', 'invitationExpiresAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Earlier invitations were stored as inactive users without an Auth0 account.
+    // They have no token, so they stay pending until an admin resends them.
+    await queryInterface.sequelize.query(`
+      UPDATE "TenantUser"
+      SET status = 'invited'
+      WHERE status = 'inactive' AND "auth0UserId" IS NULL
+    `);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(`
+      UPDATE "TenantUser"
+      SET status = 'inactive'
+      WHERE status = 'invited'
+    `);
+
+    await queryInterface.removeColumn('TenantUser', 'invitationExpiresAt');
+    await queryInterface.removeColumn('TenantUser', 'invitationSentAt');
+    await queryInterface.removeColumn('TenantUser', 'invitationNonce');
+    await queryInterface.removeColumn('TenantUser', 'invitedBy');
+
+    // Postgres cannot drop a value from an enum type, so 'invited' is left in place.
+    // auth0UserId also stays nullable because never-accepted rows have no Auth0 account.
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Users who asked to join a tenant by email domain and await admin approval
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_TenantUser_status" ADD VALUE IF NOT EXISTS 'pending'`
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Postgres cannot drop a value from an enum type, so only the requests are removed
+    await queryInterface.sequelize.query(`
+      DELETE FROM "TenantUser"
+      WHERE status = 'pending'
+    `);
+  }
+};
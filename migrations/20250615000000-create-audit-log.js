@@ -0,0 +1,61 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('AuditLog', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      tenantId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Tenant',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      actorId: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      actorEmail: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      entity: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      entityId: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      action: {
+        type: Sequelize.ENUM('create', 'update', 'delete', 'restore'),
+        allowNull: false
+      },
+      changes: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('AuditLog', ['tenantId', 'createdAt']);
+    await queryInterface.addIndex('AuditLog', ['tenantId', 'entity', 'entityId']);
+    await queryInterface.addIndex('AuditLog', ['tenantId', 'actorId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('AuditLog');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_AuditLog_action"');
+  }
+};
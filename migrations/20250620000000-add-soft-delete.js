@@ -0,0 +1,39 @@
+'use strict';
+
+// Tables whose rows are soft-deleted into the trash
+const TABLES = ['Client', 'Salesperson', 'Service', 'Technician'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of TABLES) {
+      await queryInterface.addColumn(table, 'deletedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+
+      await queryInterface.addColumn(table, 'deletedBy', {
+        type: Sequelize.STRING,
+        allowNull: true
+      });
+
+      await queryInterface.addColumn(table, 'deletedLinks', {
+        type: Sequelize.JSONB,
+        allowNull: true
+      });
+
+      await queryInterface.addIndex(table, ['tenantId', 'deletedAt']);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const table of TABLES) {
+      // Trashed rows would reappear as live records once the column is gone
+      await queryInterface.sequelize.query(`DELETE FROM "${table}" WHERE "deletedAt" IS NOT NULL`);
+
+      await queryInterface.removeIndex(table, ['tenantId', 'deletedAt']);
+      await queryInterface.removeColumn(table, 'deletedLinks');
+      await queryInterface.removeColumn(table, 'deletedBy');
+      await queryInterface.removeColumn(table, 'deletedAt');
+    }
+  }
+};
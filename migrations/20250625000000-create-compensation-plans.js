@@ -0,0 +1,160 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('CompensationPlan', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      tenantId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Tenant',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      personType: {
+        type: Sequelize.ENUM('salesperson', 'technician'),
+        allowNull: false,
+        defaultValue: 'salesperson'
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'UYU'
+      },
+      baseVariableAmount: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        defaultValue: 0
+      },
+      quantitativeShare: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        defaultValue: 0.7
+      },
+      payoutAtMinimum: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        defaultValue: 50
+      },
+      acceleratorRate: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        defaultValue: 1
+      },
+      componentCap: {
+        type: Sequelize.FLOAT,
+        allowNull: true,
+        defaultValue: 200
+      },
+      totalCap: {
+        type: Sequelize.FLOAT,
+        allowNull: true,
+        defaultValue: 150
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('CompensationPlan', ['tenantId']);
+
+    await queryInterface.createTable('CompensationPlanMember', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      tenantId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Tenant',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      compensationPlanId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'CompensationPlan',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      salespersonId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Salesperson',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      technicianId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Technician',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      baseVariableAmount: {
+        type: Sequelize.FLOAT,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // A person is paid under one plan at a time
+    await queryInterface.addIndex('CompensationPlanMember', ['tenantId', 'salespersonId'], {
+      unique: true,
+      where: { salespersonId: { [Sequelize.Op.ne]: null } }
+    });
+    await queryInterface.addIndex('CompensationPlanMember', ['tenantId', 'technicianId'], {
+      unique: true,
+      where: { technicianId: { [Sequelize.Op.ne]: null } }
+    });
+    await queryInterface.addIndex('CompensationPlanMember', ['compensationPlanId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('CompensationPlanMember');
+    await queryInterface.dropTable('CompensationPlan');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_CompensationPlan_personType"');
+  }
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+// Objective tables closed by the year-end rollover
+const TABLES = ['QuantitativeObjective', 'QualitativeObjective'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of TABLES) {
+      await queryInterface.addColumn(table, 'closedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+
+      await queryInterface.addColumn(table, 'rolledOverFromId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: table,
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    for (const table of TABLES) {
+      await queryInterface.removeColumn(table, 'rolledOverFromId');
+      await queryInterface.removeColumn(table, 'closedAt');
+    }
+  }
+};
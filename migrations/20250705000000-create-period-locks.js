@@ -0,0 +1,66 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('PeriodLock', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      tenantId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Tenant',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      month: {
+        type: Sequelize.STRING(7),
+        allowNull: false
+      },
+      closedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      closedBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      reopenedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      reopenedBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      reopenReason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // A month has at most one lock in force; reopened locks stay as history
+    await queryInterface.addIndex('PeriodLock', ['tenantId', 'month'], {
+      unique: true,
+      where: { reopenedAt: null }
+    });
+    await queryInterface.addIndex('PeriodLock', ['tenantId', 'closedAt']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('PeriodLock');
+  }
+};
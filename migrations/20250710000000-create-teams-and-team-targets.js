@@ -0,0 +1,106 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Team', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      tenantId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Tenant',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('Team', ['tenantId', 'name'], { unique: true });
+
+    await queryInterface.addColumn('Salesperson', 'teamId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'Team',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    // Share of a company target allocated to a team, split further among its members
+    await queryInterface.createTable('TeamQuantitativeObjective', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      tenantId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Tenant',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      teamId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Team',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      quantitativeObjectiveId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'QuantitativeObjective',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      teamTarget: {
+        type: Sequelize.FLOAT,
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('TeamQuantitativeObjective', ['teamId', 'quantitativeObjectiveId'], { unique: true });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('TeamQuantitativeObjective');
+    await queryInterface.removeColumn('Salesperson', 'teamId');
+    await queryInterface.dropTable('Team');
+  }
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // A team is managed by a salesperson or by a tenant user without a salesperson record
+    await queryInterface.addColumn('Team', 'managerSalespersonId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'Salesperson',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('Team', 'managerTenantUserId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'TenantUser',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.createTable('TeamMembership', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      tenantId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Tenant',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      teamId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Team',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      salespersonId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Salesperson',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      startDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      endDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // A salesperson is in at most one team at a time
+    await queryInterface.addIndex('TeamMembership', ['salespersonId'], {
+      unique: true,
+      where: { endDate: null }
+    });
+    await queryInterface.addIndex('TeamMembership', ['teamId', 'startDate']);
+
+    // Current members start their history today
+    await queryInterface.sequelize.query(`
+      INSERT INTO "TeamMembership" (id, "tenantId", "teamId", "salespersonId", "startDate", "createdAt", "updatedAt")
+      SELECT gen_random_uuid(), "tenantId", "teamId", id, CURRENT_DATE, NOW(), NOW()
+      FROM "Salesperson"
+      WHERE "teamId" IS NOT NULL AND "deletedAt" IS NULL
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('TeamMembership');
+    await queryInterface.removeColumn('Team', 'managerTenantUserId');
+    await queryInterface.removeColumn('Team', 'managerSalespersonId');
+  }
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Objectives submitted by the salesperson wait for a manager's review
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_QualitativeObjective_status" ADD VALUE IF NOT EXISTS 'en_revision'`
+    );
+
+    await queryInterface.createTable('QualitativeObjectiveStatusHistory', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      tenantId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Tenant',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      qualitativeObjectiveId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'QualitativeObjective',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      action: {
+        type: Sequelize.ENUM('start', 'submit', 'approve', 'reject', 'close', 'reopen', 'rollover'),
+        allowNull: false
+      },
+      fromStatus: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      toStatus: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      comment: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      evidence: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      actorId: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      actorEmail: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('QualitativeObjectiveStatusHistory', ['qualitativeObjectiveId', 'createdAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('QualitativeObjectiveStatusHistory');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_QualitativeObjectiveStatusHistory_action"');
+
+    // Postgres cannot drop a value from an enum type, so objectives in review go back in progress
+    await queryInterface.sequelize.query(`
+      UPDATE "QualitativeObjective"
+      SET status = 'en_progreso'
+      WHERE status = 'en_revision'
+    `);
+  }
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Attachment', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      tenantId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Tenant',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      entityType: {
+        type: Sequelize.ENUM('qualitative_objective', 'technician_objective', 'technician_evaluation', 'client_relevamiento'),
+        allowNull: false
+      },
+      entityId: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      filename: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      contentType: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      size: {
+        type: Sequelize.BIGINT,
+        allowNull: false
+      },
+      checksum: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      storageDriver: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      storageKey: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      scanStatus: {
+        type: Sequelize.ENUM('clean', 'not_scanned'),
+        allowNull: false,
+        defaultValue: 'not_scanned'
+      },
+      uploadedBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      uploadedByEmail: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('Attachment', ['tenantId', 'entityType', 'entityId']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('Attachment');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Attachment_entityType"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Attachment_scanStatus"');
+  }
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // List price of a service and how often it is billed
+    await queryInterface.addColumn('Service', 'precio', {
+      type: Sequelize.FLOAT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('Service', 'frecuenciaFacturacion', {
+      type: Sequelize.ENUM('mensual', 'trimestral', 'semestral', 'anual', 'unica'),
+      allowNull: false,
+      defaultValue: 'mensual'
+    });
+    await queryInterface.addColumn('Service', 'moneda', {
+      type: Sequelize.STRING(3),
+      allowNull: false,
+      defaultValue: 'UYU'
+    });
+
+    // Commercial terms of a service sold to a client
+    await queryInterface.addColumn('ClientService', 'precioNegociado', {
+      type: Sequelize.FLOAT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('ClientService', 'cantidad', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    });
+    await queryInterface.addColumn('ClientService', 'fechaInicio', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+    await queryInterface.addColumn('ClientService', 'fechaFin', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+    await queryInterface.addColumn('ClientService', 'fechaRenovacion', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('ClientService', 'fechaRenovacion');
+    await queryInterface.removeColumn('ClientService', 'fechaFin');
+    await queryInterface.removeColumn('ClientService', 'fechaInicio');
+    await queryInterface.removeColumn('ClientService', 'cantidad');
+    await queryInterface.removeColumn('ClientService', 'precioNegociado');
+
+    await queryInterface.removeColumn('Service', 'moneda');
+    await queryInterface.removeColumn('Service', 'frecuenciaFacturacion');
+    await queryInterface.removeColumn('Service', 'precio');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Service_frecuenciaFacturacion"');
+  }
+};
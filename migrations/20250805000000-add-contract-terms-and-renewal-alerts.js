@@ -0,0 +1,105 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Terms of a client's support contract
+    await queryInterface.addColumn('Client', 'contratoFechaInicio', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+    await queryInterface.addColumn('Client', 'contratoFechaFin', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+    await queryInterface.addColumn('Client', 'contratoRenovacionAutomatica', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+    await queryInterface.addColumn('Client', 'contratoDiasPreaviso', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    // Renewal terms of a service sold to a client (dates were added with pricing)
+    await queryInterface.addColumn('ClientService', 'renovacionAutomatica', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+    await queryInterface.addColumn('ClientService', 'diasPreaviso', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    // Expiry alerts already sent, so each one goes out once
+    await queryInterface.createTable('RenewalAlert', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      tenantId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Tenant',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      entityType: {
+        type: Sequelize.ENUM('support_contract', 'client_service'),
+        allowNull: false
+      },
+      entityId: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      fechaVencimiento: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      diasAntes: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      recipients: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      sentAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('RenewalAlert', ['entityType', 'entityId', 'fechaVencimiento', 'diasAntes'], {
+      unique: true,
+      name: 'renewal_alert_once'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('RenewalAlert');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_RenewalAlert_entityType"');
+
+    await queryInterface.removeColumn('ClientService', 'diasPreaviso');
+    await queryInterface.removeColumn('ClientService', 'renovacionAutomatica');
+
+    await queryInterface.removeColumn('Client', 'contratoDiasPreaviso');
+    await queryInterface.removeColumn('Client', 'contratoRenovacionAutomatica');
+    await queryInterface.removeColumn('Client', 'contratoFechaFin');
+    await queryInterface.removeColumn('Client', 'contratoFechaInicio');
+  }
+};
@@ -0,0 +1,196 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('ClientAction', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      tenantId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Tenant',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      clientId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Client',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      accion: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      vendedorId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Salesperson',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      tecnicoId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Technician',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      prioridad: {
+        type: Sequelize.ENUM('baja', 'media', 'alta'),
+        allowNull: false,
+        defaultValue: 'media'
+      },
+      fechaVencimiento: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      estado: {
+        type: Sequelize.ENUM('pendiente', 'en_progreso', 'completada', 'cancelada'),
+        allowNull: false,
+        defaultValue: 'pendiente'
+      },
+      completedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('ClientAction', ['tenantId', 'clientId']);
+    await queryInterface.addIndex('ClientAction', ['vendedorId', 'estado']);
+    await queryInterface.addIndex('ClientAction', ['tecnicoId', 'estado']);
+
+    await queryInterface.createTable('ClientActionComment', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      tenantId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Tenant',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      clientActionId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'ClientAction',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      comment: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      authorId: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      authorEmail: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('ClientActionComment', ['clientActionId', 'createdAt']);
+
+    // Existing pending actions become actions assigned to the client's salesperson.
+    // Entries without a description are dropped; unknown statuses become pending.
+    await queryInterface.sequelize.query(`
+      INSERT INTO "ClientAction" (id, "tenantId", "clientId", accion, "vendedorId", "fechaVencimiento", estado, "completedAt", "createdAt", "updatedAt")
+      SELECT
+        gen_random_uuid(),
+        c."tenantId",
+        c.id,
+        entry->>'action',
+        c."vendedorId",
+        CASE WHEN entry->>'dueDate' ~ '^\\d{4}-\\d{2}-\\d{2}' THEN substring(entry->>'dueDate' from 1 for 10)::date END,
+        (CASE lower(coalesce(entry->>'status', ''))
+          WHEN 'in_progress' THEN 'en_progreso'
+          WHEN 'en_progreso' THEN 'en_progreso'
+          WHEN 'done' THEN 'completada'
+          WHEN 'completed' THEN 'completada'
+          WHEN 'completada' THEN 'completada'
+          WHEN 'completado' THEN 'completada'
+          WHEN 'cancelled' THEN 'cancelada'
+          WHEN 'canceled' THEN 'cancelada'
+          WHEN 'cancelada' THEN 'cancelada'
+          ELSE 'pendiente'
+        END)::"enum_ClientAction_estado",
+        CASE WHEN lower(coalesce(entry->>'status', '')) IN ('done', 'completed', 'completada', 'completado') THEN NOW() END,
+        NOW(),
+        NOW()
+      FROM "Client" c
+      CROSS JOIN LATERAL jsonb_array_elements(c."accionesPendientes") AS entry
+      WHERE jsonb_typeof(c."accionesPendientes") = 'array'
+        AND jsonb_typeof(entry) = 'object'
+        AND coalesce(trim(entry->>'action'), '') <> ''
+    `);
+
+    await queryInterface.removeColumn('Client', 'accionesPendientes');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Client', 'accionesPendientes', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+
+    // Back to [{ action, dueDate, status }]; comments, assignees and priorities are lost
+    await queryInterface.sequelize.query(`
+      UPDATE "Client" c
+      SET "accionesPendientes" = actions.entries
+      FROM (
+        SELECT "clientId", jsonb_agg(jsonb_build_object(
+          'action', accion,
+          'dueDate', "fechaVencimiento",
+          'status', estado::text
+        ) ORDER BY "createdAt") AS entries
+        FROM "ClientAction"
+        GROUP BY "clientId"
+      ) AS actions
+      WHERE actions."clientId" = c.id
+    `);
+
+    await queryInterface.dropTable('ClientActionComment');
+    await queryInterface.dropTable('ClientAction');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ClientAction_prioridad"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ClientAction_estado"');
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Token a tenant publishes in a DNS TXT record to prove it owns its domain
+    await queryInterface.addColumn('Tenant', 'domainVerificationToken', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    // When the domain was verified; users only join by domain once it is
+    await queryInterface.addColumn('Tenant', 'domainVerifiedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('Tenant', 'domainVerifiedAt');
+    await queryInterface.removeColumn('Tenant', 'domainVerificationToken');
+  }
+};
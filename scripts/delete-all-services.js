@@ -22,7 +22,8 @@ async function deleteAllServices() {
     // Delete all services
     const result = await Service.destroy({ 
       where: {},  // Empty where clause matches all records
-      cascade: true // Enable cascading deletes
+      cascade: true, // Enable cascading deletes
+      force: true // Skip the trash
     });
     
     console.log(`\nSuccessfully deleted ${result} service records`);
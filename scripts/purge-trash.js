@@ -0,0 +1,28 @@
+/**
+ * Script to permanently delete trashed records older than each tenant's retention period
+ * (Tenant.settings.trashRetentionDays, TRASH_RETENTION_DAYS or 30 days).
+ * Meant to run daily, e.g. from a scheduler.
+ */
+require('dotenv').config();
+const db = require('../src/models');
+const trashService = require('../src/services/trash');
+
+async function purgeTrash() {
+  try {
+    // Connect to database
+    await db.sequelize.authenticate();
+    console.log('Connected to database');
+
+    const purged = await trashService.purgeExpired();
+    console.log(`Purged ${purged} records from the trash`);
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    process.exitCode = 1;
+  } finally {
+    // Close the connection
+    await db.sequelize.close();
+  }
+}
+
+// Run the function
+purgeTrash();
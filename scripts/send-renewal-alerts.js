@@ -0,0 +1,35 @@
+/**
+ * Script to email the salesperson and technician of each client whose support
+ * contract or services expire in 90, 60 or 30 days. Each alert is sent once,
+ * so missed days are caught up on the next run.
+ * Meant to run daily, e.g. from a scheduler.
+ */
+require('dotenv').config();
+const db = require('../src/models');
+const renewalService = require('../src/services/renewals');
+
+async function sendRenewalAlerts() {
+  try {
+    // Connect to database
+    await db.sequelize.authenticate();
+    console.log('Connected to database');
+
+    const { sent, skipped, failed } = await renewalService.sendDueAlerts();
+    console.log(`Sent ${sent} renewal alerts (${skipped} without a salesperson or technician to notify)`);
+
+    // Failed alerts are retried on the next run
+    if (failed > 0) {
+      console.error(`${failed} renewal alerts failed and will be retried on the next run`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Error sending renewal alerts:', error);
+    process.exitCode = 1;
+  } finally {
+    // Close the connection
+    await db.sequelize.close();
+  }
+}
+
+// Run the function
+sendRenewalAlerts();
@@ -10,13 +10,18 @@ import Auth0ProviderWithHistory from './auth/Auth0Provider.jsx';
 import AuthCallback from './auth/AuthCallback.jsx';
 import ProtectedRoute from './auth/ProtectedRoute.jsx';
 import AuthInitializer from './auth/AuthInitializer.jsx';
+import AcceptInvitation from './auth/AcceptInvitation.jsx';
 
 // Components
 import SideMenu from './common/components/SideMenu.jsx';
+import usePermissions from './common/hooks/usePermissions';
 
 // Placeholder Components - Dashboard
 import Dashboard from './modules/dashboard/Dashboard.jsx';
 
+// Personal landing page
+import MyPage from './modules/me/MyPage.jsx';
+
 // Admin Tools Components
 import TabsAdminToolsView from './modules/admin/TabsAdminToolsView.jsx';
 
@@ -24,6 +29,7 @@ import TabsAdminToolsView from './modules/admin/TabsAdminToolsView.jsx';
 import SalespersonManagement from './modules/salespersons/SalespersonManagement.jsx';
 import SalespersonFullDetail from './modules/salespersons/SalespersonFullDetail.jsx';
 import SalespersonEdit from './modules/salespersons/SalespersonEdit.jsx';
+import TeamManagement from './modules/salespersons/TeamManagement.jsx';
 
 // Placeholder Components - Objectives
 import TabsObjectivesView from './modules/objectives/TabsObjectivesView.jsx';
@@ -107,6 +113,17 @@ const ClientEditRedirect = () => {
   );
 };
 
+// Home Redirect Component - sends users without dashboard access to their personal page
+const HomeRedirect = () => {
+  const { can, isLoading } = usePermissions();
+  
+  if (isLoading) {
+    return null;
+  }
+  
+  return <Navigate to={can('dashboard:read') ? '/dashboard' : '/me'} replace />;
+};
+
 // App Component
 const App = () => {
   return (
@@ -117,6 +134,9 @@ const App = () => {
             <Routes>
               {/* Auth0 Callback Route */}
               <Route path="/callback" element={<AuthCallback />} />
+
+              {/* Invitation links (public, the token is the credential) */}
+              <Route path="/invitations/accept" element={<AcceptInvitation />} />
               
               {/* Protected Routes */}
               <Route path="/" element={
@@ -125,15 +145,19 @@ const App = () => {
                 </ProtectedRoute>
               }>
               {/* Dashboard Routes */}
-              <Route index element={<Navigate to="/dashboard" replace />} />
+              <Route index element={<HomeRedirect />} />
               <Route path="dashboard" element={<Dashboard />} />
               
+              {/* Personal Routes */}
+              <Route path="me" element={<MyPage />} />
+              
               {/* Admin Tools Routes */}
               <Route path="admin" element={<TabsAdminToolsView />} />
               
               {/* Salespersons Routes */}
               <Route path="salespersons" element={<SalespersonManagement />} />
               <Route path="salespersons/new" element={<SalespersonEdit />} />
+              <Route path="salespersons/teams" element={<TeamManagement />} />
               <Route path="salespersons/:id" element={<SalespersonFullDetail />} />
               <Route path="salespersons/:id/edit" element={<SalespersonEdit />} />
               
@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth0 } from '@auth0/auth0-react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import { apiGet, authFetch, setCurrentTenantId } from '../common/utils/fetch-wrapper';
+
+/**
+ * Landing page for invitation links. Shows the invitation, asks the user to
+ * log in or sign up, and accepts it with the signed-in Auth0 account.
+ */
+const AcceptInvitation = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { isLoading: authLoading, isAuthenticated, loginWithRedirect } = useAuth0();
+
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState(token ? null : 'The invitation link is missing its token.');
+  const [accepting, setAccepting] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+
+    apiGet(`/api/auth/invitations/${encodeURIComponent(token)}`)
+      .then(data => setInvitation(data.invitation))
+      .catch(err => setError(err.message));
+  }, [token]);
+
+  const handleLogin = (isSignup) => {
+    loginWithRedirect({
+      authorizationParams: {
+        ...(isSignup && { screen_hint: 'signup' }),
+        ...(!isSignup && invitation && { login_hint: invitation.email })
+      },
+      appState: {
+        // Come back here with the token so the invitation can be accepted
+        returnTo: `${window.location.pathname}${window.location.search}`
+      }
+    });
+  };
+
+  const handleAccept = async () => {
+    setAccepting(true);
+    try {
+      const data = await authFetch('/api/auth/invitations/accept', {
+        method: 'POST',
+        body: JSON.stringify({ token })
+      });
+      // Open the tenant the user just joined
+      setCurrentTenantId(data.tenant.id);
+      queryClient.clear();
+      navigate('/', { replace: true });
+    } catch (err) {
+      setError(err.message);
+      setAccepting(false);
+    }
+  };
+
+  if (authLoading || (!invitation && !error)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center">
+          <div className="inline-block h-10 w-10 animate-spin rounded-full border-4 border-solid border-[#F58220] border-r-transparent mb-4"></div>
+          <p className="text-lg text-[#4A453F]">Loading invitation...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center bg-white p-8 rounded-lg shadow-md max-w-md">
+          <h1 className="text-2xl font-bold text-red-600 mb-4">Invitation unavailable</h1>
+          <p className="text-gray-700 mb-6">{error}</p>
+          <p className="text-sm text-gray-500 mb-6">
+            Ask an administrator of the organization to send you a new invitation.
+          </p>
+          <a
+            href="/"
+            className="bg-[#F58220] text-white px-4 py-2 rounded-md hover:bg-[#e67812] transition-colors"
+          >
+            Return to Home
+          </a>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50">
+      <div className="text-center bg-white p-8 rounded-lg shadow-md max-w-md">
+        <h1 className="text-2xl font-bold text-[#4A453F] mb-4">
+          Join {invitation.tenant.name}
+        </h1>
+        <p className="text-gray-600 mb-2">
+          <strong>{invitation.email}</strong> has been invited as <strong>{invitation.role}</strong>.
+        </p>
+        <p className="text-sm text-gray-500 mb-6">
+          This invitation expires on {new Date(invitation.expiresAt).toLocaleDateString()}.
+        </p>
+
+        {isAuthenticated ? (
+          <button
+            onClick={handleAccept}
+            disabled={accepting}
+            className="bg-[#F58220] text-white px-6 py-2 rounded-md hover:bg-[#e67812] transition-colors disabled:opacity-50"
+          >
+            {accepting ? 'Accepting...' : 'Accept Invitation'}
+          </button>
+        ) : (
+          <div className="flex gap-4 justify-center">
+            <button
+              onClick={() => handleLogin(false)}
+              className="bg-[#F58220] text-white px-6 py-2 rounded-md hover:bg-[#e67812] transition-colors"
+            >
+              Log In
+            </button>
+            <button
+              onClick={() => handleLogin(true)}
+              className="px-6 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+            >
+              Sign Up
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
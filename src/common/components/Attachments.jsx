@@ -0,0 +1,135 @@
+import React, { useRef } from 'react';
+import { toast } from 'react-hot-toast';
+import useFetchAttachments from '../hooks/useFetchAttachments';
+import useSaveAttachments from '../hooks/useSaveAttachments';
+import { authFetch } from '../utils/fetch-wrapper';
+import { buildApiUrl } from '../utils/apiConfig';
+import { formatDate } from '../utils/formatters';
+
+/**
+ * Human-readable file size
+ */
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Attachments component: the files attached to a record, downloaded through
+ * short-lived signed links, with an upload button and delete links for users
+ * who may change them (and, per file, may delete it).
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.entityType - qualitative_objective, technician_objective,
+ *   technician_evaluation or client_relevamiento
+ * @param {string} props.entityId - ID of the record (the client, for a relevamiento)
+ * @param {boolean} [props.canEdit=false] - Whether to offer uploading and deleting files
+ * @param {string} [props.title='Attachments'] - Heading of the list
+ * @returns {JSX.Element} The Attachments component
+ */
+const Attachments = ({ entityType, entityId, canEdit = false, title = 'Attachments' }) => {
+  const inputRef = useRef(null);
+  const { data, isLoading, error } = useFetchAttachments(entityType, entityId);
+  const { uploadAttachments, deleteAttachment } = useSaveAttachments(entityType, entityId);
+
+  const handleFiles = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length === 0) return;
+
+    uploadAttachments.mutate(files, {
+      onSuccess: (result) => toast.success(`${result.data.count} file${result.data.count === 1 ? '' : 's'} uploaded`),
+      onError: (err) => toast.error(err.message),
+      // The same file can be picked again after a failed upload
+      onSettled: () => { if (inputRef.current) inputRef.current.value = ''; }
+    });
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const result = await authFetch(`/api/attachments/${attachment.id}/url`);
+      const { url } = result.data;
+      window.open(url.startsWith('/api/') ? buildApiUrl(url) : url, '_blank', 'noopener,noreferrer');
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDelete = (attachment) => {
+    if (!window.confirm(`Delete the file "${attachment.filename}"?`)) return;
+
+    deleteAttachment.mutate(attachment.id, {
+      onSuccess: () => toast.success('File deleted'),
+      onError: (err) => toast.error(err.message)
+    });
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="text-sm font-semibold text-[#4A453F]">{title}</h4>
+        {canEdit && (
+          <>
+            <input
+              ref={inputRef}
+              type="file"
+              multiple
+              onChange={handleFiles}
+              className="hidden"
+              aria-label={`Upload files to ${title}`}
+            />
+            <button
+              type="button"
+              onClick={() => inputRef.current?.click()}
+              disabled={uploadAttachments.isPending}
+              className="px-3 py-1 text-sm bg-[#F58220] text-white rounded-md hover:bg-[#e67812] disabled:opacity-50"
+            >
+              {uploadAttachments.isPending ? 'Uploading...' : '+ Add Files'}
+            </button>
+          </>
+        )}
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading files...</p>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error.message || 'Failed to load files'}</p>
+      ) : !data?.rows.length ? (
+        <p className="text-sm text-gray-500">No files attached.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-[#D3D0CD] rounded-md">
+          {data.rows.map(attachment => (
+            <li key={attachment.id} className="flex items-center gap-3 px-3 py-2 text-sm text-[#4A453F]">
+              <div className="flex-1 min-w-0">
+                <button
+                  type="button"
+                  onClick={() => handleDownload(attachment)}
+                  className="font-medium hover:text-[#F58220] truncate block max-w-full text-left"
+                >
+                  {attachment.filename}
+                </button>
+                <div className="text-xs text-gray-500">
+                  {formatSize(attachment.size)} · {attachment.uploadedByEmail || 'unknown'} · {formatDate(attachment.createdAt)}
+                  {attachment.scanStatus === 'not_scanned' && ' · not scanned'}
+                </div>
+              </div>
+              {canEdit && attachment.canDelete && (
+                <button
+                  type="button"
+                  onClick={() => handleDelete(attachment)}
+                  disabled={deleteAttachment.isPending}
+                  className="text-red-600 hover:text-red-800 text-xs"
+                  aria-label={`Delete ${attachment.filename}`}
+                >
+                  Delete
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Attachments;
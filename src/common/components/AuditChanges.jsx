@@ -0,0 +1,50 @@
+import React from 'react';
+
+/**
+ * Format a changed value for display
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * AuditChanges component listing the before/after values of an audit entry
+ * @param {Object} props - Component props
+ * @param {Object} props.entry - Audit log entry
+ * @returns {JSX.Element} The AuditChanges component
+ */
+const AuditChanges = ({ entry }) => {
+  const fields = Object.keys(entry.changes || {});
+
+  if (fields.length === 0) {
+    return <p className="text-xs text-gray-500">No field changes recorded</p>;
+  }
+
+  return (
+    <ul className="space-y-1">
+      {fields.map(field => {
+        const { before, after } = entry.changes[field];
+        return (
+          <li key={field} className="text-xs text-[#4A453F] break-words">
+            <span className="font-medium">{field}</span>:{' '}
+            {entry.action === 'create' ? (
+              <span className="text-green-700">{formatValue(after)}</span>
+            ) : entry.action === 'delete' ? (
+              <span className="text-red-600 line-through">{formatValue(before)}</span>
+            ) : (
+              <>
+                <span className="text-red-600 line-through">{formatValue(before)}</span>
+                {' → '}
+                <span className="text-green-700">{formatValue(after)}</span>
+              </>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default AuditChanges;
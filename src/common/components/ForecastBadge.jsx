@@ -0,0 +1,51 @@
+import React from 'react';
+import { formatPercentage } from '../utils/formatters';
+
+/**
+ * Forecast methods offered by the API
+ */
+export const FORECAST_METHODS = [
+  { value: 'linear', label: 'Linear run-rate' },
+  { value: 'trailing3', label: 'Trailing 3 months' },
+  { value: 'seasonal', label: 'Seasonality-weighted' }
+];
+
+const TRACKS = {
+  on_track: { label: 'On track', className: 'bg-green-100 text-green-700' },
+  at_risk: { label: 'At risk', className: 'bg-yellow-100 text-yellow-700' },
+  off_track: { label: 'Off track', className: 'bg-red-100 text-red-700' },
+  not_started: { label: 'No data yet', className: 'bg-gray-100 text-gray-600' }
+};
+
+/**
+ * ForecastBadge component: on track / at risk / off track badge of an
+ * objective forecast, with the probabilities of reaching the target and the
+ * minimum acceptable on hover
+ *
+ * @param {Object} props - Component props
+ * @param {Object} [props.forecast] - Forecast as returned by the API
+ *   ({ track, probabilityOfTarget, probabilityOfMinimum })
+ * @returns {JSX.Element|null} The ForecastBadge component
+ */
+const ForecastBadge = ({ forecast }) => {
+  if (!forecast) return null;
+
+  const track = TRACKS[forecast.track] || TRACKS.not_started;
+  const title = forecast.probabilityOfTarget === null
+    ? 'No progress recorded yet'
+    : [
+      `${formatPercentage(forecast.probabilityOfTarget, 0)} chance of reaching the target`,
+      forecast.probabilityOfMinimum !== null && `${formatPercentage(forecast.probabilityOfMinimum, 0)} of reaching the minimum`
+    ].filter(Boolean).join(', ');
+
+  return (
+    <span
+      className={`text-xs px-1.5 py-0.5 rounded-full whitespace-nowrap ${track.className}`}
+      title={title}
+    >
+      {track.label}
+    </span>
+  );
+};
+
+export default ForecastBadge;
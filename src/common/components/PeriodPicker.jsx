@@ -0,0 +1,111 @@
+import React from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { authFetch } from '../utils/fetch-wrapper';
+import usePermissions from '../hooks/usePermissions';
+
+const PERIOD_TYPES = [
+  { value: 'month', label: 'Month' },
+  { value: 'quarter', label: 'Quarter' },
+  { value: 'half', label: 'Half' },
+  { value: 'year', label: 'Fiscal Year' }
+];
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * PeriodPicker component: choose a month, fiscal quarter, half or fiscal year
+ * and step to the previous or next one. Tenant managers can also set the
+ * month the fiscal year starts in.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} [props.period] - Selected period as returned by the API
+ *   ({ type, key, label, previous, next, fiscalYearStartMonth })
+ * @param {Function} props.onChange - Called with the requested period, e.g. 'quarter' or 'FY2026-Q2'
+ * @returns {JSX.Element} The PeriodPicker component
+ */
+const PeriodPicker = ({ period, onChange }) => {
+  const queryClient = useQueryClient();
+  const { can } = usePermissions();
+
+  const fiscalYearMutation = useMutation({
+    mutationFn: (fiscalYearStartMonth) => authFetch('/api/tenants/current', {
+      method: 'PUT',
+      body: JSON.stringify({ settings: { fiscalYearStartMonth } })
+    }),
+    onSuccess: () => {
+      toast.success('Fiscal year updated');
+      // Every period-based figure changes with the fiscal year
+      queryClient.invalidateQueries();
+    },
+    onError: (err) => toast.error(err.message),
+  });
+
+  const buttonClass = (active) => `px-4 py-2 text-sm font-medium border border-[#D3D0CD] ${
+    active ? 'bg-[#F58220] text-white' : 'bg-white text-[#4A453F] hover:bg-[#D3D0CD]'
+  }`;
+
+  return (
+    <div className="flex flex-col md:flex-row md:items-center gap-4">
+      <div className="inline-flex rounded-md shadow-sm">
+        {PERIOD_TYPES.map((type, index) => (
+          <button
+            key={type.value}
+            type="button"
+            className={`${buttonClass(period?.type === type.value)} ${
+              index === 0 ? 'rounded-l-md' : index === PERIOD_TYPES.length - 1 ? 'rounded-r-md' : ''
+            }`}
+            onClick={() => onChange(type.value)}
+          >
+            {type.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={() => onChange(period.previous)}
+          disabled={!period}
+          className="px-2 py-1 text-[#4A453F] border border-[#D3D0CD] rounded-md hover:bg-[#D3D0CD] disabled:opacity-50"
+          aria-label="Previous period"
+        >
+          ‹
+        </button>
+        <span className="min-w-[8rem] text-center text-sm font-medium text-[#4A453F]">
+          {period?.label || '...'}
+        </span>
+        <button
+          type="button"
+          onClick={() => onChange(period.next)}
+          disabled={!period}
+          className="px-2 py-1 text-[#4A453F] border border-[#D3D0CD] rounded-md hover:bg-[#D3D0CD] disabled:opacity-50"
+          aria-label="Next period"
+        >
+          ›
+        </button>
+      </div>
+
+      {can('tenant:manage') && period && (
+        <label className="flex items-center gap-2 text-sm text-[#4A453F]">
+          Fiscal year starts in
+          <select
+            value={period.fiscalYearStartMonth}
+            onChange={(e) => fiscalYearMutation.mutate(parseInt(e.target.value, 10))}
+            disabled={fiscalYearMutation.isPending}
+            className="px-2 py-1 text-sm border border-[#D3D0CD] rounded-md focus:outline-none focus:ring-1 focus:ring-[#F58220]"
+          >
+            {MONTHS.map((month, index) => (
+              <option key={month} value={index + 1}>{month}</option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default PeriodPicker;
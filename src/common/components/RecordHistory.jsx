@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import useFetchAuditLog from '../hooks/useFetchAuditLog';
+import usePermissions from '../hooks/usePermissions';
+import AuditChanges from './AuditChanges';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  restore: 'Restored'
+};
+
+/**
+ * RecordHistory component showing the audit trail of a single record.
+ * Renders nothing for users without the audit:read permission.
+ * @param {Object} props - Component props
+ * @param {String|Array<String>} props.entity - Model name(s), e.g. 'Client'
+ * @param {String|Array<String>} props.entityId - Record ID(s); related records can be
+ * included, e.g. a salesperson and their objective assignments
+ * @returns {JSX.Element|null} The RecordHistory component
+ */
+const RecordHistory = ({ entity, entityId }) => {
+  const { can } = usePermissions();
+  const [expandedId, setExpandedId] = useState(null);
+  const canReadAudit = can('audit:read');
+
+  const { data, isLoading, error } = useFetchAuditLog({
+    filters: {
+      entity: [].concat(entity).join(','),
+      entityId: [].concat(entityId).filter(Boolean).join(',')
+    },
+    limit: 20,
+    enabled: canReadAudit && [].concat(entityId).some(Boolean),
+  });
+
+  if (!canReadAudit) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white border border-neutral-light rounded-lg p-4">
+      <h2 className="text-lg font-medium text-neutral-dark mb-4">History</h2>
+
+      {isLoading ? (
+        <p className="text-sm text-[#4A453F]">Loading...</p>
+      ) : error ? (
+        <p className="text-sm text-red-500">Error loading history</p>
+      ) : !data?.rows?.length ? (
+        <p className="text-sm text-gray-500">No changes recorded yet.</p>
+      ) : (
+        <ul className="space-y-3">
+          {data.rows.map(entry => (
+            <li key={entry.id} className="border-l-2 border-[#D3D0CD] pl-3">
+              <button
+                onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                className="text-left w-full"
+                aria-expanded={expandedId === entry.id}
+              >
+                <p className="text-sm font-medium text-[#4A453F]">
+                  {ACTION_LABELS[entry.action] || entry.action}
+                  {[].concat(entity).length > 1 && ` ${entry.entity}`} by {entry.actorEmail || 'system'}
+                </p>
+                <p className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleString()}</p>
+              </button>
+              {expandedId === entry.id && (
+                <div className="mt-2">
+                  <AuditChanges entry={entry} />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RecordHistory;
@@ -1,8 +1,10 @@
 import React, { useState } from 'react';
 import { Link, NavLink, useLocation } from 'react-router-dom';
 import useFetchSalespersons from '../hooks/useFetchSalespersons';
+import usePermissions from '../hooks/usePermissions';
 import logoImage from '../../assets/logo.png';
 import UserProfile from '../../auth/UserProfile.jsx';
+import TenantSwitcher from './TenantSwitcher.jsx';
 
 /**
  * SideMenu component for navigation
@@ -12,6 +14,7 @@ const SideMenu = () => {
   console.log('Rendering SideMenu');
   const location = useLocation();
   const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const { can, canViewAll } = usePermissions();
   
   // Fetch list of salespersons for the bottom section
   const { data: salespersons, isLoading, error } = useFetchSalespersons(
@@ -69,99 +72,126 @@ const SideMenu = () => {
           />
         </div>
         
+        {/* Tenant switcher (only shown with several memberships) */}
+        <TenantSwitcher />
+        
         {/* Navigation links */}
         <nav className="px-4 py-4">
           <ul className="space-y-2">
             <li>
               <NavLink
-                to="/dashboard"
-                className={`block px-4 py-2 ${getActiveClass('/dashboard')}`}
+                to="/me"
+                className={`block px-4 py-2 ${getActiveClass('/me')}`}
                 onClick={() => setIsMenuOpen(false)}
-                aria-label="Dashboard"
+                aria-label="My Page"
               >
-                Dashboard
-              </NavLink>
-            </li>
-            <li>
-              <NavLink
-                to="/salespersons"
-                className={`block px-4 py-2 ${getActiveClass('/salespersons')}`}
-                onClick={() => setIsMenuOpen(false)}
-                aria-label="Salespersons"
-              >
-                Salespersons
-              </NavLink>
-            </li>
-            <li>
-              <NavLink
-                to="/client-matrix/technicians"
-                className={`block px-4 py-2 ${getActiveClass('/client-matrix/technicians')}`}
-                onClick={() => setIsMenuOpen(false)}
-                aria-label="Technicians"
-              >
-                Technicians
-              </NavLink>
-            </li>
-            <li>
-              <NavLink
-                to="/objectives"
-                className={`block px-4 py-2 ${getActiveClass('/objectives')}`}
-                onClick={() => setIsMenuOpen(false)}
-                aria-label="Objectives"
-              >
-                Objectives
-              </NavLink>
-            </li>
-            <li>
-              <NavLink
-                to="/client-matrix"
-                className={`block px-4 py-2 ${getActiveClass('/client-matrix')}`}
-                onClick={() => setIsMenuOpen(false)}
-                aria-label="Client Matrix"
-              >
-                Client Matrix
-              </NavLink>
-            </li>
-            <li>
-              <NavLink
-                to="/admin"
-                className={`block px-4 py-2 ${getActiveClass('/admin')}`}
-                onClick={() => setIsMenuOpen(false)}
-                aria-label="System Settings"
-              >
-                System Settings
+                My Page
               </NavLink>
             </li>
+            {can('dashboard:read') && (
+              <li>
+                <NavLink
+                  to="/dashboard"
+                  className={`block px-4 py-2 ${getActiveClass('/dashboard')}`}
+                  onClick={() => setIsMenuOpen(false)}
+                  aria-label="Dashboard"
+                >
+                  Dashboard
+                </NavLink>
+              </li>
+            )}
+            {can('salespersons:read') && (
+              <li>
+                <NavLink
+                  to="/salespersons"
+                  className={`block px-4 py-2 ${getActiveClass('/salespersons')}`}
+                  onClick={() => setIsMenuOpen(false)}
+                  aria-label="Salespersons"
+                >
+                  Salespersons
+                </NavLink>
+              </li>
+            )}
+            {can('technicians:read') && (
+              <li>
+                <NavLink
+                  to="/client-matrix/technicians"
+                  className={`block px-4 py-2 ${getActiveClass('/client-matrix/technicians')}`}
+                  onClick={() => setIsMenuOpen(false)}
+                  aria-label="Technicians"
+                >
+                  Technicians
+                </NavLink>
+              </li>
+            )}
+            {can('objectives:read') && (
+              <li>
+                <NavLink
+                  to="/objectives"
+                  className={`block px-4 py-2 ${getActiveClass('/objectives')}`}
+                  onClick={() => setIsMenuOpen(false)}
+                  aria-label="Objectives"
+                >
+                  Objectives
+                </NavLink>
+              </li>
+            )}
+            {can('clients:read') && (
+              <li>
+                <NavLink
+                  to="/client-matrix"
+                  className={`block px-4 py-2 ${getActiveClass('/client-matrix')}`}
+                  onClick={() => setIsMenuOpen(false)}
+                  aria-label="Client Matrix"
+                >
+                  Client Matrix
+                </NavLink>
+              </li>
+            )}
+            {can('tenant:manage') && (
+              <li>
+                <NavLink
+                  to="/admin"
+                  className={`block px-4 py-2 ${getActiveClass('/admin')}`}
+                  onClick={() => setIsMenuOpen(false)}
+                  aria-label="System Settings"
+                >
+                  System Settings
+                </NavLink>
+              </li>
+            )}
           </ul>
         </nav>
         
-        {/* Bottom section - Salespersons list */}
-        <div className="px-4 py-4 mt-4 border-t border-[#D3D0CD]">
-          <h3 className="text-sm font-medium text-[#4A453F] mb-2">Salespersons</h3>
+        {/* Bottom section - Salespersons list (only for users who can see every salesperson) */}
+        {canViewAll('salespersons:read') && (
+          <div className="px-4 py-4 mt-4 border-t border-[#D3D0CD]">
+            <h3 className="text-sm font-medium text-[#4A453F] mb-2">Salespersons</h3>
           
-          {isLoading ? (
-            <p className="text-sm text-[#4A453F]">Loading...</p>
-          ) : error ? (
-            <p className="text-sm text-red-500">Error loading salespersons</p>
-          ) : (
-            <ul className="space-y-1">
-              {salespersons &&
-                salespersons.rows &&
-                salespersons.rows.map((salesperson) => (
-                  <li key={salesperson.id}>
-                    <Link
-                      to={`/salespersons/${salesperson.id}`}
-                      className="block px-4 py-1 text-sm hover:bg-[#D3D0CD] rounded-md"
-                      onClick={() => setIsMenuOpen(false)}
-                      aria-label={`View ${salesperson.nombre}'s profile`}
-                    >
-                      {salesperson.nombre}
-                    </Link>
-                  </li>
-                ))}
-            </ul>
-          )}
-        </div>
+            {isLoading ? (
+              <p className="text-sm text-[#4A453F]">Loading...</p>
+            ) : error ? (
+              <p className="text-sm text-red-500">Error loading salespersons</p>
+            ) : (
+              <ul className="space-y-1">
+                {salespersons &&
+                  salespersons.rows &&
+                  salespersons.rows.map((salesperson) => (
+                    <li key={salesperson.id}>
+                      <Link
+                        to={`/salespersons/${salesperson.id}`}
+                        className="block px-4 py-1 text-sm hover:bg-[#D3D0CD] rounded-md"
+                        onClick={() => setIsMenuOpen(false)}
+                        aria-label={`View ${salesperson.nombre}'s profile`}
+                      >
+                        {salesperson.nombre}
+                      </Link>
+                    </li>
+                  ))}
+              </ul>
+            )}
+          </div>
+        )}
         
         {/* User Profile section */}
         <div className="px-4 py-4 mt-4 border-t border-[#D3D0CD]">
@@ -0,0 +1,40 @@
+import React from 'react';
+import useFetchTeams from '../hooks/useFetchTeams';
+
+/**
+ * TeamFilter component: select limiting a view to a team. Managers of a team
+ * only get their teams to choose from; nothing is rendered while the tenant
+ * has no teams.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.id - ID of the select, for its label
+ * @param {string} props.value - Selected team ID ('' for all teams)
+ * @param {Function} props.onChange - Called with the selected team ID ('' for all teams)
+ * @param {string} [props.label='Team'] - Label shown next to the select
+ * @param {string} [props.className] - Classes of the select
+ * @returns {JSX.Element|null} The TeamFilter component
+ */
+const TeamFilter = ({ id, value, onChange, label = 'Team', className }) => {
+  const { data: teams } = useFetchTeams();
+
+  if (!teams || teams.rows.length === 0) return null;
+
+  return (
+    <div className="flex items-center gap-2">
+      <label htmlFor={id} className="text-sm font-medium text-[#4A453F]">{label}</label>
+      <select
+        id={id}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className={className || 'border border-[#D3D0CD] rounded-md px-3 py-2 text-sm text-[#4A453F] focus:outline-none focus:ring-2 focus:ring-[#F58220]'}
+      >
+        <option value="">All Teams</option>
+        {teams.rows.map(team => (
+          <option key={team.id} value={team.id}>{team.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default TeamFilter;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import useMemberships from '../hooks/useMemberships';
+import { setCurrentTenantId } from '../utils/fetch-wrapper';
+
+/**
+ * Tenant switcher for users who belong to more than one tenant
+ * @returns {JSX.Element|null} The TenantSwitcher component
+ */
+const TenantSwitcher = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { memberships, currentTenantId } = useMemberships();
+
+  if (memberships.length < 2) {
+    return null;
+  }
+
+  // Without a selection the API uses the oldest membership, which is listed first
+  const selectedTenantId = currentTenantId || memberships[0].tenant.id;
+
+  const handleChange = (e) => {
+    setCurrentTenantId(e.target.value);
+    navigate('/');
+    // Drop every cached query so no data from the previous tenant is shown;
+    // active queries refetch for the new tenant
+    queryClient.resetQueries();
+  };
+
+  return (
+    <div className="px-4 py-3 border-b border-[#D3D0CD]">
+      <label htmlFor="tenant-switcher" className="block text-xs font-medium text-[#4A453F] mb-1">
+        Organization
+      </label>
+      <select
+        id="tenant-switcher"
+        value={selectedTenantId}
+        onChange={handleChange}
+        className="w-full px-2 py-1 text-sm border border-[#D3D0CD] rounded-md focus:outline-none focus:ring-1 focus:ring-[#F58220]"
+      >
+        {memberships.map((membership) => (
+          <option key={membership.tenant.id} value={membership.tenant.id}>
+            {membership.tenant.name} ({membership.role})
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default TenantSwitcher;
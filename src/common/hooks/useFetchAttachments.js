@@ -0,0 +1,25 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the files attached to a record
+ *
+ * @param {string} entityType - qualitative_objective, technician_objective,
+ *   technician_evaluation or client_relevamiento
+ * @param {string} entityId - ID of the record (the client, for a relevamiento)
+ * @returns {object} Query result; data is { count, rows }, newest first
+ */
+const useFetchAttachments = (entityType, entityId) => {
+  return useQuery({
+    queryKey: ['attachments', entityType, entityId],
+    queryFn: async () => {
+      const params = new URLSearchParams({ entityType, entityId });
+      const data = await authFetch(`/api/attachments?${params.toString()}`);
+      return data.success ? data.data : Promise.reject(data.error);
+    },
+    enabled: !!entityId,
+    refetchOnWindowFocus: false
+  });
+};
+
+export default useFetchAttachments;
@@ -0,0 +1,35 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../utils/fetch-wrapper';
+
+/**
+ * Custom hook for fetching audit log entries
+ * @param {Object} params - Query parameters
+ * @param {Object} params.filters - Optional filters (entity, entityId, actor, action, from, to)
+ * @param {Number} params.page - Page number for pagination
+ * @param {Number} params.limit - Items per page for pagination
+ * @param {Boolean} params.enabled - Whether the query should run
+ * @returns {Object} Query result object with data ({ count, rows }), isLoading, and error
+ */
+const useFetchAuditLog = ({
+  filters = {},
+  page = 1,
+  limit = 50,
+  enabled = true,
+} = {}) => {
+  const queryString = Object.entries({ ...filters, page, limit })
+    .filter(([_, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  return useQuery({
+    queryKey: ['auditLog', filters, page, limit],
+    queryFn: async () => {
+      const data = await authFetch(`/api/audit?${queryString}`);
+      return data;
+    },
+    select: (data) => data.data,
+    enabled,
+  });
+};
+
+export default useFetchAuditLog;
@@ -0,0 +1,22 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the teams of the tenant with their members
+ *
+ * @param {object} [options] - React Query options (e.g. enabled)
+ * @returns {object} Query result; data is { count, rows }
+ */
+const useFetchTeams = (options = {}) => {
+  return useQuery({
+    queryKey: ['teams'],
+    queryFn: async () => {
+      const data = await authFetch('/api/teams');
+      return data.success ? data.data : Promise.reject(data.error);
+    },
+    refetchOnWindowFocus: false,
+    ...options
+  });
+};
+
+export default useFetchTeams;
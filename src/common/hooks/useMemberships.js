@@ -0,0 +1,42 @@
+import { useEffect } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { authFetch, getCurrentTenantId, setCurrentTenantId } from '../utils/fetch-wrapper';
+
+/**
+ * Custom hook for fetching the tenants the current user belongs to
+ * @returns {Object} memberships, currentTenantId (null when using the default tenant) and query state
+ */
+const useMemberships = () => {
+  const queryClient = useQueryClient();
+  const query = useQuery({
+    queryKey: ['memberships'],
+    queryFn: async () => {
+      const data = await authFetch('/api/auth/memberships');
+      return data.memberships;
+    },
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const memberships = query.data || [];
+  const storedTenantId = getCurrentTenantId();
+  const isStale = Boolean(
+    query.data && storedTenantId && !memberships.some(m => m.tenant.id === storedTenantId)
+  );
+
+  // Drop a selection the user no longer has access to and refetch with the default tenant
+  useEffect(() => {
+    if (isStale) {
+      setCurrentTenantId(null);
+      queryClient.resetQueries({ predicate: (q) => q.queryKey[0] !== 'memberships' });
+    }
+  }, [isStale, queryClient]);
+
+  return {
+    memberships,
+    currentTenantId: isStale ? null : storedTenantId,
+    isLoading: query.isLoading,
+    error: query.error,
+  };
+};
+
+export default useMemberships;
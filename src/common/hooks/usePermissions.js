@@ -0,0 +1,49 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../utils/fetch-wrapper';
+
+/**
+ * Custom hook for checking the current user's permissions in their tenant.
+ * Permissions come from the role matrix of the tenant (see /api/tenants/current).
+ * @returns {Object} role, permissions, can(permission), canViewAll(permission), isOperator
+ *   (a platform operator, who may manage the whole database) and isLoading
+ */
+const usePermissions = () => {
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['currentTenant'],
+    queryFn: async () => {
+      const data = await authFetch('/api/tenants/current');
+      return data;
+    },
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const permissions = data?.user?.permissions || [];
+
+  /**
+   * Whether the user holds the permission, fully or for their own records
+   * @param {String} permission - e.g. 'objectives:assign'
+   */
+  const can = (permission) =>
+    permissions.includes('*') ||
+    permissions.includes(permission) ||
+    permissions.includes(`${permission}:own`);
+
+  /**
+   * Whether the user holds the permission for every record, not only their own
+   * @param {String} permission - e.g. 'clients:read'
+   */
+  const canViewAll = (permission) =>
+    permissions.includes('*') || permissions.includes(permission);
+
+  return {
+    role: data?.user?.role,
+    permissions,
+    can,
+    canViewAll,
+    isOperator: Boolean(data?.user?.isOperator),
+    isLoading,
+    error,
+  };
+};
+
+export default usePermissions;
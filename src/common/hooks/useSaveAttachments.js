@@ -0,0 +1,50 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { authFetch } from '../utils/fetch-wrapper';
+
+// Uploads of large files take longer than the default request timeout
+const UPLOAD_TIMEOUT_MS = 120000;
+
+/**
+ * Custom hook to upload files to a record and delete them
+ *
+ * @param {string} entityType - Kind of record the files are attached to
+ * @param {string} entityId - ID of the record
+ * @returns {object} { uploadAttachments, deleteAttachment } mutation objects;
+ *   uploadAttachments is called with a list of File objects
+ */
+const useSaveAttachments = (entityType, entityId) => {
+  const queryClient = useQueryClient();
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['attachments', entityType, entityId] });
+    queryClient.invalidateQueries({ queryKey: ['attachmentUsage'] });
+  };
+
+  const uploadAttachments = useMutation({
+    mutationFn: (files) => {
+      const body = new FormData();
+      Array.from(files).forEach(file => body.append('files', file, file.name));
+
+      const params = new URLSearchParams({ entityType, entityId });
+      return authFetch(`/api/attachments?${params.toString()}`, {
+        method: 'POST',
+        body
+      }, UPLOAD_TIMEOUT_MS);
+    },
+    onSuccess: invalidate
+  });
+
+  const deleteAttachment = useMutation({
+    mutationFn: (id) => authFetch(`/api/attachments/${id}`, {
+      method: 'DELETE'
+    }),
+    onSuccess: invalidate
+  });
+
+  return {
+    uploadAttachments,
+    deleteAttachment
+  };
+};
+
+export default useSaveAttachments;
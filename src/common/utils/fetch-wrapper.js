@@ -14,6 +14,27 @@ export const initializeAuthFetch = (getAccessTokenSilently) => {
   getAccessTokenFunction = getAccessTokenSilently;
 };
 
+// Session key of the tenant selected by the user (see TenantSwitcher)
+const CURRENT_TENANT_KEY = 'currentTenantId';
+
+/**
+ * Get the tenant selected for this browser session, if any
+ * @returns {string|null} Tenant ID
+ */
+export const getCurrentTenantId = () => sessionStorage.getItem(CURRENT_TENANT_KEY);
+
+/**
+ * Select the tenant sent with every authenticated request
+ * @param {string|null} tenantId - Tenant ID, or null to use the default tenant
+ */
+export const setCurrentTenantId = (tenantId) => {
+  if (tenantId) {
+    sessionStorage.setItem(CURRENT_TENANT_KEY, tenantId);
+  } else {
+    sessionStorage.removeItem(CURRENT_TENANT_KEY);
+  }
+};
+
 /**
  * Authenticated fetch function that includes JWT token in Authorization header
  * @param {string} url - The URL to fetch
@@ -34,12 +55,14 @@ export const authFetch = async (url, options = {}, timeoutMs = 15000) => {
       scope: 'openid profile email'
     });
     
-    // Add the Authorization header with the JWT token
+    // Add the Authorization header with the JWT token and the selected tenant
+    const tenantId = getCurrentTenantId();
     const authenticatedOptions = {
       ...options,
       headers: {
         ...options.headers,
-        'Authorization': `Bearer ${accessToken}`
+        'Authorization': `Bearer ${accessToken}`,
+        ...(tenantId && { 'X-Tenant-Id': tenantId })
       }
     };
 
@@ -79,9 +102,10 @@ export const fetchWithTimeout = async (url, options = {}, timeoutMs = 15000) =>
     const response = await fetch(url, {
       ...options,
       signal,
-      // Enforce JSON content type for API requests and prevent caching
+      // Enforce JSON content type for API requests and prevent caching;
+      // FormData bodies (file uploads) get their multipart type from the browser
       headers: {
-        'Content-Type': 'application/json',
+        ...(!(options.body instanceof FormData) && { 'Content-Type': 'application/json' }),
         'Cache-Control': 'no-cache, no-store, must-revalidate',
         'Pragma': 'no-cache',
         'Expires': '0',
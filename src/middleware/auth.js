@@ -62,9 +62,34 @@ const getUserFromToken = (req) => {
   return null;
 };
 
+/**
+ * Auth0 user IDs of the platform operators (OPERATOR_USER_IDS, comma-separated).
+ * Operators run maintenance of the whole shared database, which no tenant role grants.
+ */
+const getOperatorIds = () => (process.env.OPERATOR_USER_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// Whether the authenticated user is a platform operator
+const isOperator = (req) => Boolean(req.user && req.user.sub && getOperatorIds().includes(req.user.sub));
+
+// Only let platform operators through
+const requireOperator = (req, res, next) => {
+  if (!isOperator(req)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden - Only platform operators can use this endpoint'
+    });
+  }
+  next();
+};
+
 module.exports = {
   checkJwt,
   checkJwtOptional,
   jwtErrorHandler,
-  getUserFromToken
+  getUserFromToken,
+  isOperator,
+  requireOperator
 }; 
\ No newline at end of file
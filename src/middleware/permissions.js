@@ -0,0 +1,214 @@
+const { Op } = require('sequelize');
+
+/**
+ * Every permission known to the application.
+ * A role may hold a permission fully (`clients:read`) or restricted to the
+ * records linked to the user (`clients:read:own`). Without `teams:read`,
+ * users only see the data of the teams they manage.
+ */
+const PERMISSIONS = [
+  'dashboard:read',
+  'clients:read',
+  'clients:write',
+  'clients:delete',
+  'services:read',
+  'services:write',
+  'services:delete',
+  'salespersons:read',
+  'salespersons:write',
+  'salespersons:delete',
+  'technicians:read',
+  'technicians:write',
+  'technicians:delete',
+  'teams:read',
+  'objectives:read',
+  'objectives:write',
+  'objectives:delete',
+  'objectives:assign',
+  'objectives:progress',
+  'objectives:submit',
+  'objectives:approve',
+  'periods:close',
+  'periods:reopen',
+  'evaluations:read',
+  'evaluations:write',
+  'evaluations:delete',
+  'compensation:read',
+  'compensation:manage',
+  'users:read',
+  'users:invite',
+  'users:manage',
+  'tenant:manage',
+  'billing:manage',
+  'audit:read',
+  'trash:manage'
+];
+
+/**
+ * Default permissions per TenantUser role.
+ * Tenants can override the manager and user sets through
+ * `Tenant.settings.permissions`; admins always keep every permission.
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: ['*'],
+  manager: [
+    'dashboard:read',
+    'clients:read',
+    'clients:write',
+    'services:read',
+    'services:write',
+    'salespersons:read',
+    'salespersons:write',
+    'technicians:read',
+    'technicians:write',
+    'objectives:read',
+    'objectives:write',
+    'objectives:assign',
+    'objectives:progress',
+    'objectives:submit',
+    'objectives:approve',
+    'periods:close',
+    'evaluations:read',
+    'evaluations:write',
+    'compensation:read',
+    'users:read',
+    'audit:read'
+  ],
+  user: [
+    'clients:read:own',
+    'services:read',
+    'salespersons:read:own',
+    'technicians:read:own',
+    'objectives:read:own',
+    'objectives:submit',
+    'evaluations:read:own',
+    'compensation:read:own'
+  ]
+};
+
+/**
+ * Check that a permission entry is known. Only read permissions can be
+ * restricted to the user's own records.
+ */
+const isValidPermission = (permission) => {
+  const base = permission.endsWith(':read:own') ? permission.slice(0, -4) : permission;
+  return PERMISSIONS.includes(base);
+};
+
+/**
+ * Get the permission list of a role, applying the tenant overrides
+ * @param {Object} tenant - Tenant instance (uses settings.permissions)
+ * @param {String} role - TenantUser role
+ * @returns {Array<String>}
+ */
+const getRolePermissions = (tenant, role) => {
+  if (role === 'admin') return DEFAULT_ROLE_PERMISSIONS.admin;
+
+  const overrides = (tenant && tenant.settings && tenant.settings.permissions) || {};
+  if (Array.isArray(overrides[role])) {
+    return overrides[role].filter(isValidPermission);
+  }
+
+  return DEFAULT_ROLE_PERMISSIONS[role] || [];
+};
+
+/**
+ * Resolve how a set of permissions grants the requested one
+ * @returns {'all'|'own'|null} Full access, access to own records only, or none
+ */
+const getPermissionScope = (permissions, permission) => {
+  if (permissions.includes('*') || permissions.includes(permission)) return 'all';
+  if (permissions.includes(`${permission}:own`)) return 'own';
+  return null;
+};
+
+/**
+ * Whether the current tenant user holds a permission, fully or for their own records
+ */
+const hasPermission = (req, permission) => {
+  if (!req.tenant || !req.tenantUser) return false;
+  return getPermissionScope(getRolePermissions(req.tenant, req.tenantUser.role), permission) !== null;
+};
+
+/**
+ * Get the salesperson and technician records linked to a tenant user
+ */
+const getOwnRecords = (tenantUser) => ({
+  salespersonId: tenantUser.salespersonId || null,
+  technicianId: tenantUser.technicianId || null
+});
+
+/**
+ * Middleware to require a permission for the current tenant user.
+ * Must run after tenantMiddleware. Sets `req.permissionScope` to 'all' or
+ * 'own'; for 'own' it also sets `req.ownRecords` ({ salespersonId, technicianId })
+ * so handlers can restrict results to the user's own data.
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.tenant || !req.tenantUser) {
+      return res.status(500).json({
+        error: 'Tenant context not found'
+      });
+    }
+
+    const permissions = getRolePermissions(req.tenant, req.tenantUser.role);
+    const scope = getPermissionScope(permissions, permission);
+
+    if (!scope) {
+      return res.status(403).json({
+        error: `Forbidden - Missing permission '${permission}'`
+      });
+    }
+
+    req.permissionScope = scope;
+    if (scope === 'own') {
+      req.ownRecords = getOwnRecords(req.tenantUser);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Whether the request may access data belonging to the given salesperson
+ * and/or technician. Always true for full-scope permissions.
+ */
+const canAccessOwn = (req, { salespersonId, technicianId } = {}) => {
+  if (req.permissionScope !== 'own') return true;
+
+  const own = req.ownRecords || {};
+  return Boolean(
+    (salespersonId && own.salespersonId && salespersonId === own.salespersonId) ||
+    (technicianId && own.technicianId && technicianId === own.technicianId)
+  );
+};
+
+/**
+ * Where condition restricting clients to those assigned to the user,
+ * or null when the request has full access
+ */
+const ownClientWhere = (req) => {
+  if (req.permissionScope !== 'own') return null;
+
+  const own = req.ownRecords || {};
+  const conditions = [];
+  if (own.salespersonId) conditions.push({ vendedorId: own.salespersonId });
+  if (own.technicianId) conditions.push({ tecnicoId: own.technicianId });
+
+  // No linked records: match nothing
+  return conditions.length > 0 ? { [Op.or]: conditions } : { id: null };
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  isValidPermission,
+  getRolePermissions,
+  getPermissionScope,
+  hasPermission,
+  getOwnRecords,
+  requirePermission,
+  canAccessOwn,
+  ownClientWhere
+};
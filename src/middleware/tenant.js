@@ -1,7 +1,40 @@
 const { TenantUser, Tenant } = require('../models');
+const tenantContext = require('../services/tenantContext');
+
+// Header used by clients to pick one of the user's tenants
+const TENANT_HEADER = 'X-Tenant-Id';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Find an active membership of an Auth0 user in an active tenant
+ * @param {String} auth0UserId - Auth0 user ID
+ * @param {String} [tenantId] - Tenant to look in; without it the oldest membership is used
+ * @returns {Promise<Object|null>} TenantUser with its tenant
+ */
+const findMembership = async (auth0UserId, tenantId) => {
+  if (tenantId && !UUID_PATTERN.test(tenantId)) return null;
+
+  return TenantUser.findOne({
+    where: {
+      auth0UserId,
+      status: 'active',
+      ...(tenantId && { tenantId })
+    },
+    include: [{
+      model: Tenant,
+      as: 'tenant',
+      where: { status: 'active' },
+      required: true
+    }],
+    order: [['createdAt', 'ASC']]
+  });
+};
 
 /**
- * Middleware to extract and validate tenant context from request
+ * Middleware to extract and validate tenant context from request.
+ * Users with several memberships select the tenant with the X-Tenant-Id
+ * header; without it their oldest membership is used.
  */
 const tenantMiddleware = async (req, res, next) => {
   try {
@@ -14,23 +47,21 @@ const tenantMiddleware = async (req, res, next) => {
       });
     }
 
+    const requestedTenantId = req.get(TENANT_HEADER);
+    if (requestedTenantId && !UUID_PATTERN.test(requestedTenantId)) {
+      return res.status(400).json({
+        error: `Invalid ${TENANT_HEADER} header`
+      });
+    }
+
     // Find tenant user relationship
-    const tenantUser = await TenantUser.findOne({
-      where: { 
-        auth0UserId: user.sub,
-        status: 'active'
-      },
-      include: [{
-        model: Tenant,
-        as: 'tenant',
-        where: { status: 'active' },
-        required: true
-      }]
-    });
+    const tenantUser = await findMembership(user.sub, requestedTenantId);
 
     if (!tenantUser) {
       return res.status(403).json({ 
-        error: 'Forbidden - User not associated with any active tenant' 
+        error: requestedTenantId
+          ? 'Forbidden - User is not a member of the requested tenant'
+          : 'Forbidden - User not associated with any active tenant'
       });
     }
 
@@ -45,7 +76,14 @@ const tenantMiddleware = async (req, res, next) => {
     // Add plan limits to request for validation
     req.planLimits = planLimits;
 
-    next();
+    // Run the rest of the request inside the tenant context so every
+    // tenant-owned model query is scoped to this tenant
+    tenantContext.run({
+      tenantId: tenantUser.tenantId,
+      tenantUserId: tenantUser.id,
+      userId: user.sub,
+      email: tenantUser.email
+    }, () => next());
   } catch (error) {
     console.error('Tenant middleware error:', error);
     return res.status(500).json({ 
@@ -63,6 +101,9 @@ const getPlanLimits = (plan) => {
       maxUsers: 5,
       maxClients: 50,
       maxObjectives: 10,
+      // Attachment storage, in megabytes
+      maxStorageMb: 100,
+      maxFileSizeMb: 5,
       features: {
         objectives: true,
         clientMatrix: true,
@@ -76,6 +117,8 @@ const getPlanLimits = (plan) => {
       maxUsers: 20,
       maxClients: 200,
       maxObjectives: 50,
+      maxStorageMb: 1024,
+      maxFileSizeMb: 20,
       features: {
         objectives: true,
         clientMatrix: true,
@@ -89,6 +132,8 @@ const getPlanLimits = (plan) => {
       maxUsers: 100,
       maxClients: 1000,
       maxObjectives: 200,
+      maxStorageMb: 10240,
+      maxFileSizeMb: 50,
       features: {
         objectives: true,
         clientMatrix: true,
@@ -138,17 +183,18 @@ const limitMiddleware = (resourceType) => {
     }
 
     try {
-      const { db } = require('../models');
+      const db = require('../models');
       const limits = req.planLimits;
       
       let currentCount = 0;
       
       switch (resourceType) {
         case 'users':
+          // Pending invitations hold a seat until they are accepted or revoked
           currentCount = await TenantUser.count({
             where: { 
               tenantId: req.tenantId,
-              status: 'active'
+              status: ['active', 'invited']
             }
           });
           break;
@@ -191,6 +237,8 @@ const limitMiddleware = (resourceType) => {
 };
 
 module.exports = {
+  TENANT_HEADER,
+  findMembership,
   tenantMiddleware,
   featureMiddleware,
   limitMiddleware,
@@ -0,0 +1,108 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Attachment extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // An Attachment belongs to a Tenant
+      Attachment.belongsTo(models.Tenant, {
+        foreignKey: 'tenantId',
+        as: 'tenant'
+      });
+    }
+  }
+  
+  Attachment.init({
+    // UUID as primary key
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
+    // Kind of record the file is attached to
+    entityType: {
+      type: DataTypes.ENUM('qualitative_objective', 'technician_objective', 'technician_evaluation', 'client_relevamiento'),
+      allowNull: false
+    },
+    // ID of the record the file is attached to (the client, for a relevamiento)
+    entityId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    // Original file name
+    filename: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // MIME type sent by the uploader
+    contentType: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Size in bytes, counted against the tenant's storage quota
+    size: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      // BIGINT comes back as a string from Postgres
+      get() {
+        const value = this.getDataValue('size');
+        return value === null ? null : Number(value);
+      }
+    },
+    // SHA-256 of the content
+    checksum: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    // Storage adapter holding the file ('local', 's3')
+    storageDriver: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Key of the file in its storage
+    storageKey: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Whether a virus scanner checked the file; infected files are never stored
+    scanStatus: {
+      type: DataTypes.ENUM('clean', 'not_scanned'),
+      allowNull: false,
+      defaultValue: 'not_scanned'
+    },
+    // Auth0 user ID of the uploader
+    uploadedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Email of the uploader
+    uploadedByEmail: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'Attachment',
+    tableName: 'Attachment',
+    underscored: false,
+    // Log model queries during development
+    logging: console.log
+  });
+  
+  return Attachment;
+};
@@ -0,0 +1,85 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class AuditLog extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // An AuditLog entry belongs to a Tenant
+      AuditLog.belongsTo(models.Tenant, {
+        foreignKey: 'tenantId',
+        as: 'tenant'
+      });
+    }
+  }
+
+  AuditLog.init({
+    // UUID as primary key
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    // Foreign key to Tenant (null for changes made outside of a tenant)
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
+    // Auth0 user ID of the user who made the change (null for system changes)
+    actorId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Email of the acting tenant user, kept in case the user is removed
+    actorEmail: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Name of the changed model, e.g. 'Client'
+    entity: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Primary key of the changed record
+    entityId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Kind of change
+    action: {
+      type: DataTypes.ENUM('create', 'update', 'delete', 'restore'),
+      allowNull: false
+    },
+    // Changed fields as { field: { before, after } }
+    changes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    }
+  }, {
+    sequelize,
+    modelName: 'AuditLog',
+    tableName: 'AuditLog',
+    underscored: false,
+    // Entries are never updated
+    updatedAt: false,
+    // Log model queries during development
+    logging: console.log,
+    indexes: [
+      { fields: ['tenantId', 'createdAt'] },
+      { fields: ['tenantId', 'entity', 'entityId'] },
+      { fields: ['tenantId', 'actorId'] }
+    ]
+  });
+
+  return AuditLog;
+};
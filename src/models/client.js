@@ -35,6 +35,12 @@ module.exports = (sequelize, DataTypes) => {
         otherKey: 'servicioId',
         as: 'servicios'
       });
+      
+      // A Client has many pending actions
+      Client.hasMany(models.ClientAction, {
+        foreignKey: 'clientId',
+        as: 'acciones'
+      });
     }
   }
   
@@ -46,6 +52,15 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       allowNull: false
     },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
     // Name of the client
     nombre: {
       type: DataTypes.STRING,
@@ -78,6 +93,29 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       defaultValue: false
     },
+    // Term of the support contract; open-ended when there is no end date
+    contratoFechaInicio: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    contratoFechaFin: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    // Whether the support contract renews by itself at its end date
+    contratoRenovacionAutomatica: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Days before the end date by which either party must give notice
+    contratoDiasPreaviso: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
     // Date of the last assessment
     fechaUltimoRelevamiento: {
       type: DataTypes.DATE,
@@ -88,17 +126,23 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: true
     },
-    // Pending actions stored as JSONB for flexibility
-    accionesPendientes: {
+    // Email of the user who moved the record to the trash
+    deletedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Links removed when the record was trashed, re-created on restore
+    deletedLinks: {
       type: DataTypes.JSONB,
-      allowNull: true,
-      comment: 'Structured as: [{ action: string, dueDate: date, status: string }]'
+      allowNull: true
     }
   }, {
     sequelize,
     modelName: 'Client',
     tableName: 'Client',
     underscored: false,
+    // Deleted records stay in the trash until restored or purged
+    paranoid: true,
     // Log model queries during development
     logging: console.log
   });
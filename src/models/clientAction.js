@@ -0,0 +1,132 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ClientAction extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // A ClientAction belongs to a Client
+      ClientAction.belongsTo(models.Client, {
+        foreignKey: 'clientId',
+        as: 'cliente'
+      });
+      
+      // A ClientAction is assigned to a Salesperson or a Technician
+      ClientAction.belongsTo(models.Salesperson, {
+        foreignKey: 'vendedorId',
+        as: 'vendedor'
+      });
+      ClientAction.belongsTo(models.Technician, {
+        foreignKey: 'tecnicoId',
+        as: 'tecnico'
+      });
+      
+      // A ClientAction has many comments
+      ClientAction.hasMany(models.ClientActionComment, {
+        foreignKey: 'clientActionId',
+        as: 'comments'
+      });
+    }
+  }
+  
+  ClientAction.init({
+    // UUID as primary key
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
+    // Foreign key to Client
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Client',
+        key: 'id'
+      }
+    },
+    // What has to be done
+    accion: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    // Assignee: a salesperson or a technician (unassigned when both are empty)
+    vendedorId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Salesperson',
+        key: 'id'
+      }
+    },
+    tecnicoId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Technician',
+        key: 'id'
+      }
+    },
+    // Priority of the action
+    prioridad: {
+      type: DataTypes.ENUM('baja', 'media', 'alta'),
+      allowNull: false,
+      defaultValue: 'media'
+    },
+    // Date the action is due
+    fechaVencimiento: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    // Status, changed through the transitions of services/clientActions
+    estado: {
+      type: DataTypes.ENUM('pendiente', 'en_progreso', 'completada', 'cancelada'),
+      allowNull: false,
+      defaultValue: 'pendiente'
+    },
+    // When the action was completed
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Email of the user who created the action
+    createdBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ClientAction',
+    tableName: 'ClientAction',
+    underscored: false,
+    // Log model queries during development
+    logging: console.log,
+    validate: {
+      // An action has at most one assignee
+      singleAssignee() {
+        if (this.vendedorId && this.tecnicoId) {
+          throw new Error('An action is assigned to a salesperson or a technician, not both');
+        }
+      }
+    }
+  });
+  
+  return ClientAction;
+};
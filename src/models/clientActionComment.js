@@ -0,0 +1,76 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ClientActionComment extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // A comment belongs to a ClientAction
+      ClientActionComment.belongsTo(models.ClientAction, {
+        foreignKey: 'clientActionId',
+        as: 'clientAction'
+      });
+    }
+  }
+  
+  ClientActionComment.init({
+    // UUID as primary key
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
+    // Foreign key to ClientAction
+    clientActionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'ClientAction',
+        key: 'id'
+      }
+    },
+    // Text of the comment
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    // Auth0 user ID of the author
+    authorId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Email of the author, kept in case the user is removed
+    authorEmail: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ClientActionComment',
+    tableName: 'ClientActionComment',
+    underscored: false,
+    // Comments are never edited
+    updatedAt: false,
+    // Log model queries during development
+    logging: console.log
+  });
+  
+  return ClientActionComment;
+};
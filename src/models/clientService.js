@@ -31,6 +31,15 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       allowNull: false
     },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
     // Foreign key to Client
     clientId: {
       type: DataTypes.UUID,
@@ -60,11 +69,53 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(500),
       allowNull: true
     },
+    // Price per billing period agreed with the client; null means the list price
+    precioNegociado: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    // Units of the service sold (licenses, devices, hours...)
+    cantidad: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    },
+    // First and last day the service is billed; open-ended when null
+    fechaInicio: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    fechaFin: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    // Next date the service comes up for renewal
+    fechaRenovacion: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    // Whether the service renews by itself at its end date
+    renovacionAutomatica: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Days before the end date by which either party must give notice
+    diasPreaviso: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
     // Additional details stored as JSONB for flexibility
     detalles: {
       type: DataTypes.JSONB,
       allowNull: true,
-      comment: 'Structured as: { startDate, status, notes, configurations, etc. }'
+      comment: 'Structured as: { status, notes, configurations, etc. }; dates and terms have their own columns'
     }
   }, {
     sequelize,
@@ -0,0 +1,135 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CompensationPlan extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // A plan pays the salespersons or technicians that are its members
+      CompensationPlan.hasMany(models.CompensationPlanMember, {
+        foreignKey: 'compensationPlanId',
+        as: 'members',
+        onDelete: 'CASCADE'
+      });
+    }
+  }
+  
+  CompensationPlan.init({
+    // UUID as primary key
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
+    // Name of the plan
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    // Description of the plan
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Who the plan pays: salespersons (objectives) or technicians (evaluations)
+    personType: {
+      type: DataTypes.ENUM('salesperson', 'technician'),
+      allowNull: false,
+      defaultValue: 'salesperson'
+    },
+    // ISO currency code of the payouts
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'UYU'
+    },
+    // Yearly variable pay at 100% attainment, unless a member overrides it
+    baseVariableAmount: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    // Share of the variable pay tied to quantitative objectives (0-1); the rest is qualitative
+    quantitativeShare: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0.7,
+      validate: {
+        min: 0,
+        max: 1
+      }
+    },
+    // Payout percentage when an objective just reaches its minimum acceptable value
+    payoutAtMinimum: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 50,
+      validate: {
+        min: 0,
+        max: 100
+      }
+    },
+    // Payout points per attainment point above target (1 = linear, 2 = double)
+    acceleratorRate: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 0
+      }
+    },
+    // Maximum payout percentage of a single objective (null = uncapped)
+    componentCap: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      defaultValue: 200,
+      validate: {
+        min: 0
+      }
+    },
+    // Maximum total payout as a percentage of the base amount (null = uncapped)
+    totalCap: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      defaultValue: 150,
+      validate: {
+        min: 0
+      }
+    },
+    // Inactive plans produce no statements
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    sequelize,
+    modelName: 'CompensationPlan',
+    tableName: 'CompensationPlan',
+    underscored: false,
+    // Log model queries during development
+    logging: console.log
+  });
+  
+  return CompensationPlan;
+};
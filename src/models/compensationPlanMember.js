@@ -0,0 +1,93 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CompensationPlanMember extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // A member belongs to a CompensationPlan
+      CompensationPlanMember.belongsTo(models.CompensationPlan, {
+        foreignKey: 'compensationPlanId',
+        as: 'plan'
+      });
+      
+      // A member is either a Salesperson or a Technician
+      CompensationPlanMember.belongsTo(models.Salesperson, {
+        foreignKey: 'salespersonId',
+        as: 'salesperson'
+      });
+      
+      CompensationPlanMember.belongsTo(models.Technician, {
+        foreignKey: 'technicianId',
+        as: 'technician'
+      });
+    }
+  }
+  
+  CompensationPlanMember.init({
+    // UUID as primary key
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
+    // Foreign key to CompensationPlan
+    compensationPlanId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'CompensationPlan',
+        key: 'id'
+      }
+    },
+    // Foreign key to Salesperson (salesperson plans)
+    salespersonId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Salesperson',
+        key: 'id'
+      }
+    },
+    // Foreign key to Technician (technician plans)
+    technicianId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Technician',
+        key: 'id'
+      }
+    },
+    // Yearly variable pay of this person, overriding the plan's base amount
+    baseVariableAmount: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'CompensationPlanMember',
+    tableName: 'CompensationPlanMember',
+    underscored: false,
+    // Log model queries during development
+    logging: console.log
+  });
+  
+  return CompensationPlanMember;
+};
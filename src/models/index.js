@@ -7,6 +7,8 @@ const process = require('process');
 const basename = path.basename(__filename);
 const env = process.env.NODE_ENV || 'development';
 const config = require('../../sequelize.config')[env];
+const tenantContext = require('../services/tenantContext');
+const auditService = require('../services/audit');
 const db = {};
 
 let sequelize;
@@ -38,6 +40,12 @@ Object.keys(db).forEach(modelName => {
   }
 });
 
+// Restrict tenant-owned models to the tenant of the current request
+tenantContext.applyScope(db);
+
+// Record every data change in the AuditLog
+auditService.applyAudit(db);
+
 db.sequelize = sequelize;
 db.Sequelize = Sequelize;
 
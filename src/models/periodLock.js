@@ -0,0 +1,81 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class PeriodLock extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // A PeriodLock belongs to a Tenant
+      PeriodLock.belongsTo(models.Tenant, {
+        foreignKey: 'tenantId',
+        as: 'tenant'
+      });
+    }
+  }
+  
+  PeriodLock.init({
+    // UUID as primary key
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
+    // Closed calendar month ('YYYY-MM')
+    month: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      validate: {
+        is: /^\d{4}-(0[1-9]|1[0-2])$/
+      }
+    },
+    // When the month was closed
+    closedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    // Who closed the month
+    closedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // When an admin reopened the month; the lock is in force while this is empty
+    reopenedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Who reopened the month
+    reopenedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Why the month was reopened
+    reopenReason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'PeriodLock',
+    tableName: 'PeriodLock',
+    underscored: false,
+    // Log model queries during development
+    logging: console.log
+  });
+  
+  return PeriodLock;
+};
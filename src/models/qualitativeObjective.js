@@ -16,6 +16,18 @@ module.exports = (sequelize, DataTypes) => {
         otherKey: 'salespersonId',
         as: 'assignedSalespersons'
       });
+
+      // A QualitativeObjective can be carried forward from the one of the previous period
+      QualitativeObjective.belongsTo(models.QualitativeObjective, {
+        foreignKey: 'rolledOverFromId',
+        as: 'rolledOverFrom'
+      });
+
+      // Every status change of the approval workflow
+      QualitativeObjective.hasMany(models.QualitativeObjectiveStatusHistory, {
+        foreignKey: 'qualitativeObjectiveId',
+        as: 'statusHistory'
+      });
     }
   }
   
@@ -27,6 +39,15 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       allowNull: false
     },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
     // Name of the objective
     name: {
       type: DataTypes.STRING,
@@ -45,9 +66,9 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       allowNull: true
     },
-    // Status of the objective
+    // Status of the objective; submitted objectives are 'en_revision' until a manager reviews them
     status: {
-      type: DataTypes.ENUM('pendiente', 'en_progreso', 'completado', 'no_completado'),
+      type: DataTypes.ENUM('pendiente', 'en_progreso', 'en_revision', 'completado', 'no_completado'),
       allowNull: false,
       defaultValue: 'pendiente'
     },
@@ -56,7 +77,7 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: true
     },
-    // Date when the objective was completed
+    // Date when the objective was completed, set when a manager approves it
     completionDate: {
       type: DataTypes.DATE,
       allowNull: true
@@ -85,6 +106,20 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.BOOLEAN,
       allowNull: false,
       defaultValue: false
+    },
+    // When the year-end rollover closed the objective; closed objectives are read-only
+    closedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Objective of the previous period this one was rolled over from
+    rolledOverFromId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'QualitativeObjective',
+        key: 'id'
+      }
     }
   }, {
     sequelize,
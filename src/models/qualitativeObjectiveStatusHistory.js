@@ -0,0 +1,93 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class QualitativeObjectiveStatusHistory extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // A status change belongs to a QualitativeObjective
+      QualitativeObjectiveStatusHistory.belongsTo(models.QualitativeObjective, {
+        foreignKey: 'qualitativeObjectiveId',
+        as: 'qualitativeObjective'
+      });
+    }
+  }
+
+  QualitativeObjectiveStatusHistory.init({
+    // UUID as primary key
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
+    // Foreign key to QualitativeObjective
+    qualitativeObjectiveId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'QualitativeObjective',
+        key: 'id'
+      }
+    },
+    // Workflow action that changed the status
+    action: {
+      type: DataTypes.ENUM('start', 'submit', 'approve', 'reject', 'close', 'reopen', 'rollover'),
+      allowNull: false
+    },
+    // Status before the change
+    fromStatus: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Status after the change
+    toStatus: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Comment of the submitter or reviewer
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Evidence submitted for review
+    evidence: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Auth0 user ID of the user who made the change (null for system changes)
+    actorId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Email of the acting tenant user, kept in case the user is removed
+    actorEmail: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'QualitativeObjectiveStatusHistory',
+    tableName: 'QualitativeObjectiveStatusHistory',
+    underscored: false,
+    // Entries are never updated
+    updatedAt: false,
+    // Log model queries during development
+    logging: console.log
+  });
+
+  return QualitativeObjectiveStatusHistory;
+};
@@ -22,6 +22,18 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'templateId',
         as: 'template'
       });
+
+      // A QuantitativeObjective can be rolled over from the one of the previous period
+      QuantitativeObjective.belongsTo(models.QuantitativeObjective, {
+        foreignKey: 'rolledOverFromId',
+        as: 'rolledOverFrom'
+      });
+
+      // Shares of the company target allocated to Teams
+      QuantitativeObjective.hasMany(models.TeamQuantitativeObjective, {
+        foreignKey: 'quantitativeObjectiveId',
+        as: 'teamTargets'
+      });
     }
   }
   
@@ -33,6 +45,15 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       allowNull: false
     },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
     // Name of the objective
     name: {
       type: DataTypes.STRING,
@@ -106,6 +127,20 @@ module.exports = (sequelize, DataTypes) => {
         model: 'QuantitativeObjectiveTemplate',
         key: 'id'
       }
+    },
+    // When the year-end rollover closed the objective; closed objectives are read-only
+    closedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Objective of the previous period this one was rolled over from
+    rolledOverFromId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'QuantitativeObjective',
+        key: 'id'
+      }
     }
   }, {
     sequelize,
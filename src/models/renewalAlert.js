@@ -0,0 +1,86 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RenewalAlert extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // A RenewalAlert belongs to a Tenant
+      RenewalAlert.belongsTo(models.Tenant, {
+        foreignKey: 'tenantId',
+        as: 'tenant'
+      });
+    }
+  }
+  
+  RenewalAlert.init({
+    // UUID as primary key
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
+    // What expires: a client's support contract (entityId is the Client) or a
+    // service sold to a client (entityId is the ClientService)
+    entityType: {
+      type: DataTypes.ENUM('support_contract', 'client_service'),
+      allowNull: false
+    },
+    entityId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    // Expiry date the alert was about; a renewed term gets alerts again
+    fechaVencimiento: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    // Alert threshold reached (90, 60 or 30 days before expiry)
+    diasAntes: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Emails the alert was sent to
+    recipients: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // When the alert was sent
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'RenewalAlert',
+    tableName: 'RenewalAlert',
+    underscored: false,
+    // Log model queries during development
+    logging: console.log,
+    // Each alert is sent once per term and threshold
+    indexes: [
+      {
+        unique: true,
+        fields: ['entityType', 'entityId', 'fechaVencimiento', 'diasAntes']
+      }
+    ]
+  });
+  
+  return RenewalAlert;
+};
@@ -31,6 +31,18 @@ module.exports = (sequelize, DataTypes) => {
         otherKey: 'qualitativeObjectiveId',
         as: 'qualitativeObjectives'
       });
+      
+      // A Salesperson can belong to a Team
+      Salesperson.belongsTo(models.Team, {
+        foreignKey: 'teamId',
+        as: 'team'
+      });
+      
+      // Teams the Salesperson was in and when
+      Salesperson.hasMany(models.TeamMembership, {
+        foreignKey: 'salespersonId',
+        as: 'teamMemberships'
+      });
     }
   }
   
@@ -42,6 +54,15 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       allowNull: false
     },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
     // Full name of the Salesperson
     nombre: {
       type: DataTypes.STRING,
@@ -59,17 +80,38 @@ module.exports = (sequelize, DataTypes) => {
         isEmail: true
       }
     },
+    // Foreign key to the current Team (optional); TeamMembership keeps the history
+    teamId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Team',
+        key: 'id'
+      }
+    },
     // Status: active or inactive
     estado: {
       type: DataTypes.ENUM('active', 'inactive'),
       allowNull: false,
       defaultValue: 'active'
+    },
+    // Email of the user who moved the record to the trash
+    deletedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Links removed when the record was trashed, re-created on restore
+    deletedLinks: {
+      type: DataTypes.JSONB,
+      allowNull: true
     }
   }, {
     sequelize,
     modelName: 'Salesperson',
     tableName: 'Salesperson',
     underscored: false,
+    // Deleted records stay in the trash until restored or purged
+    paranoid: true,
     // Log model queries during development
     logging: console.log
   });
@@ -34,6 +34,15 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       allowNull: false
     },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
     // Name of the service
     nombre: {
       type: DataTypes.STRING,
@@ -54,12 +63,41 @@ module.exports = (sequelize, DataTypes) => {
     descripcion: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    // List price per billing period; null when the service is not priced
+    precio: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    // How often the price is billed; 'unica' is a one-time charge
+    frecuenciaFacturacion: {
+      type: DataTypes.ENUM('mensual', 'trimestral', 'semestral', 'anual', 'unica'),
+      allowNull: false,
+      defaultValue: 'mensual'
+    },
+    // ISO currency code of the price
+    moneda: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'UYU'
+    },
+    // Email of the user who moved the record to the trash
+    deletedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Links removed when the record was trashed, re-created on restore
+    deletedLinks: {
+      type: DataTypes.JSONB,
+      allowNull: true
     }
   }, {
     sequelize,
     modelName: 'Service',
     tableName: 'Service',
     underscored: false,
+    // Deleted records stay in the trash until restored or purged
+    paranoid: true,
     // Log model queries during development
     logging: console.log
   });
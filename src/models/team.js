@@ -0,0 +1,106 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Team extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // A Team belongs to a Tenant
+      Team.belongsTo(models.Tenant, {
+        foreignKey: 'tenantId',
+        as: 'tenant'
+      });
+
+      // A Team has many Salespersons
+      Team.hasMany(models.Salesperson, {
+        foreignKey: 'teamId',
+        as: 'members'
+      });
+
+      // A Team is managed by a Salesperson or by a TenantUser
+      Team.belongsTo(models.Salesperson, {
+        foreignKey: 'managerSalespersonId',
+        as: 'managerSalesperson'
+      });
+      Team.belongsTo(models.TenantUser, {
+        foreignKey: 'managerTenantUserId',
+        as: 'managerTenantUser'
+      });
+
+      // Who was in the Team and when
+      Team.hasMany(models.TeamMembership, {
+        foreignKey: 'teamId',
+        as: 'memberships'
+      });
+
+      // A Team gets a share of the company target of QuantitativeObjectives
+      Team.hasMany(models.TeamQuantitativeObjective, {
+        foreignKey: 'teamId',
+        as: 'targets'
+      });
+    }
+  }
+
+  Team.init({
+    // UUID as primary key
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
+    // Name of the team (unique within the tenant)
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    // Optional description
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Salesperson managing the team (optional)
+    managerSalespersonId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Salesperson',
+        key: 'id'
+      }
+    },
+    // Tenant user managing the team, for managers without a salesperson record (optional)
+    managerTenantUserId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'TenantUser',
+        key: 'id'
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'Team',
+    tableName: 'Team',
+    underscored: false,
+    // Log model queries during development
+    logging: console.log
+  });
+
+  return Team;
+};
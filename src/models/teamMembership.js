@@ -0,0 +1,81 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class TeamMembership extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // A TeamMembership belongs to a Team
+      TeamMembership.belongsTo(models.Team, {
+        foreignKey: 'teamId',
+        as: 'team'
+      });
+
+      // A TeamMembership belongs to a Salesperson
+      TeamMembership.belongsTo(models.Salesperson, {
+        foreignKey: 'salespersonId',
+        as: 'salesperson'
+      });
+    }
+  }
+
+  TeamMembership.init({
+    // UUID as primary key
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
+    // Foreign key to Team
+    teamId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Team',
+        key: 'id'
+      }
+    },
+    // Foreign key to Salesperson
+    salespersonId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Salesperson',
+        key: 'id'
+      }
+    },
+    // First day in the team
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    // Last day in the team; empty while the salesperson is a member
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'TeamMembership',
+    tableName: 'TeamMembership',
+    underscored: false,
+    // Log model queries during development
+    logging: console.log
+  });
+
+  return TeamMembership;
+};
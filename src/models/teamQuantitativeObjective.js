@@ -0,0 +1,79 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class TeamQuantitativeObjective extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // A TeamQuantitativeObjective belongs to a Team
+      TeamQuantitativeObjective.belongsTo(models.Team, {
+        foreignKey: 'teamId',
+        as: 'team'
+      });
+
+      // A TeamQuantitativeObjective belongs to a QuantitativeObjective
+      TeamQuantitativeObjective.belongsTo(models.QuantitativeObjective, {
+        foreignKey: 'quantitativeObjectiveId',
+        as: 'quantitativeObjective'
+      });
+    }
+  }
+
+  TeamQuantitativeObjective.init({
+    // UUID as primary key
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    // Foreign key to Tenant
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Tenant',
+        key: 'id'
+      }
+    },
+    // Foreign key to Team
+    teamId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Team',
+        key: 'id'
+      }
+    },
+    // Foreign key to QuantitativeObjective
+    quantitativeObjectiveId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'QuantitativeObjective',
+        key: 'id'
+      }
+    },
+    // Share of the company target allocated to the team
+    teamTarget: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'TeamQuantitativeObjective',
+    tableName: 'TeamQuantitativeObjective',
+    underscored: false,
+    // Log model queries during development
+    logging: console.log
+  });
+
+  return TeamQuantitativeObjective;
+};
@@ -39,6 +39,14 @@ module.exports = (sequelize, DataTypes) => {
         defaultValue: DataTypes.UUIDV4,
         primaryKey: true,
       },
+      tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Tenant',
+          key: 'id',
+        },
+      },
       nombre: {
         type: DataTypes.STRING,
         allowNull: false,
@@ -64,12 +72,24 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.TEXT,
         allowNull: true,
       },
+      // Email of the user who moved the record to the trash
+      deletedBy: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // Links removed when the record was trashed, re-created on restore
+      deletedLinks: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
     },
     {
       sequelize,
       modelName: 'Technician',
       tableName: 'Technician',
       timestamps: true,
+      // Deleted records stay in the trash until restored or purged
+      paranoid: true,
     }
   );
 
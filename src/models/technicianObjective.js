@@ -25,6 +25,14 @@ module.exports = (sequelize, DataTypes) => {
         defaultValue: DataTypes.UUIDV4,
         primaryKey: true,
       },
+      tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Tenant',
+          key: 'id',
+        },
+      },
       technicianId: {
         type: DataTypes.UUID,
         allowNull: false,
@@ -77,6 +77,16 @@ module.exports = (sequelize, DataTypes) => {
         isUrl: true
       }
     },
+    // Token to publish in a DNS TXT record to prove the domain is the tenant's
+    domainVerificationToken: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // When the domain was verified; users only join by domain once it is
+    domainVerifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     // Subscription plan
     plan: {
       type: DataTypes.ENUM('free', 'basic', 'premium'),
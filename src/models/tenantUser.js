@@ -14,6 +14,17 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'tenantId',
         as: 'tenant'
       });
+      
+      // A TenantUser can be the salesperson and/or technician it represents
+      TenantUser.belongsTo(models.Salesperson, {
+        foreignKey: 'salespersonId',
+        as: 'salesperson'
+      });
+      
+      TenantUser.belongsTo(models.Technician, {
+        foreignKey: 'technicianId',
+        as: 'technician'
+      });
     }
   }
   
@@ -34,10 +45,10 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
-    // Auth0 user ID
+    // Auth0 user ID (null until an invitation is accepted)
     auth0UserId: {
       type: DataTypes.STRING,
-      allowNull: false,
+      allowNull: true,
       validate: {
         notEmpty: true
       }
@@ -56,11 +67,50 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       defaultValue: 'user'
     },
-    // User status
+    // User status ('invited' until the invitation is accepted,
+    // 'pending' while a domain join request awaits admin approval)
     status: {
-      type: DataTypes.ENUM('active', 'inactive'),
+      type: DataTypes.ENUM('active', 'inactive', 'invited', 'pending'),
       allowNull: false,
       defaultValue: 'active'
+    },
+    // Salesperson record that represents this user
+    salespersonId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Salesperson',
+        key: 'id'
+      }
+    },
+    // Technician record that represents this user
+    technicianId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Technician',
+        key: 'id'
+      }
+    },
+    // TenantUser who sent the invitation
+    invitedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    // Random value embedded in the invitation token; rotating it invalidates older tokens
+    invitationNonce: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // When the last invitation email was sent
+    invitationSentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // When the pending invitation expires
+    invitationExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     sequelize,
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import useFetchAuditLog from '../../common/hooks/useFetchAuditLog';
+import AuditChanges from '../../common/components/AuditChanges';
+
+const PAGE_SIZE = 50;
+
+const ENTITIES = [
+  'Client',
+  'ClientService',
+  'Service',
+  'Salesperson',
+  'SalespersonObjective',
+  'SalespersonQuantitativeObjective',
+  'QualitativeObjective',
+  'QuantitativeObjective',
+  'QuantitativeObjectiveTemplate',
+  'Technician',
+  'TechnicianObjective',
+  'TechnicianEvaluation',
+  'Tenant',
+  'TenantUser'
+];
+
+const EMPTY_FILTERS = { entity: '', actor: '', action: '', from: '', to: '' };
+
+/**
+ * ActivityLog component: tenant-wide audit log with filters
+ * @returns {JSX.Element} The ActivityLog component
+ */
+const ActivityLog = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+
+  const { data, isLoading, error } = useFetchAuditLog({ filters, page, limit: PAGE_SIZE });
+  const totalPages = data ? Math.max(Math.ceil(data.count / PAGE_SIZE), 1) : 1;
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters({ ...filters, [name]: value });
+    setPage(1);
+  };
+
+  const inputClass = 'px-3 py-2 text-sm border border-[#D3D0CD] rounded-md focus:outline-none focus:ring-1 focus:ring-[#F58220]';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      {/* Filters */}
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-6">
+        <select name="entity" value={filters.entity} onChange={handleFilterChange} className={inputClass} aria-label="Entity">
+          <option value="">All entities</option>
+          {ENTITIES.map(entity => (
+            <option key={entity} value={entity}>{entity}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          name="actor"
+          value={filters.actor}
+          onChange={handleFilterChange}
+          placeholder="User email"
+          className={inputClass}
+          aria-label="User"
+        />
+        <select name="action" value={filters.action} onChange={handleFilterChange} className={inputClass} aria-label="Action">
+          <option value="">All actions</option>
+          <option value="create">Create</option>
+          <option value="update">Update</option>
+          <option value="delete">Delete</option>
+          <option value="restore">Restore</option>
+        </select>
+        <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className={inputClass} aria-label="From" />
+        <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className={inputClass} aria-label="To" />
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-[#4A453F]">Loading...</p>
+      ) : error ? (
+        <p className="text-sm text-red-500">Error loading activity: {error.message}</p>
+      ) : !data?.rows?.length ? (
+        <p className="text-sm text-gray-500">No activity found.</p>
+      ) : (
+        <>
+          <table className="min-w-full divide-y divide-[#D3D0CD]">
+            <thead>
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Date</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">User</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Action</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Entity</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Changes</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-[#D3D0CD]">
+              {data.rows.map(entry => (
+                <tr key={entry.id} className="align-top">
+                  <td className="px-4 py-2 text-sm text-[#4A453F] whitespace-nowrap">
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-[#4A453F]">{entry.actorEmail || 'system'}</td>
+                  <td className="px-4 py-2 text-sm text-[#4A453F] capitalize">{entry.action}</td>
+                  <td className="px-4 py-2 text-sm text-[#4A453F]">
+                    {entry.entity}
+                    <span className="block text-xs text-gray-500">{entry.entityId}</span>
+                  </td>
+                  <td className="px-4 py-2 max-w-md">
+                    <AuditChanges entry={entry} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {/* Pagination */}
+          <div className="flex justify-between items-center mt-4 text-sm text-[#4A453F]">
+            <span>{data.count} entries</span>
+            <div className="space-x-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="px-3 py-1 border border-[#D3D0CD] rounded-md disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>Page {page} of {totalPages}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= totalPages}
+                className="px-3 py-1 border border-[#D3D0CD] rounded-md disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ActivityLog;
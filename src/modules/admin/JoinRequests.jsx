@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { authFetch } from '../../common/utils/fetch-wrapper';
+import { formatDate } from '../../common/utils/formatters';
+
+const JOIN_MODES = [
+  { value: 'approval', label: 'Require admin approval' },
+  { value: 'automatic', label: 'Join automatically' },
+  { value: 'disabled', label: 'Disabled' }
+];
+
+/**
+ * JoinRequests component: domain join settings and the queue of users
+ * waiting to join the tenant by email domain
+ * @returns {JSX.Element} The JoinRequests component
+ */
+const JoinRequests = () => {
+  const queryClient = useQueryClient();
+  const [roles, setRoles] = useState({});
+
+  const { data: tenantData } = useQuery({
+    queryKey: ['currentTenant'],
+    queryFn: () => authFetch('/api/tenants/current'),
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const { data: requests = [], isLoading, error } = useQuery({
+    queryKey: ['joinRequests'],
+    queryFn: async () => {
+      const data = await authFetch('/api/tenants/join-requests');
+      return data.requests;
+    },
+  });
+
+  const updateModeMutation = useMutation({
+    mutationFn: (domainJoin) => authFetch('/api/tenants/current', {
+      method: 'PUT',
+      body: JSON.stringify({ settings: { domainJoin } })
+    }),
+    onSuccess: () => {
+      toast.success('Domain join setting updated');
+      queryClient.invalidateQueries({ queryKey: ['currentTenant'] });
+    },
+    onError: (err) => toast.error(err.message),
+  });
+
+  const verifyDomainMutation = useMutation({
+    mutationFn: () => authFetch('/api/tenants/current/domain/verify', {
+      method: 'POST'
+    }),
+    onSuccess: () => {
+      toast.success('Domain verified');
+      queryClient.invalidateQueries({ queryKey: ['currentTenant'] });
+    },
+    onError: (err) => {
+      toast.error(err.message);
+      // A first attempt creates the verification record to publish
+      queryClient.invalidateQueries({ queryKey: ['currentTenant'] });
+    },
+  });
+
+  const approveMutation = useMutation({
+    mutationFn: ({ id, role }) => authFetch(`/api/tenants/join-requests/${id}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ role })
+    }),
+    onSuccess: () => {
+      toast.success('Join request approved');
+      queryClient.invalidateQueries({ queryKey: ['joinRequests'] });
+    },
+    onError: (err) => toast.error(err.message),
+  });
+
+  const rejectMutation = useMutation({
+    mutationFn: (id) => authFetch(`/api/tenants/join-requests/${id}`, {
+      method: 'DELETE'
+    }),
+    onSuccess: () => {
+      toast.success('Join request rejected');
+      queryClient.invalidateQueries({ queryKey: ['joinRequests'] });
+    },
+    onError: (err) => toast.error(err.message),
+  });
+
+  const tenant = tenantData?.tenant;
+  // Only admins may approve a request as admin
+  const isAdmin = tenantData?.user?.role === 'admin';
+  const joinMode = tenant?.settings?.domainJoin || 'approval';
+
+  return (
+    <div className="space-y-6">
+      {/* Domain join settings */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-lg font-semibold text-[#4A453F] mb-2">Domain Join</h2>
+        {tenant?.domain && tenant.domainVerification?.verified ? (
+          <div className="flex flex-col md:flex-row md:items-center gap-4">
+            <p className="text-sm text-[#4A453F]">
+              Users with a verified email at <strong>{tenant.domain}</strong> can join this organization.
+            </p>
+            <select
+              value={joinMode}
+              onChange={(e) => updateModeMutation.mutate(e.target.value)}
+              disabled={updateModeMutation.isPending}
+              className="px-3 py-2 text-sm border border-[#D3D0CD] rounded-md focus:outline-none focus:ring-1 focus:ring-[#F58220]"
+            >
+              {JOIN_MODES.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+          </div>
+        ) : tenant?.domain ? (
+          <div className="space-y-3">
+            <p className="text-sm text-[#4A453F]">
+              Verify that <strong>{tenant.domain}</strong> belongs to the organization before users
+              with an email there can join it.
+              {tenant.domainVerification?.record && ' Add this TXT record to the domain\'s DNS, then verify it:'}
+            </p>
+            {tenant.domainVerification?.record && (
+              <code className="block px-3 py-2 text-sm bg-gray-100 rounded-md break-all">{tenant.domainVerification.record}</code>
+            )}
+            <button
+              onClick={() => verifyDomainMutation.mutate()}
+              disabled={verifyDomainMutation.isPending}
+              className="px-3 py-2 text-sm bg-[#F58220] text-white rounded-md hover:bg-[#e67812] disabled:opacity-50"
+            >
+              Verify domain
+            </button>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">
+            Set a domain for the organization to let users with a matching email join it.
+          </p>
+        )}
+      </div>
+
+      {/* Pending requests */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-lg font-semibold text-[#4A453F] mb-4">Pending Requests</h2>
+
+        {isLoading ? (
+          <p className="text-sm text-[#4A453F]">Loading...</p>
+        ) : error ? (
+          <p className="text-sm text-red-500">Error loading join requests: {error.message}</p>
+        ) : requests.length === 0 ? (
+          <p className="text-sm text-gray-500">No pending requests.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-[#D3D0CD]">
+            <thead>
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Email</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Requested</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Role</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-[#4A453F] uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-[#D3D0CD]">
+              {requests.map(request => (
+                <tr key={request.id}>
+                  <td className="px-4 py-2 text-sm text-[#4A453F]">{request.email}</td>
+                  <td className="px-4 py-2 text-sm text-[#4A453F]">{formatDate(request.createdAt)}</td>
+                  <td className="px-4 py-2 text-sm">
+                    <select
+                      value={roles[request.id] || 'user'}
+                      onChange={(e) => setRoles({ ...roles, [request.id]: e.target.value })}
+                      className="px-2 py-1 text-sm border border-[#D3D0CD] rounded-md"
+                    >
+                      <option value="user">User</option>
+                      <option value="manager">Manager</option>
+                      {isAdmin && <option value="admin">Admin</option>}
+                    </select>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right space-x-2">
+                    <button
+                      onClick={() => approveMutation.mutate({ id: request.id, role: roles[request.id] || 'user' })}
+                      disabled={approveMutation.isPending}
+                      className="px-3 py-1 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] disabled:opacity-50"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => rejectMutation.mutate(request.id)}
+                      disabled={rejectMutation.isPending}
+                      className="px-3 py-1 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 disabled:opacity-50"
+                    >
+                      Reject
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default JoinRequests;
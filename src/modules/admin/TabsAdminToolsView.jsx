@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import DatabaseManagement from '../dashboard/DatabaseManagement';
+import JoinRequests from './JoinRequests';
+import ActivityLog from './ActivityLog';
+import TrashBin from './TrashBin';
+import usePermissions from '../../common/hooks/usePermissions';
 
 /**
  * TabsAdminToolsView component that provides tab navigation for admin tools
@@ -11,7 +15,14 @@ const TabsAdminToolsView = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const queryParams = new URLSearchParams(location.search);
-  const tab = queryParams.get('tab') || 'database';
+  const { can, isOperator } = usePermissions();
+  
+  // Database management is for platform operators; others start on their first tab
+  const defaultTab = isOperator ? 'database'
+    : can('users:invite') ? 'join-requests'
+    : can('audit:read') ? 'activity'
+    : 'trash';
+  const tab = queryParams.get('tab') || defaultTab;
   
   // State for active tab
   const [activeTab, setActiveTab] = useState(tab);
@@ -45,26 +56,76 @@ const TabsAdminToolsView = () => {
       {/* Tabs */}
       <div className="mb-6 border-b border-[#D3D0CD]">
         <ul className="flex flex-wrap -mb-px">
-          <li className="mr-2">
-            <button
-              className={`inline-block py-3 px-4 text-sm font-medium border-b-2 ${
-                activeTab === 'database'
-                  ? 'border-[#F58220] text-[#F58220]'
-                  : 'border-transparent text-[#4A453F] hover:border-[#D3D0CD]'
-              }`}
-              onClick={() => handleTabChange('database')}
-              aria-current={activeTab === 'database' ? 'page' : undefined}
-            >
-              Database Management
-            </button>
-          </li>
+          {isOperator && (
+            <li className="mr-2">
+              <button
+                className={`inline-block py-3 px-4 text-sm font-medium border-b-2 ${
+                  activeTab === 'database'
+                    ? 'border-[#F58220] text-[#F58220]'
+                    : 'border-transparent text-[#4A453F] hover:border-[#D3D0CD]'
+                }`}
+                onClick={() => handleTabChange('database')}
+                aria-current={activeTab === 'database' ? 'page' : undefined}
+              >
+                Database Management
+              </button>
+            </li>
+          )}
+          {can('users:invite') && (
+            <li className="mr-2">
+              <button
+                className={`inline-block py-3 px-4 text-sm font-medium border-b-2 ${
+                  activeTab === 'join-requests'
+                    ? 'border-[#F58220] text-[#F58220]'
+                    : 'border-transparent text-[#4A453F] hover:border-[#D3D0CD]'
+                }`}
+                onClick={() => handleTabChange('join-requests')}
+                aria-current={activeTab === 'join-requests' ? 'page' : undefined}
+              >
+                Join Requests
+              </button>
+            </li>
+          )}
+          {can('audit:read') && (
+            <li className="mr-2">
+              <button
+                className={`inline-block py-3 px-4 text-sm font-medium border-b-2 ${
+                  activeTab === 'activity'
+                    ? 'border-[#F58220] text-[#F58220]'
+                    : 'border-transparent text-[#4A453F] hover:border-[#D3D0CD]'
+                }`}
+                onClick={() => handleTabChange('activity')}
+                aria-current={activeTab === 'activity' ? 'page' : undefined}
+              >
+                Activity
+              </button>
+            </li>
+          )}
+          {can('trash:manage') && (
+            <li className="mr-2">
+              <button
+                className={`inline-block py-3 px-4 text-sm font-medium border-b-2 ${
+                  activeTab === 'trash'
+                    ? 'border-[#F58220] text-[#F58220]'
+                    : 'border-transparent text-[#4A453F] hover:border-[#D3D0CD]'
+                }`}
+                onClick={() => handleTabChange('trash')}
+                aria-current={activeTab === 'trash' ? 'page' : undefined}
+              >
+                Trash
+              </button>
+            </li>
+          )}
           {/* Additional admin tool tabs can be added here */}
         </ul>
       </div>
 
       {/* Tab Content */}
       <div>
-        {activeTab === 'database' && <DatabaseManagement />}
+        {activeTab === 'database' && isOperator && <DatabaseManagement />}
+        {activeTab === 'join-requests' && can('users:invite') && <JoinRequests />}
+        {activeTab === 'activity' && can('audit:read') && <ActivityLog />}
+        {activeTab === 'trash' && can('trash:manage') && <TrashBin />}
         {/* Additional tab content components can be added here */}
       </div>
     </div>
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { authFetch } from '../../common/utils/fetch-wrapper';
+import { formatDate } from '../../common/utils/formatters';
+
+const ENTITY_LABELS = {
+  Client: 'Client',
+  Salesperson: 'Salesperson',
+  Service: 'Service',
+  Technician: 'Technician'
+};
+
+/**
+ * TrashBin component: deleted clients, salespersons, services and technicians
+ * that can be restored until they are purged after the retention period
+ * @returns {JSX.Element} The TrashBin component
+ */
+const TrashBin = () => {
+  const queryClient = useQueryClient();
+  const [retentionDays, setRetentionDays] = useState('');
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['trash'],
+    queryFn: () => authFetch('/api/trash'),
+    select: data => data.data,
+  });
+
+  const restoreMutation = useMutation({
+    mutationFn: ({ entity, id }) => authFetch(`/api/trash/${entity}/${id}/restore`, {
+      method: 'POST'
+    }),
+    onSuccess: () => {
+      toast.success('Record restored');
+      // Restoring re-links clients, services and objectives across the app
+      queryClient.invalidateQueries();
+    },
+    onError: (err) => toast.error(err.message),
+  });
+
+  const purgeMutation = useMutation({
+    mutationFn: ({ entity, id }) => authFetch(`/api/trash/${entity}/${id}`, {
+      method: 'DELETE'
+    }),
+    onSuccess: () => {
+      toast.success('Record permanently deleted');
+      queryClient.invalidateQueries({ queryKey: ['trash'] });
+    },
+    onError: (err) => toast.error(err.message),
+  });
+
+  const retentionMutation = useMutation({
+    mutationFn: (days) => authFetch('/api/tenants/current', {
+      method: 'PUT',
+      body: JSON.stringify({ settings: { trashRetentionDays: days } })
+    }),
+    onSuccess: () => {
+      toast.success('Retention period updated');
+      setRetentionDays('');
+      queryClient.invalidateQueries({ queryKey: ['trash'] });
+      queryClient.invalidateQueries({ queryKey: ['currentTenant'] });
+    },
+    onError: (err) => toast.error(err.message),
+  });
+
+  const handlePurge = (item) => {
+    if (window.confirm(`Permanently delete "${item.name}"? This action cannot be undone.`)) {
+      purgeMutation.mutate(item);
+    }
+  };
+
+  const handleRetentionSubmit = (e) => {
+    e.preventDefault();
+    const days = parseInt(retentionDays, 10);
+    if (!days || days < 1) {
+      toast.error('Enter a number of days greater than zero');
+      return;
+    }
+    retentionMutation.mutate(days);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Retention settings */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-lg font-semibold text-[#4A453F] mb-2">Retention</h2>
+        <form onSubmit={handleRetentionSubmit} className="flex flex-col md:flex-row md:items-center gap-4">
+          <p className="text-sm text-[#4A453F]">
+            Deleted records are kept for <strong>{data?.retentionDays ?? '...'} days</strong> before they are permanently removed.
+          </p>
+          <input
+            type="number"
+            min="1"
+            value={retentionDays}
+            onChange={(e) => setRetentionDays(e.target.value)}
+            placeholder="Days"
+            className="w-28 px-3 py-2 text-sm border border-[#D3D0CD] rounded-md focus:outline-none focus:ring-1 focus:ring-[#F58220]"
+            aria-label="Retention days"
+          />
+          <button
+            type="submit"
+            disabled={retentionMutation.isPending}
+            className="px-3 py-2 text-sm bg-[#F58220] text-white rounded-md hover:bg-[#e67812] disabled:opacity-50"
+          >
+            Update
+          </button>
+        </form>
+      </div>
+
+      {/* Trashed records */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-lg font-semibold text-[#4A453F] mb-4">Deleted Records</h2>
+
+        {isLoading ? (
+          <p className="text-sm text-[#4A453F]">Loading...</p>
+        ) : error ? (
+          <p className="text-sm text-red-500">Error loading trash: {error.message}</p>
+        ) : !data?.rows?.length ? (
+          <p className="text-sm text-gray-500">The trash is empty.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-[#D3D0CD]">
+            <thead>
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Type</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Deleted by</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Deleted</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Purged on</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-[#4A453F] uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-[#D3D0CD]">
+              {data.rows.map(item => (
+                <tr key={`${item.entity}-${item.id}`}>
+                  <td className="px-4 py-2 text-sm text-[#4A453F]">{item.name}</td>
+                  <td className="px-4 py-2 text-sm text-[#4A453F]">{ENTITY_LABELS[item.entity]}</td>
+                  <td className="px-4 py-2 text-sm text-[#4A453F]">{item.deletedBy || 'system'}</td>
+                  <td className="px-4 py-2 text-sm text-[#4A453F]">{formatDate(item.deletedAt)}</td>
+                  <td className="px-4 py-2 text-sm text-[#4A453F]">{formatDate(item.purgeAt)}</td>
+                  <td className="px-4 py-2 text-sm text-right space-x-2 whitespace-nowrap">
+                    <button
+                      onClick={() => restoreMutation.mutate(item)}
+                      disabled={restoreMutation.isPending}
+                      className="px-3 py-1 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] disabled:opacity-50"
+                    >
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => handlePurge(item)}
+                      disabled={purgeMutation.isPending}
+                      className="px-3 py-1 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 disabled:opacity-50"
+                    >
+                      Delete permanently
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrashBin;
@@ -0,0 +1,377 @@
+import React, { useState } from 'react';
+import useFetchClientActions from './hooks/useFetchClientActions';
+import useFetchClientAction from './hooks/useFetchClientAction';
+import useSaveClientAction from './hooks/useSaveClientAction';
+import useFetchTechnicians from './hooks/useFetchTechnicians';
+import useFetchSalespersons from '../../common/hooks/useFetchSalespersons';
+import usePermissions from '../../common/hooks/usePermissions';
+import useFetchMe from '../me/hooks/useFetchMe';
+
+export const PRIORITY_LABELS = {
+  alta: 'High',
+  media: 'Medium',
+  baja: 'Low'
+};
+
+export const STATUS_LABELS = {
+  pendiente: 'Pending',
+  en_progreso: 'In progress',
+  completada: 'Completed',
+  cancelada: 'Cancelled'
+};
+
+export const TRANSITION_LABELS = {
+  start: 'Start',
+  complete: 'Complete',
+  cancel: 'Cancel',
+  reopen: 'Reopen'
+};
+
+// Statuses of actions still to be done
+export const OPEN_STATUSES = ['pendiente', 'en_progreso'];
+
+/**
+ * Badge colours of a priority
+ * @param {string} prioridad - baja, media or alta
+ * @returns {string} Tailwind classes
+ */
+export const priorityClass = (prioridad) => {
+  if (prioridad === 'alta') return 'bg-red-100 text-red-800';
+  if (prioridad === 'media') return 'bg-orange-100 text-[#F58220]';
+  return 'bg-gray-100 text-[#4A453F]';
+};
+
+const EMPTY_ACTION_FORM = {
+  accion: '',
+  assignee: '',
+  prioridad: 'media',
+  fechaVencimiento: ''
+};
+
+/**
+ * Format a date-only value (YYYY-MM-DD) as that day in the local time zone
+ */
+const formatDay = (day) => (day ? new Date(`${day}T00:00:00`).toLocaleDateString() : '-');
+
+/**
+ * Assignee select value ('vendedor:<id>' or 'tecnico:<id>') as action fields
+ */
+const toAssignee = (value) => {
+  const [type, id] = value ? value.split(':') : [];
+  return {
+    vendedorId: type === 'vendedor' ? id : null,
+    tecnicoId: type === 'tecnico' ? id : null
+  };
+};
+
+/**
+ * Comments of an action with a form to add one
+ * @param {Object} props
+ * @param {string} props.actionId - Action ID
+ * @param {boolean} props.canComment - Whether the user may comment
+ * @returns {JSX.Element} The ActionComments component
+ */
+const ActionComments = ({ actionId, canComment }) => {
+  const { data: action, isLoading } = useFetchClientAction(actionId);
+  const { addComment } = useSaveClientAction();
+  const [comment, setComment] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!comment.trim()) return;
+    addComment.mutate({ id: actionId, comment }, {
+      onSuccess: () => setComment('')
+    });
+  };
+
+  if (isLoading) {
+    return <p className="text-xs text-neutral-dark mt-2">Loading comments...</p>;
+  }
+
+  return (
+    <div className="mt-2 pl-3 border-l-2 border-neutral-light">
+      {!action?.comments?.length ? (
+        <p className="text-xs text-neutral-dark">No comments yet</p>
+      ) : (
+        <ul className="space-y-1">
+          {action.comments.map(item => (
+            <li key={item.id} className="text-xs">
+              <span className="text-neutral-dark">{item.comment}</span>
+              <span className="text-gray-500"> — {item.authorEmail || 'Unknown'}, {new Date(item.createdAt).toLocaleString()}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {canComment && (
+        <form onSubmit={handleSubmit} className="flex gap-2 mt-2">
+          <input
+            type="text"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Add a comment..."
+            className="flex-1 p-1 border border-neutral-light rounded text-xs"
+          />
+          <button
+            type="submit"
+            disabled={addComment.isPending || !comment.trim()}
+            className="px-2 py-1 bg-[#F58220] text-white rounded text-xs hover:bg-[#e67812] disabled:opacity-50"
+          >
+            Comment
+          </button>
+        </form>
+      )}
+      {addComment.isError && <p className="text-xs text-red-600 mt-1">{addComment.error.message}</p>}
+    </div>
+  );
+};
+
+/**
+ * ClientActions component: the actions pending on a client, with their
+ * assignee, priority, due date and status, and forms to add, move and
+ * comment on them
+ * @param {Object} props
+ * @param {string} props.clientId - Client ID
+ * @param {string} [props.defaultVendedorId] - Salesperson new actions are assigned to by default
+ * @returns {JSX.Element} The ClientActions component
+ */
+const ClientActions = ({ clientId, defaultVendedorId }) => {
+  const [showClosed, setShowClosed] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_ACTION_FORM);
+  const [formError, setFormError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const { data, isLoading, error } = useFetchClientActions({
+    clientId,
+    estado: showClosed ? undefined : OPEN_STATUSES
+  });
+  const { saveAction, transitionAction, deleteAction } = useSaveClientAction();
+  const { canViewAll } = usePermissions();
+  const { data: me } = useFetchMe();
+  const canWrite = canViewAll('clients:write');
+
+  const { data: salespersonsData } = useFetchSalespersons({ page: 1, limit: 100, filters: { estado: 'active' } });
+  const { data: techniciansData } = useFetchTechnicians({ page: 1, limit: 100, filters: { estado: 'active' } });
+
+  // Assignees may move their actions and comment on them without editing clients
+  const canWork = (action) => canWrite ||
+    (action.vendedorId && action.vendedorId === me?.salesperson?.id) ||
+    (action.tecnicoId && action.tecnicoId === me?.technician?.id);
+
+  const openForm = () => {
+    setForm({ ...EMPTY_ACTION_FORM, assignee: defaultVendedorId ? `vendedor:${defaultVendedorId}` : '' });
+    setFormError(null);
+    setShowForm(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.accion.trim()) {
+      setFormError('Describe the action');
+      return;
+    }
+
+    saveAction.mutate({
+      action: {
+        clientId,
+        accion: form.accion,
+        prioridad: form.prioridad,
+        fechaVencimiento: form.fechaVencimiento || null,
+        ...toAssignee(form.assignee)
+      }
+    }, {
+      onSuccess: () => setShowForm(false),
+      onError: (err) => setFormError(err.message)
+    });
+  };
+
+  const handleDelete = (action) => {
+    if (window.confirm(`Delete the action "${action.accion}"?`)) {
+      deleteAction.mutate(action.id);
+    }
+  };
+
+  const assigneeName = (action) => {
+    if (action.vendedor) return action.vendedor.nombre;
+    if (action.tecnico) return `${action.tecnico.nombre} (technician)`;
+    return 'Unassigned';
+  };
+
+  const inputClass = 'w-full p-2 border border-neutral-light rounded text-sm focus:outline-none focus:ring-1 focus:ring-[#F58220] focus:border-[#F58220]';
+
+  return (
+    <div className="mt-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-medium text-neutral-dark">Pending Actions</h2>
+        <div className="flex items-center gap-4">
+          <label className="flex items-center text-sm text-neutral-dark">
+            <input
+              type="checkbox"
+              checked={showClosed}
+              onChange={(e) => setShowClosed(e.target.checked)}
+              className="mr-2 accent-[#F58220]"
+            />
+            Show closed
+          </label>
+          {canWrite && !showForm && (
+            <button
+              onClick={openForm}
+              className="px-3 py-1 bg-[#F58220] text-white rounded text-sm hover:bg-[#e67812]"
+            >
+              Add action
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mb-4 p-4 bg-gray-50 rounded-lg border border-neutral-light">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div className="md:col-span-2">
+              <label htmlFor="actionAccion" className="block text-xs font-medium text-neutral-dark mb-1">Action</label>
+              <textarea
+                id="actionAccion"
+                name="accion"
+                rows="2"
+                value={form.accion}
+                onChange={handleChange}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="actionAssignee" className="block text-xs font-medium text-neutral-dark mb-1">Assignee</label>
+              <select id="actionAssignee" name="assignee" value={form.assignee} onChange={handleChange} className={inputClass}>
+                <option value="">Unassigned</option>
+                <optgroup label="Salespersons">
+                  {salespersonsData?.rows?.map(salesperson => (
+                    <option key={salesperson.id} value={`vendedor:${salesperson.id}`}>{salesperson.nombre}</option>
+                  ))}
+                </optgroup>
+                <optgroup label="Technicians">
+                  {techniciansData?.rows?.map(technician => (
+                    <option key={technician.id} value={`tecnico:${technician.id}`}>{technician.nombre}</option>
+                  ))}
+                </optgroup>
+              </select>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="actionPrioridad" className="block text-xs font-medium text-neutral-dark mb-1">Priority</label>
+                <select id="actionPrioridad" name="prioridad" value={form.prioridad} onChange={handleChange} className={inputClass}>
+                  {Object.entries(PRIORITY_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="actionFechaVencimiento" className="block text-xs font-medium text-neutral-dark mb-1">Due date</label>
+                <input
+                  id="actionFechaVencimiento"
+                  type="date"
+                  name="fechaVencimiento"
+                  value={form.fechaVencimiento}
+                  onChange={handleChange}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          </div>
+          {formError && <p className="text-xs text-red-600 mt-2">{formError}</p>}
+          <div className="flex justify-end gap-2 mt-3">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-3 py-1 rounded text-sm bg-[#D3D0CD] text-[#4A453F] hover:bg-[#BDB7B1]"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saveAction.isPending}
+              className="px-3 py-1 rounded text-sm bg-[#F58220] text-white hover:bg-[#e67812] disabled:opacity-50"
+            >
+              {saveAction.isPending ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-neutral-dark">Loading actions...</p>
+      ) : error ? (
+        <p className="text-sm text-red-600">Error loading actions: {error.message}</p>
+      ) : !data?.rows.length ? (
+        <p className="text-sm text-neutral-dark">{showClosed ? 'No actions' : 'No pending actions'}</p>
+      ) : (
+        <ul className="space-y-2">
+          {data.rows.map(action => (
+            <li
+              key={action.id}
+              className={`p-3 rounded-lg border ${action.overdue ? 'border-red-200 bg-red-50' : 'border-neutral-light bg-white'}`}
+            >
+              <div className="flex flex-wrap justify-between items-start gap-2">
+                <div className="min-w-0">
+                  <p className={`text-sm ${OPEN_STATUSES.includes(action.estado) ? 'text-neutral-dark' : 'text-gray-500 line-through'}`}>
+                    {action.accion}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {assigneeName(action)}
+                    {' · '}
+                    <span className={action.overdue ? 'text-red-700 font-medium' : ''}>
+                      Due {formatDay(action.fechaVencimiento)}{action.overdue ? ' (overdue)' : ''}
+                    </span>
+                    {' · '}
+                    {STATUS_LABELS[action.estado]}
+                  </p>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className={`px-2 py-0.5 text-xs rounded-full ${priorityClass(action.prioridad)}`}>
+                    {PRIORITY_LABELS[action.prioridad]}
+                  </span>
+                  {canWork(action) && action.transitions.map(transition => (
+                    <button
+                      key={transition}
+                      onClick={() => transitionAction.mutate({ id: action.id, transition })}
+                      disabled={transitionAction.isPending}
+                      className="px-2 py-1 text-xs rounded bg-[#D3D0CD] text-[#4A453F] hover:bg-[#BDB7B1] disabled:opacity-50"
+                    >
+                      {TRANSITION_LABELS[transition]}
+                    </button>
+                  ))}
+                  <button
+                    onClick={() => setExpandedId(expandedId === action.id ? null : action.id)}
+                    className="text-xs text-blue-600 hover:text-blue-800"
+                  >
+                    {expandedId === action.id ? 'Hide comments' : 'Comments'}
+                  </button>
+                  {canWrite && (
+                    <button
+                      onClick={() => handleDelete(action)}
+                      className="text-xs text-red-600 hover:text-red-800"
+                      aria-label={`Delete action ${action.accion}`}
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </div>
+              {expandedId === action.id && (
+                <ActionComments actionId={action.id} canComment={canWork(action)} />
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {transitionAction.isError && (
+        <p className="text-xs text-red-600 mt-2">{transitionAction.error.message}</p>
+      )}
+    </div>
+  );
+};
+
+export default ClientActions;
@@ -1,16 +1,20 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import useFetchClients from './hooks/useFetchClients';
 import useFetchSalespersons from '../../common/hooks/useFetchSalespersons';
 import useFetchTechnicians from './hooks/useFetchTechnicians';
 import useFetchServices from './hooks/useFetchServices';
-import useFetchClientServices from './hooks/useFetchClientServices';
+import { useFetchMatrixData } from './hooks/useFetchClientServices';
 import useSaveClient from './hooks/useSaveClient';
 import useSaveClientService from './hooks/useSaveClientService';
 import useClientServiceManager from './hooks/useClientServiceManager';
 import useUpdateClientServiceNotes from './hooks/useUpdateClientServiceNotes';
+import useFetchClientActions from './hooks/useFetchClientActions';
+import { OPEN_STATUSES } from './ClientActions';
 import { buildApiUrl } from '../../common/utils/apiConfig';
 import { authFetch } from '../../common/utils/fetch-wrapper';
+import usePermissions from '../../common/hooks/usePermissions';
+import Attachments from '../../common/components/Attachments';
 
 /**
  * ClientManagement component for client management
@@ -42,6 +46,10 @@ const ClientManagement = ({ initialEditClientId }) => {
     telefono: '',
     direccion: '',
     contratoSoporte: false,
+    contratoFechaInicio: '',
+    contratoFechaFin: '',
+    contratoRenovacionAutomatica: false,
+    contratoDiasPreaviso: '',
     fechaUltimoRelevamiento: '',
     linkDocumentoRelevamiento: '',
     notas: ''
@@ -54,12 +62,8 @@ const ClientManagement = ({ initialEditClientId }) => {
   const [selectedClient, setSelectedClient] = useState(null);
   const [selectedServiceId, setSelectedServiceId] = useState('');
   const [serviceNotes, setServiceNotes] = useState('');
-  const [clientServices, setClientServices] = useState([]);
-  const [serviceCountsMap, setServiceCountsMap] = useState({});
   const [expandedClientIds, setExpandedClientIds] = useState(new Set());
-  const [expandedServicesMap, setExpandedServicesMap] = useState({});
   const [showServices, setShowServices] = useState(false);
-  const [allClientsServices, setAllClientsServices] = useState({});
   const [selectedClientServiceId, setSelectedClientServiceId] = useState(null);
   
   // Fetch clients with filters, pagination, and sorting
@@ -115,14 +119,56 @@ const ClientManagement = ({ initialEditClientId }) => {
     sortDir: 'ASC'
   });
   
-  // Fetch client services when a client is selected
+  // Fetch the services assigned to the clients of the current page in one request
+  const pageClientIds = useMemo(
+    () => (clientsData?.rows || []).map(client => client.id),
+    [clientsData]
+  );
   const {
-    data: clientServicesData,
+    data: matrixData,
     isLoading: isLoadingClientServices,
     refetch: refetchClientServices
-  } = useFetchClientServices(selectedClient?.id, {
-    enabled: !!selectedClient?.id
-  });
+  } = useFetchMatrixData(
+    { clientIds: pageClientIds, limit: Math.max(pageClientIds.length, 1) },
+    { enabled: pageClientIds.length > 0 }
+  );
+  
+  // Open actions of the clients of the page, to flag overdue ones
+  const { data: openActionsData } = useFetchClientActions(
+    { clientIds: pageClientIds, estado: OPEN_STATUSES },
+    { enabled: pageClientIds.length > 0 }
+  );
+  
+  // Open and overdue action counts of each client of the page, keyed by client ID
+  const clientActionCounts = useMemo(() => {
+    const counts = {};
+    (openActionsData?.rows || []).forEach(action => {
+      const count = counts[action.clientId] = counts[action.clientId] || { open: 0, overdue: 0 };
+      count.open++;
+      if (action.overdue) count.overdue++;
+    });
+    return counts;
+  }, [openActionsData]);
+  
+  // Assigned services of each client of the page, keyed by client ID
+  const clientServicesMap = useMemo(() => {
+    const servicesMap = {};
+    (matrixData?.clients || []).forEach(client => {
+      servicesMap[client.id] = client.servicios.map(servicio => ({
+        id: servicio.clientServiceId,
+        clientId: client.id,
+        servicioId: servicio.id,
+        servicio,
+        notas: servicio.notas,
+        detalles: servicio.detalles,
+        fechaAsignacion: servicio.fechaAsignacion
+      }));
+    });
+    return servicesMap;
+  }, [matrixData]);
+  
+  // Assigned services of the client in the service modal
+  const clientServices = selectedClient ? clientServicesMap[selectedClient.id] || [] : [];
   
   // Client saving mutations
   const { createClient, updateClient, deleteClient } = useSaveClient();
@@ -133,6 +179,11 @@ const ClientManagement = ({ initialEditClientId }) => {
   // Client-service manager hook for better persistence
   const { toggleServiceAssignment, pendingOperations } = useClientServiceManager();
   
+  // Hide actions the current user's role is not allowed to perform
+  const { can } = usePermissions();
+  const canEditClients = can('clients:write');
+  const canDeleteClients = can('clients:delete');
+  
   // Update clients state when data is fetched
   useEffect(() => {
     if (clientsData && clientsData.rows) {
@@ -141,29 +192,6 @@ const ClientManagement = ({ initialEditClientId }) => {
         ...prev,
         totalPages: clientsData.totalPages || 1
       }));
-      
-      // Fetch service counts for each client
-      fetchServiceCounts(clientsData.rows).catch(error => {
-        console.error("Error fetching service counts:", error);
-      });
-      
-      // Fetch services for clients that are already expanded
-      if (expandedClientIds.size > 0) {
-        clientsData.rows.forEach(client => {
-          if (client && client.id && expandedClientIds.has(client.id)) {
-            fetchClientServicesForExpanded(client.id).catch(error => {
-              console.error(`Error fetching services for client ${client.id}:`, error);
-            });
-          }
-        });
-      }
-
-      // If showing services, fetch all clients' services
-      if (showServices) {
-        fetchAllClientsServices(clientsData.rows).catch(error => {
-          console.error("Error fetching all client services:", error);
-        });
-      }
     } else if (clientsData === null) {
       // Reset state if data is null
       setClients([]);
@@ -172,86 +200,7 @@ const ClientManagement = ({ initialEditClientId }) => {
         totalPages: 1
       }));
     }
-  }, [clientsData, showServices, expandedClientIds]);
-  
-  // Fetch service counts for clients
-  const fetchServiceCounts = async (clientsList) => {
-    if (!clientsList || clientsList.length === 0) {
-      console.warn('No clients provided to fetchServiceCounts');
-      return;
-    }
-    
-    const countsMap = {};
-    
-    try {
-      // Create a queue of promises to fetch service counts
-      const fetchPromises = clientsList.map(async (client) => {
-        if (!client || !client.id) {
-          console.warn('Invalid client object in fetchServiceCounts');
-          return;
-        }
-        
-        try {
-          const data = await authFetch(`/api/cliente-servicios/cliente/${client.id}/count`);
-          countsMap[client.id] = data.count || 0;
-        } catch (error) {
-          console.error(`Error fetching service count for client ${client.id}:`, error);
-          countsMap[client.id] = 0;
-        }
-      });
-      
-      // Wait for all fetches to complete
-      await Promise.all(fetchPromises);
-      setServiceCountsMap(countsMap);
-    } catch (error) {
-      console.error('Error in fetchServiceCounts:', error);
-      // Ensure we still set a valid object even if there was an error
-      setServiceCountsMap(countsMap);
-    }
-  };
-
-  // Fetch all clients' services for matrix display
-  const fetchAllClientsServices = async (clientsList) => {
-    if (!clientsList || clientsList.length === 0) {
-      console.warn('No clients provided to fetchAllClientsServices');
-      return;
-    }
-    
-    const servicesMap = {};
-    
-    try {
-      const fetchPromises = clientsList.map(async (client) => {
-        if (!client || !client.id) {
-          console.warn('Invalid client object in fetchAllClientsServices');
-          return;
-        }
-        
-        try {
-          const data = await authFetch(`/api/cliente-servicios/cliente/${client.id}`);
-          servicesMap[client.id] = data.data;
-        } catch (error) {
-          console.error(`Error fetching services for client ${client.id}:`, error);
-          servicesMap[client.id] = [];
-        }
-      });
-      
-      await Promise.all(fetchPromises);
-      setAllClientsServices(servicesMap);
-    } catch (error) {
-      console.error('Error in fetchAllClientsServices:', error);
-      // Ensure we still set a valid object even if there was an error
-      setAllClientsServices(servicesMap);
-    }
-  };
-  
-  // Update client services when data is fetched
-  useEffect(() => {
-    if (clientServicesData && Array.isArray(clientServicesData)) {
-      setClientServices(clientServicesData);
-    } else if (clientServicesData === null) {
-      setClientServices([]);
-    }
-  }, [clientServicesData]);
+  }, [clientsData]);
   
   // Handle filter changes
   const handleFilterChange = (e) => {
@@ -312,6 +261,10 @@ const ClientManagement = ({ initialEditClientId }) => {
         telefono: '',
         direccion: '',
         contratoSoporte: false,
+        contratoFechaInicio: '',
+        contratoFechaFin: '',
+        contratoRenovacionAutomatica: false,
+        contratoDiasPreaviso: '',
         fechaUltimoRelevamiento: '',
         linkDocumentoRelevamiento: '',
         notas: ''
@@ -350,6 +303,11 @@ const ClientManagement = ({ initialEditClientId }) => {
       errors.email = 'Email format is invalid';
     }
     
+    if (formData.contratoSoporte && formData.contratoFechaInicio && formData.contratoFechaFin &&
+        formData.contratoFechaFin < formData.contratoFechaInicio) {
+      errors.contratoFechaFin = 'Contract end must not be before its start';
+    }
+    
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -387,6 +345,13 @@ const ClientManagement = ({ initialEditClientId }) => {
       telefono: formData.telefono || '',
       direccion: formData.direccion || '',
       contratoSoporte: formData.contratoSoporte || false,
+      // Contract terms only apply while the client has a support contract
+      contratoFechaInicio: (formData.contratoSoporte && formData.contratoFechaInicio) || null,
+      contratoFechaFin: (formData.contratoSoporte && formData.contratoFechaFin) || null,
+      contratoRenovacionAutomatica: Boolean(formData.contratoSoporte && formData.contratoRenovacionAutomatica),
+      contratoDiasPreaviso: formData.contratoSoporte && formData.contratoDiasPreaviso !== ''
+        ? Number(formData.contratoDiasPreaviso)
+        : null,
       // Use the correct field names to match the database schema and handle dates properly
       fechaUltimoRelevamiento: formData.fechaUltimoRelevamiento ? parseDate(formData.fechaUltimoRelevamiento) : null,
       linkDocumentoRelevamiento: formData.linkDocumentoRelevamiento || '',
@@ -440,6 +405,10 @@ const ClientManagement = ({ initialEditClientId }) => {
       telefono: client.telefono || '',
       direccion: client.direccion || '',
       contratoSoporte: client.contratoSoporte,
+      contratoFechaInicio: client.contratoFechaInicio || '',
+      contratoFechaFin: client.contratoFechaFin || '',
+      contratoRenovacionAutomatica: client.contratoRenovacionAutomatica || false,
+      contratoDiasPreaviso: client.contratoDiasPreaviso ?? '',
       fechaUltimoRelevamiento: client.fechaUltimoRelevamiento ? formatDate(client.fechaUltimoRelevamiento) : '',
       linkDocumentoRelevamiento: client.linkDocumentoRelevamiento || '',
       notas: client.notas || ''
@@ -473,22 +442,11 @@ const ClientManagement = ({ initialEditClientId }) => {
     setServiceNotes('');
     setSelectedClientServiceId(null);
     setShowServiceModal(true);
-    
-    // Fetch client services if not already loaded
-    if (client.id !== selectedClient?.id) {
-      refetchClientServices();
-    }
   };
   
   // Handle closing service management modal
   const handleCloseServiceModal = () => {
     setShowServiceModal(false);
-    
-    // If this client is expanded, refresh its expanded services
-    if (selectedClient && expandedClientIds.has(selectedClient.id)) {
-      fetchClientServicesForExpanded(selectedClient.id);
-    }
-    
     setSelectedClient(null);
     setSelectedServiceId('');
     setServiceNotes('');
@@ -511,17 +469,6 @@ const ClientManagement = ({ initialEditClientId }) => {
       {
         onSuccess: () => {
           refetchClientServices();
-          // Update service count for this client
-          setServiceCountsMap(prev => ({
-            ...prev,
-            [selectedClient.id]: (prev[selectedClient.id] || 0) + 1
-          }));
-          
-          // If this client is expanded, also refresh its expanded services
-          if (expandedClientIds.has(selectedClient.id)) {
-            fetchClientServicesForExpanded(selectedClient.id);
-          }
-          
           setSelectedServiceId('');
           setServiceNotes('');
         },
@@ -544,16 +491,6 @@ const ClientManagement = ({ initialEditClientId }) => {
         {
           onSuccess: () => {
             refetchClientServices();
-            // Update service count for this client
-            setServiceCountsMap(prev => ({
-              ...prev,
-              [selectedClient.id]: Math.max(0, (prev[selectedClient.id] || 0) - 1)
-            }));
-            
-            // If this client is expanded, also refresh its expanded services
-            if (expandedClientIds.has(selectedClient.id)) {
-              fetchClientServicesForExpanded(selectedClient.id);
-            }
           },
           onError: (error) => {
             console.error('Error removing service:', error.message);
@@ -565,20 +502,16 @@ const ClientManagement = ({ initialEditClientId }) => {
   };
   
   // Toggle expanded view for a client
-  const toggleExpandClient = async (clientId) => {
+  const toggleExpandClient = (clientId) => {
     // Create a new Set from the current expandedClientIds
     const newExpandedIds = new Set(expandedClientIds);
     
     if (newExpandedIds.has(clientId)) {
-      // If it's already expanded, collapse it
       newExpandedIds.delete(clientId);
-      setExpandedClientIds(newExpandedIds);
     } else {
-      // If it's not expanded, expand it and fetch its services
       newExpandedIds.add(clientId);
-      setExpandedClientIds(newExpandedIds);
-      await fetchClientServicesForExpanded(clientId);
     }
+    setExpandedClientIds(newExpandedIds);
   };
   
   // Quick assign a service directly from the matrix
@@ -591,16 +524,7 @@ const ClientManagement = ({ initialEditClientId }) => {
       },
       {
         onSuccess: () => {
-          // Update service count for this client
-          setServiceCountsMap(prev => ({
-            ...prev,
-            [client.id]: (prev[client.id] || 0) + 1
-          }));
-          
-          // If this client is expanded, also refresh its expanded services
-          if (expandedClientIds.has(client.id)) {
-            fetchClientServicesForExpanded(client.id);
-          }
+          refetchClientServices();
         },
         onError: (error) => {
           console.error('Error assigning service:', error.message);
@@ -610,105 +534,28 @@ const ClientManagement = ({ initialEditClientId }) => {
     );
   };
   
-  // Fetch services for an expanded client row
-  const fetchClientServicesForExpanded = async (clientId) => {
-    if (!clientId) {
-      console.warn('No client ID provided to fetchClientServicesForExpanded');
-      return;
-    }
-    
-    try {
-      const data = await authFetch(`/api/cliente-servicios/cliente/${clientId}`);
-      setExpandedServicesMap(prev => ({
-        ...prev,
-        [clientId]: data.data
-      }));
-    } catch (error) {
-      console.error(`Error fetching services for client ${clientId}:`, error);
-      setExpandedServicesMap(prev => ({
-        ...prev,
-        [clientId]: []
-      }));
-    }
-  };
-  
   // Handle service toggle for matrix display
   const handleToggleService = async (client, service) => {
-    // Check if service is already assigned
-    const isAssigned = allClientsServices[client.id]?.some(cs => cs.servicioId === service.id);
+    // Create a compatible client object for the useClientServiceManager hook
+    const clientWithServices = {
+      ...client,
+      servicios: clientServicesMap[client.id]?.map(cs => cs.servicio) || []
+    };
     
     try {
-      // Optimistically update UI
-      setAllClientsServices(prev => {
-        const clientServices = [...(prev[client.id] || [])];
-        
-        if (isAssigned) {
-          // Remove service
-          const updatedServices = clientServices.filter(cs => cs.servicioId !== service.id);
-          return {
-            ...prev,
-            [client.id]: updatedServices
-          };
-        } else {
-          // Add service
-          const newService = {
-            id: `temp-${Date.now()}`,
-            clientId: client.id,
-            servicioId: service.id,
-            servicio: service,
-            fechaAsignacion: new Date(),
-            notas: ''
-          };
-          return {
-            ...prev,
-            [client.id]: [...clientServices, newService]
-          };
-        }
-      });
-      
-      // Update service count
-      setServiceCountsMap(prev => ({
-        ...prev,
-        [client.id]: isAssigned ? Math.max(0, (prev[client.id] || 0) - 1) : (prev[client.id] || 0) + 1
-      }));
-      
-      // Create a compatible client object for the useClientServiceManager hook
-      const clientWithServices = {
-        ...client,
-        servicios: allClientsServices[client.id]?.map(cs => cs.servicio) || []
-      };
-      
-      // Call persistent service toggle
+      // Call persistent service toggle; it refreshes the matrix data when done
       await toggleServiceAssignment(clientWithServices, service, 
         () => {
           console.log(`[DEBUG] Service toggle successful for ${service.nombre} on client ${client.nombre}`);
-          // If this client is expanded, refresh its services
-          if (expandedClientIds.has(client.id)) {
-            fetchClientServicesForExpanded(client.id);
-          }
-          // Refresh all services if in matrix mode
-          if (showServices) {
-            fetchAllClientsServices(clients);
-          }
         },
         (error) => {
           console.error(`[DEBUG] Service toggle failed: ${error.message}`);
           alert(`Error toggling service: ${error.message}`);
-          // Revert UI by refreshing data
-          fetchServiceCounts(clients);
-          if (showServices) {
-            fetchAllClientsServices(clients);
-          }
         }
       );
     } catch (error) {
       console.error(`[DEBUG] Error in service toggle: ${error.message}`);
       alert(`Error toggling service: ${error.message}`);
-      // Revert UI by refreshing data
-      fetchServiceCounts(clients);
-      if (showServices) {
-        fetchAllClientsServices(clients);
-      }
     }
   };
   
@@ -732,11 +579,6 @@ const ClientManagement = ({ initialEditClientId }) => {
         onSuccess: () => {
           refetchClientServices();
           
-          // If this client is expanded, also refresh its expanded services
-          if (expandedClientIds.has(selectedClient.id)) {
-            fetchClientServicesForExpanded(selectedClient.id);
-          }
-          
           // Reset form fields
           setSelectedServiceId('');
           setServiceNotes('');
@@ -936,12 +778,26 @@ const ClientManagement = ({ initialEditClientId }) => {
   // Modify renderClient to handle both regular and showServices mode
   const renderClient = (client) => (
     <React.Fragment key={client.id}>
-      <tr className="hover:bg-neutral-light">
+      <tr className={clientActionCounts[client.id]?.overdue ? 'bg-red-50 hover:bg-red-100' : 'hover:bg-neutral-light'}>
         <td className="px-6 py-4 whitespace-nowrap">
           <div className="text-sm font-medium text-neutral-dark">{client.nombre}</div>
           {client.email && (
             <div className="text-xs text-neutral-dark mt-1">{client.email}</div>
           )}
+          {clientActionCounts[client.id] && (
+            <Link
+              to={`/client-matrix/clients/${client.id}`}
+              className={`inline-block mt-1 px-2 py-0.5 text-xs rounded-full ${
+                clientActionCounts[client.id].overdue
+                  ? 'bg-red-100 text-red-800'
+                  : 'bg-orange-100 text-[#F58220]'
+              }`}
+              title="Pending actions"
+            >
+              {clientActionCounts[client.id].open} pending
+              {clientActionCounts[client.id].overdue > 0 && `, ${clientActionCounts[client.id].overdue} overdue`}
+            </Link>
+          )}
         </td>
         <td className="px-6 py-4 whitespace-nowrap">
           <div className="text-sm text-neutral-dark">
@@ -983,19 +839,19 @@ const ClientManagement = ({ initialEditClientId }) => {
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
                     </svg>
                   )}
-                  <span className="font-medium">{serviceCountsMap[client.id] || 0}</span>
+                  <span className="font-medium">{clientServicesMap[client.id]?.length || 0}</span>
                   {expandedClientIds.has(client.id) ? " (Collapse)" : " (Expand)"}
                 </button>
-                {!expandedClientIds.has(client.id) && serviceCountsMap[client.id] > 0 && (
+                {!expandedClientIds.has(client.id) && clientServicesMap[client.id]?.length > 0 && (
                   <div className="flex flex-wrap max-w-xs gap-1 ml-2">
-                    {(expandedServicesMap[client.id] || []).slice(0, 3).map((clientService) => (
+                    {(clientServicesMap[client.id] || []).slice(0, 3).map((clientService) => (
                       <span key={clientService?.id || `temp-${Math.random()}`} className="px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-800 whitespace-nowrap">
                         {clientService?.servicio?.nombre || 'Unknown service'}
                       </span>
                     ))}
-                    {(expandedServicesMap[client.id] || []).length > 3 && (
+                    {(clientServicesMap[client.id] || []).length > 3 && (
                       <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-800">
-                        +{(expandedServicesMap[client.id] || []).length - 3} more
+                        +{(clientServicesMap[client.id] || []).length - 3} more
                       </span>
                     )}
                   </div>
@@ -1008,7 +864,7 @@ const ClientManagement = ({ initialEditClientId }) => {
           </>
         ) : (
           servicesData?.rows?.map((service) => {
-            const isAssigned = allClientsServices[client.id]?.some(cs => cs.servicioId === service.id);
+            const isAssigned = clientServicesMap[client.id]?.some(cs => cs.servicioId === service.id);
             const isPending = pendingOperations[`${client.id}-${service.id}`];
             
     return (
@@ -1020,7 +876,7 @@ const ClientManagement = ({ initialEditClientId }) => {
                   className={`form-checkbox rounded focus:ring-[#F58220] h-5 w-5 ${
                     isPending ? 'opacity-50 cursor-wait' : 'text-[#F58220] cursor-pointer'
                   }`}
-                  disabled={isPending}
+                  disabled={isPending || !canEditClients}
                   aria-label={`${isAssigned ? 'Remove' : 'Add'} ${service.nombre} service for ${client.nombre}`}
                 />
               </td>
@@ -1029,20 +885,24 @@ const ClientManagement = ({ initialEditClientId }) => {
         )}
         
         <td className="px-6 py-4 whitespace-nowrap text-center text-sm">
-          <button
-            onClick={() => handleEditClient(client)}
-            className="text-blue-600 hover:text-blue-800 mr-3"
-            aria-label={`Edit ${client.nombre}`}
-          >
-            Edit
-          </button>
-          <button
-            onClick={() => handleDeleteClient(client.id)}
-            className="text-red-600 hover:text-red-800"
-            aria-label={`Delete ${client.nombre}`}
-          >
-            Delete
-          </button>
+          {canEditClients && (
+            <button
+              onClick={() => handleEditClient(client)}
+              className="text-blue-600 hover:text-blue-800 mr-3"
+              aria-label={`Edit ${client.nombre}`}
+            >
+              Edit
+            </button>
+          )}
+          {canDeleteClients && (
+            <button
+              onClick={() => handleDeleteClient(client.id)}
+              className="text-red-600 hover:text-red-800"
+              aria-label={`Delete ${client.nombre}`}
+            >
+              Delete
+            </button>
+          )}
         </td>
       </tr>
       
@@ -1054,16 +914,18 @@ const ClientManagement = ({ initialEditClientId }) => {
                 <h3 className="text-md font-medium text-neutral-dark">
                   Services for {client.nombre}
                 </h3>
-                <button
-                  onClick={() => handleOpenServiceModal(client)}
-                  className="bg-[#F58220] text-white px-3 py-1 text-sm rounded hover:bg-[#e67812] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#F58220]"
-                >
-                  Manage Services
-                </button>
+                {canEditClients && (
+                  <button
+                    onClick={() => handleOpenServiceModal(client)}
+                    className="bg-[#F58220] text-white px-3 py-1 text-sm rounded hover:bg-[#e67812] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#F58220]"
+                  >
+                    Manage Services
+                  </button>
+                )}
       </div>
               
               {/* Services Matrix */}
-              {!expandedServicesMap[client.id] || !servicesData ? (
+              {!clientServicesMap[client.id] || !servicesData ? (
                 <div className="text-center py-4">
                   <div className="inline-block h-6 w-6 animate-spin rounded-full border-4 border-solid border-[#F58220] border-r-transparent align-[-0.125em]" role="status">
                     <span className="!absolute !-m-px !h-px !w-px !overflow-hidden !whitespace-nowrap !border-0 !p-0 ![clip:rect(0,0,0,0)]">
@@ -1081,7 +943,7 @@ const ClientManagement = ({ initialEditClientId }) => {
                   {/* Service Summary */}
                   <div className="bg-gray-50 p-3 rounded mb-4 flex justify-between items-center">
                     <div className="text-sm">
-                      <span className="font-medium">{expandedServicesMap[client.id].length}</span> of <span className="font-medium">{servicesData.rows.length}</span> services assigned
+                      <span className="font-medium">{clientServicesMap[client.id].length}</span> of <span className="font-medium">{servicesData.rows.length}</span> services assigned
                     </div>
                     <div className="flex space-x-4 text-xs">
                       <div className="flex items-center">
@@ -1108,12 +970,12 @@ const ClientManagement = ({ initialEditClientId }) => {
                     <div className="min-w-max grid grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-6 gap-3">
                       {servicesData.rows.map(service => {
                         // Check if this client has this service
-                        const hasService = expandedServicesMap[client.id].some(
+                        const hasService = clientServicesMap[client.id].some(
                           cs => cs.servicioId === service.id
                         );
                         
                         // Find the client service if it exists
-                        const clientService = expandedServicesMap[client.id].find(
+                        const clientService = clientServicesMap[client.id].find(
                           cs => cs.servicioId === service.id
                         );
                         
@@ -1126,7 +988,7 @@ const ClientManagement = ({ initialEditClientId }) => {
                               <div className="font-medium text-sm truncate" title={service.nombre}>
                                 {service.nombre}
                               </div>
-                              {hasService ? (
+                              {!canEditClients ? null : hasService ? (
         <button
                                   onClick={() => {
                                     setSelectedClient(client);
@@ -1159,13 +1021,13 @@ const ClientManagement = ({ initialEditClientId }) => {
                                 {clientService.notas}
                               </div>
                             )}
-                            {hasService ? (
+                            {!canEditClients ? null : hasService ? (
                               <button
                                 onClick={() => {
                                   setSelectedClient(client);
                                   setSelectedServiceId(service.id);
                                   // Find the clientServiceId for this client-service pair
-                                  const clientService = expandedServicesMap[client.id]?.find(cs => 
+                                  const clientService = clientServicesMap[client.id]?.find(cs => 
                                     cs.servicioId === service.id
                                   );
                                   setSelectedClientServiceId(clientService?.id || null);
@@ -1215,12 +1077,14 @@ const ClientManagement = ({ initialEditClientId }) => {
         <h2 className="text-xl font-semibold text-[#4A453F] mb-4 md:mb-0">Clients</h2>
         
         <div className="flex space-x-2">
-          <button
-            onClick={handleToggleForm}
-            className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] transition-colors"
-          >
-            {showForm ? 'Cancel' : '+ Add Client'}
-          </button>
+          {canEditClients && (
+            <button
+              onClick={handleToggleForm}
+              className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] transition-colors"
+            >
+              {showForm ? 'Cancel' : '+ Add Client'}
+            </button>
+          )}
         </div>
       </div>
       
@@ -1401,6 +1265,18 @@ const ClientManagement = ({ initialEditClientId }) => {
                 />
               </div>
               
+              {/* Assessment files (once the client exists) */}
+              {isEditing && formData.id && (
+                <div className="md:col-span-2">
+                  <Attachments
+                    entityType="client_relevamiento"
+                    entityId={formData.id}
+                    canEdit={can('clients:write')}
+                    title="Assessment Files"
+                  />
+                </div>
+              )}
+              
               <div className="flex items-center">
                 <input
                   id="contratoSoporte"
@@ -1416,6 +1292,68 @@ const ClientManagement = ({ initialEditClientId }) => {
                 </label>
               </div>
               
+              {/* Support contract terms */}
+              {formData.contratoSoporte && (
+                <div className="md:col-span-2 grid grid-cols-1 md:grid-cols-4 gap-4">
+                  <div>
+                    <label htmlFor="contratoFechaInicio" className="block text-sm font-medium text-neutral-dark mb-1">
+                      Contract Start
+                    </label>
+                    <input
+                      type="date"
+                      id="contratoFechaInicio"
+                      name="contratoFechaInicio"
+                      value={formData.contratoFechaInicio}
+                      onChange={handleInputChange}
+                      className="w-full rounded-md border border-neutral-light p-2 focus:outline-none focus:ring-1 focus:ring-[#F58220] focus:border-[#F58220]"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="contratoFechaFin" className="block text-sm font-medium text-neutral-dark mb-1">
+                      Contract End
+                    </label>
+                    <input
+                      type="date"
+                      id="contratoFechaFin"
+                      name="contratoFechaFin"
+                      value={formData.contratoFechaFin}
+                      onChange={handleInputChange}
+                      className={`w-full rounded-md border ${formErrors.contratoFechaFin ? 'border-red-500' : 'border-neutral-light'} p-2 focus:outline-none focus:ring-1 focus:ring-[#F58220] focus:border-[#F58220]`}
+                    />
+                    {formErrors.contratoFechaFin && (
+                      <p className="mt-1 text-sm text-red-500">{formErrors.contratoFechaFin}</p>
+                    )}
+                  </div>
+                  <div>
+                    <label htmlFor="contratoDiasPreaviso" className="block text-sm font-medium text-neutral-dark mb-1">
+                      Notice Period (days)
+                    </label>
+                    <input
+                      type="number"
+                      id="contratoDiasPreaviso"
+                      name="contratoDiasPreaviso"
+                      min="0"
+                      value={formData.contratoDiasPreaviso}
+                      onChange={handleInputChange}
+                      className="w-full rounded-md border border-neutral-light p-2 focus:outline-none focus:ring-1 focus:ring-[#F58220] focus:border-[#F58220]"
+                    />
+                  </div>
+                  <div className="flex items-center md:mt-6">
+                    <input
+                      id="contratoRenovacionAutomatica"
+                      name="contratoRenovacionAutomatica"
+                      type="checkbox"
+                      checked={formData.contratoRenovacionAutomatica}
+                      onChange={handleInputChange}
+                      className="h-4 w-4 text-[#F58220] rounded"
+                    />
+                    <label htmlFor="contratoRenovacionAutomatica" className="ml-2 text-sm font-medium text-neutral-dark">
+                      Renews automatically
+                    </label>
+                  </div>
+                </div>
+              )}
+              
               <div className="md:col-span-2">
                 <label htmlFor="notas" className="block text-sm font-medium text-neutral-dark mb-1">
                   Notes
@@ -2,13 +2,54 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useFetchMatrixData } from './hooks/useFetchClientServices';
 import useFetchSalespersons from '../../common/hooks/useFetchSalespersons';
+import useFetchTeams from '../../common/hooks/useFetchTeams';
 import useFetchTechnicians from './hooks/useFetchTechnicians';
 import useSaveClientService from './hooks/useSaveClientService';
 import useSaveClient from './hooks/useSaveClient';
 import useClientServiceManager from './hooks/useClientServiceManager';
 import useClientServiceHealthCheck from './hooks/useClientServiceHealthCheck';
+import useFetchOpportunities from './hooks/useFetchOpportunities';
 import { useQueryClient } from '@tanstack/react-query';
 
+// Clients shown per page of the matrix
+const PAGE_SIZE = 100;
+
+/**
+ * The most likely cross-sell opportunities of a client, as badges with their
+ * likelihood; services of a category the client has nothing of stand out
+ * @param {Object} props - Component props
+ * @param {Array<Object>} [props.opportunities] - Opportunities, most likely first
+ * @returns {JSX.Element} The OpportunityList component
+ */
+const OpportunityList = ({ opportunities }) => {
+  if (!opportunities?.length) {
+    return <span className="text-sm text-neutral-dark">—</span>;
+  }
+  
+  return (
+    <div className="flex flex-wrap max-w-xs gap-1">
+      {opportunities.slice(0, 3).map((opportunity) => (
+        <span
+          key={opportunity.servicioId}
+          className={`px-2 py-0.5 text-xs rounded-full whitespace-nowrap ${
+            opportunity.newCategory ? 'bg-orange-100 text-[#F58220]' : 'bg-blue-100 text-blue-800'
+          }`}
+          title={opportunity.basedOn.length > 0
+            ? `${Math.round(opportunity.likelihood * 100)}% of clients with ${opportunity.basedOn[0].nombre} also have it`
+            : `${Math.round(opportunity.likelihood * 100)}% of clients have it`}
+        >
+          {opportunity.nombre} {Math.round(opportunity.likelihood * 100)}%
+        </span>
+      ))}
+      {opportunities.length > 3 && (
+        <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-800">
+          +{opportunities.length - 3} more
+        </span>
+      )}
+    </div>
+  );
+};
+
 /**
  * ClientMatrix component displays a consolidated view of clients and their services
  * @returns {JSX.Element} The ClientMatrix component
@@ -17,6 +58,10 @@ const ClientMatrix = () => {
   // States
   const [vendedorFilter, setVendedorFilter] = useState('');
   const [tecnicoFilter, setTecnicoFilter] = useState('');
+  const [teamFilter, setTeamFilter] = useState('');
+  const [categoriaFilter, setCategoriaFilter] = useState('');
+  const [contratoFilter, setContratoFilter] = useState('');
+  const [page, setPage] = useState(1);
   const [matrixData, setMatrixData] = useState({ clients: [], services: [] });
   const [showServiceModal, setShowServiceModal] = useState(false);
   const [selectedClient, setSelectedClient] = useState(null);
@@ -25,9 +70,22 @@ const ClientMatrix = () => {
   // Get client-service matrix data
   const { data, isLoading, error, refetch } = useFetchMatrixData({
     vendedorId: vendedorFilter || undefined,
-    tecnicoId: tecnicoFilter || undefined
+    tecnicoId: tecnicoFilter || undefined,
+    teamId: teamFilter || undefined,
+    categoria: categoriaFilter || undefined,
+    contratoSoporte: contratoFilter || undefined,
+    page,
+    limit: PAGE_SIZE
   });
   
+  // Get the cross-sell opportunities of the clients shown
+  const { data: opportunitiesByClient } = useFetchOpportunities(
+    (data?.clients || []).map(client => client.id)
+  );
+  
+  // Get teams for filtering
+  const { data: teamsData } = useFetchTeams();
+  
   // Get salespersons for filtering
   const {
     data: salespersonsData,
@@ -180,10 +238,23 @@ const ClientMatrix = () => {
     return date.toISOString().split('T')[0];
   };
   
+  /**
+   * Change handler of a filter select; any filter change goes back to the first page
+   * @param {Function} setFilter - State setter of the filter
+   */
+  const handleFilterChange = (setFilter) => (e) => {
+    setFilter(e.target.value);
+    setPage(1);
+  };
+  
   // Reset all filters
   const handleResetFilters = () => {
     setVendedorFilter('');
     setTecnicoFilter('');
+    setTeamFilter('');
+    setCategoriaFilter('');
+    setContratoFilter('');
+    setPage(1);
     setShowServices(false);
   };
 
@@ -252,6 +323,28 @@ const ClientMatrix = () => {
       <div className="mb-6 bg-white shadow rounded-lg p-4 border border-neutral-light">
         <h2 className="text-lg font-medium text-neutral-dark mb-4">Filters</h2>
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          {teamsData?.rows?.length > 0 && (
+            <div>
+              <label htmlFor="teamFilter" className="block text-sm font-medium text-neutral-dark mb-1">
+                Team
+              </label>
+              <select
+                id="teamFilter"
+                value={teamFilter}
+                onChange={handleFilterChange(setTeamFilter)}
+                className="w-full rounded-md border border-neutral-light p-2 focus:outline-none focus:ring-1 focus:ring-[#F58220] focus:border-[#F58220]"
+                aria-label="Filter by team"
+              >
+                <option value="">All teams</option>
+                {teamsData.rows.map((team) => (
+                  <option key={team.id} value={team.id}>
+                    {team.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          
           <div>
             <label htmlFor="vendedorFilter" className="block text-sm font-medium text-neutral-dark mb-1">
               Salesperson
@@ -259,7 +352,7 @@ const ClientMatrix = () => {
             <select
               id="vendedorFilter"
               value={vendedorFilter}
-              onChange={(e) => setVendedorFilter(e.target.value)}
+              onChange={handleFilterChange(setVendedorFilter)}
               className="w-full rounded-md border border-neutral-light p-2 focus:outline-none focus:ring-1 focus:ring-[#F58220] focus:border-[#F58220]"
               aria-label="Filter by salesperson"
             >
@@ -280,7 +373,7 @@ const ClientMatrix = () => {
             <select
               id="tecnicoFilter"
               value={tecnicoFilter}
-              onChange={(e) => setTecnicoFilter(e.target.value)}
+              onChange={handleFilterChange(setTecnicoFilter)}
               className="w-full rounded-md border border-neutral-light p-2 focus:outline-none focus:ring-1 focus:ring-[#F58220] focus:border-[#F58220]"
               aria-label="Filter by technician"
             >
@@ -294,6 +387,43 @@ const ClientMatrix = () => {
             </select>
           </div>
           
+          <div>
+            <label htmlFor="categoriaFilter" className="block text-sm font-medium text-neutral-dark mb-1">
+              Service Category
+            </label>
+            <select
+              id="categoriaFilter"
+              value={categoriaFilter}
+              onChange={handleFilterChange(setCategoriaFilter)}
+              className="w-full rounded-md border border-neutral-light p-2 focus:outline-none focus:ring-1 focus:ring-[#F58220] focus:border-[#F58220]"
+              aria-label="Filter by service category"
+            >
+              <option value="">All categories</option>
+              {matrixData.categories?.map((categoria) => (
+                <option key={categoria} value={categoria}>
+                  {categoria}
+                </option>
+              ))}
+            </select>
+          </div>
+          
+          <div>
+            <label htmlFor="contratoFilter" className="block text-sm font-medium text-neutral-dark mb-1">
+              Support Contract
+            </label>
+            <select
+              id="contratoFilter"
+              value={contratoFilter}
+              onChange={handleFilterChange(setContratoFilter)}
+              className="w-full rounded-md border border-neutral-light p-2 focus:outline-none focus:ring-1 focus:ring-[#F58220] focus:border-[#F58220]"
+              aria-label="Filter by support contract"
+            >
+              <option value="">All</option>
+              <option value="true">With contract</option>
+              <option value="false">Without contract</option>
+            </select>
+          </div>
+          
           <div className="flex items-end">
             <div className="flex items-center">
               <label htmlFor="showServicesToggle" className="block text-sm font-medium text-neutral-dark mr-2">
@@ -369,6 +499,9 @@ const ClientMatrix = () => {
                       </th>
                     ))
                   )}
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-neutral-dark uppercase tracking-wider">
+                    Opportunities
+                  </th>
                   <th scope="col" className="px-6 py-3 text-center text-xs font-medium text-neutral-dark uppercase tracking-wider">
                     Actions
                   </th>
@@ -455,6 +588,9 @@ const ClientMatrix = () => {
                         );
                       })
                     )}
+                    <td className="px-6 py-4">
+                      <OpportunityList opportunities={opportunitiesByClient?.[client.id]?.opportunities} />
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-center text-sm">
                       <Link
                         to={`/client-matrix/clients?edit=${client.id}`}
@@ -477,6 +613,46 @@ const ClientMatrix = () => {
               </table>
           )}
         </div>
+        
+        {/* Pagination */}
+        {matrixData.totalPages > 1 && (
+          <div className="px-6 py-3 flex items-center justify-between border-t border-neutral-light">
+            <p className="text-sm text-neutral-dark">
+              Showing <span className="font-medium">{(page - 1) * PAGE_SIZE + 1}</span> to{' '}
+              <span className="font-medium">{Math.min(page * PAGE_SIZE, matrixData.count)}</span>{' '}
+              of <span className="font-medium">{matrixData.count}</span> clients
+            </p>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setPage(prev => prev - 1)}
+                disabled={page === 1}
+                className={`px-3 py-1 rounded-md ${
+                  page === 1
+                    ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                    : 'bg-white text-neutral-dark hover:bg-neutral-light border border-neutral-light'
+                }`}
+                aria-label="Previous page"
+              >
+                Previous
+              </button>
+              <span className="px-3 py-1 rounded-md bg-white border border-neutral-light text-neutral-dark">
+                {page} / {matrixData.totalPages}
+              </span>
+              <button
+                onClick={() => setPage(prev => prev + 1)}
+                disabled={page >= matrixData.totalPages}
+                className={`px-3 py-1 rounded-md ${
+                  page >= matrixData.totalPages
+                    ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                    : 'bg-white text-neutral-dark hover:bg-neutral-light border border-neutral-light'
+                }`}
+                aria-label="Next page"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
         </div>
         
       {/* Service Assignment Modal */}
@@ -3,18 +3,24 @@ import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import ClientMatrix from './ClientMatrix';
-import { useFetchMatrixData } from './hooks/useFetchClientServices';
+import { authFetch } from '../../common/utils/fetch-wrapper';
 import useFetchSalespersons from '../../common/hooks/useFetchSalespersons';
 import useFetchTechnicians from './hooks/useFetchTechnicians';
 import useSaveClientService from './hooks/useSaveClientService';
 
-// Mock the hooks
-jest.mock('./hooks/useFetchClientServices', () => ({
-  useFetchMatrixData: jest.fn(),
+// Mock the API, so the matrix data goes through useFetchMatrixData
+jest.mock('../../common/utils/fetch-wrapper', () => ({
+  authFetch: jest.fn(),
 }));
+
+// Mock the hooks
 jest.mock('../../common/hooks/useFetchSalespersons', () => jest.fn());
 jest.mock('./hooks/useFetchTechnicians', () => jest.fn());
 jest.mock('./hooks/useSaveClientService', () => jest.fn());
+jest.mock('./hooks/useFetchOpportunities', () => ({
+  __esModule: true,
+  default: () => ({ data: {} }),
+}));
 jest.mock('./hooks/useSaveClient', () => ({
   __esModule: true,
   default: () => ({
@@ -24,7 +30,8 @@ jest.mock('./hooks/useSaveClient', () => ({
   }),
 }));
 
-// Create mock data
+// Create mock data: a page of GET /api/clientes/matrix/data, with the
+// assignments as sparse cells (one per assigned client and service)
 const mockMatrixData = {
   clients: [
     {
@@ -33,11 +40,7 @@ const mockMatrixData = {
       vendedor: { id: '101', nombre: 'Vendedor 1' },
       tecnico: { id: '201', nombre: 'Tecnico 1' },
       contratoSoporte: true,
-      fechaUltimoRelevamiento: '2023-10-01',
-      servicios: [
-        { id: '301', nombre: 'Backup' },
-        { id: '302', nombre: 'Support 24/7' }
-      ]
+      fechaUltimoRelevamiento: '2023-10-01'
     },
     {
       id: '2',
@@ -45,34 +48,40 @@ const mockMatrixData = {
       vendedor: { id: '102', nombre: 'Vendedor 2' },
       tecnico: { id: '202', nombre: 'Tecnico 2' },
       contratoSoporte: false,
-      fechaUltimoRelevamiento: null,
-      servicios: [
-        { id: '301', nombre: 'Backup' }
-      ]
+      fechaUltimoRelevamiento: null
     }
   ],
   services: [
-    { id: '301', nombre: 'Backup' },
-    { id: '302', nombre: 'Support 24/7' },
-    { id: '303', nombre: 'Cloud Storage' }
-  ]
+    { id: '301', nombre: 'Backup', categoria: 'Infrastructure' },
+    { id: '302', nombre: 'Support 24/7', categoria: 'Support' },
+    { id: '303', nombre: 'Cloud Storage', categoria: 'Infrastructure' }
+  ],
+  cells: [
+    { id: '401', clientId: '1', servicioId: '301', notas: null, detalles: null, fechaAsignacion: '2023-10-01' },
+    { id: '402', clientId: '1', servicioId: '302', notas: 'Weekdays only', detalles: null, fechaAsignacion: '2023-10-02' },
+    { id: '403', clientId: '2', servicioId: '301', notas: null, detalles: null, fechaAsignacion: '2023-11-01' }
+  ],
+  categories: ['Infrastructure', 'Support'],
+  count: 2,
+  totalPages: 1,
+  currentPage: 1
 };
 
 describe('ClientMatrix Component', () => {
-  const queryClient = new QueryClient();
+  let queryClient;
   
   // Setup mock implementations before each test
   beforeEach(() => {
     // Reset all mocks
     jest.clearAllMocks();
+    queryClient = new QueryClient({ defaultOptions: { queries: { retry: false } } });
     
-    // Mock the API hooks
-    useFetchMatrixData.mockReturnValue({
-      data: mockMatrixData,
-      isLoading: false,
-      error: null,
-      refetch: jest.fn(),
-    });
+    // Mock the API
+    authFetch.mockImplementation(async (url) => (
+      url.includes('/api/clientes/matrix/data')
+        ? { success: true, data: mockMatrixData }
+        : { success: true, data: { count: 0, rows: [] } }
+    ));
     
     useFetchSalespersons.mockReturnValue({
       data: { rows: [{ id: '101', nombre: 'Vendedor 1' }, { id: '102', nombre: 'Vendedor 2' }] },
@@ -118,11 +127,11 @@ describe('ClientMatrix Component', () => {
     expect(screen.getByText('Matrix')).not.toHaveClass('bg-[#F58220] text-white');
   });
   
-  it('should display services count when "Show Services" toggle is off', () => {
+  it('should display services count when "Show Services" toggle is off', async () => {
     renderClientMatrix();
     
     // Verify services are shown as count
-    expect(screen.getByText('2 services')).toBeInTheDocument();
+    expect(await screen.findByText('2 services')).toBeInTheDocument();
     expect(screen.getByText('1 services')).toBeInTheDocument();
     
     // Service columns should not be visible
@@ -132,6 +141,7 @@ describe('ClientMatrix Component', () => {
   
   it('should display individual service columns when "Show Services" toggle is on', async () => {
     renderClientMatrix();
+    await screen.findByText('Client 1');
     
     // Find and click the "Show Services" toggle
     const toggleSwitch = screen.getByLabelText('Show Services');
@@ -155,6 +165,7 @@ describe('ClientMatrix Component', () => {
   
   it('should toggle services when clicking on a checkbox', async () => {
     renderClientMatrix();
+    await screen.findByText('Client 1');
     
     // Enable service columns view
     const toggleSwitch = screen.getByLabelText('Show Services');
@@ -205,8 +216,9 @@ describe('ClientMatrix Component', () => {
     });
   });
   
-  it('should reset "Show Services" toggle when clicking Reset Filters', () => {
+  it('should reset "Show Services" toggle when clicking Reset Filters', async () => {
     renderClientMatrix();
+    await screen.findByText('Client 1');
     
     // Enable service columns view
     const toggleSwitch = screen.getByLabelText('Show Services');
@@ -223,4 +235,20 @@ describe('ClientMatrix Component', () => {
     expect(screen.queryByRole('columnheader', { name: 'Backup' })).not.toBeInTheDocument();
     expect(screen.getByText('2 services')).toBeInTheDocument();
   });
-}); 
\ No newline at end of file
+  
+  it('should check the assignments of the sparse matrix cells', async () => {
+    renderClientMatrix();
+    await screen.findByText('Client 1');
+    
+    // Enable service columns view
+    fireEvent.click(screen.getByLabelText('Show Services'));
+    
+    // Only the client-service pairs with a cell are assigned
+    expect(screen.getByRole('checkbox', { name: 'Remove Backup service for Client 1' })).toBeChecked();
+    expect(screen.getByRole('checkbox', { name: 'Remove Support 24/7 service for Client 1' })).toBeChecked();
+    expect(screen.getByRole('checkbox', { name: 'Add Cloud Storage service for Client 1' })).not.toBeChecked();
+    expect(screen.getByRole('checkbox', { name: 'Remove Backup service for Client 2' })).toBeChecked();
+    expect(screen.getByRole('checkbox', { name: 'Add Support 24/7 service for Client 2' })).not.toBeChecked();
+    expect(screen.getByRole('checkbox', { name: 'Add Cloud Storage service for Client 2' })).not.toBeChecked();
+  });
+});
@@ -3,6 +3,11 @@ import { useParams, Link, useNavigate } from 'react-router-dom';
 import { buildApiUrl } from '../../common/utils/apiConfig';
 import useFetchServices from './hooks/useFetchServices';
 import useSaveClientService from './hooks/useSaveClientService';
+import useUpdateClientServiceNotes from './hooks/useUpdateClientServiceNotes';
+import { BILLING_FREQUENCIES } from './ServiciosManagement';
+import ClientActions from './ClientActions';
+import RecordHistory from '../../common/components/RecordHistory';
+import { formatCurrency } from '../../common/utils/formatters';
 
 /**
  * ClientDetail component for detailed client information
@@ -19,6 +24,9 @@ const ClientDetail = () => {
   const [error, setError] = useState(null);
   const [serviceNotes, setServiceNotes] = useState({});
   const [showNotesForm, setShowNotesForm] = useState(null);
+  // Service whose commercial terms are being edited, and the edited values
+  const [showTermsForm, setShowTermsForm] = useState(null);
+  const [termsForm, setTermsForm] = useState({});
   
   // Fetch all services for dropdown
   const {
@@ -28,6 +36,7 @@ const ClientDetail = () => {
   
   // Client-service mutations
   const { assignService, unassignService } = useSaveClientService();
+  const { updateTerms } = useUpdateClientServiceNotes();
   
   // Fetch client details
   useEffect(() => {
@@ -121,6 +130,9 @@ const ClientDetail = () => {
     return new Date(dateString).toLocaleDateString();
   };
   
+  // Format a date-only value (YYYY-MM-DD) as that day in the local time zone
+  const formatDay = (day) => (day ? formatDate(`${day}T00:00:00`) : '-');
+  
   // Get service category display name
   const getServiceCategoryLabel = (category) => {
     const categories = {
@@ -151,6 +163,64 @@ const ClientDetail = () => {
     setShowNotesForm(null);
   };
 
+  // Start editing the commercial terms of an assigned service
+  const editServiceTerms = (service) => {
+    const terms = service.ClientService || {};
+    setTermsForm({
+      precioNegociado: terms.precioNegociado ?? '',
+      cantidad: terms.cantidad || 1,
+      fechaInicio: terms.fechaInicio || '',
+      fechaFin: terms.fechaFin || '',
+      fechaRenovacion: terms.fechaRenovacion || '',
+      renovacionAutomatica: terms.renovacionAutomatica || false,
+      diasPreaviso: terms.diasPreaviso ?? ''
+    });
+    setShowTermsForm(service.id);
+  };
+  
+  // Handle commercial terms change
+  const handleTermsChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setTermsForm(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+  
+  // Save the commercial terms of an assigned service
+  const saveServiceTerms = (service) => {
+    updateTerms.mutate(
+      {
+        clientServiceId: service.ClientService.id,
+        terms: {
+          // Empty fields fall back to the list price and open-ended dates
+          precioNegociado: termsForm.precioNegociado === '' ? null : Number(termsForm.precioNegociado),
+          cantidad: Number(termsForm.cantidad) || 1,
+          fechaInicio: termsForm.fechaInicio || null,
+          fechaFin: termsForm.fechaFin || null,
+          fechaRenovacion: termsForm.fechaRenovacion || null,
+          renovacionAutomatica: termsForm.renovacionAutomatica,
+          diasPreaviso: termsForm.diasPreaviso === '' ? null : Number(termsForm.diasPreaviso)
+        }
+      },
+      {
+        onSuccess: () => {
+          setShowTermsForm(null);
+          refreshClientData();
+        },
+        onError: (error) => {
+          console.error('Error saving service terms:', error.message);
+          alert(`Error saving service terms: ${error.message}`);
+        }
+      }
+    );
+  };
+  
+  // Get billing frequency display name
+  const getBillingFrequencyLabel = (frequency) => (
+    BILLING_FREQUENCIES.find(option => option.value === frequency)?.label || frequency
+  );
+
   // Loading state
   if (isLoading) {
     return (
@@ -201,6 +271,7 @@ const ClientDetail = () => {
   const availableServices = servicesData?.rows?.filter(service => 
     !assignedServices.some(clientService => clientService.id === service.id)
   ) || [];
+  const revenue = client.revenue || { lines: {}, totals: [], unpriced: 0 };
   
   return (
     <div>
@@ -263,6 +334,13 @@ const ClientDetail = () => {
                   </span>
                 )}
               </p>
+              {client.contratoSoporte && (client.contratoFechaInicio || client.contratoFechaFin) && (
+                <p className="text-sm text-neutral-dark mt-1">
+                  {formatDay(client.contratoFechaInicio)} – {formatDay(client.contratoFechaFin)}
+                  {client.contratoRenovacionAutomatica ? ', auto-renews' : ''}
+                  {client.contratoDiasPreaviso ? `, ${client.contratoDiasPreaviso} days notice` : ''}
+                </p>
+              )}
             </div>
             
             <div>
@@ -340,6 +418,144 @@ const ClientDetail = () => {
                   </div>
                   <p className="text-sm text-neutral-dark mb-2">{getServiceCategoryLabel(service.categoria)}</p>
                   
+                  {/* Commercial terms */}
+                  {showTermsForm === service.id ? (
+                    <div className="mb-3 space-y-2 text-sm">
+                      <div className="grid grid-cols-2 gap-2">
+                        <label className="block">
+                          <span className="text-xs text-neutral-dark">Price ({service.moneda})</span>
+                          <input
+                            type="number"
+                            name="precioNegociado"
+                            min="0"
+                            step="0.01"
+                            value={termsForm.precioNegociado}
+                            onChange={handleTermsChange}
+                            placeholder={service.precio != null ? String(service.precio) : 'List price'}
+                            className="w-full p-1 border border-neutral-light rounded"
+                          />
+                        </label>
+                        <label className="block">
+                          <span className="text-xs text-neutral-dark">Quantity</span>
+                          <input
+                            type="number"
+                            name="cantidad"
+                            min="1"
+                            step="1"
+                            value={termsForm.cantidad}
+                            onChange={handleTermsChange}
+                            className="w-full p-1 border border-neutral-light rounded"
+                          />
+                        </label>
+                        <label className="block">
+                          <span className="text-xs text-neutral-dark">Start</span>
+                          <input
+                            type="date"
+                            name="fechaInicio"
+                            value={termsForm.fechaInicio}
+                            onChange={handleTermsChange}
+                            className="w-full p-1 border border-neutral-light rounded"
+                          />
+                        </label>
+                        <label className="block">
+                          <span className="text-xs text-neutral-dark">End</span>
+                          <input
+                            type="date"
+                            name="fechaFin"
+                            value={termsForm.fechaFin}
+                            onChange={handleTermsChange}
+                            className="w-full p-1 border border-neutral-light rounded"
+                          />
+                        </label>
+                        <label className="block">
+                          <span className="text-xs text-neutral-dark">Renewal</span>
+                          <input
+                            type="date"
+                            name="fechaRenovacion"
+                            value={termsForm.fechaRenovacion}
+                            onChange={handleTermsChange}
+                            className="w-full p-1 border border-neutral-light rounded"
+                          />
+                        </label>
+                        <label className="block">
+                          <span className="text-xs text-neutral-dark">Notice (days)</span>
+                          <input
+                            type="number"
+                            name="diasPreaviso"
+                            min="0"
+                            step="1"
+                            value={termsForm.diasPreaviso}
+                            onChange={handleTermsChange}
+                            className="w-full p-1 border border-neutral-light rounded"
+                          />
+                        </label>
+                        <label className="flex items-center col-span-2">
+                          <input
+                            type="checkbox"
+                            name="renovacionAutomatica"
+                            checked={termsForm.renovacionAutomatica}
+                            onChange={handleTermsChange}
+                            className="h-4 w-4 text-[#F58220] rounded"
+                          />
+                          <span className="ml-2 text-xs text-neutral-dark">Renews automatically</span>
+                        </label>
+                      </div>
+                      <div className="flex justify-end space-x-2">
+                        <button
+                          onClick={() => setShowTermsForm(null)}
+                          className="px-2 py-1 bg-[#D3D0CD] text-[#4A453F] rounded text-xs"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          onClick={() => saveServiceTerms(service)}
+                          disabled={updateTerms.isPending}
+                          className="px-2 py-1 bg-[#F58220] text-white rounded text-xs"
+                        >
+                          Save Terms
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="mb-3 text-sm">
+                      {revenue.lines[service.id]?.precio != null ? (
+                        <p>
+                          {service.ClientService?.cantidad > 1 && `${service.ClientService.cantidad} × `}
+                          {formatCurrency(revenue.lines[service.id].precio, service.moneda, 2)}
+                          {' '}<span className="text-neutral-dark">{getBillingFrequencyLabel(service.frecuenciaFacturacion).toLowerCase()}</span>
+                          {revenue.lines[service.id].recurring && (
+                            <span className="block text-xs text-neutral-dark">
+                              MRR {formatCurrency(revenue.lines[service.id].mrr, service.moneda, 2)}
+                              {!revenue.lines[service.id].active && ' (not active)'}
+                            </span>
+                          )}
+                        </p>
+                      ) : (
+                        <p className="text-neutral-dark italic">No price</p>
+                      )}
+                      {(service.ClientService?.fechaInicio || service.ClientService?.fechaFin) && (
+                        <p className="text-xs text-neutral-dark">
+                          {formatDay(service.ClientService.fechaInicio)} – {formatDay(service.ClientService.fechaFin)}
+                        </p>
+                      )}
+                      {service.ClientService?.fechaRenovacion && (
+                        <p className="text-xs text-neutral-dark">Renews {formatDay(service.ClientService.fechaRenovacion)}</p>
+                      )}
+                      {(service.ClientService?.renovacionAutomatica || service.ClientService?.diasPreaviso) && (
+                        <p className="text-xs text-neutral-dark">
+                          {service.ClientService.renovacionAutomatica ? 'Auto-renews' : 'Manual renewal'}
+                          {service.ClientService.diasPreaviso ? `, ${service.ClientService.diasPreaviso} days notice` : ''}
+                        </p>
+                      )}
+                      <button
+                        onClick={() => editServiceTerms(service)}
+                        className="text-blue-600 hover:text-blue-800 text-xs"
+                      >
+                        Edit terms
+                      </button>
+                    </div>
+                  )}
+                  
                   {showNotesForm === service.id ? (
                     <div className="mt-auto">
                       <textarea
@@ -412,6 +628,8 @@ const ClientDetail = () => {
             </div>
           </div>
           
+          <ClientActions clientId={client.id} defaultVendedorId={client.vendedorId} />
+          
           {/* Notes */}
           {client.notas && (
             <div className="mt-8">
@@ -423,8 +641,34 @@ const ClientDetail = () => {
           )}
         </div>
         
-        <div className="lg:col-span-1">
-          {/* Add any additional sidebar content here if needed */}
+        <div className="lg:col-span-1 space-y-6">
+          {/* Recurring revenue */}
+          <div className="bg-white shadow rounded-lg p-6 border border-neutral-light">
+            <h2 className="text-xl font-medium text-neutral-dark mb-4">Revenue</h2>
+            {revenue.totals.length === 0 ? (
+              <p className="text-sm text-neutral-dark">No recurring revenue</p>
+            ) : (
+              revenue.totals.map(total => (
+                <div key={total.moneda} className="grid grid-cols-2 gap-4 mb-2">
+                  <div>
+                    <h3 className="text-sm font-medium text-neutral-dark">MRR</h3>
+                    <p className="text-lg font-semibold text-[#F58220]">{formatCurrency(total.mrr, total.moneda)}</p>
+                  </div>
+                  <div>
+                    <h3 className="text-sm font-medium text-neutral-dark">ARR</h3>
+                    <p className="text-lg font-semibold text-[#F58220]">{formatCurrency(total.arr, total.moneda)}</p>
+                  </div>
+                </div>
+              ))
+            )}
+            {revenue.unpriced > 0 && (
+              <p className="text-xs text-neutral-dark mt-2">
+                {revenue.unpriced} service{revenue.unpriced > 1 ? 's' : ''} without a price
+              </p>
+            )}
+          </div>
+          
+          <RecordHistory entity="Client" entityId={client.id} />
         </div>
       </div>
     </div>
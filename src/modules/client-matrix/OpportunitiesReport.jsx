@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useFetchOpportunityReport } from './hooks/useFetchOpportunities';
+import useFetchSalespersons from '../../common/hooks/useFetchSalespersons';
+import useFetchTeams from '../../common/hooks/useFetchTeams';
+
+// Opportunities listed per salesperson before "Show all"
+const COLLAPSED_ROWS = 10;
+
+/**
+ * OpportunitiesReport component: cross-sell opportunities by salesperson.
+ * For each salesperson, the services their clients lack that similar clients
+ * have, most likely first, and the number of services they could expect to
+ * sell.
+ * @returns {JSX.Element} The OpportunitiesReport component
+ */
+const OpportunitiesReport = () => {
+  const [vendedorFilter, setVendedorFilter] = useState('');
+  const [teamFilter, setTeamFilter] = useState('');
+  const [expanded, setExpanded] = useState({});
+
+  const { data, isLoading, error, refetch } = useFetchOpportunityReport({
+    vendedorId: vendedorFilter || undefined,
+    teamId: teamFilter || undefined
+  });
+  const { data: teamsData } = useFetchTeams();
+  const { data: salespersonsData } = useFetchSalespersons({ page: 1, limit: 100, filters: { estado: 'active' } });
+
+  const toggleExpanded = (key) => {
+    setExpanded(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  const selectClass = 'w-full rounded-md border border-neutral-light p-2 focus:outline-none focus:ring-1 focus:ring-[#F58220] focus:border-[#F58220]';
+
+  return (
+    <div>
+      {/* Filters */}
+      <div className="mb-6 bg-white shadow rounded-lg p-4 border border-neutral-light">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {teamsData?.rows?.length > 0 && (
+            <div>
+              <label htmlFor="opportunityTeamFilter" className="block text-sm font-medium text-neutral-dark mb-1">
+                Team
+              </label>
+              <select
+                id="opportunityTeamFilter"
+                value={teamFilter}
+                onChange={(e) => setTeamFilter(e.target.value)}
+                className={selectClass}
+              >
+                <option value="">All teams</option>
+                {teamsData.rows.map((team) => (
+                  <option key={team.id} value={team.id}>{team.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label htmlFor="opportunityVendedorFilter" className="block text-sm font-medium text-neutral-dark mb-1">
+              Salesperson
+            </label>
+            <select
+              id="opportunityVendedorFilter"
+              value={vendedorFilter}
+              onChange={(e) => setVendedorFilter(e.target.value)}
+              className={selectClass}
+            >
+              <option value="">All salespersons</option>
+              {salespersonsData?.rows?.map((salesperson) => (
+                <option key={salesperson.id} value={salesperson.id}>{salesperson.nombre}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <p className="mt-3 text-xs text-gray-500">
+          Opportunities are services that clients with the same services usually have. The likelihood is the share of
+          those clients that have it; services of a category the client has nothing of are highlighted.
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="bg-white shadow rounded-lg p-6 text-center text-neutral-dark">Loading opportunities...</div>
+      ) : error ? (
+        <div className="bg-white shadow rounded-lg p-6 text-center">
+          <p className="text-red-500">Error: {error.message}</p>
+          <button
+            onClick={() => refetch()}
+            className="mt-2 px-4 py-2 bg-[#F58220] text-white rounded hover:bg-[#e67812]"
+          >
+            Retry
+          </button>
+        </div>
+      ) : !data?.rows.length ? (
+        <div className="bg-white shadow rounded-lg p-6 text-center text-neutral-dark">No clients with the selected filters.</div>
+      ) : (
+        <div className="space-y-6">
+          {data.rows.map((row) => {
+            const key = row.vendedorId || 'unassigned';
+            const visible = expanded[key] ? row.opportunities : row.opportunities.slice(0, COLLAPSED_ROWS);
+
+            return (
+              <div key={key} className="bg-white shadow rounded-lg border border-neutral-light overflow-hidden">
+                <div className="p-4 flex flex-col md:flex-row md:items-center md:justify-between border-b border-neutral-light">
+                  <h3 className="text-lg font-medium text-[#4A453F]">
+                    {row.vendedor ? row.vendedor.nombre : 'Unassigned clients'}
+                  </h3>
+                  <div className="flex space-x-6 text-sm text-neutral-dark mt-2 md:mt-0">
+                    <span><span className="font-medium">{row.clientCount}</span> clients</span>
+                    <span><span className="font-medium">{row.opportunityCount}</span> opportunities</span>
+                    <span title="Sum of the likelihoods">
+                      <span className="font-medium">{row.expectedServices.toFixed(1)}</span> expected services
+                    </span>
+                  </div>
+                </div>
+
+                {row.opportunities.length === 0 ? (
+                  <p className="p-4 text-sm text-neutral-dark">No opportunities found for these clients.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-neutral-light">
+                      <thead className="bg-[#F9F9F9]">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-neutral-dark uppercase tracking-wider">Client</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-neutral-dark uppercase tracking-wider">Service</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-neutral-dark uppercase tracking-wider">Category</th>
+                          <th className="px-4 py-2 text-right text-xs font-medium text-neutral-dark uppercase tracking-wider">Likelihood</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-neutral-dark uppercase tracking-wider">Because they have</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-neutral-light">
+                        {visible.map((opportunity) => (
+                          <tr key={`${opportunity.clientId}-${opportunity.servicioId}`} className="hover:bg-[#F9F9F9]">
+                            <td className="px-4 py-2 text-sm">
+                              <Link to={`/client-matrix/clients/${opportunity.clientId}`} className="text-blue-600 hover:text-blue-800">
+                                {opportunity.clientNombre}
+                              </Link>
+                            </td>
+                            <td className="px-4 py-2 text-sm text-neutral-dark">{opportunity.nombre}</td>
+                            <td className="px-4 py-2 text-sm text-neutral-dark">
+                              {opportunity.categoria || '-'}
+                              {opportunity.newCategory && (
+                                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-orange-100 text-[#F58220]">New category</span>
+                              )}
+                            </td>
+                            <td className="px-4 py-2 text-sm text-right font-medium text-neutral-dark">
+                              {Math.round(opportunity.likelihood * 100)}%
+                            </td>
+                            <td className="px-4 py-2 text-sm text-neutral-dark">
+                              {opportunity.basedOn.length > 0
+                                ? opportunity.basedOn.map(service => service.nombre).join(', ')
+                                : 'Commonly bought'}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {row.opportunities.length > COLLAPSED_ROWS && (
+                      <div className="p-3 text-center border-t border-neutral-light">
+                        <button
+                          onClick={() => toggleExpanded(key)}
+                          className="text-sm text-[#F58220] hover:underline"
+                        >
+                          {expanded[key] ? 'Show less' : `Show all ${row.opportunities.length}`}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OpportunitiesReport;
@@ -0,0 +1,270 @@
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import useFetchRenewals from './hooks/useFetchRenewals';
+import useFetchSalespersons from '../../common/hooks/useFetchSalespersons';
+import useFetchTeams from '../../common/hooks/useFetchTeams';
+
+// Look-ahead choices, in days
+const WITHIN_OPTIONS = [30, 60, 90, 180, 365];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Badge colours by how soon a term expires, matching the 30/60/90-day alerts
+ * @param {number} daysLeft - Days until expiry
+ * @returns {string} Tailwind classes
+ */
+const urgencyClass = (daysLeft) => {
+  if (daysLeft <= 30) return 'bg-red-100 text-red-800';
+  if (daysLeft <= 60) return 'bg-orange-100 text-[#F58220]';
+  return 'bg-gray-100 text-[#4A453F]';
+};
+
+/**
+ * Days of a month's calendar grid, padded to whole weeks
+ * @param {Date} month - First day of the month
+ * @returns {Array<string|null>} Days as YYYY-MM-DD, null for padding
+ */
+const getMonthDays = (month) => {
+  const year = month.getFullYear();
+  const monthIndex = month.getMonth();
+  const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+  const days = Array(month.getDay()).fill(null);
+
+  for (let day = 1; day <= daysInMonth; day++) {
+    days.push(`${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+  }
+  while (days.length % 7 !== 0) days.push(null);
+
+  return days;
+};
+
+/**
+ * Format a date-only value (YYYY-MM-DD) as that day in the local time zone
+ */
+const formatDay = (day) => (day ? new Date(`${day}T00:00:00`).toLocaleDateString() : '-');
+
+/**
+ * RenewalCalendar component: support contracts and client services coming up
+ * for expiry, on a month calendar and as a list with their renewal terms
+ * @returns {JSX.Element} The RenewalCalendar component
+ */
+const RenewalCalendar = () => {
+  const [within, setWithin] = useState(90);
+  const [vendedorFilter, setVendedorFilter] = useState('');
+  const [teamFilter, setTeamFilter] = useState('');
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+
+  const { data, isLoading, error, refetch } = useFetchRenewals({
+    within,
+    vendedorId: vendedorFilter || undefined,
+    teamId: teamFilter || undefined
+  });
+  const { data: teamsData } = useFetchTeams();
+  const { data: salespersonsData } = useFetchSalespersons({ page: 1, limit: 100, filters: { estado: 'active' } });
+
+  // Renewals keyed by expiry day for the calendar
+  const renewalsByDay = useMemo(() => {
+    const byDay = {};
+    (data?.rows || []).forEach(renewal => {
+      (byDay[renewal.fechaVencimiento] = byDay[renewal.fechaVencimiento] || []).push(renewal);
+    });
+    return byDay;
+  }, [data]);
+
+  const changeMonth = (offset) => {
+    setMonth(prev => new Date(prev.getFullYear(), prev.getMonth() + offset, 1));
+  };
+
+  const renewalLabel = (renewal) => (
+    renewal.servicio ? `${renewal.client.nombre} - ${renewal.servicio.nombre}` : `${renewal.client.nombre} - Support contract`
+  );
+
+  const selectClass = 'w-full rounded-md border border-neutral-light p-2 focus:outline-none focus:ring-1 focus:ring-[#F58220] focus:border-[#F58220]';
+  const todayKey = new Date().toLocaleDateString('en-CA');
+
+  return (
+    <div>
+      {/* Filters */}
+      <div className="mb-6 bg-white shadow rounded-lg p-4 border border-neutral-light">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="renewalWithin" className="block text-sm font-medium text-neutral-dark mb-1">
+              Expiring within
+            </label>
+            <select
+              id="renewalWithin"
+              value={within}
+              onChange={(e) => setWithin(Number(e.target.value))}
+              className={selectClass}
+            >
+              {WITHIN_OPTIONS.map(days => (
+                <option key={days} value={days}>{days} days</option>
+              ))}
+            </select>
+          </div>
+          {teamsData?.rows?.length > 0 && (
+            <div>
+              <label htmlFor="renewalTeamFilter" className="block text-sm font-medium text-neutral-dark mb-1">
+                Team
+              </label>
+              <select
+                id="renewalTeamFilter"
+                value={teamFilter}
+                onChange={(e) => setTeamFilter(e.target.value)}
+                className={selectClass}
+              >
+                <option value="">All teams</option>
+                {teamsData.rows.map((team) => (
+                  <option key={team.id} value={team.id}>{team.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label htmlFor="renewalVendedorFilter" className="block text-sm font-medium text-neutral-dark mb-1">
+              Salesperson
+            </label>
+            <select
+              id="renewalVendedorFilter"
+              value={vendedorFilter}
+              onChange={(e) => setVendedorFilter(e.target.value)}
+              className={selectClass}
+            >
+              <option value="">All salespersons</option>
+              {salespersonsData?.rows?.map((salesperson) => (
+                <option key={salesperson.id} value={salesperson.id}>{salesperson.nombre}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <p className="mt-3 text-xs text-gray-500">
+          The client&apos;s salesperson and technician are emailed 90, 60 and 30 days before a support contract or
+          service expires.
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="bg-white shadow rounded-lg p-6 text-center text-neutral-dark">Loading renewals...</div>
+      ) : error ? (
+        <div className="bg-white shadow rounded-lg p-6 text-center">
+          <p className="text-red-500">Error: {error.message}</p>
+          <button
+            onClick={() => refetch()}
+            className="mt-2 px-4 py-2 bg-[#F58220] text-white rounded hover:bg-[#e67812]"
+          >
+            Retry
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {/* Month calendar */}
+          <div className="bg-white shadow rounded-lg border border-neutral-light p-4">
+            <div className="flex justify-between items-center mb-4">
+              <button
+                onClick={() => changeMonth(-1)}
+                className="px-3 py-1 rounded bg-[#D3D0CD] text-[#4A453F] hover:bg-[#BDB7B1]"
+                aria-label="Previous month"
+              >
+                ‹
+              </button>
+              <h3 className="text-lg font-medium text-[#4A453F]">
+                {month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+              </h3>
+              <button
+                onClick={() => changeMonth(1)}
+                className="px-3 py-1 rounded bg-[#D3D0CD] text-[#4A453F] hover:bg-[#BDB7B1]"
+                aria-label="Next month"
+              >
+                ›
+              </button>
+            </div>
+            <div className="grid grid-cols-7 gap-px bg-neutral-light border border-neutral-light text-sm">
+              {WEEKDAYS.map(weekday => (
+                <div key={weekday} className="bg-[#F9F9F9] p-2 text-center text-xs font-medium text-neutral-dark uppercase">
+                  {weekday}
+                </div>
+              ))}
+              {getMonthDays(month).map((day, index) => (
+                <div
+                  key={day || `pad-${index}`}
+                  className={`min-h-[5rem] p-1 ${day ? 'bg-white' : 'bg-[#F9F9F9]'} ${day === todayKey ? 'ring-2 ring-inset ring-[#F58220]' : ''}`}
+                >
+                  {day && (
+                    <>
+                      <div className="text-xs text-neutral-dark mb-1">{Number(day.slice(8))}</div>
+                      {(renewalsByDay[day] || []).map(renewal => (
+                        <Link
+                          key={`${renewal.type}-${renewal.entityId}`}
+                          to={`/client-matrix/clients/${renewal.client.id}`}
+                          title={renewalLabel(renewal)}
+                          className={`block truncate rounded px-1 mb-1 text-xs ${urgencyClass(renewal.daysLeft)}`}
+                        >
+                          {renewalLabel(renewal)}
+                        </Link>
+                      ))}
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Renewal list */}
+          <div className="bg-white shadow rounded-lg border border-neutral-light overflow-x-auto">
+            {!data?.rows.length ? (
+              <p className="p-6 text-center text-neutral-dark">Nothing expires in the next {within} days.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-neutral-light">
+                <thead className="bg-[#F9F9F9]">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-neutral-dark uppercase tracking-wider">Expires</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-neutral-dark uppercase tracking-wider">Client</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-neutral-dark uppercase tracking-wider">Contract / Service</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-neutral-dark uppercase tracking-wider">Renewal</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-neutral-dark uppercase tracking-wider">Notice by</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-neutral-dark uppercase tracking-wider">Salesperson / Technician</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-neutral-light">
+                  {data.rows.map(renewal => (
+                    <tr key={`${renewal.type}-${renewal.entityId}`} className="hover:bg-[#F9F9F9]">
+                      <td className="px-4 py-2 text-sm whitespace-nowrap">
+                        {formatDay(renewal.fechaVencimiento)}
+                        <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${urgencyClass(renewal.daysLeft)}`}>
+                          {renewal.daysLeft} days
+                        </span>
+                      </td>
+                      <td className="px-4 py-2 text-sm">
+                        <Link to={`/client-matrix/clients/${renewal.client.id}`} className="text-blue-600 hover:text-blue-800">
+                          {renewal.client.nombre}
+                        </Link>
+                      </td>
+                      <td className="px-4 py-2 text-sm text-neutral-dark">
+                        {renewal.servicio ? renewal.servicio.nombre : 'Support contract'}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-neutral-dark">
+                        {renewal.renovacionAutomatica ? 'Automatic' : 'Manual'}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-neutral-dark whitespace-nowrap">
+                        {formatDay(renewal.fechaPreaviso)}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-neutral-dark">
+                        {renewal.vendedor?.nombre || '-'} / {renewal.tecnico?.nombre || '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RenewalCalendar;
@@ -2,6 +2,25 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import useFetchServices from './hooks/useFetchServices';
 import useSaveService from './hooks/useSaveService';
+import { formatCurrency } from '../../common/utils/formatters';
+
+// How often a service is billed, as stored in Service.frecuenciaFacturacion
+export const BILLING_FREQUENCIES = [
+  { value: 'mensual', label: 'Monthly' },
+  { value: 'trimestral', label: 'Quarterly' },
+  { value: 'semestral', label: 'Every six months' },
+  { value: 'anual', label: 'Yearly' },
+  { value: 'unica', label: 'One-time' }
+];
+
+const EMPTY_SERVICE_FORM = {
+  nombre: '',
+  descripcion: '',
+  categoria: '',
+  precio: '',
+  frecuenciaFacturacion: 'mensual',
+  moneda: 'UYU'
+};
 
 /**
  * ServiciosManagement component provides an interface for managing services
@@ -16,11 +35,7 @@ const ServiciosManagement = () => {
   const [sortBy, setSortBy] = useState('nombre');
   const [sortDir, setSortDir] = useState('ASC');
   const [selectedService, setSelectedService] = useState(null);
-  const [serviceForm, setServiceForm] = useState({
-    nombre: '',
-    descripcion: '',
-    categoria: '',
-  });
+  const [serviceForm, setServiceForm] = useState(EMPTY_SERVICE_FORM);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [formErrors, setFormErrors] = useState({});
 
@@ -110,11 +125,7 @@ const ServiciosManagement = () => {
   // Open modal for creating a new service
   const handleAddService = () => {
     setSelectedService(null);
-    setServiceForm({
-      nombre: '',
-      descripcion: '',
-      categoria: ''
-    });
+    setServiceForm(EMPTY_SERVICE_FORM);
     setFormErrors({});
     setIsModalOpen(true);
   };
@@ -125,7 +136,10 @@ const ServiciosManagement = () => {
     setServiceForm({
       nombre: service.nombre,
       descripcion: service.descripcion || '',
-      categoria: service.categoria || ''
+      categoria: service.categoria || '',
+      precio: service.precio ?? '',
+      frecuenciaFacturacion: service.frecuenciaFacturacion || 'mensual',
+      moneda: service.moneda || 'UYU'
     });
     setFormErrors({});
     setIsModalOpen(true);
@@ -143,6 +157,14 @@ const ServiciosManagement = () => {
       errors.categoria = 'Category is required';
     }
 
+    if (serviceForm.precio !== '' && Number(serviceForm.precio) < 0) {
+      errors.precio = 'Price cannot be negative';
+    }
+
+    if (!/^[A-Za-z]{3}$/.test(serviceForm.moneda)) {
+      errors.moneda = 'Currency must be a 3-letter code';
+    }
+
     // No validation for descripcion since it's optional
 
     setFormErrors(errors);
@@ -157,11 +179,18 @@ const ServiciosManagement = () => {
       return;
     }
 
+    // An empty price means the service has no list price
+    const serviceData = {
+      ...serviceForm,
+      precio: serviceForm.precio === '' ? null : Number(serviceForm.precio),
+      moneda: serviceForm.moneda.toUpperCase()
+    };
+
     try {
       if (selectedService) {
         // Update existing service
         await updateService.mutateAsync(
-          { id: selectedService.id, ...serviceForm },
+          { id: selectedService.id, ...serviceData },
           {
             onSuccess: () => {
               console.log(`Service ${serviceForm.nombre} updated successfully`);
@@ -180,7 +209,7 @@ const ServiciosManagement = () => {
       } else {
         // Create new service
         await createService.mutateAsync(
-          serviceForm,
+          serviceData,
           {
             onSuccess: () => {
               console.log(`Service ${serviceForm.nombre} created successfully`);
@@ -413,6 +442,13 @@ const ServiciosManagement = () => {
                 >
                   Category {getSortIndicator('categoria')}
                 </th>
+                <th
+                  scope="col"
+                  className="px-6 py-3 text-right text-xs font-medium text-[#4A453F] uppercase tracking-wider cursor-pointer"
+                  onClick={() => handleSortChange('precio')}
+                >
+                  List Price {getSortIndicator('precio')}
+                </th>
                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-[#4A453F] uppercase tracking-wider">
                   Description
                 </th>
@@ -432,6 +468,18 @@ const ServiciosManagement = () => {
                       {service.categoria || 'Uncategorized'}
                     </span>
                   </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right">
+                    {service.precio != null ? (
+                      <div className="text-sm text-[#4A453F]">
+                        {formatCurrency(service.precio, service.moneda, 2)}
+                        <span className="block text-xs text-gray-500">
+                          {BILLING_FREQUENCIES.find(frequency => frequency.value === service.frecuenciaFacturacion)?.label}
+                        </span>
+                      </div>
+                    ) : (
+                      <span className="text-sm text-gray-400 italic">No price</span>
+                    )}
+                  </td>
                   <td className="px-6 py-4">
                     <div className="text-sm text-[#4A453F]">
                       {service.descripcion ? service.descripcion : <span className="text-gray-400 italic">No description</span>}
@@ -543,6 +591,64 @@ const ServiciosManagement = () => {
                   )}
                 </div>
                 
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+                  <div>
+                    <label htmlFor="precio" className="block text-sm font-medium text-[#4A453F] mb-1">
+                      List Price
+                    </label>
+                    <input
+                      type="number"
+                      id="precio"
+                      name="precio"
+                      min="0"
+                      step="0.01"
+                      value={serviceForm.precio}
+                      onChange={handleFormChange}
+                      className={`w-full px-3 py-2 border ${
+                        formErrors.precio ? 'border-red-500' : 'border-gray-200'
+                      } rounded-md focus:outline-none focus:ring-2 focus:ring-[#F58220] focus:border-transparent`}
+                    />
+                    {formErrors.precio && (
+                      <p className="mt-1 text-sm text-red-500">{formErrors.precio}</p>
+                    )}
+                  </div>
+                  <div>
+                    <label htmlFor="frecuenciaFacturacion" className="block text-sm font-medium text-[#4A453F] mb-1">
+                      Billing
+                    </label>
+                    <select
+                      id="frecuenciaFacturacion"
+                      name="frecuenciaFacturacion"
+                      value={serviceForm.frecuenciaFacturacion}
+                      onChange={handleFormChange}
+                      className="w-full px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#F58220] focus:border-transparent"
+                    >
+                      {BILLING_FREQUENCIES.map(frequency => (
+                        <option key={frequency.value} value={frequency.value}>{frequency.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="moneda" className="block text-sm font-medium text-[#4A453F] mb-1">
+                      Currency
+                    </label>
+                    <input
+                      type="text"
+                      id="moneda"
+                      name="moneda"
+                      maxLength={3}
+                      value={serviceForm.moneda}
+                      onChange={handleFormChange}
+                      className={`w-full px-3 py-2 border ${
+                        formErrors.moneda ? 'border-red-500' : 'border-gray-200'
+                      } rounded-md uppercase focus:outline-none focus:ring-2 focus:ring-[#F58220] focus:border-transparent`}
+                    />
+                    {formErrors.moneda && (
+                      <p className="mt-1 text-sm text-red-500">{formErrors.moneda}</p>
+                    )}
+                  </div>
+                </div>
+                
                 <div className="mb-4">
                   <label htmlFor="descripcion" className="block text-sm font-medium text-[#4A453F] mb-1">
                     Description
@@ -3,9 +3,11 @@ import { useLocation, useNavigate } from 'react-router-dom';
 import ClientManagement from './ClientManagement';
 import TecnicosManagement from './TecnicosManagement';
 import ServiciosManagement from './ServiciosManagement';
+import OpportunitiesReport from './OpportunitiesReport';
+import RenewalCalendar from './RenewalCalendar';
 
 /**
- * TabsClientMatrixView component that provides tab navigation between clients, technicians, and services
+ * TabsClientMatrixView component that provides tab navigation between clients, services, cross-sell opportunities and renewals
  * @returns {JSX.Element} The TabsClientMatrixView component
  */
 const TabsClientMatrixView = () => {
@@ -80,6 +82,32 @@ const TabsClientMatrixView = () => {
               Services
             </button>
           </li>
+          <li className="mr-2">
+            <button
+              className={`inline-block py-3 px-4 text-sm font-medium border-b-2 ${
+                activeTab === 'opportunities'
+                  ? 'border-[#F58220] text-[#F58220]'
+                  : 'border-transparent text-[#4A453F] hover:border-[#D3D0CD]'
+              }`}
+              onClick={() => handleTabChange('opportunities')}
+              aria-current={activeTab === 'opportunities' ? 'page' : undefined}
+            >
+              Opportunities
+            </button>
+          </li>
+          <li className="mr-2">
+            <button
+              className={`inline-block py-3 px-4 text-sm font-medium border-b-2 ${
+                activeTab === 'renewals'
+                  ? 'border-[#F58220] text-[#F58220]'
+                  : 'border-transparent text-[#4A453F] hover:border-[#D3D0CD]'
+              }`}
+              onClick={() => handleTabChange('renewals')}
+              aria-current={activeTab === 'renewals' ? 'page' : undefined}
+            >
+              Renewals
+            </button>
+          </li>
         </ul>
       </div>
 
@@ -87,6 +115,8 @@ const TabsClientMatrixView = () => {
       <div>
         {activeTab === 'clients' && <ClientManagement initialEditClientId={editClientId} />}
         {activeTab === 'services' && <ServiciosManagement />}
+        {activeTab === 'opportunities' && <OpportunitiesReport />}
+        {activeTab === 'renewals' && <RenewalCalendar />}
       </div>
     </div>
   );
@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { Tabs, Tab, Box, Typography, Button } from '@mui/material';
-import { buildApiUrl } from '../../common/utils/apiConfig';
+import { authFetch } from '../../common/utils/fetch-wrapper';
 import TechnicianEvaluationForm from './TechnicianEvaluationForm.jsx';
+import usePermissions from '../../common/hooks/usePermissions';
 
 /**
  * TabPanel component for tab content
@@ -29,12 +30,16 @@ function TabPanel(props) {
 
 /**
  * TechnicianDetail component for detailed technician information
+ * @param {Object} props - Component props
+ * @param {String} props.technicianId - Technician to show instead of the one in the URL (personal page)
  * @returns {JSX.Element} The TechnicianDetail component
  */
-const TechnicianDetail = () => {
-  // Get technician ID from URL
-  const { id } = useParams();
+const TechnicianDetail = ({ technicianId } = {}) => {
+  // Get technician ID from props or URL
+  const params = useParams();
+  const id = technicianId || params.id;
   const navigate = useNavigate();
+  const { can } = usePermissions();
   
   // State for technician data
   const [technician, setTechnician] = useState(null);
@@ -54,14 +59,7 @@ const TechnicianDetail = () => {
       setError(null);
       
       try {
-        const response = await fetch(buildApiUrl(`/api/tecnicos/${id}`));
-        
-        if (!response.ok) {
-          const errorData = await response.json();
-          throw new Error(errorData.error || 'Error fetching technician details');
-        }
-        
-        const data = await response.json();
+        const data = await authFetch(`/api/tecnicos/${id}`);
         setTechnician(data.data);
       } catch (err) {
         console.error('Error fetching technician details:', err.message);
@@ -79,14 +77,7 @@ const TechnicianDetail = () => {
   // Refresh technician data
   const refreshTechnicianData = async () => {
     try {
-      const response = await fetch(buildApiUrl(`/api/tecnicos/${id}`));
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Error refreshing technician details');
-      }
-      
-      const data = await response.json();
+      const data = await authFetch(`/api/tecnicos/${id}`);
       setTechnician(data.data);
     } catch (err) {
       console.error('Error refreshing technician details:', err.message);
@@ -148,24 +139,28 @@ const TechnicianDetail = () => {
     <div className="container mx-auto px-6 py-8">
       <div className="mb-6 flex justify-between items-center">
         <div className="flex items-center">
-          <Link
-            to="/client-matrix/technicians"
-            className="mr-4 text-[#4A453F] hover:text-[#F58220] transition-colors"
-          >
-            &larr; Back
-          </Link>
+          {!technicianId && (
+            <Link
+              to="/client-matrix/technicians"
+              className="mr-4 text-[#4A453F] hover:text-[#F58220] transition-colors"
+            >
+              &larr; Back
+            </Link>
+          )}
           <h1 className="text-2xl font-bold text-[#4A453F]">
             Technician Details: {technician.nombre}
           </h1>
         </div>
         <div>
-          <Button
-            onClick={() => navigate(`/client-matrix/technicians/edit/${id}`)}
-            variant="outlined"
-            sx={{ mr: 2 }}
-          >
-            Edit
-          </Button>
+          {can('technicians:write') && (
+            <Button
+              onClick={() => navigate(`/client-matrix/technicians/edit/${id}`)}
+              variant="outlined"
+              sx={{ mr: 2 }}
+            >
+              Edit
+            </Button>
+          )}
         </div>
       </div>
       
@@ -38,6 +38,8 @@ import useSaveTechnicianEvaluation from './hooks/useSaveTechnicianEvaluation';
 import useFetchTechnicianObjectives from './hooks/useFetchTechnicianObjectives';
 import useSaveTechnicianObjective from './hooks/useSaveTechnicianObjective';
 import TechnicianObjectiveManagement from './TechnicianObjectiveManagement';
+import usePermissions from '../../common/hooks/usePermissions';
+import Attachments from '../../common/components/Attachments';
 
 // Rating labels mapping
 const ratingLabels = {
@@ -100,6 +102,9 @@ const TechnicianEvaluationForm = ({ technicianId }) => {
   const [year, setYear] = useState(currentYear);
   const [semester, setSemester] = useState(defaultSemester);
   const [isReadOnly, setIsReadOnly] = useState(false);
+  
+  // Actions allowed for the current user's role
+  const { can } = usePermissions();
   const [isFormDirty, setIsFormDirty] = useState(false);
   const [selectedEvaluationId, setSelectedEvaluationId] = useState(null);
   const [newObjective, setNewObjective] = useState('');
@@ -1175,6 +1180,18 @@ const TechnicianEvaluationForm = ({ technicianId }) => {
                 </Grid>
               </Box>
               
+              {/* Supporting files (once the evaluation is saved) */}
+              {latestEvaluation && (
+                <Box sx={{ mb: 3 }}>
+                  <Attachments
+                    entityType="technician_evaluation"
+                    entityId={latestEvaluation.id}
+                    canEdit={can('evaluations:write') && !isReadOnly}
+                    title="Supporting Files"
+                  />
+                </Box>
+              )}
+              
               {/* Action Buttons */}
               {!isReadOnly && (
                 <Box sx={{ mt: 4, display: 'flex', justifyContent: 'flex-end', gap: 2 }}>
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import useSaveTechnicianObjective from './hooks/useSaveTechnicianObjective';
+import usePermissions from '../../common/hooks/usePermissions';
+import Attachments from '../../common/components/Attachments';
 
 /**
  * TechnicianObjectiveManagement component - Modal form for creating and editing technician objectives
@@ -36,6 +38,9 @@ const TechnicianObjectiveManagement = ({ technicianId, objective, onClose, objec
   // Get save objective mutation
   const { createObjective, updateObjective } = useSaveTechnicianObjective();
   
+  // Actions allowed for the current user's role
+  const { can } = usePermissions();
+  
   // When objective prop changes (for edit mode), update form data
   useEffect(() => {
     if (objective) {
@@ -374,6 +379,16 @@ const TechnicianObjectiveManagement = ({ technicianId, objective, onClose, objec
                 )}
               </div>
               
+              {/* Evidence files (once the objective exists) */}
+              {objective && (
+                <Attachments
+                  entityType="technician_objective"
+                  entityId={objective.id}
+                  canEdit={can('objectives:write')}
+                  title="Evidence Files"
+                />
+              )}
+              
               {/* Global Objective */}
               <div>
                 <label className="flex items-center space-x-2">
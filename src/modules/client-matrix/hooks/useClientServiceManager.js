@@ -46,7 +46,6 @@ const useClientServiceManager = () => {
                 
                 // Invalidate relevant queries
                 queryClient.invalidateQueries({ queryKey: ['matrixData'] });
-                queryClient.invalidateQueries({ queryKey: ['clientServices', client.id] });
                 queryClient.invalidateQueries({ queryKey: ['serviceClients', service.id] });
                 
                 if (onSuccess) onSuccess(result);
@@ -77,7 +76,6 @@ const useClientServiceManager = () => {
                 
                 // Invalidate relevant queries
                 queryClient.invalidateQueries({ queryKey: ['matrixData'] });
-                queryClient.invalidateQueries({ queryKey: ['clientServices', client.id] });
                 queryClient.invalidateQueries({ queryKey: ['serviceClients', service.id] });
                 
                 if (onSuccess) onSuccess(result);
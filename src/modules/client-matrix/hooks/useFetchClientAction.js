@@ -0,0 +1,24 @@
+import { useQuery } from '@tanstack/react-query';
+import { buildApiUrl } from '../../../common/utils/apiConfig';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch a client action with its comments
+ * @param {string} id - Action ID
+ * @param {Object} options - React Query options
+ * @returns {Object} Query result with the action, loading state, and error
+ */
+const useFetchClientAction = (id, options = {}) => {
+  return useQuery({
+    // Under 'clientActions' so saving any action refreshes it
+    queryKey: ['clientActions', 'detail', id],
+    queryFn: async () => {
+      const data = await authFetch(buildApiUrl(`/api/client-actions/${id}`));
+      return data.data;
+    },
+    enabled: Boolean(id),
+    ...options
+  });
+};
+
+export default useFetchClientAction;
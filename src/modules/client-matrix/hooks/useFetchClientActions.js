@@ -0,0 +1,42 @@
+import { useQuery } from '@tanstack/react-query';
+import { buildApiUrl } from '../../../common/utils/apiConfig';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch client actions
+ * @param {Object} filters - Optional filters (clientId, clientIds array, vendedorId, tecnicoId,
+ *   estado array, overdue)
+ * @param {Object} options - React Query options
+ * @returns {Object} Query result with the actions, overdue and high priority first, loading state, and error
+ */
+const useFetchClientActions = (filters = {}, options = {}) => {
+  // Build query parameters
+  const queryParams = new URLSearchParams();
+  if (filters.clientId) queryParams.append('clientId', filters.clientId);
+  if (filters.clientIds?.length) queryParams.append('clientIds', filters.clientIds.join(','));
+  if (filters.vendedorId) queryParams.append('vendedorId', filters.vendedorId);
+  if (filters.tecnicoId) queryParams.append('tecnicoId', filters.tecnicoId);
+  if (filters.estado?.length) queryParams.append('estado', filters.estado.join(','));
+  if (filters.overdue) queryParams.append('overdue', 'true');
+
+  // Create query key with filters for proper caching
+  const queryKey = ['clientActions', filters];
+
+  const url = `${buildApiUrl('/api/client-actions')}?${queryParams.toString()}`;
+
+  return useQuery({
+    queryKey,
+    queryFn: async () => {
+      console.log(`Fetching client actions from: ${url}`);
+
+      const data = await authFetch(url);
+
+      return data.data;
+    },
+    retry: 3,
+    staleTime: 60 * 1000, // 1 minute
+    ...options
+  });
+};
+
+export default useFetchClientActions;
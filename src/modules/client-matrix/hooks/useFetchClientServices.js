@@ -3,38 +3,35 @@ import { buildApiUrl } from '../../../common/utils/apiConfig';
 import { authFetch } from '../../../common/utils/fetch-wrapper';
 
 /**
- * Custom hook to fetch services assigned to a specific client
- * @param {string} clientId - ID of the client to fetch services for
- * @param {Object} options - React Query options (e.g., staleTime, cacheTime)
- * @returns {Object} Query result with data, loading state, and error
+ * Attach to each client of the matrix its assigned services (`servicios`):
+ * the service with the assignment's clientServiceId, notas, detalles and
+ * fechaAsignacion
+ * @param {Object} matrix - Matrix data with clients, services and sparse cells
+ * @returns {Object} The matrix data with `servicios` on every client
  */
-const useFetchClientServices = (clientId, options = {}) => {
-  // Skip the query if no clientId is provided
-  const enabled = !!clientId;
-  
-  console.log(`Fetching services for client: ${clientId || 'No client ID provided'}`);
-  
-  // Create query key with clientId for proper caching
-  const queryKey = ['clientServices', clientId];
-  
-  // The URL for the API endpoint
-  const url = buildApiUrl(`/api/cliente-servicios/cliente/${clientId}`);
+const withClientServices = (matrix) => {
+  const servicesById = new Map(matrix.services.map(service => [service.id, service]));
+  const cellsByClient = {};
   
-  return useQuery({
-    queryKey,
-    queryFn: async () => {
-      console.log(`Fetching client services from: ${url}`);
-      
-      const data = await authFetch(url);
-      
-      console.log(`Fetched ${data.data.length} services for client ${clientId}`);
-      return data.data;
-    },
-    enabled,
-    retry: 3,
-    staleTime: 5 * 60 * 1000, // 5 minutes
-    ...options
+  matrix.cells.forEach(cell => {
+    if (!servicesById.has(cell.servicioId)) return;
+    if (!cellsByClient[cell.clientId]) cellsByClient[cell.clientId] = [];
+    cellsByClient[cell.clientId].push({
+      ...servicesById.get(cell.servicioId),
+      clientServiceId: cell.id,
+      notas: cell.notas,
+      detalles: cell.detalles,
+      fechaAsignacion: cell.fechaAsignacion
+    });
   });
+  
+  return {
+    ...matrix,
+    clients: matrix.clients.map(client => ({
+      ...client,
+      servicios: cellsByClient[client.id] || []
+    }))
+  };
 };
 
 /**
@@ -73,9 +70,10 @@ const useFetchServiceClients = (serviceId, options = {}) => {
 };
 
 /**
- * Custom hook to fetch matrix data (clients and services for a matrix view)
- * @param {Object} filters - Filter parameters (vendedorId, tecnicoId)
- * @param {Object} options - React Query options (e.g., staleTime, cacheTime)
+ * Custom hook to fetch matrix data (a page of clients with their assigned services) in one request
+ * @param {Object} filters - Filter parameters (vendedorId, tecnicoId, teamId, categoria,
+ *   contratoSoporte, clientIds) and pagination (page, limit)
+ * @param {Object} options - React Query options (e.g., staleTime, enabled)
  * @returns {Object} Query result with matrix data, loading state, and error
  */
 const useFetchMatrixData = (filters = {}, options = {}) => {
@@ -87,6 +85,14 @@ const useFetchMatrixData = (filters = {}, options = {}) => {
   // Add filters to query params
   if (filters.vendedorId) queryParams.append('vendedorId', filters.vendedorId);
   if (filters.tecnicoId) queryParams.append('tecnicoId', filters.tecnicoId);
+  if (filters.teamId) queryParams.append('teamId', filters.teamId);
+  if (filters.categoria) queryParams.append('categoria', filters.categoria);
+  if (filters.contratoSoporte !== undefined && filters.contratoSoporte !== '') {
+    queryParams.append('contratoSoporte', filters.contratoSoporte);
+  }
+  if (filters.clientIds?.length) queryParams.append('clientIds', filters.clientIds.join(','));
+  if (filters.page) queryParams.append('page', filters.page);
+  if (filters.limit) queryParams.append('limit', filters.limit);
   
   // Create query key with filters for proper caching
   const queryKey = ['matrixData', filters];
@@ -101,8 +107,8 @@ const useFetchMatrixData = (filters = {}, options = {}) => {
       
       const data = await authFetch(url);
       
-      console.log(`Fetched matrix data: ${data.data.clients.length} clients, ${data.data.services.length} services`);
-      return data.data;
+      console.log(`Fetched matrix data: ${data.data.clients.length} of ${data.data.count} clients, ${data.data.services.length} services, ${data.data.cells.length} assignments`);
+      return withClientServices(data.data);
     },
     retry: 3,
     staleTime: 5 * 60 * 1000, // 5 minutes
@@ -110,5 +116,5 @@ const useFetchMatrixData = (filters = {}, options = {}) => {
   });
 };
 
-export { useFetchClientServices, useFetchServiceClients, useFetchMatrixData };
-export default useFetchClientServices; 
\ No newline at end of file
+export { useFetchServiceClients, useFetchMatrixData };
+export default useFetchMatrixData;
@@ -0,0 +1,65 @@
+import { useQuery } from '@tanstack/react-query';
+import { buildApiUrl } from '../../../common/utils/apiConfig';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the cross-sell opportunities of some clients
+ * @param {Array<string>} clientIds - IDs of the clients
+ * @param {Object} options - React Query options
+ * @returns {Object} Query result with the opportunities keyed by client ID, loading state, and error
+ */
+const useFetchOpportunities = (clientIds = [], options = {}) => {
+  // Create query key with the clients for proper caching
+  const queryKey = ['opportunities', clientIds];
+
+  const url = `${buildApiUrl('/api/opportunities')}?${new URLSearchParams({ clientIds: clientIds.join(',') }).toString()}`;
+
+  return useQuery({
+    queryKey,
+    queryFn: async () => {
+      console.log(`Fetching opportunities of ${clientIds.length} clients`);
+
+      const data = await authFetch(url);
+
+      return Object.fromEntries(data.data.rows.map(row => [row.clientId, row]));
+    },
+    retry: 3,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    enabled: clientIds.length > 0,
+    ...options
+  });
+};
+
+/**
+ * Custom hook to fetch the opportunities by salesperson
+ * @param {Object} filters - Optional filters (vendedorId, teamId)
+ * @param {Object} options - React Query options
+ * @returns {Object} Query result with the report rows, loading state, and error
+ */
+export const useFetchOpportunityReport = (filters = {}, options = {}) => {
+  // Build query parameters
+  const queryParams = new URLSearchParams();
+  if (filters.vendedorId) queryParams.append('vendedorId', filters.vendedorId);
+  if (filters.teamId) queryParams.append('teamId', filters.teamId);
+
+  // Create query key with filters for proper caching
+  const queryKey = ['opportunities', 'report', filters];
+
+  const url = `${buildApiUrl('/api/opportunities/report')}?${queryParams.toString()}`;
+
+  return useQuery({
+    queryKey,
+    queryFn: async () => {
+      console.log(`Fetching opportunity report from: ${url}`);
+
+      const data = await authFetch(url);
+
+      return data.data;
+    },
+    retry: 3,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    ...options
+  });
+};
+
+export default useFetchOpportunities;
@@ -0,0 +1,39 @@
+import { useQuery } from '@tanstack/react-query';
+import { buildApiUrl } from '../../../common/utils/apiConfig';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the support contracts and client services coming up for renewal
+ * @param {Object} filters - Optional filters (within in days, vendedorId, tecnicoId, teamId)
+ * @param {Object} options - React Query options
+ * @returns {Object} Query result with the renewals, soonest first, loading state, and error
+ */
+const useFetchRenewals = (filters = {}, options = {}) => {
+  // Build query parameters
+  const queryParams = new URLSearchParams();
+  if (filters.within) queryParams.append('within', `${filters.within}d`);
+  if (filters.vendedorId) queryParams.append('vendedorId', filters.vendedorId);
+  if (filters.tecnicoId) queryParams.append('tecnicoId', filters.tecnicoId);
+  if (filters.teamId) queryParams.append('teamId', filters.teamId);
+
+  // Create query key with filters for proper caching
+  const queryKey = ['renewals', filters];
+
+  const url = `${buildApiUrl('/api/renewals')}?${queryParams.toString()}`;
+
+  return useQuery({
+    queryKey,
+    queryFn: async () => {
+      console.log(`Fetching renewals from: ${url}`);
+
+      const data = await authFetch(url);
+
+      return data.data;
+    },
+    retry: 3,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    ...options
+  });
+};
+
+export default useFetchRenewals;
@@ -47,6 +47,7 @@ const useCreateClient = () => {
     onSuccess: () => {
       // Invalidate clients query to refetch data
       queryClient.invalidateQueries({ queryKey: ['clients'] });
+      queryClient.invalidateQueries({ queryKey: ['renewals'] });
     },
   });
 };
@@ -100,6 +101,7 @@ const useUpdateClient = () => {
       // Invalidate specific client and clients list
       queryClient.invalidateQueries({ queryKey: ['clients', variables.id] });
       queryClient.invalidateQueries({ queryKey: ['clients'] });
+      queryClient.invalidateQueries({ queryKey: ['renewals'] });
     },
   });
 };
@@ -125,6 +127,7 @@ const useDeleteClient = () => {
     onSuccess: () => {
       // Invalidate clients query to refetch data
       queryClient.invalidateQueries({ queryKey: ['clients'] });
+      queryClient.invalidateQueries({ queryKey: ['renewals'] });
       
       // Also invalidate matrix data as client deletion affects it
       queryClient.invalidateQueries({ queryKey: ['matrixData'] });
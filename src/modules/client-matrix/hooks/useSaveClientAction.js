@@ -0,0 +1,90 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { buildApiUrl } from '../../../common/utils/apiConfig';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Hook for creating, updating, deleting, commenting on and changing the status of client actions
+ * @returns {Object} Object containing mutation functions
+ */
+const useSaveClientAction = () => {
+  const queryClient = useQueryClient();
+
+  // Actions show on client pages, the client list and the user's task list
+  const invalidateActions = () => {
+    queryClient.invalidateQueries({ queryKey: ['clientActions'] });
+    queryClient.invalidateQueries({ queryKey: ['myTasks'] });
+  };
+
+  // Create or update mutation
+  const saveAction = useMutation({
+    mutationFn: async ({ id, action }) => {
+      console.log(id ? `Updating client action with ID: ${id}` : 'Creating client action');
+
+      const data = await authFetch(buildApiUrl(id ? `/api/client-actions/${id}` : '/api/client-actions'), {
+        method: id ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(action),
+      });
+
+      return data.data;
+    },
+    onSuccess: invalidateActions,
+  });
+
+  // Status change mutation: start, complete, cancel or reopen
+  const transitionAction = useMutation({
+    mutationFn: async ({ id, transition, comment }) => {
+      console.log(`Applying ${transition} to client action with ID: ${id}`);
+
+      const data = await authFetch(buildApiUrl(`/api/client-actions/${id}/${transition}`), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(comment ? { comment } : {}),
+      });
+
+      return data.data;
+    },
+    onSuccess: invalidateActions,
+  });
+
+  // Comment mutation
+  const addComment = useMutation({
+    mutationFn: async ({ id, comment }) => {
+      const data = await authFetch(buildApiUrl(`/api/client-actions/${id}/comments`), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ comment }),
+      });
+
+      return data.data;
+    },
+    onSuccess: invalidateActions,
+  });
+
+  // Delete mutation
+  const deleteAction = useMutation({
+    mutationFn: async (id) => {
+      console.log(`Deleting client action with ID: ${id}`);
+
+      return authFetch(buildApiUrl(`/api/client-actions/${id}`), {
+        method: 'DELETE',
+      });
+    },
+    onSuccess: invalidateActions,
+  });
+
+  return {
+    saveAction,
+    transitionAction,
+    addComment,
+    deleteAction,
+  };
+};
+
+export default useSaveClientAction;
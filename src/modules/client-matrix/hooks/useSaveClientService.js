@@ -65,14 +65,14 @@ const useAssignService = () => {
     },
     onSuccess: (data, variables) => {
       console.log('[DEBUG] Mutation success, invalidating queries');
-      // Invalidate client services
-      queryClient.invalidateQueries({ queryKey: ['clientServices', variables.clientId] });
-      
       // Invalidate service clients 
       queryClient.invalidateQueries({ queryKey: ['serviceClients', variables.serviceId] });
       
       // Also invalidate matrix data
       queryClient.invalidateQueries({ queryKey: ['matrixData'] });
+      queryClient.invalidateQueries({ queryKey: ['opportunities'] });
+      queryClient.invalidateQueries({ queryKey: ['dashboardRevenueSummary'] });
+      queryClient.invalidateQueries({ queryKey: ['renewals'] });
     },
     onError: (error) => {
       console.error('[DEBUG] Mutation error:', error);
@@ -125,14 +125,14 @@ const useUpdateClientService = () => {
       throw new Error('Failed to update service association after maximum retries');
     },
     onSuccess: (data) => {
-      // Invalidate client services
-      queryClient.invalidateQueries({ queryKey: ['clientServices', data.clientId] });
-      
       // Invalidate service clients
       queryClient.invalidateQueries({ queryKey: ['serviceClients', data.serviceId] });
       
       // Also invalidate matrix data
       queryClient.invalidateQueries({ queryKey: ['matrixData'] });
+      queryClient.invalidateQueries({ queryKey: ['opportunities'] });
+      queryClient.invalidateQueries({ queryKey: ['dashboardRevenueSummary'] });
+      queryClient.invalidateQueries({ queryKey: ['renewals'] });
     },
   });
 };
@@ -182,14 +182,14 @@ const useUnassignService = () => {
     },
     onSuccess: (data, variables) => {
       console.log('[DEBUG] Unassign mutation success, invalidating queries');
-      // Invalidate client services
-      queryClient.invalidateQueries({ queryKey: ['clientServices', variables.clientId] });
-      
       // Invalidate service clients
       queryClient.invalidateQueries({ queryKey: ['serviceClients', variables.serviceId] });
       
       // Also invalidate matrix data
       queryClient.invalidateQueries({ queryKey: ['matrixData'] });
+      queryClient.invalidateQueries({ queryKey: ['opportunities'] });
+      queryClient.invalidateQueries({ queryKey: ['dashboardRevenueSummary'] });
+      queryClient.invalidateQueries({ queryKey: ['renewals'] });
     },
     onError: (error) => {
       console.error('[DEBUG] Unassign mutation error:', error);
@@ -63,6 +63,7 @@ const useUpdateService = () => {
       
       // Also invalidate matrix data as it includes services
       queryClient.invalidateQueries({ queryKey: ['matrixData'] });
+      queryClient.invalidateQueries({ queryKey: ['dashboardRevenueSummary'] });
     },
   });
 };
@@ -1,12 +1,14 @@
-import { useMutation } from '@tanstack/react-query';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { buildApiUrl } from '../../../common/utils/apiConfig';
 import { authFetch } from '../../../common/utils/fetch-wrapper';
 
 /**
- * Hook for updating the notes of an existing client-service relationship
+ * Hook for updating the notes and commercial terms of an existing client-service relationship
  * @returns {Object} Object containing mutation functions
  */
 const useUpdateClientServiceNotes = () => {
+  const queryClient = useQueryClient();
+  
   // Update client service notes mutation
   const updateNotes = useMutation({
     mutationFn: async ({ clientServiceId, notes }) => {
@@ -24,8 +26,30 @@ const useUpdateClientServiceNotes = () => {
     },
   });
   
+  // Update negotiated price, quantity, dates and renewal terms mutation
+  const updateTerms = useMutation({
+    mutationFn: async ({ clientServiceId, terms }) => {
+      console.log(`Updating terms for client-service with ID: ${clientServiceId}`);
+      
+      const data = await authFetch(buildApiUrl(`/api/cliente-servicios/${clientServiceId}`), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(terms),
+      });
+      
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['dashboardRevenueSummary'] });
+      queryClient.invalidateQueries({ queryKey: ['renewals'] });
+    },
+  });
+  
   return {
     updateNotes,
+    updateTerms,
   };
 };
 
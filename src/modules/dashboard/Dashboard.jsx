@@ -1,27 +1,47 @@
-import React from 'react';
-import useFetchObjectivesForDashboard from './hooks/useFetchObjectivesForDashboard';
+import React, { useState } from 'react';
 import useFetchClientSummary from './hooks/useFetchClientSummary';
+import useFetchRevenueSummary from './hooks/useFetchRevenueSummary';
+import useFetchDashboardData from '../salespersons/hooks/useFetchDashboardData';
 import ObjectivesChart from './components/ObjectivesChart';
+import ObjectivesTable from './components/ObjectivesTable';
 import ClientSummary from './components/ClientSummary';
+import RevenueSummary from './components/RevenueSummary';
+import PeriodPicker from '../../common/components/PeriodPicker';
+import TeamFilter from '../../common/components/TeamFilter';
+import { FORECAST_METHODS } from '../../common/components/ForecastBadge';
 
 /**
  * Dashboard component for displaying company-wide metrics and visualizations
  * @returns {JSX.Element} The Dashboard component
  */
 const Dashboard = () => {
-  // Fetch objectives data for the dashboard
-  const { 
-    data: objectives, 
-    isLoading: objectivesLoading, 
-    error: objectivesError 
-  } = useFetchObjectivesForDashboard();
+  // Period shown by every widget; the current fiscal year by default
+  const [period, setPeriod] = useState('year');
+  // How objectives are projected to their end
+  const [forecastMethod, setForecastMethod] = useState('linear');
+  // Team the figures are limited to; all teams by default
+  const [teamId, setTeamId] = useState('');
+
+  // Fetch objectives progress and monthly trends for the period
+  const {
+    data: dashboardData,
+    isLoading: objectivesLoading,
+    error: objectivesError
+  } = useFetchDashboardData({ period, forecastMethod, teamId: teamId || undefined });
 
   // Fetch client summary data
   const {
     data: clientSummary,
     isLoading: clientSummaryLoading,
     error: clientSummaryError
-  } = useFetchClientSummary();
+  } = useFetchClientSummary({ period, teamId: teamId || undefined });
+
+  // Fetch recurring revenue of the clients' services
+  const {
+    data: revenueSummary,
+    isLoading: revenueSummaryLoading,
+    error: revenueSummaryError
+  } = useFetchRevenueSummary({ teamId: teamId || undefined });
 
   // Render loading state
   const renderLoading = (message = 'Loading dashboard data...') => (
@@ -48,7 +68,13 @@ const Dashboard = () => {
 
   return (
     <div className="container mx-auto px-4">
-              <h1 className="text-2xl font-semibold mb-6 text-[#4A453F]">Sales Dashboard</h1>
+      <div className="flex flex-col lg:flex-row lg:justify-between lg:items-center gap-4 mb-6">
+        <h1 className="text-2xl font-semibold text-[#4A453F]">Sales Dashboard</h1>
+        <div className="flex flex-col md:flex-row md:items-center gap-4">
+          <TeamFilter id="dashboardTeam" value={teamId} onChange={setTeamId} />
+          <PeriodPicker period={dashboardData?.period || clientSummary?.period} onChange={setPeriod} />
+        </div>
+      </div>
       
       {/* Client Summary section */}
       <div className="mb-8">
@@ -61,18 +87,52 @@ const Dashboard = () => {
         ) : (
           <ClientSummary summaryData={clientSummary} />
         )}
+        
+        <div className="mt-6">
+          {revenueSummaryLoading ? (
+            renderLoading('Loading revenue data...')
+          ) : revenueSummaryError ? (
+            renderError(revenueSummaryError, 'Failed to load revenue summary')
+          ) : (
+            <RevenueSummary revenueData={revenueSummary} />
+          )}
+        </div>
       </div>
       
       {/* Quantitative Objectives section */}
       <div className="mb-8">
-        <h2 className="text-xl font-semibold mb-4 text-[#4A453F]">Quantitative Objectives</h2>
+        <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-2 mb-4">
+          <h2 className="text-xl font-semibold text-[#4A453F]">Quantitative Objectives</h2>
+          <div className="flex items-center gap-2">
+            <label htmlFor="dashboardForecastMethod" className="text-sm font-medium text-[#4A453F]">Forecast</label>
+            <select
+              id="dashboardForecastMethod"
+              value={forecastMethod}
+              onChange={(e) => setForecastMethod(e.target.value)}
+              className="border border-[#D3D0CD] rounded-md px-3 py-2 text-sm text-[#4A453F] focus:outline-none focus:ring-2 focus:ring-[#F58220]"
+            >
+              {FORECAST_METHODS.map(method => (
+                <option key={method.value} value={method.value}>{method.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
         
         {objectivesLoading ? (
           renderLoading('Loading objectives data...')
         ) : objectivesError ? (
           renderError(objectivesError, 'Failed to load objectives data')
         ) : (
-          <ObjectivesChart objectives={objectives} />
+          <>
+            <div className="mb-6">
+              <ObjectivesTable objectives={dashboardData?.objectives} />
+            </div>
+            <ObjectivesChart
+              objectives={dashboardData?.objectives}
+              monthlyTrends={dashboardData?.monthlyTrends}
+              comparison={dashboardData?.trends?.comparison}
+            />
+          </>
         )}
       </div>
     </div>
@@ -3,7 +3,7 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { buildApiUrl } from '../../common/utils/apiConfig';
 import { formatDate } from '../../common/utils/formatters';
 import { toast } from 'react-hot-toast';
-import { authFetch } from '../../common/utils/fetch-wrapper';
+import { authFetch, getCurrentTenantId } from '../../common/utils/fetch-wrapper';
 import { useAuth0 } from '@auth0/auth0-react';
 
 // Database service functions
@@ -50,6 +50,9 @@ const restoreBackup = async (formData, onProgress, accessToken) => {
       if (accessToken) {
         xhr.setRequestHeader('Authorization', `Bearer ${accessToken}`);
       }
+      if (getCurrentTenantId()) {
+        xhr.setRequestHeader('X-Tenant-Id', getCurrentTenantId());
+      }
       
       // Set a longer timeout (5 minutes)
       xhr.timeout = 5 * 60 * 1000;
@@ -344,7 +347,8 @@ const DatabaseManagement = () => {
       // Create a temporary link with authorization
       const response = await fetch(buildApiUrl(`/api/database/download/${filename}`), {
         headers: {
-          'Authorization': `Bearer ${accessToken}`
+          'Authorization': `Bearer ${accessToken}`,
+          ...(getCurrentTenantId() && { 'X-Tenant-Id': getCurrentTenantId() })
         }
       });
       
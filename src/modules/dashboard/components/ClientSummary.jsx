@@ -22,6 +22,7 @@ const ClientSummary = ({ summaryData }) => {
       id: 'total-clients',
       title: 'Total Clients',
       value: summaryData.totalClients || 0,
+      detail: summaryData.period && `${summaryData.newClients || 0} new in ${summaryData.period.label}`,
       icon: (
         <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8 text-blue-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
@@ -42,6 +43,7 @@ const ClientSummary = ({ summaryData }) => {
       id: 'total-services',
       title: 'Total Services',
       value: summaryData.totalServices || 0,
+      detail: summaryData.period && `${summaryData.newServices || 0} added in ${summaryData.period.label}`,
       icon: (
         <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8 text-purple-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
@@ -61,6 +63,9 @@ const ClientSummary = ({ summaryData }) => {
             <div>
               <h3 className="text-lg font-semibold text-[#4A453F]">{card.title}</h3>
               <p className="text-3xl font-bold mt-2 text-[#F58220]">{card.value.toLocaleString()}</p>
+              {card.detail && (
+                <p className="text-sm text-gray-500 mt-1">{card.detail}</p>
+              )}
             </div>
             <div className="bg-gray-50 p-3 rounded-full">
               {card.icon}
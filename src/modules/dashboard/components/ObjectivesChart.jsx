@@ -5,17 +5,24 @@ import {
   CategoryScale,
   LinearScale,
   BarElement,
+  LineController,
+  LineElement,
+  PointElement,
   Title,
   Tooltip,
   Legend
 } from 'chart.js';
 import { formatCurrency, formatPercentage } from '../../../common/utils/formatters';
+import ForecastBadge from '../../../common/components/ForecastBadge';
 
-// Register required Chart.js components
+// Register required Chart.js components (the forecast is a line over the monthly bars)
 ChartJS.register(
   CategoryScale,
   LinearScale,
   BarElement,
+  LineController,
+  LineElement,
+  PointElement,
   Title,
   Tooltip,
   Legend
@@ -24,10 +31,14 @@ ChartJS.register(
 /**
  * ObjectivesChart component for displaying individual charts for each objective
  * 
- * @param {Object[]} objectives - Array of quantitative objectives with targets and YTD values
+ * @param {Object[]} objectives - Array of quantitative objectives with targets and values for the period,
+ *   and their year-end forecast
+ * @param {Object[]} [monthlyTrends] - Monthly totals per objective type from the dashboard data, with the
+ *   forecast totals of the months still to come
+ * @param {Object} [comparison] - Period-over-period and year-over-year deltas per objective type
  * @returns {JSX.Element} The charts component
  */
-const ObjectivesChart = ({ objectives }) => {
+const ObjectivesChart = ({ objectives, monthlyTrends, comparison }) => {
   if (!objectives || objectives.length === 0) {
     return (
       <div className="p-6 text-center text-gray-500 bg-white rounded-lg shadow-sm border border-gray-100">
@@ -52,9 +63,9 @@ const ObjectivesChart = ({ objectives }) => {
 
   // Create individual chart for each objective
   const renderObjectiveChart = (objective) => {
-    // Create chart data with just two bars - target and YTD
+    // Create chart data with just two bars - target and actual
     const data = {
-      labels: ['Target', 'YTD'],
+      labels: ['Target', 'Actual'],
       datasets: [
         {
           data: [objective.companyTarget, objective.ytdValue],
@@ -158,6 +169,7 @@ const ObjectivesChart = ({ objectives }) => {
                   Global
                 </span>
               )}
+              <ForecastBadge forecast={objective.forecast} />
             </div>
           </div>
           <div className="text-right">
@@ -172,8 +184,14 @@ const ObjectivesChart = ({ objectives }) => {
               <span className="font-medium">Target:</span> {formatValue(objective.companyTarget, objective.type)}
             </div>
             <div className="text-xs">
-              <span className="font-medium">YTD:</span> {formatValue(objective.ytdValue, objective.type)}
+              <span className="font-medium">Actual:</span> {formatValue(objective.ytdValue, objective.type)}
             </div>
+            {objective.forecast?.projectedValue !== null && objective.forecast?.projectedValue !== undefined && (
+              <div className="text-xs">
+                <span className="font-medium">Forecast:</span> {formatValue(objective.forecast.projectedValue, objective.type)}
+                {' '}of {formatValue(objective.forecast.target, objective.type)}
+              </div>
+            )}
           </div>
         </div>
         <div className="h-[120px]">
@@ -183,6 +201,92 @@ const ObjectivesChart = ({ objectives }) => {
     );
   };
 
+  // Change against a previous period, e.g. "↑ 12.5% vs previous month"
+  const renderDelta = (value, label) => {
+    if (value === null || value === undefined) {
+      return <span className="text-gray-500">No data {label}</span>;
+    }
+    return (
+      <span className={value >= 0 ? 'text-green-600' : 'text-red-600'}>
+        {value >= 0 ? '↑' : '↓'} {formatPercentage(Math.abs(value))} {label}
+      </span>
+    );
+  };
+
+  // Month-by-month totals of all objectives of a type
+  const renderTrendChart = (type) => {
+    if (!monthlyTrends || !monthlyTrends.some(item => item.totals?.[type] !== null)) {
+      return null;
+    }
+
+    const hasForecast = monthlyTrends.some(item => item.forecast?.[type] !== null && item.forecast?.[type] !== undefined);
+
+    const data = {
+      labels: monthlyTrends.map(item => item.month),
+      datasets: [
+        {
+          label: type === 'percentage' ? 'Monthly average' : 'Monthly total',
+          data: monthlyTrends.map(item => item.totals?.[type] ?? 0),
+          backgroundColor: 'rgba(245, 130, 32, 0.7)',
+          borderColor: 'rgba(245, 130, 32, 1)',
+          borderWidth: 1
+        },
+        ...(hasForecast ? [{
+          type: 'line',
+          label: 'Forecast',
+          data: monthlyTrends.map(item => item.forecast?.[type] ?? null),
+          borderColor: 'rgba(74, 69, 63, 1)', // UYTECH Gray
+          backgroundColor: 'rgba(74, 69, 63, 0.7)',
+          borderDash: [6, 4],
+          borderWidth: 2,
+          pointRadius: 3,
+          spanGaps: false
+        }] : [])
+      ]
+    };
+
+    const options = {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        y: {
+          beginAtZero: true
+        }
+      },
+      plugins: {
+        legend: {
+          display: hasForecast
+        },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              return `${context.dataset.label}: ${formatValue(context.raw, type)}`;
+            }
+          }
+        }
+      }
+    };
+
+    return (
+      <div className="bg-white p-4 rounded-lg shadow-sm border border-gray-100 mb-4">
+        <div className="flex flex-col md:flex-row md:justify-between md:items-center mb-4">
+          <h4 className="text-sm font-semibold text-[#4A453F]">
+            {type === 'percentage' ? 'Monthly Average' : 'Monthly Totals'}
+          </h4>
+          {comparison && (
+            <div className="flex gap-4 text-xs">
+              {renderDelta(comparison.periodOverPeriod?.[type], 'vs previous period')}
+              {renderDelta(comparison.yearOverYear?.[type], 'vs same period last year')}
+            </div>
+          )}
+        </div>
+        <div className="h-[200px]">
+          <Bar data={data} options={options} />
+        </div>
+      </div>
+    );
+  };
+
   // Group objectives by type for better visualization
   const currencyObjectives = objectives.filter(obj => obj.type === 'currency');
   const percentageObjectives = objectives.filter(obj => obj.type === 'percentage');
@@ -194,6 +298,7 @@ const ObjectivesChart = ({ objectives }) => {
       {currencyObjectives.length > 0 && (
         <div className="mb-6">
           <h3 className="text-md font-medium mb-3 text-[#4A453F]">Financial Objectives</h3>
+          {renderTrendChart('currency')}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             {currencyObjectives.map(renderObjectiveChart)}
           </div>
@@ -203,6 +308,7 @@ const ObjectivesChart = ({ objectives }) => {
       {percentageObjectives.length > 0 && (
         <div className="mb-6">
           <h3 className="text-md font-medium mb-3 text-[#4A453F]">Percentage-Based Objectives</h3>
+          {renderTrendChart('percentage')}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             {percentageObjectives.map(renderObjectiveChart)}
           </div>
@@ -212,6 +318,7 @@ const ObjectivesChart = ({ objectives }) => {
       {numberObjectives.length > 0 && (
         <div className="mb-6">
           <h3 className="text-md font-medium mb-3 text-[#4A453F]">Numerical Objectives</h3>
+          {renderTrendChart('number')}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             {numberObjectives.map(renderObjectiveChart)}
           </div>
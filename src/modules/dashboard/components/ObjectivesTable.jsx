@@ -1,10 +1,12 @@
 import React from 'react';
 import { formatCurrency, formatPercentage } from '../../../common/utils/formatters';
+import ForecastBadge from '../../../common/components/ForecastBadge';
 
 /**
  * ObjectivesTable component displays objectives data in a tabular format
  * 
- * @param {Object[]} objectives - Array of quantitative objectives with targets and YTD values
+ * @param {Object[]} objectives - Array of quantitative objectives with targets, YTD values
+ *   and their year-end forecast
  * @returns {JSX.Element} The table component
  */
 const ObjectivesTable = ({ objectives }) => {
@@ -41,18 +43,19 @@ const ObjectivesTable = ({ objectives }) => {
     <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-hidden">
       {/* Table header */}
       <div className="grid grid-cols-12 bg-gray-50 border-b border-gray-200 py-3 px-4 text-xs font-medium text-[#4A453F]">
-        <div className="col-span-4">OBJECTIVE</div>
-        <div className="col-span-2 text-center">TYPE</div>
+        <div className="col-span-3">OBJECTIVE</div>
+        <div className="col-span-1 text-center">TYPE</div>
         <div className="col-span-2 text-center">TARGET</div>
         <div className="col-span-2 text-center">YTD</div>
         <div className="col-span-2 text-center">PROGRESS</div>
+        <div className="col-span-2 text-center">FORECAST</div>
       </div>
       
       {/* Table rows */}
       {objectives.map((objective) => (
         <div key={objective.id} className="grid grid-cols-12 py-3 px-4 border-b border-gray-100 hover:bg-gray-50 items-center">
-          {/* Name and description - 4 columns */}
-          <div className="col-span-4">
+          {/* Name and description - 3 columns */}
+          <div className="col-span-3">
             <div className="flex items-center gap-1">
               <h4 className="font-semibold text-[#4A453F]">{objective.name}</h4>
               {objective.isGlobal && (
@@ -63,8 +66,8 @@ const ObjectivesTable = ({ objectives }) => {
             </div>
           </div>
           
-          {/* Type - 2 columns */}
-          <div className="col-span-2 text-center">
+          {/* Type - 1 column */}
+          <div className="col-span-1 text-center">
             <span className={`text-xs px-1.5 py-0.5 rounded-full ${
               objective.type === 'currency' ? 'bg-green-100 text-green-700' : 
               objective.type === 'percentage' ? 'bg-purple-100 text-purple-700' : 
@@ -94,6 +97,16 @@ const ObjectivesTable = ({ objectives }) => {
             </div>
             <span className="text-xs font-medium">{objective.progress.toFixed(0)}%</span>
           </div>
+          
+          {/* Forecast - 2 columns */}
+          <div className="col-span-2 flex flex-col items-center gap-1">
+            <ForecastBadge forecast={objective.forecast} />
+            {objective.forecast?.projectedValue !== null && objective.forecast?.projectedValue !== undefined && (
+              <span className="text-xs text-gray-500">
+                {formatValue(objective.forecast.projectedValue, objective.type)}
+              </span>
+            )}
+          </div>
         </div>
       ))}
     </div>
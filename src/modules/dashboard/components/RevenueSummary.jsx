@@ -0,0 +1,107 @@
+import React from 'react';
+import { formatCurrency } from '../../../common/utils/formatters';
+
+// Rows listed in the salesperson and category breakdowns
+const TOP_ROWS = 5;
+
+/**
+ * Amounts in every currency, main currency first
+ * @param {Array<Object>} totals - { moneda, mrr, arr } per currency
+ * @param {string} field - 'mrr' or 'arr'
+ * @returns {string} The formatted amounts
+ */
+const formatTotals = (totals, field) => (
+  totals.length > 0
+    ? totals.map(total => formatCurrency(total[field], total.moneda)).join(' + ')
+    : formatCurrency(0)
+);
+
+/**
+ * RevenueSummary component for displaying the recurring revenue of the clients'
+ * services: MRR and ARR tiles and the MRR of the top salespersons and categories
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.revenueData - Revenue summary data
+ * @returns {JSX.Element} The revenue summary component
+ */
+const RevenueSummary = ({ revenueData }) => {
+  if (!revenueData) {
+    return (
+      <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-100 text-center text-gray-500">
+        No revenue data available
+      </div>
+    );
+  }
+
+  const revenueCards = [
+    {
+      id: 'mrr',
+      title: 'Monthly Recurring Revenue',
+      value: formatTotals(revenueData.totals, 'mrr'),
+      detail: `${revenueData.clients} paying clients`
+    },
+    {
+      id: 'arr',
+      title: 'Annual Recurring Revenue',
+      value: formatTotals(revenueData.totals, 'arr'),
+      detail: revenueData.unpriced > 0 && `${revenueData.unpriced} assigned services without a price`
+    }
+  ];
+
+  const breakdowns = [
+    {
+      id: 'by-salesperson',
+      title: 'MRR by Salesperson',
+      rows: revenueData.bySalesperson.map(row => ({
+        key: row.vendedorId || 'unassigned',
+        label: row.vendedor ? row.vendedor.nombre : 'Unassigned',
+        totals: row.totals
+      }))
+    },
+    {
+      id: 'by-category',
+      title: 'MRR by Category',
+      rows: revenueData.byCategory.map(row => ({
+        key: row.categoria || 'none',
+        label: row.categoria || 'Uncategorized',
+        totals: row.totals
+      }))
+    }
+  ];
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6">
+      {revenueCards.map((card) => (
+        <div
+          key={card.id}
+          className="bg-white rounded-lg shadow-sm border border-gray-100 p-6 transition-transform hover:transform hover:scale-[1.02]"
+        >
+          <h3 className="text-lg font-semibold text-[#4A453F]">{card.title}</h3>
+          <p className="text-3xl font-bold mt-2 text-[#F58220]">{card.value}</p>
+          {card.detail && (
+            <p className="text-sm text-gray-500 mt-1">{card.detail}</p>
+          )}
+        </div>
+      ))}
+      {breakdowns.map((breakdown) => (
+        <div key={breakdown.id} className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+          <h3 className="text-lg font-semibold text-[#4A453F] mb-3">{breakdown.title}</h3>
+          {breakdown.rows.length === 0 ? (
+            <p className="text-sm text-gray-500">No recurring revenue yet</p>
+          ) : (
+            <ul className="space-y-2">
+              {breakdown.rows.slice(0, TOP_ROWS).map((row) => (
+                <li key={row.key} className="flex justify-between gap-4 text-sm">
+                  <span className="text-[#4A453F] truncate">{row.label}</span>
+                  <span className="font-medium text-[#4A453F] whitespace-nowrap">{formatTotals(row.totals, 'mrr')}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RevenueSummary;
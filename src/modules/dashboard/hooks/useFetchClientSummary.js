@@ -5,15 +5,23 @@ import { authFetch } from '../../../common/utils/fetch-wrapper';
 /**
  * Custom hook to fetch client summary data for the dashboard
  * 
+ * @param {Object} [options]
+ * @param {string} [options.period] - Period for the new clients and services, e.g. 'quarter' or 'FY2026'
+ * @param {string} [options.teamId] - Only the clients of a team's members
  * @returns {object} Query result with client summary data
  */
-const useFetchClientSummary = () => {
+const useFetchClientSummary = ({ period, teamId } = {}) => {
   return useQuery({
-    queryKey: ['dashboardClientSummary'],
+    queryKey: ['dashboardClientSummary', period, teamId],
     queryFn: async () => {
       try {
         // Fetch client summary from the API
-        const url = buildApiUrl('/api/clientes/summary');
+        const params = new URLSearchParams();
+        if (period) params.set('period', period);
+        if (teamId) params.set('teamId', teamId);
+        const url = buildApiUrl(params.toString()
+          ? `/api/clientes/summary?${params.toString()}`
+          : '/api/clientes/summary');
         
         console.log('Fetching client summary for dashboard:', url);
         
@@ -0,0 +1,35 @@
+import { useQuery } from '@tanstack/react-query';
+import { buildApiUrl } from '../../../common/utils/apiConfig';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the recurring revenue of the clients for the dashboard
+ * 
+ * @param {Object} [options]
+ * @param {string} [options.teamId] - Only the clients of a team's members
+ * @returns {object} Query result with the MRR and ARR in total, per salesperson and per category
+ */
+const useFetchRevenueSummary = ({ teamId } = {}) => {
+  return useQuery({
+    queryKey: ['dashboardRevenueSummary', teamId],
+    queryFn: async () => {
+      const url = buildApiUrl(teamId
+        ? `/api/clientes/revenue?${new URLSearchParams({ teamId }).toString()}`
+        : '/api/clientes/revenue');
+      
+      console.log('Fetching revenue summary for dashboard:', url);
+      
+      const data = await authFetch(url);
+      
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to fetch revenue summary');
+      }
+      
+      return data.data;
+    },
+    // Stale time of 5 minutes for dashboard
+    staleTime: 1000 * 60 * 5,
+  });
+};
+
+export default useFetchRevenueSummary;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import useFetchMe from './hooks/useFetchMe';
+import SalespersonFullDetail from '../salespersons/SalespersonFullDetail';
+import TechnicianDetail from '../client-matrix/TechnicianDetail';
+import MyTasks from './MyTasks';
+
+/**
+ * MyPage component - personal landing page for the signed-in person.
+ * Shows their open tasks and the salesperson and/or technician record
+ * linked to their account.
+ * @returns {JSX.Element} The MyPage component
+ */
+const MyPage = () => {
+  const { data: me, isLoading, error } = useFetchMe();
+  const [activeTab, setActiveTab] = useState('salesperson');
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-[#F58220] border-r-transparent align-[-0.125em]" role="status">
+          <span className="!absolute !-m-px !h-px !w-px !overflow-hidden !whitespace-nowrap !border-0 !p-0 ![clip:rect(0,0,0,0)]">Loading...</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-100 p-4 rounded-md text-red-700">
+        <p className="font-medium">Error loading your profile</p>
+        <p>{error.message}</p>
+      </div>
+    );
+  }
+
+  const { salesperson, technician } = me || {};
+
+  if (!salesperson && !technician) {
+    return (
+      <div className="bg-white p-8 rounded-lg shadow-sm border border-gray-100">
+        <div className="text-center py-8">
+          <p className="text-xl font-medium text-[#4A453F]">Your account is not linked yet</p>
+          <p className="text-[#4A453F] mt-2">
+            Ask an administrator to link {me?.email} to your salesperson or technician profile.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  // Only one linked record: show it directly
+  if (!salesperson || !technician) {
+    return (
+      <div>
+        <MyTasks />
+        {salesperson
+          ? <SalespersonFullDetail salespersonId={salesperson.id} />
+          : <TechnicianDetail technicianId={technician.id} />}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <MyTasks />
+
+      {/* Tabs */}
+      <div className="mb-6 border-b border-[#D3D0CD]">
+        <ul className="flex flex-wrap -mb-px">
+          <li className="mr-2">
+            <button
+              className={`inline-block py-3 px-4 text-sm font-medium border-b-2 ${
+                activeTab === 'salesperson'
+                  ? 'border-[#F58220] text-[#F58220]'
+                  : 'border-transparent text-[#4A453F] hover:border-[#D3D0CD]'
+              }`}
+              onClick={() => setActiveTab('salesperson')}
+              aria-current={activeTab === 'salesperson' ? 'page' : undefined}
+            >
+              Sales
+            </button>
+          </li>
+          <li className="mr-2">
+            <button
+              className={`inline-block py-3 px-4 text-sm font-medium border-b-2 ${
+                activeTab === 'technician'
+                  ? 'border-[#F58220] text-[#F58220]'
+                  : 'border-transparent text-[#4A453F] hover:border-[#D3D0CD]'
+              }`}
+              onClick={() => setActiveTab('technician')}
+              aria-current={activeTab === 'technician' ? 'page' : undefined}
+            >
+              Technical
+            </button>
+          </li>
+        </ul>
+      </div>
+
+      {activeTab === 'salesperson'
+        ? <SalespersonFullDetail salespersonId={salesperson.id} />
+        : <TechnicianDetail technicianId={technician.id} />}
+    </div>
+  );
+};
+
+export default MyPage;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import useFetchMyTasks from './hooks/useFetchMyTasks';
+import useSaveClientAction from '../client-matrix/hooks/useSaveClientAction';
+import { PRIORITY_LABELS, STATUS_LABELS, TRANSITION_LABELS, priorityClass } from '../client-matrix/ClientActions';
+
+/**
+ * Format a date-only value (YYYY-MM-DD) as that day in the local time zone
+ */
+const formatDay = (day) => (day ? new Date(`${day}T00:00:00`).toLocaleDateString() : '-');
+
+/**
+ * MyTasks component - the open client actions assigned to the signed-in
+ * person across all clients, overdue and high priority first
+ * @returns {JSX.Element} The MyTasks component
+ */
+const MyTasks = () => {
+  const { data: tasks, isLoading, error } = useFetchMyTasks();
+  const { transitionAction } = useSaveClientAction();
+
+  const overdueCount = (tasks || []).filter(task => task.overdue).length;
+
+  return (
+    <div className="mb-6 bg-white p-6 rounded-lg shadow-sm border border-gray-100">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-medium text-[#4A453F]">My tasks</h2>
+        {overdueCount > 0 && (
+          <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800">
+            {overdueCount} overdue
+          </span>
+        )}
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-[#4A453F]">Loading tasks...</p>
+      ) : error ? (
+        <p className="text-sm text-red-600">Error loading tasks: {error.message}</p>
+      ) : !tasks?.length ? (
+        <p className="text-sm text-[#4A453F]">No open tasks assigned to you.</p>
+      ) : (
+        <ul className="divide-y divide-[#D3D0CD]">
+          {tasks.map(task => (
+            <li key={task.id} className={`py-3 flex flex-wrap items-center justify-between gap-2 ${task.overdue ? 'bg-red-50 -mx-2 px-2 rounded' : ''}`}>
+              <div className="min-w-0">
+                <p className="text-sm text-[#4A453F]">{task.accion}</p>
+                <p className="text-xs text-gray-500">
+                  <Link to={`/client-matrix/clients/${task.cliente.id}`} className="text-blue-600 hover:text-blue-800">
+                    {task.cliente.nombre}
+                  </Link>
+                  {' · '}
+                  <span className={task.overdue ? 'text-red-700 font-medium' : ''}>
+                    Due {formatDay(task.fechaVencimiento)}
+                  </span>
+                  {' · '}
+                  {STATUS_LABELS[task.estado]}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className={`px-2 py-0.5 text-xs rounded-full ${priorityClass(task.prioridad)}`}>
+                  {PRIORITY_LABELS[task.prioridad]}
+                </span>
+                {task.transitions.filter(transition => transition !== 'cancel').map(transition => (
+                  <button
+                    key={transition}
+                    onClick={() => transitionAction.mutate({ id: task.id, transition })}
+                    disabled={transitionAction.isPending}
+                    className="px-2 py-1 text-xs rounded bg-[#D3D0CD] text-[#4A453F] hover:bg-[#BDB7B1] disabled:opacity-50"
+                  >
+                    {TRANSITION_LABELS[transition]}
+                  </button>
+                ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MyTasks;
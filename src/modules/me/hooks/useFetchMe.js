@@ -0,0 +1,21 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the signed-in user with their linked salesperson and technician
+ * 
+ * @returns {object} Query result with { id, email, role, salesperson, technician }
+ */
+const useFetchMe = () => {
+  return useQuery({
+    queryKey: ['me'],
+    queryFn: async () => {
+      const data = await authFetch('/api/me');
+      return data;
+    },
+    select: (data) => data.data,
+    staleTime: 1000 * 60 * 5,
+  });
+};
+
+export default useFetchMe;
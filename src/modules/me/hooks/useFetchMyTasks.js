@@ -0,0 +1,21 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the open client actions assigned to the signed-in user
+ * 
+ * @returns {object} Query result with the actions, overdue and high priority first
+ */
+const useFetchMyTasks = () => {
+  return useQuery({
+    queryKey: ['myTasks'],
+    queryFn: async () => {
+      const data = await authFetch('/api/me/tasks');
+      return data;
+    },
+    select: (data) => data.data,
+    staleTime: 1000 * 60,
+  });
+};
+
+export default useFetchMyTasks;
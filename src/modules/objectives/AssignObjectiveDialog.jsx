@@ -1,9 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import useSaveQuantitativeObjective from './hooks/useSaveQuantitativeObjective';
+import useFetchObjectiveAllocation from './hooks/useFetchObjectiveAllocation';
+import useSaveObjectiveAllocation from './hooks/useSaveObjectiveAllocation';
+import useFetchTeams from '../../common/hooks/useFetchTeams';
 import { formatCurrency, formatPercentage } from '../../common/utils/formatters';
 
+const ALLOCATION_METHODS = [
+  { value: 'even', label: 'Even split' },
+  { value: 'weight', label: 'By weight' },
+  { value: 'lastYear', label: "By last year's share" }
+];
+
 /**
- * AssignObjectiveDialog component for assigning quantitative objectives to salespersons
+ * AssignObjectiveDialog component for assigning quantitative objectives to salespersons.
+ * The company target can be allocated to teams and the company or team target to
+ * individuals; a gap report shows where the levels don't add up.
  * 
  * @param {object} props - Component props
  * @param {object} props.objective - The objective to assign
@@ -24,8 +35,31 @@ const AssignObjectiveDialog = ({ objective, salespersons = [], onClose, refetch
   // Loading state
   const [isSubmitting, setIsSubmitting] = useState(false);
   
+  // Allocation method, weights by team or salesperson ID, and the team whose target is split
+  const [allocationMethod, setAllocationMethod] = useState('even');
+  const [weights, setWeights] = useState({});
+  const [allocationScope, setAllocationScope] = useState('');
+  const [allocationNote, setAllocationNote] = useState('');
+  // Team targets being edited, by team ID
+  const [teamTargets, setTeamTargets] = useState({});
+  
   // Get the assign mutation
   const { assignSalespersons } = useSaveQuantitativeObjective();
+  const { proposeAllocation, saveTeamTargets } = useSaveObjectiveAllocation();
+  const { data: teamsData } = useFetchTeams();
+  const { data: allocation } = useFetchObjectiveAllocation(objective?.id);
+  const teams = teamsData?.rows || [];
+  
+  // Saved team targets
+  useEffect(() => {
+    if (allocation) {
+      setTeamTargets(Object.fromEntries(
+        allocation.byTeam
+          .filter(team => team.teamTarget !== null)
+          .map(team => [team.teamId, team.teamTarget])
+      ));
+    }
+  }, [allocation]);
   
   // Initialize already assigned salespersons
   useEffect(() => {
@@ -160,9 +194,134 @@ const AssignObjectiveDialog = ({ objective, salespersons = [], onClose, refetch
   // Calculate difference between company target and individual targets
   const targetDifference = objective ? objective.companyTarget - totalIndividualTargets : 0;
   
+  // Rates are compared through their average; amounts add up
+  const isAveraged = objective?.type === 'percentage';
+  const aggregate = (values) => {
+    if (values.length === 0) return 0;
+    const total = values.reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+    return isAveraged ? total / values.length : total;
+  };
+  const isBalanced = (gap) => Math.abs(gap) < 0.005;
+  
+  // Gap report of the targets being edited
+  const teamOf = Object.fromEntries(teams.flatMap(team => team.members.map(member => [member.id, team.id])));
+  const savedTeamIds = Object.keys(teamTargets).filter(teamId => teamTargets[teamId] !== '' && teamTargets[teamId] !== null);
+  const gapReport = {
+    teams: objective ? objective.companyTarget - aggregate(savedTeamIds.map(teamId => teamTargets[teamId])) : 0,
+    individuals: objective ? objective.companyTarget - aggregate(assignments.map(a => a.individualTarget)) : 0,
+    byTeam: teams.map(team => {
+      const memberTargets = assignments
+        .filter(a => teamOf[a.salespersonId] === team.id)
+        .map(a => a.individualTarget);
+      const teamTarget = teamTargets[team.id];
+      const hasTarget = teamTarget !== undefined && teamTarget !== '' && teamTarget !== null;
+      
+      return {
+        team,
+        assigned: aggregate(memberTargets),
+        assignedCount: memberTargets.length,
+        gap: hasTarget ? parseFloat(teamTarget) - aggregate(memberTargets) : null
+      };
+    })
+  };
+  
+  // Weights that were filled in
+  const enteredWeights = () => (allocationMethod === 'weight'
+    ? Object.fromEntries(Object.entries(weights).filter(([, value]) => value !== ''))
+    : {});
+  
+  // Ask the API for a split of the company target among the teams
+  const handleAllocateTeams = async () => {
+    setErrorMessage('');
+    try {
+      const proposal = await proposeAllocation.mutateAsync({
+        id: objective.id,
+        level: 'team',
+        method: allocationMethod,
+        weights: enteredWeights()
+      });
+      setTeamTargets(Object.fromEntries(proposal.allocations.map(item => [item.id, item.target])));
+      setAllocationNote(proposal.fallback ? 'Nothing to weigh by, so the company target was split evenly' : '');
+    } catch (error) {
+      setErrorMessage(error.message || 'Failed to allocate the company target');
+    }
+  };
+  
+  // Save the team targets being edited
+  const handleSaveTeamTargets = async () => {
+    setErrorMessage('');
+    try {
+      await saveTeamTargets.mutateAsync({
+        id: objective.id,
+        targets: savedTeamIds.map(teamId => ({ teamId, teamTarget: parseFloat(teamTargets[teamId]) || 0 }))
+      });
+    } catch (error) {
+      setErrorMessage(error.message || 'Failed to save team targets');
+    }
+  };
+  
+  // Ask the API for a split of the company target (or the scope team's target) among
+  // the selected salespersons, or among the team members or active salespersons when
+  // none is selected, and use it as their individual targets
+  const handleAllocateIndividuals = async () => {
+    setErrorMessage('');
+    const inScope = assignments
+      .filter(a => !allocationScope || teamOf[a.salespersonId] === allocationScope)
+      .map(a => a.salespersonId);
+    
+    try {
+      const proposal = await proposeAllocation.mutateAsync({
+        id: objective.id,
+        level: 'salesperson',
+        method: allocationMethod,
+        teamId: allocationScope || undefined,
+        salespersonIds: inScope.length > 0 ? inScope : undefined,
+        weights: enteredWeights()
+      });
+      
+      setAssignments(prev => {
+        const proposed = Object.fromEntries(proposal.allocations.map(item => [item.id, item.target]));
+        const updated = prev.map(a => (
+          proposed[a.salespersonId] !== undefined ? { ...a, individualTarget: proposed[a.salespersonId] } : a
+        ));
+        const added = proposal.allocations
+          .filter(item => !prev.some(a => a.salespersonId === item.id))
+          .map(item => ({ salespersonId: item.id, individualTarget: item.target, alreadyAssigned: false }));
+        return [...updated, ...added];
+      });
+      setAllocationNote(proposal.fallback ? 'Nothing to weigh by, so the target was split evenly' : '');
+    } catch (error) {
+      setErrorMessage(error.message || 'Failed to allocate individual targets');
+    }
+  };
+  
+  // Gap with its colour: over-allocated in red, under-allocated in amber
+  const renderGap = (gap) => {
+    if (gap === null) return <span className="text-gray-400">No team target</span>;
+    if (isBalanced(gap)) return <span className="text-green-600">Balanced</span>;
+    return (
+      <span className={gap < 0 ? 'text-red-600' : 'text-yellow-600'}>
+        {gap < 0 ? 'Over by ' : 'Short by '}{formatValue(Math.abs(gap))}
+      </span>
+    );
+  };
+  
+  const weightInput = (key) => (
+    <input
+      type="number"
+      min="0"
+      step="any"
+      value={weights[key] ?? ''}
+      onChange={(e) => setWeights(prev => ({ ...prev, [key]: e.target.value }))}
+      className="w-20 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-[#F58220] focus:border-transparent"
+      placeholder="1"
+      aria-label="Weight"
+    />
+  );
+  
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl relative">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl relative max-h-[90vh] overflow-y-auto">
         {/* Close button */}
         <button
           onClick={() => onClose()}
@@ -203,6 +362,134 @@ const AssignObjectiveDialog = ({ objective, salespersons = [], onClose, refetch
             </div>
           )}
           
+          {/* Allocation method */}
+          <div className="mb-4 flex flex-wrap items-center gap-3">
+            <label htmlFor="allocation-method" className="text-sm font-medium text-[#4A453F]">Allocate</label>
+            <select
+              id="allocation-method"
+              value={allocationMethod}
+              onChange={(e) => setAllocationMethod(e.target.value)}
+              className="px-3 py-1.5 text-sm border border-[#D3D0CD] rounded-md focus:outline-none focus:ring-1 focus:ring-[#F58220]"
+            >
+              {ALLOCATION_METHODS.map(method => (
+                <option key={method.value} value={method.value}>{method.label}</option>
+              ))}
+            </select>
+            {allocationNote && <span className="text-xs text-yellow-700">{allocationNote}</span>}
+          </div>
+          
+          {/* Team targets: the company target cascaded to teams */}
+          {teams.length > 0 && (
+            <div className="mb-4 border border-gray-200 rounded-md">
+              <div className="flex flex-wrap justify-between items-center gap-2 px-4 py-2 bg-gray-50 border-b border-gray-200">
+                <h4 className="text-sm font-semibold text-[#4A453F]">Team Targets</h4>
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={handleAllocateTeams}
+                    disabled={proposeAllocation.isPending}
+                    className="px-3 py-1 text-sm border border-[#F58220] text-[#F58220] rounded-md hover:bg-orange-50 disabled:opacity-50"
+                  >
+                    Allocate company target
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleSaveTeamTargets}
+                    disabled={saveTeamTargets.isPending}
+                    className="px-3 py-1 text-sm bg-[#F58220] text-white rounded-md hover:bg-[#e67812] disabled:opacity-50"
+                  >
+                    {saveTeamTargets.isPending ? 'Saving...' : 'Save team targets'}
+                  </button>
+                </div>
+              </div>
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead>
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Team</th>
+                    {allocationMethod === 'weight' && (
+                      <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Weight</th>
+                    )}
+                    <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Team Target</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Individuals</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Gap</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {gapReport.byTeam.map(({ team, assigned, assignedCount, gap }) => (
+                    <tr key={team.id}>
+                      <td className="px-4 py-2 text-sm text-[#4A453F]">
+                        {team.name}
+                        <span className="ml-1 text-xs text-gray-500">({team.members.length})</span>
+                      </td>
+                      {allocationMethod === 'weight' && (
+                        <td className="px-4 py-2">{weightInput(team.id)}</td>
+                      )}
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={teamTargets[team.id] ?? ''}
+                          onChange={(e) => setTeamTargets(prev => ({ ...prev, [team.id]: e.target.value }))}
+                          className="w-32 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-[#F58220] focus:border-transparent"
+                          aria-label={`Target of ${team.name}`}
+                        />
+                      </td>
+                      <td className="px-4 py-2 text-sm text-[#4A453F]">
+                        {formatValue(assigned)}
+                        <span className="ml-1 text-xs text-gray-500">({assignedCount})</span>
+                      </td>
+                      <td className="px-4 py-2 text-sm">{renderGap(gap)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          
+          {/* Individual targets: the company or a team target split among salespersons */}
+          <div className="mb-4 flex flex-wrap items-center gap-3">
+            <label htmlFor="allocation-scope" className="text-sm font-medium text-[#4A453F]">Split</label>
+            <select
+              id="allocation-scope"
+              value={allocationScope}
+              onChange={(e) => setAllocationScope(e.target.value)}
+              className="px-3 py-1.5 text-sm border border-[#D3D0CD] rounded-md focus:outline-none focus:ring-1 focus:ring-[#F58220]"
+            >
+              <option value="">The company target</option>
+              {teams
+                .filter(team => allocation?.byTeam.some(item => item.teamId === team.id && item.teamTarget !== null))
+                .map(team => (
+                  <option key={team.id} value={team.id}>The target of {team.name}</option>
+                ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleAllocateIndividuals}
+              disabled={proposeAllocation.isPending}
+              className="px-3 py-1 text-sm border border-[#F58220] text-[#F58220] rounded-md hover:bg-orange-50 disabled:opacity-50"
+            >
+              Allocate individual targets
+            </button>
+          </div>
+          
+          {/* Gap report */}
+          <div className="mb-4 bg-gray-50 p-3 rounded-md text-sm">
+            <div className="font-medium text-[#4A453F] mb-1">
+              Gap Report {isAveraged && <span className="font-normal text-xs text-gray-500">(averages, as the target is a rate)</span>}
+            </div>
+            <div className="flex flex-wrap gap-x-8 gap-y-1">
+              {teams.length > 0 && (
+                <div>
+                  <span className="font-medium">Company vs teams:</span> {savedTeamIds.length > 0 ? renderGap(gapReport.teams) : <span className="text-gray-400">No team targets</span>}
+                </div>
+              )}
+              <div>
+                <span className="font-medium">Company vs individuals:</span> {assignments.length > 0 ? renderGap(gapReport.individuals) : <span className="text-gray-400">Nobody assigned</span>}
+              </div>
+            </div>
+          </div>
+          
           {/* Assignment summary */}
           <div className="mb-4 flex justify-between items-center">
             <div className="text-sm">
@@ -239,6 +526,11 @@ const AssignObjectiveDialog = ({ objective, salespersons = [], onClose, refetch
                     <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-[#4A453F] uppercase tracking-wider">
                       Salesperson
                     </th>
+                    {allocationMethod === 'weight' && (
+                      <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-[#4A453F] uppercase tracking-wider">
+                        Weight
+                      </th>
+                    )}
                     <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-[#4A453F] uppercase tracking-wider">
                       Individual Target
                     </th>
@@ -263,6 +555,9 @@ const AssignObjectiveDialog = ({ objective, salespersons = [], onClose, refetch
                           <div className="text-sm font-medium text-[#4A453F]">{salesperson.nombre}</div>
                           <div className="text-xs text-gray-500">{salesperson.email}</div>
                         </td>
+                        {allocationMethod === 'weight' && (
+                          <td className="px-4 py-3 whitespace-nowrap">{weightInput(salesperson.id)}</td>
+                        )}
                         <td className="px-4 py-3 whitespace-nowrap">
                           <input
                             type="number"
@@ -283,7 +578,7 @@ const AssignObjectiveDialog = ({ objective, salespersons = [], onClose, refetch
                   
                   {filteredSalespersons.length === 0 && (
                     <tr>
-                      <td colSpan="3" className="px-4 py-4 text-center text-sm text-gray-500">
+                      <td colSpan={allocationMethod === 'weight' ? 4 : 3} className="px-4 py-4 text-center text-sm text-gray-500">
                         No {showOnlyUnassigned ? 'unassigned ' : ''}salespersons available
                       </td>
                     </tr>
@@ -0,0 +1,267 @@
+import React, { useState } from 'react';
+import useSaveCompensationPlan from './hooks/useSaveCompensationPlan';
+import useFetchSalespersons from '../../common/hooks/useFetchSalespersons';
+import useFetchTechnicians from '../client-matrix/hooks/useFetchTechnicians';
+
+/**
+ * Empty cap inputs mean "no cap"
+ */
+const toNullableNumber = (value) => (value === '' || value === null ? null : parseFloat(value));
+
+/**
+ * CompensationPlanForm component: create or edit a compensation plan, its
+ * payout curve and caps, and choose the salespersons or technicians it pays
+ *
+ * @param {object} props - Component props
+ * @param {object} [props.plan] - Plan to edit, with its members; omitted to create one
+ * @param {Function} props.onClose - Called when the dialog closes
+ * @returns {JSX.Element} The CompensationPlanForm component
+ */
+const CompensationPlanForm = ({ plan, onClose }) => {
+  const isEditMode = !!plan;
+  const { createPlan, updatePlan, saveMembers } = useSaveCompensationPlan();
+
+  const [formData, setFormData] = useState({
+    name: plan?.name || '',
+    description: plan?.description || '',
+    personType: plan?.personType || 'salesperson',
+    currency: plan?.currency || 'UYU',
+    baseVariableAmount: plan?.baseVariableAmount ?? 0,
+    quantitativeShare: Math.round((plan?.quantitativeShare ?? 0.7) * 100),
+    payoutAtMinimum: plan?.payoutAtMinimum ?? 50,
+    acceleratorRate: plan?.acceleratorRate ?? 1,
+    componentCap: plan ? plan.componentCap ?? '' : 200,
+    totalCap: plan ? plan.totalCap ?? '' : 150,
+    isActive: plan?.isActive ?? true
+  });
+
+  // Selected members: person ID -> individual yearly base ('' = plan base)
+  const [members, setMembers] = useState(() => Object.fromEntries(
+    (plan?.members || []).map(member => [
+      member.salespersonId || member.technicianId,
+      member.baseVariableAmount ?? ''
+    ])
+  ));
+  const [error, setError] = useState(null);
+
+  const { data: salespersons } = useFetchSalespersons({ limit: 100 });
+  const { data: technicians } = useFetchTechnicians({ limit: 100 });
+  const people = formData.personType === 'technician'
+    ? technicians?.rows || []
+    : salespersons?.rows || [];
+
+  const isSaving = createPlan.isPending || updatePlan.isPending || saveMembers.isPending;
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+
+    // Members of the other person type no longer apply
+    if (name === 'personType') setMembers({});
+  };
+
+  const toggleMember = (personId) => {
+    setMembers(prev => {
+      const next = { ...prev };
+      if (personId in next) {
+        delete next[personId];
+      } else {
+        next[personId] = '';
+      }
+      return next;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const data = {
+      ...formData,
+      description: formData.description || null,
+      baseVariableAmount: parseFloat(formData.baseVariableAmount) || 0,
+      quantitativeShare: (parseFloat(formData.quantitativeShare) || 0) / 100,
+      payoutAtMinimum: parseFloat(formData.payoutAtMinimum) || 0,
+      acceleratorRate: parseFloat(formData.acceleratorRate) || 0,
+      componentCap: toNullableNumber(formData.componentCap),
+      totalCap: toNullableNumber(formData.totalCap)
+    };
+
+    try {
+      const result = isEditMode
+        ? await updatePlan.mutateAsync({ id: plan.id, data })
+        : await createPlan.mutateAsync(data);
+
+      await saveMembers.mutateAsync({
+        id: result.data.id,
+        members: Object.entries(members).map(([personId, baseVariableAmount]) => ({
+          personId,
+          baseVariableAmount: toNullableNumber(baseVariableAmount)
+        }))
+      });
+
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-[#D3D0CD] rounded-md focus:outline-none focus:ring-1 focus:ring-[#F58220]';
+  const labelClass = 'block text-sm font-medium text-[#4A453F] mb-1';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 overflow-hidden">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl relative max-h-[90vh] overflow-y-auto">
+        {/* Header with title and close button */}
+        <div className="sticky top-0 z-10 bg-white border-b border-gray-200 p-6 pb-3 flex justify-between items-center">
+          <h3 className="text-xl font-bold text-[#4A453F]">
+            {isEditMode ? `Edit Plan: ${plan.name}` : 'Create Compensation Plan'}
+          </h3>
+          <button
+            onClick={() => onClose()}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close dialog"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 pt-4">
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label htmlFor="name" className={labelClass}>
+                  Name <span className="text-red-500">*</span>
+                </label>
+                <input id="name" name="name" value={formData.name} onChange={handleChange} required className={inputClass} />
+              </div>
+
+              <div>
+                <label htmlFor="personType" className={labelClass}>Pays</label>
+                <select
+                  id="personType"
+                  name="personType"
+                  value={formData.personType}
+                  onChange={handleChange}
+                  disabled={isEditMode && plan.members?.length > 0}
+                  className={inputClass}
+                >
+                  <option value="salesperson">Salespersons (objectives)</option>
+                  <option value="technician">Technicians (evaluation bonus)</option>
+                </select>
+              </div>
+
+              <div className="md:col-span-2">
+                <label htmlFor="description" className={labelClass}>Description</label>
+                <textarea id="description" name="description" rows={2} value={formData.description} onChange={handleChange} className={inputClass} />
+              </div>
+
+              <div>
+                <label htmlFor="baseVariableAmount" className={labelClass}>Yearly variable pay at target</label>
+                <input id="baseVariableAmount" name="baseVariableAmount" type="number" min="0" step="any" value={formData.baseVariableAmount} onChange={handleChange} className={inputClass} />
+              </div>
+
+              <div>
+                <label htmlFor="currency" className={labelClass}>Currency</label>
+                <input id="currency" name="currency" maxLength={3} value={formData.currency} onChange={handleChange} className={`${inputClass} uppercase`} />
+              </div>
+
+              {formData.personType === 'salesperson' && (
+                <>
+                  <div>
+                    <label htmlFor="quantitativeShare" className={labelClass}>Share for quantitative objectives (%)</label>
+                    <input id="quantitativeShare" name="quantitativeShare" type="number" min="0" max="100" value={formData.quantitativeShare} onChange={handleChange} className={inputClass} />
+                    <p className="text-xs text-gray-500 mt-1">The rest is paid for completed qualitative objectives.</p>
+                  </div>
+
+                  <div>
+                    <label htmlFor="payoutAtMinimum" className={labelClass}>Payout at the minimum acceptable (%)</label>
+                    <input id="payoutAtMinimum" name="payoutAtMinimum" type="number" min="0" max="100" value={formData.payoutAtMinimum} onChange={handleChange} className={inputClass} />
+                    <p className="text-xs text-gray-500 mt-1">Nothing is paid below the minimum; payout rises linearly to 100% at target.</p>
+                  </div>
+
+                  <div>
+                    <label htmlFor="acceleratorRate" className={labelClass}>Accelerator above target</label>
+                    <input id="acceleratorRate" name="acceleratorRate" type="number" min="0" step="0.1" value={formData.acceleratorRate} onChange={handleChange} className={inputClass} />
+                    <p className="text-xs text-gray-500 mt-1">Payout points per point above target (1 = linear).</p>
+                  </div>
+
+                  <div>
+                    <label htmlFor="componentCap" className={labelClass}>Cap per objective (%)</label>
+                    <input id="componentCap" name="componentCap" type="number" min="0" value={formData.componentCap} onChange={handleChange} placeholder="No cap" className={inputClass} />
+                  </div>
+                </>
+              )}
+
+              <div>
+                <label htmlFor="totalCap" className={labelClass}>Total cap (% of the base)</label>
+                <input id="totalCap" name="totalCap" type="number" min="0" value={formData.totalCap} onChange={handleChange} placeholder="No cap" className={inputClass} />
+              </div>
+
+              <div className="flex items-center">
+                <label className="flex items-center gap-2 text-sm text-[#4A453F]">
+                  <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleChange} />
+                  Active
+                </label>
+              </div>
+            </div>
+
+            {/* Members */}
+            <h4 className="text-md font-semibold text-[#4A453F] mb-2">Members</h4>
+            <div className="border border-gray-200 rounded-md max-h-64 overflow-y-auto mb-4">
+              {people.length === 0 ? (
+                <p className="p-3 text-sm text-gray-500">No {formData.personType === 'technician' ? 'technicians' : 'salespersons'} found.</p>
+              ) : people.map(person => (
+                <div key={person.id} className="flex items-center justify-between px-3 py-2 border-b border-gray-100 last:border-b-0">
+                  <label className="flex items-center gap-2 text-sm text-[#4A453F]">
+                    <input type="checkbox" checked={person.id in members} onChange={() => toggleMember(person.id)} />
+                    {person.nombre}
+                  </label>
+                  {person.id in members && (
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={members[person.id]}
+                      onChange={(e) => setMembers(prev => ({ ...prev, [person.id]: e.target.value }))}
+                      placeholder="Plan base"
+                      aria-label={`Yearly variable pay of ${person.nombre}`}
+                      className="w-40 px-2 py-1 text-sm border border-[#D3D0CD] rounded-md"
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => onClose()}
+                className="px-4 py-2 border border-[#D3D0CD] text-[#4A453F] rounded-md hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : isEditMode ? 'Save Plan' : 'Create Plan'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CompensationPlanForm;
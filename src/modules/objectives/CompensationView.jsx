@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import useFetchCompensationStatements from './hooks/useFetchCompensationStatements';
+import useFetchCompensationPlans from './hooks/useFetchCompensationPlans';
+import useSaveCompensationPlan from './hooks/useSaveCompensationPlan';
+import usePermissions from '../../common/hooks/usePermissions';
+import PeriodPicker from '../../common/components/PeriodPicker';
+import CompensationPlanForm from './CompensationPlanForm';
+import { formatCurrency, formatPercentage } from '../../common/utils/formatters';
+
+// Statement percentages are 0-100
+const formatPercent = (value) => formatPercentage(value / 100);
+
+const COMPONENT_LABELS = {
+  quantitative: 'Quantitative',
+  qualitative: 'Qualitative',
+  evaluation: 'Evaluation'
+};
+
+/**
+ * CompensationView component: per-person payout statements for a period,
+ * with the explanation of every component, and the compensation plans for
+ * users who manage them
+ * @returns {JSX.Element} The CompensationView component
+ */
+const CompensationView = () => {
+  const { can } = usePermissions();
+  const canManage = can('compensation:manage');
+
+  const [period, setPeriod] = useState('year');
+  const [expanded, setExpanded] = useState(null);
+  const [editingPlan, setEditingPlan] = useState(null);
+  const [showPlanForm, setShowPlanForm] = useState(false);
+
+  const { data: statements, isLoading, error } = useFetchCompensationStatements({ period });
+  const { data: plans } = useFetchCompensationPlans({ enabled: canManage });
+  const { deletePlan } = useSaveCompensationPlan();
+
+  const handleDeletePlan = (plan) => {
+    if (!window.confirm(`Delete the plan "${plan.name}"? Its members will no longer get statements.`)) return;
+
+    deletePlan.mutate(plan.id, {
+      onSuccess: () => toast.success('Plan deleted'),
+      onError: (err) => toast.error(err.message)
+    });
+  };
+
+  const openPlanForm = (plan = null) => {
+    setEditingPlan(plan);
+    setShowPlanForm(true);
+  };
+
+  const renderStatement = (statement) => {
+    const key = `${statement.person.type}-${statement.person.id}`;
+    const isExpanded = expanded === key;
+    const money = (value) => formatCurrency(value, statement.plan.currency, 2);
+
+    return (
+      <React.Fragment key={key}>
+        <tr
+          className="text-sm text-[#4A453F] hover:bg-gray-50 cursor-pointer"
+          onClick={() => setExpanded(isExpanded ? null : key)}
+        >
+          <td className="px-4 py-3">
+            <div className="font-medium">{statement.person.nombre}</div>
+            <div className="text-xs text-gray-500">{statement.person.email}</div>
+          </td>
+          <td className="px-4 py-3">{statement.plan.name}</td>
+          <td className="px-4 py-3 text-right">{money(statement.baseAmount)}</td>
+          <td className="px-4 py-3 text-right">{formatPercent(statement.payoutPercentage)}</td>
+          <td className="px-4 py-3 text-right font-semibold">{money(statement.total)}</td>
+          <td className="px-4 py-3 text-right text-[#F58220]">{isExpanded ? 'Hide' : 'Details'}</td>
+        </tr>
+        {isExpanded && (
+          <tr>
+            <td colSpan={6} className="px-4 pb-4 bg-gray-50">
+              <ul className="text-xs text-gray-600 list-disc pl-5 py-2 space-y-1">
+                {statement.explanation.map((line, index) => <li key={index}>{line}</li>)}
+              </ul>
+              {statement.components.length > 0 && (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr>
+                      <th className="px-2 py-1 text-left text-xs font-medium text-[#4A453F] uppercase">Component</th>
+                      <th className="px-2 py-1 text-right text-xs font-medium text-[#4A453F] uppercase">Attainment</th>
+                      <th className="px-2 py-1 text-right text-xs font-medium text-[#4A453F] uppercase">Payout</th>
+                      <th className="px-2 py-1 text-right text-xs font-medium text-[#4A453F] uppercase">Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {statement.components.map(component => (
+                      <tr key={`${component.type}-${component.id}`} className="align-top">
+                        <td className="px-2 py-2">
+                          <div className="font-medium text-[#4A453F]">
+                            {component.name}
+                            <span className="ml-2 text-xs px-1.5 py-0.5 rounded-full bg-gray-200 text-gray-700">
+                              {COMPONENT_LABELS[component.type]}
+                            </span>
+                          </div>
+                          <div className="text-xs text-gray-500 mt-1">{component.explanation}</div>
+                        </td>
+                        <td className="px-2 py-2 text-right">
+                          {component.attainment !== undefined ? formatPercent(component.attainment) : '-'}
+                        </td>
+                        <td className="px-2 py-2 text-right">{formatPercent(component.payoutPercentage)}</td>
+                        <td className="px-2 py-2 text-right">{money(component.amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </td>
+          </tr>
+        )}
+      </React.Fragment>
+    );
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Statements */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+        <div className="flex flex-col lg:flex-row lg:justify-between lg:items-center gap-4 mb-4">
+          <h2 className="text-lg font-semibold text-[#4A453F]">Payout Statements</h2>
+          <PeriodPicker period={statements?.period} onChange={setPeriod} />
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center items-center h-32">
+            <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-[#F58220] border-r-transparent"></div>
+          </div>
+        ) : error ? (
+          <p className="text-red-600">{error.message || 'Failed to load statements'}</p>
+        ) : !statements?.rows.length ? (
+          <p className="text-gray-500">No one is in an active compensation plan.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-[#D3D0CD]">
+              <thead>
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Person</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Plan</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-[#4A453F] uppercase">Base</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-[#4A453F] uppercase">Payout</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-[#4A453F] uppercase">Total</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {statements.rows.map(renderStatement)}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Plans */}
+      {canManage && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold text-[#4A453F]">Compensation Plans</h2>
+            <button
+              onClick={() => openPlanForm()}
+              className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] transition-colors"
+            >
+              + New Plan
+            </button>
+          </div>
+
+          {!plans?.rows.length ? (
+            <p className="text-gray-500">No compensation plans yet.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-[#D3D0CD]">
+              <thead>
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Name</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Pays</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-[#4A453F] uppercase">Yearly base</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-[#4A453F] uppercase">Members</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Status</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {plans.rows.map(plan => (
+                  <tr key={plan.id} className="text-sm text-[#4A453F]">
+                    <td className="px-4 py-3 font-medium">{plan.name}</td>
+                    <td className="px-4 py-3">{plan.personType === 'technician' ? 'Technicians' : 'Salespersons'}</td>
+                    <td className="px-4 py-3 text-right">{formatCurrency(plan.baseVariableAmount, plan.currency)}</td>
+                    <td className="px-4 py-3 text-right">{plan.members?.length || 0}</td>
+                    <td className="px-4 py-3">{plan.isActive ? 'Active' : 'Inactive'}</td>
+                    <td className="px-4 py-3 text-right space-x-3">
+                      <button onClick={() => openPlanForm(plan)} className="text-[#F58220] hover:underline">Edit</button>
+                      <button onClick={() => handleDeletePlan(plan)} className="text-red-600 hover:underline">Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {showPlanForm && (
+        <CompensationPlanForm
+          plan={editingPlan}
+          onClose={() => setShowPlanForm(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CompensationView;
@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import useSaveObjectiveTemplate from './hooks/useSaveObjectiveTemplate';
+import useFetchSalespersons from '../../common/hooks/useFetchSalespersons';
+
+/**
+ * The period an objective created from a template covers, if any
+ */
+const instanceFor = (template, period) => (template.quantitativeObjectives || []).find(objective =>
+  objective.startDate === period.startDate && objective.endDate === period.endDate
+);
+
+/**
+ * InstantiateTemplateDialog component: create the objective of a fiscal year
+ * (or any other period) from a template and assign it to every active
+ * salesperson or to a selection, with optional individual targets
+ *
+ * @param {object} props - Component props
+ * @param {object} props.template - Template to instantiate, with the objectives created from it
+ * @param {Array<object>} props.periods - Suggested periods (current and next fiscal year)
+ * @param {Function} props.onClose - Called when the dialog closes
+ * @returns {JSX.Element} The InstantiateTemplateDialog component
+ */
+const InstantiateTemplateDialog = ({ template, periods = [], onClose }) => {
+  const { instantiateTemplate } = useSaveObjectiveTemplate();
+
+  // Default to the first suggested period the template has no objective for
+  const [period, setPeriod] = useState(
+    (periods.find(candidate => !instanceFor(template, candidate)) || periods[0])?.key || ''
+  );
+  const [customPeriod, setCustomPeriod] = useState('');
+  const [name, setName] = useState('');
+  const [allActive, setAllActive] = useState(true);
+  const [selected, setSelected] = useState([]);
+  // Individual targets by salesperson ID ('' = even split of the rest)
+  const [targets, setTargets] = useState({});
+  const [error, setError] = useState(null);
+
+  const { data: salespersons, isLoading } = useFetchSalespersons({ limit: 100, filters: { estado: 'active' } });
+  const activeSalespersons = salespersons?.rows || [];
+  const assigned = allActive
+    ? activeSalespersons
+    : activeSalespersons.filter(salesperson => selected.includes(salesperson.id));
+
+  const selectedPeriod = periods.find(candidate => candidate.key === period);
+  const existing = selectedPeriod && instanceFor(template, selectedPeriod);
+
+  const toggleSalesperson = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const data = {
+      period: period === 'custom' ? customPeriod.trim() : period,
+      targets: Object.fromEntries(
+        assigned
+          .filter(salesperson => targets[salesperson.id] !== undefined && targets[salesperson.id] !== '')
+          .map(salesperson => [salesperson.id, parseFloat(targets[salesperson.id]) || 0])
+      )
+    };
+    if (!allActive) data.salespersonIds = selected;
+    if (name.trim()) data.name = name.trim();
+
+    try {
+      const result = await instantiateTemplate.mutateAsync({ id: template.id, data });
+      toast.success(`Created "${result.data.name}" for ${result.data.assignments.length} salespersons`);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-[#D3D0CD] rounded-md focus:outline-none focus:ring-1 focus:ring-[#F58220]';
+  const labelClass = 'block text-sm font-medium text-[#4A453F] mb-1';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 overflow-hidden">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl relative max-h-[90vh] overflow-y-auto">
+        {/* Header with title and close button */}
+        <div className="sticky top-0 z-10 bg-white border-b border-gray-200 p-6 pb-3 flex justify-between items-center">
+          <h3 className="text-xl font-bold text-[#4A453F]">Instantiate: {template.name}</h3>
+          <button
+            onClick={() => onClose()}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close dialog"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 pt-4">
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label htmlFor="period" className={labelClass}>Period</label>
+                <select id="period" value={period} onChange={(e) => setPeriod(e.target.value)} className={inputClass}>
+                  {periods.map(candidate => (
+                    <option key={candidate.key} value={candidate.key}>
+                      {candidate.label}{instanceFor(template, candidate) ? ' (already created)' : ''}
+                    </option>
+                  ))}
+                  <option value="custom">Other period...</option>
+                </select>
+                {period === 'custom' && (
+                  <input
+                    value={customPeriod}
+                    onChange={(e) => setCustomPeriod(e.target.value)}
+                    placeholder="e.g. FY2027, FY2026-H2, 2026-07"
+                    required
+                    className={`${inputClass} mt-2`}
+                  />
+                )}
+                {existing && (
+                  <p className="text-xs text-red-600 mt-1">This template already has an objective for {selectedPeriod.label}: "{existing.name}".</p>
+                )}
+                <p className="text-xs text-gray-500 mt-1">Targets are prorated for periods shorter than a year.</p>
+              </div>
+
+              <div>
+                <label htmlFor="objectiveName" className={labelClass}>Objective name</label>
+                <input
+                  id="objectiveName"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder={`${template.name} ${selectedPeriod?.label || ''}`.trim()}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            {/* Salespersons */}
+            <div className="flex items-center gap-6 mb-2">
+              <h4 className="text-md font-semibold text-[#4A453F]">Assign to</h4>
+              <label className="flex items-center gap-2 text-sm text-[#4A453F]">
+                <input type="radio" checked={allActive} onChange={() => setAllActive(true)} />
+                All active salespersons
+              </label>
+              <label className="flex items-center gap-2 text-sm text-[#4A453F]">
+                <input type="radio" checked={!allActive} onChange={() => setAllActive(false)} />
+                Selected salespersons
+              </label>
+            </div>
+            <div className="border border-gray-200 rounded-md max-h-64 overflow-y-auto mb-2">
+              {isLoading ? (
+                <p className="p-3 text-sm text-gray-500">Loading salespersons...</p>
+              ) : activeSalespersons.length === 0 ? (
+                <p className="p-3 text-sm text-gray-500">No active salespersons found.</p>
+              ) : activeSalespersons.map(salesperson => {
+                const isAssigned = allActive || selected.includes(salesperson.id);
+                return (
+                  <div key={salesperson.id} className="flex items-center justify-between px-3 py-2 border-b border-gray-100 last:border-b-0">
+                    <label className="flex items-center gap-2 text-sm text-[#4A453F]">
+                      {!allActive && (
+                        <input type="checkbox" checked={isAssigned} onChange={() => toggleSalesperson(salesperson.id)} />
+                      )}
+                      {salesperson.nombre}
+                    </label>
+                    {isAssigned && (
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={targets[salesperson.id] ?? ''}
+                        onChange={(e) => setTargets(prev => ({ ...prev, [salesperson.id]: e.target.value }))}
+                        placeholder="Even split"
+                        aria-label={`Individual target of ${salesperson.nombre}`}
+                        className="w-40 px-2 py-1 text-sm border border-[#D3D0CD] rounded-md"
+                      />
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            <p className="text-xs text-gray-500 mb-4">
+              Salespersons without an individual target share evenly what the others leave of the company target.
+            </p>
+
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => onClose()}
+                className="px-4 py-2 border border-[#D3D0CD] text-[#4A453F] rounded-md hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={instantiateTemplate.isPending || !!existing || assigned.length === 0}
+                className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] disabled:opacity-50"
+              >
+                {instantiateTemplate.isPending ? 'Creating...' : `Create for ${assigned.length} salespersons`}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InstantiateTemplateDialog;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import useSaveObjectiveTemplate from './hooks/useSaveObjectiveTemplate';
+
+/**
+ * ObjectiveTemplateForm component: create or edit a quantitative objective template
+ *
+ * @param {object} props - Component props
+ * @param {object} [props.template] - Template to edit; omitted to create one
+ * @param {Function} props.onClose - Called when the dialog closes
+ * @returns {JSX.Element} The ObjectiveTemplateForm component
+ */
+const ObjectiveTemplateForm = ({ template, onClose }) => {
+  const isEditMode = !!template;
+  const { createTemplate, updateTemplate } = useSaveObjectiveTemplate();
+
+  const [formData, setFormData] = useState({
+    name: template?.name || '',
+    description: template?.description || '',
+    type: template?.type || 'moneda',
+    annual: template?.annual ?? '',
+    monthly: template?.monthly ?? '',
+    minimum: template?.minimum ?? 0,
+    weight: template?.weight ?? 0
+  });
+  const [error, setError] = useState(null);
+
+  const isSaving = createTemplate.isPending || updateTemplate.isPending;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const data = {
+      ...formData,
+      description: formData.description || null,
+      annual: parseFloat(formData.annual) || 0,
+      minimum: parseFloat(formData.minimum) || 0,
+      weight: parseFloat(formData.weight) || 0
+    };
+    // An empty monthly target is a twelfth of the annual one
+    if (formData.monthly === '') {
+      delete data.monthly;
+    } else {
+      data.monthly = parseFloat(formData.monthly) || 0;
+    }
+
+    try {
+      if (isEditMode) {
+        await updateTemplate.mutateAsync({ id: template.id, data });
+      } else {
+        await createTemplate.mutateAsync(data);
+      }
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-[#D3D0CD] rounded-md focus:outline-none focus:ring-1 focus:ring-[#F58220]';
+  const labelClass = 'block text-sm font-medium text-[#4A453F] mb-1';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 overflow-hidden">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl relative max-h-[90vh] overflow-y-auto">
+        {/* Header with title and close button */}
+        <div className="sticky top-0 z-10 bg-white border-b border-gray-200 p-6 pb-3 flex justify-between items-center">
+          <h3 className="text-xl font-bold text-[#4A453F]">
+            {isEditMode ? `Edit Template: ${template.name}` : 'Create Objective Template'}
+          </h3>
+          <button
+            onClick={() => onClose()}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close dialog"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 pt-4">
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label htmlFor="name" className={labelClass}>
+                  Name <span className="text-red-500">*</span>
+                </label>
+                <input id="name" name="name" value={formData.name} onChange={handleChange} required className={inputClass} />
+              </div>
+
+              <div>
+                <label htmlFor="type" className={labelClass}>Type</label>
+                <select id="type" name="type" value={formData.type} onChange={handleChange} className={inputClass}>
+                  <option value="moneda">Currency</option>
+                  <option value="cantidad">Quantity</option>
+                </select>
+              </div>
+
+              <div className="md:col-span-2">
+                <label htmlFor="description" className={labelClass}>Description</label>
+                <textarea id="description" name="description" rows={2} value={formData.description} onChange={handleChange} className={inputClass} />
+              </div>
+
+              <div>
+                <label htmlFor="annual" className={labelClass}>
+                  Annual company target <span className="text-red-500">*</span>
+                </label>
+                <input id="annual" name="annual" type="number" min="0" step="any" value={formData.annual} onChange={handleChange} required className={inputClass} />
+              </div>
+
+              <div>
+                <label htmlFor="monthly" className={labelClass}>Monthly target</label>
+                <input id="monthly" name="monthly" type="number" min="0" step="any" value={formData.monthly} onChange={handleChange} placeholder="Annual / 12" className={inputClass} />
+              </div>
+
+              <div>
+                <label htmlFor="minimum" className={labelClass}>Annual minimum acceptable</label>
+                <input id="minimum" name="minimum" type="number" min="0" step="any" value={formData.minimum} onChange={handleChange} className={inputClass} />
+              </div>
+
+              <div>
+                <label htmlFor="weight" className={labelClass}>Weight (%)</label>
+                <input id="weight" name="weight" type="number" min="0" max="100" value={formData.weight} onChange={handleChange} className={inputClass} />
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => onClose()}
+                className="px-4 py-2 border border-[#D3D0CD] text-[#4A453F] rounded-md hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : isEditMode ? 'Save Template' : 'Create Template'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ObjectiveTemplateForm;
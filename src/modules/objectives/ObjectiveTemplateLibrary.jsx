@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import useFetchObjectiveTemplates from './hooks/useFetchObjectiveTemplates';
+import useSaveObjectiveTemplate from './hooks/useSaveObjectiveTemplate';
+import usePermissions from '../../common/hooks/usePermissions';
+import ObjectiveTemplateForm from './ObjectiveTemplateForm';
+import InstantiateTemplateDialog from './InstantiateTemplateDialog';
+import RolloverWizard from './RolloverWizard';
+import { formatCurrency, formatNumber } from '../../common/utils/formatters';
+
+/**
+ * ObjectiveTemplateLibrary component: the quantitative objective templates of
+ * the tenant, the periods each one was instantiated for, and the actions to
+ * create the objectives of a new fiscal year from them or roll the current one over
+ * @returns {JSX.Element} The ObjectiveTemplateLibrary component
+ */
+const ObjectiveTemplateLibrary = () => {
+  const { can } = usePermissions();
+  const canDelete = can('objectives:delete');
+  const canAssign = can('objectives:assign');
+
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [instantiating, setInstantiating] = useState(null);
+  const [showRollover, setShowRollover] = useState(false);
+
+  const { data: templates, isLoading, error } = useFetchObjectiveTemplates();
+  const { deleteTemplate } = useSaveObjectiveTemplate();
+
+  const formatTarget = (template, value) => (
+    template.type === 'moneda' ? formatCurrency(value) : formatNumber(value)
+  );
+
+  const openForm = (template = null) => {
+    setEditingTemplate(template);
+    setShowForm(true);
+  };
+
+  const handleDelete = (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"? Objectives created from it are kept.`)) return;
+
+    deleteTemplate.mutate(template.id, {
+      onSuccess: () => toast.success('Template deleted'),
+      onError: (err) => toast.error(err.message)
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-[#4A453F]">Objective Templates</h2>
+          <p className="text-sm text-gray-500">Create each fiscal year's quantitative objectives from reusable templates.</p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowRollover(true)}
+            className="px-4 py-2 border border-[#F58220] text-[#F58220] rounded-md hover:bg-orange-50 transition-colors"
+          >
+            Year-End Rollover
+          </button>
+          <button
+            onClick={() => openForm()}
+            className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] transition-colors"
+          >
+            + New Template
+          </button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center items-center h-32">
+          <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-[#F58220] border-r-transparent"></div>
+        </div>
+      ) : error ? (
+        <p className="text-red-600">{error.message || 'Failed to load templates'}</p>
+      ) : !templates?.rows.length ? (
+        <p className="text-gray-500">No objective templates yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-[#D3D0CD]">
+            <thead>
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Type</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-[#4A453F] uppercase">Annual</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-[#4A453F] uppercase">Minimum</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-[#4A453F] uppercase">Weight</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Instantiated for</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {templates.rows.map(template => (
+                <tr key={template.id} className="text-sm text-[#4A453F] align-top">
+                  <td className="px-4 py-3">
+                    <div className="font-medium">{template.name}</div>
+                    {template.description && <div className="text-xs text-gray-500">{template.description}</div>}
+                  </td>
+                  <td className="px-4 py-3">{template.type === 'moneda' ? 'Currency' : 'Quantity'}</td>
+                  <td className="px-4 py-3 text-right">{formatTarget(template, template.annual)}</td>
+                  <td className="px-4 py-3 text-right">{formatTarget(template, template.minimum)}</td>
+                  <td className="px-4 py-3 text-right">{template.weight}%</td>
+                  <td className="px-4 py-3">
+                    {template.quantitativeObjectives?.length ? (
+                      <div className="flex flex-wrap gap-1">
+                        {template.quantitativeObjectives.map(objective => (
+                          <span key={objective.id} title={objective.name} className="text-xs px-2 py-0.5 rounded-full bg-gray-200 text-gray-700">
+                            {objective.startDate} – {objective.endDate}
+                          </span>
+                        ))}
+                      </div>
+                    ) : (
+                      <span className="text-gray-400">Never</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-right space-x-3 whitespace-nowrap">
+                    {canAssign && (
+                      <button onClick={() => setInstantiating(template)} className="text-[#F58220] font-medium hover:underline">Instantiate</button>
+                    )}
+                    <button onClick={() => openForm(template)} className="text-[#F58220] hover:underline">Edit</button>
+                    {canDelete && (
+                      <button onClick={() => handleDelete(template)} className="text-red-600 hover:underline">Delete</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {showForm && (
+        <ObjectiveTemplateForm
+          template={editingTemplate}
+          onClose={() => setShowForm(false)}
+        />
+      )}
+
+      {instantiating && (
+        <InstantiateTemplateDialog
+          template={instantiating}
+          periods={templates?.periods}
+          onClose={() => setInstantiating(null)}
+        />
+      )}
+
+      {showRollover && <RolloverWizard onClose={() => setShowRollover(false)} />}
+    </div>
+  );
+};
+
+export default ObjectiveTemplateLibrary;
@@ -1,10 +1,12 @@
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import useFetchQualitativeObjectives from './hooks/useFetchQualitativeObjectives';
-import useUpdateQualitativeObjectiveStatus from './hooks/useUpdateQualitativeObjectiveStatus';
 import useDeleteQualitativeObjective from './hooks/useDeleteQualitativeObjective';
-import QualitativeManagement from './QualitativeManagement';
+import QualitativeManagement, { QualitativeReviewQueue } from './QualitativeManagement';
+import QualitativeWorkflow, { QualitativeStatusBadge } from './QualitativeWorkflow';
 import useFetchSalespersons from '../../common/hooks/useFetchSalespersons';
+import useFetchTeams from '../../common/hooks/useFetchTeams';
+import usePermissions from '../../common/hooks/usePermissions';
 import { formatDate } from '../../common/utils/formatters';
 
 /**
@@ -18,6 +20,9 @@ const ObjectivesView = () => {
   const [showModal, setShowModal] = useState(false);
   const [selectedObjective, setSelectedObjective] = useState(null);
   
+  // Objective whose workflow dialog is open
+  const [workflowObjective, setWorkflowObjective] = useState(null);
+  
   // State for pagination
   const [currentPage, setCurrentPage] = useState(1);
   const [pageSize] = useState(10);
@@ -26,6 +31,7 @@ const ObjectivesView = () => {
   const [filters, setFilters] = useState({
     name: '',
     salespersonId: '',
+    teamId: '',
     status: '',
     isGlobal: 'all' // 'all', 'true', or 'false'
   });
@@ -41,12 +47,15 @@ const ObjectivesView = () => {
   // Fetch salespersons for dropdown
   const { data: salespersons } = useFetchSalespersons(1, 100, { estado: 'active' });
   
-  // Get status update mutation
-  const { updateStatus } = useUpdateQualitativeObjectiveStatus();
+  // Fetch teams for the team filter
+  const { data: teams } = useFetchTeams();
   
   // Get delete mutation
   const { deleteObjective } = useDeleteQualitativeObjective();
   
+  // Actions allowed for the current user's role
+  const { can } = usePermissions();
+  
   // Handle filter change
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
@@ -64,6 +73,7 @@ const ObjectivesView = () => {
     setFilters({
       name: '',
       salespersonId: '',
+      teamId: '',
       status: '',
       isGlobal: 'all'
     });
@@ -85,16 +95,6 @@ const ObjectivesView = () => {
     }
   };
   
-  // Handle status change
-  const handleStatusChange = async (id, newStatus) => {
-    try {
-      await updateStatus.mutateAsync({ id, status: newStatus });
-      refetch();
-    } catch (error) {
-      console.error('Failed to update status:', error);
-    }
-  };
-  
   // Handle delete
   const handleDelete = async (id, name) => {
     if (window.confirm(`Are you sure you want to delete the objective "${name}"? This action cannot be undone.`)) {
@@ -107,22 +107,6 @@ const ObjectivesView = () => {
     }
   };
   
-  // Get status badge class
-  const getStatusBadgeClass = (status) => {
-    switch (status) {
-      case 'pendiente':
-        return 'bg-yellow-100 text-yellow-800';
-      case 'en_progreso':
-        return 'bg-blue-100 text-blue-800';
-      case 'completado':
-        return 'bg-green-100 text-green-800';
-      case 'no_completado':
-        return 'bg-red-100 text-red-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
-    }
-  };
-  
   // Render filters section
   const renderFilters = () => (
     <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-100 mb-6">
@@ -176,6 +160,7 @@ const ObjectivesView = () => {
             <option value="">All Statuses</option>
             <option value="pendiente">Pending</option>
             <option value="en_progreso">In Progress</option>
+            <option value="en_revision">In Review</option>
             <option value="completado">Completed</option>
             <option value="no_completado">Not Completed</option>
           </select>
@@ -197,6 +182,26 @@ const ObjectivesView = () => {
             <option value="false">Individual Objectives</option>
           </select>
         </div>
+        
+        {/* Filter by team */}
+        {teams?.rows?.length > 0 && (
+          <div>
+            <label htmlFor="team-filter" className="block text-sm font-medium text-[#4A453F] mb-2">Team</label>
+            <select
+              id="team-filter"
+              name="teamId"
+              value={filters.teamId}
+              onChange={handleFilterChange}
+              className="w-full px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#F58220] focus:border-transparent"
+              aria-label="Filter by team"
+            >
+              <option value="">All Teams</option>
+              {teams.rows.map(team => (
+                <option key={team.id} value={team.id}>{team.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
       
       <div className="flex justify-end mt-4">
@@ -238,15 +243,7 @@ const ObjectivesView = () => {
                 )}
               </td>
               <td className="px-6 py-4 whitespace-nowrap">
-                <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(objective.status)}`}>
-                  {objective.status === 'pendiente'
-                    ? 'Pending'
-                    : objective.status === 'en_progreso'
-                    ? 'In Progress'
-                    : objective.status === 'completado'
-                    ? 'Completed'
-                    : 'Not Completed'}
-                </span>
+                <QualitativeStatusBadge status={objective.status} />
               </td>
               <td className="px-6 py-4 whitespace-nowrap text-sm text-[#4A453F]">
                 {objective.isGlobal
@@ -262,31 +259,33 @@ const ObjectivesView = () => {
                 {objective.weight}%
               </td>
               <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                <button
-                  onClick={() => handleToggleModal(objective)}
-                  className="text-[#F58220] hover:text-[#e67812] mr-3"
-                  aria-label={`Edit ${objective.name}`}
-                >
-                  Edit
-                </button>
-                <select
-                  value={objective.status}
-                  onChange={(e) => handleStatusChange(objective.id, e.target.value)}
-                  className="text-sm border border-gray-200 rounded px-2 py-1 mr-3"
-                  aria-label={`Update status for ${objective.name}`}
-                >
-                  <option value="pendiente">Pending</option>
-                  <option value="en_progreso">In Progress</option>
-                  <option value="completado">Completed</option>
-                  <option value="no_completado">Not Completed</option>
-                </select>
-                <button
-                  onClick={() => handleDelete(objective.id, objective.name)}
-                  className="text-red-600 hover:text-red-800"
-                  aria-label={`Delete ${objective.name}`}
-                >
-                  Delete
-                </button>
+                {can('objectives:write') && (
+                  <button
+                    onClick={() => handleToggleModal(objective)}
+                    className="text-[#F58220] hover:text-[#e67812] mr-3"
+                    aria-label={`Edit ${objective.name}`}
+                  >
+                    Edit
+                  </button>
+                )}
+                {(can('objectives:submit') || can('objectives:approve')) && (
+                  <button
+                    onClick={() => setWorkflowObjective(objective)}
+                    className="text-[#4A453F] hover:text-[#F58220] mr-3"
+                    aria-label={`Workflow of ${objective.name}`}
+                  >
+                    Workflow
+                  </button>
+                )}
+                {can('objectives:delete') && (
+                  <button
+                    onClick={() => handleDelete(objective.id, objective.name)}
+                    className="text-red-600 hover:text-red-800"
+                    aria-label={`Delete ${objective.name}`}
+                  >
+                    Delete
+                  </button>
+                )}
               </td>
             </tr>
           ))}
@@ -302,15 +301,20 @@ const ObjectivesView = () => {
         <h2 className="text-xl font-semibold text-[#4A453F] mb-4 md:mb-0">Qualitative Objectives</h2>
         
         <div className="flex space-x-2">
-          <button
-            onClick={() => handleToggleModal()}
-            className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] transition-colors"
-          >
-            + Add Objective
-          </button>
+          {can('objectives:write') && (
+            <button
+              onClick={() => handleToggleModal()}
+              className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] transition-colors"
+            >
+              + Add Objective
+            </button>
+          )}
         </div>
       </div>
       
+      {/* Objectives waiting for a manager's review */}
+      {can('objectives:approve') && <QualitativeReviewQueue />}
+      
       {/* Filters section */}
       {renderFilters()}
       
@@ -340,12 +344,14 @@ const ObjectivesView = () => {
           <div className="text-center py-8">
             <p className="text-xl font-medium text-[#4A453F]">No qualitative objectives found</p>
             <p className="text-[#4A453F] mt-2">Try clearing filters or create a new objective</p>
-            <button
-              onClick={() => handleToggleModal()}
-              className="mt-4 px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812]"
-            >
-              + Add Objective
-            </button>
+            {can('objectives:write') && (
+              <button
+                onClick={() => handleToggleModal()}
+                className="mt-4 px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812]"
+              >
+                + Add Objective
+              </button>
+            )}
           </div>
         </div>
       ) : (
@@ -397,6 +403,14 @@ const ObjectivesView = () => {
           salespersons={salespersons?.rows || []}
         />
       )}
+      
+      {/* Workflow Modal */}
+      {workflowObjective && (
+        <QualitativeWorkflow
+          objective={workflowObjective}
+          onClose={() => setWorkflowObjective(null)}
+        />
+      )}
     </div>
   );
 };
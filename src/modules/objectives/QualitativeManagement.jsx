@@ -1,7 +1,12 @@
 import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
 import useSaveQualitativeObjective from './hooks/useSaveQualitativeObjective';
 import useUpdateQualitativeObjectiveEvidence from './hooks/useUpdateQualitativeObjectiveEvidence';
+import useFetchQualitativeReviewQueue from './hooks/useFetchQualitativeReviewQueue';
+import useQualitativeWorkflow from './hooks/useQualitativeWorkflow';
+import QualitativeWorkflow, { QualitativeStatusBadge } from './QualitativeWorkflow';
 import MultiSelect from '../../common/components/MultiSelect';
+import { formatDate } from '../../common/utils/formatters';
 
 /**
  * QualitativeManagement component - Modal form for creating and editing qualitative objectives
@@ -18,9 +23,7 @@ const QualitativeManagement = ({ objective, onClose, salespersons = [], defaultS
     name: '',
     description: '',
     criteria: '',
-    status: 'pendiente',
     dueDate: '',
-    completionDate: '',
     weight: '',
     comments: '',
     evidence: '',
@@ -47,10 +50,6 @@ const QualitativeManagement = ({ objective, onClose, salespersons = [], defaultS
         ? new Date(objective.dueDate).toISOString().split('T')[0]
         : '';
       
-      const formattedCompletionDate = objective.completionDate
-        ? new Date(objective.completionDate).toISOString().split('T')[0]
-        : '';
-      
       // Extract salesperson IDs from assignedSalespersons array
       const salespersonIds = objective.assignedSalespersons?.map(sp => sp.id) || [];
       
@@ -58,9 +57,7 @@ const QualitativeManagement = ({ objective, onClose, salespersons = [], defaultS
         name: objective.name || '',
         description: objective.description || '',
         criteria: objective.criteria || '',
-        status: objective.status || 'pendiente',
         dueDate: formattedDueDate,
-        completionDate: formattedCompletionDate,
         weight: objective.weight?.toString() || '',
         comments: objective.comments || '',
         evidence: objective.evidence || '',
@@ -106,10 +103,6 @@ const QualitativeManagement = ({ objective, onClose, salespersons = [], defaultS
       newErrors.name = 'Name is required';
     }
     
-    if (!formData.status) {
-      newErrors.status = 'Status is required';
-    }
-    
     // Weight is optional but must be a valid number if provided
     if (formData.weight && (isNaN(formData.weight) || Number(formData.weight) < 0 || Number(formData.weight) > 100)) {
       newErrors.weight = 'Weight must be a number between 0 and 100';
@@ -122,11 +115,6 @@ const QualitativeManagement = ({ objective, onClose, salespersons = [], defaultS
     
     // Salesperson selection is now optional for all objectives
     
-    // If both dates are provided, ensure dueDate is before completionDate
-    if (formData.dueDate && formData.completionDate && new Date(formData.dueDate) > new Date(formData.completionDate)) {
-      newErrors.completionDate = 'Completion date must be after or on the due date';
-    }
-    
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -155,12 +143,11 @@ const QualitativeManagement = ({ objective, onClose, salespersons = [], defaultS
     setErrors({});
     
     try {
-      // Prepare data for submission
+      // Prepare data for submission; the status only changes through the workflow
       const submissionData = {
         ...formData,
         // Convert empty date strings to null
         dueDate: formData.dueDate ? formData.dueDate : null,
-        completionDate: formData.completionDate ? formData.completionDate : null,
         // Convert weight to number
         weight: formData.weight ? Number(formData.weight) : null,
       };
@@ -248,6 +235,13 @@ const QualitativeManagement = ({ objective, onClose, salespersons = [], defaultS
             {objective ? 'Edit Qualitative Objective' : 'Create Qualitative Objective'}
           </h3>
           
+          {objective && (
+            <div className="mb-6 flex items-center gap-2 text-sm text-[#4A453F]">
+              <QualitativeStatusBadge status={objective.status} />
+              <span>The status changes through the approval workflow.</span>
+            </div>
+          )}
+          
           {submitSuccess && (
             <div className="mb-6 p-4 bg-green-50 text-green-800 rounded-md">
               Objective successfully {objective ? 'updated' : 'created'}!
@@ -315,30 +309,6 @@ const QualitativeManagement = ({ objective, onClose, salespersons = [], defaultS
                 ></textarea>
               </div>
               
-              {/* Status */}
-              <div className="mb-5">
-                <label htmlFor="status" className="block text-sm font-medium text-[#4A453F] mb-2">
-                  Status <span className="text-red-500">*</span>
-                </label>
-                <select
-                  id="status"
-                  name="status"
-                  value={formData.status}
-                  onChange={handleChange}
-                  className={`w-full px-3 py-2 border ${errors.status ? 'border-red-500' : 'border-gray-200'} rounded-md focus:outline-none focus:ring-2 focus:ring-[#F58220] focus:border-transparent`}
-                  aria-label="Objective status"
-                  required
-                >
-                  <option value="pendiente">Pending</option>
-                  <option value="en_progreso">In Progress</option>
-                  <option value="completado">Completed</option>
-                  <option value="no_completado">Not Completed</option>
-                </select>
-                {errors.status && (
-                  <p className="mt-1 text-sm text-red-500">{errors.status}</p>
-                )}
-              </div>
-              
               {/* Due Date */}
               <div className="mb-5">
                 <label htmlFor="dueDate" className="block text-sm font-medium text-[#4A453F] mb-2">
@@ -378,24 +348,6 @@ const QualitativeManagement = ({ objective, onClose, salespersons = [], defaultS
                 )}
               </div>
               
-              {/* Completion Date (shown only in edit mode for completed objectives) */}
-              {objective && formData.status === 'completado' && (
-                <div className="mb-5">
-                  <label htmlFor="completionDate" className="block text-sm font-medium text-[#4A453F] mb-2">
-                    Completion Date
-                  </label>
-                  <input
-                    id="completionDate"
-                    name="completionDate"
-                    type="date"
-                    value={formData.completionDate}
-                    onChange={handleChange}
-                    className="w-full px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#F58220] focus:border-transparent"
-                    aria-label="Completion date"
-                  />
-                </div>
-              )}
-              
               {/* Evidence */}
               <div className="mb-5 md:col-span-2">
                 <label htmlFor="evidence" className="block text-sm font-medium text-[#4A453F] mb-2">
@@ -512,4 +464,111 @@ const QualitativeManagement = ({ objective, onClose, salespersons = [], defaultS
   );
 };
 
+/**
+ * QualitativeReviewQueue component - Qualitative objectives submitted for review,
+ * oldest submission first, with the submitted evidence and comment. Managers
+ * approve them or reject them with a comment; the full workflow and history
+ * open from each row.
+ * @returns {JSX.Element|null} The QualitativeReviewQueue component, nothing while the queue is empty
+ */
+export const QualitativeReviewQueue = () => {
+  const { data: queue, isLoading, error } = useFetchQualitativeReviewQueue();
+  const { transition } = useQualitativeWorkflow();
+  
+  // Rejection comments by objective ID
+  const [comments, setComments] = useState({});
+  const [reviewing, setReviewing] = useState(null);
+  
+  const handleReview = (objective, action) => {
+    const comment = (comments[objective.id] || '').trim();
+    if (action === 'reject' && !comment) {
+      toast.error('Add a comment explaining the rejection');
+      return;
+    }
+    
+    transition.mutate({ id: objective.id, action, comment: comment || undefined }, {
+      onSuccess: () => {
+        toast.success(`${objective.name} ${action === 'approve' ? 'approved' : 'rejected'}`);
+        setComments(prev => ({ ...prev, [objective.id]: '' }));
+      },
+      onError: (err) => toast.error(err.message)
+    });
+  };
+  
+  if (isLoading || (!error && !queue?.rows.length)) return null;
+  
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-100 mb-6">
+      <h3 className="text-lg font-semibold text-[#4A453F] mb-4">
+        Review Queue {queue && <span className="text-sm font-normal text-gray-500">({queue.count})</span>}
+      </h3>
+      
+      {error ? (
+        <p className="text-red-600">{error.message || 'Failed to load the review queue'}</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {queue.rows.map(objective => (
+            <li key={objective.id} className="py-4 flex flex-col lg:flex-row lg:items-start gap-4">
+              <div className="flex-1 text-sm text-[#4A453F]">
+                <button onClick={() => setReviewing(objective)} className="font-medium hover:text-[#F58220] text-left">
+                  {objective.name}
+                </button>
+                <div className="text-xs text-gray-500 mt-1">
+                  {objective.isGlobal
+                    ? 'All Salespersons'
+                    : objective.assignedSalespersons?.map(sp => sp.nombre).join(', ') || 'Not Assigned'}
+                  {objective.submission && ` · Submitted by ${objective.submission.actorEmail || 'unknown'} on ${formatDate(objective.submission.createdAt)}`}
+                </div>
+                {(objective.submission?.evidence || objective.evidence) && (
+                  <a
+                    href={objective.submission?.evidence || objective.evidence}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-xs text-[#F58220] hover:underline break-all"
+                  >
+                    {objective.submission?.evidence || objective.evidence}
+                  </a>
+                )}
+                {objective.submission?.comment && (
+                  <p className="text-xs text-gray-600 mt-1 whitespace-pre-line">{objective.submission.comment}</p>
+                )}
+              </div>
+              <div className="lg:w-80 space-y-2">
+                <textarea
+                  value={comments[objective.id] || ''}
+                  onChange={(e) => setComments(prev => ({ ...prev, [objective.id]: e.target.value }))}
+                  rows={2}
+                  placeholder="Comment (required to reject)"
+                  aria-label={`Review comment for ${objective.name}`}
+                  className="w-full px-3 py-2 text-sm border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#F58220] focus:border-transparent"
+                />
+                <div className="flex justify-end gap-2">
+                  <button
+                    onClick={() => handleReview(objective, 'reject')}
+                    disabled={transition.isPending}
+                    className="px-3 py-1 text-sm bg-[#D3D0CD] text-[#4A453F] rounded-md hover:bg-[#BDB7B1] disabled:opacity-50"
+                  >
+                    Reject
+                  </button>
+                  <button
+                    onClick={() => handleReview(objective, 'approve')}
+                    disabled={transition.isPending}
+                    className="px-3 py-1 text-sm bg-[#F58220] text-white rounded-md hover:bg-[#e67812] disabled:opacity-50"
+                  >
+                    Approve
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      
+      {reviewing && (
+        <QualitativeWorkflow objective={reviewing} onClose={() => setReviewing(null)} />
+      )}
+    </div>
+  );
+};
+
 export default QualitativeManagement; 
\ No newline at end of file
@@ -0,0 +1,227 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import useQualitativeWorkflow from './hooks/useQualitativeWorkflow';
+import useFetchQualitativeObjectiveHistory from './hooks/useFetchQualitativeObjectiveHistory';
+import usePermissions from '../../common/hooks/usePermissions';
+import useFetchAttachments from '../../common/hooks/useFetchAttachments';
+import Attachments from '../../common/components/Attachments';
+import { formatDate } from '../../common/utils/formatters';
+
+/**
+ * Labels and badge classes of the qualitative objective statuses
+ */
+export const QUALITATIVE_STATUSES = {
+  pendiente: { label: 'Pending', badgeClass: 'bg-yellow-100 text-yellow-800' },
+  en_progreso: { label: 'In Progress', badgeClass: 'bg-blue-100 text-blue-800' },
+  en_revision: { label: 'In Review', badgeClass: 'bg-purple-100 text-purple-800' },
+  completado: { label: 'Completed', badgeClass: 'bg-green-100 text-green-800' },
+  no_completado: { label: 'Not Completed', badgeClass: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * Workflow actions, mirroring the server's: the statuses they apply to and
+ * whether they are a manager's review
+ */
+const ACTIONS = {
+  start: { label: 'Start', from: ['pendiente'], review: false },
+  submit: { label: 'Submit for Review', from: ['pendiente', 'en_progreso'], review: false },
+  approve: { label: 'Approve', from: ['en_revision'], review: true },
+  reject: { label: 'Reject', from: ['en_revision'], review: true },
+  close: { label: 'Close as Not Completed', from: ['pendiente', 'en_progreso', 'en_revision'], review: true },
+  reopen: { label: 'Reopen', from: ['completado', 'no_completado'], review: true }
+};
+
+const HISTORY_LABELS = {
+  start: 'Started',
+  submit: 'Submitted for review',
+  approve: 'Approved',
+  reject: 'Rejected',
+  close: 'Closed',
+  reopen: 'Reopened',
+  rollover: 'Closed by the year-end rollover'
+};
+
+/**
+ * Status badge of a qualitative objective
+ * @param {Object} props - Component props
+ * @param {string} props.status - Objective status
+ * @returns {JSX.Element} The status badge
+ */
+export const QualitativeStatusBadge = ({ status }) => {
+  const { label, badgeClass } = QUALITATIVE_STATUSES[status] || { label: status, badgeClass: 'bg-gray-100 text-gray-800' };
+  return (
+    <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${badgeClass}`}>
+      {label}
+    </span>
+  );
+};
+
+/**
+ * QualitativeWorkflow component: dialog moving a qualitative objective through
+ * the approval workflow. Salespersons start it and submit it with evidence;
+ * managers approve it, reject it with a comment, close or reopen it. Below the
+ * actions, every status change with its actor and comment.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.objective - Qualitative objective
+ * @param {Function} props.onClose - Called when the dialog closes
+ * @returns {JSX.Element} The QualitativeWorkflow component
+ */
+const QualitativeWorkflow = ({ objective, onClose }) => {
+  const { can } = usePermissions();
+  const { transition } = useQualitativeWorkflow();
+  const { data: history, isLoading: historyLoading } = useFetchQualitativeObjectiveHistory(objective.id);
+  const { data: attachments } = useFetchAttachments('qualitative_objective', objective.id);
+
+  const [status, setStatus] = useState(objective.status);
+  const [comment, setComment] = useState('');
+  const [evidence, setEvidence] = useState(objective.evidence || '');
+
+  // Global objectives share one status, so only reviewers move them
+  const canMove = can('objectives:approve') || !objective.isGlobal;
+  const actions = Object.keys(ACTIONS).filter(action =>
+    ACTIONS[action].from.includes(status) &&
+    can(ACTIONS[action].review ? 'objectives:approve' : 'objectives:submit') &&
+    canMove
+  );
+
+  const handleAction = (action) => {
+    if (action === 'submit' && !evidence.trim() && !attachments?.count) {
+      toast.error('Add a link to the evidence or attach a file before submitting');
+      return;
+    }
+    if (action === 'reject' && !comment.trim()) {
+      toast.error('Add a comment explaining the rejection');
+      return;
+    }
+
+    transition.mutate({
+      id: objective.id,
+      action,
+      comment: comment.trim() || undefined,
+      evidence: action === 'submit' ? evidence.trim() || undefined : undefined
+    }, {
+      onSuccess: (result) => {
+        toast.success(`${objective.name}: ${HISTORY_LABELS[action].toLowerCase()}`);
+        setStatus(result.data.status);
+        setComment('');
+      },
+      onError: (err) => toast.error(err.message)
+    });
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-[#D3D0CD] rounded-md focus:outline-none focus:ring-1 focus:ring-[#F58220]';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 overflow-hidden">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl relative max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 z-10 bg-white border-b border-gray-200 p-6 pb-3 flex justify-between items-center">
+          <div>
+            <h3 className="text-xl font-bold text-[#4A453F]">{objective.name}</h3>
+            <div className="mt-1"><QualitativeStatusBadge status={status} /></div>
+          </div>
+          <button
+            onClick={() => onClose()}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close dialog"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 pt-4 space-y-6">
+          {objective.criteria && (
+            <div>
+              <h4 className="text-sm font-semibold text-[#4A453F] mb-1">Criteria</h4>
+              <p className="text-sm text-[#4A453F] whitespace-pre-line">{objective.criteria}</p>
+            </div>
+          )}
+
+          <Attachments
+            entityType="qualitative_objective"
+            entityId={objective.id}
+            canEdit={can('objectives:submit') && !['completado', 'no_completado'].includes(status)}
+            title="Evidence Files"
+          />
+
+          {actions.length === 0 ? (
+            <p className="text-sm text-gray-500">No actions available for you on this objective.</p>
+          ) : (
+            <div className="space-y-4">
+              {actions.includes('submit') && (
+                <div>
+                  <label htmlFor="workflowEvidence" className="block text-sm font-medium text-[#4A453F] mb-1">Evidence (URL)</label>
+                  <input
+                    id="workflowEvidence"
+                    type="url"
+                    value={evidence}
+                    onChange={(e) => setEvidence(e.target.value)}
+                    placeholder="https://example.com/evidence"
+                    className={inputClass}
+                  />
+                </div>
+              )}
+              <div>
+                <label htmlFor="workflowComment" className="block text-sm font-medium text-[#4A453F] mb-1">Comment</label>
+                <textarea
+                  id="workflowComment"
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  rows={2}
+                  placeholder={status === 'en_revision' ? 'Required to reject' : 'Optional'}
+                  className={inputClass}
+                />
+              </div>
+              <div className="flex flex-wrap justify-end gap-2">
+                {actions.map(action => (
+                  <button
+                    key={action}
+                    onClick={() => handleAction(action)}
+                    disabled={transition.isPending}
+                    className={`px-4 py-2 rounded-md disabled:opacity-50 ${
+                      action === 'reject' || action === 'close'
+                        ? 'bg-[#D3D0CD] text-[#4A453F] hover:bg-[#BDB7B1]'
+                        : 'bg-[#F58220] text-white hover:bg-[#e67812]'
+                    }`}
+                  >
+                    {ACTIONS[action].label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <h4 className="text-sm font-semibold text-[#4A453F] mb-2">History</h4>
+            {historyLoading ? (
+              <p className="text-sm text-gray-500">Loading history...</p>
+            ) : !history?.rows.length ? (
+              <p className="text-sm text-gray-500">No status changes yet.</p>
+            ) : (
+              <ol className="border-l-2 border-[#D3D0CD] pl-4 space-y-3">
+                {history.rows.map(entry => (
+                  <li key={entry.id} className="text-sm text-[#4A453F]">
+                    <div>
+                      <span className="font-medium">{HISTORY_LABELS[entry.action] || entry.action}</span>
+                      {' '}by {entry.actorEmail || 'the system'} on {formatDate(entry.createdAt)}
+                    </div>
+                    {entry.evidence && (
+                      <a href={entry.evidence} target="_blank" rel="noopener noreferrer" className="text-xs text-[#F58220] hover:underline break-all">
+                        {entry.evidence}
+                      </a>
+                    )}
+                    {entry.comment && <p className="text-xs text-gray-600 whitespace-pre-line">{entry.comment}</p>}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QualitativeWorkflow;
@@ -3,6 +3,8 @@ import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { buildApiUrl } from '../../common/utils/apiConfig';
 import useFetchQuantitativeObjectives from './hooks/useFetchQuantitativeObjectives';
 import useFetchSalespersons from '../../common/hooks/useFetchSalespersons';
+import useFetchTeams from '../../common/hooks/useFetchTeams';
+import usePermissions from '../../common/hooks/usePermissions';
 import QuantitativeObjectiveForm from './QuantitativeObjectiveForm';
 import AssignObjectiveDialog from './AssignObjectiveDialog';
 import { formatCurrency, formatPercentage, formatDate } from '../../common/utils/formatters';
@@ -27,7 +29,8 @@ const QuantitativeObjectivesView = () => {
     name: '',
     type: '',
     isGlobal: 'all',
-    hasAssignments: 'all'
+    hasAssignments: 'all',
+    teamId: ''
   });
   
   // Fetch quantitative objectives
@@ -41,6 +44,12 @@ const QuantitativeObjectivesView = () => {
   // Fetch salespersons for dropdown
   const { data: salespersons } = useFetchSalespersons(1, 100, { estado: 'active' });
   
+  // Fetch teams for the team filter
+  const { data: teams } = useFetchTeams();
+  
+  // Actions allowed for the current user's role
+  const { can } = usePermissions();
+  
   // Query client for invalidation
   const queryClient = useQueryClient();
   
@@ -80,7 +89,8 @@ const QuantitativeObjectivesView = () => {
       name: '',
       type: '',
       isGlobal: 'all',
-      hasAssignments: 'all'
+      hasAssignments: 'all',
+      teamId: ''
     });
     setCurrentPage(1);
   };
@@ -197,6 +207,25 @@ const QuantitativeObjectivesView = () => {
             <option value="unassigned">Unassigned</option>
           </select>
         </div>
+        
+        {/* Filter by team */}
+        {teams?.rows?.length > 0 && (
+          <div>
+            <label htmlFor="team-filter" className="block text-sm font-medium text-[#4A453F] mb-2">Team</label>
+            <select
+              id="team-filter"
+              name="teamId"
+              value={filters.teamId}
+              onChange={handleFilterChange}
+              className="w-full px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#F58220] focus:border-transparent"
+            >
+              <option value="">All Teams</option>
+              {teams.rows.map(team => (
+                <option key={team.id} value={team.id}>{team.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
       
       <div className="flex justify-end mt-4">
@@ -308,24 +337,30 @@ const QuantitativeObjectivesView = () => {
           
           {/* Actions - 2 columns */}
           <div className="col-span-2 flex space-x-1 justify-end">
-            <button
-              onClick={() => handleToggleEditModal(objective)}
-              className="px-2 py-1 text-xs bg-blue-100 text-blue-700 rounded-md hover:bg-blue-200 transition-colors"
-            >
-              Edit
-            </button>
-            <button
-              onClick={() => handleToggleAssignModal(objective)}
-              className="px-2 py-1 text-xs bg-purple-100 text-purple-700 rounded-md hover:bg-purple-200 transition-colors"
-            >
-              Assign
-            </button>
-            <button
-              onClick={() => handleDelete(objective.id, objective.name)}
-              className="px-2 py-1 text-xs bg-red-100 text-red-700 rounded-md hover:bg-red-200 transition-colors"
-            >
-              Delete
-            </button>
+            {can('objectives:write') && (
+              <button
+                onClick={() => handleToggleEditModal(objective)}
+                className="px-2 py-1 text-xs bg-blue-100 text-blue-700 rounded-md hover:bg-blue-200 transition-colors"
+              >
+                Edit
+              </button>
+            )}
+            {can('objectives:assign') && (
+              <button
+                onClick={() => handleToggleAssignModal(objective)}
+                className="px-2 py-1 text-xs bg-purple-100 text-purple-700 rounded-md hover:bg-purple-200 transition-colors"
+              >
+                Assign
+              </button>
+            )}
+            {can('objectives:delete') && (
+              <button
+                onClick={() => handleDelete(objective.id, objective.name)}
+                className="px-2 py-1 text-xs bg-red-100 text-red-700 rounded-md hover:bg-red-200 transition-colors"
+              >
+                Delete
+              </button>
+            )}
           </div>
         </div>
       ))}
@@ -410,12 +445,14 @@ const QuantitativeObjectivesView = () => {
         </svg>
         <h3 className="text-xl font-semibold mb-2">No Objectives Found</h3>
         <p className="text-gray-600 mb-4">There are no quantitative objectives matching your filters.</p>
-        <button
-          onClick={() => handleToggleCreateModal()}
-          className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] transition-colors"
-        >
-          + Create New Objective
-        </button>
+        {can('objectives:write') && (
+          <button
+            onClick={() => handleToggleCreateModal()}
+            className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] transition-colors"
+          >
+            + Create New Objective
+          </button>
+        )}
       </div>
     </div>
   );
@@ -427,12 +464,14 @@ const QuantitativeObjectivesView = () => {
         <h2 className="text-xl font-semibold text-[#4A453F] mb-4 md:mb-0">Quantitative Objectives</h2>
         
         <div className="flex space-x-2">
-          <button
-            onClick={handleToggleCreateModal}
-            className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] transition-colors"
-          >
-            + Add Objective
-          </button>
+          {can('objectives:write') && (
+            <button
+              onClick={handleToggleCreateModal}
+              className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] transition-colors"
+            >
+              + Add Objective
+            </button>
+          )}
         </div>
       </div>
       
@@ -0,0 +1,331 @@
+import React, { useState, useEffect } from 'react';
+import useRolloverObjectives from './hooks/useRolloverObjectives';
+import PeriodPicker from '../../common/components/PeriodPicker';
+import { formatCurrency, formatNumber, formatDate } from '../../common/utils/formatters';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  in_progress: 'In Progress',
+  completed: 'Completed',
+  not_completed: 'Not Completed',
+  pendiente: 'Pending',
+  en_progreso: 'In Progress',
+  en_revision: 'In Review',
+  completado: 'Completed',
+  no_completado: 'Not Completed'
+};
+
+const STATUS_CLASSES = {
+  completed: 'bg-green-100 text-green-700',
+  completado: 'bg-green-100 text-green-700',
+  not_completed: 'bg-red-100 text-red-700',
+  no_completado: 'bg-red-100 text-red-700'
+};
+
+/**
+ * Format a target by objective type
+ */
+const formatTarget = (value, type) => (
+  type === 'currency' ? formatCurrency(value) : formatNumber(value, type === 'percentage' ? 2 : 0)
+);
+
+/**
+ * Final status badge
+ */
+const StatusBadge = ({ status }) => (
+  <span className={`text-xs px-1.5 py-0.5 rounded-full ${STATUS_CLASSES[status] || 'bg-gray-100 text-gray-700'}`}>
+    {STATUS_LABELS[status] || status}
+  </span>
+);
+
+/**
+ * RolloverWizard component: close the objectives of a fiscal year with their
+ * final status and open the next year from them. The plan is previewed (dry
+ * run) as the options change and only applied on confirmation.
+ *
+ * @param {object} props - Component props
+ * @param {Function} props.onClose - Called when the wizard closes
+ * @returns {JSX.Element} The RolloverWizard component
+ */
+const RolloverWizard = ({ onClose }) => {
+  const { previewRollover, applyRollover } = useRolloverObjectives();
+
+  const [step, setStep] = useState('review'); // 'review' | 'done'
+  const [period, setPeriod] = useState('year');
+  const [source, setSource] = useState('objective');
+  const [uplift, setUplift] = useState('0');
+  // Per quantitative objective ID: { clone, uplift }
+  const [overrides, setOverrides] = useState({});
+  const [carryForward, setCarryForward] = useState([]);
+  const [plan, setPlan] = useState(null);
+  const [error, setError] = useState(null);
+
+  const buildRequest = () => ({
+    period,
+    source,
+    uplift: parseFloat(uplift) || 0,
+    objectives: Object.fromEntries(Object.entries(overrides).map(([id, override]) => [id, {
+      clone: override.clone !== false,
+      uplift: override.uplift === undefined || override.uplift === '' ? null : parseFloat(override.uplift) || 0
+    }])),
+    carryForward
+  });
+
+  const runPreview = () => {
+    setError(null);
+    previewRollover.mutate(buildRequest(), {
+      onSuccess: (result) => setPlan(result.data),
+      onError: (err) => setError(err.message)
+    });
+  };
+
+  // Preview again whenever the period or the global options change
+  useEffect(() => {
+    runPreview();
+  }, [period, source, uplift]);
+
+  const setOverride = (id, changes) => {
+    setOverrides(prev => ({ ...prev, [id]: { ...prev[id], ...changes } }));
+  };
+
+  const toggleCarryForward = (id) => {
+    setCarryForward(prev => (prev.includes(id) ? prev.filter(carriedId => carriedId !== id) : [...prev, id]));
+  };
+
+  const handleApply = () => {
+    if (!window.confirm(`Close ${plan.period.label} and open ${plan.nextPeriod.label}? Closed objectives become read-only.`)) return;
+
+    setError(null);
+    applyRollover.mutate(buildRequest(), {
+      onSuccess: (result) => {
+        setPlan(result.data);
+        setStep('done');
+      },
+      onError: (err) => setError(err.message)
+    });
+  };
+
+  const inputClass = 'px-3 py-2 border border-[#D3D0CD] rounded-md focus:outline-none focus:ring-1 focus:ring-[#F58220]';
+
+  const renderReview = () => (
+    <>
+      <div className="flex flex-col lg:flex-row lg:items-end gap-4 mb-4">
+        <div>
+          <span className="block text-sm font-medium text-[#4A453F] mb-1">Period to close</span>
+          <PeriodPicker period={plan?.period} onChange={setPeriod} />
+        </div>
+        <div>
+          <label htmlFor="rolloverSource" className="block text-sm font-medium text-[#4A453F] mb-1">Open the next period from</label>
+          <select id="rolloverSource" value={source} onChange={(e) => setSource(e.target.value)} className={inputClass}>
+            <option value="objective">A copy of each objective</option>
+            <option value="template">Their templates (copy when there is none)</option>
+          </select>
+        </div>
+        <div>
+          <label htmlFor="rolloverUplift" className="block text-sm font-medium text-[#4A453F] mb-1">Target uplift (%)</label>
+          <input id="rolloverUplift" type="number" step="any" min="-100" value={uplift} onChange={(e) => setUplift(e.target.value)} className={`${inputClass} w-32`} />
+        </div>
+      </div>
+
+      {previewRollover.isPending && !plan ? (
+        <div className="flex justify-center items-center h-32">
+          <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-[#F58220] border-r-transparent"></div>
+        </div>
+      ) : plan && (
+        <>
+          <p className="text-sm text-gray-600 mb-4">
+            Closing <strong>{plan.period.label}</strong> and opening <strong>{plan.nextPeriod.label}</strong>:{' '}
+            {plan.summary.quantitative} quantitative and {plan.summary.qualitative} qualitative objectives will be closed,{' '}
+            {plan.summary.cloned} objectives created and {plan.summary.carriedForward} carried forward.
+          </p>
+
+          <h4 className="text-md font-semibold text-[#4A453F] mb-2">Quantitative objectives</h4>
+          {plan.quantitative.length === 0 ? (
+            <p className="text-sm text-gray-500 mb-4">No open quantitative objectives end in {plan.period.label}.</p>
+          ) : (
+            <div className="overflow-x-auto mb-4">
+              <table className="min-w-full divide-y divide-[#D3D0CD] text-sm">
+                <thead>
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Objective</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Final status</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Roll over</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Uplift (%)</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Next period</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {plan.quantitative.map(entry => {
+                    const override = overrides[entry.id] || {};
+                    return (
+                      <tr key={entry.id} className="text-[#4A453F] align-top">
+                        <td className="px-4 py-2">
+                          <div className="font-medium">{entry.name}</div>
+                          <div className="text-xs text-gray-500">
+                            {formatDate(entry.startDate)} – {formatDate(entry.endDate)} · {entry.assignments.filter(assignment => assignment.status.after === 'completed').length}/{entry.assignments.length} salespersons on target
+                          </div>
+                        </td>
+                        <td className="px-4 py-2"><StatusBadge status={entry.status.after} /></td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="checkbox"
+                            checked={override.clone !== false}
+                            onChange={(e) => setOverride(entry.id, { clone: e.target.checked })}
+                            aria-label={`Roll over ${entry.name}`}
+                          />
+                        </td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="number"
+                            step="any"
+                            min="-100"
+                            value={override.uplift ?? ''}
+                            onChange={(e) => setOverride(entry.id, { uplift: e.target.value })}
+                            placeholder={uplift || '0'}
+                            disabled={override.clone === false}
+                            aria-label={`Uplift of ${entry.name}`}
+                            className="w-20 px-2 py-1 border border-[#D3D0CD] rounded-md"
+                          />
+                        </td>
+                        <td className="px-4 py-2">
+                          {entry.clone ? (
+                            <>
+                              <div>{entry.clone.name}{entry.clone.source === 'template' && <span className="ml-1 text-xs text-gray-500">(template)</span>}</div>
+                              <div className="text-xs text-gray-500">
+                                {formatTarget(entry.clone.companyTarget, entry.type)} · {entry.clone.assignments.length} salespersons
+                              </div>
+                            </>
+                          ) : (
+                            <span className="text-xs text-gray-500">{entry.skipped}</span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <h4 className="text-md font-semibold text-[#4A453F] mb-2">Qualitative objectives</h4>
+          {plan.qualitative.length === 0 ? (
+            <p className="text-sm text-gray-500 mb-4">No open qualitative objectives are due in {plan.period.label}.</p>
+          ) : (
+            <div className="overflow-x-auto mb-4">
+              <table className="min-w-full divide-y divide-[#D3D0CD] text-sm">
+                <thead>
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Objective</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Due</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Final status</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Carry forward</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {plan.qualitative.map(entry => (
+                    <tr key={entry.id} className="text-[#4A453F]">
+                      <td className="px-4 py-2">
+                        <div className="font-medium">{entry.name}</div>
+                        <div className="text-xs text-gray-500">{entry.assignedSalespersons.map(salesperson => salesperson.nombre).join(', ')}</div>
+                      </td>
+                      <td className="px-4 py-2">{formatDate(entry.dueDate)}</td>
+                      <td className="px-4 py-2"><StatusBadge status={entry.status.after} /></td>
+                      <td className="px-4 py-2">
+                        {entry.canCarryForward ? (
+                          <label className="flex items-center gap-2">
+                            <input type="checkbox" checked={carryForward.includes(entry.id)} onChange={() => toggleCarryForward(entry.id)} />
+                            {entry.clone && <span className="text-xs text-gray-500">due {formatDate(entry.clone.dueDate)}</span>}
+                          </label>
+                        ) : (
+                          <span className="text-xs text-gray-400">-</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="flex justify-between items-center">
+        <button
+          type="button"
+          onClick={runPreview}
+          disabled={previewRollover.isPending}
+          className="px-4 py-2 border border-[#D3D0CD] text-[#4A453F] rounded-md hover:bg-gray-50 disabled:opacity-50"
+        >
+          {previewRollover.isPending ? 'Updating...' : 'Update preview'}
+        </button>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-[#D3D0CD] text-[#4A453F] rounded-md hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleApply}
+            disabled={!plan || previewRollover.isPending || applyRollover.isPending || (plan.summary.quantitative + plan.summary.qualitative === 0)}
+            className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] disabled:opacity-50"
+          >
+            {applyRollover.isPending ? 'Rolling over...' : plan ? `Close ${plan.period.label}` : 'Close period'}
+          </button>
+        </div>
+      </div>
+    </>
+  );
+
+  const renderDone = () => (
+    <>
+      <p className="text-[#4A453F] mb-4">
+        {plan.period.label} is closed: {plan.summary.quantitative + plan.summary.qualitative} objectives got their final status.{' '}
+        {plan.summary.cloned} objectives were created for {plan.nextPeriod.label} and {plan.summary.carriedForward} carried forward.
+      </p>
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812]"
+        >
+          Done
+        </button>
+      </div>
+    </>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 overflow-hidden">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-5xl relative max-h-[90vh] overflow-y-auto">
+        {/* Header with title and close button */}
+        <div className="sticky top-0 z-10 bg-white border-b border-gray-200 p-6 pb-3 flex justify-between items-center">
+          <h3 className="text-xl font-bold text-[#4A453F]">Year-End Rollover</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close dialog"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 pt-4">
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">
+              {error}
+            </div>
+          )}
+
+          {step === 'review' ? renderReview() : renderDone()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RolloverWizard;
@@ -1,12 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import ObjectivesView from './ObjectivesView';
 import QuantitativeObjectivesView from './QuantitativeObjectivesView';
+import CompensationView from './CompensationView';
+import ObjectiveTemplateLibrary from './ObjectiveTemplateLibrary';
+import usePermissions from '../../common/hooks/usePermissions';
 
 /**
  * TabsObjectivesView component that provides tab navigation between qualitative and quantitative objectives
+ * and, for users who can read payouts, compensation statements; users who can write objectives
+ * also get the objective template library
  * @returns {JSX.Element} The TabsObjectivesView component
  */
 const TabsObjectivesView = () => {
+  const { can } = usePermissions();
+  
   // State for active tab
   const [activeTab, setActiveTab] = useState('quantitative'); // Changed default to 'quantitative'
   
@@ -58,6 +65,36 @@ const TabsObjectivesView = () => {
               Qualitative Objectives
             </button>
           </li>
+          {can('objectives:write') && (
+            <li className="mr-2">
+              <button
+                className={`inline-block py-3 px-4 text-sm font-medium border-b-2 ${
+                  activeTab === 'templates'
+                    ? 'border-[#F58220] text-[#F58220]'
+                    : 'border-transparent text-[#4A453F] hover:border-[#D3D0CD]'
+                }`}
+                onClick={() => setActiveTab('templates')}
+                aria-current={activeTab === 'templates' ? 'page' : undefined}
+              >
+                Templates
+              </button>
+            </li>
+          )}
+          {can('compensation:read') && (
+            <li className="mr-2">
+              <button
+                className={`inline-block py-3 px-4 text-sm font-medium border-b-2 ${
+                  activeTab === 'compensation'
+                    ? 'border-[#F58220] text-[#F58220]'
+                    : 'border-transparent text-[#4A453F] hover:border-[#D3D0CD]'
+                }`}
+                onClick={() => setActiveTab('compensation')}
+                aria-current={activeTab === 'compensation' ? 'page' : undefined}
+              >
+                Compensation
+              </button>
+            </li>
+          )}
         </ul>
       </div>
 
@@ -75,6 +112,8 @@ const TabsObjectivesView = () => {
             <QuantitativeObjectivesView />
           </>
         )}
+        {activeTab === 'templates' && can('objectives:write') && <ObjectiveTemplateLibrary />}
+        {activeTab === 'compensation' && can('compensation:read') && <CompensationView />}
       </div>
     </div>
   );
@@ -0,0 +1,22 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the compensation plans of the tenant with their members
+ *
+ * @param {object} [options] - React Query options (e.g. enabled)
+ * @returns {object} Query result; data is { count, rows }
+ */
+const useFetchCompensationPlans = (options = {}) => {
+  return useQuery({
+    queryKey: ['compensationPlans'],
+    queryFn: async () => {
+      const data = await authFetch('/api/compensation/plans');
+      return data.success ? data.data : Promise.reject(data.error);
+    },
+    refetchOnWindowFocus: false,
+    ...options
+  });
+};
+
+export default useFetchCompensationPlans;
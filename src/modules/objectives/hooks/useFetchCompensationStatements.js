@@ -0,0 +1,26 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the compensation payout statements of a period
+ *
+ * @param {object} [params]
+ * @param {string} [params.period] - Period, e.g. 'quarter' or 'FY2026-Q2'; the current fiscal year by default
+ * @returns {object} Query result; data is { period, count, rows }
+ */
+const useFetchCompensationStatements = ({ period } = {}) => {
+  return useQuery({
+    queryKey: ['compensationStatements', period],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      if (period) params.append('period', period);
+
+      const data = await authFetch(`/api/compensation/statements?${params.toString()}`);
+      return data.success ? data.data : Promise.reject(data.error);
+    },
+    refetchOnWindowFocus: false,
+    staleTime: 1000 * 60
+  });
+};
+
+export default useFetchCompensationStatements;
@@ -0,0 +1,25 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the gap report of an objective: its company target
+ * against the team targets and the individual targets
+ *
+ * @param {string} id - Quantitative objective ID
+ * @param {object} [options] - React Query options (e.g. enabled)
+ * @returns {object} Query result; data is the gap report
+ */
+const useFetchObjectiveAllocation = (id, options = {}) => {
+  return useQuery({
+    queryKey: ['objectiveAllocation', id],
+    queryFn: async () => {
+      const data = await authFetch(`/api/quantitative-objectives/${id}/allocation`);
+      return data.success ? data.data : Promise.reject(data.error);
+    },
+    enabled: !!id,
+    refetchOnWindowFocus: false,
+    ...options
+  });
+};
+
+export default useFetchObjectiveAllocation;
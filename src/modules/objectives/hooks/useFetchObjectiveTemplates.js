@@ -0,0 +1,23 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the quantitative objective template library
+ *
+ * @param {object} [options] - React Query options (e.g. enabled)
+ * @returns {object} Query result; data is { count, rows, periods } where periods
+ *   are the current and next fiscal years
+ */
+const useFetchObjectiveTemplates = (options = {}) => {
+  return useQuery({
+    queryKey: ['objectiveTemplates'],
+    queryFn: async () => {
+      const data = await authFetch('/api/quantitative-objective-templates');
+      return data.success ? data.data : Promise.reject(data.error);
+    },
+    refetchOnWindowFocus: false,
+    ...options
+  });
+};
+
+export default useFetchObjectiveTemplates;
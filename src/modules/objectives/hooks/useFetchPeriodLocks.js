@@ -0,0 +1,23 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the closed months of the tenant and their close/reopen history
+ *
+ * @param {object} [options] - React Query options (e.g. enabled)
+ * @returns {object} Query result; data is { locked, count, rows } where locked
+ *   holds the closed months ('YYYY-MM')
+ */
+const useFetchPeriodLocks = (options = {}) => {
+  return useQuery({
+    queryKey: ['periodLocks'],
+    queryFn: async () => {
+      const data = await authFetch('/api/period-locks');
+      return data.success ? data.data : Promise.reject(data.error);
+    },
+    refetchOnWindowFocus: false,
+    ...options
+  });
+};
+
+export default useFetchPeriodLocks;
@@ -0,0 +1,22 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the status history of a qualitative objective
+ *
+ * @param {string} id - Qualitative objective ID
+ * @returns {object} Query result; data is { count, rows }, oldest first
+ */
+const useFetchQualitativeObjectiveHistory = (id) => {
+  return useQuery({
+    queryKey: ['qualitativeObjectiveHistory', id],
+    queryFn: async () => {
+      const data = await authFetch(`/api/qualitative/${id}/history`);
+      return data.success ? data.data : Promise.reject(data.error);
+    },
+    enabled: !!id,
+    refetchOnWindowFocus: false
+  });
+};
+
+export default useFetchQualitativeObjectiveHistory;
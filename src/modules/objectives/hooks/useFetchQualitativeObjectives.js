@@ -6,7 +6,7 @@ import { authFetch } from '../../../common/utils/fetch-wrapper';
  * Custom hook for fetching qualitative objectives
  * @param {Number} page - Page number for pagination
  * @param {Number} pageSize - Items per page for pagination
- * @param {Object} filters - Optional filters (name, status, salespersonId, isGlobal)
+ * @param {Object} filters - Optional filters (name, status, salespersonId, teamId, isGlobal)
  * @param {String} sortBy - Field to sort by
  * @param {String} sortOrder - Sort order (asc or desc)
  * @returns {Object} Query result object with data, isLoading, and error
@@ -28,6 +28,7 @@ const useFetchQualitativeObjectives = (
   // Add filters to query params, but only if they have a value
   if (filters.name) queryParams.append('name', filters.name);
   if (filters.salespersonId) queryParams.append('salespersonId', filters.salespersonId);
+  if (filters.teamId) queryParams.append('teamId', filters.teamId);
   if (filters.status) queryParams.append('status', filters.status);
   // Only add isGlobal if it's not set to 'all'
   if (filters.isGlobal !== undefined && filters.isGlobal !== 'all') {
@@ -0,0 +1,23 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the qualitative objectives waiting for review
+ *
+ * @param {object} [options] - React Query options (e.g. enabled)
+ * @returns {object} Query result; data is { count, rows } with each objective's
+ *   latest `submission` ({ comment, evidence, actorEmail, createdAt })
+ */
+const useFetchQualitativeReviewQueue = (options = {}) => {
+  return useQuery({
+    queryKey: ['qualitativeReviewQueue'],
+    queryFn: async () => {
+      const data = await authFetch('/api/qualitative/review-queue');
+      return data.success ? data.data : Promise.reject(data.error);
+    },
+    refetchOnWindowFocus: false,
+    ...options
+  });
+};
+
+export default useFetchQualitativeReviewQueue;
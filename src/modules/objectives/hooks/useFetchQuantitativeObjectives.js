@@ -40,6 +40,10 @@ const useFetchQuantitativeObjectives = (page = 1, limit = 10, filters = {}) => {
           queryParams.append('hasAssignments', filters.hasAssignments);
         }
         
+        if (filters.teamId) {
+          queryParams.append('teamId', filters.teamId);
+        }
+        
         // Append query params to URL
         url = `${url}?${queryParams.toString()}`;
         
@@ -0,0 +1,49 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Read a file as base64 for the JSON upload body
+ * @param {File} file - Selected file
+ * @returns {Promise<string>} Base64 content
+ */
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+  reader.onerror = () => reject(new Error('Failed to read the file'));
+  reader.readAsDataURL(file);
+});
+
+/**
+ * Custom hook to import monthly progress values from a CSV or XLSX sheet.
+ * With `dryRun` the server only validates the sheet and returns the changes
+ * it would make; otherwise every change is applied in a single transaction.
+ *
+ * @returns {object} Mutation object; mutate with { file, dryRun }
+ */
+const useImportMonthlyProgress = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ file, dryRun = true }) => {
+      const content = await readAsBase64(file);
+
+      const responseData = await authFetch('/api/salespersons/objectives/import', {
+        method: 'POST',
+        body: JSON.stringify({ filename: file.name, content, dryRun })
+      }, 60000);
+
+      return responseData.data;
+    },
+    onSuccess: (data, variables) => {
+      if (variables.dryRun !== false) return;
+
+      // Progress of any salesperson in the sheet may have changed
+      queryClient.invalidateQueries({ queryKey: ['salespersonObjectives'] });
+      queryClient.invalidateQueries({ queryKey: ['quantitativeObjectives'] });
+      queryClient.invalidateQueries({ queryKey: ['salespersonStats'] });
+      queryClient.invalidateQueries({ queryKey: ['dashboard'] });
+    }
+  });
+};
+
+export default useImportMonthlyProgress;
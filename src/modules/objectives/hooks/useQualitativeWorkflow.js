@@ -0,0 +1,34 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to move qualitative objectives through the approval workflow:
+ * start, submit (with evidence), approve, reject (with a comment), close and reopen
+ *
+ * @returns {object} { transition } mutation object, called with { id, action, comment, evidence }
+ */
+const useQualitativeWorkflow = () => {
+  const queryClient = useQueryClient();
+
+  const transition = useMutation({
+    mutationFn: ({ id, action, comment, evidence }) => authFetch(`/api/qualitative/${id}/${action}`, {
+      method: 'POST',
+      body: JSON.stringify({ comment, evidence })
+    }),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['qualitativeObjectives'] });
+      queryClient.invalidateQueries({ queryKey: ['qualitativeObjective', variables.id] });
+      queryClient.invalidateQueries({ queryKey: ['qualitativeObjectiveHistory', variables.id] });
+      queryClient.invalidateQueries({ queryKey: ['qualitativeReviewQueue'] });
+      queryClient.invalidateQueries({ queryKey: ['salesperson'] });
+      queryClient.invalidateQueries({ queryKey: ['dashboard'] });
+      queryClient.invalidateQueries({ queryKey: ['me'] });
+    }
+  });
+
+  return {
+    transition
+  };
+};
+
+export default useQualitativeWorkflow;
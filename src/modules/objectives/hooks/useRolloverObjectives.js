@@ -0,0 +1,42 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Post a rollover request
+ */
+const rollover = (data) => authFetch('/api/rollover', {
+  method: 'POST',
+  body: JSON.stringify(data)
+});
+
+/**
+ * Custom hook to preview and apply the year-end rollover of objectives
+ *
+ * @returns {object} { previewRollover, applyRollover } mutation objects; both take
+ *   { period, source, uplift, objectives, carryForward } and resolve to the rollover plan
+ */
+const useRolloverObjectives = () => {
+  const queryClient = useQueryClient();
+
+  const previewRollover = useMutation({
+    mutationFn: (data) => rollover({ ...data, dryRun: true })
+  });
+
+  // Closing a period changes every objective view
+  const applyRollover = useMutation({
+    mutationFn: (data) => rollover({ ...data, dryRun: false }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['quantitativeObjectives'] });
+      queryClient.invalidateQueries({ queryKey: ['qualitativeObjectives'] });
+      queryClient.invalidateQueries({ queryKey: ['salespersonObjectives'] });
+      queryClient.invalidateQueries({ queryKey: ['objectiveTemplates'] });
+    }
+  });
+
+  return {
+    previewRollover,
+    applyRollover
+  };
+};
+
+export default useRolloverObjectives;
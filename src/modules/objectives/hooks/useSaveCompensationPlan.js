@@ -0,0 +1,57 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to create, update and delete compensation plans and set their members
+ *
+ * @returns {object} { createPlan, updatePlan, saveMembers, deletePlan } mutation objects
+ */
+const useSaveCompensationPlan = () => {
+  const queryClient = useQueryClient();
+
+  // Plans and their members change every statement
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['compensationPlans'] });
+    queryClient.invalidateQueries({ queryKey: ['compensationStatements'] });
+  };
+
+  const createPlan = useMutation({
+    mutationFn: (planData) => authFetch('/api/compensation/plans', {
+      method: 'POST',
+      body: JSON.stringify(planData)
+    }),
+    onSuccess: invalidate
+  });
+
+  const updatePlan = useMutation({
+    mutationFn: ({ id, data }) => authFetch(`/api/compensation/plans/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    }),
+    onSuccess: invalidate
+  });
+
+  const saveMembers = useMutation({
+    mutationFn: ({ id, members }) => authFetch(`/api/compensation/plans/${id}/members`, {
+      method: 'PUT',
+      body: JSON.stringify({ members })
+    }),
+    onSuccess: invalidate
+  });
+
+  const deletePlan = useMutation({
+    mutationFn: (id) => authFetch(`/api/compensation/plans/${id}`, {
+      method: 'DELETE'
+    }),
+    onSuccess: invalidate
+  });
+
+  return {
+    createPlan,
+    updatePlan,
+    saveMembers,
+    deletePlan
+  };
+};
+
+export default useSaveCompensationPlan;
@@ -0,0 +1,36 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to propose target allocations and save the team targets of an objective
+ *
+ * @returns {object} { proposeAllocation, saveTeamTargets } mutation objects
+ */
+const useSaveObjectiveAllocation = () => {
+  const queryClient = useQueryClient();
+
+  // Proposals are not saved; the caller decides what to keep
+  const proposeAllocation = useMutation({
+    mutationFn: ({ id, ...options }) => authFetch(`/api/quantitative-objectives/${id}/allocation/preview`, {
+      method: 'POST',
+      body: JSON.stringify(options)
+    }).then(data => data.data)
+  });
+
+  const saveTeamTargets = useMutation({
+    mutationFn: ({ id, targets }) => authFetch(`/api/quantitative-objectives/${id}/team-targets`, {
+      method: 'PUT',
+      body: JSON.stringify({ targets })
+    }).then(data => data.data),
+    onSuccess: (report, { id }) => {
+      queryClient.setQueryData(['objectiveAllocation', id], report);
+    }
+  });
+
+  return {
+    proposeAllocation,
+    saveTeamTargets
+  };
+};
+
+export default useSaveObjectiveAllocation;
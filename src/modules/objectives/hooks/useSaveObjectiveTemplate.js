@@ -0,0 +1,60 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to create, update, delete and instantiate quantitative objective templates
+ *
+ * @returns {object} { createTemplate, updateTemplate, deleteTemplate, instantiateTemplate } mutation objects
+ */
+const useSaveObjectiveTemplate = () => {
+  const queryClient = useQueryClient();
+
+  const invalidateTemplates = () => {
+    queryClient.invalidateQueries({ queryKey: ['objectiveTemplates'] });
+  };
+
+  const createTemplate = useMutation({
+    mutationFn: (templateData) => authFetch('/api/quantitative-objective-templates', {
+      method: 'POST',
+      body: JSON.stringify(templateData)
+    }),
+    onSuccess: invalidateTemplates
+  });
+
+  const updateTemplate = useMutation({
+    mutationFn: ({ id, data }) => authFetch(`/api/quantitative-objective-templates/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    }),
+    onSuccess: invalidateTemplates
+  });
+
+  const deleteTemplate = useMutation({
+    mutationFn: (id) => authFetch(`/api/quantitative-objective-templates/${id}`, {
+      method: 'DELETE'
+    }),
+    onSuccess: invalidateTemplates
+  });
+
+  // Instantiating creates an objective and its assignments
+  const instantiateTemplate = useMutation({
+    mutationFn: ({ id, data }) => authFetch(`/api/quantitative-objective-templates/${id}/instantiate`, {
+      method: 'POST',
+      body: JSON.stringify(data)
+    }),
+    onSuccess: () => {
+      invalidateTemplates();
+      queryClient.invalidateQueries({ queryKey: ['quantitativeObjectives'] });
+      queryClient.invalidateQueries({ queryKey: ['salespersonObjectives'] });
+    }
+  });
+
+  return {
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    instantiateTemplate
+  };
+};
+
+export default useSaveObjectiveTemplate;
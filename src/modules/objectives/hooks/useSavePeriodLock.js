@@ -0,0 +1,38 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to close months and reopen them
+ *
+ * @returns {object} { closeMonth, reopenMonth } mutation objects
+ */
+const useSavePeriodLock = () => {
+  const queryClient = useQueryClient();
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['periodLocks'] });
+  };
+
+  const closeMonth = useMutation({
+    mutationFn: (month) => authFetch('/api/period-locks', {
+      method: 'POST',
+      body: JSON.stringify({ month })
+    }),
+    onSuccess: invalidate
+  });
+
+  const reopenMonth = useMutation({
+    mutationFn: ({ month, reason }) => authFetch(`/api/period-locks/${month}/reopen`, {
+      method: 'POST',
+      body: JSON.stringify({ reason })
+    }),
+    onSuccess: invalidate
+  });
+
+  return {
+    closeMonth,
+    reopenMonth
+  };
+};
+
+export default useSavePeriodLock;
@@ -82,6 +82,7 @@ const useSaveQuantitativeObjective = () => {
       // Invalidate queries to refetch the data
       queryClient.invalidateQueries({ queryKey: ['quantitativeObjectives'] });
       queryClient.invalidateQueries({ queryKey: ['salespersonObjectives'] });
+      queryClient.invalidateQueries({ queryKey: ['objectiveAllocation'] });
     }
   });
   
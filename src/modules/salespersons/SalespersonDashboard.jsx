@@ -15,7 +15,7 @@ const SalespersonDashboard = () => {
   const [timeRange, setTimeRange] = useState('year'); // 'year', 'quarter', 'month'
   
   // Fetch dashboard data using the custom hook
-  const { data, isLoading, error } = useFetchDashboardData();
+  const { data, isLoading, error } = useFetchDashboardData({ period: timeRange });
   
   if (isLoading) {
     return (
@@ -69,6 +69,12 @@ const SalespersonDashboard = () => {
     return `${(value * 100).toFixed(1)}%`;
   };
   
+  // Change against a previous period, or a dash when there is nothing to compare with
+  const formatDelta = (value) => {
+    if (value === null || value === undefined) return '—';
+    return `${value >= 0 ? '↑' : '↓'} ${formatPercentage(Math.abs(value))}`;
+  };
+  
   // Configure bar chart data
   const salesTrendsData = {
     labels: data.monthlyTrends?.map(item => item.month) || [],
@@ -85,16 +91,17 @@ const SalespersonDashboard = () => {
   
   // Configure pie chart data
   const objectiveStatusData = {
-    labels: ['Completed', 'In Progress', 'Pending', 'Not Completed'],
+    labels: ['Completed', 'In Progress', 'In Review', 'Pending', 'Not Completed'],
     datasets: [
       {
         data: [
           data.qualitativeObjectiveStats?.completed || 0,
           data.qualitativeObjectiveStats?.inProgress || 0,
+          data.qualitativeObjectiveStats?.inReview || 0,
           data.qualitativeObjectiveStats?.pending || 0,
           data.qualitativeObjectiveStats?.notCompleted || 0,
         ],
-        backgroundColor: ['#4ade80', '#facc15', '#f97316', '#ef4444'],
+        backgroundColor: ['#4ade80', '#facc15', '#a855f7', '#f97316', '#ef4444'],
         borderWidth: 1,
       },
     ],
@@ -180,7 +187,9 @@ const SalespersonDashboard = () => {
           <h2 className="text-sm font-medium text-[#4A453F] uppercase mb-2">Total Company Sales</h2>
           <p className="text-3xl font-bold text-[#F58220]">{formatCurrency(data.totalSales || 0)}</p>
           <p className="text-sm text-[#4A453F] mt-2">
-            {data.salesComparison > 0
+            {data.salesComparison === null || data.salesComparison === undefined
+              ? 'No sales recorded the previous period'
+              : data.salesComparison >= 0
               ? `↑ ${formatPercentage(data.salesComparison)} vs previous period`
               : `↓ ${formatPercentage(Math.abs(data.salesComparison))} vs previous period`}
           </p>
@@ -196,7 +205,7 @@ const SalespersonDashboard = () => {
               style={{ width: `${(data.quantitativeProgress || 0) * 100}%` }}
             ></div>
           </div>
-          <p className="text-sm text-[#4A453F] mt-2">Of annual targets</p>
+          <p className="text-sm text-[#4A453F] mt-2">Of targets in the period</p>
         </div>
         
         {/* Qualitative Objectives Card */}
@@ -296,6 +305,51 @@ const SalespersonDashboard = () => {
           </table>
         </div>
       </div>
+      
+      {/* Monthly breakdown by salesperson */}
+      {data.trends?.bySalesperson?.length > 0 && (
+        <div className="bg-white p-6 rounded-lg shadow-md mt-6">
+          <h2 className="text-lg font-medium text-[#4A453F] mb-4">Sales by Salesperson</h2>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-[#D3D0CD]">
+              <thead>
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-[#4A453F] uppercase tracking-wider">
+                    Salesperson
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-[#4A453F] uppercase tracking-wider">
+                    Sales
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-[#4A453F] uppercase tracking-wider">
+                    vs Previous Period
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-[#4A453F] uppercase tracking-wider">
+                    vs Last Year
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-[#D3D0CD]">
+                {data.trends.bySalesperson.map((item, index) => (
+                  <tr key={item.salespersonId} className={index % 2 === 0 ? 'bg-white' : 'bg-[#F9F9F9]'}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-[#4A453F]">
+                      {item.nombre}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-[#4A453F]">
+                      {formatCurrency(item.current.currency || 0)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-[#4A453F]">
+                      {formatDelta(item.periodOverPeriod.currency)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-[#4A453F]">
+                      {formatDelta(item.yearOverYear.currency)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -8,10 +8,13 @@ import { formatDate, formatCurrency, formatPercentage } from '../../common/utils
 import { authFetch } from '../../common/utils/fetch-wrapper';
 import useDeleteQualitativeObjective from '../objectives/hooks/useDeleteQualitativeObjective';
 import useFetchSalespersons from '../../common/hooks/useFetchSalespersons';
-import useUpdateQualitativeObjectiveStatus from '../objectives/hooks/useUpdateQualitativeObjectiveStatus';
+import usePermissions from '../../common/hooks/usePermissions';
 import useSaveQualitativeObjective from '../objectives/hooks/useSaveQualitativeObjective';
 import QualitativeManagement from '../objectives/QualitativeManagement';
+import QualitativeWorkflow, { QualitativeStatusBadge } from '../objectives/QualitativeWorkflow';
 import SalespersonQuantitativeObjectives from './SalespersonQuantitativeObjectives';
+import RecordHistory from '../../common/components/RecordHistory';
+import ForecastBadge, { FORECAST_METHODS } from '../../common/components/ForecastBadge';
 
 // Register ChartJS components
 ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
@@ -21,17 +24,25 @@ const API_BASE_URL = 'http://localhost:3000';
 
 /**
  * SalespersonFullDetail component for displaying detailed information about a salesperson
+ * @param {Object} props - Component props
+ * @param {String} props.salespersonId - Salesperson to show instead of the one in the URL (personal page)
  * @returns {JSX.Element} The SalespersonFullDetail component
  */
-const SalespersonFullDetail = () => {
+const SalespersonFullDetail = ({ salespersonId } = {}) => {
   console.log('Rendering SalespersonFullDetail');
-  const { id } = useParams();
+  const params = useParams();
+  const id = salespersonId || params.id;
+  const { can } = usePermissions();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
   const [activeTab, setActiveTab] = useState('overview');
   const [editingObjective, setEditingObjective] = useState(null);
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
+  // Objective whose workflow dialog is open
+  const [workflowObjective, setWorkflowObjective] = useState(null);
   const [qualitativeObjectives, setQualitativeObjectives] = useState([]);
+  // How quantitative objectives are projected to their end
+  const [forecastMethod, setForecastMethod] = useState('linear');
   
   // Define handleDeleteSuccess function before it's used in deleteMutation
   // Handle delete success with notification
@@ -54,13 +65,15 @@ const SalespersonFullDetail = () => {
   
   // Fetch salesperson details
   const { data: salesperson, isLoading, error, refetch } = useQuery({
-    queryKey: ['salesperson', id],
+    queryKey: ['salesperson', id, forecastMethod],
     queryFn: async () => {
       console.log(`Fetching salesperson with ID: ${id}`);
       // Use the full endpoint to get all associated data including clients
-      const data = await authFetch(`/api/salespersons/${id}`);
+      const data = await authFetch(`/api/salespersons/${id}?forecastMethod=${forecastMethod}`);
       return data.data;
     },
+    // Keep the page while another forecast method loads
+    placeholderData: (previousData) => previousData,
   });
   
   // Initialize qualitative objectives state from fetched data
@@ -86,9 +99,6 @@ const SalespersonFullDetail = () => {
   // Get delete objective mutation
   const { deleteObjective } = useDeleteQualitativeObjective();
   
-  // Get update status mutation
-  const { updateStatus } = useUpdateQualitativeObjectiveStatus();
-  
   // Get update objective mutation
   const { updateObjective } = useSaveQualitativeObjective();
   
@@ -124,7 +134,7 @@ const SalespersonFullDetail = () => {
   
   // Handle delete client
   const handleDeleteClient = (clientId, clientName) => {
-    if (window.confirm(`Are you sure you want to delete client "${clientName}"? This action cannot be undone.`)) {
+    if (window.confirm(`Are you sure you want to delete client "${clientName}"? It will be moved to the trash.`)) {
       deleteClientMutation.mutate(clientId);
     }
   };
@@ -234,20 +244,6 @@ const SalespersonFullDetail = () => {
     setIsEditModalOpen(true);
   };
   
-  // Handle objective status update
-  const handleStatusUpdate = async (id, newStatus) => {
-    try {
-      await updateStatus.mutateAsync({ id, status: newStatus });
-      
-      // Update the local state to maintain the current order
-      setQualitativeObjectives(prev => 
-        prev.map(obj => obj.id === id ? { ...obj, status: newStatus } : obj)
-      );
-    } catch (error) {
-      console.error('Failed to update objective status:', error);
-    }
-  };
-  
   // Handle edit modal close
   const handleEditModalClose = (shouldUpdate = false) => {
     setEditingObjective(null);
@@ -345,25 +341,31 @@ const SalespersonFullDetail = () => {
         <h1 className="text-2xl font-semibold text-[#4A453F] mb-4 md:mb-0">{salesperson.nombre}</h1>
         
         <div className="flex space-x-2">
-          <Link
-            to={`/salespersons/${id}/edit`}
-            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
-          >
-            Edit
-          </Link>
-          <button
-            onClick={handleDelete}
-            className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700"
-            disabled={deleteMutation.isPending}
-          >
-            {deleteMutation.isPending ? 'Deleting...' : 'Delete'}
-          </button>
-          <Link
-            to="/salespersons"
-            className="px-4 py-2 bg-[#4A453F] text-white rounded-md hover:bg-[#3a3632]"
-          >
-            Back
-          </Link>
+          {can('salespersons:write') && (
+            <Link
+              to={`/salespersons/${id}/edit`}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              Edit
+            </Link>
+          )}
+          {can('salespersons:delete') && (
+            <button
+              onClick={handleDelete}
+              className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700"
+              disabled={deleteMutation.isPending}
+            >
+              {deleteMutation.isPending ? 'Deleting...' : 'Delete'}
+            </button>
+          )}
+          {!salespersonId && (
+            <Link
+              to="/salespersons"
+              className="px-4 py-2 bg-[#4A453F] text-white rounded-md hover:bg-[#3a3632]"
+            >
+              Back
+            </Link>
+          )}
         </div>
       </div>
       
@@ -422,6 +424,21 @@ const SalespersonFullDetail = () => {
               Qualitative Objectives ({salesperson.qualitativeObjectives?.length || 0})
             </button>
           </li>
+          {can('audit:read') && (
+            <li className="mr-2">
+              <button
+                className={`inline-block py-3 px-4 text-sm font-medium border-b-2 ${
+                  activeTab === 'history'
+                    ? 'border-[#F58220] text-[#F58220]'
+                    : 'border-transparent text-[#4A453F] hover:border-[#D3D0CD]'
+                }`}
+                onClick={() => setActiveTab('history')}
+                aria-current={activeTab === 'history' ? 'page' : undefined}
+              >
+                History
+              </button>
+            </li>
+          )}
         </ul>
       </div>
       
@@ -530,6 +547,67 @@ const SalespersonFullDetail = () => {
                 </div>
               </div>
             )}
+            
+            {/* Year-end forecast of each quantitative objective */}
+            {salesperson.quantitativeObjectives && salesperson.quantitativeObjectives.length > 0 && (
+              <div className="mt-8">
+                <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-2 mb-4">
+                  <h2 className="text-lg font-medium text-[#4A453F]">Forecast</h2>
+                  <select
+                    value={forecastMethod}
+                    onChange={(e) => setForecastMethod(e.target.value)}
+                    aria-label="Forecast method"
+                    className="border border-[#D3D0CD] rounded-md px-3 py-2 text-sm text-[#4A453F] focus:outline-none focus:ring-2 focus:ring-[#F58220]"
+                  >
+                    {FORECAST_METHODS.map(method => (
+                      <option key={method.value} value={method.value}>{method.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-[#D3D0CD]">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Objective</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Target</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Projected</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Chance of Target</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Chance of Minimum</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-[#D3D0CD]">
+                      {salesperson.quantitativeObjectives.map(objective => {
+                        const forecast = objective.forecast || {};
+                        const formatValue = (value) => {
+                          if (value === null || value === undefined) return '-';
+                          return objective.type === 'currency' || objective.type === 'moneda'
+                            ? formatCurrency(value)
+                            : Number(value).toLocaleString(undefined, { maximumFractionDigits: 1 });
+                        };
+                        
+                        return (
+                          <tr key={objective.assignmentId}>
+                            <td className="px-4 py-2 text-sm text-[#4A453F]">{objective.name}</td>
+                            <td className="px-4 py-2 text-sm text-[#4A453F]">{formatValue(forecast.target)}</td>
+                            <td className="px-4 py-2 text-sm text-[#4A453F]">{formatValue(forecast.projectedValue)}</td>
+                            <td className="px-4 py-2 text-sm text-[#4A453F]">
+                              {forecast.probabilityOfTarget === null || forecast.probabilityOfTarget === undefined ? '-' : formatPercentage(forecast.probabilityOfTarget, 0)}
+                            </td>
+                            <td className="px-4 py-2 text-sm text-[#4A453F]">
+                              {forecast.probabilityOfMinimum === null || forecast.probabilityOfMinimum === undefined ? '-' : formatPercentage(forecast.probabilityOfMinimum, 0)}
+                            </td>
+                            <td className="px-4 py-2 text-sm">
+                              <ForecastBadge forecast={objective.forecast} />
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
           </div>
         )}
         
@@ -632,9 +710,23 @@ const SalespersonFullDetail = () => {
           <SalespersonQuantitativeObjectives 
             salespersonId={id} 
             salespersonName={salesperson.nombre}
+            salespersonEmail={salesperson.email}
           />
         )}
         
+        {/* History Tab (the salesperson and their objective assignments) */}
+        {activeTab === 'history' && can('audit:read') && (
+          <div className="p-6">
+            <RecordHistory
+              entity={['Salesperson', 'SalespersonQuantitativeObjective']}
+              entityId={[
+                salesperson.id,
+                ...(salesperson.quantitativeObjectives || []).map(obj => obj.assignmentId)
+              ]}
+            />
+          </div>
+        )}
+        
         {/* Qualitative Objectives Tab */}
         {activeTab === 'qualitative' && (
           <div className="p-6">
@@ -706,19 +798,7 @@ const SalespersonFullDetail = () => {
                           )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <span
-                            className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(
-                              objective.status
-                            )}`}
-                          >
-                            {objective.status === 'pendiente'
-                              ? 'Pending'
-                              : objective.status === 'en_progreso'
-                              ? 'In Progress'
-                              : objective.status === 'completado'
-                              ? 'Completed'
-                              : 'Not Completed'}
-                          </span>
+                          <QualitativeStatusBadge status={objective.status} />
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-[#4A453F]">
                           {objective.dueDate ? formatDate(objective.dueDate) : 'N/A'}
@@ -731,16 +811,15 @@ const SalespersonFullDetail = () => {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                           <div className="flex space-x-2 justify-end">
-                            <select
-                              onChange={(e) => handleStatusUpdate(objective.id, e.target.value)}
-                              value={objective.status}
-                              className="text-sm border border-gray-300 rounded-md py-1 pl-2 pr-7 bg-white focus:outline-none focus:ring-1 focus:ring-[#F58220]"
-                            >
-                              <option value="pendiente">Pending</option>
-                              <option value="en_progreso">In Progress</option>
-                              <option value="completado">Completed</option>
-                              <option value="no_completado">Not Completed</option>
-                            </select>
+                            {(can('objectives:submit') || can('objectives:approve')) && (
+                              <button
+                                onClick={() => setWorkflowObjective(objective)}
+                                className="text-[#F58220] hover:text-[#e67812]"
+                                aria-label={`Workflow of ${objective.name}`}
+                              >
+                                {objective.status === 'en_revision' ? 'Review' : 'Workflow'}
+                              </button>
+                            )}
                             <button
                               onClick={() => handleEditObjective(objective)}
                               className="text-blue-600 hover:text-blue-800"
@@ -776,6 +855,14 @@ const SalespersonFullDetail = () => {
           defaultSalespersonId={id}
         />
       )}
+
+      {/* Workflow Modal */}
+      {workflowObjective && (
+        <QualitativeWorkflow
+          objective={workflowObjective}
+          onClose={() => setWorkflowObjective(null)}
+        />
+      )}
     </div>
   );
 };
@@ -112,12 +112,20 @@ const SalespersonManagement = () => {
       <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6">
         <h1 className="text-2xl font-semibold text-[#4A453F] mb-4 md:mb-0">Salespersons Management</h1>
         
-        <Link
-          to="/salespersons/new"
-          className="bg-[#F58220] text-white px-4 py-2 rounded-md hover:bg-[#e67812] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#F58220]"
-        >
-          Add New Salesperson
-        </Link>
+        <div className="flex gap-2">
+          <Link
+            to="/salespersons/teams"
+            className="bg-[#D3D0CD] text-[#4A453F] px-4 py-2 rounded-md hover:bg-[#BDB7B1] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#D3D0CD]"
+          >
+            Teams
+          </Link>
+          <Link
+            to="/salespersons/new"
+            className="bg-[#F58220] text-white px-4 py-2 rounded-md hover:bg-[#e67812] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#F58220]"
+          >
+            Add New Salesperson
+          </Link>
+        </div>
       </div>
       
       {/* Filters */}
@@ -2,13 +2,46 @@ import React, { useState, useEffect } from 'react';
 import { useMutation } from '@tanstack/react-query';
 import useFetchSalespersonObjectives from '../objectives/hooks/useFetchSalespersonObjectives';
 import useUpdateMonthlyProgress from '../objectives/hooks/useUpdateMonthlyProgress';
+import useImportMonthlyProgress from '../objectives/hooks/useImportMonthlyProgress';
+import useFetchPeriodLocks from '../objectives/hooks/useFetchPeriodLocks';
+import useSavePeriodLock from '../objectives/hooks/useSavePeriodLock';
+import usePermissions from '../../common/hooks/usePermissions';
 import QuantitativeObjectiveForm from '../objectives/QuantitativeObjectiveForm';
 import { formatCurrency, formatPercentage, formatDate } from '../../common/utils/formatters';
 import { buildApiUrl } from '../../common/utils/apiConfig';
 import { authFetch } from '../../common/utils/fetch-wrapper';
 
 /**
- * MonthlyProgressInputs component for rendering monthly inputs for an objective
+ * Calendar month ('YYYY-MM') of a monthlyProgress key: months before the
+ * objective's start month fall in its second year
+ */
+const progressMonth = (objective, monthNumber) => {
+  const month = parseInt(monthNumber, 10);
+  const [startYear, startMonth] = String(objective.startDate).split('-').map(Number);
+  const [endYear] = String(objective.endDate).split('-').map(Number);
+  const year = month < startMonth && endYear > startYear ? startYear + 1 : startYear;
+  return `${year}-${monthNumber}`;
+};
+
+/**
+ * Padlock icon, closed or open
+ */
+const PadlockIcon = ({ closed }) => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      strokeWidth={2}
+      d={closed
+        ? 'M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z'
+        : 'M8 11V7a4 4 0 118 0m-4 8v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2z'}
+    />
+  </svg>
+);
+
+/**
+ * MonthlyProgressInputs component for rendering monthly inputs for an objective.
+ * Months closed by a manager show a padlock and cannot be edited until an admin reopens them.
  */
 const MonthlyProgressInputs = ({ objective, handleUpdateProgress }) => {
   // Get months array for the current year
@@ -30,6 +63,32 @@ const MonthlyProgressInputs = ({ objective, handleUpdateProgress }) => {
   const [inputValues, setInputValues] = useState({});
   const [updatingMonth, setUpdatingMonth] = useState(null);
   
+  // Objectives closed by the year-end rollover are read-only
+  const isClosed = !!objective.objective.closedAt;
+  
+  const { can } = usePermissions();
+  const { data: periodLocks } = useFetchPeriodLocks();
+  const { closeMonth, reopenMonth } = useSavePeriodLock();
+  const lockedMonths = periodLocks?.locked || [];
+  const isMonthLocked = (monthNum) => lockedMonths.includes(progressMonth(objective.objective, monthNum));
+  
+  const handleToggleLock = async (monthNum) => {
+    const month = progressMonth(objective.objective, monthNum);
+    
+    try {
+      if (isMonthLocked(monthNum)) {
+        const reason = window.prompt(`Why are you reopening ${month}? The reason is recorded.`);
+        if (!reason || !reason.trim()) return;
+        await reopenMonth.mutateAsync({ month, reason: reason.trim() });
+      } else {
+        if (!window.confirm(`Close ${month}? Its progress will be read-only for everyone until an admin reopens it.`)) return;
+        await closeMonth.mutateAsync(month);
+      }
+    } catch (error) {
+      alert(`Failed to update the month: ${error.message}`);
+    }
+  };
+  
   // Initialize input values from objective data on first render
   useEffect(() => {
     const initialValues = {};
@@ -47,6 +106,8 @@ const MonthlyProgressInputs = ({ objective, handleUpdateProgress }) => {
   };
   
   const handleSaveValue = async (month) => {
+    if (isClosed || isMonthLocked(month)) return;
+    
     const value = inputValues[month];
     const currentValue = objective.monthlyProgress?.[month] || 0;
     
@@ -74,15 +135,41 @@ const MonthlyProgressInputs = ({ objective, handleUpdateProgress }) => {
   
   return (
     <div className="mt-4 overflow-x-auto">
+      {isClosed && (
+        <p className="text-xs text-gray-500 mb-2">
+          Closed on {formatDate(objective.objective.closedAt)}; monthly progress is read-only.
+        </p>
+      )}
       {/* Two-line compact month display layout */}
       <div className="border border-gray-200 rounded-lg overflow-hidden">
         {/* Month names row */}
         <div className="grid grid-cols-12 bg-gray-50 border-b border-gray-200">
-          {months.map(month => (
-            <div key={`name-${month.num}`} className="px-2 py-1 text-center text-xs font-medium text-[#4A453F]">
-              {month.name.substring(0, 3)}
-            </div>
-          ))}
+          {months.map(month => {
+            const isLocked = isMonthLocked(month.num);
+            const canToggle = isLocked ? can('periods:reopen') : can('periods:close');
+            
+            return (
+              <div key={`name-${month.num}`} className="px-2 py-1 flex items-center justify-center gap-1 text-xs font-medium text-[#4A453F]">
+                {month.name.substring(0, 3)}
+                {canToggle ? (
+                  <button
+                    type="button"
+                    onClick={() => handleToggleLock(month.num)}
+                    disabled={closeMonth.isPending || reopenMonth.isPending}
+                    className={isLocked ? 'text-[#F58220] hover:text-[#e67812]' : 'text-gray-300 hover:text-[#4A453F]'}
+                    title={isLocked ? 'Closed - reopen month' : 'Close month'}
+                    aria-label={isLocked ? `Reopen ${month.name}` : `Close ${month.name}`}
+                  >
+                    <PadlockIcon closed={isLocked} />
+                  </button>
+                ) : isLocked && (
+                  <span className="text-[#F58220]" title="Closed">
+                    <PadlockIcon closed />
+                  </span>
+                )}
+              </div>
+            );
+          })}
         </div>
         
         {/* Input fields row */}
@@ -99,10 +186,11 @@ const MonthlyProgressInputs = ({ objective, handleUpdateProgress }) => {
                 <div className="relative">
                   <input
                     type="number"
-                    className={`w-full px-1 py-1 border ${isUpdating ? 'border-[#F58220]' : 'border-gray-300'} rounded-sm text-right text-xs`}
+                    className={`w-full px-1 py-1 border ${isUpdating ? 'border-[#F58220]' : 'border-gray-300'} rounded-sm text-right text-xs disabled:bg-gray-100 disabled:text-gray-500`}
                     placeholder="0"
                     step={objective.objective.type === 'percentage' ? '0.01' : '1'}
                     min="0"
+                    disabled={isClosed || isMonthLocked(month.num)}
                     value={inputValues[month.num] || ''}
                     onChange={(e) => handleInputChange(month.num, e.target.value)}
                     onBlur={() => handleSaveValue(month.num)}
@@ -127,17 +215,266 @@ const MonthlyProgressInputs = ({ objective, handleUpdateProgress }) => {
   );
 };
 
+// Month columns of the progress import sheet
+const IMPORT_MONTHS = ['01', '02', '03', '04', '05', '06', '07', '08', '09', '10', '11', '12'];
+
+/**
+ * Quote a CSV value when needed
+ */
+const toCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * ProgressImportWizard component: upload a CSV or XLSX sheet of monthly
+ * progress values, review the dry-run diff and apply it in one go
+ *
+ * @param {object} props - Component props
+ * @param {Array} props.objectives - Objectives of the current salesperson, used for the template
+ * @param {string} props.salespersonEmail - Email of the current salesperson, used for the template
+ * @param {Function} props.onClose - Called when the wizard is closed
+ */
+const ProgressImportWizard = ({ objectives, salespersonEmail, onClose }) => {
+  const [step, setStep] = useState('upload');
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const importProgress = useImportMonthlyProgress();
+
+  // Download a template prefilled with the salesperson's assigned, open objectives
+  const handleDownloadTemplate = () => {
+    const rows = [
+      ['email', 'objective', ...IMPORT_MONTHS],
+      ...(objectives || [])
+        .filter(objective => !objective.needsAssignment && !objective.objective.closedAt)
+        .map(objective => [
+          salespersonEmail,
+          objective.objective.name,
+          ...IMPORT_MONTHS.map(month => objective.monthlyProgress?.[month] ?? '')
+        ])
+    ];
+    const csv = rows.map(row => row.map(toCsvValue).join(',')).join('\n');
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'monthly-progress.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handlePreview = async () => {
+    setError(null);
+    try {
+      const result = await importProgress.mutateAsync({ file, dryRun: true });
+      setPreview(result);
+      setStep('preview');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleApply = async () => {
+    setError(null);
+    try {
+      const result = await importProgress.mutateAsync({ file, dryRun: false });
+      setPreview(result);
+      setStep('done');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const formatImportValue = (value, type) => {
+    if (value === null || value === undefined) return '-';
+    if (type === 'currency') return formatCurrency(value);
+    if (type === 'percentage') return formatPercentage(value);
+    return value.toString();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 overflow-hidden">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl relative max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 z-10 bg-white border-b border-gray-200 p-6 pb-3 flex justify-between items-center">
+          <h3 className="text-xl font-bold text-[#4A453F]">
+            Import Monthly Progress
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              {step === 'upload' ? 'Step 1 of 3: Upload' : step === 'preview' ? 'Step 2 of 3: Review' : 'Step 3 of 3: Done'}
+            </span>
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close dialog"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 pt-4">
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">
+              {error}
+            </div>
+          )}
+
+          {step === 'upload' && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Upload a CSV or XLSX sheet with one row per salesperson and objective: an <strong>email</strong> column,
+                an <strong>objective</strong> column with the objective name and one column per month
+                (01-12, month names or YYYY-MM). Empty cells leave the month unchanged.
+              </p>
+              <button
+                type="button"
+                onClick={handleDownloadTemplate}
+                className="text-sm text-[#F58220] hover:underline"
+              >
+                Download a template
+              </button>
+              <input
+                type="file"
+                accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                className="block w-full text-sm text-[#4A453F]"
+              />
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="px-4 py-2 border border-[#D3D0CD] text-[#4A453F] rounded-md hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={handlePreview}
+                  disabled={!file || importProgress.isPending}
+                  className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] disabled:opacity-50"
+                >
+                  {importProgress.isPending ? 'Checking...' : 'Preview changes'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {step !== 'upload' && preview && (
+            <div className="space-y-4">
+              <p className="text-sm text-[#4A453F]">
+                {step === 'done'
+                  ? `Imported ${preview.summary.values} values into ${preview.summary.assignments} objective assignments.`
+                  : `${preview.summary.rows} rows read: ${preview.summary.values} values would change in ${preview.summary.assignments} objective assignments.`}
+              </p>
+
+              {preview.errors.length > 0 && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                  <p className="text-sm font-medium text-red-700 mb-2">
+                    Fix these rows and upload the sheet again; nothing is imported while any row is invalid.
+                  </p>
+                  <ul className="text-sm text-red-700 list-disc pl-5 space-y-1">
+                    {preview.errors.map((rowError, index) => (
+                      <li key={index}>Row {rowError.row}: {rowError.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {preview.changes.length > 0 && (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-[#D3D0CD]">
+                    <thead>
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Row</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Salesperson</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Objective</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Months</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">YTD</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {preview.changes.map(change => (
+                        <tr key={change.assignmentId} className="text-sm text-[#4A453F] align-top">
+                          <td className="px-4 py-2">{change.row}</td>
+                          <td className="px-4 py-2">{change.salesperson.nombre}</td>
+                          <td className="px-4 py-2">{change.objective.name}</td>
+                          <td className="px-4 py-2">
+                            {change.months.map(month => (
+                              <div key={month.month}>
+                                {month.month}: <span className="text-gray-400 line-through">{formatImportValue(month.before, change.objective.type)}</span>{' '}
+                                {formatImportValue(month.after, change.objective.type)}
+                              </div>
+                            ))}
+                          </td>
+                          <td className="px-4 py-2">
+                            <span className="text-gray-400">{formatImportValue(change.currentValue.before, change.objective.type)}</span>
+                            {' → '}
+                            {formatImportValue(change.currentValue.after, change.objective.type)}
+                          </td>
+                          <td className="px-4 py-2">
+                            {change.status.before === change.status.after
+                              ? change.status.after
+                              : `${change.status.before} → ${change.status.after}`}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <div className="flex justify-end gap-2">
+                {step === 'preview' ? (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => { setStep('upload'); setPreview(null); }}
+                      className="px-4 py-2 border border-[#D3D0CD] text-[#4A453F] rounded-md hover:bg-gray-50"
+                    >
+                      Back
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleApply}
+                      disabled={!preview.valid || preview.changes.length === 0 || importProgress.isPending}
+                      className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] disabled:opacity-50"
+                    >
+                      {importProgress.isPending ? 'Importing...' : 'Apply changes'}
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={onClose}
+                    className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812]"
+                  >
+                    Close
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
 /**
  * SalespersonQuantitativeObjectives component for displaying and managing quantitative objectives for a salesperson
- * 
+ *
  * @param {object} props - Component props
  * @param {string} props.salespersonId - ID of the salesperson
  * @param {string} props.salespersonName - Name of the salesperson
+ * @param {string} [props.salespersonEmail] - Email of the salesperson, used for the import template
  * @returns {JSX.Element} The component
  */
-const SalespersonQuantitativeObjectives = ({ salespersonId, salespersonName }) => {
+const SalespersonQuantitativeObjectives = ({ salespersonId, salespersonName, salespersonEmail }) => {
   // State for modals
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(false);
   const [showExpandedObjective, setShowExpandedObjective] = useState(null);
   const [orderedObjectives, setOrderedObjectives] = useState([]);
   const [editingTarget, setEditingTarget] = useState(null);
@@ -752,12 +1089,20 @@ const SalespersonQuantitativeObjectives = ({ salespersonId, salespersonName }) =
         <h2 className="text-lg font-semibold text-[#4A453F]">
           Quantitative Objectives for {salespersonName}
         </h2>
-        <button
-          onClick={handleToggleCreateModal}
-          className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] transition-colors"
-        >
-          + Add Objective
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowImportWizard(true)}
+            className="px-4 py-2 border border-[#F58220] text-[#F58220] rounded-md hover:bg-orange-50 transition-colors"
+          >
+            Import Progress
+          </button>
+          <button
+            onClick={handleToggleCreateModal}
+            className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] transition-colors"
+          >
+            + Add Objective
+          </button>
+        </div>
       </div>
       
       {/* Content */}
@@ -788,6 +1133,15 @@ const SalespersonQuantitativeObjectives = ({ salespersonId, salespersonName }) =
           salespersonId={salespersonId}
         />
       )}
+      
+      {/* Progress import wizard */}
+      {showImportWizard && (
+        <ProgressImportWizard
+          objectives={orderedObjectives}
+          salespersonEmail={salespersonEmail}
+          onClose={() => setShowImportWizard(false)}
+        />
+      )}
     </div>
   );
 };
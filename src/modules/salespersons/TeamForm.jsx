@@ -0,0 +1,227 @@
+import React, { useState } from 'react';
+import useSaveTeam from './hooks/useSaveTeam';
+import useFetchTenantUsers from './hooks/useFetchTenantUsers';
+import useFetchSalespersons from '../../common/hooks/useFetchSalespersons';
+import usePermissions from '../../common/hooks/usePermissions';
+
+/**
+ * Manager select values are 'salesperson:<id>' or 'user:<id>'
+ */
+const toManagerValue = (team) => {
+  if (team?.managerSalespersonId) return `salesperson:${team.managerSalespersonId}`;
+  if (team?.managerTenantUserId) return `user:${team.managerTenantUserId}`;
+  return '';
+};
+
+/**
+ * TeamForm component: create or edit a team, its manager (a salesperson or a
+ * user without a salesperson record) and its members. Member changes apply
+ * from the effective date and are kept in the membership history.
+ *
+ * @param {object} props - Component props
+ * @param {object} [props.team] - Team to edit, with its members; omitted to create one
+ * @param {Function} props.onClose - Called when the dialog closes
+ * @returns {JSX.Element} The TeamForm component
+ */
+const TeamForm = ({ team, onClose }) => {
+  const isEditMode = !!team;
+  const { createTeam, updateTeam } = useSaveTeam();
+  const { can, canViewAll } = usePermissions();
+  // Managers limited to their teams may not change who manages or belongs to them
+  const canManageTeams = canViewAll('teams:read') || can('tenant:manage');
+
+  const [formData, setFormData] = useState({
+    name: team?.name || '',
+    description: team?.description || '',
+    manager: toManagerValue(team),
+    effectiveDate: new Date().toISOString().slice(0, 10)
+  });
+  const [memberIds, setMemberIds] = useState(() => (team?.members || []).map(member => member.id));
+  const [error, setError] = useState(null);
+
+  const { data: salespersons } = useFetchSalespersons({ limit: 100 });
+  const { data: users } = useFetchTenantUsers({ enabled: can('users:read') });
+
+  // Users linked to a salesperson are offered as that salesperson
+  const managerUsers = (users || []).filter(user => !user.salespersonId && user.status !== 'inactive');
+
+  const isSaving = createTeam.isPending || updateTeam.isPending;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleMember = (salespersonId) => {
+    setMemberIds(prev => (prev.includes(salespersonId)
+      ? prev.filter(id => id !== salespersonId)
+      : [...prev, salespersonId]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const [managerType, managerId] = formData.manager.split(':');
+    const data = {
+      name: formData.name,
+      description: formData.description || null,
+      managerSalespersonId: managerType === 'salesperson' ? managerId : null,
+      managerTenantUserId: managerType === 'user' ? managerId : null,
+      salespersonIds: memberIds,
+      effectiveDate: formData.effectiveDate
+    };
+
+    try {
+      if (isEditMode) {
+        await updateTeam.mutateAsync({ id: team.id, data });
+      } else {
+        await createTeam.mutateAsync(data);
+      }
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-[#D3D0CD] rounded-md focus:outline-none focus:ring-1 focus:ring-[#F58220]';
+  const labelClass = 'block text-sm font-medium text-[#4A453F] mb-1';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 overflow-hidden">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl relative max-h-[90vh] overflow-y-auto">
+        {/* Header with title and close button */}
+        <div className="sticky top-0 z-10 bg-white border-b border-gray-200 p-6 pb-3 flex justify-between items-center">
+          <h3 className="text-xl font-bold text-[#4A453F]">
+            {isEditMode ? `Edit Team: ${team.name}` : 'Create Team'}
+          </h3>
+          <button
+            onClick={() => onClose()}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close dialog"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 pt-4">
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label htmlFor="teamName" className={labelClass}>Name</label>
+                <input
+                  id="teamName"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  className={inputClass}
+                  required
+                />
+              </div>
+
+              <div>
+                <label htmlFor="teamManager" className={labelClass}>Manager</label>
+                <select
+                  id="teamManager"
+                  name="manager"
+                  value={formData.manager}
+                  onChange={handleChange}
+                  className={inputClass}
+                  disabled={!canManageTeams}
+                >
+                  <option value="">No manager</option>
+                  <optgroup label="Salespersons">
+                    {(salespersons?.rows || []).map(salesperson => (
+                      <option key={salesperson.id} value={`salesperson:${salesperson.id}`}>{salesperson.nombre}</option>
+                    ))}
+                  </optgroup>
+                  {managerUsers.length > 0 && (
+                    <optgroup label="Users">
+                      {managerUsers.map(user => (
+                        <option key={user.id} value={`user:${user.id}`}>{user.email}</option>
+                      ))}
+                    </optgroup>
+                  )}
+                </select>
+              </div>
+
+              <div className="md:col-span-2">
+                <label htmlFor="teamDescription" className={labelClass}>Description</label>
+                <textarea
+                  id="teamDescription"
+                  name="description"
+                  value={formData.description}
+                  onChange={handleChange}
+                  rows={2}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            <div className="flex flex-col md:flex-row md:justify-between md:items-end gap-2 mb-2">
+              <h4 className="text-sm font-semibold text-[#4A453F]">Members ({memberIds.length})</h4>
+              <div>
+                <label htmlFor="teamEffectiveDate" className={labelClass}>Changes effective from</label>
+                <input
+                  id="teamEffectiveDate"
+                  type="date"
+                  name="effectiveDate"
+                  value={formData.effectiveDate}
+                  onChange={handleChange}
+                  className={inputClass}
+                  required
+                />
+              </div>
+            </div>
+            <div className="border border-[#D3D0CD] rounded-md max-h-64 overflow-y-auto divide-y divide-gray-100 mb-6">
+              {(salespersons?.rows || []).map(salesperson => {
+                // Salespersons in another team move to this one
+                const otherTeam = salesperson.teamId && salesperson.teamId !== team?.id;
+                return (
+                  <label key={salesperson.id} className="flex items-center gap-3 px-3 py-2 text-sm text-[#4A453F] cursor-pointer hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      checked={memberIds.includes(salesperson.id)}
+                      onChange={() => toggleMember(salesperson.id)}
+                      disabled={!canManageTeams}
+                      className="h-4 w-4 text-[#F58220] focus:ring-[#F58220] border-gray-300 rounded"
+                    />
+                    <span className="flex-1">{salesperson.nombre}</span>
+                    {otherTeam && <span className="text-xs text-gray-500">In another team</span>}
+                  </label>
+                );
+              })}
+            </div>
+
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={() => onClose()}
+                className="px-4 py-2 bg-[#D3D0CD] text-[#4A453F] rounded-md hover:bg-[#BDB7B1]"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-4 py-2 bg-[#F58220] text-white rounded-md hover:bg-[#e67812] disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : isEditMode ? 'Save Changes' : 'Create Team'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TeamForm;
@@ -0,0 +1,272 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import useFetchTeams from '../../common/hooks/useFetchTeams';
+import usePermissions from '../../common/hooks/usePermissions';
+import PeriodPicker from '../../common/components/PeriodPicker';
+import useSaveTeam from './hooks/useSaveTeam';
+import useFetchTeamRollup from './hooks/useFetchTeamRollup';
+import useFetchTeamMemberships from './hooks/useFetchTeamMemberships';
+import TeamForm from './TeamForm';
+import { formatCurrency, formatDate, formatNumber, formatPercentage } from '../../common/utils/formatters';
+
+/**
+ * Name of the manager of a team, whichever kind it is
+ */
+const managerName = (team) => team.managerSalesperson?.nombre || team.managerTenantUser?.email || '-';
+
+/**
+ * Format an objective value by its type
+ */
+const formatValue = (value, type) => {
+  if (type === 'currency' || type === 'moneda') return formatCurrency(value);
+  if (type === 'percentage') return formatPercentage(value);
+  return formatNumber(value);
+};
+
+/**
+ * TeamManagement component: the teams of the tenant with their manager and
+ * members, and for the selected team its rollup for a period and its
+ * membership history
+ * @returns {JSX.Element} The TeamManagement component
+ */
+const TeamManagement = () => {
+  const { can, canViewAll } = usePermissions();
+  const canManage = can('salespersons:write');
+  // Managers limited to their teams may edit them but not create teams
+  const canManageTeams = canViewAll('teams:read') || can('tenant:manage');
+
+  const [selectedTeamId, setSelectedTeamId] = useState(null);
+  const [period, setPeriod] = useState('year');
+  const [editingTeam, setEditingTeam] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  const { data: teams, isLoading, error } = useFetchTeams();
+  const { deleteTeam } = useSaveTeam();
+
+  // The first team is shown until another one is chosen
+  const teamId = selectedTeamId || teams?.rows[0]?.id;
+  const { data: rollup, isLoading: rollupLoading, error: rollupError } = useFetchTeamRollup({ teamId, period });
+  const { data: memberships } = useFetchTeamMemberships(teamId);
+
+  const openForm = (team = null) => {
+    setEditingTeam(team);
+    setShowForm(true);
+  };
+
+  const handleDelete = (team) => {
+    if (!window.confirm(`Delete the team "${team.name}"? Its members stay, without a team, and its history is lost.`)) return;
+
+    deleteTeam.mutate(team.id, {
+      onSuccess: () => {
+        toast.success('Team deleted');
+        if (selectedTeamId === team.id) setSelectedTeamId(null);
+      },
+      onError: (err) => toast.error(err.message)
+    });
+  };
+
+  const thClass = 'px-4 py-2 text-left text-xs font-medium text-[#4A453F] uppercase';
+
+  return (
+    <div className="p-6 space-y-8">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+        <div>
+          <Link to="/salespersons" className="text-sm text-[#F58220] hover:underline">&larr; Salespersons</Link>
+          <h1 className="text-2xl font-semibold text-[#4A453F]">Teams</h1>
+        </div>
+        {canManage && canManageTeams && (
+          <button
+            onClick={() => openForm()}
+            className="bg-[#F58220] text-white px-4 py-2 rounded-md hover:bg-[#e67812] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#F58220]"
+          >
+            + New Team
+          </button>
+        )}
+      </div>
+
+      {/* Teams */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+        {isLoading ? (
+          <div className="flex justify-center items-center h-32">
+            <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-[#F58220] border-r-transparent"></div>
+          </div>
+        ) : error ? (
+          <p className="text-red-600">{error.message || 'Failed to load teams'}</p>
+        ) : !teams?.rows.length ? (
+          <p className="text-gray-500">No teams yet.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-[#D3D0CD]">
+            <thead>
+              <tr>
+                <th className={thClass}>Team</th>
+                <th className={thClass}>Manager</th>
+                <th className={`${thClass} text-right`}>Members</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {teams.rows.map(team => (
+                <tr
+                  key={team.id}
+                  onClick={() => setSelectedTeamId(team.id)}
+                  className={`text-sm text-[#4A453F] cursor-pointer ${team.id === teamId ? 'bg-orange-50' : 'hover:bg-gray-50'}`}
+                >
+                  <td className="px-4 py-3">
+                    <div className="font-medium">{team.name}</div>
+                    {team.description && <div className="text-xs text-gray-500">{team.description}</div>}
+                  </td>
+                  <td className="px-4 py-3">{managerName(team)}</td>
+                  <td className="px-4 py-3 text-right">{team.members?.length || 0}</td>
+                  <td className="px-4 py-3 text-right space-x-3">
+                    {canManage && (
+                      <>
+                        <button onClick={(e) => { e.stopPropagation(); openForm(team); }} className="text-[#F58220] hover:underline">Edit</button>
+                        <button onClick={(e) => { e.stopPropagation(); handleDelete(team); }} className="text-red-600 hover:underline">Delete</button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Rollup of the selected team */}
+      {teamId && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+          <div className="flex flex-col lg:flex-row lg:justify-between lg:items-center gap-4 mb-4">
+            <h2 className="text-lg font-semibold text-[#4A453F]">{rollup?.team.name || 'Team'} Rollup</h2>
+            <PeriodPicker period={rollup?.period} onChange={setPeriod} />
+          </div>
+
+          {rollupLoading ? (
+            <div className="flex justify-center items-center h-32">
+              <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-[#F58220] border-r-transparent"></div>
+            </div>
+          ) : rollupError ? (
+            <p className="text-red-600">{rollupError.message || 'Failed to load the team rollup'}</p>
+          ) : rollup && (
+            <div className="space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="p-4 rounded-md bg-gray-50">
+                  <div className="text-xs text-gray-500 uppercase">Members in the period</div>
+                  <div className="text-2xl font-semibold text-[#4A453F]">{rollup.members.length}</div>
+                </div>
+                <div className="p-4 rounded-md bg-gray-50">
+                  <div className="text-xs text-gray-500 uppercase">Clients</div>
+                  <div className="text-2xl font-semibold text-[#4A453F]">{rollup.clients.total}</div>
+                </div>
+                <div className="p-4 rounded-md bg-gray-50">
+                  <div className="text-xs text-gray-500 uppercase">With support contract</div>
+                  <div className="text-2xl font-semibold text-[#4A453F]">{rollup.clients.withSupportContract}</div>
+                </div>
+              </div>
+
+              <div>
+                <h3 className="text-sm font-semibold text-[#4A453F] mb-2">Objective Progress</h3>
+                {rollup.objectives.length === 0 ? (
+                  <p className="text-sm text-gray-500">No objectives assigned to the team's members in this period.</p>
+                ) : (
+                  <table className="min-w-full divide-y divide-[#D3D0CD]">
+                    <thead>
+                      <tr>
+                        <th className={thClass}>Objective</th>
+                        <th className={`${thClass} text-right`}>Assigned</th>
+                        <th className={`${thClass} text-right`}>Value</th>
+                        <th className={`${thClass} text-right`}>Target</th>
+                        <th className={`${thClass} text-right`}>Progress</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {rollup.objectives.map(objective => (
+                        <tr key={objective.id} className="text-sm text-[#4A453F]">
+                          <td className="px-4 py-2">{objective.name}</td>
+                          <td className="px-4 py-2 text-right">{objective.assignedCount}</td>
+                          <td className="px-4 py-2 text-right">{formatValue(objective.value, objective.type)}</td>
+                          <td className="px-4 py-2 text-right">{formatValue(objective.target, objective.type)}</td>
+                          <td className="px-4 py-2 text-right">{formatPercentage(objective.progress)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              <div>
+                <h3 className="text-sm font-semibold text-[#4A453F] mb-2">Top Performers</h3>
+                {rollup.topPerformers.length === 0 ? (
+                  <p className="text-sm text-gray-500">No members in this period.</p>
+                ) : (
+                  <table className="min-w-full divide-y divide-[#D3D0CD]">
+                    <thead>
+                      <tr>
+                        <th className={thClass}>Salesperson</th>
+                        <th className={`${thClass} text-right`}>Sales</th>
+                        <th className={`${thClass} text-right`}>Target</th>
+                        <th className={`${thClass} text-right`}>Attainment</th>
+                        <th className={`${thClass} text-right`}>Clients</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {rollup.topPerformers.map(performer => (
+                        <tr key={performer.id} className="text-sm text-[#4A453F]">
+                          <td className="px-4 py-2">
+                            <Link to={`/salespersons/${performer.id}`} className="hover:text-[#F58220]">{performer.nombre}</Link>
+                          </td>
+                          <td className="px-4 py-2 text-right">{formatCurrency(performer.sales)}</td>
+                          <td className="px-4 py-2 text-right">{formatCurrency(performer.target)}</td>
+                          <td className="px-4 py-2 text-right">{formatPercentage(performer.percentage)}</td>
+                          <td className="px-4 py-2 text-right">{performer.clientCount}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Membership history of the selected team */}
+      {teamId && memberships && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+          <h2 className="text-lg font-semibold text-[#4A453F] mb-4">Membership History</h2>
+          {memberships.rows.length === 0 ? (
+            <p className="text-gray-500">Nobody has been in this team yet.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-[#D3D0CD]">
+              <thead>
+                <tr>
+                  <th className={thClass}>Salesperson</th>
+                  <th className={thClass}>Joined</th>
+                  <th className={thClass}>Left</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {memberships.rows.map(membership => (
+                  <tr key={membership.id} className="text-sm text-[#4A453F]">
+                    <td className="px-4 py-2">{membership.salesperson?.nombre || '-'}</td>
+                    <td className="px-4 py-2">{formatDate(membership.startDate)}</td>
+                    <td className="px-4 py-2">{membership.endDate ? formatDate(membership.endDate) : 'Current member'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {showForm && (
+        <TeamForm
+          team={editingTeam}
+          onClose={() => setShowForm(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TeamManagement;
@@ -3,18 +3,29 @@ import { buildApiUrl } from '../../../common/utils/apiConfig';
 import { authFetch } from '../../../common/utils/fetch-wrapper';
 
 /**
- * Custom hook to fetch dashboard data
+ * Custom hook to fetch dashboard data, including the monthly trends
+ * aggregated from the recorded objective progress
+ * @param {Object} [options]
+ * @param {number} [options.months=12] - Number of months in the trends
+ * @param {string} [options.period] - Period of the figures, e.g. 'quarter' or 'FY2026'; the current fiscal year by default
+ * @param {string} [options.forecastMethod] - 'linear', 'trailing3' or 'seasonal'; linear by default
+ * @param {string} [options.teamId] - Only the figures of a team's members
  * @returns {Object} Query result with dashboard data
  */
-const useFetchDashboardData = () => {
+const useFetchDashboardData = ({ months = 12, period, forecastMethod, teamId } = {}) => {
   return useQuery({
-    queryKey: ['dashboard'],
+    queryKey: ['dashboard', months, period, forecastMethod, teamId],
     queryFn: async () => {
-      const data = await authFetch('/api/salespersons/dashboard');
+      const params = new URLSearchParams({ months });
+      if (period) params.set('period', period);
+      if (forecastMethod) params.set('forecastMethod', forecastMethod);
+      if (teamId) params.set('teamId', teamId);
+      
+      const data = await authFetch(`/api/salespersons/dashboard?${params.toString()}`);
       
       return data.data;
     }
   });
 };
 
-export default useFetchDashboardData; 
\ No newline at end of file
+export default useFetchDashboardData;
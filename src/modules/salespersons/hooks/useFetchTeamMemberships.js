@@ -0,0 +1,22 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the membership history of a team
+ *
+ * @param {string} [teamId] - Team; nothing is fetched without one
+ * @returns {object} Query result; data is { count, rows }
+ */
+const useFetchTeamMemberships = (teamId) => {
+  return useQuery({
+    queryKey: ['teamMemberships', teamId],
+    queryFn: async () => {
+      const data = await authFetch(`/api/teams/${teamId}/memberships`);
+      return data.success ? data.data : Promise.reject(data.error);
+    },
+    enabled: !!teamId,
+    refetchOnWindowFocus: false
+  });
+};
+
+export default useFetchTeamMemberships;
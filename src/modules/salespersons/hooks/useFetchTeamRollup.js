@@ -0,0 +1,28 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the objective progress, clients and top performers of a team
+ *
+ * @param {object} params
+ * @param {string} [params.teamId] - Team; nothing is fetched without one
+ * @param {string} [params.period] - Period, e.g. 'quarter' or 'FY2026-Q2'; the current fiscal year by default
+ * @returns {object} Query result; data is { team, period, members, objectives, clients, topPerformers }
+ */
+const useFetchTeamRollup = ({ teamId, period } = {}) => {
+  return useQuery({
+    queryKey: ['teamRollup', teamId, period],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      if (period) params.append('period', period);
+
+      const data = await authFetch(`/api/teams/${teamId}/rollup?${params.toString()}`);
+      return data.success ? data.data : Promise.reject(data.error);
+    },
+    enabled: !!teamId,
+    refetchOnWindowFocus: false,
+    staleTime: 1000 * 60
+  });
+};
+
+export default useFetchTeamRollup;
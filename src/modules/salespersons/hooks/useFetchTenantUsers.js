@@ -0,0 +1,22 @@
+import { useQuery } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to fetch the users of the current tenant
+ *
+ * @param {object} [options] - React Query options (e.g. enabled)
+ * @returns {object} Query result; data is the list of users
+ */
+const useFetchTenantUsers = (options = {}) => {
+  return useQuery({
+    queryKey: ['tenantUsers'],
+    queryFn: async () => {
+      const data = await authFetch('/api/tenants/users');
+      return data.users;
+    },
+    refetchOnWindowFocus: false,
+    ...options
+  });
+};
+
+export default useFetchTenantUsers;
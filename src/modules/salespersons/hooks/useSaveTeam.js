@@ -0,0 +1,51 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { authFetch } from '../../../common/utils/fetch-wrapper';
+
+/**
+ * Custom hook to create, update and delete teams
+ *
+ * @returns {object} { createTeam, updateTeam, deleteTeam } mutation objects
+ */
+const useSaveTeam = () => {
+  const queryClient = useQueryClient();
+
+  // Members moving between teams change every team-filtered figure
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['teams'] });
+    queryClient.invalidateQueries({ queryKey: ['teamRollup'] });
+    queryClient.invalidateQueries({ queryKey: ['teamMemberships'] });
+    queryClient.invalidateQueries({ queryKey: ['salespersons'] });
+    queryClient.invalidateQueries({ queryKey: ['dashboard'] });
+  };
+
+  const createTeam = useMutation({
+    mutationFn: (teamData) => authFetch('/api/teams', {
+      method: 'POST',
+      body: JSON.stringify(teamData)
+    }),
+    onSuccess: invalidate
+  });
+
+  const updateTeam = useMutation({
+    mutationFn: ({ id, data }) => authFetch(`/api/teams/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    }),
+    onSuccess: invalidate
+  });
+
+  const deleteTeam = useMutation({
+    mutationFn: (id) => authFetch(`/api/teams/${id}`, {
+      method: 'DELETE'
+    }),
+    onSuccess: invalidate
+  });
+
+  return {
+    createTeam,
+    updateTeam,
+    deleteTeam
+  };
+};
+
+export default useSaveTeam;
@@ -0,0 +1,521 @@
+const express = require('express');
+const router = express.Router();
+const {
+  Attachment,
+  QualitativeObjective,
+  SalespersonObjective,
+  TechnicianObjective,
+  TechnicianEvaluation,
+  Client
+} = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const {
+  requirePermission,
+  getRolePermissions,
+  getPermissionScope,
+  hasPermission,
+  getOwnRecords
+} = require('../middleware/permissions');
+const multipartService = require('../services/multipart');
+const attachmentService = require('../services/attachments');
+const { ENTITY_TYPES } = require('../services/attachments');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MEGABYTE = 1024 * 1024;
+
+// Files accepted in one upload
+const MAX_FILES_PER_UPLOAD = 10;
+
+// Room for multipart boundaries and part headers on top of the file data
+const MULTIPART_OVERHEAD = MEGABYTE;
+
+/**
+ * Permissions needed to see and to add or delete the files of each kind of record
+ */
+const ENTITY_PERMISSIONS = {
+  qualitative_objective: { read: 'objectives:read', write: 'objectives:submit' },
+  technician_objective: { read: 'objectives:read', write: 'objectives:write' },
+  technician_evaluation: { read: 'evaluations:read', write: 'evaluations:write' },
+  client_relevamiento: { read: 'clients:read', write: 'clients:write' }
+};
+
+/**
+ * Permissions needed to delete files uploaded by someone else, for kinds of
+ * record whose write permission is shared by everyone it is assigned to
+ */
+const DELETE_OTHERS_PERMISSIONS = {
+  qualitative_objective: ['objectives:approve', 'objectives:write']
+};
+
+/**
+ * Whether the user may delete an attachment: the files of qualitative
+ * objectives, which can be global or assigned to several salespersons, are
+ * only deleted by whoever uploaded them or by users managing objectives
+ */
+const canDelete = (req, attachment) => {
+  const othersPermissions = DELETE_OTHERS_PERMISSIONS[attachment.entityType];
+  if (!othersPermissions) return true;
+
+  return Boolean(attachment.uploadedBy && attachment.uploadedBy === req.tenantUser.auth0UserId) ||
+    othersPermissions.some(permission => hasPermission(req, permission));
+};
+
+/**
+ * Header value sending a file under its original name
+ */
+const contentDisposition = (filename) =>
+  `attachment; filename="${filename.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+
+/**
+ * Read the multipart body of an upload. The body may hold at most
+ * MAX_FILES_PER_UPLOAD files of the plan's file size and no more than the
+ * storage left, so larger uploads are refused from their Content-Length
+ * before anything is buffered, and cut off while reading otherwise.
+ */
+const readUpload = async (req, res, next) => {
+  try {
+    const { maxFileSizeMb, maxStorageMb } = req.planLimits;
+    const used = await attachmentService.getUsage();
+    const fileLimit = maxFileSizeMb * MEGABYTE * MAX_FILES_PER_UPLOAD + MULTIPART_OVERHEAD;
+    const storageLimit = Math.max(maxStorageMb * MEGABYTE - used, 0) + MULTIPART_OVERHEAD;
+    const length = parseInt(req.get('Content-Length'), 10);
+
+    if (length > fileLimit) {
+      return res.status(413).json({
+        success: false,
+        error: `Uploads are limited to ${MAX_FILES_PER_UPLOAD} files of ${maxFileSizeMb} MB on your plan`
+      });
+    }
+    if (length > storageLimit) {
+      return res.status(403).json({
+        success: false,
+        error: `Plan limit reached for storage. Used: ${(used / MEGABYTE).toFixed(1)} MB, Limit: ${maxStorageMb} MB`
+      });
+    }
+
+    const limit = Math.min(fileLimit, storageLimit);
+    return express.raw({ type: 'multipart/form-data', limit })(req, res, (error) => {
+      if (error && error.type === 'entity.too.large') {
+        return res.status(413).json({
+          success: false,
+          error: 'The upload is larger than your plan allows'
+        });
+      }
+      return next(error);
+    });
+  } catch (error) {
+    console.error('Error reading upload:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error uploading attachments'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/attachments/download/:token
+ * @desc    Download a file through a signed URL from GET /api/attachments/:id/url.
+ *          The token is the credential, so this route needs no session.
+ * @access  Public (signed URL)
+ */
+router.get('/download/:token', async (req, res) => {
+  try {
+    const attachment = await attachmentService.findByDownloadToken(req.params.token);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'The download link is invalid or has expired'
+      });
+    }
+
+    const stream = await attachmentService.open(attachment);
+
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': contentDisposition(attachment.filename),
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+    stream.on('error', (error) => {
+      console.error('Error streaming attachment:', error.message);
+      res.destroy(error);
+    });
+    return stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading attachment:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error downloading attachment'
+    });
+  }
+});
+
+// Every other route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
+
+/**
+ * The record files are attached to, or null when it does not exist or the
+ * user may not see it. Users whose read permission is limited to their own
+ * records only reach the objectives assigned to them (or global ones), their
+ * technician's objectives and evaluations, and the clients assigned to them.
+ */
+const findEntity = async (req, entityType, entityId) => {
+  const permissions = getRolePermissions(req.tenant, req.tenantUser.role);
+  const scope = getPermissionScope(permissions, ENTITY_PERMISSIONS[entityType].read);
+  if (!scope) return null;
+
+  const own = scope === 'own' ? getOwnRecords(req.tenantUser) : null;
+  const isOwnTechnician = (technicianId) => Boolean(own.technicianId && technicianId === own.technicianId);
+
+  switch (entityType) {
+    case 'qualitative_objective': {
+      const objective = await QualitativeObjective.findByPk(entityId);
+      if (!objective || !own || objective.isGlobal) return objective;
+
+      const assigned = own.salespersonId && await SalespersonObjective.count({
+        where: { salespersonId: own.salespersonId, qualitativeObjectiveId: objective.id }
+      });
+      return assigned ? objective : null;
+    }
+    case 'technician_objective': {
+      const objective = await TechnicianObjective.findByPk(entityId);
+      return objective && (!own || isOwnTechnician(objective.technicianId)) ? objective : null;
+    }
+    case 'technician_evaluation': {
+      const evaluation = await TechnicianEvaluation.findByPk(entityId);
+      return evaluation && (!own || isOwnTechnician(evaluation.technicianId)) ? evaluation : null;
+    }
+    case 'client_relevamiento': {
+      const client = await Client.findByPk(entityId);
+      const isOwnClient = client && own && (
+        (own.salespersonId && client.vendedorId === own.salespersonId) || isOwnTechnician(client.tecnicoId)
+      );
+      return client && (!own || isOwnClient) ? client : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Load the attachment of the `:id` route parameter into `req.attachment`
+ */
+const loadAttachment = async (req, res, next) => {
+  try {
+    const attachment = UUID_PATTERN.test(req.params.id)
+      ? await Attachment.findByPk(req.params.id)
+      : null;
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+
+    req.attachment = attachment;
+    next();
+  } catch (error) {
+    console.error('Error loading attachment:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error loading attachment'
+    });
+  }
+};
+
+/**
+ * Require the permission to read or write the files of the record kind in
+ * the `entityType` query parameter, or of the loaded attachment
+ * @param {'read'|'write'} access
+ */
+const requireEntityPermission = (access) => (req, res, next) => {
+  const entityType = req.attachment ? req.attachment.entityType : req.query.entityType;
+
+  if (!attachmentService.isEntityType(entityType)) {
+    return res.status(400).json({
+      success: false,
+      error: `entityType must be one of ${ENTITY_TYPES.join(', ')}`
+    });
+  }
+
+  return requirePermission(ENTITY_PERMISSIONS[entityType][access])(req, res, next);
+};
+
+/**
+ * Check the `entityId` query parameter and find its record, answering 400 or
+ * 404 when it cannot be used
+ * @returns {Promise<Object|null>} The record, or null when a response was sent
+ */
+const findQueriedEntity = async (req, res) => {
+  const { entityType, entityId } = req.query;
+
+  if (!UUID_PATTERN.test(entityId || '')) {
+    res.status(400).json({
+      success: false,
+      error: 'entityId must be a UUID'
+    });
+    return null;
+  }
+
+  const entity = await findEntity(req, entityType, entityId);
+  if (!entity) {
+    res.status(404).json({
+      success: false,
+      error: 'Record not found'
+    });
+    return null;
+  }
+
+  return entity;
+};
+
+/**
+ * @route   GET /api/attachments/usage
+ * @desc    Storage used by the tenant and the limits of its plan, in bytes
+ * @access  Private
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const used = await attachmentService.getUsage();
+
+    return res.json({
+      success: true,
+      data: {
+        used,
+        limit: req.planLimits.maxStorageMb * MEGABYTE,
+        maxFileSize: req.planLimits.maxFileSizeMb * MEGABYTE
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching attachment usage:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching attachment usage'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/attachments
+ * @desc    Files attached to a record (`entityType`, `entityId`), newest first,
+ *          each with whether the user may delete it (`canDelete`)
+ * @access  Private
+ */
+router.get('/', requireEntityPermission('read'), async (req, res) => {
+  try {
+    console.log('API: Fetching attachments with query params:', req.query);
+
+    const entity = await findQueriedEntity(req, res);
+    if (!entity) return undefined;
+
+    const attachments = await attachmentService.list(req.query.entityType, entity.id);
+
+    return res.json({
+      success: true,
+      data: {
+        count: attachments.length,
+        rows: attachments.map(attachment => ({
+          ...attachment.toJSON(),
+          canDelete: canDelete(req, attachment)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching attachments:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching attachments'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/attachments
+ * @desc    Upload files (multipart/form-data, any field name) to a record
+ *          (`entityType`, `entityId` query parameters). Each file must fit the
+ *          plan's file size limit and all of them the storage quota; a file
+ *          the virus scanner flags rejects the whole upload.
+ * @access  Private
+ */
+router.post(
+  '/',
+  requireEntityPermission('write'),
+  readUpload,
+  async (req, res) => {
+    try {
+      console.log('API: Uploading attachments with query params:', req.query);
+
+      const entity = await findQueriedEntity(req, res);
+      if (!entity) return undefined;
+
+      if (!multipartService.isMultipart(req.get('Content-Type'))) {
+        return res.status(415).json({
+          success: false,
+          error: 'Files must be sent as multipart/form-data'
+        });
+      }
+
+      let files;
+      try {
+        ({ files } = multipartService.parse(req.body, req.get('Content-Type')));
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: parseError.message
+        });
+      }
+
+      if (files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No files were uploaded'
+        });
+      }
+      if (files.length > MAX_FILES_PER_UPLOAD) {
+        return res.status(400).json({
+          success: false,
+          error: `At most ${MAX_FILES_PER_UPLOAD} files can be uploaded at once`
+        });
+      }
+
+      const { maxFileSizeMb, maxStorageMb } = req.planLimits;
+      const tooLarge = files.find(file => file.data.length > maxFileSizeMb * MEGABYTE);
+      if (tooLarge) {
+        return res.status(413).json({
+          success: false,
+          error: `${tooLarge.filename} is larger than the ${maxFileSizeMb} MB allowed by your plan`
+        });
+      }
+
+      const used = await attachmentService.getUsage();
+      const uploaded = files.reduce((total, file) => total + file.data.length, 0);
+      if (used + uploaded > maxStorageMb * MEGABYTE) {
+        return res.status(403).json({
+          success: false,
+          error: `Plan limit reached for storage. Used: ${(used / MEGABYTE).toFixed(1)} MB, Limit: ${maxStorageMb} MB`
+        });
+      }
+
+      // Scan every file before storing any of them
+      const scanStatuses = [];
+      for (const file of files) {
+        let result;
+        try {
+          result = await attachmentService.scan(file);
+        } catch (scanError) {
+          console.error('Error scanning attachment:', scanError.message);
+          return res.status(503).json({
+            success: false,
+            error: 'The virus scanner is not available, try again later'
+          });
+        }
+
+        if (result.clean === false) {
+          console.log(`API: Rejected infected attachment ${file.filename}: ${result.threat}`);
+          return res.status(422).json({
+            success: false,
+            error: `${file.filename} was rejected by the virus scanner (${result.threat})`
+          });
+        }
+        scanStatuses.push(result.clean ? 'clean' : 'not_scanned');
+      }
+
+      const attachments = [];
+      for (const [index, file] of files.entries()) {
+        attachments.push(await attachmentService.store(req.query.entityType, entity.id, file, {
+          scanStatus: scanStatuses[index]
+        }));
+      }
+
+      console.log(`API: Stored ${attachments.length} attachments`);
+      return res.status(201).json({
+        success: true,
+        data: {
+          count: attachments.length,
+          rows: attachments
+        }
+      });
+    } catch (error) {
+      console.error('Error uploading attachments:', error.message, error.stack);
+      return res.status(500).json({
+        success: false,
+        error: 'Server error uploading attachments'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/attachments/:id/url
+ * @desc    Short-lived signed download URL of a file ({ url, expiresAt })
+ * @access  Private
+ */
+router.get('/:id/url', loadAttachment, requireEntityPermission('read'), async (req, res) => {
+  try {
+    const entity = await findEntity(req, req.attachment.entityType, req.attachment.entityId);
+    if (!entity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+
+    const download = await attachmentService.getDownloadUrl(req.attachment);
+
+    return res.json({
+      success: true,
+      data: download
+    });
+  } catch (error) {
+    console.error('Error signing attachment URL:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error signing attachment URL'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/attachments/:id
+ * @desc    Delete a file; its storage is freed. Files of qualitative objectives
+ *          are only deleted by their uploader or by users managing objectives
+ * @access  Private
+ */
+router.delete('/:id', loadAttachment, requireEntityPermission('write'), async (req, res) => {
+  try {
+    const entity = await findEntity(req, req.attachment.entityType, req.attachment.entityId);
+    if (!entity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+
+    if (!canDelete(req, req.attachment)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - Only the uploader can delete this file'
+      });
+    }
+
+    await attachmentService.remove(req.attachment);
+
+    console.log('API: Deleted attachment', req.attachment.id);
+    return res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting attachment:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error deleting attachment'
+    });
+  }
+});
+
+module.exports = router;
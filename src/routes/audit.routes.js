@@ -0,0 +1,106 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const router = express.Router();
+const { AuditLog } = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission } = require('../middleware/permissions');
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
+
+/**
+ * @route   GET /api/audit
+ * @desc    Get the audit log of the tenant, newest first. Filters: entity, entityId
+ *          (both accept comma-separated lists), actor (Auth0 user ID or email), action, from, to
+ * @access  Private
+ */
+router.get('/', requirePermission('audit:read'), async (req, res) => {
+  try {
+    console.log('API: Fetching audit log with query params:', req.query);
+
+    const {
+      entity,
+      entityId,
+      actor,
+      action,
+      from,
+      to,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    const whereClause = {};
+
+    if (entity) {
+      whereClause.entity = entity.split(',');
+    }
+
+    if (entityId) {
+      whereClause.entityId = entityId.split(',');
+    }
+
+    if (actor) {
+      whereClause[Op.or] = [
+        { actorId: actor },
+        { actorEmail: { [Op.iLike]: `%${actor}%` } }
+      ];
+    }
+
+    if (action) {
+      if (!['create', 'update', 'delete', 'restore'].includes(action)) {
+        return res.status(400).json({
+          success: false,
+          error: 'action must be one of create, update, delete or restore'
+        });
+      }
+      whereClause.action = action;
+    }
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({
+          success: false,
+          error: 'from and to must be valid dates'
+        });
+      }
+
+      whereClause.createdAt = {};
+      if (fromDate) whereClause.createdAt[Op.gte] = fromDate;
+      // A date without time includes the whole day
+      if (toDate) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setUTCDate(toDate.getUTCDate() + 1);
+        whereClause.createdAt[Op.lt] = toDate;
+      }
+    }
+
+    const pageSize = Math.min(parseInt(limit, 10) || 50, 200);
+    const offset = (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize;
+
+    const entries = await AuditLog.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit: pageSize,
+      offset
+    });
+
+    return res.json({
+      success: true,
+      data: {
+        count: entries.count,
+        rows: entries.rows
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching audit log'
+    });
+  }
+});
+
+module.exports = router;
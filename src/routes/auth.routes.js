@@ -1,6 +1,9 @@
 const express = require('express');
 const { checkJwt } = require('../middleware/auth');
+const { TENANT_HEADER, findMembership } = require('../middleware/tenant');
 const { TenantUser, Tenant } = require('../models');
+const invitationService = require('../services/invitations');
+const domainJoinService = require('../services/domainJoin');
 
 const router = express.Router();
 
@@ -9,7 +12,7 @@ const router = express.Router();
  */
 router.post('/sync-user', checkJwt, async (req, res) => {
   try {
-    const { auth0UserId, email, name, picture } = req.body;
+    const { auth0UserId, email, name, picture, invitationToken } = req.body;
     const user = req.user;
 
     // Verificar que el usuario de Auth0 coincide
@@ -19,19 +22,59 @@ router.post('/sync-user', checkJwt, async (req, res) => {
       });
     }
 
-    // Buscar usuario existente en Supabase
-    let tenantUser = await TenantUser.findOne({
-      where: { 
-        auth0UserId: auth0UserId,
-        status: 'active'
-      },
-      include: [{
-        model: Tenant,
-        as: 'tenant',
-        where: { status: 'active' },
-        required: true
-      }]
-    });
+    // Buscar usuario existente en Supabase (su membresía más antigua)
+    let tenantUser = await findMembership(auth0UserId);
+
+    // Si no existe, aceptar una invitación pendiente antes de crear un tenant propio.
+    // Por email solo se vincula si el email viene verificado en el token de Auth0.
+    if (!tenantUser) {
+      let invitation = null;
+      if (invitationToken) {
+        invitation = await invitationService.findByToken(invitationToken);
+      }
+      if (!invitation && user.email && user.email_verified === true) {
+        invitation = await invitationService.findPendingByEmail(user.email);
+      }
+
+      if (invitation) {
+        tenantUser = await invitationService.accept(invitation, auth0UserId);
+      }
+    }
+
+    // Si el dominio del email (verificado) coincide con el de un tenant, unirse a él
+    // en lugar de crear un tenant propio: directo o pendiente de aprobación del admin.
+    if (!tenantUser) {
+      let joinRequest = await domainJoinService.findPendingRequest(auth0UserId);
+
+      if (!joinRequest && user.email && user.email_verified === true) {
+        const domainTenant = await domainJoinService.findTenantForEmail(user.email);
+        if (domainTenant) {
+          joinRequest = await domainJoinService.join(domainTenant, {
+            auth0UserId,
+            email: user.email
+          });
+        }
+      }
+
+      if (joinRequest && joinRequest.status === 'active') {
+        tenantUser = joinRequest;
+      } else if (joinRequest) {
+        return res.status(202).json({
+          success: true,
+          pendingApproval: true,
+          user: {
+            id: joinRequest.id,
+            email: joinRequest.email,
+            role: joinRequest.role,
+            status: joinRequest.status
+          },
+          tenant: {
+            id: joinRequest.tenant.id,
+            name: joinRequest.tenant.name
+          }
+        });
+      }
+    }
 
     // Si no existe, crear nuevo tenant y usuario
     if (!tenantUser) {
@@ -103,24 +146,96 @@ router.post('/sync-user', checkJwt, async (req, res) => {
 });
 
 /**
- * Obtener información del usuario actual
+ * Previsualizar una invitación (público, el token es la credencial)
  */
-router.get('/me', checkJwt, async (req, res) => {
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await invitationService.findByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.invitationExpiresAt,
+        tenant: {
+          id: invitation.tenant.id,
+          name: invitation.tenant.name
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting invitation:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Aceptar una invitación con el usuario de Auth0 actual
+ */
+router.post('/invitations/accept', checkJwt, async (req, res) => {
   try {
+    const { token } = req.body;
     const user = req.user;
 
-    const tenantUser = await TenantUser.findOne({
-      where: { 
-        auth0UserId: user.sub,
-        status: 'active'
+    if (!token) {
+      return res.status(400).json({
+        error: 'Invitation token is required'
+      });
+    }
+
+    const invitation = await invitationService.findByToken(token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        error: 'Invitation is invalid or has expired'
+      });
+    }
+
+    if (await invitationService.hasMembership(invitation.tenantId, user.sub)) {
+      return res.status(409).json({
+        error: 'User already belongs to this tenant'
+      });
+    }
+
+    const tenantUser = await invitationService.accept(invitation, user.sub);
+
+    res.json({
+      success: true,
+      user: {
+        id: tenantUser.id,
+        email: tenantUser.email,
+        role: tenantUser.role,
+        status: tenantUser.status
       },
-      include: [{
-        model: Tenant,
-        as: 'tenant',
-        where: { status: 'active' },
-        required: true
-      }]
+      tenant: {
+        id: tenantUser.tenant.id,
+        name: tenantUser.tenant.name
+      }
     });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Obtener información del usuario actual
+ */
+router.get('/me', checkJwt, async (req, res) => {
+  try {
+    const user = req.user;
+
+    const tenantUser = await findMembership(user.sub, req.get(TENANT_HEADER));
 
     if (!tenantUser) {
       return res.status(404).json({
@@ -153,4 +268,42 @@ router.get('/me', checkJwt, async (req, res) => {
   }
 });
 
+/**
+ * Listar los tenants activos a los que pertenece el usuario actual
+ */
+router.get('/memberships', checkJwt, async (req, res) => {
+  try {
+    const memberships = await TenantUser.findAll({
+      where: {
+        auth0UserId: req.user.sub,
+        status: 'active'
+      },
+      include: [{
+        model: Tenant,
+        as: 'tenant',
+        where: { status: 'active' },
+        required: true
+      }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      memberships: memberships.map(membership => ({
+        id: membership.id,
+        role: membership.role,
+        tenant: {
+          id: membership.tenant.id,
+          name: membership.tenant.name,
+          plan: membership.tenant.plan
+        }
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting memberships:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,479 @@
+const express = require('express');
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const router = express.Router();
+const { ClientAction, Client, Salesperson, Technician } = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const {
+  requirePermission,
+  hasPermission,
+  canAccessOwn,
+  getOwnRecords
+} = require('../middleware/permissions');
+const clientActionService = require('../services/clientActions');
+const teamService = require('../services/teams');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ESTADOS = ['pendiente', 'en_progreso', 'completada', 'cancelada'];
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
+
+/**
+ * Validation schema for creating a client action
+ */
+const clientActionSchema = Joi.object({
+  clientId: Joi.string().uuid().required(),
+  accion: Joi.string().required().trim().max(2000),
+  vendedorId: Joi.string().uuid().allow(null, ''),
+  tecnicoId: Joi.string().uuid().allow(null, ''),
+  prioridad: Joi.string().valid('baja', 'media', 'alta').default('media'),
+  fechaVencimiento: Joi.date().iso().allow(null, '')
+});
+
+/**
+ * Validation schema for updating a client action; its status changes through transitions
+ */
+const clientActionUpdateSchema = Joi.object({
+  accion: Joi.string().trim().max(2000),
+  vendedorId: Joi.string().uuid().allow(null, ''),
+  tecnicoId: Joi.string().uuid().allow(null, ''),
+  prioridad: Joi.string().valid('baja', 'media', 'alta'),
+  fechaVencimiento: Joi.date().iso().allow(null, '')
+}).min(1);
+
+/**
+ * Validation schema for a comment
+ */
+const commentSchema = Joi.object({
+  comment: Joi.string().required().trim().max(2000)
+});
+
+/**
+ * Empty assignees and due dates are stored as null
+ */
+const normalize = (value) => {
+  const normalized = { ...value };
+  ['vendedorId', 'tecnicoId', 'fechaVencimiento'].forEach(field => {
+    if (normalized[field] === '') normalized[field] = null;
+  });
+  return normalized;
+};
+
+const BOTH_ASSIGNEES_ERROR = 'An action is assigned to a salesperson or a technician, not both';
+
+/**
+ * Check that the assignee belongs to the current tenant
+ * @returns {Promise<string|null>} Error message, or null if the assignee is valid
+ */
+const findInvalidAssignee = async ({ vendedorId, tecnicoId }) => {
+  if (vendedorId && !(await Salesperson.findByPk(vendedorId))) {
+    return 'Salesperson not found';
+  }
+  if (tecnicoId && !(await Technician.findByPk(tecnicoId))) {
+    return 'Technician not found';
+  }
+  return null;
+};
+
+/**
+ * Whether the action is assigned to the signed-in user's salesperson or technician
+ */
+const isAssignee = (req, action) => {
+  const own = getOwnRecords(req.tenantUser);
+  return Boolean(
+    (action.vendedorId && action.vendedorId === own.salespersonId) ||
+    (action.tecnicoId && action.tecnicoId === own.technicianId)
+  );
+};
+
+/**
+ * Whether the request may see an action: its client is visible, or it is assigned to the user
+ */
+const canSee = (req, action) => isAssignee(req, action) ||
+  canAccessOwn(req, { salespersonId: action.cliente?.vendedorId, technicianId: action.cliente?.tecnicoId });
+
+/**
+ * Whether an action is within the teams a manager is limited to: assigned to
+ * one of their members or about a client of one of them
+ */
+const isInTeamScope = async (req, action) => {
+  const { salespersonIds } = await teamService.resolveScope(req);
+  return !salespersonIds || [action.vendedorId, action.cliente?.vendedorId]
+    .some(salespersonId => salespersonId && salespersonIds.includes(salespersonId));
+};
+
+/**
+ * Whether the request may change the status of an action or comment on it:
+ * users who may edit clients, and the assignee
+ */
+const canWork = (req, action) => hasPermission(req, 'clients:write') || isAssignee(req, action);
+
+/**
+ * Where condition restricting actions to those of the user's clients or
+ * assigned to the user, or null when the request has full access
+ */
+const ownActionWhere = (req) => {
+  if (req.permissionScope !== 'own') return null;
+
+  const own = req.ownRecords || {};
+  const conditions = [];
+  if (own.salespersonId) {
+    conditions.push({ vendedorId: own.salespersonId }, { '$cliente.vendedorId$': own.salespersonId });
+  }
+  if (own.technicianId) {
+    conditions.push({ tecnicoId: own.technicianId }, { '$cliente.tecnicoId$': own.technicianId });
+  }
+
+  // No linked records: match nothing
+  return conditions.length > 0 ? { [Op.or]: conditions } : { id: null };
+};
+
+/**
+ * Load an action the request may see, answering 404 otherwise
+ * @returns {Promise<Object|null>} The action, or null when a response was sent
+ */
+const findVisibleAction = async (req, res) => {
+  const action = UUID_PATTERN.test(req.params.id) ? await clientActionService.findById(req.params.id) : null;
+
+  if (!action || !canSee(req, action) || !(isAssignee(req, action) || await isInTeamScope(req, action))) {
+    res.status(404).json({
+      success: false,
+      error: 'Action not found'
+    });
+    return null;
+  }
+
+  return action;
+};
+
+/**
+ * @route   GET /api/client-actions
+ * @desc    Client actions, overdue and high priority first. Filters: `clientId` or
+ *          `clientIds` (comma-separated), assignee `vendedorId` or `tecnicoId`, `estado`
+ *          (comma-separated) and `overdue=true` for open actions past their due date
+ * @access  Private
+ */
+router.get('/', requirePermission('clients:read'), async (req, res) => {
+  try {
+    console.log('API: Fetching client actions with query params:', req.query);
+
+    const { clientId, clientIds, vendedorId, tecnicoId, estado, overdue } = req.query;
+    const ids = clientIds ? clientIds.split(',') : [];
+    const estados = estado ? estado.split(',') : [];
+
+    if ([clientId, vendedorId, tecnicoId, ...ids].some(id => id && !UUID_PATTERN.test(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'clientId, clientIds, vendedorId and tecnicoId must be IDs'
+      });
+    }
+
+    if (estados.some(value => !ESTADOS.includes(value))) {
+      return res.status(400).json({
+        success: false,
+        error: `estado must be one of ${ESTADOS.join(', ')}`
+      });
+    }
+
+    const conditions = [clientActionService.statusWhere({ estados, overdue: overdue === 'true' })];
+    if (clientId) conditions.push({ clientId });
+    if (ids.length > 0) conditions.push({ clientId: ids });
+    if (vendedorId) conditions.push({ vendedorId });
+    if (tecnicoId) conditions.push({ tecnicoId });
+
+    // Users limited to their own data see the actions of their clients and those assigned to them
+    const ownWhere = ownActionWhere(req);
+    if (ownWhere) conditions.push(ownWhere);
+
+    // Managers limited to their teams see the actions of their members and their
+    // clients, and those assigned to them
+    const scope = await teamService.resolveScope(req);
+    if (scope.salespersonIds) {
+      const own = getOwnRecords(req.tenantUser);
+      conditions.push({
+        [Op.or]: [
+          { vendedorId: scope.salespersonIds },
+          { '$cliente.vendedorId$': scope.salespersonIds },
+          ...(own.salespersonId ? [{ vendedorId: own.salespersonId }] : []),
+          ...(own.technicianId ? [{ tecnicoId: own.technicianId }] : [])
+        ]
+      });
+    }
+
+    const rows = await clientActionService.findAll({ [Op.and]: conditions });
+
+    return res.json({
+      success: true,
+      data: {
+        count: rows.length,
+        rows
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching client actions:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching client actions'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/client-actions/:id
+ * @desc    Get a client action with its comments
+ * @access  Private
+ */
+router.get('/:id', requirePermission('clients:read'), async (req, res) => {
+  try {
+    console.log(`API: Fetching client action with ID: ${req.params.id}`);
+
+    const action = await findVisibleAction(req, res);
+    if (!action) return undefined;
+
+    return res.json({
+      success: true,
+      data: clientActionService.toJSON(action)
+    });
+  } catch (error) {
+    console.error('Error fetching client action:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching client action'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/client-actions
+ * @desc    Create an action for a client, assigned to a salesperson or technician
+ * @access  Private
+ */
+router.post('/', requirePermission('clients:write'), async (req, res) => {
+  try {
+    console.log('API: Creating client action with data:', JSON.stringify(req.body));
+
+    const { error, value } = clientActionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (value.vendedorId && value.tecnicoId) {
+      return res.status(400).json({
+        success: false,
+        error: BOTH_ASSIGNEES_ERROR
+      });
+    }
+
+    const client = await Client.findByPk(value.clientId);
+    if (!client || !(await teamService.canAccessSalesperson(req, client.vendedorId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Client not found'
+      });
+    }
+
+    const assigneeError = await findInvalidAssignee(value);
+    if (assigneeError) {
+      return res.status(404).json({
+        success: false,
+        error: assigneeError
+      });
+    }
+
+    const created = await ClientAction.create({
+      ...normalize(value),
+      createdBy: req.tenantUser.email
+    });
+    const action = await clientActionService.findById(created.id);
+
+    console.log(`API: Created client action: ${action.id}`);
+    return res.status(201).json({
+      success: true,
+      data: clientActionService.toJSON(action)
+    });
+  } catch (error) {
+    console.error('Error creating client action:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error creating client action'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/client-actions/:id
+ * @desc    Update the description, assignee, priority or due date of a client action
+ * @access  Private
+ */
+router.put('/:id', requirePermission('clients:write'), async (req, res) => {
+  try {
+    console.log(`API: Updating client action with ID: ${req.params.id}`);
+
+    const { error, value } = clientActionUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (value.vendedorId && value.tecnicoId) {
+      return res.status(400).json({
+        success: false,
+        error: BOTH_ASSIGNEES_ERROR
+      });
+    }
+
+    const action = await findVisibleAction(req, res);
+    if (!action) return undefined;
+
+    const updates = normalize(value);
+    // Assigning a salesperson unassigns the technician, and the other way round
+    if (updates.vendedorId) updates.tecnicoId = null;
+    if (updates.tecnicoId) updates.vendedorId = null;
+
+    const assigneeError = await findInvalidAssignee(updates);
+    if (assigneeError) {
+      return res.status(404).json({
+        success: false,
+        error: assigneeError
+      });
+    }
+
+    await action.update(updates);
+    await action.reload();
+
+    console.log(`API: Updated client action: ${action.id}`);
+    return res.json({
+      success: true,
+      data: clientActionService.toJSON(action)
+    });
+  } catch (error) {
+    console.error('Error updating client action:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error updating client action'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/client-actions/:id/:transition
+ * @desc    Change the status of a client action (`start`, `complete`, `cancel` or
+ *          `reopen`) with an optional `comment`. Allowed to users who may edit
+ *          clients and to the action's assignee
+ * @access  Private
+ */
+router.post('/:id/:transition(start|complete|cancel|reopen)', requirePermission('clients:read'), async (req, res) => {
+  try {
+    const { transition } = req.params;
+    console.log(`API: Applying ${transition} to client action ${req.params.id}`);
+
+    const action = await findVisibleAction(req, res);
+    if (!action) return undefined;
+
+    if (!canWork(req, action)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - Only the assignee or users who may edit clients can change this action'
+      });
+    }
+
+    const transitionError = clientActionService.validateTransition(action, transition);
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        error: transitionError
+      });
+    }
+
+    await clientActionService.transition(action, transition, req.body && req.body.comment);
+    const updated = await clientActionService.findById(action.id);
+
+    return res.json({
+      success: true,
+      data: clientActionService.toJSON(updated)
+    });
+  } catch (error) {
+    console.error('Error changing client action status:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error changing client action status'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/client-actions/:id/comments
+ * @desc    Comment on a client action. Allowed to users who may edit clients and to the assignee
+ * @access  Private
+ */
+router.post('/:id/comments', requirePermission('clients:read'), async (req, res) => {
+  try {
+    const { error, value } = commentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const action = await findVisibleAction(req, res);
+    if (!action) return undefined;
+
+    if (!canWork(req, action)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - Only the assignee or users who may edit clients can comment on this action'
+      });
+    }
+
+    const comment = await clientActionService.addComment(action, value.comment);
+
+    return res.status(201).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    console.error('Error commenting on client action:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error commenting on client action'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/client-actions/:id
+ * @desc    Delete a client action and its comments
+ * @access  Private
+ */
+router.delete('/:id', requirePermission('clients:write'), async (req, res) => {
+  try {
+    console.log(`API: Deleting client action with ID: ${req.params.id}`);
+
+    const action = await findVisibleAction(req, res);
+    if (!action) return undefined;
+
+    await action.destroy();
+
+    return res.json({
+      success: true,
+      message: 'Action deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting client action:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error deleting client action'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,14 @@ const express = require('express');
 const Joi = require('joi');
 const router = express.Router();
 const { ClientService, Client, Service, sequelize } = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { Op } = require('sequelize');
+const { requirePermission, canAccessOwn, ownClientWhere } = require('../middleware/permissions');
+const teamService = require('../services/teams');
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
 
 /**
  * Validation schema for creating/updating a client-service association
@@ -10,15 +18,47 @@ const clientServiceSchema = Joi.object({
   clientId: Joi.string().uuid().required(),
   servicioId: Joi.string().uuid().required(),
   fechaAsignacion: Joi.date().default(() => new Date()),
-  notas: Joi.string().allow('').max(500)
+  notas: Joi.string().allow('').max(500),
+  precioNegociado: Joi.number().min(0).allow(null),
+  cantidad: Joi.number().integer().min(1).default(1),
+  fechaInicio: Joi.date().iso().allow(null),
+  fechaFin: Joi.date().iso().allow(null),
+  fechaRenovacion: Joi.date().iso().allow(null),
+  renovacionAutomatica: Joi.boolean().default(false),
+  diasPreaviso: Joi.number().integer().min(0).allow(null)
 });
 
+/**
+ * Validation schema for updating the notes, commercial and renewal terms of a client-service association
+ */
+const clientServiceUpdateSchema = Joi.object({
+  notas: Joi.string().allow('').max(500),
+  precioNegociado: Joi.number().min(0).allow(null),
+  cantidad: Joi.number().integer().min(1),
+  fechaInicio: Joi.date().iso().allow(null),
+  fechaFin: Joi.date().iso().allow(null),
+  fechaRenovacion: Joi.date().iso().allow(null),
+  renovacionAutomatica: Joi.boolean(),
+  diasPreaviso: Joi.number().integer().min(0).allow(null)
+}).min(1);
+
+/**
+ * Whether a client is within the teams a manager is limited to
+ * @param {Object} req - Express request
+ * @param {String} clientId - Client
+ * @param {Object} [options] - { transaction }
+ */
+const isClientInTeamScope = async (req, clientId, options = {}) => {
+  const client = await Client.findByPk(clientId, options);
+  return Boolean(client) && teamService.canAccessSalesperson(req, client.vendedorId);
+};
+
 /**
  * @route   POST /api/cliente-servicios
  * @desc    Create a new client-service association
  * @access  Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('clients:write'), async (req, res) => {
   let transaction;
   
   try {
@@ -37,9 +77,16 @@ router.post('/', async (req, res) => {
     // Log the validated data
     console.log('[DEBUG-SERVER] Validated data:', JSON.stringify(value));
     
+    if (value.fechaInicio && value.fechaFin && value.fechaFin < value.fechaInicio) {
+      return res.status(400).json({
+        success: false,
+        error: 'fechaFin must not be before fechaInicio'
+      });
+    }
+    
     // Check if client exists
     const client = await Client.findByPk(value.clientId);
-    if (!client) {
+    if (!client || !(await teamService.canAccessSalesperson(req, client.vendedorId))) {
       console.log('[DEBUG-SERVER] Client not found with ID:', value.clientId);
       return res.status(404).json({
         success: false,
@@ -88,7 +135,14 @@ router.post('/', async (req, res) => {
         clientId: value.clientId,
         servicioId: value.servicioId,
         fechaAsignacion: value.fechaAsignacion ? new Date(value.fechaAsignacion) : new Date(),
-        notas: value.notas || ''
+        notas: value.notas || '',
+        precioNegociado: value.precioNegociado ?? null,
+        cantidad: value.cantidad,
+        fechaInicio: value.fechaInicio || null,
+        fechaFin: value.fechaFin || null,
+        fechaRenovacion: value.fechaRenovacion || null,
+        renovacionAutomatica: value.renovacionAutomatica,
+        diasPreaviso: value.diasPreaviso ?? null
       };
       
       console.log('[DEBUG-SERVER] Creating association with data:', JSON.stringify(creationData));
@@ -152,13 +206,14 @@ router.post('/', async (req, res) => {
  * @desc    Get all services for a specific client
  * @access  Private
  */
-router.get('/cliente/:clientId', async (req, res) => {
+router.get('/cliente/:clientId', requirePermission('clients:read'), async (req, res) => {
   try {
     console.log(`API: Fetching services for client: ${req.params.clientId}`);
     
     // Check if client exists
     const client = await Client.findByPk(req.params.clientId);
-    if (!client) {
+    if (!client || !canAccessOwn(req, { salespersonId: client.vendedorId, technicianId: client.tecnicoId }) ||
+      !(await teamService.canAccessSalesperson(req, client.vendedorId))) {
       return res.status(404).json({
         success: false,
         error: 'Client not found'
@@ -206,7 +261,7 @@ router.get('/cliente/:clientId', async (req, res) => {
  * @desc    Get all clients for a specific service
  * @access  Private
  */
-router.get('/service/:servicioId', async (req, res) => {
+router.get('/service/:servicioId', requirePermission('clients:read'), async (req, res) => {
   try {
     console.log(`API: Fetching clients for service: ${req.params.servicioId}`);
     
@@ -219,6 +274,11 @@ router.get('/service/:servicioId', async (req, res) => {
       });
     }
     
+    // Users limited to their own data only see their assigned clients, managers
+    // limited to their teams the clients of their members
+    const scope = await teamService.resolveScope(req);
+    const clientConditions = [ownClientWhere(req), scope.salespersonIds && { vendedorId: scope.salespersonIds }].filter(Boolean);
+    
     try {
       // Fetch service clients with the correct field name
     const serviceClients = await ClientService.findAll({
@@ -228,7 +288,8 @@ router.get('/service/:servicioId', async (req, res) => {
       include: [
         {
           model: Client,
-          as: 'cliente'
+          as: 'cliente',
+          ...(clientConditions.length > 0 && { where: { [Op.and]: clientConditions } })
         }
       ]
     });
@@ -260,19 +321,18 @@ router.get('/service/:servicioId', async (req, res) => {
  * @desc    Update a client-service association
  * @access  Private
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('clients:write'), async (req, res) => {
   let transaction;
   
   try {
     console.log(`API: Updating client-service association with ID: ${req.params.id}`);
     
-    // We only allow updating notes for a client-service association
-    const { notas } = req.body;
-    
-    if (notas === undefined) {
+    // Only the notes, commercial and renewal terms of an association can change
+    const { error, value } = clientServiceUpdateSchema.validate(req.body);
+    if (error) {
       return res.status(400).json({
         success: false,
-        error: 'Notes field is required'
+        error: error.message
       });
     }
     
@@ -282,7 +342,7 @@ router.put('/:id', async (req, res) => {
     // Find association
     const association = await ClientService.findByPk(req.params.id, { transaction });
     
-    if (!association) {
+    if (!association || !(await isClientInTeamScope(req, association.clientId, { transaction }))) {
       await transaction.rollback();
       return res.status(404).json({
         success: false,
@@ -290,8 +350,18 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    const fechaInicio = value.fechaInicio !== undefined ? value.fechaInicio : association.fechaInicio;
+    const fechaFin = value.fechaFin !== undefined ? value.fechaFin : association.fechaFin;
+    if (fechaInicio && fechaFin && new Date(fechaFin) < new Date(fechaInicio)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        error: 'fechaFin must not be before fechaInicio'
+      });
+    }
+    
     // Update association
-    await association.update({ notas }, { transaction });
+    await association.update(value, { transaction });
     
     // Commit transaction
     await transaction.commit();
@@ -318,7 +388,7 @@ router.put('/:id', async (req, res) => {
  * @desc    Delete a client-service association
  * @access  Private
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('clients:write'), async (req, res) => {
   let transaction;
   
   try {
@@ -330,7 +400,7 @@ router.delete('/:id', async (req, res) => {
     // Find association
     const association = await ClientService.findByPk(req.params.id, { transaction });
     
-    if (!association) {
+    if (!association || !(await isClientInTeamScope(req, association.clientId, { transaction }))) {
       await transaction.rollback();
       return res.status(404).json({
         success: false,
@@ -366,7 +436,7 @@ router.delete('/:id', async (req, res) => {
  * @desc    Delete a client-service association by client and service IDs
  * @access  Private
  */
-router.delete('/cliente/:clientId/service/:servicioId', async (req, res) => {
+router.delete('/cliente/:clientId/service/:servicioId', requirePermission('clients:write'), async (req, res) => {
   let transaction;
   
   try {
@@ -384,7 +454,7 @@ router.delete('/cliente/:clientId/service/:servicioId', async (req, res) => {
       transaction
     });
     
-    if (!association) {
+    if (!association || !(await isClientInTeamScope(req, association.clientId, { transaction }))) {
       await transaction.rollback();
       console.log('[DEBUG-SERVER] Client-service association not found for delete operation');
       return res.status(404).json({
@@ -423,13 +493,14 @@ router.delete('/cliente/:clientId/service/:servicioId', async (req, res) => {
  * @desc    Get count of services for a specific client
  * @access  Private
  */
-router.get('/cliente/:clientId/count', async (req, res) => {
+router.get('/cliente/:clientId/count', requirePermission('clients:read'), async (req, res) => {
   try {
     console.log(`API: Fetching service count for client: ${req.params.clientId}`);
     
     // Check if client exists
     const client = await Client.findByPk(req.params.clientId);
-    if (!client) {
+    if (!client || !canAccessOwn(req, { salespersonId: client.vendedorId, technicianId: client.tecnicoId }) ||
+      !(await teamService.canAccessSalesperson(req, client.vendedorId))) {
       return res.status(404).json({
         success: false,
         error: 'Client not found'
@@ -468,10 +539,10 @@ router.get('/cliente/:clientId/count', async (req, res) => {
 
 /**
  * @route   POST /api/cliente-servicios/health-check
- * @desc    Check and fix any inconsistencies in client-service associations
+ * @desc    Check and fix any inconsistencies in the tenant's client-service associations
  * @access  Private
  */
-router.post('/health-check', async (req, res) => {
+router.post('/health-check', requirePermission('clients:write'), async (req, res) => {
   let transaction;
   let report = {
     issues: [],
@@ -3,6 +3,22 @@ const Joi = require('joi');
 const { Op } = require('sequelize');
 const router = express.Router();
 const { Client, Salesperson, Technician, Service, ClientService } = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission, canAccessOwn, ownClientWhere } = require('../middleware/permissions');
+const trashService = require('../services/trash');
+const periodService = require('../services/periods');
+const teamService = require('../services/teams');
+const revenueService = require('../services/revenue');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Clients in a page of the client matrix: by default, and at most
+const MATRIX_DEFAULT_LIMIT = 100;
+const MATRIX_MAX_LIMIT = 2000;
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
 
 /**
  * Validation schema for creating/updating a client
@@ -15,18 +31,41 @@ const clienteSchema = Joi.object({
   telefono: Joi.string().max(20).allow(null, ''),
   direccion: Joi.string().max(200).allow(null, ''),
   contratoSoporte: Joi.boolean().default(false),
+  contratoFechaInicio: Joi.date().iso().allow(null),
+  contratoFechaFin: Joi.date().iso().allow(null).when('contratoFechaInicio', {
+    is: Joi.date().required(),
+    then: Joi.date().min(Joi.ref('contratoFechaInicio'))
+  }),
+  contratoRenovacionAutomatica: Joi.boolean(),
+  contratoDiasPreaviso: Joi.number().integer().min(0).allow(null),
   fechaUltimoRelevamiento: Joi.date().allow(null, ''),
   linkDocumentoRelevamiento: Joi.string().allow(null, ''),
-  accionesPendientes: Joi.object().allow(null),
   notas: Joi.string().allow('').max(1000)
 });
 
+/**
+ * Check that the referenced salesperson and technician belong to the current tenant
+ * @param {Object} value - Validated client data
+ * @returns {Promise<string|null>} Error message, or null if all references are valid
+ */
+const findInvalidReference = async (value) => {
+  if (value.vendedorId && !(await Salesperson.findByPk(value.vendedorId))) {
+    return 'Salesperson not found';
+  }
+  
+  if (value.tecnicoId && !(await Technician.findByPk(value.tecnicoId))) {
+    return 'Technician not found';
+  }
+  
+  return null;
+};
+
 /**
  * @route   POST /api/clientes
  * @desc    Create a new client
  * @access  Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('clients:write'), async (req, res) => {
   try {
     console.log('API: Creating client with data:', JSON.stringify(req.body));
     
@@ -41,6 +80,15 @@ router.post('/', async (req, res) => {
       });
     }
     
+    // Referenced salesperson/technician must exist in this tenant
+    const referenceError = await findInvalidReference(value);
+    if (referenceError) {
+      return res.status(404).json({
+        success: false,
+        error: referenceError
+      });
+    }
+    
     // Check if a client with the same name and salesperson already exists
     const existingClient = await Client.findOne({
       where: {
@@ -85,34 +133,91 @@ router.post('/', async (req, res) => {
 
 /**
  * @route   GET /api/clientes/summary
- * @desc    Get client summary statistics for dashboard
+ * @desc    Get client summary statistics for dashboard, with the clients and services added in `period`,
+ *          optionally for the clients of a team's members (`teamId`)
  * @access  Private
  */
-router.get('/summary', async (req, res) => {
+router.get('/summary', requirePermission('clients:read'), async (req, res) => {
   try {
     console.log('API: Fetching client summary data for dashboard');
     
+    const period = periodService.parseForTenant(req.query.period, req.tenant);
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        error: 'period must be month, quarter, half, year, YYYY-MM, FYyyyy, FYyyyy-Qn or FYyyyy-Hn'
+      });
+    }
+    
+    if (req.query.teamId && !teamService.isValidId(req.query.teamId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'teamId must be a team ID'
+      });
+    }
+    
+    // Managers of a team only see the clients of its members
+    const scope = await teamService.resolveScope(req, { teamId: req.query.teamId });
+    if (scope.forbidden) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - Not a manager of this team'
+      });
+    }
+    
+    // Users limited to their own data only see their assigned clients
+    const ownWhere = scope.salespersonIds
+      ? { ...ownClientWhere(req), vendedorId: scope.salespersonIds }
+      : ownClientWhere(req);
+    
     // Get total number of clients
-    const totalClients = await Client.count();
+    const totalClients = await Client.count({ where: ownWhere || {} });
     
     // Get number of clients with active service contracts
     const activeServiceContracts = await Client.count({
       where: {
+        ...ownWhere,
         contratoSoporte: true
       }
     });
     
     // Get total number of services (client-service relationships)
-    const totalServices = await ClientService.count();
+    const totalServices = ownWhere
+      ? await ClientService.count({
+          include: [{ model: Client, as: 'cliente', where: ownWhere, attributes: [] }]
+        })
+      : await ClientService.count();
+    
+    // Clients added and services assigned within the period
+    const periodStart = new Date(`${period.startDate}T00:00:00`);
+    const periodEnd = new Date(`${period.endDate}T23:59:59.999`);
+    
+    const newClients = await Client.count({
+      where: {
+        ...ownWhere,
+        createdAt: { [Op.between]: [periodStart, periodEnd] }
+      }
+    });
+    
+    const servicesInPeriod = { fechaAsignacion: { [Op.between]: [periodStart, periodEnd] } };
+    const newServices = ownWhere
+      ? await ClientService.count({
+          where: servicesInPeriod,
+          include: [{ model: Client, as: 'cliente', where: ownWhere, attributes: [] }]
+        })
+      : await ClientService.count({ where: servicesInPeriod });
     
-    console.log(`API: Client summary - Total clients: ${totalClients}, Active contracts: ${activeServiceContracts}, Total services: ${totalServices}`);
+    console.log(`API: Client summary - Total clients: ${totalClients}, Active contracts: ${activeServiceContracts}, Total services: ${totalServices}, New in ${period.key}: ${newClients} clients, ${newServices} services`);
     
     return res.json({
       success: true,
       data: {
+        period: periodService.toJSON(period),
         totalClients,
         activeServiceContracts,
-        totalServices
+        totalServices,
+        newClients,
+        newServices
       }
     });
   } catch (error) {
@@ -124,12 +229,58 @@ router.get('/summary', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/clientes/revenue
+ * @desc    Get the recurring revenue (MRR and ARR) of the clients' services for dashboard, in total,
+ *          per salesperson and per service category, optionally for the clients of a team's members (`teamId`)
+ * @access  Private
+ */
+router.get('/revenue', requirePermission('clients:read'), async (req, res) => {
+  try {
+    console.log('API: Fetching client revenue for dashboard');
+    
+    if (req.query.teamId && !teamService.isValidId(req.query.teamId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'teamId must be a team ID'
+      });
+    }
+    
+    // Managers of a team only see the clients of its members
+    const scope = await teamService.resolveScope(req, { teamId: req.query.teamId });
+    if (scope.forbidden) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - Not a manager of this team'
+      });
+    }
+    
+    // Users limited to their own data only see their assigned clients
+    const ownWhere = scope.salespersonIds
+      ? { ...ownClientWhere(req), vendedorId: scope.salespersonIds }
+      : ownClientWhere(req);
+    
+    const revenue = await revenueService.getSummary(ownWhere || {});
+    
+    return res.json({
+      success: true,
+      data: revenue
+    });
+  } catch (error) {
+    console.error('Error fetching client revenue:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching client revenue'
+    });
+  }
+});
+
 /**
  * @route   GET /api/clientes
- * @desc    Get all clients with optional filters
+ * @desc    Get all clients with optional filters (`teamId` for the clients of a team's members)
  * @access  Private
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('clients:read'), async (req, res) => {
   try {
     console.log('API: Fetching clients with query:', req.query);
     
@@ -163,6 +314,33 @@ router.get('/', async (req, res) => {
       whereClause.contratoSoporte = contratoSoporte === 'true';
     }
     
+    if (req.query.teamId && !teamService.isValidId(req.query.teamId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'teamId must be a team ID'
+      });
+    }
+    
+    // Managers of a team only see the clients of its members
+    const scope = await teamService.resolveScope(req, { teamId: req.query.teamId });
+    if (scope.forbidden) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - Not a manager of this team'
+      });
+    }
+    if (scope.salespersonIds) {
+      whereClause.vendedorId = vendedorId
+        ? { [Op.eq]: vendedorId, [Op.in]: scope.salespersonIds }
+        : scope.salespersonIds;
+    }
+    
+    // Users limited to their own data only see their assigned clients
+    const ownWhere = ownClientWhere(req);
+    if (ownWhere) {
+      Object.assign(whereClause, ownWhere);
+    }
+    
     // Calculate offset for pagination
     const offset = (parseInt(page, 10) - 1) * parseInt(limit, 10);
     
@@ -176,7 +354,7 @@ router.get('/', async (req, res) => {
       // Only request the fields we know exist in the database
       const clients = await Client.findAll({
       where: whereClause,
-        attributes: ['id', 'nombre', 'vendedorId', 'tecnicoId', 'contratoSoporte', 'fechaUltimoRelevamiento', 'linkDocumentoRelevamiento', 'createdAt', 'updatedAt'],
+        attributes: ['id', 'nombre', 'vendedorId', 'tecnicoId', 'contratoSoporte', 'contratoFechaInicio', 'contratoFechaFin', 'contratoRenovacionAutomatica', 'contratoDiasPreaviso', 'fechaUltimoRelevamiento', 'linkDocumentoRelevamiento', 'createdAt', 'updatedAt'],
       include: [
         {
           model: Salesperson,
@@ -235,7 +413,7 @@ router.get('/', async (req, res) => {
  * @desc    Get a client by ID
  * @access  Private
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('clients:read'), async (req, res) => {
   try {
     console.log(`API: Fetching client with ID: ${req.params.id}`);
     
@@ -274,13 +452,14 @@ router.get('/:id', async (req, res) => {
           model: Service,
           as: 'servicios',
           through: {
-            attributes: ['id', 'fechaAsignacion']
+            attributes: ['id', 'fechaAsignacion', 'precioNegociado', 'cantidad', 'fechaInicio', 'fechaFin', 'fechaRenovacion', 'renovacionAutomatica', 'diasPreaviso']
           }
         }
       ]
     });
     
-    if (!client) {
+    if (!client || !canAccessOwn(req, { salespersonId: client.vendedorId, technicianId: client.tecnicoId }) ||
+      !(await teamService.canAccessSalesperson(req, client.vendedorId))) {
       return res.status(404).json({
         success: false,
         error: 'Client not found'
@@ -290,7 +469,11 @@ router.get('/:id', async (req, res) => {
     console.log(`API: Fetched client: ${client.id}`);
     return res.json({
       success: true,
-      data: client
+      data: {
+        ...client.toJSON(),
+        // MRR and ARR of its services, per currency and per service
+        revenue: revenueService.getClientRevenue(client.servicios)
+      }
     });
   } catch (error) {
     console.error('Error fetching client:', error.message, error.stack);
@@ -306,7 +489,7 @@ router.get('/:id', async (req, res) => {
  * @desc    Update a client
  * @access  Private
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('clients:write'), async (req, res) => {
   try {
     const { id } = req.params;
     console.log(`API: Updating client with ID: ${id}`);
@@ -339,6 +522,15 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    // Referenced salesperson/technician must exist in this tenant
+    const referenceError = await findInvalidReference(value);
+    if (referenceError) {
+      return res.status(404).json({
+        success: false,
+        error: referenceError
+      });
+    }
+    
     console.log(`API: Found client to update: ${client.id}`);
     console.log('API: Update data:', JSON.stringify(value));
     
@@ -368,10 +560,10 @@ router.put('/:id', async (req, res) => {
 
 /**
  * @route   DELETE /api/clientes/:id
- * @desc    Delete a client
+ * @desc    Move a client to the trash
  * @access  Private
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('clients:delete'), async (req, res) => {
   try {
     console.log(`API: Deleting client with ID: ${req.params.id}`);
     
@@ -390,22 +582,16 @@ router.delete('/:id', async (req, res) => {
         });
       }
       
-      // Delete associated client services
-      await ClientService.destroy({
-        where: { clientId: req.params.id },
-        transaction
-      });
-      
-      // Delete the client
-      await client.destroy({ transaction });
+      // Move the client to the trash, removing its services
+      await trashService.trash('Client', client, { transaction });
       
       // Commit transaction
       await transaction.commit();
       
-      console.log(`API: Deleted client: ${req.params.id}`);
+      console.log(`API: Moved client to the trash: ${req.params.id}`);
       return res.json({
         success: true,
-        message: 'Client deleted successfully'
+        message: 'Client moved to the trash'
       });
     } catch (error) {
       // Rollback transaction on error
@@ -422,18 +608,74 @@ router.delete('/:id', async (req, res) => {
 });
 
 /**
- * @route   GET /api/clientes/matrix
- * @desc    Get client matrix data (clients with services)
+ * @route   GET /api/clientes/matrix/data
+ * @desc    Get client matrix data in one request: a page of clients, the services and,
+ *          as a sparse matrix, their assignments (`cells`, one per assigned client and
+ *          service, with the ClientService notas, detalles and fechaAsignacion).
+ *          Filterable by salesperson (`vendedorId`), technician (`tecnicoId`), the
+ *          clients of a team's members (`teamId`), service category (`categoria`: the
+ *          category's services and the clients with one of them), support contract
+ *          (`contratoSoporte`) and client IDs (`clientIds`, comma-separated);
+ *          paginated with `page` and `limit`
  * @access  Private
  */
-router.get('/matrix/data', async (req, res) => {
+router.get('/matrix/data', requirePermission('clients:read'), async (req, res) => {
   try {
-    console.log('API: Fetching client matrix data');
+    console.log('API: Fetching client matrix data with query:', req.query);
+    
+    if (req.query.teamId && !teamService.isValidId(req.query.teamId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'teamId must be a team ID'
+      });
+    }
     
-    const { vendedorId, tecnicoId } = req.query;
+    const {
+      vendedorId,
+      tecnicoId,
+      categoria,
+      contratoSoporte,
+      clientIds,
+      page = 1,
+      limit = MATRIX_DEFAULT_LIMIT
+    } = req.query;
+    
+    const pageNumber = parseInt(page, 10);
+    const pageSize = parseInt(limit, 10);
+    if (!(pageNumber >= 1) || !(pageSize >= 1 && pageSize <= MATRIX_MAX_LIMIT)) {
+      return res.status(400).json({
+        success: false,
+        error: `page must be a positive number and limit between 1 and ${MATRIX_MAX_LIMIT}`
+      });
+    }
+    
+    const ids = clientIds ? clientIds.split(',') : null;
+    if ([vendedorId, tecnicoId, ...(ids || [])].some(id => id && !UUID_PATTERN.test(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'vendedorId, tecnicoId and clientIds must be IDs'
+      });
+    }
+    
+    if (contratoSoporte !== undefined && !['true', 'false'].includes(contratoSoporte)) {
+      return res.status(400).json({
+        success: false,
+        error: 'contratoSoporte must be true or false'
+      });
+    }
+    
+    // Managers of a team only see the clients of its members
+    const scope = await teamService.resolveScope(req, { teamId: req.query.teamId });
+    if (scope.forbidden) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - Not a manager of this team'
+      });
+    }
     
     // Prepare filter conditions
     const whereClause = {};
+    const conditions = [];
     
     if (vendedorId) {
       whereClause.vendedorId = vendedorId;
@@ -443,10 +685,55 @@ router.get('/matrix/data', async (req, res) => {
       whereClause.tecnicoId = tecnicoId;
     }
     
-    // 1. Fetch clients directly
-    const clients = await Client.findAll({
+    if (contratoSoporte !== undefined) {
+      whereClause.contratoSoporte = contratoSoporte === 'true';
+    }
+    
+    if (ids) {
+      conditions.push({ id: ids });
+    }
+    
+    if (scope.salespersonIds) {
+      conditions.push({ vendedorId: scope.salespersonIds });
+    }
+    
+    // Users limited to their own data only see their assigned clients
+    const ownWhere = ownClientWhere(req);
+    if (ownWhere) {
+      conditions.push(ownWhere);
+    }
+    
+    // 1. The services: the matrix columns are those of the category, if any
+    const allServices = await Service.findAll({
+      order: [['nombre', 'ASC']]
+    });
+    const services = categoria
+      ? allServices.filter(service => service.categoria === categoria)
+      : allServices;
+    const serviceIds = services.map(service => service.id);
+    const categories = [...new Set(allServices.map(service => service.categoria).filter(Boolean))].sort();
+    
+    // Filtering by category keeps the clients with one of its services
+    if (categoria) {
+      const assigned = serviceIds.length > 0
+        ? await ClientService.findAll({
+            where: { servicioId: serviceIds },
+            attributes: ['clientId'],
+            group: ['clientId'],
+            raw: true
+          })
+        : [];
+      conditions.push({ id: assigned.map(clientService => clientService.clientId) });
+    }
+    
+    if (conditions.length > 0) {
+      whereClause[Op.and] = conditions;
+    }
+    
+    // 2. A page of clients
+    const { count, rows: clients } = await Client.findAndCountAll({
       where: whereClause,
-      attributes: ['id', 'nombre', 'vendedorId', 'tecnicoId'],
+      attributes: ['id', 'nombre', 'vendedorId', 'tecnicoId', 'contratoSoporte', 'fechaUltimoRelevamiento', 'linkDocumentoRelevamiento'],
       include: [
         {
           model: Salesperson,
@@ -459,30 +746,35 @@ router.get('/matrix/data', async (req, res) => {
           attributes: ['id', 'nombre']
         }
       ],
-      order: [['nombre', 'ASC']]
-    });
-    
-    // 2. Fetch all services separately
-    const services = await Service.findAll({
-      order: [['nombre', 'ASC']]
-    });
-    
-    // Create a simplified placeholder for client services
-    // Since the actual ClientService model has schema issues
-    const clientsWithServices = clients.map(client => {
-      const plainClient = client.get({ plain: true });
-      // Add empty services array - in a real implementation we would fetch
-      // the actual services for each client here
-      plainClient.servicios = [];
-      return plainClient;
+      order: [['nombre', 'ASC'], ['id', 'ASC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
     });
     
-    console.log(`API: Fetched matrix data: ${clients.length} clients, ${services.length} services`);
+    // 3. The assignments of the page's clients to the services, in a single query
+    const cells = clients.length > 0 && serviceIds.length > 0
+      ? await ClientService.findAll({
+          where: {
+            clientId: clients.map(client => client.id),
+            servicioId: serviceIds
+          },
+          attributes: ['id', 'clientId', 'servicioId', 'notas', 'detalles', 'fechaAsignacion'],
+          order: [['fechaAsignacion', 'ASC']],
+          raw: true
+        })
+      : [];
+    
+    console.log(`API: Fetched matrix data: ${clients.length} of ${count} clients, ${services.length} services, ${cells.length} assignments`);
     return res.json({
       success: true,
       data: {
-        clients: clientsWithServices,
-        services
+        clients,
+        services,
+        cells,
+        categories,
+        count,
+        totalPages: Math.ceil(count / pageSize),
+        currentPage: pageNumber
       }
     });
   } catch (error) {
@@ -0,0 +1,407 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const db = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission } = require('../middleware/permissions');
+const compensationService = require('../services/compensation');
+const periodService = require('../services/periods');
+const teamService = require('../services/teams');
+
+const { CompensationPlan, CompensationPlanMember, Salesperson, Technician } = db;
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
+
+/**
+ * Validation schema for creating/updating a compensation plan
+ */
+const planSchema = Joi.object({
+  name: Joi.string().max(255).required(),
+  description: Joi.string().max(2000).allow('').allow(null),
+  personType: Joi.string().valid('salesperson', 'technician').default('salesperson'),
+  currency: Joi.string().length(3).uppercase().default('UYU'),
+  baseVariableAmount: Joi.number().min(0).required(),
+  quantitativeShare: Joi.number().min(0).max(1).default(0.7),
+  payoutAtMinimum: Joi.number().min(0).max(100).default(50),
+  acceleratorRate: Joi.number().min(0).default(1),
+  componentCap: Joi.number().min(0).allow(null).default(200),
+  totalCap: Joi.number().min(0).allow(null).default(150),
+  isActive: Joi.boolean().default(true)
+});
+
+/**
+ * Validation schema for the member list of a plan
+ */
+const membersSchema = Joi.object({
+  members: Joi.array().items(Joi.object({
+    personId: Joi.string().guid().required(),
+    baseVariableAmount: Joi.number().min(0).allow(null).default(null)
+  })).unique('personId').required()
+});
+
+const PERIOD_ERROR = 'period must be month, quarter, half, year, YYYY-MM, FYyyyy, FYyyyy-Qn or FYyyyy-Hn';
+
+// Foreign key of the members of a plan
+const memberKey = (plan) => (plan.personType === 'technician' ? 'technicianId' : 'salespersonId');
+
+const memberInclude = {
+  model: CompensationPlanMember,
+  as: 'members',
+  include: [
+    { model: Salesperson, as: 'salesperson', attributes: ['id', 'nombre', 'email'] },
+    { model: Technician, as: 'technician', attributes: ['id', 'nombre', 'email'] }
+  ]
+};
+
+/**
+ * Statement filters limiting users with own-records access to their own
+ * statements, as a salesperson and as a technician
+ * @returns {Object|null} Filters, or null when the user has no linked person
+ */
+const ownStatementFilters = (req) => {
+  if (req.permissionScope !== 'own') return {};
+
+  const { salespersonId, technicianId } = req.ownRecords || {};
+  if (!salespersonId && !technicianId) return null;
+  return {
+    ...(salespersonId && { salespersonId }),
+    ...(technicianId && { technicianId })
+  };
+};
+
+/**
+ * Statement filters of a request: users with own-records access get their own
+ * statements, managers limited to their teams those of their members
+ * @returns {Promise<Object|null>} Filters, or null when the user may see no statement
+ */
+const findStatementFilters = async (req) => {
+  const ownFilters = ownStatementFilters(req);
+  if (!ownFilters || Object.keys(ownFilters).length > 0) return ownFilters;
+
+  const scope = await teamService.resolveScope(req);
+  return scope.salespersonIds ? { salespersonId: scope.salespersonIds } : {};
+};
+
+/**
+ * @route   GET /api/compensation/plans
+ * @desc    Get all compensation plans with their members
+ * @access  Private
+ */
+router.get('/plans', requirePermission('compensation:manage'), async (req, res) => {
+  try {
+    console.log('API: Fetching compensation plans');
+
+    const plans = await CompensationPlan.findAll({
+      include: [memberInclude],
+      order: [['name', 'ASC']]
+    });
+
+    return res.json({
+      success: true,
+      data: {
+        count: plans.length,
+        rows: plans
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching compensation plans:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching compensation plans'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/compensation/plans
+ * @desc    Create a compensation plan
+ * @access  Private
+ */
+router.post('/plans', requirePermission('compensation:manage'), async (req, res) => {
+  try {
+    console.log('API: Creating compensation plan', req.body);
+
+    const { error, value } = planSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const plan = await CompensationPlan.create(value);
+
+    console.log(`API: Created compensation plan ${plan.id}`);
+    return res.status(201).json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    console.error('Error creating compensation plan:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error creating compensation plan'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/compensation/plans/:id
+ * @desc    Update a compensation plan. The person type cannot change once the plan has members.
+ * @access  Private
+ */
+router.put('/plans/:id', requirePermission('compensation:manage'), async (req, res) => {
+  try {
+    console.log(`API: Updating compensation plan ${req.params.id}`, req.body);
+
+    const { error, value } = planSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const plan = await CompensationPlan.findByPk(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Compensation plan not found'
+      });
+    }
+
+    if (value.personType !== plan.personType) {
+      const memberCount = await CompensationPlanMember.count({ where: { compensationPlanId: plan.id } });
+      if (memberCount > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Remove the members of the plan before changing who it pays'
+        });
+      }
+    }
+
+    await plan.update(value);
+
+    return res.json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    console.error('Error updating compensation plan:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error updating compensation plan'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/compensation/plans/:id/members
+ * @desc    Replace the members of a plan: [{ personId, baseVariableAmount }], where
+ *          personId is a salesperson or technician ID depending on the plan
+ *          and baseVariableAmount (optional) overrides the plan's yearly base
+ * @access  Private
+ */
+router.put('/plans/:id/members', requirePermission('compensation:manage'), async (req, res) => {
+  try {
+    console.log(`API: Updating members of compensation plan ${req.params.id}`, req.body);
+
+    const { error, value } = membersSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const plan = await CompensationPlan.findByPk(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Compensation plan not found'
+      });
+    }
+
+    const key = memberKey(plan);
+    const PersonModel = plan.personType === 'technician' ? Technician : Salesperson;
+    const personIds = value.members.map(member => member.personId);
+
+    const personCount = await PersonModel.count({ where: { id: personIds } });
+    if (personCount !== personIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: `Every member must be an existing ${plan.personType}`
+      });
+    }
+
+    // A person is paid under one plan at a time
+    const otherPlans = await CompensationPlanMember.findAll({
+      where: { [key]: personIds },
+      include: [{ model: CompensationPlan, as: 'plan', attributes: ['id', 'name'] }]
+    });
+    const conflict = otherPlans.find(member => member.compensationPlanId !== plan.id);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: `A member already belongs to the plan "${conflict.plan.name}"`
+      });
+    }
+
+    await db.sequelize.transaction(async (transaction) => {
+      await CompensationPlanMember.destroy({ where: { compensationPlanId: plan.id }, transaction });
+      for (const member of value.members) {
+        await CompensationPlanMember.create({
+          compensationPlanId: plan.id,
+          [key]: member.personId,
+          baseVariableAmount: member.baseVariableAmount
+        }, { transaction });
+      }
+    });
+
+    const updatedPlan = await CompensationPlan.findByPk(plan.id, { include: [memberInclude] });
+
+    return res.json({
+      success: true,
+      data: updatedPlan
+    });
+  } catch (error) {
+    console.error('Error updating compensation plan members:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error updating compensation plan members'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/compensation/plans/:id
+ * @desc    Delete a compensation plan and its member list
+ * @access  Private
+ */
+router.delete('/plans/:id', requirePermission('compensation:manage'), async (req, res) => {
+  try {
+    console.log(`API: Deleting compensation plan ${req.params.id}`);
+
+    const plan = await CompensationPlan.findByPk(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Compensation plan not found'
+      });
+    }
+
+    await db.sequelize.transaction(async (transaction) => {
+      await CompensationPlanMember.destroy({ where: { compensationPlanId: plan.id }, transaction });
+      await plan.destroy({ transaction });
+    });
+
+    return res.json({
+      success: true,
+      message: 'Compensation plan deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting compensation plan:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error deleting compensation plan'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/compensation/statements
+ * @desc    Payout statements of every member of the active plans for a period
+ *          (`period`, default the current fiscal year; optional `planId`).
+ *          Users with own-records access only get their own statement, managers
+ *          limited to their teams those of their members.
+ * @access  Private
+ */
+router.get('/statements', requirePermission('compensation:read'), async (req, res) => {
+  try {
+    console.log('API: Fetching compensation statements with query params:', req.query);
+
+    const period = periodService.parseForTenant(req.query.period, req.tenant);
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        error: PERIOD_ERROR
+      });
+    }
+
+    const filters = await findStatementFilters(req);
+    const statements = filters
+      ? await compensationService.getStatements(period, { ...filters, planId: req.query.planId })
+      : [];
+
+    return res.json({
+      success: true,
+      data: {
+        period: periodService.toJSON(period),
+        count: statements.length,
+        rows: statements
+      }
+    });
+  } catch (error) {
+    console.error('Error building compensation statements:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error building compensation statements'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/compensation/statements/:personType/:id
+ * @desc    Payout statement of one salesperson or technician for a period
+ * @access  Private
+ */
+router.get('/statements/:personType/:id', requirePermission('compensation:read'), async (req, res) => {
+  try {
+    const { personType, id } = req.params;
+    console.log(`API: Fetching compensation statement of ${personType} ${id}`);
+
+    if (!['salesperson', 'technician'].includes(personType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'personType must be salesperson or technician'
+      });
+    }
+
+    const period = periodService.parseForTenant(req.query.period, req.tenant);
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        error: PERIOD_ERROR
+      });
+    }
+
+    const key = personType === 'technician' ? 'technicianId' : 'salespersonId';
+    const filters = await findStatementFilters(req);
+    const allowed = filters !== null && (Object.keys(filters).length === 0 || [].concat(filters[key] || []).includes(id));
+    const [statement] = allowed
+      ? await compensationService.getStatements(period, { [key]: id })
+      : [];
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        error: `No active compensation plan for this ${personType}`
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Error building compensation statement:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error building compensation statement'
+    });
+  }
+});
+
+module.exports = router;
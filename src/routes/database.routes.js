@@ -9,11 +9,16 @@ const fs = require('fs');
 const path = require('path');
 const { Sequelize } = require('sequelize');
 const sequelizeConfig = require('../../sequelize.config');
+const { checkJwt, requireOperator } = require('../middleware/auth');
+
+// Backups and restores affect the whole database, every tenant's data
+// included, so only platform operators may use these endpoints
+router.use(checkJwt, requireOperator);
 
 /**
  * @route   GET /api/database/routes-debug
  * @desc    List all registered routes for debugging
- * @access  Private (Admin)
+ * @access  Private (Platform operator)
  */
 router.get('/routes-debug', (req, res) => {
   console.log('Routes debug endpoint hit');
@@ -39,7 +44,7 @@ router.get('/routes-debug', (req, res) => {
 /**
  * @route   POST /api/database/restore-with-upload
  * @desc    Handle database restore requests from frontend
- * @access  Private (Admin)
+ * @access  Private (Platform operator)
  */
 router.post('/restore-with-upload', (req, res) => {
   console.log('Restore-with-upload endpoint hit');
@@ -78,7 +83,7 @@ router.post('/restore-with-upload', (req, res) => {
 /**
  * @route   POST /api/database/restore
  * @desc    Simple endpoint for backup
- * @access  Private (Admin)
+ * @access  Private (Platform operator)
  */
 router.post('/restore', (req, res) => {
   console.log('Simple restore endpoint hit');
@@ -91,7 +96,7 @@ router.post('/restore', (req, res) => {
 /**
  * @route   GET /api/database/list
  * @desc    List all database backups (simplified version)
- * @access  Private (Admin)
+ * @access  Private (Platform operator)
  */
 router.get('/list', (req, res) => {
   try {
@@ -151,7 +156,7 @@ router.get('/list', (req, res) => {
 /**
  * @route   GET /api/database/status
  * @desc    Check if the database routes are working
- * @access  Private (Admin)
+ * @access  Private (Platform operator)
  */
 router.get('/status', (req, res) => {
   try {
@@ -207,7 +212,7 @@ router.get('/status', (req, res) => {
 /**
  * @route   POST /api/database/backup
  * @desc    Create a database backup
- * @access  Private (Admin)
+ * @access  Private (Platform operator)
  */
 router.post('/backup', (req, res) => {
   try {
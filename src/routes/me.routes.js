@@ -0,0 +1,225 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const router = express.Router();
+const {
+  Client,
+  Salesperson,
+  Technician,
+  QualitativeObjective,
+  SalespersonObjective,
+  TechnicianObjective,
+  TechnicianEvaluation
+} = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { getOwnRecords } = require('../middleware/permissions');
+const objectiveService = require('../services/objectives');
+const clientActionService = require('../services/clientActions');
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
+
+/**
+ * @route   GET /api/me
+ * @desc    Get the signed-in user with their linked salesperson and technician
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { salespersonId, technicianId } = getOwnRecords(req.tenantUser);
+
+    const [salesperson, technician] = await Promise.all([
+      salespersonId
+        ? Salesperson.findByPk(salespersonId, { attributes: ['id', 'nombre', 'email', 'estado'] })
+        : null,
+      technicianId
+        ? Technician.findByPk(technicianId, { attributes: ['id', 'nombre', 'email', 'especialidad', 'estado'] })
+        : null
+    ]);
+
+    return res.json({
+      success: true,
+      data: {
+        id: req.tenantUser.id,
+        email: req.tenantUser.email,
+        role: req.tenantUser.role,
+        salesperson,
+        technician
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching current user:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching current user'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/me/objectives
+ * @desc    Get the objectives of the signed-in user's salesperson and technician records
+ * @access  Private
+ */
+router.get('/objectives', async (req, res) => {
+  try {
+    const { salespersonId, technicianId } = getOwnRecords(req.tenantUser);
+
+    let quantitative = [];
+    let qualitative = [];
+    let technicianObjectives = [];
+
+    if (salespersonId) {
+      quantitative = await objectiveService.getSalespersonObjectives(salespersonId);
+
+      // Qualitative objectives assigned to the salesperson plus global ones
+      const assignments = await SalespersonObjective.findAll({
+        where: { salespersonId },
+        attributes: ['qualitativeObjectiveId']
+      });
+
+      qualitative = await QualitativeObjective.findAll({
+        where: {
+          [Op.or]: [
+            { isGlobal: true },
+            { id: assignments.map(assignment => assignment.qualitativeObjectiveId) }
+          ]
+        },
+        order: [['dueDate', 'ASC']]
+      });
+    }
+
+    if (technicianId) {
+      technicianObjectives = await TechnicianObjective.findAll({
+        where: { technicianId },
+        order: [['createdAt', 'DESC']]
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        quantitative,
+        qualitative,
+        technician: technicianObjectives
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching my objectives:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching objectives'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/me/clients
+ * @desc    Get the clients assigned to the signed-in user as salesperson or technician
+ * @access  Private
+ */
+router.get('/clients', async (req, res) => {
+  try {
+    const { salespersonId, technicianId } = getOwnRecords(req.tenantUser);
+
+    const conditions = [];
+    if (salespersonId) conditions.push({ vendedorId: salespersonId });
+    if (technicianId) conditions.push({ tecnicoId: technicianId });
+
+    if (conditions.length === 0) {
+      return res.json({
+        success: true,
+        data: []
+      });
+    }
+
+    const clients = await Client.findAll({
+      where: { [Op.or]: conditions },
+      include: [
+        {
+          model: Salesperson,
+          as: 'vendedor',
+          attributes: ['id', 'nombre', 'email']
+        },
+        {
+          model: Technician,
+          as: 'tecnico',
+          attributes: ['id', 'nombre', 'email']
+        }
+      ],
+      order: [['nombre', 'ASC']]
+    });
+
+    return res.json({
+      success: true,
+      data: clients
+    });
+  } catch (error) {
+    console.error('Error fetching my clients:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching clients'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/me/tasks
+ * @desc    Get the open client actions assigned to the signed-in user, across clients,
+ *          overdue and high priority first. `overdue=true` returns only overdue ones
+ * @access  Private
+ */
+router.get('/tasks', async (req, res) => {
+  try {
+    const tasks = await clientActionService.getForAssignee(getOwnRecords(req.tenantUser), {
+      overdue: req.query.overdue === 'true'
+    });
+
+    return res.json({
+      success: true,
+      data: tasks
+    });
+  } catch (error) {
+    console.error('Error fetching my tasks:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching tasks'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/me/evaluations
+ * @desc    Get the evaluations of the signed-in user's technician record
+ * @access  Private
+ */
+router.get('/evaluations', async (req, res) => {
+  try {
+    const { technicianId } = getOwnRecords(req.tenantUser);
+
+    if (!technicianId) {
+      return res.json({
+        success: true,
+        data: []
+      });
+    }
+
+    const evaluations = await TechnicianEvaluation.findAll({
+      where: { technicianId },
+      order: [['year', 'DESC'], ['semester', 'DESC']]
+    });
+
+    return res.json({
+      success: true,
+      data: evaluations
+    });
+  } catch (error) {
+    console.error('Error fetching my evaluations:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching evaluations'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const router = express.Router();
+const { Client, Salesperson } = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission, ownClientWhere } = require('../middleware/permissions');
+const opportunityService = require('../services/opportunities');
+const teamService = require('../services/teams');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
+
+/**
+ * The clients of a request's `clientIds` (comma-separated), `vendedorId` and
+ * `teamId` filters that the user may see, answering 400 or 403 when the
+ * filters cannot be used
+ * @returns {Promise<Array|null>} The clients, or null when a response was sent
+ */
+const findRequestedClients = async (req, res) => {
+  const { clientIds, vendedorId, teamId } = req.query;
+  const ids = clientIds ? clientIds.split(',') : null;
+
+  if ([vendedorId, teamId, ...(ids || [])].some(id => id && !UUID_PATTERN.test(id))) {
+    res.status(400).json({
+      success: false,
+      error: 'clientIds, vendedorId and teamId must be IDs'
+    });
+    return null;
+  }
+
+  // Managers of a team only see the clients of its members
+  const scope = await teamService.resolveScope(req, { teamId });
+  if (scope.forbidden) {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden - Not a manager of this team'
+    });
+    return null;
+  }
+
+  const conditions = [];
+  if (ids) conditions.push({ id: ids });
+  if (vendedorId) conditions.push({ vendedorId });
+  if (scope.salespersonIds) conditions.push({ vendedorId: scope.salespersonIds });
+
+  // Users limited to their own data only see their assigned clients
+  const ownWhere = ownClientWhere(req);
+  if (ownWhere) conditions.push(ownWhere);
+
+  return Client.findAll({
+    where: conditions.length > 0 ? { [Op.and]: conditions } : {},
+    attributes: ['id', 'nombre', 'vendedorId'],
+    include: [{ model: Salesperson, as: 'vendedor', attributes: ['id', 'nombre'] }],
+    order: [['nombre', 'ASC']]
+  });
+};
+
+/**
+ * @route   GET /api/opportunities
+ * @desc    Cross-sell opportunities of clients (`clientIds`, comma-separated, or all
+ *          clients of a salesperson `vendedorId` or team `teamId`): the services and
+ *          categories similar clients have and they lack, most likely first
+ * @access  Private
+ */
+router.get('/', requirePermission('clients:read'), async (req, res) => {
+  try {
+    console.log('API: Fetching opportunities with query params:', req.query);
+
+    const clients = await findRequestedClients(req, res);
+    if (!clients) return undefined;
+
+    const rows = await opportunityService.getForClients(clients);
+
+    return res.json({
+      success: true,
+      data: {
+        count: rows.length,
+        rows
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching opportunities:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching opportunities'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/opportunities/report
+ * @desc    Opportunities by salesperson (optionally of one salesperson `vendedorId`
+ *          or team `teamId`): their clients' opportunities and the number of
+ *          services they could expect to sell
+ * @access  Private
+ */
+router.get('/report', requirePermission('clients:read'), async (req, res) => {
+  try {
+    console.log('API: Fetching opportunity report with query params:', req.query);
+
+    const clients = await findRequestedClients(req, res);
+    if (!clients) return undefined;
+
+    const rows = await opportunityService.getReport(clients);
+
+    return res.json({
+      success: true,
+      data: {
+        count: rows.length,
+        rows
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching opportunity report:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching opportunity report'
+    });
+  }
+});
+
+module.exports = router;
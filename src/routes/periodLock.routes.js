@@ -0,0 +1,155 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission } = require('../middleware/permissions');
+const periodLockService = require('../services/periodLocks');
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Validation schema for closing a month
+ */
+const closeSchema = Joi.object({
+  month: Joi.string().pattern(MONTH_PATTERN).required()
+    .messages({ 'string.pattern.base': 'month must be YYYY-MM' })
+});
+
+/**
+ * Validation schema for reopening a month
+ */
+const reopenSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(2000).required()
+});
+
+/**
+ * @route   GET /api/period-locks
+ * @desc    Closed months (`locked`) and the history of closes and reopenings,
+ *          optionally for one calendar `year`
+ * @access  Private
+ */
+router.get('/', requirePermission('objectives:read'), async (req, res) => {
+  try {
+    console.log('API: Fetching period locks with query params:', req.query);
+
+    const { year } = req.query;
+    if (year && !/^\d{4}$/.test(year)) {
+      return res.status(400).json({
+        success: false,
+        error: 'year must be YYYY'
+      });
+    }
+
+    const locks = await periodLockService.list({ year });
+
+    return res.json({
+      success: true,
+      data: {
+        locked: locks.filter(lock => !lock.reopenedAt).map(lock => lock.month),
+        count: locks.length,
+        rows: locks
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching period locks:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching period locks'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/period-locks
+ * @desc    Close a month (`month`, YYYY-MM): its monthly progress becomes read-only
+ * @access  Private
+ */
+router.post('/', requirePermission('periods:close'), async (req, res) => {
+  try {
+    console.log('API: Closing month', req.body);
+
+    const { error, value } = closeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const existing = await periodLockService.findLock(value.month);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: `${value.month} is already closed`
+      });
+    }
+
+    const lock = await periodLockService.close(value.month);
+
+    console.log(`API: Closed month ${lock.month}`);
+    return res.status(201).json({
+      success: true,
+      data: lock
+    });
+  } catch (error) {
+    console.error('Error closing month:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error closing month'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/period-locks/:month/reopen
+ * @desc    Reopen a closed month. The `reason` is required and kept with the lock.
+ * @access  Private
+ */
+router.post('/:month/reopen', requirePermission('periods:reopen'), async (req, res) => {
+  try {
+    console.log(`API: Reopening month ${req.params.month}`, req.body);
+
+    if (!MONTH_PATTERN.test(req.params.month)) {
+      return res.status(400).json({
+        success: false,
+        error: 'month must be YYYY-MM'
+      });
+    }
+
+    const { error, value } = reopenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const lock = await periodLockService.findLock(req.params.month);
+    if (!lock) {
+      return res.status(404).json({
+        success: false,
+        error: `${req.params.month} is not closed`
+      });
+    }
+
+    await periodLockService.reopen(lock, value.reason);
+
+    console.log(`API: Reopened month ${lock.month}`);
+    return res.json({
+      success: true,
+      data: lock
+    });
+  } catch (error) {
+    console.error('Error reopening month:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error reopening month'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,11 +4,139 @@ const db = require('../models');
 const { Op } = require('sequelize');
 const QualitativeObjective = db.QualitativeObjective;
 const Salesperson = db.Salesperson;
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission, hasPermission } = require('../middleware/permissions');
+const teamService = require('../services/teams');
+const workflowService = require('../services/qualitativeWorkflow');
+const attachmentService = require('../services/attachments');
+const { WORKFLOW_ACTIONS } = workflowService;
 
-// GET all qualitative objectives with optional filters
-router.get('/', async (req, res) => {
+/**
+ * IDs of the qualitative objectives assigned to any of the given salespersons
+ */
+const getAssignedObjectiveIds = async (salespersonIds) => {
+  const assignments = await db.SalespersonObjective.findAll({
+    where: { salespersonId: salespersonIds },
+    attributes: ['qualitativeObjectiveId']
+  });
+  return [...new Set(assignments.map(assignment => assignment.qualitativeObjectiveId))];
+};
+
+/**
+ * IDs of the qualitative objectives assigned to the requesting user's salesperson
+ */
+const getOwnObjectiveIds = async (req) => {
+  const { salespersonId } = req.ownRecords || {};
+  if (!salespersonId) return [];
+
+  return getAssignedObjectiveIds([salespersonId]);
+};
+
+/**
+ * Whether the requesting user may apply a workflow action to an objective.
+ * Reviewers limited to their teams review only their members' objectives;
+ * users who cannot review only start and submit the objectives assigned to them.
+ * A global objective has one status shared by everyone, so only reviewers move it.
+ */
+const canActOn = async (req, objective, action) => {
+  const assignedIds = objective.assignedSalespersons.map(salesperson => salesperson.id);
+
+  if (hasPermission(req, 'objectives:approve')) {
+    const scope = await teamService.resolveScope(req);
+    return !scope.salespersonIds || objective.isGlobal ||
+      assignedIds.some(id => scope.salespersonIds.includes(id));
+  }
+
+  const { salespersonId } = req.tenantUser;
+  return !workflowService.isReview(action) &&
+    Boolean(salespersonId) && !objective.isGlobal && assignedIds.includes(salespersonId);
+};
+
+/**
+ * Apply a workflow action to the objective of the request and send the response
+ */
+const applyWorkflowAction = async (req, res, action) => {
+  const { comment, evidence } = req.body;
+
+  if (evidence !== undefined && evidence !== null && typeof evidence !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Evidence must be a URL'
+    });
+  }
+
+  const objective = await QualitativeObjective.findByPk(req.params.id, {
+    include: [{
+      model: Salesperson,
+      as: 'assignedSalespersons',
+      attributes: ['id', 'nombre', 'email'],
+      through: { attributes: [] }
+    }]
+  });
+
+  const isHidden = objective && req.permissionScope === 'own' &&
+    !objective.isGlobal &&
+    !(await getOwnObjectiveIds(req)).includes(objective.id);
+
+  if (!objective || isHidden) {
+    return res.status(404).json({
+      success: false,
+      error: 'Qualitative objective not found'
+    });
+  }
+
+  if (!(await canActOn(req, objective, action))) {
+    return res.status(403).json({
+      success: false,
+      error: `Forbidden - Not allowed to ${action} this objective`
+    });
+  }
+
+  const attachmentCount = action === 'submit'
+    ? (await attachmentService.list('qualitative_objective', objective.id)).length
+    : 0;
+  const invalid = workflowService.validate(objective, action, { comment, evidence, attachmentCount });
+  if (invalid) {
+    return res.status(409).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  await workflowService.transition(objective, action, { comment, evidence });
+  console.log(`API: Qualitative objective ${objective.id} ${action}: ${objective.status}`);
+
+  return res.json({
+    success: true,
+    data: objective
+  });
+};
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
+
+// GET all qualitative objectives with optional filters; with teamId, the global
+// objectives and those assigned to the team's members
+router.get('/', requirePermission('objectives:read'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, salespersonId, status, isGlobal, name, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    const { page = 1, limit = 10, salespersonId, teamId, status, isGlobal, name, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    
+    if (teamId && !teamService.isValidId(teamId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'teamId must be a team ID'
+      });
+    }
+    
+    // Managers of a team only see its members' objectives
+    const scope = await teamService.resolveScope(req, { teamId });
+    if (scope.forbidden) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - Not a manager of this team'
+      });
+    }
     
     // Calculate offset for pagination
     const offset = (page - 1) * limit;
@@ -28,6 +156,19 @@ router.get('/', async (req, res) => {
       whereClause.name = { [Op.iLike]: `%${name}%` };
     }
     
+    // Users limited to their own data only see global objectives and their own
+    if (req.permissionScope === 'own') {
+      whereClause[Op.or] = [
+        { isGlobal: true },
+        { id: await getOwnObjectiveIds(req) }
+      ];
+    } else if (scope.salespersonIds) {
+      whereClause[Op.or] = [
+        { isGlobal: true },
+        { id: await getAssignedObjectiveIds(scope.salespersonIds) }
+      ];
+    }
+    
     // Build include clause for filtering by salesperson
     const includeClause = [{
       model: Salesperson,
@@ -82,8 +223,32 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET the objectives submitted for review, oldest first, with their latest submission;
+// managers of a team only review its members' objectives
+router.get('/review-queue', requirePermission('objectives:approve'), async (req, res) => {
+  try {
+    const scope = await teamService.resolveScope(req);
+    const objectives = await workflowService.getReviewQueue({ salespersonIds: scope.salespersonIds || undefined });
+
+    return res.json({
+      success: true,
+      data: {
+        count: objectives.length,
+        rows: objectives
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching qualitative review queue:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch the review queue',
+      message: error.message
+    });
+  }
+});
+
 // GET a specific qualitative objective by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('objectives:read'), async (req, res) => {
   try {
     const objective = await QualitativeObjective.findByPk(req.params.id, {
       include: [{
@@ -94,7 +259,11 @@ router.get('/:id', async (req, res) => {
       }]
     });
     
-    if (!objective) {
+    const isHidden = objective && req.permissionScope === 'own' &&
+      !objective.isGlobal &&
+      !(await getOwnObjectiveIds(req)).includes(objective.id);
+    
+    if (!objective || isHidden) {
       return res.status(404).json({
         success: false,
         error: 'Qualitative objective not found'
@@ -116,15 +285,14 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST create a new qualitative objective
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('objectives:write'), async (req, res) => {
   try {
+    // Status and completion date only change through the approval workflow
     const {
       name,
       description,
       criteria,
-      status,
       dueDate,
-      completionDate,
       weight,
       comments,
       evidence,
@@ -150,7 +318,17 @@ router.post('/', async (req, res) => {
       });
     }
     
-    // Assigned salespersons are now optional for all objectives
+    // Assigned salespersons are now optional for all objectives,
+    // but any that are given must belong to this tenant
+    if (Array.isArray(salespersonIds) && salespersonIds.length > 0) {
+      const foundCount = await Salesperson.count({ where: { id: salespersonIds } });
+      if (foundCount !== new Set(salespersonIds).size) {
+        return res.status(404).json({
+          success: false,
+          error: 'One or more salespersons not found'
+        });
+      }
+    }
     
     // Begin transaction
     const transaction = await db.sequelize.transaction();
@@ -161,9 +339,8 @@ router.post('/', async (req, res) => {
         name,
         description,
         criteria,
-        status: status || 'pendiente',
+        status: 'pendiente',
         dueDate: dueDate ? new Date(dueDate) : null,
-        completionDate: completionDate ? new Date(completionDate) : null,
         weight: weight || null, // Allow null weight
         comments,
         evidence,
@@ -218,16 +395,15 @@ router.post('/', async (req, res) => {
   }
 });
 
-// PUT update a qualitative objective
-router.put('/:id', async (req, res) => {
+// PUT update a qualitative objective; its status and completion date only change
+// through the approval workflow
+router.put('/:id', requirePermission('objectives:write'), async (req, res) => {
   try {
     const {
       name,
       description,
       criteria,
-      status,
       dueDate,
-      completionDate,
       weight,
       comments,
       evidence,
@@ -261,7 +437,17 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    // Assigned salespersons are now optional for all objectives
+    // Assigned salespersons are now optional for all objectives,
+    // but any that are given must belong to this tenant
+    if (Array.isArray(salespersonIds) && salespersonIds.length > 0) {
+      const foundCount = await Salesperson.count({ where: { id: salespersonIds } });
+      if (foundCount !== new Set(salespersonIds).size) {
+        return res.status(404).json({
+          success: false,
+          error: 'One or more salespersons not found'
+        });
+      }
+    }
     
     // Begin transaction
     const transaction = await db.sequelize.transaction();
@@ -286,9 +472,7 @@ router.put('/:id', async (req, res) => {
         name: name !== undefined ? name : objective.name,
         description: description !== undefined ? description : objective.description,
         criteria: criteria !== undefined ? criteria : objective.criteria,
-        status: status !== undefined ? status : objective.status,
         dueDate: dueDate !== undefined ? (dueDate ? new Date(dueDate) : null) : objective.dueDate,
-        completionDate: completionDate !== undefined ? (completionDate ? new Date(completionDate) : null) : objective.completionDate,
         weight: weight !== undefined ? (weight || null) : objective.weight, // Allow null weight
         comments: comments !== undefined ? comments : objective.comments,
         evidence: evidence !== undefined ? evidence : objective.evidence,
@@ -351,8 +535,9 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// PUT update only the status of a qualitative objective
-router.put('/:id/status', async (req, res) => {
+// PUT move a qualitative objective to a status through the workflow action leading
+// there (e.g. 'en_revision' submits it, 'completado' approves it)
+router.put('/:id/status', requirePermission('objectives:submit'), async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -374,30 +559,82 @@ router.put('/:id/status', async (req, res) => {
       });
     }
     
-    // Update only the status and completion date if completed
-    const updates = { status };
-    if (status === 'completado' && !objective.completionDate) {
-      updates.completionDate = new Date();
+    const action = workflowService.findAction(objective.status, status);
+    if (!action) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot change the status from ${objective.status} to ${status}`
+      });
+    }
+    
+    return await applyWorkflowAction(req, res, action);
+  } catch (error) {
+    console.error('Error updating qualitative objective status:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update qualitative objective status',
+      message: error.message
+    });
+  }
+});
+
+// GET the status history of a qualitative objective, oldest first
+router.get('/:id/history', requirePermission('objectives:read'), async (req, res) => {
+  try {
+    const objective = await QualitativeObjective.findByPk(req.params.id);
+    
+    const isHidden = objective && req.permissionScope === 'own' &&
+      !objective.isGlobal &&
+      !(await getOwnObjectiveIds(req)).includes(objective.id);
+    
+    if (!objective || isHidden) {
+      return res.status(404).json({
+        success: false,
+        error: 'Qualitative objective not found'
+      });
     }
     
-    await objective.update(updates);
+    const history = await workflowService.getHistory(objective);
     
     return res.json({
       success: true,
-      data: objective
+      data: {
+        count: history.length,
+        rows: history
+      }
     });
   } catch (error) {
-    console.error('Error updating qualitative objective status:', error);
+    console.error('Error fetching qualitative objective history:', error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to update qualitative objective status',
+      error: 'Failed to fetch qualitative objective history',
       message: error.message
     });
   }
 });
 
+// POST a workflow action: the salesperson starts or submits the objective (with
+// `evidence` and an optional `comment`); a manager approves, rejects (with a
+// `comment`), closes or reopens it
+Object.keys(WORKFLOW_ACTIONS).forEach(action => {
+  const permission = workflowService.isReview(action) ? 'objectives:approve' : 'objectives:submit';
+  
+  router.post(`/:id/${action}`, requirePermission(permission), async (req, res) => {
+    try {
+      return await applyWorkflowAction(req, res, action);
+    } catch (error) {
+      console.error(`Error applying ${action} to qualitative objective:`, error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to ${action} qualitative objective`,
+        message: error.message
+      });
+    }
+  });
+});
+
 // PUT update only the evidence of a qualitative objective
-router.put('/:id/evidence', async (req, res) => {
+router.put('/:id/evidence', requirePermission('objectives:write'), async (req, res) => {
   try {
     const { evidence } = req.body;
     
@@ -437,7 +674,7 @@ router.put('/:id/evidence', async (req, res) => {
 });
 
 // DELETE a qualitative objective
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('objectives:delete'), async (req, res) => {
   try {
     // Find the objective
     const objective = await QualitativeObjective.findByPk(req.params.id);
@@ -449,8 +686,9 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Delete the objective
+    // Delete the objective and its files
     await objective.destroy();
+    await attachmentService.removeFor('qualitative_objective', objective.id);
     
     return res.json({
       success: true,
@@ -1,15 +1,64 @@
 const express = require('express');
+const Joi = require('joi');
 const router = express.Router();
 const { Op } = require('sequelize');
-const { QuantitativeObjective, Salesperson, SalespersonQuantitativeObjective } = require('../models');
+const { QuantitativeObjective, Salesperson, SalespersonQuantitativeObjective, Team } = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission } = require('../middleware/permissions');
+const targetAllocationService = require('../services/targetAllocation');
+const { ALLOCATION_METHODS } = targetAllocationService;
+const teamService = require('../services/teams');
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
+
+/**
+ * Validation schema for an allocation proposal
+ */
+const allocationSchema = Joi.object({
+  method: Joi.string().valid(...ALLOCATION_METHODS).default('even'),
+  level: Joi.string().valid('team', 'salesperson').default('salesperson'),
+  teamIds: Joi.array().items(Joi.string().guid()),
+  salespersonIds: Joi.array().items(Joi.string().guid()),
+  teamId: Joi.string().guid(),
+  weights: Joi.object().pattern(Joi.string().guid(), Joi.number().min(0)).default({})
+});
+
+/**
+ * Validation schema for the team targets of an objective
+ */
+const teamTargetsSchema = Joi.object({
+  targets: Joi.array().items(Joi.object({
+    teamId: Joi.string().guid().required(),
+    teamTarget: Joi.number().min(0).required()
+  })).unique('teamId').required()
+});
 
 /**
  * @route GET /api/quantitative-objectives
- * @description Get all quantitative objectives with filters and pagination
+ * @description Get all quantitative objectives with filters and pagination. With `teamId`
+ *              only the objectives assigned to the team's members, with their assignments
  * @access Public
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('objectives:read'), async (req, res) => {
   try {
+    if (req.query.teamId && !teamService.isValidId(req.query.teamId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'teamId must be a team ID'
+      });
+    }
+    
+    // Managers of a team only see its members' assignments
+    const scope = await teamService.resolveScope(req, { teamId: req.query.teamId });
+    if (scope.forbidden) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - Not a manager of this team'
+      });
+    }
+    
     // Pagination parameters
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -48,6 +97,16 @@ router.get('/', async (req, res) => {
       }
     ];
     
+    // Users limited to their own data only see objectives assigned to them,
+    // without the other salespersons' assignments
+    if (req.permissionScope === 'own') {
+      includeOptions[0].where = { id: req.ownRecords.salespersonId };
+      includeOptions[0].required = true;
+    } else if (scope.salespersonIds) {
+      includeOptions[0].where = { id: scope.salespersonIds };
+      includeOptions[0].required = true;
+    }
+    
     // Fetch quantitative objectives with pagination
     const objectives = await QuantitativeObjective.findAndCountAll({
       where: whereClause,
@@ -112,18 +171,29 @@ router.get('/', async (req, res) => {
  * @description Get a specific quantitative objective by ID
  * @access Public
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('objectives:read'), async (req, res) => {
   try {
+    const salespersonInclude = {
+      model: Salesperson,
+      as: 'salespersons',
+      through: {
+        attributes: ['id', 'individualTarget', 'currentValue', 'monthlyProgress', 'status']
+      }
+    };
+    
+    // Users limited to their own data only see objectives assigned to them,
+    // managers limited to their teams only their members' assignments
+    const scope = await teamService.resolveScope(req);
+    if (req.permissionScope === 'own') {
+      salespersonInclude.where = { id: req.ownRecords.salespersonId };
+      salespersonInclude.required = true;
+    } else if (scope.salespersonIds) {
+      salespersonInclude.where = { id: scope.salespersonIds };
+      salespersonInclude.required = true;
+    }
+    
     const objective = await QuantitativeObjective.findByPk(req.params.id, {
-      include: [
-        {
-          model: Salesperson,
-          as: 'salespersons',
-          through: {
-            attributes: ['id', 'individualTarget', 'currentValue', 'monthlyProgress', 'status']
-          }
-        }
-      ]
+      include: [salespersonInclude]
     });
     
     if (!objective) {
@@ -169,7 +239,7 @@ router.get('/:id', async (req, res) => {
  * @description Create a new quantitative objective
  * @access Public
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('objectives:write'), async (req, res) => {
   try {
     const {
       name,
@@ -224,7 +294,7 @@ router.post('/', async (req, res) => {
  * @description Update a quantitative objective
  * @access Public
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('objectives:write'), async (req, res) => {
   try {
     const {
       name,
@@ -282,7 +352,7 @@ router.put('/:id', async (req, res) => {
  * @description Delete a quantitative objective
  * @access Public
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('objectives:delete'), async (req, res) => {
   try {
     const objective = await QuantitativeObjective.findByPk(req.params.id);
     
@@ -315,7 +385,7 @@ router.delete('/:id', async (req, res) => {
  * @description Assign a quantitative objective to one or more salespersons
  * @access Public
  */
-router.post('/:id/assign', async (req, res) => {
+router.post('/:id/assign', requirePermission('objectives:assign'), async (req, res) => {
   try {
     const { assignments } = req.body;
     
@@ -413,7 +483,7 @@ router.post('/:id/assign', async (req, res) => {
  * @description Remove an assignment between objective and salesperson
  * @access Public
  */
-router.delete('/:id/assign/:assignmentId', async (req, res) => {
+router.delete('/:id/assign/:assignmentId', requirePermission('objectives:assign'), async (req, res) => {
   try {
     // Validate assignment exists
     const assignment = await SalespersonQuantitativeObjective.findOne({
@@ -447,12 +517,146 @@ router.delete('/:id/assign/:assignmentId', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/quantitative-objectives/:id/allocation
+ * @description Gap report of an objective: its company target against the team
+ *              targets and the individual targets, and each team target against
+ *              the individual targets of its members
+ * @access Private
+ */
+router.get('/:id/allocation', requirePermission('objectives:read'), async (req, res) => {
+  try {
+    console.log(`API: Fetching target allocation of objective ${req.params.id}`);
+    
+    const objective = await QuantitativeObjective.findByPk(req.params.id);
+    if (!objective) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quantitative objective not found'
+      });
+    }
+    
+    const report = await targetAllocationService.getGapReport(objective);
+    
+    return res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error fetching target allocation:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching target allocation'
+    });
+  }
+});
+
+/**
+ * @route POST /api/quantitative-objectives/:id/allocation/preview
+ * @description Propose targets without saving them: the company target split among
+ *              teams (`level` 'team'), or the company target or the target of
+ *              `teamId` split among salespersons, evenly, by `weights` or by last
+ *              year's share (`method` even, weight or lastYear)
+ * @access Private
+ */
+router.post('/:id/allocation/preview', requirePermission('objectives:assign'), async (req, res) => {
+  try {
+    console.log(`API: Proposing target allocation of objective ${req.params.id}`, req.body);
+    
+    const { error, value } = allocationSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    const objective = await QuantitativeObjective.findByPk(req.params.id);
+    if (!objective) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quantitative objective not found'
+      });
+    }
+    
+    const proposal = await targetAllocationService.propose(objective, value);
+    if (proposal.total === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'The team has no target for this objective'
+      });
+    }
+    
+    return res.json({
+      success: true,
+      data: proposal
+    });
+  } catch (error) {
+    console.error('Error proposing target allocation:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error proposing target allocation'
+    });
+  }
+});
+
+/**
+ * @route PUT /api/quantitative-objectives/:id/team-targets
+ * @description Replace the team targets of an objective; returns the new gap report
+ * @access Private
+ */
+router.put('/:id/team-targets', requirePermission('objectives:assign'), async (req, res) => {
+  try {
+    console.log(`API: Saving team targets of objective ${req.params.id}`, req.body);
+    
+    const { error, value } = teamTargetsSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    const objective = await QuantitativeObjective.findByPk(req.params.id);
+    if (!objective) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quantitative objective not found'
+      });
+    }
+    
+    const teamIds = value.targets.map(target => target.teamId);
+    const teamCount = await Team.count({ where: { id: teamIds } });
+    if (teamCount !== teamIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'One or more teams were not found'
+      });
+    }
+    
+    await targetAllocationService.saveTeamTargets(objective, value.targets);
+    const report = await targetAllocationService.getGapReport(objective);
+    
+    console.log(`API: Saved ${value.targets.length} team targets of objective ${objective.id}`);
+    return res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error saving team targets:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error saving team targets'
+    });
+  }
+});
+
 /**
  * @route POST /api/quantitative-objectives/assign-global
  * @description Assign all global objectives to all active salespersons
  * @access Public
  */
-router.post('/assign-global', async (req, res) => {
+router.post('/assign-global', requirePermission('objectives:assign'), async (req, res) => {
   try {
     console.log('API: Starting global objectives assignment');
     
@@ -571,7 +775,7 @@ router.post('/assign-global', async (req, res) => {
  * @access Public
  * @deprecated Use /update/assignment instead
  */
-router.patch('/:id/assignment', async (req, res) => {
+router.patch('/:id/assignment', requirePermission('objectives:assign'), async (req, res) => {
   try {
     const { assignmentId, individualTarget } = req.body;
     
@@ -618,7 +822,7 @@ router.patch('/:id/assignment', async (req, res) => {
  * @description Update the individual target for a specific assignment
  * @access Public
  */
-router.patch('/update/assignment', async (req, res) => {
+router.patch('/update/assignment', requirePermission('objectives:assign'), async (req, res) => {
   try {
     const { assignmentId, individualTarget } = req.body;
     
@@ -0,0 +1,267 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const { QuantitativeObjective, QuantitativeObjectiveTemplate, Salesperson } = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission } = require('../middleware/permissions');
+const objectiveTemplateService = require('../services/objectiveTemplates');
+const periodService = require('../services/periods');
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
+
+/**
+ * Validation schema for creating/updating a template
+ */
+const templateSchema = Joi.object({
+  name: Joi.string().max(255).required(),
+  description: Joi.string().max(2000).allow('').allow(null),
+  type: Joi.string().valid('moneda', 'cantidad').required(),
+  annual: Joi.number().min(0).required(),
+  monthly: Joi.number().min(0),
+  minimum: Joi.number().min(0).default(0),
+  weight: Joi.number().min(0).max(100).required()
+});
+
+/**
+ * Validation schema for instantiating a template
+ */
+const instantiateSchema = Joi.object({
+  period: Joi.string().required(),
+  salespersonIds: Joi.array().items(Joi.string().guid()).min(1).unique(),
+  targets: Joi.object().pattern(Joi.string().guid(), Joi.number().min(0).allow(null)).default({}),
+  name: Joi.string().max(255),
+  description: Joi.string().max(2000).allow('').allow(null),
+  isGlobal: Joi.boolean().default(false)
+});
+
+/**
+ * @route   GET /api/quantitative-objective-templates
+ * @desc    Get the template library with the objectives created from each template,
+ *          and the current and next fiscal years to instantiate them for
+ * @access  Private
+ */
+router.get('/', requirePermission('objectives:read'), async (req, res) => {
+  try {
+    console.log('API: Fetching quantitative objective templates');
+
+    const templates = await QuantitativeObjectiveTemplate.findAll({
+      include: [{
+        model: QuantitativeObjective,
+        as: 'quantitativeObjectives',
+        attributes: ['id', 'name', 'startDate', 'endDate']
+      }],
+      order: [['name', 'ASC']]
+    });
+
+    const currentYear = periodService.parseForTenant('year', req.tenant);
+
+    return res.json({
+      success: true,
+      data: {
+        count: templates.length,
+        rows: templates,
+        periods: [currentYear, periodService.shift(currentYear, 1)].map(period => periodService.toJSON(period))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching templates:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching templates'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/quantitative-objective-templates
+ * @desc    Create a template. `monthly` defaults to a twelfth of `annual`.
+ * @access  Private
+ */
+router.post('/', requirePermission('objectives:write'), async (req, res) => {
+  try {
+    console.log('API: Creating quantitative objective template', req.body);
+
+    const { error, value } = templateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const template = await QuantitativeObjectiveTemplate.create({
+      ...value,
+      monthly: value.monthly !== undefined ? value.monthly : value.annual / 12
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Error creating template:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error creating template'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/quantitative-objective-templates/:id
+ * @desc    Update a template. Objectives already created from it keep their values.
+ * @access  Private
+ */
+router.put('/:id', requirePermission('objectives:write'), async (req, res) => {
+  try {
+    console.log(`API: Updating quantitative objective template ${req.params.id}`, req.body);
+
+    const { error, value } = templateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const template = await QuantitativeObjectiveTemplate.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    await template.update({
+      ...value,
+      monthly: value.monthly !== undefined ? value.monthly : value.annual / 12
+    });
+
+    return res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Error updating template:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error updating template'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/quantitative-objective-templates/:id
+ * @desc    Delete a template. Objectives created from it are kept and unlinked.
+ * @access  Private
+ */
+router.delete('/:id', requirePermission('objectives:delete'), async (req, res) => {
+  try {
+    console.log(`API: Deleting quantitative objective template ${req.params.id}`);
+
+    const template = await QuantitativeObjectiveTemplate.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    await QuantitativeObjective.update({ templateId: null }, { where: { templateId: template.id } });
+    await template.destroy();
+
+    return res.json({
+      success: true,
+      message: 'Template deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting template:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error deleting template'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/quantitative-objective-templates/:id/instantiate
+ * @desc    Create the objective of a period from a template (`period`, e.g. FY2026)
+ *          and assign it to the selected salespersons (`salespersonIds`), or to
+ *          every active salesperson. Individual targets come from `targets`
+ *          ({ salespersonId: target }); the rest of the company target is split
+ *          evenly between the salespersons without one.
+ * @access  Private
+ */
+router.post('/:id/instantiate', requirePermission('objectives:assign'), async (req, res) => {
+  try {
+    console.log(`API: Instantiating quantitative objective template ${req.params.id}`, req.body);
+
+    const { error, value } = instantiateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const period = periodService.parseForTenant(value.period, req.tenant);
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        error: 'period must be month, quarter, half, year, YYYY-MM, FYyyyy, FYyyyy-Qn or FYyyyy-Hn'
+      });
+    }
+
+    const template = await QuantitativeObjectiveTemplate.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    const existing = await objectiveTemplateService.findInstance(template, period);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: `"${template.name}" was already instantiated for ${period.label} as "${existing.name}"`
+      });
+    }
+
+    const salespersons = await Salesperson.findAll({
+      where: value.salespersonIds ? { id: value.salespersonIds } : { estado: 'active' },
+      attributes: ['id', 'nombre']
+    });
+
+    if (value.salespersonIds && salespersons.length !== value.salespersonIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every selected salesperson must exist'
+      });
+    }
+
+    const objective = await objectiveTemplateService.instantiate(template, period, {
+      salespersons,
+      targets: value.targets,
+      name: value.name,
+      description: value.description,
+      isGlobal: value.isGlobal
+    });
+
+    console.log(`API: Created objective ${objective.id} from template ${template.id} with ${objective.assignments.length} assignments`);
+    return res.status(201).json({
+      success: true,
+      data: objective
+    });
+  } catch (error) {
+    console.error('Error instantiating template:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error instantiating template'
+    });
+  }
+});
+
+module.exports = router;
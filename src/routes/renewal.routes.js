@@ -0,0 +1,84 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const router = express.Router();
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission, ownClientWhere } = require('../middleware/permissions');
+const renewalService = require('../services/renewals');
+const teamService = require('../services/teams');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
+
+/**
+ * @route   GET /api/renewals
+ * @desc    Support contracts and client services expiring within `within` days
+ *          (e.g. `90d`, the default), soonest first, optionally of the clients of a
+ *          salesperson (`vendedorId`), technician (`tecnicoId`) or team (`teamId`)
+ * @access  Private
+ */
+router.get('/', requirePermission('clients:read'), async (req, res) => {
+  try {
+    console.log('API: Fetching renewals with query params:', req.query);
+    
+    const { vendedorId, tecnicoId, teamId } = req.query;
+    
+    const within = renewalService.parseWithin(req.query.within);
+    if (within === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'within must be a number of days up to 730, e.g. 90d'
+      });
+    }
+    
+    if ([vendedorId, tecnicoId, teamId].some(id => id && !UUID_PATTERN.test(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'vendedorId, tecnicoId and teamId must be IDs'
+      });
+    }
+    
+    // Managers of a team only see the clients of its members
+    const scope = await teamService.resolveScope(req, { teamId });
+    if (scope.forbidden) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - Not a manager of this team'
+      });
+    }
+    
+    const conditions = [];
+    if (vendedorId) conditions.push({ vendedorId });
+    if (tecnicoId) conditions.push({ tecnicoId });
+    if (scope.salespersonIds) conditions.push({ vendedorId: scope.salespersonIds });
+    
+    // Users limited to their own data only see their assigned clients
+    const ownWhere = ownClientWhere(req);
+    if (ownWhere) conditions.push(ownWhere);
+    
+    const rows = await renewalService.getUpcoming({
+      within,
+      clientWhere: conditions.length > 0 ? { [Op.and]: conditions } : {}
+    });
+    
+    return res.json({
+      success: true,
+      data: {
+        within,
+        count: rows.length,
+        // The tenant is implied by the request
+        rows: rows.map(({ tenantId, ...row }) => row)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching renewals:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching renewals'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission } = require('../middleware/permissions');
+const rolloverService = require('../services/rollover');
+const periodService = require('../services/periods');
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
+
+/**
+ * Validation schema for a rollover
+ */
+const rolloverSchema = Joi.object({
+  period: Joi.string().default('year'),
+  dryRun: Joi.boolean().default(true),
+  source: Joi.string().valid('objective', 'template').default('objective'),
+  uplift: Joi.number().min(-100).default(0),
+  objectives: Joi.object().pattern(Joi.string().guid(), Joi.object({
+    clone: Joi.boolean(),
+    uplift: Joi.number().min(-100).allow(null)
+  })).default({}),
+  carryForward: Joi.array().items(Joi.string().guid()).default([])
+});
+
+/**
+ * @route   POST /api/rollover
+ * @desc    Year-end rollover of the objectives of a `period` (default the current
+ *          fiscal year). Quantitative objectives ending in it and qualitative
+ *          objectives due in it are closed with their final status; quantitative
+ *          ones are cloned into the next period (`source`: 'objective', or
+ *          'template' to re-create them from their template) with an `uplift`
+ *          percentage, overridable per objective in `objectives`
+ *          ({ id: { clone, uplift } }). Unfinished qualitative objectives listed
+ *          in `carryForward` move to the next period. A dry run (the default)
+ *          returns the plan without changing anything.
+ * @access  Private
+ */
+router.post('/', requirePermission('objectives:write'), async (req, res) => {
+  try {
+    console.log('API: Objective rollover requested', req.body);
+
+    const { error, value } = rolloverSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const period = periodService.parseForTenant(value.period, req.tenant);
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        error: 'period must be month, quarter, half, year, YYYY-MM, FYyyyy, FYyyyy-Qn or FYyyyy-Hn'
+      });
+    }
+
+    const { dryRun, ...options } = value;
+    const plan = dryRun
+      ? await rolloverService.preview(period, options)
+      : await rolloverService.apply(period, options);
+
+    if (!dryRun) {
+      console.log(`API: Rolled over ${period.key}: closed ${plan.summary.quantitative + plan.summary.qualitative} objectives, created ${plan.summary.cloned + plan.summary.carriedForward}`);
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        ...plan,
+        applied: !dryRun
+      }
+    });
+  } catch (error) {
+    console.error('Error rolling over objectives:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error rolling over objectives'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,26 @@ const db = require('../models');
 const Joi = require('joi');
 
 const { Salesperson, Client, QuantitativeObjective, QualitativeObjective, Technician, SalespersonQuantitativeObjective } = db;
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission, canAccessOwn } = require('../middleware/permissions');
+const objectiveService = require('../services/objectives');
+const trashService = require('../services/trash');
+const trendService = require('../services/trends');
+const periodService = require('../services/periods');
+const spreadsheetService = require('../services/spreadsheet');
+const progressImportService = require('../services/progressImport');
+const periodLockService = require('../services/periodLocks');
+const forecastService = require('../services/forecasts');
+const teamService = require('../services/teams');
+
+// Largest progress import request body
+const IMPORT_BODY_LIMIT = 5 * 1024 * 1024;
+// An XLSX sheet in that body may expand to ten times its size, no more
+const IMPORT_MAX_UNCOMPRESSED_SIZE = 10 * IMPORT_BODY_LIMIT;
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
 
 /**
  * Validate salesperson data
@@ -31,7 +51,7 @@ const validateSalesperson = (data, isUpdate = false) => {
  * @desc Get all salespersons with pagination and filters
  * @access Public
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('salespersons:read'), async (req, res) => {
   try {
     console.log('API: Fetching salespersons with query params:', req.query);
     
@@ -63,16 +83,38 @@ router.get('/', async (req, res) => {
     // Calculate offset for pagination
     const offset = (parseInt(page, 10) - 1) * parseInt(limit, 10);
     
+    if (req.query.teamId && !teamService.isValidId(req.query.teamId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'teamId must be a team ID'
+      });
+    }
+    
+    // Users limited to their own data only see their own salesperson record;
+    // managers of a team only see its members
+    const scope = await teamService.resolveScope(req, { teamId: req.query.teamId });
+    if (scope.forbidden) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - Not a manager of this team'
+      });
+    }
+    
+    const ownWhere = req.permissionScope === 'own'
+      ? { id: req.ownRecords.salespersonId }
+      : scope.salespersonIds ? { id: scope.salespersonIds } : {};
+    
     try {
       // Step 1: First try a basic count to see if we can query the table at all
       console.log('DEBUG: Attempting to count salespersons...');
-      const count = await Salesperson.count();
+      const count = await Salesperson.count({ where: ownWhere });
       console.log('DEBUG: Count successful, found', count, 'salespersons');
       
       // Step 2: Then try a basic findAll without complex joins
       console.log('DEBUG: Attempting basic findAll...');
       const salespersons = await Salesperson.findAll({
-        attributes: ['id', 'nombre', 'email', 'estado', 'createdAt', 'updatedAt'],
+        where: ownWhere,
+        attributes: ['id', 'nombre', 'email', 'estado', 'teamId', 'createdAt', 'updatedAt'],
         raw: true
       });
       
@@ -223,12 +265,241 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/salespersons/dashboard
+ * @desc Get aggregated data for dashboard within a period (`period`, default the current fiscal year).
+ *       `months` sets the length of the monthly trends (default 12). Objectives and the
+ *       remaining months of the trends carry a forecast (`forecastMethod`, default linear).
+ *       `teamId` limits the figures to the members of a team during the period; managers of
+ *       a team only see their teams
+ * @access Public
+ */
+router.get('/dashboard', requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    console.log('API: Fetching dashboard data with query params:', req.query);
+    
+    const period = periodService.parseForTenant(req.query.period, req.tenant);
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        error: 'period must be month, quarter, half, year, YYYY-MM, FYyyyy, FYyyyy-Qn or FYyyyy-Hn'
+      });
+    }
+    
+    const forecastMethod = req.query.forecastMethod || 'linear';
+    if (!forecastService.isMethod(forecastMethod)) {
+      return res.status(400).json({
+        success: false,
+        error: 'forecastMethod must be linear, trailing3 or seasonal'
+      });
+    }
+    
+    if (req.query.teamId && !teamService.isValidId(req.query.teamId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'teamId must be a team ID'
+      });
+    }
+    
+    const scope = await teamService.resolveScope(req, { teamId: req.query.teamId, period });
+    if (scope.forbidden) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - Not a manager of this team'
+      });
+    }
+    
+    // Where conditions limiting salespersons, clients and assignments to the team scope
+    const salespersonWhere = scope.salespersonIds ? { id: scope.salespersonIds } : {};
+    const clientWhere = scope.salespersonIds ? { vendedorId: scope.salespersonIds } : {};
+    const assignmentWhere = scope.salespersonIds ? { salespersonId: scope.salespersonIds } : {};
+    
+    // Monthly totals from the recorded progress, with deltas against the previous
+    // period and the same period a year earlier
+    const months = Math.min(Math.max(parseInt(req.query.months, 10) || 12, 2), 36);
+    const trends = await trendService.getMonthlyTrends({ months, period, salespersonIds: scope.salespersonIds || undefined });
+    
+    // Sales recorded on currency objectives within the period
+    const totalSales = trends.comparison.current.currency || 0;
+    const salesComparison = trends.comparison.periodOverPeriod.currency;
+    
+    // Get counts of active/inactive salespersons
+    const activeSalespersons = await Salesperson.count({
+      where: { ...salespersonWhere, estado: 'active' }
+    });
+    
+    const inactiveSalespersons = await Salesperson.count({
+      where: { ...salespersonWhere, estado: 'inactive' }
+    });
+    
+    // Get total clients
+    const totalClients = await Client.count({ where: clientWhere });
+    
+    // Get counts of qualitative objectives due in the period (or without a due date) by status
+    const dueInPeriod = {
+      [Op.or]: [
+        { dueDate: null },
+        { dueDate: { [Op.between]: [period.startDate, period.endDate] } }
+      ]
+    };
+    // For a team, its members' objectives and the global ones
+    if (scope.salespersonIds) {
+      const teamObjectives = await db.SalespersonObjective.findAll({
+        where: { salespersonId: scope.salespersonIds },
+        attributes: ['qualitativeObjectiveId']
+      });
+      dueInPeriod[Op.and] = [{
+        [Op.or]: [
+          { isGlobal: true },
+          { id: teamObjectives.map(assignment => assignment.qualitativeObjectiveId) }
+        ]
+      }];
+    }
+    const qualitativeStats = {
+      pending: await QualitativeObjective.count({ where: { ...dueInPeriod, status: 'pendiente' } }),
+      inProgress: await QualitativeObjective.count({ where: { ...dueInPeriod, status: 'en_progreso' } }),
+      inReview: await QualitativeObjective.count({ where: { ...dueInPeriod, status: 'en_revision' } }),
+      completed: await QualitativeObjective.count({ where: { ...dueInPeriod, status: 'completado' } }),
+      notCompleted: await QualitativeObjective.count({ where: { ...dueInPeriod, status: 'no_completado' } })
+    };
+    
+    // Calculate overall progress
+    const totalQualitativeObjectives = 
+      qualitativeStats.pending + 
+      qualitativeStats.inProgress + 
+      qualitativeStats.inReview + 
+      qualitativeStats.completed + 
+      qualitativeStats.notCompleted;
+    
+    const qualitativeProgress = totalQualitativeObjectives > 0
+      ? qualitativeStats.completed / totalQualitativeObjectives
+      : 0;
+    
+    // Calculate quantitative progress within the period, against prorated targets
+    const salespersonQuantitativeObjectives = await SalespersonQuantitativeObjective.findAll({
+      where: assignmentWhere,
+      include: [
+        {
+          model: QuantitativeObjective,
+          as: 'quantitativeObjective'
+        }
+      ]
+    });
+    const quantitativeObjectives = (await QuantitativeObjective.findAll())
+      .filter(objective => periodService.overlapShare(objective, period) > 0)
+      // A team only sees the objectives assigned to its members
+      .filter(objective => !scope.salespersonIds || salespersonQuantitativeObjectives.some(obj => obj.quantitativeObjectiveId === objective.id));
+    
+    // Convert to compatible format for the existing calculation function
+    const formattedObjectives = salespersonQuantitativeObjectives
+      .filter(obj => obj.quantitativeObjective && periodService.overlapShare(obj.quantitativeObjective, period) > 0)
+      .map(obj => {
+        const data = obj.toJSON();
+        const { value, target } = objectiveService.getPeriodProgress(data, data.quantitativeObjective, period);
+        return {
+          id: data.quantitativeObjective.id,
+          type: data.quantitativeObjective.type,
+          annual: target,
+          ytd: value,
+          weight: data.quantitativeObjective.weight || 1
+        };
+      });
+    
+    const quantitativeProgress = calculateOverallQuantitativeProgress(formattedObjectives);
+    
+    // Forecast of every assignment in the period, and the projected totals of its remaining months
+    const seasonality = forecastMethod === 'seasonal' ? await forecastService.getSeasonality() : {};
+    const forecastsByObjective = {};
+    const forecastMonths = {};
+    salespersonQuantitativeObjectives
+      .filter(obj => obj.quantitativeObjective && periodService.overlapShare(obj.quantitativeObjective, period) > 0)
+      .forEach(obj => {
+        const objective = obj.quantitativeObjective;
+        const forecast = forecastService.forecastAssignment(obj, objective, { method: forecastMethod, seasonality });
+        
+        forecastsByObjective[objective.id] = [...(forecastsByObjective[objective.id] || []), forecast];
+        Object.entries(forecast.months).forEach(([monthKey, value]) => {
+          trendService.accumulate(forecastMonths, monthKey, forecastService.getType(objective), value);
+        });
+      });
+    
+    const monthlyTrends = trends.months.map(item => ({
+      month: item.label,
+      key: item.month,
+      amount: item.totals.currency || 0,
+      totals: item.totals,
+      forecast: forecastMonths[item.month] ? trendService.toTotals(forecastMonths[item.month]) : null
+    }));
+    
+    // Company-wide progress per objective in the period
+    const objectives = quantitativeObjectives.map(objective => {
+      const assigned = formattedObjectives.filter(obj => obj.id === objective.id);
+      const total = assigned.reduce((sum, obj) => sum + obj.ytd, 0);
+      const isPercentage = objective.type === 'percentage';
+      
+      // Rates are averaged and keep their full target; amounts add up against the prorated target
+      const periodValue = isPercentage ? (assigned.length > 0 ? total / assigned.length : 0) : total;
+      const periodTarget = isPercentage
+        ? objective.companyTarget
+        : objective.companyTarget * periodService.overlapShare(objective, period);
+      
+      return {
+        id: objective.id,
+        name: objective.name,
+        type: objective.type,
+        companyTarget: periodTarget,
+        ytdValue: periodValue,
+        progress: periodTarget > 0 ? (periodValue / periodTarget) * 100 : 0,
+        isGlobal: objective.isGlobal,
+        status: objective.status,
+        forecast: forecastService.combine(objective, forecastsByObjective[objective.id] || [])
+      };
+    });
+    
+    // Get top performers
+    const topPerformers = await getTopPerformers(period, scope.salespersonIds);
+    
+    // Prepare response
+    const dashboardData = {
+      period: periodService.toJSON(period),
+      teamIds: scope.teamIds,
+      totalSales,
+      salesComparison,
+      activeSalespersons,
+      inactiveSalespersons,
+      totalClients,
+      qualitativeObjectiveStats: qualitativeStats,
+      qualitativeProgress,
+      quantitativeProgress,
+      objectives,
+      topPerformers,
+      monthlyTrends,
+      trends: {
+        comparison: trends.comparison,
+        bySalesperson: trends.bySalesperson
+      }
+    };
+    
+    console.log('API: Successfully fetched dashboard data');
+    return res.json({
+      success: true,
+      data: dashboardData
+    });
+  } catch (error) {
+    console.error('API Error: Failed to fetch dashboard data', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dashboard data'
+    });
+  }
+});
+
 /**
  * @route GET /api/salespersons/:id/basic
  * @desc Get basic salesperson details for editing
  * @access Public
  */
-router.get('/:id/basic', async (req, res) => {
+router.get('/:id/basic', requirePermission('salespersons:read'), async (req, res) => {
   try {
     console.log(`API: Fetching basic details for salesperson with ID: ${req.params.id}`);
     
@@ -237,7 +508,8 @@ router.get('/:id/basic', async (req, res) => {
       attributes: ['id', 'nombre', 'email', 'estado', 'createdAt', 'updatedAt']
     });
     
-    if (!salesperson) {
+    if (!salesperson || !canAccessOwn(req, { salespersonId: salesperson.id }) ||
+      !(await teamService.canAccessSalesperson(req, salesperson.id))) {
       console.log(`API: Salesperson with ID ${req.params.id} not found`);
       return res.status(404).json({
         success: false,
@@ -266,13 +538,22 @@ router.get('/:id/basic', async (req, res) => {
  * @desc Get a single salesperson by ID with details
  * @access Public
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('salespersons:read'), async (req, res) => {
   try {
     console.log(`API: Fetching salesperson with ID: ${req.params.id}`);
     
+    const forecastMethod = req.query.forecastMethod || 'linear';
+    if (!forecastService.isMethod(forecastMethod)) {
+      return res.status(400).json({
+        success: false,
+        error: 'forecastMethod must be linear, trailing3 or seasonal'
+      });
+    }
+    
     // First try a simple findByPk to check if the salesperson exists
     const simpleSalesperson = await Salesperson.findByPk(req.params.id);
-    if (!simpleSalesperson) {
+    if (!simpleSalesperson || !canAccessOwn(req, { salespersonId: simpleSalesperson.id }) ||
+      !(await teamService.canAccessSalesperson(req, simpleSalesperson.id))) {
       console.log(`API: Salesperson with ID ${req.params.id} not found`);
       return res.status(404).json({
         success: false,
@@ -320,11 +601,15 @@ router.get('/:id', async (req, res) => {
       ]
     });
     
+    // Seasonality only matters to the seasonal forecast
+    const seasonality = forecastMethod === 'seasonal' ? await forecastService.getSeasonality() : {};
+    
     // Convert to simple objects and format for compatibility
     const formattedQuantitativeObjectives = quantitativeObjectives.map(obj => {
       const data = obj.toJSON();
       return {
         id: data.quantitativeObjective.id,
+        assignmentId: data.id,
         name: data.quantitativeObjective.name,
         description: data.quantitativeObjective.description,
         type: data.quantitativeObjective.type,
@@ -337,7 +622,8 @@ router.get('/:id', async (req, res) => {
         startDate: data.quantitativeObjective.startDate,
         endDate: data.quantitativeObjective.endDate,
         status: data.status,
-        monthlyProgress: data.monthlyProgress || {}
+        monthlyProgress: data.monthlyProgress || {},
+        forecast: forecastService.forecastAssignment(data, data.quantitativeObjective, { method: forecastMethod, seasonality })
       };
     });
     
@@ -383,9 +669,9 @@ router.get('/:id', async (req, res) => {
         const result = await db.sequelize.query(`
           SELECT COUNT(*) as count FROM "ClientService" cs
           INNER JOIN "Client" c ON cs."clientId" = c.id
-          WHERE c."vendedorId" = :vendedorId
+          WHERE c."vendedorId" = :vendedorId AND c."tenantId" = :tenantId
         `, {
-          replacements: { vendedorId: req.params.id },
+          replacements: { vendedorId: req.params.id, tenantId: req.tenantId },
           type: db.sequelize.QueryTypes.SELECT
         });
         serviceCount = parseInt(result[0].count, 10);
@@ -455,7 +741,7 @@ router.get('/:id', async (req, res) => {
  * @desc Create a new salesperson
  * @access Public
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('salespersons:write'), async (req, res) => {
   try {
     console.log('API: Creating new salesperson with data:', req.body);
     
@@ -504,7 +790,7 @@ router.post('/', async (req, res) => {
  * @desc Update a salesperson
  * @access Public
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('salespersons:write'), async (req, res) => {
   try {
     console.log(`API: Updating salesperson with ID: ${req.params.id}`);
     
@@ -563,10 +849,10 @@ router.put('/:id', async (req, res) => {
 
 /**
  * @route DELETE /api/salespersons/:id
- * @desc Delete a salesperson and unassign their clients and objectives
+ * @desc Move a salesperson to the trash and unassign their clients and objectives
  * @access Public
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('salespersons:delete'), async (req, res) => {
   try {
     console.log(`API: Deleting salesperson with ID: ${req.params.id}`);
     
@@ -575,14 +861,7 @@ router.delete('/:id', async (req, res) => {
     
     try {
       // Find salesperson
-      const salesperson = await Salesperson.findByPk(req.params.id, {
-        include: [
-          { model: Client, as: 'clients' },
-          { model: QuantitativeObjective, as: 'quantitativeObjectives' },
-          { model: QualitativeObjective, as: 'qualitativeObjectives' }
-        ],
-        transaction
-      });
+      const salesperson = await Salesperson.findByPk(req.params.id, { transaction });
       
       if (!salesperson) {
         await transaction.rollback();
@@ -593,76 +872,9 @@ router.delete('/:id', async (req, res) => {
         });
       }
       
-      console.log(`API: Salesperson found with ${salesperson.clients?.length || 0} clients, ${salesperson.quantitativeObjectives?.length || 0} quantitative objectives, and ${salesperson.qualitativeObjectives?.length || 0} qualitative objectives`);
-      
-      // Instead of returning an error, we'll remove the objective assignments
-      let quantitativeRemoved = 0;
-      let qualitativeRemoved = 0;
-      
-      // Remove quantitative objective assignments if any exist
-      if (salesperson.quantitativeObjectives && salesperson.quantitativeObjectives.length > 0) {
-        console.log(`API: Removing ${salesperson.quantitativeObjectives.length} quantitative objective assignments for salesperson ${req.params.id}`);
-        try {
-          const result = await db.sequelize.query(`
-            DELETE FROM "SalespersonQuantitativeObjective" 
-            WHERE "salespersonId" = '${req.params.id}'
-            RETURNING id
-          `, { transaction });
-          
-          quantitativeRemoved = result[0].length;
-          console.log(`API: Successfully removed ${quantitativeRemoved} quantitative objective assignments`);
-        } catch (error) {
-          console.error('API Error: Failed to remove quantitative objective assignments:', error);
-          throw new Error(`Failed to remove quantitative objective assignments: ${error.message}`);
-        }
-      }
-      
-      // Remove qualitative objective assignments if any exist
-      if (salesperson.qualitativeObjectives && salesperson.qualitativeObjectives.length > 0) {
-        console.log(`API: Removing ${salesperson.qualitativeObjectives.length} qualitative objective assignments for salesperson ${req.params.id}`);
-        try {
-          const result = await db.sequelize.query(`
-            DELETE FROM "SalespersonObjective" 
-            WHERE "salespersonId" = '${req.params.id}'
-            RETURNING id
-          `, { transaction });
-          
-          qualitativeRemoved = result[0].length;
-          console.log(`API: Successfully removed ${qualitativeRemoved} qualitative objective assignments`);
-        } catch (error) {
-          console.error('API Error: Failed to remove qualitative objective assignments:', error);
-          throw new Error(`Failed to remove qualitative objective assignments: ${error.message}`);
-        }
-      }
-      
-      // Unassign clients by setting vendedorId to null
-      let unassignedCount = 0;
-      if (salesperson.clients && salesperson.clients.length > 0) {
-        console.log(`API: Unassigning ${salesperson.clients.length} clients from salesperson ${req.params.id}`);
-        try {
-          const updateResult = await Client.update(
-            { vendedorId: null },
-            { 
-              where: { vendedorId: req.params.id },
-              transaction
-            }
-          );
-          unassignedCount = salesperson.clients.length;
-          console.log(`API: Successfully unassigned clients from salesperson ${req.params.id}`, updateResult);
-        } catch (clientUpdateError) {
-          console.error('API Error: Failed to unassign clients:', clientUpdateError);
-          throw new Error(`Failed to unassign clients: ${clientUpdateError.message}`);
-        }
-      }
-      
-      // Delete salesperson
-      try {
-        await salesperson.destroy({ transaction });
-        console.log(`API: Successfully deleted salesperson with ID: ${req.params.id}`);
-      } catch (destroyError) {
-        console.error('API Error: Failed to destroy salesperson:', destroyError);
-        throw new Error(`Failed to destroy salesperson: ${destroyError.message}`);
-      }
+      // Unassign clients and objectives, keeping them to re-link on restore
+      const links = await trashService.trash('Salesperson', salesperson, { transaction });
+      console.log(`API: Moved salesperson ${req.params.id} to the trash, unassigning ${links.clientIds.length} clients, ${links.quantitativeAssignments.length} quantitative and ${links.qualitativeAssignments.length} qualitative objectives`);
       
       // Commit transaction
       await transaction.commit();
@@ -670,10 +882,10 @@ router.delete('/:id', async (req, res) => {
       return res.json({
         success: true,
         data: { 
-          message: 'Salesperson deleted successfully',
-          unassignedClients: unassignedCount,
-          removedQuantitativeObjectives: quantitativeRemoved,
-          removedQualitativeObjectives: qualitativeRemoved
+          message: 'Salesperson moved to the trash',
+          unassignedClients: links.clientIds.length,
+          removedQuantitativeObjectives: links.quantitativeAssignments.length,
+          removedQualitativeObjectives: links.qualitativeAssignments.length
         }
       });
     } catch (error) {
@@ -700,129 +912,6 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-/**
- * @route GET /api/salespersons/dashboard
- * @desc Get aggregated data for dashboard
- * @access Public
- */
-router.get('/dashboard', async (req, res) => {
-  try {
-    console.log('API: Fetching dashboard data');
-    
-    // Get total sales from SalespersonQuantitativeObjective with currency type objectives
-    const totalSalesData = await SalespersonQuantitativeObjective.findAll({
-      include: [
-        {
-          model: QuantitativeObjective,
-          as: 'quantitativeObjective',
-          where: { 
-            [Op.or]: [
-              { type: 'currency' },
-              { type: 'moneda' }
-            ] 
-          },
-          attributes: ['id', 'type', 'companyTarget']
-        }
-      ],
-      attributes: ['currentValue']
-    });
-    
-    const totalSales = totalSalesData.reduce((sum, obj) => sum + (obj.currentValue || 0), 0);
-    
-    // Compare with previous period (mocked for now)
-    // In a real implementation, this would compare with data from previous month/quarter/year
-    const salesComparison = 0.15; // Represents 15% growth
-    
-    // Get counts of active/inactive salespersons
-    const activeSalespersons = await Salesperson.count({
-      where: { estado: 'active' }
-    });
-    
-    const inactiveSalespersons = await Salesperson.count({
-      where: { estado: 'inactive' }
-    });
-    
-    // Get total clients
-    const totalClients = await Client.count();
-    
-    // Get counts of qualitative objectives by status
-    const qualitativeStats = {
-      pending: await QualitativeObjective.count({ where: { status: 'pendiente' } }),
-      inProgress: await QualitativeObjective.count({ where: { status: 'en_progreso' } }),
-      completed: await QualitativeObjective.count({ where: { status: 'completado' } }),
-      notCompleted: await QualitativeObjective.count({ where: { status: 'no_completado' } })
-    };
-    
-    // Calculate overall progress
-    const totalQualitativeObjectives = 
-      qualitativeStats.pending + 
-      qualitativeStats.inProgress + 
-      qualitativeStats.completed + 
-      qualitativeStats.notCompleted;
-    
-    const qualitativeProgress = totalQualitativeObjectives > 0
-      ? qualitativeStats.completed / totalQualitativeObjectives
-      : 0;
-    
-    // Calculate quantitative progress using aggregated data
-    const quantitativeObjectives = await QuantitativeObjective.findAll();
-    const salespersonQuantitativeObjectives = await SalespersonQuantitativeObjective.findAll({
-      include: [
-        {
-          model: QuantitativeObjective,
-          as: 'quantitativeObjective'
-        }
-      ]
-    });
-    
-    // Convert to compatible format for the existing calculation function
-    const formattedObjectives = salespersonQuantitativeObjectives.map(obj => {
-      const data = obj.toJSON();
-      return {
-        id: data.quantitativeObjective.id,
-        type: data.quantitativeObjective.type,
-        annual: data.individualTarget,
-        ytd: data.currentValue,
-        weight: data.quantitativeObjective.weight || 1
-      };
-    });
-    
-    const quantitativeProgress = calculateOverallQuantitativeProgress(formattedObjectives);
-    
-    // Get top performers
-    const topPerformers = await getTopPerformers();
-    
-    // Generate monthly trends (mocked)
-    const monthlyTrends = generateMockMonthlyTrends();
-    
-    // Prepare response
-    const dashboardData = {
-      totalSales,
-      salesComparison,
-      activeSalespersons,
-      inactiveSalespersons,
-      totalClients,
-      qualitativeObjectiveStats: qualitativeStats,
-      qualitativeProgress,
-      quantitativeProgress,
-      topPerformers,
-      monthlyTrends
-    };
-    
-    console.log('API: Successfully fetched dashboard data');
-    return res.json({
-      success: true,
-      data: dashboardData
-    });
-  } catch (error) {
-    console.error('API Error: Failed to fetch dashboard data', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to fetch dashboard data'
-    });
-  }
-});
-
 /**
  * Calculate progress for quantitative objectives
  * @param {Array} objectives - Array of quantitative objectives
@@ -874,13 +963,15 @@ function calculateOverallQuantitativeProgress(objectives) {
 
 /**
  * Get top-performing salespersons
+ * @param {Object} period - Period the sales are counted in
+ * @param {Array<String>} [teamMemberIds] - Only rank these salespersons (a team)
  * @returns {Promise<Array>} Array of top performers
  */
-async function getTopPerformers() {
+async function getTopPerformers(period, teamMemberIds) {
   // In a real implementation, this would use a more sophisticated query
   // For now, we're keeping it simple
   const salespersons = await Salesperson.findAll({
-    where: { estado: 'active' },
+    where: teamMemberIds ? { id: teamMemberIds, estado: 'active' } : { estado: 'active' },
     include: [
       { model: Client, as: 'clients' }
     ],
@@ -912,9 +1003,10 @@ async function getTopPerformers() {
     if (!objectivesBySalesperson[obj.salespersonId]) {
       objectivesBySalesperson[obj.salespersonId] = [];
     }
+    const { value, target } = objectiveService.getPeriodProgress(data, data.quantitativeObjective, period);
     objectivesBySalesperson[obj.salespersonId].push({
-      currentValue: data.currentValue || 0,
-      individualTarget: data.individualTarget || 0
+      currentValue: value,
+      individualTarget: target
     });
   });
   
@@ -941,131 +1033,42 @@ async function getTopPerformers() {
   }).sort((a, b) => b.sales - a.sales); // Sort by sales in descending order
 }
 
-/**
- * Generate mock monthly trends
- * @returns {Array} Array of monthly data
- */
-function generateMockMonthlyTrends() {
-  const months = [
-    'January', 'February', 'March', 'April', 'May', 'June',
-    'July', 'August', 'September', 'October', 'November', 'December'
-  ];
-  
-  // Get current month
-  const currentMonth = new Date().getMonth();
-  
-  // Generate data for the last 6 months
-  return Array.from({ length: 6 }, (_, i) => {
-    const monthIndex = (currentMonth - 5 + i + 12) % 12;
-    return {
-      month: months[monthIndex],
-      amount: Math.floor(Math.random() * 1000000) + 500000 // Random amount between 500k and 1.5M
-    };
-  });
-}
-
 /**
  * @route GET /api/salespersons/:id/objectives
- * @description Get all quantitative objectives for a specific salesperson
+ * @description Get all quantitative objectives for a specific salesperson. With `period`, only the
+ *              objectives running in it, with their progress and prorated target in the period
  * @access Public
  */
-router.get('/:id/objectives', async (req, res) => {
+router.get('/:id/objectives', requirePermission('objectives:read'), async (req, res) => {
   try {
+    const period = req.query.period
+      ? periodService.parseForTenant(req.query.period, req.tenant)
+      : null;
+    
+    if (req.query.period && !period) {
+      return res.status(400).json({
+        success: false,
+        error: 'period must be month, quarter, half, year, YYYY-MM, FYyyyy, FYyyyy-Qn or FYyyyy-Hn'
+      });
+    }
+    
     // Validate salesperson exists
     const salesperson = await Salesperson.findByPk(req.params.id);
     
-    if (!salesperson) {
+    if (!salesperson || !canAccessOwn(req, { salespersonId: salesperson.id }) ||
+      !(await teamService.canAccessSalesperson(req, salesperson.id))) {
       return res.status(404).json({
         success: false,
         error: 'Salesperson not found'
       });
     }
     
-    // Fetch the salesperson's explicitly assigned quantitative objectives with details
-    const assignedObjectives = await SalespersonQuantitativeObjective.findAll({
-      where: { salespersonId: req.params.id },
-      include: [
-        {
-          model: QuantitativeObjective,
-          as: 'quantitativeObjective',
-          attributes: ['id', 'name', 'description', 'type', 'companyTarget', 'minimumAcceptable', 'weight', 'isGlobal', 'startDate', 'endDate']
-        }
-      ]
-    });
-    
-    // Fetch global objectives that aren't already assigned to this salesperson
-    const assignedObjectiveIds = assignedObjectives.map(obj => obj.quantitativeObjectiveId);
-    
-    const globalObjectives = await QuantitativeObjective.findAll({
-      where: {
-        isGlobal: true,
-        id: {
-          [Op.notIn]: assignedObjectiveIds
-        }
-      }
-    });
-    
-    // Process the assigned objectives data
-    const processedAssignedObjectives = assignedObjectives.map(obj => {
-      const data = obj.toJSON();
-      
-      // Calculate completion percentage
-      let completionPercentage = 0;
-      if (data.individualTarget > 0) {
-        completionPercentage = (data.currentValue / data.individualTarget) * 100;
-      }
-      
-      return {
-        id: data.id,
-        objective: data.quantitativeObjective,
-        individualTarget: data.individualTarget,
-        currentValue: data.currentValue,
-        completionPercentage,
-        monthlyProgress: data.monthlyProgress,
-        status: data.status
-      };
-    });
-    
-    // Get count of active salespersons for calculating suggested targets
-    const activeSalespersonsCount = await Salesperson.count({
-      where: { estado: 'active' }
-    });
-    
-    // For unassigned global objectives, create similar structure with suggested target
-    const processedGlobalObjectives = globalObjectives.map(obj => {
-      // For global objectives, calculate suggested individual target as equal portion
-      const data = obj.toJSON();
-      const suggestedTarget = activeSalespersonsCount > 0 ? Math.round((data.companyTarget / activeSalespersonsCount) * 100) / 100 : 0;
-      
-      return {
-        id: null, // No assignment ID yet since it's not assigned
-        objective: {
-          id: data.id,
-          name: data.name,
-          description: data.description,
-          type: data.type,
-          companyTarget: data.companyTarget,
-          minimumAcceptable: data.minimumAcceptable,
-          weight: data.weight,
-          isGlobal: true,
-          startDate: data.startDate,
-          endDate: data.endDate
-        },
-        individualTarget: suggestedTarget, // Suggested target based on equal distribution
-        currentValue: 0,
-        completionPercentage: 0,
-        monthlyProgress: {},
-        status: 'pending',
-        needsAssignment: true // Flag to indicate this needs to be assigned
-      };
-    });
-    
-    // Combine both arrays and send response
-    const allObjectives = [...processedAssignedObjectives, ...processedGlobalObjectives];
+    const allObjectives = await objectiveService.getSalespersonObjectives(req.params.id, { period });
     
     res.json({
       success: true,
-      data: allObjectives
+      data: allObjectives,
+      period: period ? periodService.toJSON(period) : undefined
     });
   } catch (error) {
     console.error('Error fetching salesperson objectives:', error);
@@ -1082,7 +1085,7 @@ router.get('/:id/objectives', async (req, res) => {
  * @description Create an individual objective for a salesperson
  * @access Public
  */
-router.post('/:id/objectives', async (req, res) => {
+router.post('/:id/objectives', requirePermission('objectives:assign'), async (req, res) => {
   try {
     const {
       name,
@@ -1154,12 +1157,78 @@ router.post('/:id/objectives', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/salespersons/objectives/import
+ * @description Bulk import monthly progress from a CSV or XLSX sheet with the
+ *   columns email, objective and one column per month. Every row is validated
+ *   against the existing assignments; with `dryRun` the changes and row errors
+ *   are only previewed, otherwise they are all written in a single transaction
+ *   and nothing is written when any row is invalid.
+ * @body {String} filename - Original file name (.csv or .xlsx)
+ * @body {String} content - File content, base64 encoded
+ * @body {Boolean} [dryRun=true] - Only preview the changes
+ * @access Private (objectives:progress)
+ */
+router.post('/objectives/import', express.json({ limit: IMPORT_BODY_LIMIT }), requirePermission('objectives:progress'), async (req, res) => {
+  try {
+    const { filename = '', content, dryRun = true } = req.body;
+    console.log(`API: Importing monthly progress from ${filename || 'upload'} (dry run: ${dryRun !== false})`);
+
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'A CSV or XLSX file is required'
+      });
+    }
+
+    let rows;
+    try {
+      rows = spreadsheetService.parse(Buffer.from(content, 'base64'), filename, {
+        maxUncompressedSize: IMPORT_MAX_UNCOMPRESSED_SIZE
+      });
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: parseError.message
+      });
+    }
+
+    const options = { canAccess: (salespersonId) => canAccessOwn(req, { salespersonId }) };
+    const result = dryRun === false
+      ? await progressImportService.apply(rows, options)
+      : await progressImportService.preview(rows, options);
+
+    // A preview reports invalid rows; an import with invalid rows is rejected
+    if (!result.valid && dryRun === false) {
+      console.log(`API: Import rejected with ${result.errors.length} errors`);
+      return res.status(422).json({
+        success: false,
+        error: 'The sheet has invalid rows',
+        data: result
+      });
+    }
+
+    console.log(`API: Import ${result.applied ? 'applied' : 'previewed'}: ${result.summary.values} values in ${result.summary.assignments} assignments`);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error importing monthly progress:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import monthly progress',
+      details: error.message
+    });
+  }
+});
+
 /**
  * @route POST /api/salespersons/:id/objectives/monthly
  * @description Update monthly progress for a salesperson's objective
  * @access Public
  */
-router.post('/:id/objectives/monthly', async (req, res) => {
+router.post('/:id/objectives/monthly', requirePermission('objectives:progress'), async (req, res) => {
   try {
     console.log(`API: Updating monthly progress for salesperson ${req.params.id}:`, req.body);
     const { assignmentId, month, value } = req.body;
@@ -1214,38 +1283,40 @@ router.post('/:id/objectives/monthly', async (req, res) => {
       currentMonthlyProgress: assignment.monthlyProgress
     });
     
+    // Objectives closed by the year-end rollover are read-only
+    const objective = await QuantitativeObjective.findByPk(assignment.quantitativeObjectiveId);
+    if (objective.closedAt) {
+      console.log(`API: Objective ${objective.id} is closed`);
+      return res.status(409).json({
+        success: false,
+        error: `"${objective.name}" is closed; its monthly progress is read-only`
+      });
+    }
+    
+    // Closed months only change after an admin reopens them
+    const progressMonth = periodService.progressMonth(objective, month);
+    if (await periodLockService.findLock(progressMonth)) {
+      console.log(`API: Month ${progressMonth} is locked`);
+      return res.status(409).json({
+        success: false,
+        error: `${progressMonth} is closed; an admin must reopen it before its progress can change`
+      });
+    }
+    
     // Update monthly progress - ensure we're working with a copy, not reference
     const monthlyProgress = { ...assignment.monthlyProgress } || {};
     monthlyProgress[month] = numericValue;
     
     console.log(`API: Updated monthlyProgress:`, monthlyProgress);
     
-    // Calculate new current value (YTD)
-    const currentValue = Object.values(monthlyProgress).reduce(
-      (sum, val) => sum + parseFloat(val || 0), 0
+    // Calculate new current value (YTD) and status
+    const { currentValue, status } = objectiveService.computeProgress(
+      monthlyProgress,
+      assignment.individualTarget,
+      objective
     );
     
     console.log(`API: New calculated currentValue: ${currentValue}`);
-    
-    // Determine status based on current value and target
-    let status = 'pending';
-    const objective = await QuantitativeObjective.findByPk(assignment.quantitativeObjectiveId);
-    
-    if (currentValue > 0) {
-      status = 'in_progress';
-      
-      if (currentValue >= assignment.individualTarget) {
-        status = 'completed';
-      } else if (
-        objective &&
-        objective.minimumAcceptable !== null &&
-        new Date() > new Date(objective.endDate) &&
-        currentValue < objective.minimumAcceptable
-      ) {
-        status = 'not_completed';
-      }
-    }
-    
     console.log(`API: New status: ${status}`);
     
     // Update the assignment
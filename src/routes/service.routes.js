@@ -3,6 +3,13 @@ const Joi = require('joi');
 const { Op } = require('sequelize');
 const router = express.Router();
 const { Service, ClientService, sequelize } = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission } = require('../middleware/permissions');
+const trashService = require('../services/trash');
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
 
 /**
  * Validation schema for creating/updating a service
@@ -11,7 +18,9 @@ const serviceSchema = Joi.object({
   nombre: Joi.string().required().trim().max(100),
   descripcion: Joi.string().allow('').max(500).optional(),
   categoria: Joi.string().max(50),
-  precio: Joi.number().min(0),
+  precio: Joi.number().min(0).allow(null),
+  frecuenciaFacturacion: Joi.string().valid('mensual', 'trimestral', 'semestral', 'anual', 'unica').default('mensual'),
+  moneda: Joi.string().uppercase().length(3).default('UYU'),
   estado: Joi.string().valid('active', 'inactive').default('active')
 });
 
@@ -20,7 +29,7 @@ const serviceSchema = Joi.object({
  * @desc    Create a new service
  * @access  Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('services:write'), async (req, res) => {
   try {
     console.log('API: Creating service with data:', req.body);
     
@@ -70,7 +79,7 @@ router.post('/', async (req, res) => {
  * @desc    Get all services with optional filters
  * @access  Private
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('services:read'), async (req, res) => {
   try {
     console.log('API: Fetching services with query params:', req.query);
     
@@ -212,7 +221,7 @@ router.get('/', async (req, res) => {
  * @desc    Get a service by ID
  * @access  Private
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('services:read'), async (req, res) => {
   try {
     console.log(`API: Fetching service with ID: ${req.params.id}`);
     
@@ -254,7 +263,7 @@ router.get('/:id', async (req, res) => {
  * @desc    Update a service
  * @access  Private
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('services:write'), async (req, res) => {
   try {
     console.log(`API: Updating service with ID: ${req.params.id}`);
     
@@ -313,10 +322,10 @@ router.put('/:id', async (req, res) => {
 
 /**
  * @route   DELETE /api/servicios/:id
- * @desc    Delete a service
+ * @desc    Move a service to the trash
  * @access  Private
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('services:delete'), async (req, res) => {
   try {
     console.log(`API: Deleting service with ID: ${req.params.id}`);
     
@@ -330,13 +339,15 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Delete the service (CASCADE will handle related ClientService records)
-    await service.destroy();
+    // Move the service to the trash, removing it from its clients
+    await sequelize.transaction(transaction =>
+      trashService.trash('Service', service, { transaction })
+    );
     
-    console.log(`API: Deleted service: ${req.params.id}`);
+    console.log(`API: Moved service to the trash: ${req.params.id}`);
     return res.json({
       success: true,
-      message: 'Service deleted successfully'
+      message: 'Service moved to the trash'
     });
   } catch (error) {
     console.error('Error deleting service:', error.message, error.stack);
@@ -0,0 +1,374 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const db = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission } = require('../middleware/permissions');
+const teamService = require('../services/teams');
+const periodService = require('../services/periods');
+
+const { Team, Salesperson, TenantUser } = db;
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
+
+/**
+ * Validation schema for creating/updating a team
+ */
+const teamSchema = Joi.object({
+  name: Joi.string().trim().max(255).required(),
+  description: Joi.string().max(2000).allow('').allow(null),
+  managerSalespersonId: Joi.string().guid().allow(null),
+  managerTenantUserId: Joi.string().guid().allow(null),
+  salespersonIds: Joi.array().items(Joi.string().guid()).unique(),
+  // First day of the membership changes, today by default
+  effectiveDate: Joi.date().iso().raw()
+  // A team has at most one manager; null clears it
+}).oxor('managerSalespersonId', 'managerTenantUserId', { isPresent: (value) => value !== undefined && value !== null });
+
+const PERIOD_ERROR = 'period must be month, quarter, half, year, YYYY-MM, FYyyyy, FYyyyy-Qn or FYyyyy-Hn';
+
+const teamInclude = [
+  { model: Salesperson, as: 'members', attributes: ['id', 'nombre', 'email', 'estado'] },
+  { model: Salesperson, as: 'managerSalesperson', attributes: ['id', 'nombre', 'email'] },
+  { model: TenantUser, as: 'managerTenantUser', attributes: ['id', 'email', 'role'] }
+];
+
+/**
+ * Check that the manager and members of a team belong to the current tenant
+ * @returns {Promise<string|null>} Error message, or null if all references are valid
+ */
+const findInvalidReference = async (req, value) => {
+  if (value.managerSalespersonId && !(await Salesperson.findByPk(value.managerSalespersonId))) {
+    return 'Manager salesperson not found';
+  }
+
+  // Tenant users are not scoped automatically
+  if (value.managerTenantUserId) {
+    const manager = await TenantUser.findOne({ where: { id: value.managerTenantUserId, tenantId: req.tenantId } });
+    if (!manager) return 'Manager user not found';
+  }
+
+  if (value.salespersonIds && value.salespersonIds.length > 0) {
+    const count = await Salesperson.count({ where: { id: value.salespersonIds } });
+    if (count !== value.salespersonIds.length) return 'One or more salespersons were not found';
+  }
+
+  return null;
+};
+
+/**
+ * Whether an update changes the manager or the members of a team
+ */
+const changesManagerOrMembers = async (team, value) => {
+  const changes = (field) => value[field] !== undefined && (value[field] || null) !== (team[field] || null);
+  if (changes('managerSalespersonId') || changes('managerTenantUserId')) return true;
+  if (!value.salespersonIds) return false;
+
+  const members = await Salesperson.findAll({ where: { teamId: team.id }, attributes: ['id'] });
+  const memberIds = members.map(member => member.id);
+  return memberIds.length !== value.salespersonIds.length ||
+    value.salespersonIds.some(id => !memberIds.includes(id));
+};
+
+/**
+ * The team of a request, or null when it does not exist or the user manages other teams
+ */
+const findVisibleTeam = async (req) => {
+  const managedTeamIds = await teamService.getManagedTeamIds(req);
+  if (managedTeamIds && !managedTeamIds.includes(req.params.id)) return null;
+  return Team.findByPk(req.params.id);
+};
+
+/**
+ * @route   GET /api/teams
+ * @desc    Teams with their manager and members. Managers limited to their teams only see those.
+ * @access  Private
+ */
+router.get('/', requirePermission('salespersons:read'), async (req, res) => {
+  try {
+    console.log('API: Fetching teams');
+
+    const managedTeamIds = await teamService.getManagedTeamIds(req);
+    const teams = await Team.findAll({
+      where: managedTeamIds ? { id: managedTeamIds } : {},
+      include: teamInclude,
+      order: [['name', 'ASC'], [{ model: Salesperson, as: 'members' }, 'nombre', 'ASC']]
+    });
+
+    return res.json({
+      success: true,
+      data: {
+        count: teams.length,
+        rows: teams
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching teams:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching teams'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/teams
+ * @desc    Create a team, optionally with its manager (a salesperson or a tenant user)
+ *          and members (`salespersonIds`). Managers limited to their teams may not.
+ * @access  Private
+ */
+router.post('/', requirePermission('salespersons:write'), async (req, res) => {
+  try {
+    console.log('API: Creating team', req.body);
+
+    if (!teamService.canManageTeams(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - Only users who see every team can create teams'
+      });
+    }
+
+    const { error, value } = teamSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const invalidReference = await findInvalidReference(req, value);
+    if (invalidReference) {
+      return res.status(400).json({
+        success: false,
+        error: invalidReference
+      });
+    }
+
+    const existing = await Team.findOne({ where: { name: value.name } });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: `A team named ${value.name} already exists`
+      });
+    }
+
+    const { salespersonIds = [], effectiveDate, ...attributes } = value;
+    const team = await db.sequelize.transaction(async (transaction) => {
+      const created = await Team.create(attributes, { transaction });
+      await teamService.setMembers(created, salespersonIds, { transaction, date: effectiveDate });
+      return created;
+    });
+
+    await team.reload({ include: teamInclude });
+
+    console.log(`API: Created team ${team.id}`);
+    return res.status(201).json({
+      success: true,
+      data: team
+    });
+  } catch (error) {
+    console.error('Error creating team:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error creating team'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/teams/:id
+ * @desc    Update a team; `salespersonIds`, when given, replaces its members from
+ *          `effectiveDate` (default today) and the change is kept in the membership history.
+ *          Managers limited to their teams may not change a team's manager or members.
+ * @access  Private
+ */
+router.put('/:id', requirePermission('salespersons:write'), async (req, res) => {
+  try {
+    console.log(`API: Updating team ${req.params.id}`, req.body);
+
+    const { error, value } = teamSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const team = await findVisibleTeam(req);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    if (!teamService.canManageTeams(req) && await changesManagerOrMembers(team, value)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - Only users who see every team can change its manager or members'
+      });
+    }
+
+    const invalidReference = await findInvalidReference(req, value);
+    if (invalidReference) {
+      return res.status(400).json({
+        success: false,
+        error: invalidReference
+      });
+    }
+
+    const duplicate = await Team.findOne({ where: { name: value.name } });
+    if (duplicate && duplicate.id !== team.id) {
+      return res.status(409).json({
+        success: false,
+        error: `A team named ${value.name} already exists`
+      });
+    }
+
+    const { salespersonIds, effectiveDate, ...attributes } = value;
+    await db.sequelize.transaction(async (transaction) => {
+      // A team has one manager: setting one clears the other
+      if (attributes.managerSalespersonId) attributes.managerTenantUserId = null;
+      if (attributes.managerTenantUserId) attributes.managerSalespersonId = null;
+
+      await team.update(attributes, { transaction });
+      if (salespersonIds) {
+        await teamService.setMembers(team, salespersonIds, { transaction, date: effectiveDate });
+      }
+    });
+
+    await team.reload({ include: teamInclude });
+
+    console.log(`API: Updated team ${team.id}`);
+    return res.json({
+      success: true,
+      data: team
+    });
+  } catch (error) {
+    console.error('Error updating team:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error updating team'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/teams/:id
+ * @desc    Delete a team with its membership history; its members stay, without a team
+ * @access  Private
+ */
+router.delete('/:id', requirePermission('salespersons:write'), async (req, res) => {
+  try {
+    console.log(`API: Deleting team ${req.params.id}`);
+
+    const team = await findVisibleTeam(req);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    await db.sequelize.transaction(async (transaction) => {
+      await teamService.setMembers(team, [], { transaction });
+      await team.destroy({ transaction });
+    });
+
+    console.log(`API: Deleted team ${team.id}`);
+    return res.json({
+      success: true,
+      data: { id: team.id }
+    });
+  } catch (error) {
+    console.error('Error deleting team:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error deleting team'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/teams/:id/memberships
+ * @desc    Membership history of a team: who joined and left and when
+ * @access  Private
+ */
+router.get('/:id/memberships', requirePermission('salespersons:read'), async (req, res) => {
+  try {
+    console.log(`API: Fetching memberships of team ${req.params.id}`);
+
+    const team = await findVisibleTeam(req);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    const memberships = await teamService.getMemberships(team);
+
+    return res.json({
+      success: true,
+      data: {
+        count: memberships.length,
+        rows: memberships
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching team memberships:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching team memberships'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/teams/:id/rollup
+ * @desc    Team-level objective progress, clients and top performers in a `period`
+ *          (default the current fiscal year); members count for the months they were in the team
+ * @access  Private
+ */
+router.get('/:id/rollup', requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    console.log(`API: Fetching rollup of team ${req.params.id}`, req.query);
+
+    const period = periodService.parseForTenant(req.query.period, req.tenant);
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        error: PERIOD_ERROR
+      });
+    }
+
+    const team = await findVisibleTeam(req);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    const rollup = await teamService.getRollup(team, period);
+
+    return res.json({
+      success: true,
+      data: {
+        team: { id: team.id, name: team.name },
+        period: periodService.toJSON(period),
+        ...rollup
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching team rollup:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching team rollup'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,14 @@ const Joi = require('joi');
 const { Op } = require('sequelize');
 const router = express.Router();
 const { Technician, Client, TechnicianObjective, TechnicianEvaluation } = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission, canAccessOwn } = require('../middleware/permissions');
+const trashService = require('../services/trash');
+const attachmentService = require('../services/attachments');
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
 
 /**
  * Validation schema for creating/updating a technician
@@ -21,7 +29,7 @@ const technicianSchema = Joi.object({
  * @desc    Create a new technician
  * @access  Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('technicians:write'), async (req, res) => {
   try {
     console.log('API: Creating technician with data:', req.body);
     
@@ -71,7 +79,7 @@ router.post('/', async (req, res) => {
  * @desc    Get all technicians with optional filters
  * @access  Private
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('technicians:read'), async (req, res) => {
   try {
     console.log('API: Fetching technicians with query:', req.query);
     
@@ -100,6 +108,11 @@ router.get('/', async (req, res) => {
       whereClause.estado = estado;
     }
     
+    // Users limited to their own data only see their own technician record
+    if (req.permissionScope === 'own') {
+      whereClause.id = req.ownRecords.technicianId;
+    }
+    
     // Calculate offset for pagination
     const offset = (parseInt(page, 10) - 1) * parseInt(limit, 10);
     
@@ -193,13 +206,13 @@ router.get('/', async (req, res) => {
  * @desc    Get a technician by ID
  * @access  Private
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('technicians:read'), async (req, res) => {
   try {
     console.log(`API: Fetching technician with ID: ${req.params.id}`);
     
     const technician = await Technician.findByPk(req.params.id);
     
-    if (!technician) {
+    if (!technician || !canAccessOwn(req, { technicianId: technician.id })) {
       return res.status(404).json({
         success: false,
         error: 'Technician not found'
@@ -235,7 +248,7 @@ router.get('/:id', async (req, res) => {
  * @desc    Update a technician
  * @access  Private
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('technicians:write'), async (req, res) => {
   try {
     console.log(`API: Updating technician with ID: ${req.params.id}`);
     
@@ -294,10 +307,10 @@ router.put('/:id', async (req, res) => {
 
 /**
  * @route   DELETE /api/tecnicos/:id
- * @desc    Delete a technician
+ * @desc    Move a technician to the trash
  * @access  Private
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('technicians:delete'), async (req, res) => {
   try {
     console.log(`API: Deleting technician with ID: ${req.params.id}`);
     
@@ -325,10 +338,10 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Delete technician
-    await technician.destroy();
+    // Move the technician to the trash
+    await trashService.trash('Technician', technician);
     
-    console.log(`API: Deleted technician: ${req.params.id}`);
+    console.log(`API: Moved technician to the trash: ${req.params.id}`);
     return res.json({
       success: true,
       data: { id: req.params.id }
@@ -359,10 +372,14 @@ router.delete('/:id', async (req, res) => {
  *       200:
  *         description: List of objectives
  */
-router.get('/:id/objectives', async (req, res) => {
+router.get('/:id/objectives', requirePermission('objectives:read'), async (req, res) => {
   try {
     const technicianId = req.params.id;
     
+    if (!canAccessOwn(req, { technicianId })) {
+      return res.status(404).json({ error: 'Technician not found' });
+    }
+    
     const objectives = await TechnicianObjective.findAll({
       where: { technicianId },
       order: [['createdAt', 'DESC']]
@@ -399,7 +416,7 @@ router.get('/:id/objectives', async (req, res) => {
  *       201:
  *         description: Objective created
  */
-router.post('/:id/objectives', async (req, res) => {
+router.post('/:id/objectives', requirePermission('objectives:write'), async (req, res) => {
   try {
     const technicianId = req.params.id;
     
@@ -444,7 +461,7 @@ router.post('/:id/objectives', async (req, res) => {
  *       404:
  *         description: Objective not found
  */
-router.put('/:id/objectives/:objectiveId', async (req, res) => {
+router.put('/:id/objectives/:objectiveId', requirePermission('objectives:write'), async (req, res) => {
   try {
     const { id: technicianId, objectiveId } = req.params;
     
@@ -489,7 +506,7 @@ router.put('/:id/objectives/:objectiveId', async (req, res) => {
  *       404:
  *         description: Objective not found
  */
-router.delete('/:id/objectives/:objectiveId', async (req, res) => {
+router.delete('/:id/objectives/:objectiveId', requirePermission('objectives:delete'), async (req, res) => {
   try {
     const { id: technicianId, objectiveId } = req.params;
     
@@ -502,8 +519,9 @@ router.delete('/:id/objectives/:objectiveId', async (req, res) => {
       return res.status(404).json({ error: 'Objective not found' });
     }
     
-    // Delete objective
+    // Delete objective and its files
     await objective.destroy();
+    await attachmentService.removeFor('technician_objective', objective.id);
     
     res.json({ message: 'Objective deleted successfully' });
   } catch (error) {
@@ -534,7 +552,7 @@ router.delete('/:id/objectives/:objectiveId', async (req, res) => {
  *       404:
  *         description: Objective not found
  */
-router.patch('/:id/objectives/:objectiveId/status', async (req, res) => {
+router.patch('/:id/objectives/:objectiveId/status', requirePermission('objectives:write'), async (req, res) => {
   try {
     const { id: technicianId, objectiveId } = req.params;
     const { completed } = req.body;
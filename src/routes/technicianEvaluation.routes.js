@@ -3,6 +3,13 @@ const Joi = require('joi');
 const { Op } = require('sequelize');
 const router = express.Router();
 const { TechnicianEvaluation, Technician } = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware } = require('../middleware/tenant');
+const { requirePermission, canAccessOwn } = require('../middleware/permissions');
+const attachmentService = require('../services/attachments');
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware);
 
 /**
  * Validation schema for creating/updating a technician evaluation
@@ -70,7 +77,7 @@ const evaluationSchema = Joi.object({
  * @desc    Create a new evaluation for a technician
  * @access  Private
  */
-router.post('/:id/evaluations', async (req, res) => {
+router.post('/:id/evaluations', requirePermission('evaluations:write'), async (req, res) => {
   try {
     console.log(`API: Creating evaluation for technician ${req.params.id}`, req.body);
     
@@ -134,13 +141,13 @@ router.post('/:id/evaluations', async (req, res) => {
  * @desc    Get all evaluations for a technician with optional filters
  * @access  Private
  */
-router.get('/:id/evaluations', async (req, res) => {
+router.get('/:id/evaluations', requirePermission('evaluations:read'), async (req, res) => {
   try {
     console.log(`API: Fetching evaluations for technician ${req.params.id}`);
     
     // Check if technician exists
     const technician = await Technician.findByPk(req.params.id);
-    if (!technician) {
+    if (!technician || !canAccessOwn(req, { technicianId: technician.id })) {
       return res.status(404).json({
         success: false,
         error: 'Technician not found'
@@ -186,7 +193,7 @@ router.get('/:id/evaluations', async (req, res) => {
  * @desc    Get a specific evaluation
  * @access  Private
  */
-router.get('/:id/evaluations/:evaluationId', async (req, res) => {
+router.get('/:id/evaluations/:evaluationId', requirePermission('evaluations:read'), async (req, res) => {
   try {
     console.log(`API: Fetching evaluation ${req.params.evaluationId} for technician ${req.params.id}`);
     
@@ -197,7 +204,7 @@ router.get('/:id/evaluations/:evaluationId', async (req, res) => {
       }
     });
     
-    if (!evaluation) {
+    if (!evaluation || !canAccessOwn(req, { technicianId: evaluation.technicianId })) {
       return res.status(404).json({
         success: false,
         error: 'Evaluation not found'
@@ -223,7 +230,7 @@ router.get('/:id/evaluations/:evaluationId', async (req, res) => {
  * @desc    Update an evaluation
  * @access  Private
  */
-router.put('/:id/evaluations/:evaluationId', async (req, res) => {
+router.put('/:id/evaluations/:evaluationId', requirePermission('evaluations:write'), async (req, res) => {
   try {
     console.log(`API: Updating evaluation ${req.params.evaluationId} for technician ${req.params.id}`);
     
@@ -293,7 +300,7 @@ router.put('/:id/evaluations/:evaluationId', async (req, res) => {
  * @desc    Delete an evaluation
  * @access  Private
  */
-router.delete('/:id/evaluations/:evaluationId', async (req, res) => {
+router.delete('/:id/evaluations/:evaluationId', requirePermission('evaluations:delete'), async (req, res) => {
   try {
     console.log(`API: Deleting evaluation ${req.params.evaluationId} for technician ${req.params.id}`);
     
@@ -312,8 +319,9 @@ router.delete('/:id/evaluations/:evaluationId', async (req, res) => {
       });
     }
     
-    // Delete evaluation
+    // Delete evaluation and its files
     await evaluation.destroy();
+    await attachmentService.removeFor('technician_evaluation', evaluation.id);
     
     console.log(`API: Deleted evaluation ${req.params.evaluationId}`);
     return res.json({
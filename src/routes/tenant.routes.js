@@ -1,11 +1,54 @@
 const express = require('express');
-const { checkJwt } = require('../middleware/auth');
+const { Op } = require('sequelize');
+const { checkJwt, isOperator } = require('../middleware/auth');
 const { tenantMiddleware, featureMiddleware, limitMiddleware } = require('../middleware/tenant');
-const { Tenant, TenantUser } = require('../models');
+const {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  isValidPermission,
+  getRolePermissions,
+  requirePermission
+} = require('../middleware/permissions');
+const { Tenant, TenantUser, Salesperson, Technician } = require('../models');
 const stripeService = require('../services/stripe');
+const invitationService = require('../services/invitations');
+const domainJoinService = require('../services/domainJoin');
+const periodService = require('../services/periods');
 
 const router = express.Router();
 
+/**
+ * Why a domain cannot be claimed by a tenant: a shared mailbox provider would
+ * let anyone request to join, and a domain belongs to one tenant only
+ * @param {String} domain - Domain or URL
+ * @param {String} [tenantId] - Tenant claiming it, when it already exists
+ * @returns {Promise<Object|null>} { status, error }, or null when it can be claimed
+ */
+const findDomainError = async (domain, tenantId) => {
+  if (!domainJoinService.normalizeDomain(domain)) {
+    return { status: 400, error: 'Invalid domain' };
+  }
+
+  if (domainJoinService.isPublicDomain(domain)) {
+    return { status: 400, error: 'Public email provider domains cannot be used as tenant domain' };
+  }
+
+  if (await domainJoinService.findTenantByDomain(domain, { excludeTenantId: tenantId })) {
+    return { status: 409, error: 'This domain is already used by another organization' };
+  }
+
+  return null;
+};
+
+/**
+ * Domain verification state of a tenant, with the DNS TXT record to publish
+ */
+const domainVerificationOf = (tenant) => ({
+  verified: domainJoinService.isDomainVerified(tenant),
+  verifiedAt: tenant.domainVerifiedAt,
+  record: tenant.domain ? domainJoinService.getVerificationRecord(tenant) : null
+});
+
 /**
  * Create a new tenant
  */
@@ -21,9 +64,9 @@ router.post('/tenants', checkJwt, async (req, res) => {
       });
     }
 
-    // Check if user already has a tenant
+    // Check if user already has a tenant (pending domain join requests do not count)
     const existingTenantUser = await TenantUser.findOne({
-      where: { auth0UserId: user.sub }
+      where: { auth0UserId: user.sub, status: { [Op.ne]: 'pending' } }
     });
 
     if (existingTenantUser) {
@@ -32,10 +75,17 @@ router.post('/tenants', checkJwt, async (req, res) => {
       });
     }
 
-    // Create tenant
+    const domainError = domain ? await findDomainError(domain) : null;
+    if (domainError) {
+      return res.status(domainError.status).json({
+        error: domainError.error
+      });
+    }
+
+    // Create tenant; its domain is unverified until POST /tenants/current/domain/verify
     const tenant = await Tenant.create({
       name,
-      domain,
+      ...(domain && domainJoinService.claimDomain(domain)),
       plan: 'free',
       status: 'active'
     });
@@ -95,6 +145,7 @@ router.get('/tenants/current', checkJwt, tenantMiddleware, async (req, res) => {
         id: tenant.id,
         name: tenant.name,
         domain: tenant.domain,
+        domainVerification: domainVerificationOf(tenant),
         plan: tenant.plan,
         status: tenant.status,
         features: tenant.features,
@@ -104,7 +155,11 @@ router.get('/tenants/current', checkJwt, tenantMiddleware, async (req, res) => {
       },
       user: {
         role: tenantUser.role,
-        status: tenantUser.status
+        status: tenantUser.status,
+        permissions: getRolePermissions(tenant, tenantUser.role),
+        salespersonId: tenantUser.salespersonId,
+        technicianId: tenantUser.technicianId,
+        isOperator: isOperator(req)
       },
       limits: req.planLimits
     });
@@ -119,23 +174,47 @@ router.get('/tenants/current', checkJwt, tenantMiddleware, async (req, res) => {
 /**
  * Update tenant settings
  */
-router.put('/tenants/current', checkJwt, tenantMiddleware, async (req, res) => {
+router.put('/tenants/current', checkJwt, tenantMiddleware, requirePermission('tenant:manage'), async (req, res) => {
   try {
     const { name, domain, settings } = req.body;
     const tenant = req.tenant;
-    const tenantUser = req.tenantUser;
-
-    // Only admin can update tenant settings
-    if (tenantUser.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Only administrators can update tenant settings'
-      });
-    }
 
     const updateData = {};
     if (name) updateData.name = name;
-    if (domain) updateData.domain = domain;
-    if (settings) updateData.settings = { ...tenant.settings, ...settings };
+    // A new domain has to be verified again
+    if (domain && domainJoinService.normalizeDomain(domain) !== domainJoinService.normalizeDomain(tenant.domain)) {
+      const domainError = await findDomainError(domain, tenant.id);
+      if (domainError) {
+        return res.status(domainError.status).json({
+          error: domainError.error
+        });
+      }
+      Object.assign(updateData, domainJoinService.claimDomain(domain));
+    }
+    if (settings) {
+      if (settings.domainJoin !== undefined && !domainJoinService.isValidJoinMode(settings.domainJoin)) {
+        return res.status(400).json({
+          error: 'domainJoin must be one of automatic, approval or disabled'
+        });
+      }
+
+      if (settings.trashRetentionDays !== undefined && settings.trashRetentionDays !== null &&
+          !(Number.isInteger(settings.trashRetentionDays) && settings.trashRetentionDays > 0)) {
+        return res.status(400).json({
+          error: 'trashRetentionDays must be a positive number of days'
+        });
+      }
+
+      if (settings.fiscalYearStartMonth !== undefined && !periodService.isValidStartMonth(settings.fiscalYearStartMonth)) {
+        return res.status(400).json({
+          error: 'fiscalYearStartMonth must be a month number from 1 to 12'
+        });
+      }
+
+      // Role permissions are validated and saved through /tenants/permissions
+      const { permissions, ...otherSettings } = settings;
+      updateData.settings = { ...tenant.settings, ...otherSettings };
+    }
 
     await tenant.update(updateData);
 
@@ -145,6 +224,7 @@ router.put('/tenants/current', checkJwt, tenantMiddleware, async (req, res) => {
         id: tenant.id,
         name: tenant.name,
         domain: tenant.domain,
+        domainVerification: domainVerificationOf(tenant),
         settings: tenant.settings
       }
     });
@@ -157,22 +237,124 @@ router.put('/tenants/current', checkJwt, tenantMiddleware, async (req, res) => {
 });
 
 /**
- * Get tenant users
+ * Verify the domain of the current tenant: its DNS TXT records must include
+ * the verification record. Users only join by domain once it is verified.
  */
-router.get('/tenants/users', checkJwt, tenantMiddleware, async (req, res) => {
+router.post('/tenants/current/domain/verify', checkJwt, tenantMiddleware, requirePermission('tenant:manage'), async (req, res) => {
   try {
-    const tenantUser = req.tenantUser;
+    const tenant = req.tenant;
 
-    // Only admin and manager can view users
-    if (!['admin', 'manager'].includes(tenantUser.role)) {
-      return res.status(403).json({
-        error: 'Insufficient permissions'
+    if (!tenant.domain) {
+      return res.status(400).json({
+        error: 'The organization has no domain to verify'
       });
     }
 
+    // Domains set before verification existed get their token now
+    if (!tenant.domainVerificationToken) {
+      await tenant.update(domainJoinService.claimDomain(tenant.domain));
+    }
+
+    const verified = domainJoinService.isDomainVerified(tenant) || await domainJoinService.verifyDomain(tenant);
+    if (!verified) {
+      return res.status(422).json({
+        error: `Add a TXT record with ${domainJoinService.getVerificationRecord(tenant)} to ${tenant.domain} and try again`
+      });
+    }
+
+    res.json({
+      message: 'Domain verified successfully',
+      domainVerification: domainVerificationOf(tenant)
+    });
+  } catch (error) {
+    console.error('Error verifying tenant domain:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Get the role permission matrix of the current tenant
+ */
+router.get('/tenants/permissions', checkJwt, tenantMiddleware, requirePermission('tenant:manage'), async (req, res) => {
+  try {
+    const tenant = req.tenant;
+
+    res.json({
+      permissions: PERMISSIONS,
+      defaults: DEFAULT_ROLE_PERMISSIONS,
+      roles: {
+        admin: getRolePermissions(tenant, 'admin'),
+        manager: getRolePermissions(tenant, 'manager'),
+        user: getRolePermissions(tenant, 'user')
+      }
+    });
+  } catch (error) {
+    console.error('Error getting tenant permissions:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Update the manager and user permissions of the current tenant.
+ * Admins always keep every permission.
+ */
+router.put('/tenants/permissions', checkJwt, tenantMiddleware, requirePermission('tenant:manage'), async (req, res) => {
+  try {
+    const tenant = req.tenant;
+    const { roles = {} } = req.body;
+    const permissions = { ...(tenant.settings && tenant.settings.permissions) };
+
+    for (const role of ['manager', 'user']) {
+      if (roles[role] === undefined) continue;
+
+      if (!Array.isArray(roles[role])) {
+        return res.status(400).json({
+          error: `Permissions for role '${role}' must be an array`
+        });
+      }
+
+      const invalid = roles[role].filter(permission => !isValidPermission(permission));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: `Unknown permissions: ${invalid.join(', ')}`
+        });
+      }
+
+      permissions[role] = roles[role];
+    }
+
+    await tenant.update({
+      settings: { ...tenant.settings, permissions }
+    });
+
+    res.json({
+      message: 'Permissions updated successfully',
+      roles: {
+        admin: getRolePermissions(tenant, 'admin'),
+        manager: getRolePermissions(tenant, 'manager'),
+        user: getRolePermissions(tenant, 'user')
+      }
+    });
+  } catch (error) {
+    console.error('Error updating tenant permissions:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Get tenant users
+ */
+router.get('/tenants/users', checkJwt, tenantMiddleware, requirePermission('users:read'), async (req, res) => {
+  try {
     const users = await TenantUser.findAll({
       where: { tenantId: req.tenantId },
-      attributes: ['id', 'email', 'role', 'status', 'createdAt'],
+      attributes: ['id', 'email', 'role', 'status', 'salespersonId', 'technicianId', 'createdAt'],
       order: [['createdAt', 'DESC']]
     });
 
@@ -186,20 +368,84 @@ router.get('/tenants/users', checkJwt, tenantMiddleware, async (req, res) => {
 });
 
 /**
- * Invite user to tenant
+ * Link a tenant user to the salesperson and/or technician record that represents them
  */
-router.post('/tenants/users/invite', checkJwt, tenantMiddleware, limitMiddleware('users'), async (req, res) => {
+router.put('/tenants/users/:id/link', checkJwt, tenantMiddleware, requirePermission('users:manage'), async (req, res) => {
   try {
-    const { email, role = 'user' } = req.body;
-    const tenantUser = req.tenantUser;
+    const { salespersonId, technicianId } = req.body;
 
-    // Only admin can invite users
-    if (tenantUser.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Only administrators can invite users'
+    const user = await TenantUser.findOne({
+      where: { id: req.params.id, tenantId: req.tenantId }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
       });
     }
 
+    const updateData = {};
+
+    if (salespersonId !== undefined) {
+      if (salespersonId && !(await Salesperson.findByPk(salespersonId))) {
+        return res.status(404).json({
+          error: 'Salesperson not found'
+        });
+      }
+      updateData.salespersonId = salespersonId || null;
+    }
+
+    if (technicianId !== undefined) {
+      if (technicianId && !(await Technician.findByPk(technicianId))) {
+        return res.status(404).json({
+          error: 'Technician not found'
+        });
+      }
+      updateData.technicianId = technicianId || null;
+    }
+
+    // A salesperson or technician can only represent one user
+    for (const field of ['salespersonId', 'technicianId']) {
+      if (!updateData[field]) continue;
+
+      const linkedUser = await TenantUser.findOne({
+        where: { tenantId: req.tenantId, [field]: updateData[field] }
+      });
+
+      if (linkedUser && linkedUser.id !== user.id) {
+        return res.status(409).json({
+          error: `Already linked to user ${linkedUser.email}`
+        });
+      }
+    }
+
+    await user.update(updateData);
+
+    res.json({
+      message: 'User link updated successfully',
+      user: {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        salespersonId: user.salespersonId,
+        technicianId: user.technicianId
+      }
+    });
+  } catch (error) {
+    console.error('Error linking tenant user:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Invite user to tenant
+ */
+router.post('/tenants/users/invite', checkJwt, tenantMiddleware, requirePermission('users:invite'), limitMiddleware('users'), async (req, res) => {
+  try {
+    const { email, role = 'user' } = req.body;
+
     // Validate email
     if (!email) {
       return res.status(400).json({
@@ -207,6 +453,19 @@ router.post('/tenants/users/invite', checkJwt, tenantMiddleware, limitMiddleware
       });
     }
 
+    if (!['admin', 'manager', 'user'].includes(role)) {
+      return res.status(400).json({
+        error: 'Role must be one of admin, manager or user'
+      });
+    }
+
+    // users:invite can be granted to other roles; only admins may invite admins
+    if (role === 'admin' && req.tenantUser.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Only admins can invite admins'
+      });
+    }
+
     // Check if user already exists in tenant
     const existingUser = await TenantUser.findOne({
       where: { 
@@ -217,26 +476,39 @@ router.post('/tenants/users/invite', checkJwt, tenantMiddleware, limitMiddleware
 
     if (existingUser) {
       return res.status(400).json({
-        error: 'User already exists in this tenant'
+        error: existingUser.status === 'invited'
+          ? 'User already has a pending invitation'
+          : 'User already exists in this tenant'
       });
     }
 
-    // Create invitation (in a real app, you'd send an email)
     const invitedUser = await TenantUser.create({
       tenantId: req.tenantId,
       email: email.toLowerCase(),
       role,
-      status: 'inactive', // Will be activated when they accept invitation
-      auth0UserId: null // Will be set when they accept
+      status: 'invited', // Activated when they accept the invitation
+      auth0UserId: null, // Set when they accept
+      invitedBy: req.tenantUser.id
     });
 
+    // The invitation stays pending if the email fails; it can be resent
+    let emailSent = true;
+    try {
+      await invitationService.sendInvitation(invitedUser, req.tenant, req.tenantUser.email);
+    } catch (mailError) {
+      console.error('Error sending invitation email:', mailError);
+      emailSent = false;
+    }
+
     res.status(201).json({
-      message: 'User invited successfully',
+      message: emailSent ? 'User invited successfully' : 'User invited, but the invitation email could not be sent',
+      emailSent,
       user: {
         id: invitedUser.id,
         email: invitedUser.email,
         role: invitedUser.role,
-        status: invitedUser.status
+        status: invitedUser.status,
+        invitationExpiresAt: invitedUser.invitationExpiresAt
       }
     });
   } catch (error) {
@@ -248,21 +520,226 @@ router.post('/tenants/users/invite', checkJwt, tenantMiddleware, limitMiddleware
 });
 
 /**
- * Create checkout session for subscription upgrade
+ * Get pending invitations of the tenant
  */
-router.post('/tenants/subscription/checkout', checkJwt, tenantMiddleware, async (req, res) => {
+router.get('/tenants/invitations', checkJwt, tenantMiddleware, requirePermission('users:invite'), async (req, res) => {
   try {
-    const { priceId } = req.body;
-    const tenant = req.tenant;
-    const tenantUser = req.tenantUser;
+    const invitations = await TenantUser.findAll({
+      where: {
+        tenantId: req.tenantId,
+        status: 'invited'
+      },
+      attributes: ['id', 'email', 'role', 'status', 'invitedBy', 'invitationSentAt', 'invitationExpiresAt', 'createdAt'],
+      order: [['createdAt', 'DESC']]
+    });
+
+    const now = new Date();
+    res.json({
+      invitations: invitations.map(invitation => ({
+        ...invitation.toJSON(),
+        expired: !invitation.invitationExpiresAt || invitation.invitationExpiresAt <= now
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Resend an invitation with a new token and expiry date.
+ * Links sent before stop working.
+ */
+router.post('/tenants/invitations/:id/resend', checkJwt, tenantMiddleware, requirePermission('users:invite'), async (req, res) => {
+  try {
+    const invitation = await TenantUser.findOne({
+      where: {
+        id: req.params.id,
+        tenantId: req.tenantId,
+        status: 'invited'
+      }
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitation not found'
+      });
+    }
+
+    await invitationService.sendInvitation(invitation, req.tenant, req.tenantUser.email);
+
+    res.json({
+      message: 'Invitation resent successfully',
+      invitation: {
+        id: invitation.id,
+        email: invitation.email,
+        role: invitation.role,
+        invitationSentAt: invitation.invitationSentAt,
+        invitationExpiresAt: invitation.invitationExpiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error resending invitation:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Revoke a pending invitation
+ */
+router.delete('/tenants/invitations/:id', checkJwt, tenantMiddleware, requirePermission('users:invite'), async (req, res) => {
+  try {
+    const invitation = await TenantUser.findOne({
+      where: {
+        id: req.params.id,
+        tenantId: req.tenantId,
+        status: 'invited'
+      }
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitation not found'
+      });
+    }
+
+    await invitation.destroy();
+
+    res.json({
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Get join requests of users whose email domain matches the tenant domain
+ */
+router.get('/tenants/join-requests', checkJwt, tenantMiddleware, requirePermission('users:invite'), async (req, res) => {
+  try {
+    const requests = await TenantUser.findAll({
+      where: {
+        tenantId: req.tenantId,
+        status: 'pending'
+      },
+      attributes: ['id', 'email', 'role', 'status', 'createdAt'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({ requests });
+  } catch (error) {
+    console.error('Error fetching join requests:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Approve a join request, optionally with a different role
+ */
+router.post('/tenants/join-requests/:id/approve', checkJwt, tenantMiddleware, requirePermission('users:invite'), limitMiddleware('users'), async (req, res) => {
+  try {
+    const { role = 'user' } = req.body;
 
-    // Only admin can manage subscriptions
-    if (tenantUser.role !== 'admin') {
+    if (!['admin', 'manager', 'user'].includes(role)) {
+      return res.status(400).json({
+        error: 'Role must be one of admin, manager or user'
+      });
+    }
+
+    // users:invite can be granted to other roles; only admins may approve admins
+    if (role === 'admin' && req.tenantUser.role !== 'admin') {
       return res.status(403).json({
-        error: 'Only administrators can manage subscriptions'
+        error: 'Only admins can approve admins'
       });
     }
 
+    const request = await TenantUser.findOne({
+      where: {
+        id: req.params.id,
+        tenantId: req.tenantId,
+        status: 'pending'
+      }
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        error: 'Join request not found'
+      });
+    }
+
+    await request.update({
+      role,
+      status: 'active',
+      invitedBy: req.tenantUser.id
+    });
+
+    res.json({
+      message: 'Join request approved successfully',
+      user: {
+        id: request.id,
+        email: request.email,
+        role: request.role,
+        status: request.status
+      }
+    });
+  } catch (error) {
+    console.error('Error approving join request:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Reject a join request
+ */
+router.delete('/tenants/join-requests/:id', checkJwt, tenantMiddleware, requirePermission('users:invite'), async (req, res) => {
+  try {
+    const request = await TenantUser.findOne({
+      where: {
+        id: req.params.id,
+        tenantId: req.tenantId,
+        status: 'pending'
+      }
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        error: 'Join request not found'
+      });
+    }
+
+    await request.destroy();
+
+    res.json({
+      message: 'Join request rejected successfully'
+    });
+  } catch (error) {
+    console.error('Error rejecting join request:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Create checkout session for subscription upgrade
+ */
+router.post('/tenants/subscription/checkout', checkJwt, tenantMiddleware, requirePermission('billing:manage'), async (req, res) => {
+  try {
+    const { priceId } = req.body;
+    const tenant = req.tenant;
+
     if (!tenant.stripeCustomerId) {
       return res.status(400).json({
         error: 'Stripe customer not found. Please contact support.'
@@ -294,17 +771,9 @@ router.post('/tenants/subscription/checkout', checkJwt, tenantMiddleware, async
 /**
  * Create portal session for subscription management
  */
-router.post('/tenants/subscription/portal', checkJwt, tenantMiddleware, async (req, res) => {
+router.post('/tenants/subscription/portal', checkJwt, tenantMiddleware, requirePermission('billing:manage'), async (req, res) => {
   try {
     const tenant = req.tenant;
-    const tenantUser = req.tenantUser;
-
-    // Only admin can manage subscriptions
-    if (tenantUser.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Only administrators can manage subscriptions'
-      });
-    }
 
     if (!tenant.stripeCustomerId) {
       return res.status(400).json({
@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const { sequelize } = require('../models');
+const { checkJwt } = require('../middleware/auth');
+const { tenantMiddleware, limitMiddleware } = require('../middleware/tenant');
+const { requirePermission } = require('../middleware/permissions');
+const trashService = require('../services/trash');
+
+// Every route in this router runs inside the caller's tenant context
+router.use(checkJwt, tenantMiddleware, requirePermission('trash:manage'));
+
+/**
+ * Reject entities that do not go to the trash
+ */
+const validateEntity = (req, res, next) => {
+  if (!trashService.isTrashEntity(req.params.entity)) {
+    return res.status(400).json({
+      success: false,
+      error: 'entity must be one of Client, Salesperson, Service or Technician'
+    });
+  }
+  next();
+};
+
+/**
+ * Restored clients count against the plan limit again
+ */
+const checkRestoreLimit = (req, res, next) => {
+  if (req.params.entity === 'Client') {
+    return limitMiddleware('clients')(req, res, next);
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/trash
+ * @desc    Get the trashed clients, salespersons, services and technicians, newest first
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    console.log('API: Fetching trash');
+
+    const rows = await trashService.list(req.tenant);
+
+    return res.json({
+      success: true,
+      data: {
+        retentionDays: trashService.getRetentionDays(req.tenant),
+        count: rows.length,
+        rows
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching trash'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/trash/:entity/:id/restore
+ * @desc    Restore a trashed record and re-create the links removed when it was deleted
+ * @access  Private
+ */
+router.post('/:entity/:id/restore', validateEntity, checkRestoreLimit, async (req, res) => {
+  try {
+    const { entity, id } = req.params;
+    console.log(`API: Restoring ${entity} with ID: ${id}`);
+
+    const result = await trashService.restore(entity, id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `${entity} not found in the trash`
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        entity,
+        id: result.record.id,
+        relinked: result.relinked
+      }
+    });
+  } catch (error) {
+    console.error('Error restoring from trash:', error.message, error.stack);
+
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({
+        success: false,
+        error: 'Another record with the same unique values exists'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Server error restoring from trash'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/trash/:entity/:id
+ * @desc    Permanently delete a trashed record
+ * @access  Private
+ */
+router.delete('/:entity/:id', validateEntity, async (req, res) => {
+  try {
+    const { entity, id } = req.params;
+    console.log(`API: Purging ${entity} with ID: ${id}`);
+
+    const purged = await sequelize.transaction(async (transaction) => {
+      const record = await trashService.findTrashed(entity, id, { transaction });
+      if (!record) return false;
+
+      await trashService.purge(entity, record, { transaction });
+      return true;
+    });
+
+    if (!purged) {
+      return res.status(404).json({
+        success: false,
+        error: `${entity} not found in the trash`
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: { entity, id }
+    });
+  } catch (error) {
+    console.error('Error purging from trash:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error purging from trash'
+    });
+  }
+});
+
+module.exports = router;
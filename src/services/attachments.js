@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const net = require('net');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { Attachment } = require('../models');
+const storageService = require('./storage');
+const tenantContext = require('./tenantContext');
+
+const DOWNLOAD_AUDIENCE = 'attachment-download';
+
+/**
+ * Kinds of records files can be attached to
+ */
+const ENTITY_TYPES = ['qualitative_objective', 'technician_objective', 'technician_evaluation', 'client_relevamiento'];
+
+/**
+ * Virus scanner factories keyed by name. A scanner is an object with an async
+ * scan(data, { filename, contentType }) method resolving to { clean: true },
+ * { clean: false, threat } or { clean: null } when nothing was checked.
+ */
+const scanners = {
+  // No scanning - files are stored as not scanned
+  none: () => ({
+    async scan() {
+      return { clean: null };
+    }
+  }),
+
+  // A ClamAV daemon (clamd) reached over TCP with the INSTREAM command
+  clamav: () => {
+    const host = process.env.CLAMAV_HOST || 'localhost';
+    const port = parseInt(process.env.CLAMAV_PORT, 10) || 3310;
+    const chunkSize = 64 * 1024;
+
+    return {
+      scan(data) {
+        return new Promise((resolve, reject) => {
+          const socket = net.createConnection({ host, port });
+          const replies = [];
+
+          socket.setTimeout(30000, () => socket.destroy(new Error('ClamAV scan timed out')));
+          socket.on('error', reject);
+          socket.on('data', (chunk) => replies.push(chunk));
+          socket.on('end', () => {
+            const reply = Buffer.concat(replies).toString('utf8').replace(/\0/g, '').trim();
+            const found = /^stream: (.+) FOUND$/.exec(reply);
+
+            if (found) {
+              resolve({ clean: false, threat: found[1] });
+            } else if (reply === 'stream: OK') {
+              resolve({ clean: true });
+            } else {
+              reject(new Error(`Unexpected ClamAV reply: ${reply}`));
+            }
+          });
+
+          socket.on('connect', () => {
+            socket.write('zINSTREAM\0');
+            for (let offset = 0; offset < data.length; offset += chunkSize) {
+              const chunk = data.slice(offset, offset + chunkSize);
+              const length = Buffer.alloc(4);
+              length.writeUInt32BE(chunk.length);
+              socket.write(length);
+              socket.write(chunk);
+            }
+            // A zero-length chunk ends the stream
+            socket.end(Buffer.alloc(4));
+          });
+        });
+      }
+    };
+  }
+};
+
+/**
+ * Attachment service: files attached to qualitative objectives, technician
+ * objectives, technician evaluations and client relevamientos. Files go
+ * through the virus scanner selected by ATTACHMENT_SCANNER (none or clamav;
+ * defaults to none) before they are stored, count against the tenant's plan
+ * storage quota, and are downloaded through short-lived signed URLs.
+ */
+class AttachmentService {
+  constructor() {
+    this.scanner = null;
+  }
+
+  /**
+   * Register an additional virus scanner factory
+   * @param {String} name - Name used in ATTACHMENT_SCANNER
+   * @param {Function} factory - Returns an object with an async scan(data, file) method
+   */
+  registerScanner(name, factory) {
+    scanners[name] = factory;
+  }
+
+  /**
+   * Replace the active scanner (e.g. in tests)
+   */
+  setScanner(scanner) {
+    this.scanner = scanner;
+  }
+
+  /**
+   * Get the active scanner, creating it on first use
+   */
+  getScanner() {
+    if (!this.scanner) {
+      const name = process.env.ATTACHMENT_SCANNER || 'none';
+      const factory = scanners[name];
+
+      if (!factory) {
+        throw new Error(`Unknown attachment scanner: ${name}`);
+      }
+
+      this.scanner = factory();
+    }
+
+    return this.scanner;
+  }
+
+  /**
+   * Whether a name is a kind of record files can be attached to
+   */
+  isEntityType(entityType) {
+    return ENTITY_TYPES.includes(entityType);
+  }
+
+  /**
+   * Bytes stored by the current tenant. Aggregates skip the tenant scope
+   * hooks, so the tenant is filtered explicitly.
+   */
+  async getUsage() {
+    return Number(await Attachment.sum('size', { where: { tenantId: tenantContext.getTenantId() } })) || 0;
+  }
+
+  /**
+   * Check a file with the virus scanner
+   * @param {Object} file - { filename, contentType, data }
+   * @returns {Promise<Object>} { clean: true|false|null, threat }
+   */
+  scan(file) {
+    return this.getScanner().scan(file.data, { filename: file.filename, contentType: file.contentType });
+  }
+
+  /**
+   * Store a file and attach it to a record
+   * @param {String} entityType - Kind of record
+   * @param {String} entityId - ID of the record
+   * @param {Object} file - { filename, contentType, data }
+   * @param {Object} [options]
+   * @param {String} [options.scanStatus='not_scanned'] - Result of scan()
+   * @returns {Promise<Object>} The created Attachment
+   */
+  async store(entityType, entityId, file, { scanStatus = 'not_scanned' } = {}) {
+    const context = tenantContext.get() || {};
+    const id = uuidv4();
+    const driver = storageService.getDriver();
+    const storageKey = `${context.tenantId}/${entityType}/${entityId}/${id}`;
+
+    await storageService.getAdapter(driver).put(storageKey, file.data, { contentType: file.contentType });
+
+    try {
+      return await Attachment.create({
+        id,
+        entityType,
+        entityId,
+        filename: file.filename,
+        contentType: file.contentType,
+        size: file.data.length,
+        checksum: crypto.createHash('sha256').update(file.data).digest('hex'),
+        storageDriver: driver,
+        storageKey,
+        scanStatus,
+        uploadedBy: context.userId || null,
+        uploadedByEmail: context.email || null
+      });
+    } catch (error) {
+      // Do not leave a stored file behind without its record
+      await storageService.getAdapter(driver).remove(storageKey).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Files attached to a record, newest first
+   */
+  list(entityType, entityId) {
+    return Attachment.findAll({
+      where: { entityType, entityId },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Delete an attachment and its stored file
+   */
+  async remove(attachment) {
+    await attachment.destroy();
+    await this.removeFile(attachment);
+  }
+
+  /**
+   * Delete the stored file of an attachment whose record is gone
+   */
+  async removeFile(attachment) {
+    try {
+      await storageService.getAdapter(attachment.storageDriver).remove(attachment.storageKey);
+    } catch (error) {
+      // The record is gone; a leftover file only costs storage
+      console.error(`Error removing stored file ${attachment.storageKey}:`, error);
+    }
+  }
+
+  /**
+   * Delete every file attached to some records, when the records are deleted.
+   * Inside a transaction the stored files are only removed once it commits.
+   * @param {String} entityType - Kind of record
+   * @param {String|Array<String>} entityIds - IDs of the records
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<Number>} Number of attachments removed
+   */
+  async removeFor(entityType, entityIds, { transaction } = {}) {
+    const attachments = await Attachment.findAll({ where: { entityType, entityId: entityIds }, transaction });
+    if (attachments.length === 0) return 0;
+
+    await Attachment.destroy({ where: { id: attachments.map(attachment => attachment.id) }, transaction });
+
+    const removeFiles = () => Promise.all(attachments.map(attachment => this.removeFile(attachment)));
+    if (transaction) {
+      transaction.afterCommit(removeFiles);
+    } else {
+      await removeFiles();
+    }
+
+    return attachments.length;
+  }
+
+  /**
+   * Open the stored file of an attachment
+   * @returns {Promise<Object>} Readable stream
+   */
+  open(attachment) {
+    return storageService.getAdapter(attachment.storageDriver).get(attachment.storageKey);
+  }
+
+  /**
+   * Secret signing download URLs of the local storage
+   */
+  getSecret() {
+    const secret = process.env.ATTACHMENT_URL_SECRET;
+    if (!secret) {
+      throw new Error('ATTACHMENT_URL_SECRET is not configured');
+    }
+    return secret;
+  }
+
+  /**
+   * Seconds a download URL stays valid (ATTACHMENT_URL_TTL_SECONDS, default 5 minutes)
+   */
+  getUrlTtl() {
+    return parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS, 10) || 300;
+  }
+
+  /**
+   * Signed download URL of an attachment. Storage that signs its own URLs
+   * (S3) is downloaded from directly; otherwise the URL points to
+   * GET /api/attachments/download/:token.
+   * @returns {Promise<Object>} { url, expiresAt }
+   */
+  async getDownloadUrl(attachment) {
+    const expiresIn = this.getUrlTtl();
+    const expiresAt = new Date(Date.now() + expiresIn * 1000);
+    const adapter = storageService.getAdapter(attachment.storageDriver);
+
+    if (adapter.getSignedUrl) {
+      const url = await adapter.getSignedUrl(attachment.storageKey, {
+        expiresIn,
+        filename: attachment.filename,
+        contentType: attachment.contentType
+      });
+      return { url, expiresAt };
+    }
+
+    const token = jwt.sign(
+      { sub: attachment.id, tenantId: attachment.tenantId },
+      this.getSecret(),
+      { audience: DOWNLOAD_AUDIENCE, expiresIn }
+    );
+    return { url: `/api/attachments/download/${token}`, expiresAt };
+  }
+
+  /**
+   * Find the attachment of a download token
+   * @returns {Promise<Object|null>} The Attachment, or null when the token is invalid or expired
+   */
+  async findByDownloadToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.getSecret(), { audience: DOWNLOAD_AUDIENCE });
+    } catch (error) {
+      return null;
+    }
+
+    return Attachment.findOne({
+      where: { id: payload.sub, tenantId: payload.tenantId },
+      skipTenantScope: true
+    });
+  }
+}
+
+module.exports = new AttachmentService();
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
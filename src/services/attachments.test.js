@@ -0,0 +1,29 @@
+/**
+ * @jest-environment node
+ */
+import { Attachment } from '../models';
+import attachmentService from './attachments';
+import tenantContext from './tenantContext';
+
+describe('attachmentService.getUsage', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sums the files of the current tenant only', async () => {
+    const sum = jest.spyOn(Attachment, 'sum').mockResolvedValue(2048);
+
+    const usage = await tenantContext.run({ tenantId: 'tenant-1' }, () => attachmentService.getUsage());
+
+    expect(usage).toBe(2048);
+    expect(sum).toHaveBeenCalledWith('size', { where: { tenantId: 'tenant-1' } });
+  });
+
+  it('is zero when the tenant has no files', async () => {
+    jest.spyOn(Attachment, 'sum').mockResolvedValue(null);
+
+    const usage = await tenantContext.run({ tenantId: 'tenant-1' }, () => attachmentService.getUsage());
+
+    expect(usage).toBe(0);
+  });
+});
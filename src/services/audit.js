@@ -0,0 +1,144 @@
+const tenantContext = require('./tenantContext');
+
+// Models that are never audited (the log itself)
+const UNAUDITED_MODELS = ['AuditLog'];
+
+// Attributes left out of diffs
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+// Attributes whose values must never be stored in the log
+const REDACTED_FIELDS = ['invitationNonce'];
+
+/**
+ * Audit service: records every create, update, delete and restore of the
+ * application models with the acting user and a before/after diff
+ */
+class AuditService {
+  /**
+   * Build a { field: { before, after } } diff between two value sets
+   * @param {Object} before - Values before the change (empty for creates)
+   * @param {Object} after - Values after the change (empty for deletes)
+   * @param {Array<String>} [fields] - Fields to compare; defaults to all of both sets
+   */
+  diff(before, after, fields) {
+    const keys = fields || [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    const changes = {};
+
+    keys.forEach(field => {
+      if (IGNORED_FIELDS.includes(field)) return;
+
+      const beforeValue = before[field] === undefined ? null : before[field];
+      const afterValue = after[field] === undefined ? null : after[field];
+      if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) return;
+
+      changes[field] = REDACTED_FIELDS.includes(field)
+        ? { before: '[redacted]', after: '[redacted]' }
+        : { before: beforeValue, after: afterValue };
+    });
+
+    return changes;
+  }
+
+  /**
+   * Get the attribute values of an instance, without loaded associations
+   */
+  values(instance) {
+    const values = {};
+    Object.keys(instance.constructor.rawAttributes).forEach(field => {
+      values[field] = instance.getDataValue(field);
+    });
+    return values;
+  }
+
+  /**
+   * Write an audit entry for a changed instance
+   * @param {Object} AuditLog - AuditLog model
+   * @param {Object} instance - Changed model instance
+   * @param {String} action - create, update, delete or restore
+   * @param {Object} changes - Diff built with diff()
+   * @param {Object} options - Options of the query that made the change
+   */
+  async record(AuditLog, instance, action, changes, options = {}) {
+    if (options.skipAudit) return;
+    if (action === 'update' && Object.keys(changes).length === 0) return;
+
+    const model = instance.constructor;
+    const context = tenantContext.get() || {};
+
+    await AuditLog.create({
+      tenantId: context.tenantId || instance.get('tenantId') || (model.name === 'Tenant' ? instance.id : null),
+      actorId: context.userId || null,
+      actorEmail: context.email || null,
+      entity: model.name,
+      entityId: String(instance.get(model.primaryKeyAttribute)),
+      action,
+      changes
+    }, {
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Register audit hooks on every model except the log itself.
+   * Bulk updates and destroys run per instance so each row gets its own entry.
+   * Queries can opt out with `{ skipAudit: true }`.
+   * @param {Object} db - Loaded models keyed by name
+   */
+  applyAudit(db) {
+    const { AuditLog } = db;
+
+    Object.keys(db).forEach(modelName => {
+      const model = db[modelName];
+
+      if (!model.rawAttributes || UNAUDITED_MODELS.includes(modelName)) {
+        return;
+      }
+
+      const enableIndividualHooks = (options) => {
+        if (!options.skipAudit) options.individualHooks = true;
+      };
+
+      model.addHook('beforeBulkUpdate', 'audit', enableIndividualHooks);
+      model.addHook('beforeBulkDestroy', 'audit', enableIndividualHooks);
+      model.addHook('beforeBulkRestore', 'audit', enableIndividualHooks);
+
+      model.addHook('afterCreate', 'audit', (instance, options) =>
+        this.record(AuditLog, instance, 'create', this.diff({}, this.values(instance)), options)
+      );
+      model.addHook('afterBulkCreate', 'audit', (instances, options) => {
+        // With individual hooks each instance was already recorded by afterCreate
+        if (options.individualHooks) return;
+        return Promise.all(instances.map(instance =>
+          this.record(AuditLog, instance, 'create', this.diff({}, this.values(instance)), options)
+        ));
+      });
+
+      // The diff is taken before saving: bulk updates may save rows without
+      // keeping track of the previous values
+      model.addHook('beforeUpdate', 'audit', (instance) => {
+        const fields = instance.changed() || [];
+        const before = {};
+        const after = {};
+        fields.forEach(field => {
+          before[field] = instance.previous(field);
+          after[field] = instance.get(field);
+        });
+        instance.auditChanges = this.diff(before, after, fields);
+      });
+      model.addHook('afterUpdate', 'audit', (instance, options) => {
+        const changes = instance.auditChanges || {};
+        delete instance.auditChanges;
+        return this.record(AuditLog, instance, 'update', changes, options);
+      });
+
+      model.addHook('afterDestroy', 'audit', (instance, options) =>
+        this.record(AuditLog, instance, 'delete', this.diff(this.values(instance), {}), options)
+      );
+      model.addHook('afterRestore', 'audit', (instance, options) =>
+        this.record(AuditLog, instance, 'restore', {}, options)
+      );
+    });
+  }
+}
+
+module.exports = new AuditService();
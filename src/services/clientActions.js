@@ -0,0 +1,194 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const tenantContext = require('./tenantContext');
+
+const { ClientAction, ClientActionComment, Client, Salesperson, Technician } = db;
+
+/**
+ * Status transitions of an action: the statuses they apply to and the
+ * status they lead to
+ */
+const TRANSITIONS = {
+  start: { from: ['pendiente'], to: 'en_progreso' },
+  complete: { from: ['pendiente', 'en_progreso'], to: 'completada' },
+  cancel: { from: ['pendiente', 'en_progreso'], to: 'cancelada' },
+  reopen: { from: ['completada', 'cancelada'], to: 'pendiente' }
+};
+
+// Statuses of actions still to be done
+const OPEN_STATUSES = ['pendiente', 'en_progreso'];
+
+const PRIORITY_RANK = { alta: 0, media: 1, baja: 2 };
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const detailInclude = [
+  { model: Client, as: 'cliente', attributes: ['id', 'nombre', 'vendedorId', 'tecnicoId'] },
+  { model: Salesperson, as: 'vendedor', attributes: ['id', 'nombre', 'email'] },
+  { model: Technician, as: 'tecnico', attributes: ['id', 'nombre', 'email'] }
+];
+
+/**
+ * Client action service: the pending actions of clients, assigned to a
+ * salesperson or technician, with a priority, a due date, status transitions
+ * and comments
+ */
+class ClientActionService {
+  /**
+   * Whether a transition name is known
+   */
+  isTransition(name) {
+    return Object.prototype.hasOwnProperty.call(TRANSITIONS, name);
+  }
+
+  /**
+   * Transitions an action in a status allows
+   * @param {String} status - Current status
+   * @returns {Array<String>} Transition names
+   */
+  getAvailableTransitions(status) {
+    return Object.keys(TRANSITIONS).filter(name => TRANSITIONS[name].from.includes(status));
+  }
+
+  /**
+   * Whether an action is still open and past its due date
+   * @param {Object} action - ClientAction
+   * @param {String} [date] - Day to check against (YYYY-MM-DD), today by default
+   */
+  isOverdue(action, date = today()) {
+    return OPEN_STATUSES.includes(action.estado) && Boolean(action.fechaVencimiento) && action.fechaVencimiento < date;
+  }
+
+  /**
+   * An action as JSON with its overdue flag and available transitions
+   */
+  toJSON(action) {
+    return {
+      ...action.toJSON(),
+      overdue: this.isOverdue(action),
+      transitions: this.getAvailableTransitions(action.estado)
+    };
+  }
+
+  /**
+   * Where condition of open and/or overdue actions
+   * @param {Object} [options]
+   * @param {Array<String>} [options.estados] - Statuses, all by default
+   * @param {Boolean} [options.overdue] - Only open actions past their due date
+   */
+  statusWhere({ estados, overdue } = {}) {
+    if (overdue) {
+      return { estado: OPEN_STATUSES, fechaVencimiento: { [Op.lt]: today() } };
+    }
+    return estados && estados.length > 0 ? { estado: estados } : {};
+  }
+
+  /**
+   * Actions matching a condition, overdue and high priority first, then by due date
+   * @param {Object} where - Condition on the actions
+   * @param {Object} [options]
+   * @param {Object} [options.clientWhere] - Condition on their clients
+   * @returns {Promise<Array<Object>>} Actions as JSON
+   */
+  async findAll(where, { clientWhere } = {}) {
+    const actions = await ClientAction.findAll({
+      where,
+      include: detailInclude.map(include => (
+        include.as === 'cliente' ? { ...include, where: clientWhere || {}, required: true } : include
+      )),
+      subQuery: false
+    });
+
+    return actions
+      .map(action => this.toJSON(action))
+      .sort((a, b) => (b.overdue - a.overdue) ||
+        (PRIORITY_RANK[a.prioridad] - PRIORITY_RANK[b.prioridad]) ||
+        (a.fechaVencimiento || '9999-12-31').localeCompare(b.fechaVencimiento || '9999-12-31') ||
+        new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Open actions assigned to a salesperson and/or technician, across clients
+   * @param {Object} assignee - { salespersonId, technicianId }
+   * @param {Object} [options] - { estados, overdue } as in statusWhere, open actions by default
+   * @returns {Promise<Array<Object>>} Actions as JSON
+   */
+  getForAssignee({ salespersonId, technicianId }, { estados = OPEN_STATUSES, overdue } = {}) {
+    const assigned = [];
+    if (salespersonId) assigned.push({ vendedorId: salespersonId });
+    if (technicianId) assigned.push({ tecnicoId: technicianId });
+    if (assigned.length === 0) return Promise.resolve([]);
+
+    return this.findAll({
+      [Op.and]: [{ [Op.or]: assigned }, this.statusWhere({ estados, overdue })]
+    });
+  }
+
+  /**
+   * An action with its client, assignee and comments, oldest comment first
+   */
+  findById(id) {
+    return ClientAction.findByPk(id, {
+      include: [
+        ...detailInclude,
+        { model: ClientActionComment, as: 'comments' }
+      ],
+      order: [[{ model: ClientActionComment, as: 'comments' }, 'createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Check a transition against an action
+   * @returns {String|null} Error message, or null when the transition can be applied
+   */
+  validateTransition(action, name) {
+    if (!this.isTransition(name)) {
+      return `Unknown transition ${name}`;
+    }
+    if (!TRANSITIONS[name].from.includes(action.estado)) {
+      return `Cannot ${name} an action in status ${action.estado}`;
+    }
+    return null;
+  }
+
+  /**
+   * Apply a transition, with an optional comment
+   * @param {Object} action - ClientAction, checked with validateTransition()
+   * @param {String} name - Transition
+   * @param {String} [comment] - Comment added with the change
+   * @returns {Promise<Object>} The updated action
+   */
+  async transition(action, name, comment) {
+    const estado = TRANSITIONS[name].to;
+
+    await db.sequelize.transaction(async (transaction) => {
+      await action.update({
+        estado,
+        completedAt: estado === 'completada' ? new Date() : null
+      }, { transaction });
+
+      if (comment && comment.trim()) {
+        await this.addComment(action, comment, { transaction });
+      }
+    });
+
+    return action;
+  }
+
+  /**
+   * Add a comment to an action as the user of the current request
+   */
+  addComment(action, comment, { transaction } = {}) {
+    const context = tenantContext.get() || {};
+    return ClientActionComment.create({
+      clientActionId: action.id,
+      comment: comment.trim(),
+      authorId: context.userId || null,
+      authorEmail: context.email || null
+    }, { transaction });
+  }
+}
+
+module.exports = new ClientActionService();
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
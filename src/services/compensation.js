@@ -0,0 +1,332 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const objectiveService = require('./objectives');
+const periodService = require('./periods');
+
+const {
+  CompensationPlan,
+  CompensationPlanMember,
+  Salesperson,
+  Technician,
+  QuantitativeObjective,
+  QualitativeObjective,
+  SalespersonQuantitativeObjective,
+  SalespersonObjective,
+  TechnicianEvaluation
+} = db;
+
+// Months covered by each technician evaluation semester
+const SEMESTER_MONTHS = {
+  H1: ['01', '02', '03', '04', '05', '06'],
+  H2: ['07', '08', '09', '10', '11', '12']
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const formatAmount = (value) => round(value).toFixed(2);
+const formatPercent = (value) => `${round(value).toFixed(1)}%`;
+
+/**
+ * Compensation service: turns objective attainment and technician evaluation
+ * bonuses into variable pay.
+ *
+ * A plan sets a yearly base variable amount (members may override it), which
+ * is prorated to the months of the requested period. Salesperson plans split
+ * the base between quantitative and qualitative objectives by
+ * `quantitativeShare`, and within each group by objective weight. Each
+ * quantitative objective pays along a curve: nothing below its minimum
+ * acceptable value, `payoutAtMinimum` at the minimum rising linearly to 100% at
+ * target, and `acceleratorRate` points per point above target, up to
+ * `componentCap`. Qualitative objectives pay 100% when completed. Technician
+ * plans pay the bonus percentage of their final evaluations. The total is
+ * capped at `totalCap` percent of the base.
+ */
+class CompensationService {
+  /**
+   * Payout percentage for an attainment along a plan's curve
+   * @param {Number} attainment - Actual as a percentage of target
+   * @param {Number} minimumAttainment - Minimum acceptable as a percentage of target (0 = none)
+   * @param {Object} plan - CompensationPlan
+   * @returns {Object} { payout, explanation }
+   */
+  payoutCurve(attainment, minimumAttainment, plan) {
+    let payout;
+    let explanation;
+
+    if (attainment >= 100) {
+      payout = 100 + (attainment - 100) * plan.acceleratorRate;
+      explanation = attainment > 100 && plan.acceleratorRate !== 1
+        ? `Above target: 100% plus ${plan.acceleratorRate}x the ${formatPercent(attainment - 100)} over target`
+        : 'Target reached';
+    } else if (minimumAttainment > 0 && attainment < minimumAttainment) {
+      payout = 0;
+      explanation = `Below the minimum acceptable (${formatPercent(minimumAttainment)} of target): no payout`;
+    } else if (minimumAttainment > 0) {
+      const progress = (attainment - minimumAttainment) / (100 - minimumAttainment);
+      payout = plan.payoutAtMinimum + (100 - plan.payoutAtMinimum) * progress;
+      explanation = `Between the minimum (${formatPercent(minimumAttainment)}) and target: ` +
+        `${formatPercent(plan.payoutAtMinimum)} rising linearly to 100%`;
+    } else {
+      payout = attainment;
+      explanation = 'Below target: paid in proportion to attainment';
+    }
+
+    if (plan.componentCap !== null && plan.componentCap !== undefined && payout > plan.componentCap) {
+      payout = plan.componentCap;
+      explanation += `, capped at ${formatPercent(plan.componentCap)}`;
+    }
+
+    return { payout: Math.max(payout, 0), explanation };
+  }
+
+  /**
+   * Split a pool between components by weight. Components without a weight
+   * count as 1; when every weight is 0 the pool is split evenly.
+   */
+  splitPool(components, pool, poolName) {
+    const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+
+    return components.map(component => {
+      const share = totalWeight > 0 ? component.weight / totalWeight : 1 / components.length;
+      const allocation = pool * share;
+      const amount = allocation * component.payoutPercentage / 100;
+
+      return {
+        ...component,
+        share: round(share * 100),
+        allocation: round(allocation),
+        amount: round(amount),
+        explanation: `${component.explanation}. Weight ${component.weight} of ${round(totalWeight)} ` +
+          `in the ${poolName} pool: ${formatPercent(share * 100)} of ${formatAmount(pool)} = ${formatAmount(allocation)}, ` +
+          `paid at ${formatPercent(component.payoutPercentage)} = ${formatAmount(amount)}`
+      };
+    });
+  }
+
+  /**
+   * Quantitative components of a salesperson in a period
+   */
+  async getQuantitativeComponents(salespersonId, period, plan) {
+    const assignments = await SalespersonQuantitativeObjective.findAll({
+      where: { salespersonId },
+      include: [{ model: QuantitativeObjective, as: 'quantitativeObjective' }]
+    });
+
+    return assignments
+      .filter(assignment => assignment.quantitativeObjective &&
+        periodService.overlapShare(assignment.quantitativeObjective, period) > 0)
+      .map(assignment => {
+        const objective = assignment.quantitativeObjective;
+        const { value, target } = objectiveService.getPeriodProgress(assignment, objective, period);
+        const attainment = target > 0 ? (value / target) * 100 : 0;
+        const minimumAttainment = objective.minimumAcceptable !== null && objective.companyTarget > 0
+          ? (objective.minimumAcceptable / objective.companyTarget) * 100
+          : 0;
+        const { payout, explanation } = this.payoutCurve(attainment, minimumAttainment, plan);
+
+        return {
+          type: 'quantitative',
+          id: objective.id,
+          name: objective.name,
+          objectiveType: objective.type,
+          weight: objective.weight === null || objective.weight === undefined ? 1 : objective.weight,
+          actual: round(value),
+          target: round(target),
+          attainment: round(attainment),
+          payoutPercentage: round(payout),
+          explanation: `${formatPercent(attainment)} of target (${round(value)} of ${round(target)}). ${explanation}`
+        };
+      });
+  }
+
+  /**
+   * Qualitative components of a salesperson in a period: the objectives due in it
+   */
+  async getQualitativeComponents(salespersonId, period) {
+    const assignments = await SalespersonObjective.findAll({
+      where: { salespersonId },
+      include: [{
+        model: QualitativeObjective,
+        where: {
+          dueDate: {
+            [Op.gte]: new Date(`${period.startDate}T00:00:00`),
+            [Op.lte]: new Date(`${period.endDate}T23:59:59.999`)
+          }
+        }
+      }]
+    });
+
+    return assignments.map(({ QualitativeObjective: objective }) => {
+      const completed = objective.status === 'completado';
+
+      return {
+        type: 'qualitative',
+        id: objective.id,
+        name: objective.name,
+        weight: objective.weight,
+        status: objective.status,
+        attainment: completed ? 100 : 0,
+        payoutPercentage: completed ? 100 : 0,
+        explanation: completed ? 'Completed: paid in full' : `Not completed (${objective.status}): no payout`
+      };
+    });
+  }
+
+  /**
+   * Evaluation components of a technician: final evaluations of the semesters in the period
+   */
+  async getEvaluationComponents(technicianId, period, annualBase) {
+    const years = [...new Set(period.months.map(month => parseInt(month.slice(0, 4), 10)))];
+    const evaluations = await TechnicianEvaluation.findAll({
+      where: { technicianId, status: 'final', year: years },
+      order: [['year', 'ASC'], ['semester', 'ASC']]
+    });
+
+    return evaluations
+      .map(evaluation => {
+        const months = SEMESTER_MONTHS[evaluation.semester]
+          .map(month => `${evaluation.year}-${month}`)
+          .filter(month => period.months.includes(month));
+        const allocation = annualBase * months.length / 12;
+        const bonus = evaluation.bonusPercentage || 0;
+
+        return {
+          type: 'evaluation',
+          id: evaluation.id,
+          name: `${evaluation.year} ${evaluation.semester} evaluation`,
+          months: months.length,
+          allocation: round(allocation),
+          payoutPercentage: round(bonus),
+          amount: round(allocation * bonus / 100),
+          explanation: `${months.length} months of the semester in the period: ${formatAmount(allocation)} ` +
+            `at the evaluation bonus of ${formatPercent(bonus)} = ${formatAmount(allocation * bonus / 100)}`
+        };
+      })
+      .filter(component => component.months > 0);
+  }
+
+  /**
+   * Build the payout statement of one plan member for a period
+   * @param {Object} plan - CompensationPlan
+   * @param {Object} member - CompensationPlanMember with its salesperson or technician
+   * @param {Object} period - Period from the period service
+   * @returns {Promise<Object>} Statement
+   */
+  async buildStatement(plan, member, period) {
+    const person = plan.personType === 'technician' ? member.technician : member.salesperson;
+    const annualBase = member.baseVariableAmount !== null && member.baseVariableAmount !== undefined
+      ? member.baseVariableAmount
+      : plan.baseVariableAmount;
+    const base = annualBase * period.months.length / 12;
+    const notes = [
+      `Yearly variable pay of ${formatAmount(annualBase)} ${plan.currency}` +
+        `${member.baseVariableAmount !== null && member.baseVariableAmount !== undefined ? ' (individual amount)' : ''}, ` +
+        `prorated to ${period.months.length} of 12 months: ${formatAmount(base)}`
+    ];
+    let components = [];
+
+    if (plan.personType === 'technician') {
+      components = await this.getEvaluationComponents(person.id, period, annualBase);
+      if (components.length === 0) notes.push('No final evaluation covers this period');
+    } else {
+      const quantitative = await this.getQuantitativeComponents(person.id, period, plan);
+      const qualitative = await this.getQualitativeComponents(person.id, period);
+
+      let quantitativePool = base * plan.quantitativeShare;
+      let qualitativePool = base - quantitativePool;
+
+      if (quantitative.length === 0 && qualitative.length > 0) {
+        qualitativePool = base;
+        quantitativePool = 0;
+        notes.push('No quantitative objectives in the period: the whole base goes to qualitative objectives');
+      } else if (qualitative.length === 0 && quantitative.length > 0) {
+        quantitativePool = base;
+        qualitativePool = 0;
+        notes.push('No qualitative objectives due in the period: the whole base goes to quantitative objectives');
+      } else if (quantitative.length === 0) {
+        notes.push('No objectives in the period');
+      } else {
+        notes.push(`${formatPercent(plan.quantitativeShare * 100)} of the base for quantitative objectives ` +
+          `(${formatAmount(quantitativePool)}), the rest for qualitative objectives (${formatAmount(qualitativePool)})`);
+      }
+
+      components = [
+        ...(quantitative.length > 0 ? this.splitPool(quantitative, quantitativePool, 'quantitative') : []),
+        ...(qualitative.length > 0 ? this.splitPool(qualitative, qualitativePool, 'qualitative') : [])
+      ];
+    }
+
+    const earned = components.reduce((sum, component) => sum + component.amount, 0);
+    let total = earned;
+
+    if (plan.totalCap !== null && plan.totalCap !== undefined && earned > base * plan.totalCap / 100) {
+      total = base * plan.totalCap / 100;
+      notes.push(`Total capped at ${formatPercent(plan.totalCap)} of the base: ${formatAmount(earned)} reduced to ${formatAmount(total)}`);
+    }
+
+    return {
+      person: {
+        type: plan.personType,
+        id: person.id,
+        nombre: person.nombre,
+        email: person.email
+      },
+      plan: {
+        id: plan.id,
+        name: plan.name,
+        currency: plan.currency
+      },
+      period: periodService.toJSON(period),
+      baseAmount: round(base),
+      earned: round(earned),
+      total: round(total),
+      payoutPercentage: base > 0 ? round((total / base) * 100) : 0,
+      components,
+      explanation: notes
+    };
+  }
+
+  /**
+   * Payout statements of the members of the active plans for a period
+   * @param {Object} period - Period from the period service
+   * @param {Object} [filters]
+   * @param {String} [filters.planId] - Only members of this plan
+   * @param {String} [filters.salespersonId] - Only this salesperson
+   * @param {String} [filters.technicianId] - Only this technician; with both,
+   *   the statements of the salesperson and of the technician
+   * @returns {Promise<Array>} Statements, by person name
+   */
+  async getStatements(period, { planId, salespersonId, technicianId } = {}) {
+    const personWhere = [];
+    if (salespersonId !== undefined) personWhere.push({ salespersonId });
+    if (technicianId !== undefined) personWhere.push({ technicianId });
+    const memberWhere = personWhere.length > 1 ? { [Op.or]: personWhere } : (personWhere[0] || {});
+
+    const plans = await CompensationPlan.findAll({
+      where: planId ? { id: planId, isActive: true } : { isActive: true },
+      include: [{
+        model: CompensationPlanMember,
+        as: 'members',
+        where: memberWhere,
+        include: [
+          { model: Salesperson, as: 'salesperson', attributes: ['id', 'nombre', 'email'] },
+          { model: Technician, as: 'technician', attributes: ['id', 'nombre', 'email'] }
+        ]
+      }]
+    });
+
+    const statements = [];
+    for (const plan of plans) {
+      for (const member of plan.members) {
+        // Members whose person is in the trash are skipped
+        const person = plan.personType === 'technician' ? member.technician : member.salesperson;
+        if (!person) continue;
+
+        statements.push(await this.buildStatement(plan, member, period));
+      }
+    }
+
+    return statements.sort((a, b) => a.person.nombre.localeCompare(b.person.nombre));
+  }
+}
+
+module.exports = new CompensationService();
@@ -0,0 +1,151 @@
+/**
+ * @jest-environment node
+ */
+import { Op } from 'sequelize';
+import { CompensationPlan } from '../models';
+import compensationService from './compensation';
+import periodService from './periods';
+
+const plan = (overrides = {}) => ({
+  id: 'plan-1',
+  name: 'Sales 2026',
+  currency: 'USD',
+  personType: 'salesperson',
+  baseVariableAmount: 12000,
+  quantitativeShare: 0.7,
+  payoutAtMinimum: 50,
+  acceleratorRate: 2,
+  componentCap: 200,
+  totalCap: null,
+  ...overrides
+});
+
+const component = (id, weight, payoutPercentage) => ({
+  type: 'quantitative',
+  id,
+  name: `Objective ${id}`,
+  weight,
+  payoutPercentage,
+  explanation: 'Target reached'
+});
+
+describe('compensationService', () => {
+  describe('payoutCurve', () => {
+    it('pays nothing below the minimum acceptable', () => {
+      expect(compensationService.payoutCurve(79.9, 80, plan()).payout).toBe(0);
+    });
+
+    it('pays payoutAtMinimum at the minimum, rising linearly to 100% at target', () => {
+      expect(compensationService.payoutCurve(80, 80, plan()).payout).toBe(50);
+      expect(compensationService.payoutCurve(90, 80, plan()).payout).toBe(75);
+      expect(compensationService.payoutCurve(100, 80, plan()).payout).toBe(100);
+    });
+
+    it('pays in proportion to attainment without a minimum', () => {
+      expect(compensationService.payoutCurve(60, 0, plan()).payout).toBe(60);
+    });
+
+    it('accelerates above target up to the component cap', () => {
+      expect(compensationService.payoutCurve(120, 80, plan()).payout).toBe(140);
+
+      const capped = compensationService.payoutCurve(160, 80, plan());
+      expect(capped.payout).toBe(200);
+      expect(capped.explanation).toMatch(/capped at 200\.0%/);
+    });
+
+    it('does not cap without a component cap', () => {
+      expect(compensationService.payoutCurve(160, 80, plan({ componentCap: null })).payout).toBe(220);
+    });
+  });
+
+  describe('splitPool', () => {
+    it('splits a pool by weight and pays each part at its payout percentage', () => {
+      const [first, second] = compensationService.splitPool(
+        [component('a', 3, 100), component('b', 1, 50)],
+        1000,
+        'quantitative'
+      );
+
+      expect(first).toMatchObject({ share: 75, allocation: 750, amount: 750 });
+      expect(second).toMatchObject({ share: 25, allocation: 250, amount: 125 });
+    });
+
+    it('rounds each part to cents', () => {
+      const parts = compensationService.splitPool(
+        [component('a', 1, 100), component('b', 1, 100), component('c', 1, 100)],
+        100,
+        'quantitative'
+      );
+
+      expect(parts.map(part => part.allocation)).toEqual([33.33, 33.33, 33.33]);
+      expect(parts.map(part => part.share)).toEqual([33.33, 33.33, 33.33]);
+    });
+
+    it('splits evenly when every weight is 0', () => {
+      const parts = compensationService.splitPool([component('a', 0, 100), component('b', 0, 100)], 500, 'qualitative');
+
+      expect(parts.map(part => part.allocation)).toEqual([250, 250]);
+    });
+  });
+
+  describe('buildStatement', () => {
+    const period = periodService.parse('FY2026');
+    const member = { salesperson: { id: 'sp-1', nombre: 'Ana', email: 'ana@example.com' }, baseVariableAmount: null };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('splits the base between quantitative and qualitative objectives', async () => {
+      jest.spyOn(compensationService, 'getQuantitativeComponents').mockResolvedValue([component('a', 1, 150)]);
+      jest.spyOn(compensationService, 'getQualitativeComponents').mockResolvedValue([component('b', 1, 100)]);
+
+      const statement = await compensationService.buildStatement(plan(), member, period);
+
+      expect(statement.baseAmount).toBe(12000);
+      expect(statement.components.map(part => part.allocation)).toEqual([8400, 3600]);
+      expect(statement.earned).toBe(16200);
+      expect(statement.total).toBe(16200);
+    });
+
+    it('caps the total at totalCap percent of the base', async () => {
+      jest.spyOn(compensationService, 'getQuantitativeComponents').mockResolvedValue([component('a', 1, 200)]);
+      jest.spyOn(compensationService, 'getQualitativeComponents').mockResolvedValue([]);
+
+      const statement = await compensationService.buildStatement(plan({ totalCap: 150 }), member, period);
+
+      expect(statement.earned).toBe(24000);
+      expect(statement.total).toBe(18000);
+      expect(statement.payoutPercentage).toBe(150);
+    });
+
+    it('prorates an individual base to the months of the period', async () => {
+      jest.spyOn(compensationService, 'getQuantitativeComponents').mockResolvedValue([component('a', 1, 100)]);
+      jest.spyOn(compensationService, 'getQualitativeComponents').mockResolvedValue([]);
+
+      const statement = await compensationService.buildStatement(
+        plan(),
+        { ...member, baseVariableAmount: 6000 },
+        periodService.parse('FY2026-Q1')
+      );
+
+      expect(statement.baseAmount).toBe(1500);
+      expect(statement.total).toBe(1500);
+    });
+  });
+
+  describe('getStatements', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('finds the statements of a salesperson and a technician together', async () => {
+      const findAll = jest.spyOn(CompensationPlan, 'findAll').mockResolvedValue([]);
+
+      await compensationService.getStatements(periodService.parse('FY2026'), { salespersonId: 'sp-1', technicianId: 'tech-1' });
+
+      const [{ include: [{ where }] }] = findAll.mock.calls[0];
+      expect(where).toEqual({ [Op.or]: [{ salespersonId: 'sp-1' }, { technicianId: 'tech-1' }] });
+    });
+  });
+});
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const { Op } = require('sequelize');
+const { TenantUser, Tenant } = require('../models');
+const { getPlanLimits } = require('../middleware/tenant');
+
+// Modes of Tenant.settings.domainJoin
+const DOMAIN_JOIN_MODES = ['automatic', 'approval', 'disabled'];
+
+// Used when a tenant with a domain has not chosen a mode
+const DEFAULT_DOMAIN_JOIN_MODE = 'approval';
+
+// Prefix of the DNS TXT record proving a tenant owns its domain
+const VERIFICATION_RECORD_PREFIX = 'sales-dashboard-verification=';
+
+// Shared mailbox providers never identify a single company
+const PUBLIC_EMAIL_DOMAINS = [
+  'gmail.com',
+  'googlemail.com',
+  'hotmail.com',
+  'outlook.com',
+  'live.com',
+  'yahoo.com',
+  'icloud.com',
+  'me.com',
+  'aol.com',
+  'proton.me',
+  'protonmail.com'
+];
+
+/**
+ * Domain join service: lets users with a verified company email join the
+ * tenant whose `domain` matches, automatically or after admin approval. A
+ * tenant first proves it owns its domain with a DNS TXT record.
+ */
+class DomainJoinService {
+  /**
+   * Normalize a tenant domain (which may be stored as a URL) to a bare host name
+   * @param {String} domain - e.g. 'https://www.acme.com/'
+   * @returns {String|null} e.g. 'acme.com'
+   */
+  normalizeDomain(domain) {
+    if (!domain) return null;
+
+    const host = domain
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .split(/[/:?#]/)[0]
+      .replace(/\.+$/, '')
+      .replace(/^www\./, '');
+
+    return host || null;
+  }
+
+  /**
+   * Get the domain part of an email address
+   */
+  getEmailDomain(email) {
+    if (!email || !email.includes('@')) return null;
+    return email.split('@').pop().trim().toLowerCase();
+  }
+
+  /**
+   * Whether a domain belongs to a shared mailbox provider
+   */
+  isPublicDomain(domain) {
+    return PUBLIC_EMAIL_DOMAINS.includes(this.normalizeDomain(domain));
+  }
+
+  /**
+   * Find the tenant that has claimed a domain, however it was spelled
+   * @param {String} domain - Domain or URL
+   * @param {Object} [options]
+   * @param {String} [options.excludeTenantId] - Tenant to leave out (the one changing its domain)
+   * @returns {Promise<Object|null>} Tenant
+   */
+  async findTenantByDomain(domain, { excludeTenantId } = {}) {
+    const normalized = this.normalizeDomain(domain);
+    if (!normalized) return null;
+
+    // Domains may be stored with a scheme or www prefix, so narrow down in SQL
+    // and compare the normalized values here
+    const candidates = await Tenant.findAll({
+      where: {
+        domain: { [Op.iLike]: `%${normalized}%` },
+        ...(excludeTenantId && { id: { [Op.ne]: excludeTenantId } })
+      }
+    });
+
+    return candidates.find(tenant => this.normalizeDomain(tenant.domain) === normalized) || null;
+  }
+
+  /**
+   * Attributes claiming a domain for a tenant: the normalized domain and a new
+   * verification token; the domain is unverified until verifyDomain succeeds
+   * @param {String} domain - Domain or URL
+   * @returns {Object} { domain, domainVerificationToken, domainVerifiedAt }
+   */
+  claimDomain(domain) {
+    return {
+      domain: this.normalizeDomain(domain),
+      domainVerificationToken: crypto.randomBytes(16).toString('hex'),
+      domainVerifiedAt: null
+    };
+  }
+
+  /**
+   * DNS TXT record a tenant publishes on its domain to verify it
+   * @returns {String|null} e.g. 'sales-dashboard-verification=0f3a...'
+   */
+  getVerificationRecord(tenant) {
+    return tenant.domainVerificationToken ? `${VERIFICATION_RECORD_PREFIX}${tenant.domainVerificationToken}` : null;
+  }
+
+  /**
+   * Whether a tenant has proven it owns its domain
+   */
+  isDomainVerified(tenant) {
+    return Boolean(tenant.domain && tenant.domainVerifiedAt);
+  }
+
+  /**
+   * Look up the verification record in the TXT records of a tenant's domain
+   * and mark the domain verified when it is there
+   * @param {Object} tenant - Tenant with a claimed domain
+   * @returns {Promise<Boolean>} Whether the domain is verified
+   */
+  async verifyDomain(tenant) {
+    const record = this.getVerificationRecord(tenant);
+    const domain = this.normalizeDomain(tenant.domain);
+    if (!record || !domain) return false;
+
+    let records;
+    try {
+      records = await dns.promises.resolveTxt(domain);
+    } catch (error) {
+      // A domain without TXT records cannot be verified yet
+      if (['ENODATA', 'ENOTFOUND', 'NXDOMAIN'].includes(error.code)) return false;
+      throw error;
+    }
+
+    // Long TXT records come split in chunks
+    if (!records.some(chunks => chunks.join('') === record)) return false;
+
+    await tenant.update({ domainVerifiedAt: new Date() });
+    return true;
+  }
+
+  /**
+   * Whether a value is a known domain join mode
+   */
+  isValidJoinMode(mode) {
+    return DOMAIN_JOIN_MODES.includes(mode);
+  }
+
+  /**
+   * Get how a tenant admits users from its domain
+   * @returns {'automatic'|'approval'|'disabled'}
+   */
+  getJoinMode(tenant) {
+    const mode = tenant.settings && tenant.settings.domainJoin;
+    return this.isValidJoinMode(mode) ? mode : DEFAULT_DOMAIN_JOIN_MODE;
+  }
+
+  /**
+   * Find the active tenant whose verified domain matches an email address
+   * @param {String} email - Verified email address
+   * @returns {Promise<Object|null>} Tenant, or null if none accepts domain joins
+   */
+  async findTenantForEmail(email) {
+    const emailDomain = this.getEmailDomain(email);
+    if (!emailDomain || this.isPublicDomain(emailDomain)) return null;
+
+    // Only a tenant that has proven it owns the domain admits its users
+    const tenant = await this.findTenantByDomain(emailDomain);
+    return tenant && tenant.status === 'active' && this.isDomainVerified(tenant) &&
+      this.getJoinMode(tenant) !== 'disabled' ? tenant : null;
+  }
+
+  /**
+   * Join a user to a tenant by domain. Joins are automatic only when the tenant
+   * allows it and has a free seat on its plan; otherwise a pending request is made.
+   * @param {Object} tenant - Tenant matched by domain
+   * @param {Object} user - { auth0UserId, email }
+   * @returns {Promise<Object>} Active or pending TenantUser with its tenant
+   */
+  async join(tenant, { auth0UserId, email }) {
+    let status = 'pending';
+
+    if (this.getJoinMode(tenant) === 'automatic') {
+      const seats = await TenantUser.count({
+        where: {
+          tenantId: tenant.id,
+          status: ['active', 'invited']
+        }
+      });
+      if (seats < getPlanLimits(tenant.plan).maxUsers) {
+        status = 'active';
+      }
+    }
+
+    const tenantUser = await TenantUser.create({
+      tenantId: tenant.id,
+      auth0UserId,
+      email: email.toLowerCase(),
+      role: 'user',
+      status
+    });
+
+    return TenantUser.findByPk(tenantUser.id, {
+      include: [{
+        model: Tenant,
+        as: 'tenant',
+        required: true
+      }]
+    });
+  }
+
+  /**
+   * Find a join request of an Auth0 user still awaiting approval
+   * @returns {Promise<Object|null>} Pending TenantUser with its tenant
+   */
+  async findPendingRequest(auth0UserId) {
+    return TenantUser.findOne({
+      where: {
+        auth0UserId,
+        status: 'pending'
+      },
+      include: [{
+        model: Tenant,
+        as: 'tenant',
+        where: { status: 'active' },
+        required: true
+      }],
+      order: [['createdAt', 'ASC']]
+    });
+  }
+}
+
+module.exports = new DomainJoinService();
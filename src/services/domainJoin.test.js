@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+import dns from 'dns';
+import { Tenant } from '../models';
+import domainJoinService from './domainJoin';
+
+const tenant = (overrides = {}) => ({
+  id: 'tenant-1',
+  status: 'active',
+  domain: 'acme.com',
+  domainVerificationToken: 'abc123',
+  domainVerifiedAt: null,
+  settings: { domainJoin: 'automatic' },
+  update: jest.fn(function update(values) {
+    Object.assign(this, values);
+    return Promise.resolve(this);
+  }),
+  ...overrides
+});
+
+describe('domainJoinService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeDomain', () => {
+    it('reduces URLs and other spellings to a bare lowercase host', () => {
+      expect(domainJoinService.normalizeDomain('https://www.Acme.com/about')).toBe('acme.com');
+      expect(domainJoinService.normalizeDomain('ACME.COM.')).toBe('acme.com');
+      expect(domainJoinService.normalizeDomain('  acme.com:443 ')).toBe('acme.com');
+    });
+
+    it('is null without a host', () => {
+      expect(domainJoinService.normalizeDomain('')).toBeNull();
+      expect(domainJoinService.normalizeDomain('https://')).toBeNull();
+    });
+  });
+
+  describe('claimDomain', () => {
+    it('stores the normalized domain, unverified, with a new token', () => {
+      const claim = domainJoinService.claimDomain('Acme.com.');
+
+      expect(claim.domain).toBe('acme.com');
+      expect(claim.domainVerifiedAt).toBeNull();
+      expect(claim.domainVerificationToken).toMatch(/^[0-9a-f]{32}$/);
+      expect(domainJoinService.claimDomain('acme.com').domainVerificationToken).not.toBe(claim.domainVerificationToken);
+    });
+  });
+
+  describe('findTenantByDomain', () => {
+    it('matches a domain stored with another spelling', async () => {
+      const stored = tenant({ domain: 'https://www.acme.com' });
+      jest.spyOn(Tenant, 'findAll').mockResolvedValue([tenant({ domain: 'notacme.com' }), stored]);
+
+      expect(await domainJoinService.findTenantByDomain('ACME.com.')).toBe(stored);
+    });
+  });
+
+  describe('verifyDomain', () => {
+    it('verifies the domain when its TXT records include the verification record', async () => {
+      jest.spyOn(dns.promises, 'resolveTxt').mockResolvedValue([
+        ['v=spf1 -all'],
+        ['sales-dashboard-', 'verification=abc123']
+      ]);
+      const claimed = tenant();
+
+      expect(await domainJoinService.verifyDomain(claimed)).toBe(true);
+      expect(claimed.update).toHaveBeenCalledWith({ domainVerifiedAt: expect.any(Date) });
+      expect(domainJoinService.isDomainVerified(claimed)).toBe(true);
+    });
+
+    it('does not verify the domain without the record', async () => {
+      jest.spyOn(dns.promises, 'resolveTxt').mockResolvedValue([['sales-dashboard-verification=other']]);
+      const claimed = tenant();
+
+      expect(await domainJoinService.verifyDomain(claimed)).toBe(false);
+      expect(claimed.update).not.toHaveBeenCalled();
+    });
+
+    it('does not verify a domain without TXT records', async () => {
+      jest.spyOn(dns.promises, 'resolveTxt').mockRejectedValue(Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' }));
+
+      expect(await domainJoinService.verifyDomain(tenant())).toBe(false);
+    });
+  });
+
+  describe('findTenantForEmail', () => {
+    it('only matches tenants that verified their domain', async () => {
+      const verified = tenant({ domainVerifiedAt: new Date() });
+      jest.spyOn(Tenant, 'findAll').mockResolvedValueOnce([tenant()]).mockResolvedValueOnce([verified]);
+
+      expect(await domainJoinService.findTenantForEmail('ana@acme.com')).toBeNull();
+      expect(await domainJoinService.findTenantForEmail('ana@acme.com')).toBe(verified);
+    });
+
+    it('never matches public mailbox domains', async () => {
+      const findAll = jest.spyOn(Tenant, 'findAll');
+
+      expect(await domainJoinService.findTenantForEmail('ana@gmail.com')).toBeNull();
+      expect(findAll).not.toHaveBeenCalled();
+    });
+  });
+});
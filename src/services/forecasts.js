@@ -0,0 +1,285 @@
+const { Op } = require('sequelize');
+const { QuantitativeObjective, SalespersonQuantitativeObjective } = require('../models');
+const periodService = require('./periods');
+
+// Projection methods: average of the elapsed months, average of the last three,
+// or the average weighted by the seasonality of previous objectives
+const FORECAST_METHODS = ['linear', 'trailing3', 'seasonal'];
+const DEFAULT_METHOD = 'linear';
+
+// Probability of reaching the target from which an assignment is on track
+const ON_TRACK_PROBABILITY = 0.6;
+// Below that, it is at risk while it will likely reach its minimum acceptable
+// (or, without a minimum, still has this chance of reaching the target)
+const AT_RISK_MINIMUM_PROBABILITY = 0.5;
+const AT_RISK_TARGET_PROBABILITY = 0.25;
+
+// Month-to-month variation (share of the mean) assumed until two months are recorded
+const DEFAULT_VARIATION = 0.5;
+
+const MONTH_NUMBERS = ['01', '02', '03', '04', '05', '06', '07', '08', '09', '10', '11', '12'];
+
+/**
+ * Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26)
+ */
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Forecast service: projected end-of-objective values from the run-rate of
+ * SalespersonQuantitativeObjective.monthlyProgress, and the probability of
+ * reaching the individual target and the minimum acceptable.
+ *
+ * Months before the current one count as elapsed (missing values are zero),
+ * as do later months that already have progress. The remaining months are
+ * projected at the method's monthly rate; the spread of the elapsed months
+ * gives a normal distribution of the end value.
+ */
+class ForecastService {
+  /**
+   * Whether a forecast method is known
+   */
+  isMethod(method) {
+    return FORECAST_METHODS.includes(method);
+  }
+
+  /**
+   * Objective type used for the projection; legacy 'moneda' objectives are currency
+   */
+  getType(objective) {
+    return objective.type === 'moneda' ? 'currency' : objective.type;
+  }
+
+  /**
+   * Split the months of an objective into elapsed and remaining ones
+   * @returns {Object} { months, values, elapsed, remaining } with 'YYYY-MM' keys
+   */
+  getTimeline(objective, monthlyProgress, now = new Date()) {
+    const months = periodService.monthRange(String(objective.startDate).slice(0, 7), String(objective.endDate).slice(0, 7));
+    const values = {};
+
+    Object.entries(monthlyProgress || {}).forEach(([monthNumber, rawValue]) => {
+      const month = periodService.progressMonth(objective, monthNumber);
+      const value = parseFloat(rawValue);
+      if (month && months.includes(month) && !isNaN(value)) values[month] = value;
+    });
+
+    const previousMonth = periodService.shiftMonth(periodService.toMonthKey(now.getFullYear(), now.getMonth() + 1), -1);
+    const lastElapsed = Object.keys(values).reduce((last, month) => (month > last ? month : last), previousMonth);
+
+    return {
+      months,
+      values,
+      elapsed: months.filter(month => month <= lastElapsed),
+      remaining: months.filter(month => month > lastElapsed)
+    };
+  }
+
+  /**
+   * Seasonality of each objective type: the share of a month in the year
+   * relative to an even split, from the progress of objectives that already
+   * ended. Types without a full year of history, and percentages, get null.
+   * @returns {Promise<Object>} { currency, number } with an index per month number ('01'-'12')
+   */
+  async getSeasonality({ now = new Date() } = {}) {
+    const currentMonth = periodService.toMonthKey(now.getFullYear(), now.getMonth() + 1);
+    const assignments = await SalespersonQuantitativeObjective.findAll({
+      attributes: ['id', 'monthlyProgress'],
+      include: [{
+        model: QuantitativeObjective,
+        as: 'quantitativeObjective',
+        attributes: ['id', 'type', 'startDate', 'endDate'],
+        where: { endDate: { [Op.lt]: `${currentMonth}-01` } }
+      }]
+    });
+
+    const totals = { currency: {}, number: {} };
+    assignments.forEach(assignment => {
+      const totalsOfType = totals[this.getType(assignment.quantitativeObjective)];
+      if (!totalsOfType) return;
+
+      Object.entries(assignment.monthlyProgress || {}).forEach(([monthNumber, rawValue]) => {
+        const value = parseFloat(rawValue);
+        if (!MONTH_NUMBERS.includes(monthNumber) || isNaN(value)) return;
+        totalsOfType[monthNumber] = (totalsOfType[monthNumber] || 0) + value;
+      });
+    });
+
+    const seasonality = {};
+    Object.entries(totals).forEach(([type, byMonth]) => {
+      const yearTotal = sum(Object.values(byMonth));
+      const hasFullYear = MONTH_NUMBERS.every(monthNumber => byMonth[monthNumber] !== undefined);
+
+      seasonality[type] = hasFullYear && yearTotal > 0
+        ? Object.fromEntries(MONTH_NUMBERS.map(monthNumber => [monthNumber, byMonth[monthNumber] / (yearTotal / 12)]))
+        : null;
+    });
+    return seasonality;
+  }
+
+  /**
+   * Probability that a normally distributed end value reaches a threshold
+   */
+  probability(projected, spread, threshold) {
+    if (projected === null || threshold === null || threshold === undefined) return null;
+    if (spread > 0) return 1 - normalCdf((threshold - projected) / spread);
+    return projected >= threshold ? 1 : 0;
+  }
+
+  /**
+   * On track, at risk or off track from the probabilities of reaching the
+   * target and the minimum acceptable
+   */
+  getTrack(probabilityOfTarget, probabilityOfMinimum) {
+    if (probabilityOfTarget === null) return 'not_started';
+    if (probabilityOfTarget >= ON_TRACK_PROBABILITY) return 'on_track';
+
+    const atRisk = probabilityOfMinimum !== null
+      ? probabilityOfMinimum >= AT_RISK_MINIMUM_PROBABILITY
+      : probabilityOfTarget >= AT_RISK_TARGET_PROBABILITY;
+    return atRisk ? 'at_risk' : 'off_track';
+  }
+
+  /**
+   * Build a forecast from its projection
+   */
+  toForecast({ method, projected, spread, target, minimum, elapsed, remaining, months }) {
+    const probabilityOfTarget = this.probability(projected, spread, target);
+    const probabilityOfMinimum = this.probability(projected, spread, minimum);
+
+    return {
+      method,
+      projectedValue: projected,
+      target,
+      minimum,
+      projectedAttainment: projected !== null && target > 0 ? projected / target : null,
+      probabilityOfTarget,
+      probabilityOfMinimum,
+      track: this.getTrack(probabilityOfTarget, probabilityOfMinimum),
+      spread,
+      monthsElapsed: elapsed,
+      monthsRemaining: remaining,
+      months
+    };
+  }
+
+  /**
+   * Forecast the end value of an assignment
+   * @param {Object} assignment - Values with monthlyProgress and individualTarget
+   * @param {Object} objective - QuantitativeObjective with type, companyTarget,
+   *   minimumAcceptable, startDate and endDate
+   * @param {Object} [options]
+   * @param {String} [options.method='linear'] - linear, trailing3 or seasonal; seasonal
+   *   falls back to linear without a year of history
+   * @param {Object} [options.seasonality] - From getSeasonality
+   * @param {Date} [options.now] - Reference date
+   * @returns {Object} { method, projectedValue, target, minimum, projectedAttainment,
+   *   probabilityOfTarget, probabilityOfMinimum, track, spread, monthsElapsed,
+   *   monthsRemaining, months } where months holds the projection of each remaining month
+   */
+  forecastAssignment(assignment, objective, { method = DEFAULT_METHOD, seasonality = {}, now = new Date() } = {}) {
+    const type = this.getType(objective);
+    const isPercentage = type === 'percentage';
+    const { months, values, elapsed, remaining } = this.getTimeline(objective, assignment.monthlyProgress, now);
+
+    const target = parseFloat(assignment.individualTarget || 0);
+    // The minimum acceptable applies to the company target; each assignment gets its share
+    const minimum = objective.minimumAcceptable !== null && objective.minimumAcceptable !== undefined && objective.companyTarget > 0
+      ? objective.minimumAcceptable * (target / objective.companyTarget)
+      : null;
+
+    if (elapsed.length === 0) {
+      return this.toForecast({ method, projected: null, spread: null, target, minimum, elapsed: 0, remaining: remaining.length, months: {} });
+    }
+
+    const observed = elapsed.map(month => values[month] || 0);
+    const actual = sum(observed);
+    const mean = actual / observed.length;
+    const variance = observed.length > 1
+      ? sum(observed.map(value => (value - mean) ** 2)) / (observed.length - 1)
+      : (Math.abs(mean) * DEFAULT_VARIATION) ** 2;
+
+    const index = !isPercentage && method === 'seasonal' ? seasonality[type] : null;
+    const elapsedWeight = index ? sum(elapsed.map(month => index[month.slice(5)])) : 0;
+
+    let usedMethod = method;
+    let rateOf;
+    if (index && elapsedWeight > 0) {
+      const rate = actual / elapsedWeight;
+      rateOf = (month) => rate * index[month.slice(5)];
+    } else if (method === 'trailing3') {
+      const trailing = observed.slice(-3);
+      const rate = sum(trailing) / trailing.length;
+      rateOf = () => rate;
+    } else {
+      usedMethod = 'linear';
+      rateOf = () => mean;
+    }
+
+    const monthly = Object.fromEntries(remaining.map(month => [month, rateOf(month)]));
+    const future = sum(Object.values(monthly));
+
+    // Rates are averaged over the objective's months; amounts add up
+    const projected = isPercentage ? (actual + future) / months.length : actual + future;
+    const spread = isPercentage
+      ? Math.sqrt(variance * remaining.length) / months.length
+      : Math.sqrt(variance * remaining.length);
+
+    return this.toForecast({
+      method: usedMethod,
+      projected,
+      spread,
+      target,
+      minimum,
+      elapsed: elapsed.length,
+      remaining: remaining.length,
+      months: monthly
+    });
+  }
+
+  /**
+   * Company-wide forecast of an objective from the forecasts of its assignments.
+   * Amounts add up (and so do their variances); percentages are averaged.
+   * @param {Object} objective - QuantitativeObjective
+   * @param {Array<Object>} forecasts - Assignment forecasts
+   * @returns {Object} Forecast against the company target and minimum acceptable
+   */
+  combine(objective, forecasts) {
+    const isPercentage = this.getType(objective) === 'percentage';
+    const started = forecasts.filter(forecast => forecast.projectedValue !== null);
+    const target = objective.companyTarget;
+    const minimum = objective.minimumAcceptable === undefined ? null : objective.minimumAcceptable;
+    const method = started.length > 0 ? started[0].method : forecasts.length > 0 ? forecasts[0].method : DEFAULT_METHOD;
+
+    if (started.length === 0) {
+      return this.toForecast({ method, projected: null, spread: null, target, minimum, elapsed: 0, remaining: 0, months: {} });
+    }
+
+    const divisor = isPercentage ? started.length : 1;
+    const months = {};
+    started.forEach(forecast => {
+      Object.entries(forecast.months).forEach(([month, value]) => {
+        months[month] = (months[month] || 0) + value / divisor;
+      });
+    });
+
+    return this.toForecast({
+      method,
+      projected: sum(started.map(forecast => forecast.projectedValue)) / divisor,
+      spread: Math.sqrt(sum(started.map(forecast => forecast.spread ** 2))) / divisor,
+      target,
+      minimum,
+      elapsed: Math.max(...started.map(forecast => forecast.monthsElapsed)),
+      remaining: Math.min(...started.map(forecast => forecast.monthsRemaining)),
+      months
+    });
+  }
+}
+
+module.exports = new ForecastService();
+module.exports.FORECAST_METHODS = FORECAST_METHODS;
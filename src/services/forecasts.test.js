@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+import forecastService from './forecasts';
+
+describe('forecastService', () => {
+  const objective = {
+    type: 'currency',
+    companyTarget: 1200,
+    minimumAcceptable: 900,
+    startDate: '2026-01-01',
+    endDate: '2026-12-31'
+  };
+  const april = new Date(2026, 3, 15);
+
+  describe('probability', () => {
+    it('follows the standard normal distribution', () => {
+      expect(forecastService.probability(100, 10, 100)).toBeCloseTo(0.5, 6);
+      expect(forecastService.probability(100, 10, 80)).toBeCloseTo(0.97725, 4);
+      expect(forecastService.probability(100, 10, 120)).toBeCloseTo(0.02275, 4);
+    });
+
+    it('is certain without spread and unknown without a projection', () => {
+      expect(forecastService.probability(100, 0, 100)).toBe(1);
+      expect(forecastService.probability(99, 0, 100)).toBe(0);
+      expect(forecastService.probability(null, 10, 100)).toBeNull();
+      expect(forecastService.probability(100, 10, null)).toBeNull();
+    });
+  });
+
+  describe('forecastAssignment', () => {
+    it('projects the remaining months at the average monthly rate', () => {
+      const assignment = { individualTarget: 1200, monthlyProgress: { '01': 60, '02': 100, '03': 140 } };
+
+      const forecast = forecastService.forecastAssignment(assignment, objective, { now: april });
+
+      expect(forecast.method).toBe('linear');
+      expect(forecast.monthsElapsed).toBe(3);
+      expect(forecast.monthsRemaining).toBe(9);
+      expect(forecast.projectedValue).toBe(1200);
+      expect(forecast.spread).toBe(120);
+      expect(forecast.probabilityOfTarget).toBeCloseTo(0.5, 6);
+      expect(forecast.minimum).toBe(900);
+      expect(forecast.track).toBe('at_risk');
+    });
+
+    it('uses the last three months for trailing3', () => {
+      const assignment = { individualTarget: 1200, monthlyProgress: { '01': 40, '02': 60, '03': 100, '04': 140 } };
+      const may = new Date(2026, 4, 15);
+
+      expect(forecastService.forecastAssignment(assignment, objective, { now: may }).projectedValue).toBe(1020);
+      expect(forecastService.forecastAssignment(assignment, objective, { method: 'trailing3', now: may }).projectedValue).toBe(1140);
+    });
+
+    it('falls back to linear without seasonality', () => {
+      const assignment = { individualTarget: 1200, monthlyProgress: { '01': 100, '02': 100, '03': 100 } };
+
+      const forecast = forecastService.forecastAssignment(assignment, objective, { method: 'seasonal', now: april });
+
+      expect(forecast.method).toBe('linear');
+      expect(forecast.track).toBe('on_track');
+    });
+
+    it('averages percentages over the objective', () => {
+      const assignment = { individualTarget: 60, monthlyProgress: { '01': 50, '02': 60, '03': 70 } };
+
+      const forecast = forecastService.forecastAssignment(assignment, { ...objective, type: 'percentage' }, { now: april });
+
+      expect(forecast.projectedValue).toBe(60);
+    });
+
+    it('is not started before any month has elapsed', () => {
+      const forecast = forecastService.forecastAssignment(
+        { individualTarget: 1200, monthlyProgress: {} },
+        objective,
+        { now: new Date(2026, 0, 10) }
+      );
+
+      expect(forecast.projectedValue).toBeNull();
+      expect(forecast.track).toBe('not_started');
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { TenantUser, Tenant } = require('../models');
+const mailService = require('./mailer');
+
+const INVITATION_AUDIENCE = 'tenant-invitation';
+
+/**
+ * Escape user-provided values for the HTML email body
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Invitation service for signed, expiring tenant invitations
+ */
+class InvitationService {
+  /**
+   * Days an invitation stays valid
+   */
+  getTtlDays() {
+    return parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+  }
+
+  /**
+   * Secret used to sign invitation tokens
+   */
+  getSecret() {
+    const secret = process.env.INVITATION_SECRET;
+    if (!secret) {
+      throw new Error('INVITATION_SECRET is not configured');
+    }
+    return secret;
+  }
+
+  /**
+   * Issue a new token for an invited user. Rotates the nonce, so any token
+   * issued before is no longer valid.
+   * @param {Object} tenantUser - Invited TenantUser instance
+   * @returns {Promise<String>} Signed token
+   */
+  async issueToken(tenantUser) {
+    const ttlDays = this.getTtlDays();
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    await tenantUser.update({
+      invitationNonce: nonce,
+      invitationSentAt: new Date(),
+      invitationExpiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+    });
+
+    return jwt.sign(
+      { sub: tenantUser.id, tenantId: tenantUser.tenantId, nonce },
+      this.getSecret(),
+      { audience: INVITATION_AUDIENCE, expiresIn: `${ttlDays}d` }
+    );
+  }
+
+  /**
+   * Issue a token and email the invitation link
+   * @param {Object} tenantUser - Invited TenantUser instance
+   * @param {Object} tenant - Tenant the user is invited to
+   * @param {String} inviterEmail - Email of the user who sent the invitation
+   */
+  async sendInvitation(tenantUser, tenant, inviterEmail) {
+    const token = await this.issueToken(tenantUser);
+    const acceptUrl = `${process.env.FRONTEND_URL}/invitations/accept?token=${encodeURIComponent(token)}`;
+    const expiresOn = tenantUser.invitationExpiresAt.toISOString().slice(0, 10);
+    const inviter = inviterEmail || 'An administrator';
+
+    await mailService.send({
+      to: tenantUser.email,
+      subject: `You have been invited to ${tenant.name}`,
+      text: `${inviter} invited you to join ${tenant.name} as ${tenantUser.role}.\n\n` +
+        `Accept the invitation: ${acceptUrl}\n\nThis link expires on ${expiresOn}.`,
+      html: `<p>${escapeHtml(inviter)} invited you to join <strong>${escapeHtml(tenant.name)}</strong> as ${tenantUser.role}.</p>` +
+        `<p><a href="${escapeHtml(acceptUrl)}">Accept the invitation</a></p>` +
+        `<p>This link expires on ${expiresOn}.</p>`
+    });
+
+    return token;
+  }
+
+  /**
+   * Find the pending invitation a token refers to
+   * @param {String} token - Signed invitation token
+   * @returns {Promise<Object|null>} Invited TenantUser with its tenant, or null if
+   * the token is invalid, expired, revoked or superseded by a newer one
+   */
+  async findByToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.getSecret(), { audience: INVITATION_AUDIENCE });
+    } catch (error) {
+      return null;
+    }
+
+    const invitation = await TenantUser.findOne({
+      where: {
+        id: payload.sub,
+        tenantId: payload.tenantId,
+        status: 'invited',
+        invitationNonce: payload.nonce,
+        invitationExpiresAt: { [Op.gt]: new Date() }
+      },
+      include: [{
+        model: Tenant,
+        as: 'tenant',
+        where: { status: 'active' },
+        required: true
+      }]
+    });
+
+    return invitation;
+  }
+
+  /**
+   * Find the most recent pending invitation for an email address
+   * @param {String} email - Invited email
+   * @returns {Promise<Object|null>} Invited TenantUser with its tenant
+   */
+  async findPendingByEmail(email) {
+    if (!email) return null;
+
+    return TenantUser.findOne({
+      where: {
+        email: email.toLowerCase(),
+        status: 'invited',
+        invitationExpiresAt: { [Op.gt]: new Date() }
+      },
+      include: [{
+        model: Tenant,
+        as: 'tenant',
+        where: { status: 'active' },
+        required: true
+      }],
+      order: [['invitationSentAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Whether an Auth0 user already has a membership row in a tenant.
+   * Pending domain join requests do not count; accepting replaces them.
+   */
+  async hasMembership(tenantId, auth0UserId) {
+    const count = await TenantUser.count({
+      where: { tenantId, auth0UserId, status: { [Op.ne]: 'pending' } }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Bind an invitation to the Auth0 user accepting it and activate it
+   * @param {Object} invitation - Invited TenantUser instance
+   * @param {String} auth0UserId - Auth0 user ID of the accepting user
+   * @returns {Promise<Object>} The activated TenantUser
+   */
+  async accept(invitation, auth0UserId) {
+    await TenantUser.destroy({
+      where: { tenantId: invitation.tenantId, auth0UserId, status: 'pending' }
+    });
+
+    await invitation.update({
+      auth0UserId,
+      status: 'active',
+      invitationNonce: null,
+      invitationExpiresAt: null
+    });
+
+    return invitation;
+  }
+}
+
+module.exports = new InvitationService();
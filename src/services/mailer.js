@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mail transport factories keyed by name. A transport is an object with an
+ * async send(message) method; message is { from, to, subject, text, html }.
+ */
+const transports = {
+  // Writes every message to a JSON file - local development stand-in
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+    return {
+      async send(message) {
+        await fs.promises.mkdir(dir, { recursive: true });
+
+        const safeRecipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+        const file = path.join(dir, `${Date.now()}-${safeRecipient}.json`);
+        await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+
+        return { transport: 'file', file };
+      }
+    };
+  },
+
+  // Logs messages instead of delivering them
+  console: () => ({
+    async send(message) {
+      console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { transport: 'console' };
+    }
+  }),
+
+  // Delivers through an SMTP server (a local catcher such as MailHog works in development)
+  smtp: () => {
+    // nodemailer is only required when SMTP delivery is configured
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      async send(message) {
+        const info = await transporter.sendMail(message);
+        return { transport: 'smtp', messageId: info.messageId };
+      }
+    };
+  }
+};
+
+/**
+ * Mail service with a pluggable transport, selected by MAIL_TRANSPORT
+ * (file, console or smtp; defaults to file)
+ */
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Register an additional transport factory
+   * @param {String} name - Name used in MAIL_TRANSPORT
+   * @param {Function} factory - Returns an object with an async send(message) method
+   */
+  registerTransport(name, factory) {
+    transports[name] = factory;
+  }
+
+  /**
+   * Replace the active transport (e.g. in tests)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Get the active transport, creating it on first use
+   */
+  getTransport() {
+    if (!this.transport) {
+      const name = process.env.MAIL_TRANSPORT || 'file';
+      const factory = transports[name];
+
+      if (!factory) {
+        throw new Error(`Unknown mail transport: ${name}`);
+      }
+
+      this.transport = factory();
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html }
+   */
+  async send(message) {
+    try {
+      return await this.getTransport().send({
+        from: process.env.MAIL_FROM || 'Sales Dashboard <no-reply@localhost>',
+        ...message
+      });
+    } catch (error) {
+      console.error('Error sending mail:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MailService();
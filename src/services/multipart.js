@@ -0,0 +1,122 @@
+/**
+ * Parse the headers of a part into a lower-cased name/value map
+ */
+const parseHeaders = (text) => text.split('\r\n').reduce((headers, line) => {
+  const separator = line.indexOf(':');
+  if (separator > 0) {
+    headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+  }
+  return headers;
+}, {});
+
+/**
+ * Read a parameter of a Content-Disposition header. `filename*` (RFC 5987)
+ * wins over `filename` when both are sent.
+ */
+const getDispositionParam = (disposition, name) => {
+  const extended = new RegExp(`${name}\\*=(?:UTF-8|utf-8)''([^;]+)`).exec(disposition);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1]);
+    } catch (error) {
+      // Fall back to the plain parameter
+    }
+  }
+
+  const match = new RegExp(`(?:^|;)\\s*${name}=(?:"((?:[^"\\\\]|\\\\.)*)"|([^;]*))`).exec(disposition);
+  if (!match) return null;
+  return match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim();
+};
+
+/**
+ * Parser for multipart/form-data request bodies (file uploads), buffered in
+ * memory by express.raw() so the size limit applies before parsing
+ */
+class MultipartService {
+  /**
+   * Whether a request carries a multipart/form-data body
+   */
+  isMultipart(contentType) {
+    return /^multipart\/form-data/i.test(contentType || '');
+  }
+
+  /**
+   * Boundary of a multipart/form-data Content-Type header, or null
+   */
+  getBoundary(contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    return match ? (match[1] || match[2]).trim() : null;
+  }
+
+  /**
+   * Parse a buffered multipart/form-data body
+   * @param {Buffer} body - Raw request body
+   * @param {String} contentType - Content-Type header of the request
+   * @returns {Object} { fields: { name: value }, files: [{ fieldName, filename, contentType, data }] }
+   * @throws {Error} When the body is not well-formed multipart/form-data
+   */
+  parse(body, contentType) {
+    const boundary = this.getBoundary(contentType);
+    if (!boundary) {
+      throw new Error('Missing multipart boundary');
+    }
+    if (!Buffer.isBuffer(body)) {
+      throw new Error('Expected a multipart/form-data body');
+    }
+
+    const delimiter = Buffer.from(`--${boundary}`);
+    const nextDelimiter = Buffer.from(`\r\n--${boundary}`);
+    const fields = {};
+    const files = [];
+
+    let position = body.indexOf(delimiter);
+    if (position === -1) {
+      throw new Error('Malformed multipart body');
+    }
+
+    for (;;) {
+      position += delimiter.length;
+
+      // '--' after a delimiter closes the body
+      if (body.slice(position, position + 2).toString() === '--') break;
+      position += 2;
+
+      const headersEnd = body.indexOf('\r\n\r\n', position);
+      if (headersEnd === -1) {
+        throw new Error('Malformed multipart body');
+      }
+
+      const headers = parseHeaders(body.slice(position, headersEnd).toString('utf8'));
+      const contentStart = headersEnd + 4;
+      const contentEnd = body.indexOf(nextDelimiter, contentStart);
+      if (contentEnd === -1) {
+        throw new Error('Malformed multipart body');
+      }
+
+      const disposition = headers['content-disposition'] || '';
+      const name = getDispositionParam(disposition, 'name');
+      const filename = getDispositionParam(disposition, 'filename');
+      const data = body.slice(contentStart, contentEnd);
+
+      if (filename !== null) {
+        // Browsers send an empty part for a file input left empty
+        if (filename !== '' || data.length > 0) {
+          files.push({
+            fieldName: name,
+            filename,
+            contentType: headers['content-type'] || 'application/octet-stream',
+            data
+          });
+        }
+      } else if (name) {
+        fields[name] = data.toString('utf8');
+      }
+
+      position = contentEnd + 2;
+    }
+
+    return { fields, files };
+  }
+}
+
+module.exports = new MultipartService();
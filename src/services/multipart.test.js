@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+import multipartService from './multipart';
+
+const BOUNDARY = '----boundary123';
+const CONTENT_TYPE = `multipart/form-data; boundary=${BOUNDARY}`;
+
+// Build a multipart body from [headers, content] parts
+const buildBody = (parts) => Buffer.concat([
+  ...parts.flatMap(([headers, content]) => [
+    Buffer.from(`--${BOUNDARY}\r\n${headers.join('\r\n')}\r\n\r\n`),
+    Buffer.isBuffer(content) ? content : Buffer.from(content),
+    Buffer.from('\r\n')
+  ]),
+  Buffer.from(`--${BOUNDARY}--\r\n`)
+]);
+
+describe('multipartService.parse', () => {
+  it('reads fields and files', () => {
+    const fileData = Buffer.from([0x25, 0x50, 0x44, 0x46, 0x0d, 0x0a, 0x00, 0xff]);
+    const body = buildBody([
+      [['Content-Disposition: form-data; name="entityType"'], 'client_relevamiento'],
+      [['Content-Disposition: form-data; name="file"; filename="report.pdf"', 'Content-Type: application/pdf'], fileData]
+    ]);
+
+    const { fields, files } = multipartService.parse(body, CONTENT_TYPE);
+
+    expect(fields).toEqual({ entityType: 'client_relevamiento' });
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatchObject({ fieldName: 'file', filename: 'report.pdf', contentType: 'application/pdf' });
+    expect(files[0].data.equals(fileData)).toBe(true);
+  });
+
+  it('prefers filename* and unescapes quoted filenames', () => {
+    const body = buildBody([
+      [['Content-Disposition: form-data; name="a"; filename="fallback.txt"; filename*=UTF-8\'\'informe%20a%C3%B1o.txt'], 'x'],
+      [['Content-Disposition: form-data; name="b"; filename="say \\"hi\\".txt"'], 'y']
+    ]);
+
+    const { files } = multipartService.parse(body, CONTENT_TYPE);
+
+    expect(files.map(file => file.filename)).toEqual(['informe año.txt', 'say "hi".txt']);
+    expect(files[0].contentType).toBe('application/octet-stream');
+  });
+
+  it('skips empty file inputs', () => {
+    const body = buildBody([
+      [['Content-Disposition: form-data; name="file"; filename=""', 'Content-Type: application/octet-stream'], '']
+    ]);
+
+    expect(multipartService.parse(body, CONTENT_TYPE).files).toEqual([]);
+  });
+
+  it('reads quoted boundaries', () => {
+    const body = buildBody([[['Content-Disposition: form-data; name="note"'], 'hello']]);
+
+    expect(multipartService.parse(body, `multipart/form-data; boundary="${BOUNDARY}"`).fields).toEqual({ note: 'hello' });
+  });
+
+  it('rejects bodies without a boundary or with a truncated part', () => {
+    const body = buildBody([[['Content-Disposition: form-data; name="note"'], 'hello']]);
+
+    expect(() => multipartService.parse(body, 'multipart/form-data')).toThrow('Missing multipart boundary');
+    expect(() => multipartService.parse(Buffer.from('no parts here'), CONTENT_TYPE)).toThrow('Malformed multipart body');
+    expect(() => multipartService.parse(body.slice(0, body.length - 30), CONTENT_TYPE)).toThrow('Malformed multipart body');
+    expect(() => multipartService.parse('text', CONTENT_TYPE)).toThrow('Expected a multipart/form-data body');
+  });
+});
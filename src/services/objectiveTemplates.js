@@ -0,0 +1,119 @@
+const db = require('../models');
+
+const { QuantitativeObjective, SalespersonQuantitativeObjective } = db;
+
+// Objective type of each template type
+const OBJECTIVE_TYPES = {
+  moneda: 'currency',
+  cantidad: 'number'
+};
+
+/**
+ * Objective template service: creates the objectives of a period, with their
+ * salesperson assignments, from a QuantitativeObjectiveTemplate
+ */
+class ObjectiveTemplateService {
+  /**
+   * Objective type of a template type
+   */
+  getObjectiveType(templateType) {
+    return OBJECTIVE_TYPES[templateType] || 'number';
+  }
+
+  /**
+   * Build the objective a template creates for a period. Yearly values are
+   * prorated when the period is shorter than a year and raised by the uplift;
+   * template weights (0-100) become objective weights (0-1).
+   * @param {Object} template - QuantitativeObjectiveTemplate
+   * @param {Object} period - Period from the period service
+   * @param {Object} [overrides] - name, description or isGlobal of the new objective,
+   *   and the uplift (percentage) of its targets
+   * @returns {Object} QuantitativeObjective attributes
+   */
+  buildObjective(template, period, { name, description, isGlobal = false, uplift = 0 } = {}) {
+    const share = (period.months.length / 12) * (1 + uplift / 100);
+
+    return {
+      name: name || `${template.name} ${period.label}`,
+      description: description !== undefined ? description : template.description,
+      type: this.getObjectiveType(template.type),
+      companyTarget: template.annual * share,
+      minimumAcceptable: template.minimum * share,
+      weight: template.weight / 100,
+      startDate: period.startDate,
+      endDate: period.endDate,
+      status: 'pending',
+      isGlobal,
+      templateId: template.id
+    };
+  }
+
+  /**
+   * The objective a template already created for a period, if any
+   * @returns {Promise<Object|null>} QuantitativeObjective
+   */
+  findInstance(template, period, { transaction } = {}) {
+    return QuantitativeObjective.findOne({
+      where: { templateId: template.id, startDate: period.startDate, endDate: period.endDate },
+      transaction
+    });
+  }
+
+  /**
+   * Create the objective of a period from a template and assign it
+   * @param {Object} template - QuantitativeObjectiveTemplate
+   * @param {Object} period - Period from the period service
+   * @param {Object} options
+   * @param {Array<Object>} options.salespersons - Salespersons to assign
+   * @param {Object} [options.targets] - Individual targets by salesperson ID; the
+   *   company target left by them is split evenly between the other salespersons
+   * @param {String} [options.name] - Objective name, `<template> <period>` by default
+   * @param {String} [options.description] - Objective description, the template's by default
+   * @param {Boolean} [options.isGlobal=false] - Mark the objective as global
+   * @param {Number} [options.uplift=0] - Percentage added to the template's targets
+   * @param {String} [options.rolledOverFromId] - Objective of the previous period this one replaces
+   * @param {Object} [options.transaction] - Sequelize transaction; one is opened otherwise
+   * @returns {Promise<Object>} The objective with its assignments
+   */
+  async instantiate(template, period, options) {
+    if (!options.transaction) {
+      return db.sequelize.transaction(transaction => this.instantiate(template, period, { ...options, transaction }));
+    }
+
+    const { salespersons, targets = {}, name, description, isGlobal, uplift, rolledOverFromId, transaction } = options;
+
+    const objective = await QuantitativeObjective.create(
+      { ...this.buildObjective(template, period, { name, description, isGlobal, uplift }), rolledOverFromId },
+      { transaction }
+    );
+
+    // Salespersons without an explicit target share what the explicit ones leave
+    const explicit = salespersons.filter(salesperson => targets[salesperson.id] !== undefined && targets[salesperson.id] !== null);
+    const explicitTotal = explicit.reduce((sum, salesperson) => sum + Number(targets[salesperson.id]), 0);
+    const remaining = salespersons.length - explicit.length;
+    const evenTarget = remaining > 0 ? Math.max(objective.companyTarget - explicitTotal, 0) / remaining : 0;
+
+    const assignments = [];
+    for (const salesperson of salespersons) {
+      const target = targets[salesperson.id];
+      assignments.push(await SalespersonQuantitativeObjective.create({
+        salespersonId: salesperson.id,
+        quantitativeObjectiveId: objective.id,
+        individualTarget: target !== undefined && target !== null ? Number(target) : evenTarget,
+        monthlyProgress: {},
+        currentValue: 0,
+        status: 'pending'
+      }, { transaction }));
+    }
+
+    return {
+      ...objective.toJSON(),
+      assignments: assignments.map(assignment => ({
+        ...assignment.toJSON(),
+        salesperson: salespersons.find(salesperson => salesperson.id === assignment.salespersonId)
+      }))
+    };
+  }
+}
+
+module.exports = new ObjectiveTemplateService();
@@ -0,0 +1,189 @@
+const { Op } = require('sequelize');
+const { Salesperson, QuantitativeObjective, SalespersonQuantitativeObjective } = require('../models');
+const periodService = require('./periods');
+
+/**
+ * Objective service for building per-person objective views
+ */
+class ObjectiveService {
+  /**
+   * Year-to-date value and status of an assignment from its monthly progress.
+   * An assignment is completed once it reaches its individual target, and not
+   * completed when the objective has ended below its minimum acceptable value.
+   * @param {Object} monthlyProgress - Values keyed by month ('01'-'12')
+   * @param {Number} individualTarget - Target of the assignment
+   * @param {Object} [objective] - QuantitativeObjective with minimumAcceptable and endDate
+   * @returns {Object} { currentValue, status }
+   */
+  computeProgress(monthlyProgress, individualTarget, objective) {
+    const currentValue = Object.values(monthlyProgress || {}).reduce(
+      (sum, val) => sum + parseFloat(val || 0), 0
+    );
+
+    let status = 'pending';
+
+    if (currentValue > 0) {
+      status = 'in_progress';
+
+      if (currentValue >= individualTarget) {
+        status = 'completed';
+      } else if (
+        objective &&
+        objective.minimumAcceptable !== null &&
+        new Date() > new Date(objective.endDate) &&
+        currentValue < objective.minimumAcceptable
+      ) {
+        status = 'not_completed';
+      }
+    }
+
+    return { currentValue, status };
+  }
+
+  /**
+   * Progress of an assignment within a period. Amounts and counts add up over
+   * the period's months against the target prorated to the months of the
+   * objective inside the period; percentages are averaged against the full target.
+   * @param {Object} assignment - Values with monthlyProgress and individualTarget
+   * @param {Object} objective - QuantitativeObjective with type, startDate and endDate
+   * @param {Object} period - Period from the period service
+   * @returns {Object} { value, target }
+   */
+  getPeriodProgress(assignment, objective, period) {
+    const values = Object.entries(assignment.monthlyProgress || {})
+      .filter(([monthNumber]) => period.months.includes(periodService.progressMonth(objective, monthNumber)))
+      .map(([, value]) => parseFloat(value))
+      .filter(value => !isNaN(value));
+
+    const sum = values.reduce((total, value) => total + value, 0);
+
+    if (objective.type === 'percentage') {
+      return {
+        value: values.length > 0 ? sum / values.length : 0,
+        target: assignment.individualTarget || 0
+      };
+    }
+
+    return {
+      value: sum,
+      target: (assignment.individualTarget || 0) * periodService.overlapShare(objective, period)
+    };
+  }
+
+  /**
+   * Add the progress within a period to a processed objective
+   */
+  withPeriodProgress(processed, period) {
+    const { value, target } = this.getPeriodProgress(processed, processed.objective, period);
+    return {
+      ...processed,
+      periodValue: value,
+      periodTarget: target,
+      periodCompletionPercentage: target > 0 ? (value / target) * 100 : 0
+    };
+  }
+
+  /**
+   * Get the quantitative objectives of a salesperson: explicit assignments with
+   * their progress, plus unassigned global objectives with a suggested target
+   * @param {String} salespersonId - Salesperson ID
+   * @param {Object} [options]
+   * @param {Object} [options.period] - Only objectives running in this period, with their progress in it
+   * @returns {Promise<Array>} Objectives with completion data
+   */
+  async getSalespersonObjectives(salespersonId, { period } = {}) {
+    // Fetch the salesperson's explicitly assigned quantitative objectives with details
+    const assignedObjectives = await SalespersonQuantitativeObjective.findAll({
+      where: { salespersonId },
+      include: [
+        {
+          model: QuantitativeObjective,
+          as: 'quantitativeObjective',
+          attributes: ['id', 'name', 'description', 'type', 'companyTarget', 'minimumAcceptable', 'weight', 'isGlobal', 'startDate', 'endDate', 'closedAt']
+        }
+      ]
+    });
+    
+    // Fetch global objectives that aren't already assigned to this salesperson
+    const assignedObjectiveIds = assignedObjectives.map(obj => obj.quantitativeObjectiveId);
+    
+    const globalObjectives = await QuantitativeObjective.findAll({
+      where: {
+        isGlobal: true,
+        closedAt: null,
+        id: {
+          [Op.notIn]: assignedObjectiveIds
+        }
+      }
+    });
+    
+    // Process the assigned objectives data
+    const processedAssignedObjectives = assignedObjectives.map(obj => {
+      const data = obj.toJSON();
+    
+      // Calculate completion percentage
+      let completionPercentage = 0;
+      if (data.individualTarget > 0) {
+        completionPercentage = (data.currentValue / data.individualTarget) * 100;
+      }
+    
+      return {
+        id: data.id,
+        objective: data.quantitativeObjective,
+        individualTarget: data.individualTarget,
+        currentValue: data.currentValue,
+        completionPercentage,
+        monthlyProgress: data.monthlyProgress,
+        status: data.status
+      };
+    });
+    
+    // Get count of active salespersons for calculating suggested targets
+    const activeSalespersonsCount = await Salesperson.count({
+      where: { estado: 'active' }
+    });
+    
+    // For unassigned global objectives, create similar structure with suggested target
+    const processedGlobalObjectives = globalObjectives.map(obj => {
+      // For global objectives, calculate suggested individual target as equal portion
+      const data = obj.toJSON();
+      const suggestedTarget = activeSalespersonsCount > 0 ? Math.round((data.companyTarget / activeSalespersonsCount) * 100) / 100 : 0;
+    
+      return {
+        id: null, // No assignment ID yet since it's not assigned
+        objective: {
+          id: data.id,
+          name: data.name,
+          description: data.description,
+          type: data.type,
+          companyTarget: data.companyTarget,
+          minimumAcceptable: data.minimumAcceptable,
+          weight: data.weight,
+          isGlobal: true,
+          startDate: data.startDate,
+          endDate: data.endDate,
+          closedAt: data.closedAt
+        },
+        individualTarget: suggestedTarget, // Suggested target based on equal distribution
+        currentValue: 0,
+        completionPercentage: 0,
+        monthlyProgress: {},
+        status: 'pending',
+        needsAssignment: true // Flag to indicate this needs to be assigned
+      };
+    });
+    
+    // Combine both arrays
+    const objectives = [...processedAssignedObjectives, ...processedGlobalObjectives];
+    
+    if (!period) {
+      return objectives;
+    }
+    
+    return objectives
+      .filter(obj => obj.objective && periodService.overlapShare(obj.objective, period) > 0)
+      .map(obj => this.withPeriodProgress(obj, period));
+  }
+}
+
+module.exports = new ObjectiveService();
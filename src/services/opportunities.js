@@ -0,0 +1,207 @@
+const { Client, ClientService, Service } = require('../models');
+
+// Clients that must have both services before a rule between them counts
+const MIN_SUPPORT = 2;
+
+// Opportunities less likely than this are not reported
+const MIN_LIKELIHOOD = 0.2;
+
+// Opportunities reported per client, at most
+const MAX_PER_CLIENT = 5;
+
+// Services listed as the reason of an opportunity, at most
+const MAX_BASED_ON = 3;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Opportunity service: cross-sell (white-space) opportunities mined from the
+ * tenant's client-service assignments with association rules.
+ *
+ * A rule "clients with A also have B" has a confidence (the share of A's
+ * clients that also have B) and a lift (how much more likely B is with A than
+ * across all clients). A client lacking B is offered B with the best
+ * confidence among the rules from the services it has, when the rule lifts
+ * B's odds; clients without services are offered the most common ones.
+ * Opportunities are the work of the client's salesperson.
+ */
+class OpportunityService {
+  /**
+   * Learn the association rules of the current tenant from every assignment
+   * of its clients and services
+   * @returns {Promise<Object>} { services, clientServices, serviceCounts, pairCounts, total }
+   */
+  async learn() {
+    const [services, assignments, total] = await Promise.all([
+      Service.findAll({ attributes: ['id', 'nombre', 'categoria'], raw: true }),
+      // Deleted clients are left out by the required include
+      ClientService.findAll({
+        attributes: ['clientId', 'servicioId'],
+        include: [{ model: Client, as: 'cliente', attributes: [], required: true }],
+        raw: true
+      }),
+      Client.count()
+    ]);
+
+    const servicesById = new Map(services.map(service => [service.id, service]));
+    const clientServices = new Map();
+    assignments
+      .filter(assignment => servicesById.has(assignment.servicioId))
+      .forEach(assignment => {
+        if (!clientServices.has(assignment.clientId)) clientServices.set(assignment.clientId, new Set());
+        clientServices.get(assignment.clientId).add(assignment.servicioId);
+      });
+
+    // Clients per service, and per ordered pair of services
+    const serviceCounts = new Map();
+    const pairCounts = new Map();
+    clientServices.forEach(owned => {
+      owned.forEach(a => {
+        serviceCounts.set(a, (serviceCounts.get(a) || 0) + 1);
+        if (!pairCounts.has(a)) pairCounts.set(a, new Map());
+        const pairs = pairCounts.get(a);
+        owned.forEach(b => {
+          if (a !== b) pairs.set(b, (pairs.get(b) || 0) + 1);
+        });
+      });
+    });
+
+    return { services: servicesById, clientServices, serviceCounts, pairCounts, total };
+  }
+
+  /**
+   * Opportunities of one client, most likely first
+   * @param {Object} model - Rules from learn()
+   * @param {String} clientId - Client
+   * @returns {Array<Object>} { servicioId, nombre, categoria, likelihood, lift, basedOn, newCategory }
+   */
+  recommend(model, clientId) {
+    const { services, clientServices, serviceCounts, pairCounts, total } = model;
+    if (total === 0) return [];
+
+    const owned = clientServices.get(clientId) || new Set();
+    const ownedCategories = new Set([...owned].map(id => services.get(id).categoria).filter(Boolean));
+    const opportunities = [];
+
+    services.forEach(service => {
+      if (owned.has(service.id)) return;
+
+      const baseRate = (serviceCounts.get(service.id) || 0) / total;
+      let likelihood;
+      let basedOn = [];
+
+      if (owned.size === 0) {
+        // Nothing to compare with: how common the service is
+        likelihood = baseRate;
+      } else {
+        const rules = [...owned]
+          .map(a => {
+            const together = pairCounts.get(a)?.get(service.id) || 0;
+            return { servicioId: a, together, confidence: together / serviceCounts.get(a) };
+          })
+          .filter(rule => rule.together >= MIN_SUPPORT)
+          .sort((a, b) => b.confidence - a.confidence);
+
+        if (rules.length === 0) return;
+        likelihood = rules[0].confidence;
+        basedOn = rules.slice(0, MAX_BASED_ON).map(rule => ({
+          servicioId: rule.servicioId,
+          nombre: services.get(rule.servicioId).nombre
+        }));
+      }
+
+      const lift = baseRate > 0 ? likelihood / baseRate : 0;
+      if (likelihood < MIN_LIKELIHOOD || (owned.size > 0 && lift <= 1)) return;
+
+      opportunities.push({
+        servicioId: service.id,
+        nombre: service.nombre,
+        categoria: service.categoria,
+        likelihood: round(likelihood),
+        lift: round(lift),
+        basedOn,
+        newCategory: Boolean(service.categoria) && !ownedCategories.has(service.categoria)
+      });
+    });
+
+    return opportunities
+      .sort((a, b) => b.likelihood - a.likelihood || b.lift - a.lift)
+      .slice(0, MAX_PER_CLIENT);
+  }
+
+  /**
+   * Opportunities of some clients
+   * @param {Array<Object>} clients - Clients (id, nombre, vendedorId)
+   * @returns {Promise<Array<Object>>} Per client: { clientId, nombre, vendedorId,
+   *   opportunities, categories } where categories are the categories the client
+   *   has no service of, with their best likelihood
+   */
+  async getForClients(clients) {
+    const model = await this.learn();
+
+    return clients.map(client => {
+      const opportunities = this.recommend(model, client.id);
+      const categories = {};
+      opportunities
+        .filter(opportunity => opportunity.newCategory)
+        .forEach(opportunity => {
+          categories[opportunity.categoria] = Math.max(categories[opportunity.categoria] || 0, opportunity.likelihood);
+        });
+
+      return {
+        clientId: client.id,
+        nombre: client.nombre,
+        vendedorId: client.vendedorId,
+        opportunities,
+        categories: Object.entries(categories)
+          .map(([categoria, likelihood]) => ({ categoria, likelihood }))
+          .sort((a, b) => b.likelihood - a.likelihood)
+      };
+    });
+  }
+
+  /**
+   * Opportunities by salesperson: each salesperson's clients' opportunities,
+   * most likely first, and the expected number of services they could sell
+   * (the sum of the likelihoods)
+   * @param {Array<Object>} clients - Clients (id, nombre, vendedorId, vendedor)
+   * @returns {Promise<Array<Object>>} { vendedorId, vendedor, clientCount,
+   *   opportunityCount, expectedServices, opportunities }, unassigned clients last
+   */
+  async getReport(clients) {
+    const results = await this.getForClients(clients);
+    const rows = new Map();
+
+    clients.forEach((client, index) => {
+      const key = client.vendedorId || null;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          vendedorId: key,
+          vendedor: client.vendedor ? { id: client.vendedor.id, nombre: client.vendedor.nombre } : null,
+          clientCount: 0,
+          opportunityCount: 0,
+          expectedServices: 0,
+          opportunities: []
+        });
+      }
+
+      const row = rows.get(key);
+      row.clientCount += 1;
+      results[index].opportunities.forEach(opportunity => {
+        row.opportunityCount += 1;
+        row.expectedServices += opportunity.likelihood;
+        row.opportunities.push({ clientId: client.id, clientNombre: client.nombre, ...opportunity });
+      });
+    });
+
+    return [...rows.values()]
+      .map(row => ({
+        ...row,
+        expectedServices: round(row.expectedServices),
+        opportunities: row.opportunities.sort((a, b) => b.likelihood - a.likelihood)
+      }))
+      .sort((a, b) => (a.vendedorId === null) - (b.vendedorId === null) || b.expectedServices - a.expectedServices);
+  }
+}
+
+module.exports = new OpportunityService();
@@ -0,0 +1,85 @@
+const { Op } = require('sequelize');
+const { PeriodLock } = require('../models');
+const tenantContext = require('./tenantContext');
+
+/**
+ * Period lock service: managers close calendar months so their monthly
+ * progress can no longer change; only admins reopen them, with a reason.
+ * Reopened locks are kept as the history of the month.
+ */
+class PeriodLockService {
+  /**
+   * Who is acting in the current request
+   */
+  getActor() {
+    const context = tenantContext.get() || {};
+    return context.email || context.userId || null;
+  }
+
+  /**
+   * The lock in force for a month, if any
+   * @param {String} month - 'YYYY-MM'
+   * @returns {Promise<Object|null>} PeriodLock
+   */
+  findLock(month, { transaction } = {}) {
+    return PeriodLock.findOne({
+      where: { month, reopenedAt: null },
+      transaction
+    });
+  }
+
+  /**
+   * Months currently closed
+   * @returns {Promise<Set<String>>} 'YYYY-MM' keys
+   */
+  async getLockedMonths({ transaction } = {}) {
+    const locks = await PeriodLock.findAll({
+      where: { reopenedAt: null },
+      attributes: ['month'],
+      transaction
+    });
+    return new Set(locks.map(lock => lock.month));
+  }
+
+  /**
+   * Locks and reopenings, newest first
+   * @param {Object} [options]
+   * @param {String} [options.year] - Only months of this calendar year
+   * @returns {Promise<Array>} PeriodLock records
+   */
+  list({ year } = {}) {
+    return PeriodLock.findAll({
+      where: year ? { month: { [Op.like]: `${year}-%` } } : {},
+      order: [['month', 'DESC'], ['closedAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Close a month
+   * @param {String} month - 'YYYY-MM'
+   * @returns {Promise<Object>} The new PeriodLock
+   */
+  close(month) {
+    return PeriodLock.create({
+      month,
+      closedAt: new Date(),
+      closedBy: this.getActor()
+    });
+  }
+
+  /**
+   * Reopen a closed month, recording who did it and why
+   * @param {Object} lock - PeriodLock in force
+   * @param {String} reason - Why the month is reopened
+   * @returns {Promise<Object>} The updated PeriodLock
+   */
+  reopen(lock, reason) {
+    return lock.update({
+      reopenedAt: new Date(),
+      reopenedBy: this.getActor(),
+      reopenReason: reason
+    });
+  }
+}
+
+module.exports = new PeriodLockService();
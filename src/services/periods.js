@@ -0,0 +1,230 @@
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Length in months of each period type
+const PERIOD_LENGTHS = {
+  month: 1,
+  quarter: 3,
+  half: 6,
+  year: 12
+};
+
+// Period used when a request does not ask for one
+const DEFAULT_PERIOD = 'year';
+
+/**
+ * Period service: calendar months, fiscal quarters, halves and years.
+ *
+ * Periods are requested as `month`, `quarter`, `half` or `year` (the one
+ * containing today), a month `YYYY-MM`, a fiscal year `FY2026`, or a part of
+ * it: `FY2026-Q1`..`FY2026-Q4`, `FY2026-H1`, `FY2026-H2`. A fiscal year is
+ * named after the calendar year it ends in, so with a July start FY2026 runs
+ * from July 2025 to June 2026. The start month is `Tenant.settings.fiscalYearStartMonth`.
+ */
+class PeriodService {
+  /**
+   * Build a 'YYYY-MM' key
+   */
+  toMonthKey(year, month) {
+    return `${year}-${String(month).padStart(2, '0')}`;
+  }
+
+  /**
+   * Move a 'YYYY-MM' key by a number of months
+   */
+  shiftMonth(monthKey, offset) {
+    const [year, month] = monthKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1 + offset, 1));
+    return this.toMonthKey(date.getUTCFullYear(), date.getUTCMonth() + 1);
+  }
+
+  /**
+   * Months from one 'YYYY-MM' key to another, both included
+   */
+  monthRange(firstMonth, lastMonth) {
+    const months = [];
+    for (let month = firstMonth; month <= lastMonth; month = this.shiftMonth(month, 1)) {
+      months.push(month);
+    }
+    return months;
+  }
+
+  /**
+   * Whether a value is a valid fiscal year start month (1-12)
+   */
+  isValidStartMonth(value) {
+    return Number.isInteger(value) && value >= 1 && value <= 12;
+  }
+
+  /**
+   * First month of a tenant's fiscal year, January by default
+   * @param {Object} tenant - Tenant (uses settings.fiscalYearStartMonth)
+   */
+  getFiscalYearStartMonth(tenant) {
+    const startMonth = tenant && tenant.settings && tenant.settings.fiscalYearStartMonth;
+    return this.isValidStartMonth(startMonth) ? startMonth : 1;
+  }
+
+  /**
+   * Fiscal year a month belongs to, named after the calendar year it ends in
+   */
+  fiscalYearOf(monthKey, startMonth) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return startMonth > 1 && month >= startMonth ? year + 1 : year;
+  }
+
+  /**
+   * First month of a fiscal year
+   */
+  fiscalYearStart(fiscalYear, startMonth) {
+    return this.toMonthKey(startMonth > 1 ? fiscalYear - 1 : fiscalYear, startMonth);
+  }
+
+  /**
+   * Build the period of a type that contains a month
+   * @param {String} type - month, quarter, half or year
+   * @param {String} monthKey - 'YYYY-MM'
+   * @param {Number} startMonth - Fiscal year start month
+   * @returns {Object} { type, key, label, months, startDate, endDate, fiscalYearStartMonth }
+   */
+  containing(type, monthKey, startMonth) {
+    const length = PERIOD_LENGTHS[type];
+    let firstMonth = monthKey;
+    let key = monthKey;
+    let label = `${MONTH_NAMES[parseInt(monthKey.slice(5), 10) - 1]} ${monthKey.slice(0, 4)}`;
+
+    if (type !== 'month') {
+      const fiscalYear = this.fiscalYearOf(monthKey, startMonth);
+      const yearStart = this.fiscalYearStart(fiscalYear, startMonth);
+      const offset = this.monthRange(yearStart, monthKey).length - 1;
+      const index = Math.floor(offset / length);
+
+      firstMonth = this.shiftMonth(yearStart, index * length);
+      key = `FY${fiscalYear}`;
+      if (type === 'quarter') key += `-Q${index + 1}`;
+      if (type === 'half') key += `-H${index + 1}`;
+      label = key.replace('-', ' ');
+    }
+
+    const lastMonth = this.shiftMonth(firstMonth, length - 1);
+    const [lastYear, lastMonthNumber] = lastMonth.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(lastYear, lastMonthNumber, 0)).getUTCDate();
+
+    return {
+      type,
+      key,
+      label,
+      months: this.monthRange(firstMonth, lastMonth),
+      startDate: `${firstMonth}-01`,
+      endDate: `${lastMonth}-${String(lastDay).padStart(2, '0')}`,
+      fiscalYearStartMonth: startMonth
+    };
+  }
+
+  /**
+   * Parse a requested period
+   * @param {String} [value] - Period as described on the class; defaults to the current fiscal year
+   * @param {Object} options
+   * @param {Number} [options.fiscalYearStartMonth=1] - Fiscal year start month
+   * @param {Date} [options.now] - Reference date for the current period
+   * @returns {Object|null} Period, or null when the value is not a valid period
+   */
+  parse(value, { fiscalYearStartMonth = 1, now = new Date() } = {}) {
+    const period = value || DEFAULT_PERIOD;
+    const currentMonth = this.toMonthKey(now.getFullYear(), now.getMonth() + 1);
+
+    if (PERIOD_LENGTHS[period]) {
+      return this.containing(period, currentMonth, fiscalYearStartMonth);
+    }
+
+    if (/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+      return this.containing('month', period, fiscalYearStartMonth);
+    }
+
+    const match = /^FY(\d{4})(?:-(Q[1-4]|H[12]))?$/.exec(period);
+    if (!match) return null;
+
+    const fiscalYear = parseInt(match[1], 10);
+    const part = match[2];
+    const type = !part ? 'year' : part[0] === 'Q' ? 'quarter' : 'half';
+    const index = part ? parseInt(part.slice(1), 10) - 1 : 0;
+    const firstMonth = this.shiftMonth(this.fiscalYearStart(fiscalYear, fiscalYearStartMonth), index * PERIOD_LENGTHS[type]);
+
+    return this.containing(type, firstMonth, fiscalYearStartMonth);
+  }
+
+  /**
+   * Parse a requested period using the tenant's fiscal year
+   * @returns {Object|null} Period, or null when the value is not a valid period
+   */
+  parseForTenant(value, tenant) {
+    return this.parse(value, { fiscalYearStartMonth: this.getFiscalYearStartMonth(tenant) });
+  }
+
+  /**
+   * The period of the same type a number of periods before or after
+   */
+  shift(period, count) {
+    return this.containing(period.type, this.shiftMonth(period.months[0], count * period.months.length), period.fiscalYearStartMonth);
+  }
+
+  /**
+   * The same period one year earlier
+   */
+  yearAgo(period) {
+    return this.containing(period.type, this.shiftMonth(period.months[0], -12), period.fiscalYearStartMonth);
+  }
+
+  /**
+   * Describe a period for API responses, with the keys of its neighbours
+   */
+  toJSON(period) {
+    return {
+      type: period.type,
+      key: period.key,
+      label: period.label,
+      startDate: period.startDate,
+      endDate: period.endDate,
+      fiscalYearStartMonth: period.fiscalYearStartMonth,
+      previous: this.shift(period, -1).key,
+      next: this.shift(period, 1).key
+    };
+  }
+
+  /**
+   * Resolve the calendar month of a monthlyProgress key. Keys only hold the
+   * month ('01'-'12'); the year comes from the objective's dates, so an
+   * objective running from July to June puts January-June in its second year.
+   * @param {Object} objective - QuantitativeObjective with startDate and endDate
+   * @param {String} monthNumber - monthlyProgress key
+   * @returns {String|null} 'YYYY-MM', or null for malformed keys
+   */
+  progressMonth(objective, monthNumber) {
+    const month = parseInt(monthNumber, 10);
+    if (!(month >= 1 && month <= 12)) return null;
+
+    const [startYear, startMonth] = String(objective.startDate).split('-').map(Number);
+    const [endYear] = String(objective.endDate).split('-').map(Number);
+
+    const year = month < startMonth && endYear > startYear ? startYear + 1 : startYear;
+    return this.toMonthKey(year, month);
+  }
+
+  /**
+   * Share of an objective's run that falls inside a period (0-1), used to
+   * prorate annual targets
+   * @param {Object} objective - QuantitativeObjective with startDate and endDate
+   * @param {Object} period - Period
+   */
+  overlapShare(objective, period) {
+    const objectiveMonths = this.monthRange(String(objective.startDate).slice(0, 7), String(objective.endDate).slice(0, 7));
+    if (objectiveMonths.length === 0) return 0;
+
+    const inPeriod = objectiveMonths.filter(month => period.months.includes(month)).length;
+    return inPeriod / objectiveMonths.length;
+  }
+}
+
+module.exports = new PeriodService();
@@ -0,0 +1,86 @@
+/**
+ * @jest-environment node
+ */
+import periodService from './periods';
+
+describe('periodService', () => {
+  const now = new Date(2026, 2, 15); // March 2026
+
+  describe('parse', () => {
+    it('names fiscal years after the calendar year they end in', () => {
+      const period = periodService.parse('FY2026', { fiscalYearStartMonth: 7 });
+
+      expect(period.startDate).toBe('2025-07-01');
+      expect(period.endDate).toBe('2026-06-30');
+      expect(period.months).toHaveLength(12);
+    });
+
+    it('parses quarters and halves of a fiscal year', () => {
+      const quarter = periodService.parse('FY2026-Q3', { fiscalYearStartMonth: 7 });
+      const half = periodService.parse('FY2026-H2', { fiscalYearStartMonth: 7 });
+
+      expect(quarter.months).toEqual(['2026-01', '2026-02', '2026-03']);
+      expect(quarter.label).toBe('FY2026 Q3');
+      expect(half.startDate).toBe('2026-01-01');
+      expect(half.endDate).toBe('2026-06-30');
+    });
+
+    it('uses calendar years when the fiscal year starts in January', () => {
+      const period = periodService.parse('FY2026');
+
+      expect(period.startDate).toBe('2026-01-01');
+      expect(period.endDate).toBe('2026-12-31');
+    });
+
+    it('resolves the current period and months', () => {
+      expect(periodService.parse(undefined, { fiscalYearStartMonth: 7, now }).key).toBe('FY2026');
+      expect(periodService.parse('quarter', { fiscalYearStartMonth: 7, now }).key).toBe('FY2026-Q3');
+      expect(periodService.parse('2024-02', { now }).endDate).toBe('2024-02-29');
+    });
+
+    it('rejects unknown periods', () => {
+      expect(periodService.parse('FY26')).toBeNull();
+      expect(periodService.parse('FY2026-Q5')).toBeNull();
+      expect(periodService.parse('2026-13')).toBeNull();
+    });
+  });
+
+  it('moves periods across fiscal year boundaries', () => {
+    const period = periodService.parse('FY2026-Q1', { fiscalYearStartMonth: 7 });
+
+    expect(periodService.shift(period, -1).key).toBe('FY2025-Q4');
+    expect(periodService.yearAgo(period).key).toBe('FY2025-Q1');
+  });
+
+  describe('progressMonth', () => {
+    const objective = { startDate: '2025-07-01', endDate: '2026-06-30' };
+
+    it('puts months before the start month in the second year', () => {
+      expect(periodService.progressMonth(objective, '09')).toBe('2025-09');
+      expect(periodService.progressMonth(objective, '03')).toBe('2026-03');
+    });
+
+    it('keeps the start year for objectives within one calendar year', () => {
+      expect(periodService.progressMonth({ startDate: '2026-01-01', endDate: '2026-12-31' }, '3')).toBe('2026-03');
+    });
+
+    it('ignores malformed keys', () => {
+      expect(periodService.progressMonth(objective, '13')).toBeNull();
+      expect(periodService.progressMonth(objective, 'total')).toBeNull();
+    });
+  });
+
+  describe('overlapShare', () => {
+    const objective = { startDate: '2026-01-01', endDate: '2026-12-31' };
+
+    it('returns the share of the objective inside the period', () => {
+      expect(periodService.overlapShare(objective, periodService.parse('FY2026-Q2'))).toBe(0.25);
+      expect(periodService.overlapShare(objective, periodService.parse('FY2026', { fiscalYearStartMonth: 7 }))).toBe(0.5);
+    });
+
+    it('is zero outside the objective or for empty objectives', () => {
+      expect(periodService.overlapShare(objective, periodService.parse('2027-01'))).toBe(0);
+      expect(periodService.overlapShare({ startDate: '2026-06-01', endDate: '2026-01-31' }, periodService.parse('FY2026'))).toBe(0);
+    });
+  });
+});
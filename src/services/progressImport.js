@@ -0,0 +1,268 @@
+const db = require('../models');
+const objectiveService = require('./objectives');
+const periodService = require('./periods');
+const periodLockService = require('./periodLocks');
+
+const { Salesperson, QuantitativeObjective, SalespersonQuantitativeObjective } = db;
+
+// Header names accepted for the identifying columns
+const EMAIL_HEADERS = ['email', 'salesperson email', 'salesperson', 'vendedor', 'correo'];
+const OBJECTIVE_HEADERS = ['objective', 'objective name', 'objetivo'];
+
+// Month names accepted as month column headers, in English and Spanish
+const MONTH_HEADERS = [
+  ['january', 'jan', 'enero', 'ene'],
+  ['february', 'feb', 'febrero'],
+  ['march', 'mar', 'marzo'],
+  ['april', 'apr', 'abril', 'abr'],
+  ['may', 'mayo'],
+  ['june', 'jun', 'junio'],
+  ['july', 'jul', 'julio'],
+  ['august', 'aug', 'agosto', 'ago'],
+  ['september', 'sep', 'sept', 'septiembre', 'set'],
+  ['october', 'oct', 'octubre'],
+  ['november', 'nov', 'noviembre'],
+  ['december', 'dec', 'diciembre', 'dic']
+];
+
+const normalize = (value) => String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+
+/**
+ * Month of a month column header: '01'-'12', '1'-'12', a month name, or a
+ * 'YYYY-MM' key (the year is checked against the objective's dates)
+ * @returns {Object|null} { month: '01'-'12', monthKey: 'YYYY-MM' | null }
+ */
+const parseMonthHeader = (header) => {
+  const value = normalize(header);
+
+  const keyMatch = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(value);
+  if (keyMatch) return { month: keyMatch[2], monthKey: value };
+
+  if (/^\d{1,2}$/.test(value)) {
+    const number = parseInt(value, 10);
+    return number >= 1 && number <= 12 ? { month: String(number).padStart(2, '0'), monthKey: null } : null;
+  }
+
+  const index = MONTH_HEADERS.findIndex(names => names.includes(value));
+  return index === -1 ? null : { month: String(index + 1).padStart(2, '0'), monthKey: null };
+};
+
+/**
+ * Progress import service: bulk updates of monthly progress values from a
+ * sheet with one row per salesperson and objective, and one column per month
+ */
+class ProgressImportService {
+  /**
+   * Read the header row of a sheet
+   * @param {Array<String>} header - First row of the sheet
+   * @returns {Object} { emailColumn, objectiveColumn, monthColumns: [{ index, header, month, monthKey }], errors }
+   */
+  parseHeader(header) {
+    const errors = [];
+    const names = header.map(normalize);
+    const emailColumn = names.findIndex(name => EMAIL_HEADERS.includes(name));
+    const objectiveColumn = names.findIndex(name => OBJECTIVE_HEADERS.includes(name));
+    const monthColumns = [];
+
+    if (emailColumn === -1) errors.push({ row: 1, message: 'Missing the salesperson email column' });
+    if (objectiveColumn === -1) errors.push({ row: 1, message: 'Missing the objective name column' });
+
+    header.forEach((name, index) => {
+      if (index === emailColumn || index === objectiveColumn || normalize(name) === '') return;
+
+      const month = parseMonthHeader(name);
+      if (!month) {
+        errors.push({ row: 1, message: `Unknown column "${name}"` });
+      } else if (monthColumns.some(column => column.month === month.month)) {
+        errors.push({ row: 1, message: `Month column "${name}" appears more than once` });
+      } else {
+        monthColumns.push({ index, header: name, ...month });
+      }
+    });
+
+    if (errors.length === 0 && monthColumns.length === 0) {
+      errors.push({ row: 1, message: 'The sheet has no month columns' });
+    }
+
+    return { emailColumn, objectiveColumn, monthColumns, errors };
+  }
+
+  /**
+   * Validate every row of a sheet against the tenant's assignments and build
+   * the changes it would make
+   * @param {Array<Array<String>>} rows - Sheet rows, header first
+   * @param {Object} [options]
+   * @param {Function} [options.canAccess] - Called with a salesperson ID; rows for salespersons it rejects are errors
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object>} { valid, errors, changes, summary }
+   */
+  async preview(rows, { canAccess = () => true, transaction } = {}) {
+    const [header = [], ...body] = rows;
+    const { emailColumn, objectiveColumn, monthColumns, errors } = this.parseHeader(header);
+    const changes = [];
+
+    if (errors.length > 0) {
+      return this.result(errors, changes, body.length);
+    }
+
+    const [salespersons, objectives, assignments, lockedMonths] = await Promise.all([
+      Salesperson.findAll({ attributes: ['id', 'nombre', 'email'], transaction }),
+      QuantitativeObjective.findAll({ transaction }),
+      SalespersonQuantitativeObjective.findAll({ transaction }),
+      periodLockService.getLockedMonths({ transaction })
+    ]);
+
+    const salespersonsByEmail = new Map(salespersons.map(salesperson => [normalize(salesperson.email), salesperson]));
+    const seen = new Set();
+
+    body.forEach((row, position) => {
+      const rowNumber = position + 2;
+      if (row.every(cell => normalize(cell) === '')) return;
+
+      const email = normalize(row[emailColumn]);
+      const objectiveName = normalize(row[objectiveColumn]);
+      const rowErrors = [];
+
+      const salesperson = salespersonsByEmail.get(email);
+      const namedObjectives = objectives.filter(objective => normalize(objective.name) === objectiveName);
+      // Closed objectives are read-only, and may share their name with the next period's
+      const matchingObjectives = namedObjectives.filter(objective => !objective.closedAt);
+
+      if (!email) {
+        rowErrors.push('Missing salesperson email');
+      } else if (!salesperson || !canAccess(salesperson.id)) {
+        rowErrors.push(`Salesperson "${row[emailColumn]}" not found`);
+      }
+
+      if (!objectiveName) {
+        rowErrors.push('Missing objective name');
+      } else if (namedObjectives.length === 0) {
+        rowErrors.push(`Objective "${row[objectiveColumn]}" not found`);
+      } else if (matchingObjectives.length === 0) {
+        rowErrors.push(`Objective "${row[objectiveColumn]}" is closed; its monthly progress is read-only`);
+      } else if (matchingObjectives.length > 1) {
+        rowErrors.push(`Objective name "${row[objectiveColumn]}" matches ${matchingObjectives.length} objectives`);
+      }
+
+      if (rowErrors.length > 0) {
+        rowErrors.forEach(message => errors.push({ row: rowNumber, message }));
+        return;
+      }
+
+      const objective = matchingObjectives[0];
+      const assignment = assignments.find(candidate =>
+        candidate.salespersonId === salesperson.id &&
+        candidate.quantitativeObjectiveId === objective.id
+      );
+
+      if (!assignment) {
+        errors.push({ row: rowNumber, message: `${salesperson.nombre} is not assigned to "${objective.name}"` });
+        return;
+      }
+
+      if (seen.has(assignment.id)) {
+        errors.push({ row: rowNumber, message: `Duplicate row for ${salesperson.nombre} and "${objective.name}"` });
+        return;
+      }
+      seen.add(assignment.id);
+
+      const before = assignment.monthlyProgress || {};
+      const monthlyProgress = { ...before };
+      const months = [];
+
+      monthColumns.forEach(column => {
+        const cell = String(row[column.index] === undefined ? '' : row[column.index]).trim();
+        if (cell === '') return;
+
+        if (column.monthKey && periodService.progressMonth(objective, column.month) !== column.monthKey) {
+          errors.push({ row: rowNumber, message: `${column.header} is outside "${objective.name}"` });
+          return;
+        }
+
+        const value = Number(cell.replace(',', '.'));
+        if (!Number.isFinite(value) || value < 0) {
+          errors.push({ row: rowNumber, message: `${column.header}: "${cell}" is not a valid value` });
+          return;
+        }
+
+        const previous = before[column.month] === undefined ? null : parseFloat(before[column.month]);
+        if (previous !== value) {
+          const progressMonth = periodService.progressMonth(objective, column.month);
+          if (lockedMonths.has(progressMonth)) {
+            errors.push({ row: rowNumber, message: `${column.header}: ${progressMonth} is closed` });
+            return;
+          }
+
+          monthlyProgress[column.month] = value;
+          months.push({ month: column.month, before: previous, after: value });
+        }
+      });
+
+      if (months.length === 0) return;
+
+      const { currentValue, status } = objectiveService.computeProgress(
+        monthlyProgress,
+        assignment.individualTarget,
+        objective
+      );
+
+      changes.push({
+        row: rowNumber,
+        assignmentId: assignment.id,
+        salesperson: { id: salesperson.id, nombre: salesperson.nombre, email: salesperson.email },
+        objective: { id: objective.id, name: objective.name, type: objective.type },
+        months,
+        monthlyProgress,
+        currentValue: { before: parseFloat(assignment.currentValue || 0), after: currentValue },
+        status: { before: assignment.status, after: status }
+      });
+    });
+
+    return this.result(errors, changes, body.length);
+  }
+
+  /**
+   * Validate a sheet and, when every row is valid, write all of its changes
+   * in a single transaction
+   * @param {Array<Array<String>>} rows - Sheet rows, header first
+   * @param {Object} [options]
+   * @param {Function} [options.canAccess] - See preview
+   * @returns {Promise<Object>} Preview result, with `applied` set when the changes were written
+   */
+  async apply(rows, { canAccess } = {}) {
+    return db.sequelize.transaction(async (transaction) => {
+      const result = await this.preview(rows, { canAccess, transaction });
+      if (!result.valid) return { ...result, applied: false };
+
+      for (const change of result.changes) {
+        const assignment = await SalespersonQuantitativeObjective.findByPk(change.assignmentId, { transaction });
+        await assignment.update({
+          monthlyProgress: change.monthlyProgress,
+          currentValue: change.currentValue.after,
+          status: change.status.after
+        }, { transaction });
+      }
+
+      return { ...result, applied: true };
+    });
+  }
+
+  /**
+   * Shape a preview result
+   */
+  result(errors, changes, rowCount) {
+    return {
+      valid: errors.length === 0,
+      errors: errors.sort((a, b) => a.row - b.row),
+      changes,
+      summary: {
+        rows: rowCount,
+        assignments: changes.length,
+        values: changes.reduce((total, change) => total + change.months.length, 0),
+        errors: errors.length
+      }
+    };
+  }
+}
+
+module.exports = new ProgressImportService();
@@ -0,0 +1,192 @@
+const db = require('../models');
+const tenantContext = require('./tenantContext');
+
+const { QualitativeObjective, QualitativeObjectiveStatusHistory, Salesperson } = db;
+
+/**
+ * Actions of the approval workflow: the statuses they apply to, the status
+ * they lead to, and whether they are a manager's review
+ */
+const WORKFLOW_ACTIONS = {
+  start: { from: ['pendiente'], to: 'en_progreso', review: false },
+  submit: { from: ['pendiente', 'en_progreso'], to: 'en_revision', review: false },
+  approve: { from: ['en_revision'], to: 'completado', review: true },
+  reject: { from: ['en_revision'], to: 'en_progreso', review: true },
+  close: { from: ['pendiente', 'en_progreso', 'en_revision'], to: 'no_completado', review: true },
+  reopen: { from: ['completado', 'no_completado'], to: 'en_progreso', review: true }
+};
+
+/**
+ * Qualitative workflow service: salespersons submit their qualitative
+ * objectives with evidence, managers approve or reject them with comments.
+ * Every status change is kept in QualitativeObjectiveStatusHistory, and the
+ * completion date is only set by an approval.
+ */
+class QualitativeWorkflowService {
+  /**
+   * Whether an action name is part of the workflow
+   */
+  isAction(action) {
+    return Object.prototype.hasOwnProperty.call(WORKFLOW_ACTIONS, action);
+  }
+
+  /**
+   * Whether an action is a manager's review (approve, reject, close, reopen)
+   */
+  isReview(action) {
+    return this.isAction(action) && WORKFLOW_ACTIONS[action].review;
+  }
+
+  /**
+   * The action that moves an objective from one status to another, for
+   * clients still sending a target status
+   * @returns {String|null} Action name, or null when no action leads there
+   */
+  findAction(fromStatus, toStatus) {
+    const action = Object.keys(WORKFLOW_ACTIONS).find(name =>
+      WORKFLOW_ACTIONS[name].from.includes(fromStatus) && WORKFLOW_ACTIONS[name].to === toStatus
+    );
+    return action || null;
+  }
+
+  /**
+   * Actions an objective in a status allows
+   * @param {String} status - Current status
+   * @returns {Array<String>} Action names
+   */
+  getAvailableActions(status) {
+    return Object.keys(WORKFLOW_ACTIONS).filter(name => WORKFLOW_ACTIONS[name].from.includes(status));
+  }
+
+  /**
+   * Check an action against an objective
+   * @param {Object} objective - QualitativeObjective
+   * @param {String} action - Workflow action
+   * @param {Object} [details]
+   * @param {String} [details.comment] - Required to reject
+   * @param {String} [details.evidence] - Required to submit, unless the objective has evidence
+   * @param {Number} [details.attachmentCount] - Files attached to the objective, which count as evidence
+   * @returns {String|null} Error message, or null when the action can be applied
+   */
+  validate(objective, action, { comment, evidence, attachmentCount = 0 } = {}) {
+    if (!this.isAction(action)) {
+      return `Unknown action ${action}`;
+    }
+    if (objective.closedAt) {
+      return 'The objective is closed';
+    }
+    if (!WORKFLOW_ACTIONS[action].from.includes(objective.status)) {
+      return `Cannot ${action} an objective in status ${objective.status}`;
+    }
+    if (action === 'submit' && !evidence && !objective.evidence && !attachmentCount) {
+      return 'Evidence (a link or an attached file) is required to submit an objective for review';
+    }
+    if (action === 'reject' && !(comment && comment.trim())) {
+      return 'A comment is required to reject an objective';
+    }
+    return null;
+  }
+
+  /**
+   * Apply a workflow action and record it in the status history
+   * @param {Object} objective - QualitativeObjective, checked with validate()
+   * @param {String} action - Workflow action
+   * @param {Object} [details]
+   * @param {String} [details.comment] - Comment of the submitter or reviewer
+   * @param {String} [details.evidence] - New evidence link (submit only)
+   * @returns {Promise<Object>} The updated objective
+   */
+  async transition(objective, action, { comment, evidence } = {}) {
+    const fromStatus = objective.status;
+    const toStatus = WORKFLOW_ACTIONS[action].to;
+
+    const updates = { status: toStatus };
+    if (action === 'submit' && evidence) updates.evidence = evidence;
+    // Only an approval completes the objective
+    updates.completionDate = action === 'approve' ? new Date() : null;
+
+    await db.sequelize.transaction(async (transaction) => {
+      await objective.update(updates, { transaction });
+      await this.record(objective, { action, fromStatus, toStatus, comment, evidence: action === 'submit' ? objective.evidence : null }, { transaction });
+    });
+
+    return objective;
+  }
+
+  /**
+   * Add an entry to the status history of an objective, acting as the user
+   * of the current request
+   */
+  record(objective, { action, fromStatus, toStatus, comment, evidence }, { transaction } = {}) {
+    const context = tenantContext.get() || {};
+    return QualitativeObjectiveStatusHistory.create({
+      qualitativeObjectiveId: objective.id,
+      action,
+      fromStatus,
+      toStatus,
+      comment: comment || null,
+      evidence: evidence || null,
+      actorId: context.userId || null,
+      actorEmail: context.email || null
+    }, { transaction });
+  }
+
+  /**
+   * Status history of an objective, oldest first
+   */
+  getHistory(objective) {
+    return QualitativeObjectiveStatusHistory.findAll({
+      where: { qualitativeObjectiveId: objective.id },
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Objectives waiting for review, oldest submission first, with their latest submission
+   * @param {Object} [options]
+   * @param {Array<String>} [options.salespersonIds] - Only global objectives and those assigned to these salespersons
+   * @returns {Promise<Array>} Objectives with `submission` ({ comment, evidence, actorEmail, createdAt })
+   */
+  async getReviewQueue({ salespersonIds } = {}) {
+    const objectives = await QualitativeObjective.findAll({
+      where: { status: 'en_revision' },
+      include: [{
+        model: Salesperson,
+        as: 'assignedSalespersons',
+        attributes: ['id', 'nombre', 'email'],
+        through: { attributes: [] }
+      }]
+    });
+
+    const visible = salespersonIds
+      ? objectives.filter(objective => objective.isGlobal ||
+        objective.assignedSalespersons.some(salesperson => salespersonIds.includes(salesperson.id)))
+      : objectives;
+    if (visible.length === 0) return [];
+
+    const submissions = await QualitativeObjectiveStatusHistory.findAll({
+      where: { qualitativeObjectiveId: visible.map(objective => objective.id), action: 'submit' },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return visible
+      .map(objective => {
+        const submission = submissions.find(entry => entry.qualitativeObjectiveId === objective.id);
+        return {
+          ...objective.toJSON(),
+          submission: submission
+            ? {
+                comment: submission.comment,
+                evidence: submission.evidence,
+                actorEmail: submission.actorEmail,
+                createdAt: submission.createdAt
+              }
+            : null
+        };
+      })
+      .sort((a, b) => new Date(a.submission?.createdAt || a.updatedAt) - new Date(b.submission?.createdAt || b.updatedAt));
+  }
+}
+
+module.exports = new QualitativeWorkflowService();
+module.exports.WORKFLOW_ACTIONS = WORKFLOW_ACTIONS;
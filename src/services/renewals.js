@@ -0,0 +1,237 @@
+const { Op } = require('sequelize');
+const { Client, ClientService, Service, Salesperson, Technician, RenewalAlert } = require('../models');
+const mailService = require('./mailer');
+
+// Days before expiry an alert goes out, nearest first
+const ALERT_DAYS = [30, 60, 90];
+
+// Longest look-ahead of the renewal calendar
+const MAX_WITHIN_DAYS = 730;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const addDays = (day, days) => new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+/**
+ * Escape user-provided values for the HTML email body
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const staffInclude = [
+  { model: Salesperson, as: 'vendedor', attributes: ['id', 'nombre', 'email'] },
+  { model: Technician, as: 'tecnico', attributes: ['id', 'nombre', 'email'] }
+];
+
+const toPerson = (person) => (person ? { id: person.id, nombre: person.nombre, email: person.email } : null);
+
+/**
+ * Renewal service: the support contracts and client services coming up for
+ * expiry, and the alerts sent to the client's salesperson and technician
+ * 90, 60 and 30 days before. A support contract expires at its end date; a
+ * service at its end date, or its renewal date when it has no end.
+ */
+class RenewalService {
+  /**
+   * Parse a look-ahead such as '90d' (or '90')
+   * @param {String} [value] - Look-ahead, 90 days by default
+   * @returns {Number|null} Days, or null when invalid
+   */
+  parseWithin(value) {
+    if (value === undefined || value === '') return 90;
+
+    const match = /^(\d+)d?$/.exec(String(value));
+    if (!match) return null;
+
+    const days = parseInt(match[1], 10);
+    return days >= 0 && days <= MAX_WITHIN_DAYS ? days : null;
+  }
+
+  /**
+   * Alert threshold a term has reached: the smallest of 90/60/30 days that
+   * is not before the days left
+   * @param {Number} daysLeft - Days until expiry
+   * @returns {Number|null} The threshold, or null when none is reached
+   */
+  getAlertThreshold(daysLeft) {
+    if (daysLeft < 0) return null;
+    return ALERT_DAYS.find(days => daysLeft <= days) || null;
+  }
+
+  /**
+   * Support contracts and client services expiring within some days
+   * @param {Object} [options]
+   * @param {Number} [options.within] - Days ahead, 90 by default
+   * @param {Object} [options.clientWhere] - Condition on the clients
+   * @param {String} [options.from] - First day (YYYY-MM-DD), today by default
+   * @returns {Promise<Array<Object>>} Renewals, soonest first
+   */
+  async getUpcoming({ within = 90, clientWhere = {}, from = today() } = {}) {
+    const until = addDays(from, within);
+    const inRange = { [Op.between]: [from, until] };
+
+    const contracts = await Client.findAll({
+      where: {
+        [Op.and]: [clientWhere, { contratoSoporte: true, contratoFechaFin: inRange }]
+      },
+      attributes: [
+        'id', 'tenantId', 'nombre', 'contratoFechaInicio', 'contratoFechaFin',
+        'contratoRenovacionAutomatica', 'contratoDiasPreaviso'
+      ],
+      include: staffInclude
+    });
+
+    const clientServices = await ClientService.findAll({
+      where: {
+        [Op.or]: [
+          { fechaFin: inRange },
+          { fechaFin: null, fechaRenovacion: inRange }
+        ]
+      },
+      include: [
+        {
+          model: Client,
+          as: 'cliente',
+          where: clientWhere,
+          attributes: ['id', 'nombre'],
+          include: staffInclude
+        },
+        { model: Service, as: 'servicio', attributes: ['id', 'nombre', 'categoria'] }
+      ]
+    });
+
+    const toRenewal = ({ type, entityId, tenantId, client, servicio, fechaInicio, fechaVencimiento, renovacionAutomatica, diasPreaviso }) => ({
+      type,
+      entityId,
+      tenantId,
+      client: { id: client.id, nombre: client.nombre },
+      servicio: servicio ? { id: servicio.id, nombre: servicio.nombre, categoria: servicio.categoria } : null,
+      fechaInicio,
+      fechaVencimiento,
+      daysLeft: daysBetween(from, fechaVencimiento),
+      renovacionAutomatica,
+      diasPreaviso,
+      // Last day to give notice, when the term has a notice period
+      fechaPreaviso: diasPreaviso ? addDays(fechaVencimiento, -diasPreaviso) : null,
+      vendedor: toPerson(client.vendedor),
+      tecnico: toPerson(client.tecnico)
+    });
+
+    return [
+      ...contracts.map(client => toRenewal({
+        type: 'support_contract',
+        entityId: client.id,
+        tenantId: client.tenantId,
+        client,
+        servicio: null,
+        fechaInicio: client.contratoFechaInicio,
+        fechaVencimiento: client.contratoFechaFin,
+        renovacionAutomatica: client.contratoRenovacionAutomatica,
+        diasPreaviso: client.contratoDiasPreaviso
+      })),
+      ...clientServices.map(clientService => toRenewal({
+        type: 'client_service',
+        entityId: clientService.id,
+        tenantId: clientService.tenantId,
+        client: clientService.cliente,
+        servicio: clientService.servicio,
+        fechaInicio: clientService.fechaInicio,
+        fechaVencimiento: clientService.fechaFin || clientService.fechaRenovacion,
+        renovacionAutomatica: clientService.renovacionAutomatica,
+        diasPreaviso: clientService.diasPreaviso
+      }))
+    ].sort((a, b) => a.fechaVencimiento.localeCompare(b.fechaVencimiento) ||
+      a.client.nombre.localeCompare(b.client.nombre));
+  }
+
+  /**
+   * Email the salesperson and technician of a client about an expiring term
+   * @param {Object} renewal - Renewal from getUpcoming
+   * @param {Array<String>} recipients - Email addresses
+   */
+  async sendAlert(renewal, recipients) {
+    const what = renewal.servicio
+      ? `${renewal.servicio.nombre} for ${renewal.client.nombre}`
+      : `The support contract of ${renewal.client.nombre}`;
+    const renewalNote = renewal.renovacionAutomatica
+      ? 'It renews automatically unless notice is given.'
+      : 'It does not renew automatically.';
+    const noticeNote = renewal.fechaPreaviso
+      ? ` Notice must be given by ${renewal.fechaPreaviso}.`
+      : '';
+    const clientUrl = `${process.env.FRONTEND_URL}/client-matrix/clients/${renewal.client.id}`;
+
+    await mailService.send({
+      to: recipients.join(', '),
+      subject: `${what} expires in ${renewal.daysLeft} days`,
+      text: `${what} expires on ${renewal.fechaVencimiento}. ${renewalNote}${noticeNote}\n\n` +
+        `Client details: ${clientUrl}`,
+      html: `<p>${escapeHtml(what)} expires on <strong>${renewal.fechaVencimiento}</strong>. ${renewalNote}${noticeNote}</p>` +
+        `<p><a href="${clientUrl}">Client details</a></p>`
+    });
+  }
+
+  /**
+   * Send the alerts due today for every tenant: one per term and threshold,
+   * to the client's salesperson and technician. A failed alert does not stop
+   * the others and is not recorded, so it is retried on the next run.
+   * @param {String} [date] - Day to send the alerts of (YYYY-MM-DD), today by default
+   * @returns {Promise<Object>} { sent, skipped, failed } where skipped counts
+   *   terms without anyone to notify
+   */
+  async sendDueAlerts(date = today()) {
+    const renewals = await this.getUpcoming({ within: Math.max(...ALERT_DAYS), from: date });
+    let sent = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const renewal of renewals) {
+      const diasAntes = this.getAlertThreshold(renewal.daysLeft);
+      if (!diasAntes) continue;
+
+      const alertKey = {
+        entityType: renewal.type,
+        entityId: renewal.entityId,
+        fechaVencimiento: renewal.fechaVencimiento,
+        diasAntes
+      };
+
+      try {
+        if (await RenewalAlert.findOne({ where: alertKey })) continue;
+
+        const recipients = [...new Set([renewal.vendedor?.email, renewal.tecnico?.email].filter(Boolean))];
+        if (recipients.length > 0) {
+          await this.sendAlert(renewal, recipients);
+        }
+
+        // Recorded even without recipients, so the term is not retried every day
+        await RenewalAlert.create({
+          ...alertKey,
+          tenantId: renewal.tenantId,
+          recipients,
+          sentAt: new Date()
+        });
+
+        if (recipients.length > 0) {
+          sent++;
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        console.error(`Error sending the ${diasAntes}-day alert of ${renewal.type} ${renewal.entityId}:`, error);
+        failed++;
+      }
+    }
+
+    return { sent, skipped, failed };
+  }
+}
+
+module.exports = new RenewalService();
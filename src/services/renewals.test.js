@@ -0,0 +1,58 @@
+/**
+ * @jest-environment node
+ */
+import { RenewalAlert } from '../models';
+import mailService from './mailer';
+import renewalService from './renewals';
+
+const renewal = (entityId, email) => ({
+  type: 'client_service',
+  entityId,
+  tenantId: 'tenant-1',
+  servicio: { id: 'servicio-1', nombre: 'Backup', categoria: 'Infrastructure' },
+  client: { id: 'client-1', nombre: 'Client 1' },
+  fechaVencimiento: '2026-11-18',
+  daysLeft: 30,
+  renovacionAutomatica: false,
+  vendedor: email ? { email } : null,
+  tecnico: null
+});
+
+describe('renewalService.sendDueAlerts', () => {
+  beforeEach(() => {
+    jest.spyOn(RenewalAlert, 'findOne').mockResolvedValue(null);
+    jest.spyOn(RenewalAlert, 'create').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps sending after an alert fails and leaves it unrecorded', async () => {
+    jest.spyOn(renewalService, 'getUpcoming').mockResolvedValue([
+      renewal('service-1', 'ana@example.com'),
+      renewal('service-2', 'bob@example.com'),
+      renewal('service-3', null)
+    ]);
+    jest.spyOn(mailService, 'send')
+      .mockRejectedValueOnce(new Error('SMTP unavailable'))
+      .mockResolvedValue({});
+
+    const result = await renewalService.sendDueAlerts('2026-10-19');
+
+    expect(result).toEqual({ sent: 1, skipped: 1, failed: 1 });
+    expect(RenewalAlert.create.mock.calls.map(([alert]) => alert.entityId)).toEqual(['service-2', 'service-3']);
+  });
+
+  it('skips alerts already recorded', async () => {
+    jest.spyOn(renewalService, 'getUpcoming').mockResolvedValue([renewal('service-1', 'ana@example.com')]);
+    RenewalAlert.findOne.mockResolvedValue({ id: 'alert-1' });
+    const send = jest.spyOn(mailService, 'send');
+
+    const result = await renewalService.sendDueAlerts('2026-10-19');
+
+    expect(result).toEqual({ sent: 0, skipped: 0, failed: 0 });
+    expect(send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,161 @@
+const { Client, ClientService, Service, Salesperson } = require('../models');
+
+/**
+ * Billing periods per month of each billing frequency; one-time charges are
+ * not recurring revenue
+ */
+const MONTHLY_FACTOR = {
+  mensual: 1,
+  trimestral: 1 / 3,
+  semestral: 1 / 6,
+  anual: 1 / 12,
+  unica: 0
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Per-currency totals as a list, largest MRR first
+ * @param {Object} amounts - MRR keyed by currency
+ * @returns {Array<Object>} { moneda, mrr, arr }
+ */
+const toTotals = (amounts) => Object.entries(amounts)
+  .map(([moneda, mrr]) => ({ moneda, mrr: round(mrr), arr: round(mrr * 12) }))
+  .sort((a, b) => b.mrr - a.mrr);
+
+const addAmount = (amounts, moneda, mrr) => {
+  amounts[moneda] = (amounts[moneda] || 0) + mrr;
+};
+
+/**
+ * Revenue service: monthly and annual recurring revenue (MRR and ARR) of the
+ * services sold to clients. A service line brings its negotiated price, or
+ * the service's list price, times its quantity, per month of its billing
+ * frequency, while it is active (started and not ended). Amounts are kept
+ * per currency, as services can be priced in different ones.
+ */
+class RevenueService {
+  /**
+   * Revenue of one service line of a client
+   * @param {Object} clientService - ClientService (or the through row of Client.servicios)
+   * @param {Object} service - Its Service
+   * @param {String} [date] - Day the line must be active on (YYYY-MM-DD), today by default
+   * @returns {Object} { precio, active, recurring, mrr, arr } where precio and
+   *   mrr are null when neither the line nor the service has a price
+   */
+  getLine(clientService, service, date = today()) {
+    const precio = clientService.precioNegociado ?? service.precio ?? null;
+    const active = (!clientService.fechaInicio || clientService.fechaInicio <= date) &&
+      (!clientService.fechaFin || clientService.fechaFin >= date);
+    const recurring = service.frecuenciaFacturacion !== 'unica';
+
+    if (precio === null) {
+      return { precio, active, recurring, mrr: null, arr: null };
+    }
+
+    const mrr = active ? precio * (clientService.cantidad || 1) * MONTHLY_FACTOR[service.frecuenciaFacturacion] : 0;
+    return { precio, active, recurring, mrr: round(mrr), arr: round(mrr * 12) };
+  }
+
+  /**
+   * Revenue of a client from its services loaded through Client.servicios
+   * @param {Array<Object>} servicios - Services with their ClientService through row
+   * @returns {Object} { lines, totals, unpriced } where lines are keyed by service ID
+   */
+  getClientRevenue(servicios) {
+    const amounts = {};
+    const lines = {};
+    let unpriced = 0;
+
+    servicios.forEach(service => {
+      const line = this.getLine(service.ClientService, service);
+      lines[service.id] = line;
+
+      if (line.mrr === null) {
+        unpriced += 1;
+      } else if (line.mrr > 0) {
+        addAmount(amounts, service.moneda, line.mrr);
+      }
+    });
+
+    return { lines, totals: toTotals(amounts), unpriced };
+  }
+
+  /**
+   * MRR and ARR of some clients, in total, per salesperson and per service category
+   * @param {Object} [clientWhere] - Condition on the clients, all of the tenant's by default
+   * @returns {Promise<Object>} { totals, bySalesperson, byCategory, clients, unpriced }
+   */
+  async getSummary(clientWhere = {}) {
+    const clientServices = await ClientService.findAll({
+      attributes: ['id', 'clientId', 'servicioId', 'precioNegociado', 'cantidad', 'fechaInicio', 'fechaFin'],
+      include: [
+        {
+          model: Client,
+          as: 'cliente',
+          where: clientWhere,
+          attributes: ['id', 'vendedorId'],
+          include: [{ model: Salesperson, as: 'vendedor', attributes: ['id', 'nombre'] }]
+        },
+        {
+          model: Service,
+          as: 'servicio',
+          attributes: ['id', 'categoria', 'precio', 'frecuenciaFacturacion', 'moneda']
+        }
+      ]
+    });
+
+    const totals = {};
+    const salespersons = {};
+    const categories = {};
+    const payingClients = new Set();
+    let unpriced = 0;
+
+    clientServices.forEach(clientService => {
+      const { cliente: client, servicio: service } = clientService;
+      const line = this.getLine(clientService, service);
+
+      if (line.mrr === null) {
+        unpriced += 1;
+        return;
+      }
+      if (line.mrr === 0) return;
+
+      payingClients.add(client.id);
+      addAmount(totals, service.moneda, line.mrr);
+
+      const salespersonKey = client.vendedorId || 'unassigned';
+      if (!salespersons[salespersonKey]) {
+        salespersons[salespersonKey] = {
+          vendedorId: client.vendedorId,
+          vendedor: client.vendedor ? { id: client.vendedor.id, nombre: client.vendedor.nombre } : null,
+          amounts: {}
+        };
+      }
+      addAmount(salespersons[salespersonKey].amounts, service.moneda, line.mrr);
+
+      if (!categories[service.categoria]) {
+        categories[service.categoria] = { categoria: service.categoria, amounts: {} };
+      }
+      addAmount(categories[service.categoria].amounts, service.moneda, line.mrr);
+    });
+
+    const byTotal = (a, b) => (b.totals[0]?.mrr || 0) - (a.totals[0]?.mrr || 0);
+
+    return {
+      totals: toTotals(totals),
+      bySalesperson: Object.values(salespersons)
+        .map(({ amounts, ...row }) => ({ ...row, totals: toTotals(amounts) }))
+        .sort(byTotal),
+      byCategory: Object.values(categories)
+        .map(({ amounts, ...row }) => ({ ...row, totals: toTotals(amounts) }))
+        .sort(byTotal),
+      clients: payingClients.size,
+      unpriced
+    };
+  }
+}
+
+module.exports = new RevenueService();
@@ -0,0 +1,391 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const periodService = require('./periods');
+const objectiveTemplateService = require('./objectiveTemplates');
+const qualitativeWorkflowService = require('./qualitativeWorkflow');
+
+const {
+  Salesperson,
+  QuantitativeObjective,
+  QuantitativeObjectiveTemplate,
+  SalespersonQuantitativeObjective,
+  QualitativeObjective,
+  SalespersonObjective
+} = db;
+
+/**
+ * Days in a calendar month
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Year-end rollover service: closes the objectives of a period with their
+ * final status and opens the next period from them.
+ *
+ * Quantitative objectives ending in the period are closed as completed or
+ * not_completed, and cloned into the next period (or re-created from their
+ * template) with an optional target uplift. Qualitative objectives due in the
+ * period are closed; unfinished ones can be carried forward. Closed objectives
+ * are read-only for monthly progress.
+ */
+class RolloverService {
+  /**
+   * Move a date by a number of months, keeping month ends at month ends
+   * @param {String|Date} value - Date or 'YYYY-MM-DD'
+   * @param {Number} months - Months to move
+   * @returns {String} 'YYYY-MM-DD'
+   */
+  shiftDate(value, months) {
+    const date = value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+    const [year, month, day] = date.split('-').map(Number);
+    const monthKey = periodService.shiftMonth(date.slice(0, 7), months);
+    const [nextYear, nextMonth] = monthKey.split('-').map(Number);
+    const nextDay = day === daysInMonth(year, month)
+      ? daysInMonth(nextYear, nextMonth)
+      : Math.min(day, daysInMonth(nextYear, nextMonth));
+
+    return `${monthKey}-${String(nextDay).padStart(2, '0')}`;
+  }
+
+  /**
+   * Name of an objective in the next period: the period label or year in the
+   * name is replaced, otherwise the next period's label is appended
+   */
+  renameForPeriod(name, period, nextPeriod) {
+    if (name.includes(period.label)) {
+      return name.replace(period.label, nextPeriod.label);
+    }
+
+    const year = new RegExp(`\\b${period.endDate.slice(0, 4)}\\b`);
+    const nextYear = nextPeriod.endDate.slice(0, 4);
+    if (year.test(name) && !name.includes(nextYear)) {
+      return name.replace(year, nextYear);
+    }
+
+    return `${name} ${nextPeriod.label}`;
+  }
+
+  /**
+   * Final status of an assignment: completed once it reached its target
+   */
+  finalAssignmentStatus(assignment) {
+    return parseFloat(assignment.currentValue || 0) >= parseFloat(assignment.individualTarget || 0)
+      ? 'completed'
+      : 'not_completed';
+  }
+
+  /**
+   * Final status of a quantitative objective: completed when its assignments
+   * add up to the company target (percentages are averaged)
+   */
+  finalObjectiveStatus(objective, assignments) {
+    if (assignments.length === 0) return 'not_completed';
+
+    const total = assignments.reduce((sum, assignment) => sum + parseFloat(assignment.currentValue || 0), 0);
+    const value = objective.type === 'percentage' ? total / assignments.length : total;
+
+    return value >= objective.companyTarget ? 'completed' : 'not_completed';
+  }
+
+  /**
+   * Work out what a rollover does, without changing anything
+   * @param {Object} period - Period to close, from the period service
+   * @param {Object} [options]
+   * @param {String} [options.source='objective'] - 'objective' clones each objective;
+   *   'template' re-creates objectives that have a template from it
+   * @param {Number} [options.uplift=0] - Percentage added to every target
+   * @param {Object} [options.objectives] - Per quantitative objective ID: { clone, uplift }
+   * @param {Array<String>} [options.carryForward] - Unfinished qualitative objectives to carry forward
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object>} { plan, records } where plan describes the rollover
+   *   for the API and records holds the loaded instances
+   */
+  async build(period, { source = 'objective', uplift = 0, objectives = {}, carryForward = [], transaction } = {}) {
+    const nextPeriod = periodService.shift(period, 1);
+    const offset = period.months.length;
+    const periodStart = new Date(`${period.startDate}T00:00:00.000Z`);
+    const periodEnd = new Date(`${period.endDate}T23:59:59.999Z`);
+
+    // Only objectives inside the period: clones are shifted by its length, so
+    // an objective left open from an older period would land in the wrong one
+    const quantitative = await QuantitativeObjective.findAll({
+      where: { closedAt: null, startDate: { [Op.gte]: period.startDate }, endDate: { [Op.lte]: period.endDate } },
+      order: [['name', 'ASC']],
+      transaction
+    });
+    const quantitativeIds = quantitative.map(objective => objective.id);
+
+    const [assignments, qualitative, activeSalespersons, later, templates] = await Promise.all([
+      SalespersonQuantitativeObjective.findAll({
+        where: { quantitativeObjectiveId: quantitativeIds },
+        include: [{ model: Salesperson, as: 'salesperson', attributes: ['id', 'nombre'] }],
+        transaction
+      }),
+      QualitativeObjective.findAll({
+        where: { closedAt: null, dueDate: { [Op.gte]: periodStart, [Op.lte]: periodEnd } },
+        include: [{ model: Salesperson, as: 'assignedSalespersons', attributes: ['id', 'nombre'], through: { attributes: [] } }],
+        order: [['dueDate', 'ASC']],
+        transaction
+      }),
+      Salesperson.findAll({ where: { estado: 'active' }, attributes: ['id'], transaction }),
+      // Open objectives after the period, to skip clones that already exist
+      QuantitativeObjective.findAll({
+        where: { closedAt: null, endDate: { [Op.gt]: period.endDate } },
+        attributes: ['id', 'name', 'startDate', 'endDate', 'templateId'],
+        transaction
+      }),
+      QuantitativeObjectiveTemplate.findAll({
+        where: { id: quantitative.map(objective => objective.templateId).filter(Boolean) },
+        transaction
+      })
+    ]);
+
+    const activeIds = new Set(activeSalespersons.map(salesperson => salesperson.id));
+    const templatesById = new Map(templates.map(template => [template.id, template]));
+    const plannedTemplates = new Set();
+
+    const quantitativePlan = quantitative.map(objective => {
+      const own = assignments.filter(assignment => assignment.quantitativeObjectiveId === objective.id);
+      const settings = objectives[objective.id] || {};
+      const objectiveUplift = settings.uplift !== undefined && settings.uplift !== null ? settings.uplift : uplift;
+      const factor = 1 + objectiveUplift / 100;
+      const template = source === 'template' ? templatesById.get(objective.templateId) : null;
+
+      const entry = {
+        id: objective.id,
+        name: objective.name,
+        type: objective.type,
+        startDate: objective.startDate,
+        endDate: objective.endDate,
+        companyTarget: objective.companyTarget,
+        status: { before: objective.status, after: this.finalObjectiveStatus(objective, own) },
+        assignments: own.map(assignment => ({
+          id: assignment.id,
+          salesperson: assignment.salesperson ? { id: assignment.salesperson.id, nombre: assignment.salesperson.nombre } : null,
+          individualTarget: assignment.individualTarget,
+          currentValue: assignment.currentValue,
+          status: { before: assignment.status, after: this.finalAssignmentStatus(assignment) }
+        })),
+        clone: null,
+        skipped: null
+      };
+
+      if (settings.clone === false) {
+        entry.skipped = 'Not rolled over';
+        return entry;
+      }
+
+      const nextAssignments = own
+        .filter(assignment => activeIds.has(assignment.salespersonId))
+        .map(assignment => ({
+          salespersonId: assignment.salespersonId,
+          nombre: assignment.salesperson ? assignment.salesperson.nombre : null,
+          individualTarget: parseFloat(assignment.individualTarget || 0) * factor
+        }));
+
+      if (template) {
+        const attributes = objectiveTemplateService.buildObjective(template, nextPeriod, { uplift: objectiveUplift });
+        const exists = plannedTemplates.has(template.id) || later.some(candidate =>
+          candidate.templateId === template.id &&
+          candidate.startDate === attributes.startDate &&
+          candidate.endDate === attributes.endDate
+        );
+
+        if (exists) {
+          entry.skipped = `"${template.name}" already has an objective for ${nextPeriod.label}`;
+          return entry;
+        }
+
+        plannedTemplates.add(template.id);
+        entry.clone = {
+          source: 'template',
+          templateId: template.id,
+          name: attributes.name,
+          startDate: attributes.startDate,
+          endDate: attributes.endDate,
+          companyTarget: attributes.companyTarget,
+          minimumAcceptable: attributes.minimumAcceptable,
+          uplift: objectiveUplift,
+          assignments: nextAssignments
+        };
+        return entry;
+      }
+
+      const clone = {
+        source: 'objective',
+        name: this.renameForPeriod(objective.name, period, nextPeriod),
+        startDate: this.shiftDate(objective.startDate, offset),
+        endDate: this.shiftDate(objective.endDate, offset),
+        companyTarget: objective.companyTarget * factor,
+        minimumAcceptable: objective.minimumAcceptable === null ? null : objective.minimumAcceptable * factor,
+        uplift: objectiveUplift,
+        assignments: nextAssignments
+      };
+
+      const exists = later.some(candidate =>
+        candidate.name === clone.name &&
+        candidate.startDate === clone.startDate &&
+        candidate.endDate === clone.endDate
+      );
+
+      if (exists) {
+        entry.skipped = `"${clone.name}" already exists for ${nextPeriod.label}`;
+        return entry;
+      }
+
+      entry.clone = clone;
+      return entry;
+    });
+
+    const qualitativePlan = qualitative.map(objective => {
+      const finished = objective.status === 'completado';
+      const carried = !finished && carryForward.includes(objective.id);
+
+      return {
+        id: objective.id,
+        name: objective.name,
+        dueDate: objective.dueDate,
+        assignedSalespersons: objective.assignedSalespersons.map(salesperson => ({ id: salesperson.id, nombre: salesperson.nombre })),
+        status: { before: objective.status, after: finished ? 'completado' : 'no_completado' },
+        canCarryForward: !finished,
+        clone: carried
+          ? {
+              name: objective.name,
+              dueDate: this.shiftDate(objective.dueDate, offset),
+              assignedSalespersonIds: objective.assignedSalespersons
+                .map(salesperson => salesperson.id)
+                .filter(id => activeIds.has(id))
+            }
+          : null
+      };
+    });
+
+    return {
+      plan: {
+        period: periodService.toJSON(period),
+        nextPeriod: periodService.toJSON(nextPeriod),
+        source,
+        uplift,
+        quantitative: quantitativePlan,
+        qualitative: qualitativePlan,
+        summary: {
+          quantitative: quantitativePlan.length,
+          qualitative: qualitativePlan.length,
+          cloned: quantitativePlan.filter(entry => entry.clone).length,
+          carriedForward: qualitativePlan.filter(entry => entry.clone).length
+        }
+      },
+      records: { nextPeriod, quantitative, assignments, qualitative, templatesById }
+    };
+  }
+
+  /**
+   * Preview a rollover
+   * @returns {Promise<Object>} The rollover plan; see build
+   */
+  async preview(period, options = {}) {
+    const { plan } = await this.build(period, options);
+    return plan;
+  }
+
+  /**
+   * Close the period and open the next one in one transaction
+   * @returns {Promise<Object>} The applied rollover plan; see build
+   */
+  async apply(period, options = {}) {
+    return db.sequelize.transaction(async (transaction) => {
+      const { plan, records } = await this.build(period, { ...options, transaction });
+      const closedAt = new Date();
+
+      for (const entry of plan.quantitative) {
+        const objective = records.quantitative.find(record => record.id === entry.id);
+
+        for (const assignmentEntry of entry.assignments) {
+          const assignment = records.assignments.find(record => record.id === assignmentEntry.id);
+          await assignment.update({ status: assignmentEntry.status.after }, { transaction });
+        }
+        await objective.update({ status: entry.status.after, closedAt }, { transaction });
+
+        if (!entry.clone) continue;
+
+        if (entry.clone.source === 'template') {
+          const created = await objectiveTemplateService.instantiate(records.templatesById.get(entry.clone.templateId), records.nextPeriod, {
+            salespersons: entry.clone.assignments.map(assignment => ({ id: assignment.salespersonId, nombre: assignment.nombre })),
+            targets: Object.fromEntries(entry.clone.assignments.map(assignment => [assignment.salespersonId, assignment.individualTarget])),
+            uplift: entry.clone.uplift,
+            rolledOverFromId: objective.id,
+            transaction
+          });
+          entry.clone.id = created.id;
+          continue;
+        }
+
+        const created = await QuantitativeObjective.create({
+          name: entry.clone.name,
+          description: objective.description,
+          type: objective.type,
+          companyTarget: entry.clone.companyTarget,
+          minimumAcceptable: entry.clone.minimumAcceptable,
+          weight: objective.weight,
+          startDate: entry.clone.startDate,
+          endDate: entry.clone.endDate,
+          status: 'pending',
+          isGlobal: objective.isGlobal,
+          templateId: objective.templateId,
+          rolledOverFromId: objective.id
+        }, { transaction });
+
+        for (const assignment of entry.clone.assignments) {
+          await SalespersonQuantitativeObjective.create({
+            salespersonId: assignment.salespersonId,
+            quantitativeObjectiveId: created.id,
+            individualTarget: assignment.individualTarget,
+            monthlyProgress: {},
+            currentValue: 0,
+            status: 'pending'
+          }, { transaction });
+        }
+        entry.clone.id = created.id;
+      }
+
+      for (const entry of plan.qualitative) {
+        const objective = records.qualitative.find(record => record.id === entry.id);
+        await objective.update({ status: entry.status.after, closedAt }, { transaction });
+        if (entry.status.after !== entry.status.before) {
+          await qualitativeWorkflowService.record(objective, {
+            action: 'rollover',
+            fromStatus: entry.status.before,
+            toStatus: entry.status.after
+          }, { transaction });
+        }
+
+        if (!entry.clone) continue;
+
+        const created = await QualitativeObjective.create({
+          name: objective.name,
+          description: objective.description,
+          criteria: objective.criteria,
+          // Work under review carries on in the new period
+          status: ['en_progreso', 'en_revision'].includes(objective.status) ? 'en_progreso' : 'pendiente',
+          dueDate: entry.clone.dueDate,
+          weight: objective.weight,
+          comments: objective.comments,
+          isGlobal: objective.isGlobal,
+          rolledOverFromId: objective.id
+        }, { transaction });
+
+        for (const salespersonId of entry.clone.assignedSalespersonIds) {
+          await SalespersonObjective.create({
+            salespersonId,
+            qualitativeObjectiveId: created.id
+          }, { transaction });
+        }
+        entry.clone.id = created.id;
+      }
+
+      return plan;
+    });
+  }
+}
+
+module.exports = new RolloverService();
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+import { Op } from 'sequelize';
+import db from '../models';
+import periodService from './periods';
+import rolloverService from './rollover';
+
+/**
+ * Whether a value satisfies a where condition with Op.gt, Op.gte and Op.lte
+ */
+const satisfies = (value, condition) => {
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return value === condition;
+  }
+  const time = new Date(value).getTime();
+  const bound = (key) => new Date(condition[key]).getTime();
+  return (condition[Op.gt] === undefined || time > bound(Op.gt)) &&
+    (condition[Op.gte] === undefined || time >= bound(Op.gte)) &&
+    (condition[Op.lte] === undefined || time <= bound(Op.lte));
+};
+
+/**
+ * A findAll mock that filters records by the where of the query
+ */
+const findAllFrom = (records) => async ({ where = {} } = {}) =>
+  records.filter(record => Object.keys(where).every(key => satisfies(record[key], where[key])));
+
+describe('rolloverService.shiftDate', () => {
+  it('moves a date by whole months', () => {
+    expect(rolloverService.shiftDate('2025-07-15', 12)).toBe('2026-07-15');
+    expect(rolloverService.shiftDate('2025-11-01', 3)).toBe('2026-02-01');
+  });
+
+  it('keeps month ends at the end of the month', () => {
+    expect(rolloverService.shiftDate('2025-06-30', 12)).toBe('2026-06-30');
+    expect(rolloverService.shiftDate('2026-02-28', 12)).toBe('2027-02-28');
+    expect(rolloverService.shiftDate('2027-02-28', 12)).toBe('2028-02-29');
+    expect(rolloverService.shiftDate('2025-09-30', 1)).toBe('2025-10-31');
+  });
+
+  it('clamps days past the end of the target month', () => {
+    expect(rolloverService.shiftDate('2025-01-30', 1)).toBe('2025-02-28');
+  });
+
+  it('accepts Date values', () => {
+    expect(rolloverService.shiftDate(new Date(Date.UTC(2025, 11, 31)), 12)).toBe('2026-12-31');
+  });
+});
+
+describe('rolloverService.build', () => {
+  const period = periodService.containing('year', '2025-01', 1);
+
+  beforeEach(() => {
+    jest.spyOn(db.SalespersonQuantitativeObjective, 'findAll').mockResolvedValue([]);
+    jest.spyOn(db.Salesperson, 'findAll').mockResolvedValue([]);
+    jest.spyOn(db.QuantitativeObjectiveTemplate, 'findAll').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves objectives left open from an older period alone', async () => {
+    jest.spyOn(db.QuantitativeObjective, 'findAll').mockImplementation(findAllFrom([
+      { id: 'old', name: 'Sales 2024', startDate: '2024-01-01', endDate: '2024-12-31', closedAt: null, companyTarget: 100, minimumAcceptable: null },
+      { id: 'current', name: 'Sales 2025', startDate: '2025-01-01', endDate: '2025-12-31', closedAt: null, companyTarget: 100, minimumAcceptable: null }
+    ]));
+    jest.spyOn(db.QualitativeObjective, 'findAll').mockImplementation(findAllFrom([
+      { id: 'old-task', name: 'Old task', dueDate: new Date('2024-06-30T00:00:00.000Z'), closedAt: null, status: 'pendiente', assignedSalespersons: [] },
+      { id: 'task', name: 'Task', dueDate: new Date('2025-06-30T00:00:00.000Z'), closedAt: null, status: 'pendiente', assignedSalespersons: [] }
+    ]));
+
+    const { plan } = await rolloverService.build(period, { carryForward: ['task'] });
+
+    expect(plan.quantitative.map(entry => entry.id)).toEqual(['current']);
+    expect(plan.quantitative[0].clone).toMatchObject({ name: 'Sales 2026', startDate: '2026-01-01', endDate: '2026-12-31' });
+    expect(plan.qualitative.map(entry => entry.id)).toEqual(['task']);
+    expect(plan.qualitative[0].clone.dueDate).toBe('2026-06-30');
+  });
+});
@@ -0,0 +1,257 @@
+const zlib = require('zlib');
+
+// ZIP record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// ZIP compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+// Largest uncompressed workbook read when the caller sets no limit
+const DEFAULT_MAX_UNCOMPRESSED_SIZE = 50 * 1024 * 1024;
+
+const INVALID_WORKBOOK = 'The file is not a valid XLSX workbook';
+
+/**
+ * Decode the XML entities used in spreadsheet files
+ */
+const decodeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+/**
+ * Text of every <t> element in an XML fragment (rich text runs are joined)
+ */
+const textContent = (xml) => {
+  const parts = [];
+  const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    parts.push(decodeXml(match[1]));
+  }
+  return parts.join('');
+};
+
+/**
+ * Zero-based column index of a cell reference such as 'AB12'
+ */
+const columnIndex = (reference) => {
+  const letters = reference.replace(/[0-9]/g, '');
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+/**
+ * Spreadsheet service: reads the rows of CSV files and of the first
+ * worksheet of XLSX workbooks as arrays of strings
+ */
+class SpreadsheetService {
+  /**
+   * Parse an uploaded sheet
+   * @param {Buffer} buffer - File content
+   * @param {String} filename - Original file name, used to tell CSV from XLSX
+   * @param {Object} [options]
+   * @param {Number} [options.maxUncompressedSize] - Most bytes an XLSX workbook may
+   *   expand to, 50 MB by default
+   * @returns {Array<Array<String>>} Rows of cell values
+   * @throws {Error} When the file is not a readable CSV or XLSX file, or expands past the limit
+   */
+  parse(buffer, filename = '', { maxUncompressedSize = DEFAULT_MAX_UNCOMPRESSED_SIZE } = {}) {
+    const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+
+    if (/\.xlsx$/i.test(filename) || isZip) {
+      return this.parseXlsx(buffer, { maxUncompressedSize });
+    }
+
+    return this.parseCsv(buffer.toString('utf8'));
+  }
+
+  /**
+   * Parse CSV text. The delimiter (comma or semicolon) is taken from the
+   * header line; quoted values may contain delimiters, quotes and line breaks.
+   */
+  parseCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0] || '';
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+
+    if (value !== '' || row.length > 0) {
+      row.push(value);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Read the entries of a ZIP archive
+   * @param {Buffer} buffer - Archive content
+   * @param {Object} [options]
+   * @param {Number} [options.maxUncompressedSize] - Most bytes all entries may expand to
+   * @returns {Object} File contents keyed by path
+   * @throws {Error} When the archive is malformed or expands past the limit
+   */
+  unzip(buffer, { maxUncompressedSize = DEFAULT_MAX_UNCOMPRESSED_SIZE } = {}) {
+    let end = buffer.length - 22;
+    while (end >= 0 && buffer.readUInt32LE(end) !== END_OF_CENTRAL_DIRECTORY) end--;
+    if (end < 0) throw new Error(INVALID_WORKBOOK);
+
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    let remaining = maxUncompressedSize;
+    const files = {};
+
+    for (let i = 0; i < entryCount; i++) {
+      if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+        throw new Error(INVALID_WORKBOOK);
+      }
+
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const localOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+        throw new Error(INVALID_WORKBOOK);
+      }
+      if (method !== STORED && method !== DEFLATED) {
+        throw new Error(INVALID_WORKBOOK);
+      }
+
+      const dataStart = localOffset + 30 +
+        buffer.readUInt16LE(localOffset + 26) +
+        buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      // The declared sizes can't be trusted: inflate at most what is left of the limit
+      let content = data;
+      if (method === DEFLATED) {
+        try {
+          content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(remaining, 1) });
+        } catch (error) {
+          throw new Error(error.code === 'ERR_BUFFER_TOO_LARGE'
+            ? 'The workbook is too large once uncompressed'
+            : INVALID_WORKBOOK);
+        }
+      }
+
+      remaining -= content.length;
+      if (remaining < 0) {
+        throw new Error('The workbook is too large once uncompressed');
+      }
+
+      files[name] = content;
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return files;
+  }
+
+  /**
+   * Parse the first worksheet of an XLSX workbook
+   * @param {Buffer} buffer - Workbook content
+   * @param {Object} [options] - { maxUncompressedSize } as in unzip()
+   */
+  parseXlsx(buffer, options) {
+    const files = this.unzip(buffer, options);
+
+    const sheetPath = Object.keys(files)
+      .filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name))
+      .sort((a, b) => parseInt(a.match(/\d+/)[0], 10) - parseInt(b.match(/\d+/)[0], 10))[0];
+    if (!sheetPath) throw new Error('The workbook has no worksheets');
+
+    const sharedStrings = [];
+    if (files['xl/sharedStrings.xml']) {
+      const pattern = /<si>([\s\S]*?)<\/si>/g;
+      const xml = files['xl/sharedStrings.xml'].toString('utf8');
+      let match;
+      while ((match = pattern.exec(xml)) !== null) {
+        sharedStrings.push(textContent(match[1]));
+      }
+    }
+
+    const rows = [];
+    const sheet = files[sheetPath].toString('utf8');
+    const rowPattern = /<row\b[^>]*>([\s\S]*?)<\/row>/g;
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let rowMatch;
+
+    while ((rowMatch = rowPattern.exec(sheet)) !== null) {
+      const row = [];
+      let cellMatch;
+
+      while ((cellMatch = cellPattern.exec(rowMatch[1])) !== null) {
+        const attributes = cellMatch[1];
+        const body = cellMatch[2] || '';
+        const reference = (attributes.match(/\br="([A-Z]+\d+)"/) || [])[1];
+        const type = (attributes.match(/\bt="(\w+)"/) || [])[1];
+        const rawValue = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+        let value = '';
+        if (type === 's') {
+          value = sharedStrings[parseInt(rawValue, 10)] || '';
+        } else if (type === 'inlineStr') {
+          value = textContent(body);
+        } else if (rawValue !== undefined) {
+          value = decodeXml(rawValue);
+        }
+
+        const index = reference ? columnIndex(reference) : row.length;
+        while (row.length < index) row.push('');
+        row[index] = value;
+      }
+
+      rows.push(row);
+    }
+
+    return rows;
+  }
+}
+
+module.exports = new SpreadsheetService();
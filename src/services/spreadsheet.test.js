@@ -0,0 +1,134 @@
+/**
+ * @jest-environment node
+ */
+import zlib from 'zlib';
+import spreadsheetService from './spreadsheet';
+
+// Build a ZIP archive of { path: content } entries, deflated unless stored is set
+const buildZip = (entries, { stored = false } = {}) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  Object.entries(entries).forEach(([name, content]) => {
+    const nameBuffer = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = stored ? raw : zlib.deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, data);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centralParts.length / 2, 8);
+  end.writeUInt16LE(centralParts.length / 2, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+const sheetXml = (rows) => `<?xml version="1.0"?><worksheet><sheetData>${rows}</sheetData></worksheet>`;
+
+describe('spreadsheetService', () => {
+  describe('CSV', () => {
+    it('reads quoted fields with delimiters, quotes and line breaks', () => {
+      const rows = spreadsheetService.parse(
+        Buffer.from('email,objective,01\r\n"ana@acme.com","Sales, ""new"" clients","line 1\nline 2"\n'),
+        'progress.csv'
+      );
+
+      expect(rows).toEqual([
+        ['email', 'objective', '01'],
+        ['ana@acme.com', 'Sales, "new" clients', 'line 1\nline 2']
+      ]);
+    });
+
+    it('takes semicolons as the delimiter from the header and drops the BOM', () => {
+      expect(spreadsheetService.parse(Buffer.from('\uFEFFemail;01\nana@acme.com;1,5'), 'progress.csv')).toEqual([
+        ['email', '01'],
+        ['ana@acme.com', '1,5']
+      ]);
+    });
+  });
+
+  describe('XLSX', () => {
+    it('resolves shared strings, rich text runs and entities', () => {
+      const workbook = buildZip({
+        'xl/sharedStrings.xml': '<sst><si><t>email</t></si><si><r><t>Sales </t></r><r><t xml:space="preserve">&amp; renewals</t></r></si></sst>',
+        'xl/worksheets/sheet1.xml': sheetXml(
+          '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>' +
+          '<row r="2"><c r="A2"><v>1500.5</v></c></row>'
+        )
+      });
+
+      expect(spreadsheetService.parse(workbook, 'progress.xlsx')).toEqual([
+        ['email', 'Sales & renewals'],
+        ['1500.5']
+      ]);
+    });
+
+    it('reads inline strings and keeps the column of sparse cells', () => {
+      const workbook = buildZip({
+        'xl/worksheets/sheet1.xml': sheetXml(
+          '<row r="1"><c r="A1" t="inlineStr"><is><t>ana@acme.com</t></is></c><c r="C1"><v>7</v></c><c r="D1"/></row>'
+        )
+      }, { stored: true });
+
+      expect(spreadsheetService.parse(workbook, 'upload')).toEqual([['ana@acme.com', '', '7', '']]);
+    });
+
+    it('reads the first worksheet', () => {
+      const workbook = buildZip({
+        'xl/worksheets/sheet2.xml': sheetXml('<row><c t="inlineStr"><is><t>second</t></is></c></row>'),
+        'xl/worksheets/sheet1.xml': sheetXml('<row><c t="inlineStr"><is><t>first</t></is></c></row>')
+      });
+
+      expect(spreadsheetService.parse(workbook, 'progress.xlsx')).toEqual([['first']]);
+    });
+
+    it('rejects malformed archives', () => {
+      const workbook = buildZip({ 'xl/worksheets/sheet1.xml': sheetXml('') });
+      const badOffset = Buffer.from(workbook);
+      badOffset.writeUInt32LE(1, badOffset.length - 6);
+
+      expect(() => spreadsheetService.parse(Buffer.from('not a zip'), 'progress.xlsx')).toThrow('not a valid XLSX workbook');
+      expect(() => spreadsheetService.parse(badOffset, 'progress.xlsx')).toThrow('not a valid XLSX workbook');
+      expect(() => spreadsheetService.parse(buildZip({ 'docProps/app.xml': '<x/>' }), 'progress.xlsx')).toThrow('no worksheets');
+    });
+
+    it('rejects corrupt compressed data', () => {
+      const workbook = buildZip({ 'xl/worksheets/sheet1.xml': sheetXml('<row><c><v>1</v></c></row>') });
+      // Overwrite the deflated data right after the local header and name
+      workbook.fill(0xff, 30 + 'xl/worksheets/sheet1.xml'.length, 40 + 'xl/worksheets/sheet1.xml'.length);
+
+      expect(() => spreadsheetService.parse(workbook, 'progress.xlsx')).toThrow('not a valid XLSX workbook');
+    });
+
+    it('stops inflating past the uncompressed size limit', () => {
+      const workbook = buildZip({ 'xl/worksheets/sheet1.xml': Buffer.alloc(1024 * 1024, 0x20) });
+
+      expect(workbook.length).toBeLessThan(10 * 1024);
+      expect(() => spreadsheetService.parse(workbook, 'progress.xlsx', { maxUncompressedSize: 64 * 1024 }))
+        .toThrow('too large once uncompressed');
+    });
+  });
+});
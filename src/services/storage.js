@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage adapter factories keyed by name. An adapter is an object with
+ * async put(key, data, { contentType }), get(key) (a readable stream) and
+ * remove(key) methods; adapters that can sign their own download URLs also
+ * have getSignedUrl(key, { expiresIn, filename, contentType }).
+ */
+const adapters = {
+  // Keeps files on the local disk - the default
+  local: () => {
+    const root = path.resolve(process.env.STORAGE_DIR || path.join(process.cwd(), 'uploads'));
+
+    // Keys are generated by the application, but never let one escape the root
+    const resolve = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(`${root}${path.sep}`)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return file;
+    };
+
+    return {
+      async put(key, data) {
+        const file = resolve(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, data);
+      },
+
+      async get(key) {
+        const file = resolve(key);
+        await fs.promises.access(file);
+        return fs.createReadStream(file);
+      },
+
+      async remove(key) {
+        await fs.promises.rm(resolve(key), { force: true });
+      }
+    };
+  },
+
+  // Any S3-compatible object store (AWS S3, MinIO, Cloudflare R2, ...)
+  s3: () => {
+    // The AWS SDK is only required when S3 storage is configured
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+      throw new Error('S3_BUCKET is not configured');
+    }
+
+    const client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+
+    return {
+      async put(key, data, { contentType } = {}) {
+        await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: data, ContentType: contentType }));
+      },
+
+      async get(key) {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return result.Body;
+      },
+
+      async remove(key) {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      },
+
+      getSignedUrl(key, { expiresIn, filename, contentType }) {
+        return getSignedUrl(client, new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ResponseContentType: contentType,
+          ResponseContentDisposition: `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`
+        }), { expiresIn });
+      }
+    };
+  }
+};
+
+/**
+ * File storage service with a pluggable adapter, selected by STORAGE_DRIVER
+ * (local or s3; defaults to local)
+ */
+class StorageService {
+  constructor() {
+    this.adapters = {};
+  }
+
+  /**
+   * Register an additional adapter factory
+   * @param {String} name - Name used in STORAGE_DRIVER
+   * @param {Function} factory - Returns an object with async put, get and remove methods
+   */
+  registerAdapter(name, factory) {
+    adapters[name] = factory;
+    delete this.adapters[name];
+  }
+
+  /**
+   * Replace an adapter (e.g. in tests)
+   */
+  setAdapter(name, adapter) {
+    this.adapters[name] = adapter;
+  }
+
+  /**
+   * Name of the adapter new files are stored with
+   */
+  getDriver() {
+    return process.env.STORAGE_DRIVER || 'local';
+  }
+
+  /**
+   * Get an adapter, creating it on first use. Files keep the adapter they
+   * were stored with, so older files stay readable after a driver change.
+   * @param {String} [name] - Adapter name; defaults to the configured driver
+   */
+  getAdapter(name = this.getDriver()) {
+    if (!this.adapters[name]) {
+      const factory = adapters[name];
+
+      if (!factory) {
+        throw new Error(`Unknown storage driver: ${name}`);
+      }
+
+      this.adapters[name] = factory();
+    }
+
+    return this.adapters[name];
+  }
+}
+
+module.exports = new StorageService();
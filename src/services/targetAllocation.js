@@ -0,0 +1,295 @@
+const db = require('../models');
+const periodService = require('./periods');
+
+const { Salesperson, Team, TeamQuantitativeObjective, QuantitativeObjective, SalespersonQuantitativeObjective } = db;
+
+// How a target is split: evenly, by the given weights, or by the share of
+// what each one achieved in the same months of the previous year
+const ALLOCATION_METHODS = ['even', 'weight', 'lastYear'];
+
+// Differences below a cent are rounding, not gaps
+const TOLERANCE = 0.005;
+
+const round = (value) => Math.round(value * 100) / 100;
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Target allocation service: cascades the company target of a
+ * QuantitativeObjective down to teams (TeamQuantitativeObjective.teamTarget)
+ * and individuals (SalespersonQuantitativeObjective.individualTarget), and
+ * reports where the levels don't add up.
+ *
+ * Percentage objectives are rates: every team and individual gets the full
+ * target, and a level is compared through its average instead of its sum.
+ */
+class TargetAllocationService {
+  /**
+   * Whether an allocation method is known
+   */
+  isMethod(method) {
+    return ALLOCATION_METHODS.includes(method);
+  }
+
+  /**
+   * Whether the targets of an objective are averaged rather than added up
+   */
+  isAveraged(objective) {
+    return objective.type === 'percentage';
+  }
+
+  /**
+   * Split an amount by shares, rounded to cents; the leftover cents go to
+   * the parts with the largest fractions so the parts add up to the amount
+   * @param {Number} amount - Amount to split
+   * @param {Object} shares - Share by key; all zero splits evenly
+   * @returns {Object} Part by key
+   */
+  split(amount, shares) {
+    const keys = Object.keys(shares);
+    if (keys.length === 0) return {};
+
+    const totalShares = sum(keys.map(key => shares[key]));
+    const weights = totalShares > 0 ? shares : Object.fromEntries(keys.map(key => [key, 1]));
+    const weightTotal = totalShares > 0 ? totalShares : keys.length;
+
+    const cents = Math.round(amount * 100);
+    const exact = keys.map(key => ({ key, value: (cents * weights[key]) / weightTotal }));
+    const parts = Object.fromEntries(exact.map(({ key, value }) => [key, Math.floor(value)]));
+
+    let remainder = cents - sum(Object.values(parts));
+    exact
+      .sort((a, b) => (b.value - Math.floor(b.value)) - (a.value - Math.floor(a.value)))
+      .forEach(({ key }) => {
+        if (remainder > 0) {
+          parts[key] += 1;
+          remainder -= 1;
+        }
+      });
+
+    return Object.fromEntries(keys.map(key => [key, parts[key] / 100]));
+  }
+
+  /**
+   * What each salesperson recorded on objectives of the same type in the
+   * months of an objective one year earlier
+   * @param {Object} objective - QuantitativeObjective
+   * @param {Array<String>} salespersonIds - Salespersons to look up
+   * @returns {Promise<Object>} Value by salesperson ID
+   */
+  async getLastYearValues(objective, salespersonIds) {
+    const months = periodService
+      .monthRange(String(objective.startDate).slice(0, 7), String(objective.endDate).slice(0, 7))
+      .map(month => periodService.shiftMonth(month, -12));
+
+    const assignments = await SalespersonQuantitativeObjective.findAll({
+      where: { salespersonId: salespersonIds },
+      attributes: ['id', 'salespersonId', 'monthlyProgress'],
+      include: [{
+        model: QuantitativeObjective,
+        as: 'quantitativeObjective',
+        attributes: ['id', 'type', 'startDate', 'endDate'],
+        where: { type: objective.type }
+      }]
+    });
+
+    const values = Object.fromEntries(salespersonIds.map(id => [id, 0]));
+    assignments.forEach(assignment => {
+      Object.entries(assignment.monthlyProgress || {}).forEach(([monthNumber, rawValue]) => {
+        const value = parseFloat(rawValue);
+        const month = periodService.progressMonth(assignment.quantitativeObjective, monthNumber);
+        if (!isNaN(value) && months.includes(month)) values[assignment.salespersonId] += value;
+      });
+    });
+    return values;
+  }
+
+  /**
+   * Shares of each recipient under an allocation method
+   * @param {String} method - even, weight or lastYear
+   * @param {Object} recipients - Salesperson IDs by recipient key (one per salesperson,
+   *   or the members of each team)
+   * @param {Object} options
+   * @param {Object} options.objective - QuantitativeObjective being allocated
+   * @param {Object} [options.weights] - Weight by recipient key
+   * @returns {Promise<Object>} { shares, fallback } where fallback is true when there was
+   *   nothing to weigh by and the split is even
+   */
+  async getShares(method, recipients, { objective, weights = {} }) {
+    const keys = Object.keys(recipients);
+    let shares = Object.fromEntries(keys.map(key => [key, 1]));
+
+    if (method === 'weight') {
+      shares = Object.fromEntries(keys.map(key => [key, Math.max(parseFloat(weights[key]) || 0, 0)]));
+    } else if (method === 'lastYear') {
+      const values = await this.getLastYearValues(objective, [...new Set(Object.values(recipients).flat())]);
+      shares = Object.fromEntries(keys.map(key => [key, Math.max(sum(recipients[key].map(id => values[id] || 0)), 0)]));
+    }
+
+    const fallback = method !== 'even' && sum(Object.values(shares)) === 0;
+    return { shares: fallback ? Object.fromEntries(keys.map(key => [key, 1])) : shares, fallback };
+  }
+
+  /**
+   * Propose targets for an objective, without saving them
+   * @param {Object} objective - QuantitativeObjective
+   * @param {Object} options
+   * @param {String} [options.method='even'] - even, weight or lastYear
+   * @param {String} [options.level='salesperson'] - 'team' splits the company target among
+   *   teams; 'salesperson' splits it (or the target of `teamId`) among salespersons
+   * @param {Array<String>} [options.teamIds] - Teams to allocate to, all of them by default
+   * @param {Array<String>} [options.salespersonIds] - Salespersons to allocate to, the
+   *   members of `teamId` or the active salespersons by default
+   * @param {String} [options.teamId] - Team whose target is split among its members
+   * @param {Object} [options.weights] - Weight by team or salesperson ID
+   * @returns {Promise<Object>} { method, level, total, fallback, allocations: [{ id, name, share, target }] }
+   */
+  async propose(objective, { method = 'even', level = 'salesperson', teamIds, salespersonIds, teamId, weights } = {}) {
+    let total = objective.companyTarget;
+    let recipients = {};
+    let names = {};
+
+    if (level === 'team') {
+      const teams = await Team.findAll({
+        where: teamIds ? { id: teamIds } : {},
+        include: [{ model: Salesperson, as: 'members', attributes: ['id'] }],
+        order: [['name', 'ASC']]
+      });
+      recipients = Object.fromEntries(teams.map(team => [team.id, team.members.map(member => member.id)]));
+      names = Object.fromEntries(teams.map(team => [team.id, team.name]));
+    } else {
+      const where = {};
+      if (salespersonIds) {
+        where.id = salespersonIds;
+      } else if (teamId) {
+        where.teamId = teamId;
+      } else {
+        where.estado = 'active';
+      }
+
+      if (teamId) {
+        const teamTarget = await TeamQuantitativeObjective.findOne({
+          where: { teamId, quantitativeObjectiveId: objective.id }
+        });
+        total = teamTarget ? teamTarget.teamTarget : null;
+      }
+
+      const salespersons = await Salesperson.findAll({ where, attributes: ['id', 'nombre'], order: [['nombre', 'ASC']] });
+      recipients = Object.fromEntries(salespersons.map(salesperson => [salesperson.id, [salesperson.id]]));
+      names = Object.fromEntries(salespersons.map(salesperson => [salesperson.id, salesperson.nombre]));
+    }
+
+    const { shares, fallback } = await this.getShares(method, recipients, { objective, weights });
+    const shareTotal = sum(Object.values(shares));
+    const targets = total === null
+      ? {}
+      : this.isAveraged(objective)
+        ? Object.fromEntries(Object.keys(shares).map(key => [key, total]))
+        : this.split(total, shares);
+
+    return {
+      method,
+      level,
+      total,
+      fallback,
+      allocations: Object.keys(recipients).map(id => ({
+        id,
+        name: names[id],
+        share: shareTotal > 0 ? shares[id] / shareTotal : 0,
+        target: total === null ? null : targets[id]
+      }))
+    };
+  }
+
+  /**
+   * Replace the team targets of an objective
+   * @param {Object} objective - QuantitativeObjective
+   * @param {Array<Object>} targets - [{ teamId, teamTarget }]; teams left out lose their target
+   * @returns {Promise<Array<Object>>} The TeamQuantitativeObjective rows
+   */
+  async saveTeamTargets(objective, targets) {
+    return db.sequelize.transaction(async (transaction) => {
+      await TeamQuantitativeObjective.destroy({
+        where: { quantitativeObjectiveId: objective.id },
+        transaction
+      });
+
+      return Promise.all(targets.map(({ teamId, teamTarget }) => TeamQuantitativeObjective.create({
+        teamId,
+        quantitativeObjectiveId: objective.id,
+        teamTarget
+      }, { transaction })));
+    });
+  }
+
+  /**
+   * Compare one level of targets with the level above
+   */
+  compare(expected, targets, averaged) {
+    const total = targets.length === 0 ? 0 : averaged ? sum(targets) / targets.length : sum(targets);
+    const gap = expected === null || expected === undefined ? null : round(expected - total);
+    return {
+      total,
+      gap,
+      balanced: gap === null || Math.abs(gap) < TOLERANCE
+    };
+  }
+
+  /**
+   * Gap report of an objective: the company target against the team targets
+   * and the individual targets, and each team target against the individual
+   * targets of its members
+   * @param {Object} objective - QuantitativeObjective
+   * @returns {Promise<Object>} { aggregation, companyTarget, teams: { total, gap, balanced },
+   *   individuals: { total, gap, balanced }, byTeam: [...], unteamed: { total, count } }
+   */
+  async getGapReport(objective) {
+    const averaged = this.isAveraged(objective);
+
+    const [teams, teamTargets, assignments] = await Promise.all([
+      Team.findAll({ attributes: ['id', 'name'], order: [['name', 'ASC']] }),
+      TeamQuantitativeObjective.findAll({ where: { quantitativeObjectiveId: objective.id } }),
+      SalespersonQuantitativeObjective.findAll({
+        where: { quantitativeObjectiveId: objective.id },
+        attributes: ['id', 'salespersonId', 'individualTarget'],
+        include: [{ model: Salesperson, as: 'salesperson', attributes: ['id', 'nombre', 'teamId'] }]
+      })
+    ]);
+
+    const teamTargetById = Object.fromEntries(teamTargets.map(target => [target.teamId, target.teamTarget]));
+    const targetsOf = (rows) => rows.map(row => row.individualTarget || 0);
+
+    const byTeam = teams.map(team => {
+      const members = assignments.filter(assignment => assignment.salesperson && assignment.salesperson.teamId === team.id);
+      const teamTarget = teamTargetById[team.id] !== undefined ? teamTargetById[team.id] : null;
+      return {
+        teamId: team.id,
+        name: team.name,
+        teamTarget,
+        assignedCount: members.length,
+        ...this.compare(teamTarget, targetsOf(members), averaged)
+      };
+    });
+    const unteamed = assignments.filter(assignment => !assignment.salesperson || !assignment.salesperson.teamId);
+
+    return {
+      aggregation: averaged ? 'average' : 'sum',
+      companyTarget: objective.companyTarget,
+      teams: {
+        count: teamTargets.length,
+        ...this.compare(objective.companyTarget, teamTargets.map(target => target.teamTarget), averaged)
+      },
+      individuals: {
+        count: assignments.length,
+        ...this.compare(objective.companyTarget, targetsOf(assignments), averaged)
+      },
+      byTeam,
+      unteamed: {
+        count: unteamed.length,
+        total: sum(targetsOf(unteamed))
+      }
+    };
+  }
+}
+
+module.exports = new TargetAllocationService();
+module.exports.ALLOCATION_METHODS = ALLOCATION_METHODS;
@@ -0,0 +1,34 @@
+/**
+ * @jest-environment node
+ */
+import targetAllocationService from './targetAllocation';
+
+const total = (parts) => Math.round(Object.values(parts).reduce((sum, part) => sum + part, 0) * 100) / 100;
+
+describe('targetAllocationService.split', () => {
+  it('gives the leftover cent to the part with the largest fraction', () => {
+    expect(targetAllocationService.split(1, { a: 2, b: 1 })).toEqual({ a: 0.67, b: 0.33 });
+  });
+
+  it('splits even thirds so they add up to the amount', () => {
+    const parts = targetAllocationService.split(100, { a: 1, b: 1, c: 1 });
+
+    expect(Object.values(parts).sort()).toEqual([33.33, 33.33, 33.34]);
+    expect(total(parts)).toBe(100);
+  });
+
+  it('adds up to the amount for uneven shares', () => {
+    const parts = targetAllocationService.split(1000, { a: 7, b: 3, c: 11, d: 0 });
+
+    expect(parts.d).toBe(0);
+    expect(total(parts)).toBe(1000);
+  });
+
+  it('splits evenly when every share is zero', () => {
+    expect(targetAllocationService.split(10, { a: 0, b: 0 })).toEqual({ a: 5, b: 5 });
+  });
+
+  it('returns nothing without shares', () => {
+    expect(targetAllocationService.split(10, {})).toEqual({});
+  });
+});
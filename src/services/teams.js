@@ -0,0 +1,310 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const objectiveService = require('./objectives');
+const periodService = require('./periods');
+const { getRolePermissions, getPermissionScope, getOwnRecords } = require('../middleware/permissions');
+
+const {
+  Team,
+  TeamMembership,
+  Salesperson,
+  Client,
+  QuantitativeObjective,
+  SalespersonQuantitativeObjective
+} = db;
+
+// Number of members listed as the top performers of a team
+const TOP_PERFORMERS = 5;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Team service: membership history, the teams a manager sees, and team-level
+ * rollups of objective progress, clients and top performers.
+ *
+ * Salesperson.teamId is the current team; TeamMembership keeps who was in
+ * which team and when, so rollups of past periods count each member only for
+ * the months they were in the team.
+ */
+class TeamService {
+  /**
+   * Whether a `teamId` filter is a valid team ID
+   */
+  isValidId(value) {
+    return UUID_PATTERN.test(String(value));
+  }
+
+  /**
+   * Make the given salespersons the members of a team from a date on. Members
+   * left out leave the team; salespersons coming from another team leave it.
+   * @param {Object} team - Team
+   * @param {Array<String>} salespersonIds - New members
+   * @param {Object} [options]
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @param {String} [options.date] - First day of the change (YYYY-MM-DD), today by default
+   * @returns {Promise<Object>} { joined, left } salesperson IDs
+   */
+  async setMembers(team, salespersonIds, { transaction, date = today() } = {}) {
+    const current = await TeamMembership.findAll({
+      where: { teamId: team.id, endDate: null },
+      transaction
+    });
+    const currentIds = current.map(membership => membership.salespersonId);
+
+    const left = currentIds.filter(id => !salespersonIds.includes(id));
+    const joined = salespersonIds.filter(id => !currentIds.includes(id));
+
+    // The day before the change is the last one in the old team
+    const lastDay = new Date(`${date}T00:00:00Z`);
+    lastDay.setUTCDate(lastDay.getUTCDate() - 1);
+    const endDate = lastDay.toISOString().slice(0, 10);
+
+    // Memberships starting on the day of the change never really began
+    const close = async (where) => {
+      await TeamMembership.destroy({ where: { ...where, endDate: null, startDate: { [Op.gte]: date } }, transaction });
+      await TeamMembership.update({ endDate }, { where: { ...where, endDate: null }, transaction });
+    };
+
+    if (left.length > 0) {
+      await close({ teamId: team.id, salespersonId: left });
+      await Salesperson.update({ teamId: null }, { where: { id: left }, transaction });
+    }
+
+    if (joined.length > 0) {
+      await close({ salespersonId: joined });
+      await Promise.all(joined.map(salespersonId => TeamMembership.create({
+        teamId: team.id,
+        salespersonId,
+        startDate: date
+      }, { transaction })));
+      await Salesperson.update({ teamId: team.id }, { where: { id: joined }, transaction });
+    }
+
+    return { joined, left };
+  }
+
+  /**
+   * Membership history of a team, newest first
+   */
+  getMemberships(team) {
+    return TeamMembership.findAll({
+      where: { teamId: team.id },
+      include: [{ model: Salesperson, as: 'salesperson', attributes: ['id', 'nombre', 'email'], paranoid: false }],
+      order: [['startDate', 'DESC'], ['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Months of a period each salesperson was in the given teams
+   * @param {Array<String>} teamIds - Teams
+   * @param {Object} period - Period from the period service
+   * @returns {Promise<Object>} Months ('YYYY-MM') by salesperson ID
+   */
+  async getMemberMonths(teamIds, period) {
+    const memberships = await TeamMembership.findAll({
+      where: {
+        teamId: teamIds,
+        startDate: { [Op.lte]: period.endDate },
+        [Op.or]: [{ endDate: null }, { endDate: { [Op.gte]: period.startDate } }]
+      }
+    });
+
+    const months = {};
+    memberships.forEach(membership => {
+      const first = String(membership.startDate).slice(0, 7);
+      const last = membership.endDate ? String(membership.endDate).slice(0, 7) : null;
+      const inTeam = period.months.filter(month => month >= first && (!last || month <= last));
+      months[membership.salespersonId] = [...new Set([...(months[membership.salespersonId] || []), ...inTeam])];
+    });
+    return months;
+  }
+
+  /**
+   * Salespersons in the given teams: the current members, or with a period
+   * everyone who was a member at some point of it
+   * @returns {Promise<Array<String>>} Salesperson IDs
+   */
+  async getMemberIds(teamIds, { period } = {}) {
+    if (period) {
+      return Object.keys(await this.getMemberMonths(teamIds, period));
+    }
+
+    const members = await Salesperson.findAll({ where: { teamId: teamIds }, attributes: ['id'] });
+    return members.map(member => member.id);
+  }
+
+  /**
+   * Teams managed by the requesting user. Users without `teams:read` in
+   * their role's permissions are limited to the teams they manage, once the
+   * tenant has teams.
+   * @returns {Promise<Array<String>|null>} Team IDs, possibly none, or null when the user is not limited
+   */
+  async getManagedTeamIds(req) {
+    const { tenant, tenantUser } = req;
+    if (!tenantUser) return [];
+    if (getPermissionScope(getRolePermissions(tenant, tenantUser.role), 'teams:read') === 'all') return null;
+
+    const managerOf = [{ managerTenantUserId: tenantUser.id }];
+    if (tenantUser.salespersonId) managerOf.push({ managerSalespersonId: tenantUser.salespersonId });
+
+    const teams = await Team.findAll({ where: { [Op.or]: managerOf }, attributes: ['id'] });
+    if (teams.length === 0 && (await Team.count()) === 0) return null;
+
+    return teams.map(team => team.id);
+  }
+
+  /**
+   * Whether the requesting user may create teams and choose their managers and
+   * members. Users limited to the teams they manage may not, as it would let
+   * them widen their own scope.
+   */
+  canManageTeams(req) {
+    const { tenant, tenantUser } = req;
+    if (!tenantUser) return false;
+
+    const permissions = getRolePermissions(tenant, tenantUser.role);
+    return getPermissionScope(permissions, 'teams:read') === 'all' ||
+      getPermissionScope(permissions, 'tenant:manage') !== null;
+  }
+
+  /**
+   * Salespersons whose data a request may see, from the `teamId` filter and the
+   * teams a manager is limited to. A user limited to teams who manages none
+   * only sees their own salesperson's data.
+   * @param {Object} req - Express request (tenant, tenantUser, permissionScope)
+   * @param {Object} [options]
+   * @param {String} [options.teamId] - Requested team
+   * @param {Object} [options.period] - Count everyone who was a member during the period
+   * @returns {Promise<Object>} { teamIds, salespersonIds, forbidden } where null IDs mean
+   *   no restriction and forbidden is true when a manager asks for another team
+   */
+  async resolveScope(req, { teamId, period } = {}) {
+    const managedTeamIds = await this.getManagedTeamIds(req);
+
+    if (teamId && managedTeamIds && !managedTeamIds.includes(teamId)) {
+      return { teamIds: null, salespersonIds: null, forbidden: true };
+    }
+
+    // Requests limited to the user's own records need no further limit
+    if (!teamId && (!managedTeamIds || req.permissionScope === 'own')) {
+      return { teamIds: null, salespersonIds: null, forbidden: false };
+    }
+
+    const teamIds = teamId ? [teamId] : managedTeamIds;
+    if (teamIds.length === 0) {
+      const { salespersonId } = getOwnRecords(req.tenantUser);
+      return { teamIds, salespersonIds: salespersonId ? [salespersonId] : [], forbidden: false };
+    }
+
+    return {
+      teamIds,
+      salespersonIds: await this.getMemberIds(teamIds, { period }),
+      forbidden: false
+    };
+  }
+
+  /**
+   * Whether the team scope of a request covers a salesperson's data
+   * @param {Object} req - Express request
+   * @param {String} salespersonId - Salesperson, or null for unassigned data
+   */
+  async canAccessSalesperson(req, salespersonId) {
+    const { salespersonIds } = await this.resolveScope(req);
+    return !salespersonIds || salespersonIds.includes(salespersonId);
+  }
+
+  /**
+   * Team-level rollup for a period: objective progress against the team's
+   * share of the targets, clients of the members and top performers. Each
+   * member counts only for the months they were in the team.
+   * @param {Object} team - Team
+   * @param {Object} period - Period from the period service
+   * @returns {Promise<Object>} { members, objectives, clients, topPerformers }
+   */
+  async getRollup(team, period) {
+    const memberMonths = await this.getMemberMonths([team.id], period);
+    const memberIds = Object.keys(memberMonths);
+
+    const [salespersons, assignments] = await Promise.all([
+      Salesperson.findAll({ where: { id: memberIds }, attributes: ['id', 'nombre', 'email', 'estado', 'teamId'] }),
+      SalespersonQuantitativeObjective.findAll({
+        where: { salespersonId: memberIds },
+        include: [{ model: QuantitativeObjective, as: 'quantitativeObjective' }]
+      })
+    ]);
+
+    // Clients have no history: they count for the team of their salesperson today
+    const clients = await Client.findAll({
+      where: { vendedorId: salespersons.filter(salesperson => salesperson.teamId === team.id).map(salesperson => salesperson.id) },
+      attributes: ['id', 'vendedorId', 'contratoSoporte']
+    });
+
+    const objectives = {};
+    const performers = Object.fromEntries(memberIds.map(id => [id, { value: 0, target: 0 }]));
+
+    assignments
+      .filter(assignment => assignment.quantitativeObjective && periodService.overlapShare(assignment.quantitativeObjective, period) > 0)
+      .forEach(assignment => {
+        const objective = assignment.quantitativeObjective;
+        // Only the months the salesperson was in the team count
+        const { value, target } = objectiveService.getPeriodProgress(
+          assignment,
+          objective,
+          { ...period, months: memberMonths[assignment.salespersonId] }
+        );
+
+        if (!objectives[objective.id]) {
+          objectives[objective.id] = { id: objective.id, name: objective.name, type: objective.type, values: [], targets: [] };
+        }
+        objectives[objective.id].values.push(value);
+        objectives[objective.id].targets.push(target);
+
+        if (objective.type === 'currency' || objective.type === 'moneda') {
+          performers[assignment.salespersonId].value += value;
+          performers[assignment.salespersonId].target += target;
+        }
+      });
+
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+    return {
+      members: salespersons.map(salesperson => ({
+        ...salesperson.toJSON(),
+        current: salesperson.teamId === team.id,
+        months: memberMonths[salesperson.id]
+      })),
+      objectives: Object.values(objectives).map(({ values, targets, ...objective }) => {
+        // Rates are averaged; amounts add up
+        const isPercentage = objective.type === 'percentage';
+        const value = isPercentage ? sum(values) / values.length : sum(values);
+        const target = isPercentage ? sum(targets) / targets.length : sum(targets);
+        return {
+          ...objective,
+          assignedCount: values.length,
+          value,
+          target,
+          progress: target > 0 ? value / target : 0
+        };
+      }),
+      clients: {
+        total: clients.length,
+        withSupportContract: clients.filter(client => client.contratoSoporte).length
+      },
+      topPerformers: salespersons
+        .map(salesperson => ({
+          id: salesperson.id,
+          nombre: salesperson.nombre,
+          sales: performers[salesperson.id].value,
+          target: performers[salesperson.id].target,
+          percentage: performers[salesperson.id].target > 0 ? performers[salesperson.id].value / performers[salesperson.id].target : 0,
+          clientCount: clients.filter(client => client.vendedorId === salesperson.id).length
+        }))
+        .sort((a, b) => b.sales - a.sales)
+        .slice(0, TOP_PERFORMERS)
+    };
+  }
+}
+
+module.exports = new TeamService();
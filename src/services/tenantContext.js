@@ -0,0 +1,99 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { Op } = require('sequelize');
+
+// Models that carry a tenantId column but must be queried across tenants
+// (tenant resolution itself happens through them)
+const UNSCOPED_MODELS = ['Tenant', 'TenantUser'];
+
+/**
+ * Request-scoped tenant context and the Sequelize hooks that enforce it
+ */
+class TenantContext {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run a function with the given tenant context
+   * @param {Object} context - { tenantId, tenantUserId, userId, email }
+   * @param {Function} fn - Function executed inside the context
+   */
+  run(context, fn) {
+    return this.storage.run(context, fn);
+  }
+
+  /**
+   * Get the current context, or null outside of a tenant request
+   */
+  get() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * Get the tenant ID of the current request, or null
+   */
+  getTenantId() {
+    const context = this.get();
+    return context ? context.tenantId : null;
+  }
+
+  /**
+   * Register hooks on every tenant-owned model so that reads, counts,
+   * writes and deletes are restricted to the tenant of the current request.
+   * Queries can opt out with `{ skipTenantScope: true }`.
+   * @param {Object} db - Loaded models keyed by name
+   */
+  applyScope(db) {
+    Object.keys(db).forEach(modelName => {
+      const model = db[modelName];
+
+      if (!model.rawAttributes || !model.rawAttributes.tenantId || UNSCOPED_MODELS.includes(modelName)) {
+        return;
+      }
+
+      const scopeWhere = (options) => {
+        const tenantId = this.getTenantId();
+        if (!tenantId || options.skipTenantScope) return;
+
+        options.where = options.where
+          ? { [Op.and]: [options.where, { tenantId }] }
+          : { tenantId };
+      };
+
+      const assignTenant = (instance, options = {}) => {
+        const tenantId = this.getTenantId();
+        if (!tenantId || options.skipTenantScope) return;
+
+        instance.tenantId = tenantId;
+      };
+
+      model.addHook('beforeFind', 'tenantScope', scopeWhere);
+      model.addHook('beforeCount', 'tenantScope', scopeWhere);
+      model.addHook('beforeBulkUpdate', 'tenantScope', (options) => {
+        // Never allow a bulk update to move rows to another tenant
+        if (options.attributes) delete options.attributes.tenantId;
+        scopeWhere(options);
+      });
+      model.addHook('beforeBulkDestroy', 'tenantScope', scopeWhere);
+      model.addHook('beforeBulkRestore', 'tenantScope', scopeWhere);
+      model.addHook('beforeValidate', 'tenantScope', (instance, options) => {
+        if (instance.isNewRecord) assignTenant(instance, options);
+      });
+      model.addHook('beforeCreate', 'tenantScope', assignTenant);
+      model.addHook('beforeBulkCreate', 'tenantScope', (instances, options) => {
+        instances.forEach(instance => assignTenant(instance, options));
+      });
+      model.addHook('beforeUpsert', 'tenantScope', (values, options) => {
+        assignTenant(values, options);
+      });
+      model.addHook('beforeUpdate', 'tenantScope', (instance) => {
+        // Keep existing rows in their tenant
+        if (instance.changed('tenantId')) {
+          instance.set('tenantId', instance.previous('tenantId'));
+        }
+      });
+    });
+  }
+}
+
+module.exports = new TenantContext();
@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+import { Op } from 'sequelize';
+import tenantContext from './tenantContext';
+
+// Minimal stand-in for a Sequelize model that records registered hooks
+const createModel = (attributes) => {
+  const hooks = {};
+  return {
+    rawAttributes: attributes,
+    hooks,
+    addHook: jest.fn((type, name, fn) => {
+      hooks[type] = fn;
+    })
+  };
+};
+
+describe('tenantContext', () => {
+  let db;
+
+  beforeEach(() => {
+    db = {
+      Client: createModel({ id: {}, tenantId: {} }),
+      TenantUser: createModel({ id: {}, tenantId: {} }),
+      Tenant: createModel({ id: {} })
+    };
+    tenantContext.applyScope(db);
+  });
+
+  it('only scopes tenant-owned models', () => {
+    expect(db.Client.addHook).toHaveBeenCalled();
+    expect(db.TenantUser.addHook).not.toHaveBeenCalled();
+    expect(db.Tenant.addHook).not.toHaveBeenCalled();
+  });
+
+  it('adds the current tenant to find conditions', () => {
+    const options = { where: { nombre: 'Acme' } };
+
+    tenantContext.run({ tenantId: 't1' }, () => db.Client.hooks.beforeFind(options));
+
+    expect(options.where).toEqual({ [Op.and]: [{ nombre: 'Acme' }, { tenantId: 't1' }] });
+  });
+
+  it('leaves queries untouched outside a tenant request', () => {
+    const options = {};
+
+    db.Client.hooks.beforeCount(options);
+
+    expect(options.where).toBeUndefined();
+  });
+
+  it('honours skipTenantScope', () => {
+    const options = { skipTenantScope: true };
+
+    tenantContext.run({ tenantId: 't1' }, () => db.Client.hooks.beforeFind(options));
+
+    expect(options.where).toBeUndefined();
+  });
+
+  it('assigns the current tenant to new records', () => {
+    const instance = { isNewRecord: true, tenantId: 'other' };
+
+    tenantContext.run({ tenantId: 't1' }, () => db.Client.hooks.beforeValidate(instance, {}));
+
+    expect(instance.tenantId).toBe('t1');
+  });
+
+  it('prevents bulk updates from changing the tenant', () => {
+    const options = { attributes: { nombre: 'New', tenantId: 't2' }, where: { id: 'c1' } };
+
+    tenantContext.run({ tenantId: 't1' }, () => db.Client.hooks.beforeBulkUpdate(options));
+
+    expect(options.attributes).toEqual({ nombre: 'New' });
+    expect(options.where).toEqual({ [Op.and]: [{ id: 'c1' }, { tenantId: 't1' }] });
+  });
+});
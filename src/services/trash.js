@@ -0,0 +1,333 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const tenantContext = require('./tenantContext');
+const attachmentService = require('./attachments');
+
+const {
+  sequelize,
+  Tenant,
+  TenantUser,
+  Client,
+  ClientService,
+  ClientAction,
+  SalespersonQuantitativeObjective,
+  SalespersonObjective,
+  QuantitativeObjective,
+  QualitativeObjective,
+  TechnicianObjective,
+  TechnicianEvaluation,
+  Service
+} = db;
+
+// Models whose deletes go to the trash
+const TRASH_ENTITIES = ['Client', 'Salesperson', 'Service', 'Technician'];
+
+// Days trashed records are kept when neither the tenant nor TRASH_RETENTION_DAYS set it
+const DEFAULT_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Values of a client-service link, without its identity columns
+ */
+const clientServiceValues = (link) => ({
+  clientId: link.clientId,
+  servicioId: link.servicioId,
+  fechaAsignacion: link.fechaAsignacion,
+  notas: link.notas,
+  precioNegociado: link.precioNegociado,
+  cantidad: link.cantidad,
+  fechaInicio: link.fechaInicio,
+  fechaFin: link.fechaFin,
+  fechaRenovacion: link.fechaRenovacion,
+  renovacionAutomatica: link.renovacionAutomatica,
+  diasPreaviso: link.diasPreaviso,
+  detalles: link.detalles
+});
+
+/**
+ * Trash service: soft deletes with a snapshot of the removed links, restore
+ * with re-linking, and purging after the tenant's retention period
+ */
+class TrashService {
+  /**
+   * Whether an entity name can be trashed
+   */
+  isTrashEntity(entity) {
+    return TRASH_ENTITIES.includes(entity);
+  }
+
+  /**
+   * Days a tenant keeps trashed records before they are purged
+   * @param {Object} tenant - Tenant (uses settings.trashRetentionDays)
+   */
+  getRetentionDays(tenant) {
+    const tenantDays = parseInt(tenant && tenant.settings && tenant.settings.trashRetentionDays, 10);
+    if (tenantDays > 0) return tenantDays;
+
+    return parseInt(process.env.TRASH_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * Remove the links of a record and return a snapshot to re-create them on restore
+   * @param {String} entity - Model name
+   * @param {Object} record - Record being trashed
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} Snapshot of the removed links
+   */
+  async detachLinks(entity, record, transaction) {
+    switch (entity) {
+      case 'Client': {
+        const clientServices = await ClientService.findAll({ where: { clientId: record.id }, transaction });
+        await ClientService.destroy({ where: { clientId: record.id }, transaction });
+        return { clientServices: clientServices.map(clientServiceValues) };
+      }
+      case 'Service': {
+        const clientServices = await ClientService.findAll({ where: { servicioId: record.id }, transaction });
+        await ClientService.destroy({ where: { servicioId: record.id }, transaction });
+        return { clientServices: clientServices.map(clientServiceValues) };
+      }
+      case 'Salesperson': {
+        const clients = await Client.findAll({ where: { vendedorId: record.id }, attributes: ['id'], transaction });
+        const quantitative = await SalespersonQuantitativeObjective.findAll({ where: { salespersonId: record.id }, transaction });
+        const qualitative = await SalespersonObjective.findAll({ where: { salespersonId: record.id }, transaction });
+
+        await Client.update({ vendedorId: null }, { where: { vendedorId: record.id }, transaction });
+        await SalespersonQuantitativeObjective.destroy({ where: { salespersonId: record.id }, transaction });
+        await SalespersonObjective.destroy({ where: { salespersonId: record.id }, transaction });
+
+        return {
+          clientIds: clients.map(client => client.id),
+          quantitativeAssignments: quantitative.map(assignment => ({
+            quantitativeObjectiveId: assignment.quantitativeObjectiveId,
+            individualTarget: assignment.individualTarget,
+            monthlyProgress: assignment.monthlyProgress,
+            currentValue: assignment.currentValue,
+            status: assignment.status
+          })),
+          qualitativeAssignments: qualitative.map(assignment => ({
+            qualitativeObjectiveId: assignment.qualitativeObjectiveId
+          }))
+        };
+      }
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Re-create the links removed when a record was trashed. Links whose other
+   * side is gone or was re-created in the meantime are skipped.
+   * @returns {Promise<Object>} Number of links re-created per kind
+   */
+  async relink(entity, record, links, transaction) {
+    const relinked = {};
+
+    if (links.clientServices) {
+      relinked.clientServices = 0;
+      for (const link of links.clientServices) {
+        const otherExists = entity === 'Client'
+          ? await Service.count({ where: { id: link.servicioId }, transaction })
+          : await Client.count({ where: { id: link.clientId }, transaction });
+        const linkExists = await ClientService.count({
+          where: { clientId: link.clientId, servicioId: link.servicioId },
+          transaction
+        });
+
+        if (otherExists && !linkExists) {
+          await ClientService.create(link, { transaction });
+          relinked.clientServices++;
+        }
+      }
+    }
+
+    if (links.clientIds && links.clientIds.length > 0) {
+      // Only clients that were not given to another salesperson meanwhile
+      const [count] = await Client.update(
+        { vendedorId: record.id },
+        { where: { id: links.clientIds, vendedorId: null }, transaction }
+      );
+      relinked.clients = count;
+    }
+
+    if (links.quantitativeAssignments) {
+      relinked.quantitativeAssignments = 0;
+      for (const assignment of links.quantitativeAssignments) {
+        const objectiveExists = await QuantitativeObjective.count({ where: { id: assignment.quantitativeObjectiveId }, transaction });
+        const assignmentExists = await SalespersonQuantitativeObjective.count({
+          where: { salespersonId: record.id, quantitativeObjectiveId: assignment.quantitativeObjectiveId },
+          transaction
+        });
+
+        if (objectiveExists && !assignmentExists) {
+          await SalespersonQuantitativeObjective.create({ ...assignment, salespersonId: record.id }, { transaction });
+          relinked.quantitativeAssignments++;
+        }
+      }
+    }
+
+    if (links.qualitativeAssignments) {
+      relinked.qualitativeAssignments = 0;
+      for (const assignment of links.qualitativeAssignments) {
+        const objectiveExists = await QualitativeObjective.count({ where: { id: assignment.qualitativeObjectiveId }, transaction });
+        const assignmentExists = await SalespersonObjective.count({
+          where: { salespersonId: record.id, qualitativeObjectiveId: assignment.qualitativeObjectiveId },
+          transaction
+        });
+
+        if (objectiveExists && !assignmentExists) {
+          await SalespersonObjective.create({ ...assignment, salespersonId: record.id }, { transaction });
+          relinked.qualitativeAssignments++;
+        }
+      }
+    }
+
+    return relinked;
+  }
+
+  /**
+   * Move a record to the trash, detaching its links
+   * @param {String} entity - Model name
+   * @param {Object} record - Record to trash
+   * @param {Object} options - { transaction }
+   * @returns {Promise<Object>} Snapshot of the removed links
+   */
+  async trash(entity, record, { transaction } = {}) {
+    const context = tenantContext.get() || {};
+    const links = await this.detachLinks(entity, record, transaction);
+
+    // Saved together with deletedAt by destroy()
+    record.set({
+      deletedBy: context.email || context.userId || null,
+      deletedLinks: links
+    });
+    await record.destroy({ transaction });
+
+    return links;
+  }
+
+  /**
+   * List the trashed records of the current tenant, newest first
+   * @param {Object} tenant - Current tenant
+   */
+  async list(tenant) {
+    const retentionMs = this.getRetentionDays(tenant) * DAY_MS;
+
+    const groups = await Promise.all(TRASH_ENTITIES.map(async entity => {
+      const records = await db[entity].findAll({
+        where: { deletedAt: { [Op.ne]: null } },
+        attributes: ['id', 'nombre', 'deletedAt', 'deletedBy'],
+        paranoid: false
+      });
+
+      return records.map(record => ({
+        entity,
+        id: record.id,
+        name: record.nombre,
+        deletedAt: record.deletedAt,
+        deletedBy: record.deletedBy,
+        purgeAt: new Date(record.deletedAt.getTime() + retentionMs)
+      }));
+    }));
+
+    return groups.flat().sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  /**
+   * Find a trashed record
+   * @returns {Promise<Object|null>}
+   */
+  findTrashed(entity, id, options = {}) {
+    return db[entity].findOne({
+      ...options,
+      where: { ...options.where, id, deletedAt: { [Op.ne]: null } },
+      paranoid: false
+    });
+  }
+
+  /**
+   * Restore a trashed record and re-create its links
+   * @returns {Promise<Object|null>} { record, relinked }, or null if the record is not in the trash
+   */
+  async restore(entity, id) {
+    return sequelize.transaction(async (transaction) => {
+      const record = await this.findTrashed(entity, id, { transaction });
+      if (!record) return null;
+
+      const links = record.deletedLinks || {};
+
+      // Saved together with deletedAt by restore()
+      record.set({ deletedBy: null, deletedLinks: null });
+      await record.restore({ transaction });
+
+      const relinked = await this.relink(entity, record, links, transaction);
+      return { record, relinked };
+    });
+  }
+
+  /**
+   * Permanently delete a trashed record
+   * @param {String} entity - Model name
+   * @param {Object} record - Trashed record
+   * @param {Object} options - { transaction }
+   */
+  async purge(entity, record, { transaction } = {}) {
+    // Drop the links still pointing at the record, including from trashed clients
+    if (entity === 'Client') {
+      await ClientService.destroy({ where: { clientId: record.id }, transaction });
+      await ClientAction.destroy({ where: { clientId: record.id }, transaction });
+      await attachmentService.removeFor('client_relevamiento', record.id, { transaction });
+    } else if (entity === 'Service') {
+      await ClientService.destroy({ where: { servicioId: record.id }, transaction });
+    } else if (entity === 'Salesperson') {
+      await Client.update({ vendedorId: null }, { where: { vendedorId: record.id }, paranoid: false, transaction });
+      await ClientAction.update({ vendedorId: null }, { where: { vendedorId: record.id }, transaction });
+      await TenantUser.update({ salespersonId: null }, { where: { salespersonId: record.id }, transaction });
+    } else if (entity === 'Technician') {
+      await Client.update({ tecnicoId: null }, { where: { tecnicoId: record.id }, paranoid: false, transaction });
+      await ClientAction.update({ tecnicoId: null }, { where: { tecnicoId: record.id }, transaction });
+      await TenantUser.update({ technicianId: null }, { where: { technicianId: record.id }, transaction });
+
+      // Objectives and evaluations go with the technician; so do their files
+      const objectives = await TechnicianObjective.findAll({ where: { technicianId: record.id }, attributes: ['id'], transaction });
+      const evaluations = await TechnicianEvaluation.findAll({ where: { technicianId: record.id }, attributes: ['id'], transaction });
+      await attachmentService.removeFor('technician_objective', objectives.map(objective => objective.id), { transaction });
+      await attachmentService.removeFor('technician_evaluation', evaluations.map(evaluation => evaluation.id), { transaction });
+    }
+
+    await record.destroy({ force: true, transaction });
+  }
+
+  /**
+   * Purge the records that have been in the trash longer than their tenant's
+   * retention period. Runs outside of a request, across all tenants.
+   * @returns {Promise<Number>} Number of purged records
+   */
+  async purgeExpired() {
+    const tenants = await Tenant.findAll({ attributes: ['id', 'settings'] });
+    let purged = 0;
+
+    for (const tenant of tenants) {
+      const cutoff = new Date(Date.now() - this.getRetentionDays(tenant) * DAY_MS);
+
+      for (const entity of TRASH_ENTITIES) {
+        const records = await db[entity].findAll({
+          where: {
+            tenantId: tenant.id,
+            deletedAt: { [Op.lt]: cutoff }
+          },
+          paranoid: false
+        });
+
+        for (const record of records) {
+          await sequelize.transaction(transaction => this.purge(entity, record, { transaction }));
+          purged++;
+        }
+      }
+    }
+
+    return purged;
+  }
+}
+
+module.exports = new TrashService();
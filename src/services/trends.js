@@ -0,0 +1,187 @@
+const { Salesperson, QuantitativeObjective, SalespersonQuantitativeObjective } = require('../models');
+const periodService = require('./periods');
+
+// Objective types reported in the trends; legacy 'moneda' objectives count as currency
+const OBJECTIVE_TYPES = ['currency', 'number', 'percentage'];
+
+/**
+ * Relative change between two values, or null when there is nothing to compare with
+ */
+const delta = (current, previous) => {
+  if (current === null || previous === null || previous === 0) return null;
+  return (current - previous) / previous;
+};
+
+/**
+ * Trend service: month-by-month aggregates of the progress recorded in
+ * SalespersonQuantitativeObjective.monthlyProgress
+ */
+class TrendService {
+  /**
+   * Empty accumulator per objective type
+   */
+  emptyBuckets() {
+    const buckets = {};
+    OBJECTIVE_TYPES.forEach(type => {
+      buckets[type] = { sum: 0, count: 0 };
+    });
+    return buckets;
+  }
+
+  /**
+   * Turn accumulated buckets into totals. Currency and number objectives are
+   * summed; percentages are averaged, as adding rates up means nothing.
+   * Types without recorded progress are null.
+   */
+  toTotals(buckets) {
+    const totals = {};
+    OBJECTIVE_TYPES.forEach(type => {
+      const bucket = buckets && buckets[type];
+      if (!bucket || bucket.count === 0) {
+        totals[type] = null;
+      } else {
+        totals[type] = type === 'percentage' ? bucket.sum / bucket.count : bucket.sum;
+      }
+    });
+    return totals;
+  }
+
+  /**
+   * Deltas per type between two totals
+   */
+  compare(current, previous) {
+    const deltas = {};
+    OBJECTIVE_TYPES.forEach(type => {
+      deltas[type] = delta(current[type], previous[type]);
+    });
+    return deltas;
+  }
+
+  /**
+   * Add one recorded value to the accumulators of a month
+   */
+  accumulate(months, monthKey, type, value) {
+    if (!months[monthKey]) months[monthKey] = this.emptyBuckets();
+    months[monthKey][type].sum += value;
+    months[monthKey][type].count++;
+  }
+
+  /**
+   * Merge the accumulators of several months
+   */
+  mergeMonths(months, monthKeys) {
+    const merged = this.emptyBuckets();
+    monthKeys.forEach(monthKey => {
+      if (!months[monthKey]) return;
+      OBJECTIVE_TYPES.forEach(type => {
+        merged[type].sum += months[monthKey][type].sum;
+        merged[type].count += months[monthKey][type].count;
+      });
+    });
+    return merged;
+  }
+
+  /**
+   * Aggregate the recorded monthly progress of the current tenant
+   * @param {Object} options
+   * @param {Number} [options.months=12] - Number of months in the series
+   * @param {Object} [options.period] - Period compared with the previous one and with
+   *   the same period a year earlier; the series ends with its last month. Defaults to the current month.
+   * @param {Array<String>} [options.salespersonIds] - Restrict to these salespersons
+   * @returns {Promise<Object>} { months, comparison, bySalesperson }
+   */
+  async getMonthlyTrends({ months = 12, period, salespersonIds } = {}) {
+    const currentPeriod = period || periodService.parse('month');
+    const lastMonth = currentPeriod.months[currentPeriod.months.length - 1];
+    const series = Array.from({ length: months }, (_, i) => periodService.shiftMonth(lastMonth, i - months + 1));
+
+    const where = {};
+    if (salespersonIds) where.salespersonId = salespersonIds;
+
+    const assignments = await SalespersonQuantitativeObjective.findAll({
+      where,
+      attributes: ['id', 'salespersonId', 'monthlyProgress'],
+      include: [
+        {
+          model: QuantitativeObjective,
+          as: 'quantitativeObjective',
+          attributes: ['id', 'type', 'startDate', 'endDate']
+        },
+        {
+          model: Salesperson,
+          as: 'salesperson',
+          attributes: ['id', 'nombre']
+        }
+      ]
+    });
+
+    // Accumulators keyed by 'YYYY-MM', company-wide and per salesperson
+    const companyMonths = {};
+    const salespersons = {};
+
+    assignments.forEach(assignment => {
+      const objective = assignment.quantitativeObjective;
+      if (!objective || !assignment.salesperson) return;
+
+      const type = objective.type === 'moneda' ? 'currency' : objective.type;
+      if (!OBJECTIVE_TYPES.includes(type)) return;
+
+      if (!salespersons[assignment.salespersonId]) {
+        salespersons[assignment.salespersonId] = {
+          salesperson: assignment.salesperson,
+          months: {}
+        };
+      }
+
+      Object.entries(assignment.monthlyProgress || {}).forEach(([monthNumber, rawValue]) => {
+        const value = parseFloat(rawValue);
+        const monthKey = periodService.progressMonth(objective, monthNumber);
+        if (!monthKey || isNaN(value)) return;
+
+        this.accumulate(companyMonths, monthKey, type, value);
+        this.accumulate(salespersons[assignment.salespersonId].months, monthKey, type, value);
+      });
+    });
+
+    const previousPeriod = periodService.shift(currentPeriod, -1);
+    const previousYear = periodService.yearAgo(currentPeriod);
+
+    const summarize = (monthBuckets) => {
+      const current = this.toTotals(this.mergeMonths(monthBuckets, currentPeriod.months));
+      return {
+        current,
+        periodOverPeriod: this.compare(current, this.toTotals(this.mergeMonths(monthBuckets, previousPeriod.months))),
+        yearOverYear: this.compare(current, this.toTotals(this.mergeMonths(monthBuckets, previousYear.months)))
+      };
+    };
+
+    const company = summarize(companyMonths);
+
+    return {
+      months: series.map(monthKey => ({
+        month: monthKey,
+        label: periodService.containing('month', monthKey).label,
+        totals: this.toTotals(companyMonths[monthKey])
+      })),
+      comparison: {
+        period: currentPeriod.key,
+        previousPeriod: previousPeriod.key,
+        previousYear: previousYear.key,
+        ...company
+      },
+      bySalesperson: Object.entries(salespersons)
+        .map(([salespersonId, { salesperson, months: monthBuckets }]) => ({
+          salespersonId,
+          nombre: salesperson.nombre,
+          months: series.map(monthKey => ({
+            month: monthKey,
+            totals: this.toTotals(monthBuckets[monthKey])
+          })),
+          ...summarize(monthBuckets)
+        }))
+        .sort((a, b) => (b.current.currency || 0) - (a.current.currency || 0))
+    };
+  }
+}
+
+module.exports = new TrendService();